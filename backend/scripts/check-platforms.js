@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 require('dotenv').config();
 
 const Student = require('../src/models/Student');
+const platformRegistry = require('../src/platforms');
 
 async function checkPlatforms() {
   try {
@@ -16,7 +17,7 @@ async function checkPlatforms() {
     }
 
     console.log('Platform Coverage:\n');
-    const platforms = ['codechef', 'leetcode', 'codeforces', 'github', 'atcoder', 'codolio'];
+    const platforms = platformRegistry.getPlatformIds();
     
     platforms.forEach(platform => {
       const count = students.filter(s => s.platformIds[platform]).length;
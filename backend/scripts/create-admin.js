@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../src/models/User');
+const { ROLES, AUTH_CONFIG } = require('../src/utils/constants');
+
+/**
+ * Create the first admin, or reset an existing user to admin with a new password
+ * Usage: npm run users:create-admin -- <email> <password> [name]
+ */
+async function createAdmin() {
+  const [email, password, name = 'Administrator'] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error('Usage: npm run users:create-admin -- <email> <password> [name]');
+    process.exit(1);
+  }
+  if (password.length < AUTH_CONFIG.MIN_PASSWORD_LENGTH) {
+    console.error(`Password must be at least ${AUTH_CONFIG.MIN_PASSWORD_LENGTH} characters`);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/skorly');
+
+    const user = (await User.findOne({ email: email.toLowerCase() })) || new User({ email, name });
+    const isNew = user.isNew;
+    user.role = ROLES.ADMIN;
+    user.isActive = true;
+    await user.setPassword(password);
+    await user.save();
+
+    console.log(`\n✅ ${isNew ? 'Created' : 'Updated'} admin ${user.email}\n`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+createAdmin();
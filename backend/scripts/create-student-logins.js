@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const portalService = require('../src/services/portalService');
+
+/**
+ * Create student portal logins for active students that don't have one,
+ * and write their starting passwords to a CSV to hand out
+ * Usage: npm run users:create-students -- [department]
+ */
+async function createStudentLogins() {
+  const [department = null] = process.argv.slice(2);
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/skorly');
+
+    const { created, existing } = await portalService.createStudentLogins({ department });
+    console.log(`\n✅ Created ${created.length} student logins (${existing} already had one)`);
+
+    if (created.length > 0) {
+      const file = path.join(__dirname, '..', 'tmp', `student-logins-${Date.now()}.csv`);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const rows = created.map(({ regNo, name, password }) => `${regNo},"${name.replace(/"/g, '""')}",${password}`);
+      fs.writeFileSync(file, ['regNo,name,password', ...rows].join('\n'), { mode: 0o600 });
+      console.log(`🔑 Starting passwords written to ${file}; share them privately and delete the file\n`);
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+createStudentLogins();
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+const platformRegistry = require('../src/platforms');
+
+/**
+ * Generate the frontend platform types from the backend platform registry
+ * Run after registering a new platform adapter: npm run platforms:types
+ */
+const OUTPUT_PATH = path.join(__dirname, '../../src/types/platforms.ts');
+
+function generatePlatformTypes() {
+  const platforms = platformRegistry.getAllPlatforms().map(adapter => ({
+    id: adapter.id,
+    name: adapter.name,
+    idColumn: adapter.idColumn
+  }));
+
+  const entries = platforms
+    .map(platform => `  { id: '${platform.id}', name: '${platform.name}', idColumn: '${platform.idColumn}' },`)
+    .join('\n');
+
+  const source = `// Generated by backend/scripts/generate-platform-types.js from the platform registry.
+// Do not edit by hand, run \`npm run platforms:types\` in backend/ instead.
+
+export const PLATFORMS = [
+${entries}
+] as const;
+
+export type PlatformId = (typeof PLATFORMS)[number]['id'];
+
+export type PlatformIds = Partial<Record<PlatformId, string>>;
+
+export const getPlatformName = (platform: string): string =>
+  PLATFORMS.find((p) => p.id === platform)?.name ?? platform;
+`;
+
+  fs.writeFileSync(OUTPUT_PATH, source);
+  console.log(`✅ Wrote ${platforms.length} platforms to ${path.relative(process.cwd(), OUTPUT_PATH)}`);
+}
+
+generatePlatformTypes();
@@ -0,0 +1,58 @@
+require('dotenv').config();
+
+const platformRegistry = require('../src/platforms');
+const fetchRecorder = require('../src/platforms/recorder');
+const { PLATFORM_FETCH_CONFIG } = require('../src/utils/constants');
+
+/**
+ * Record live platform responses as replay fixtures
+ *
+ *   npm run fixtures:record                       every platform, using its test handle
+ *   npm run fixtures:record -- codeforces         one platform, using its test handle
+ *   npm run fixtures:record -- codeforces tourist one platform and handle
+ *
+ * Recordings are written to PLATFORM_RECORDINGS_DIR (tests/fixtures/recordings)
+ * and picked up by the platform contract tests.
+ */
+async function recordPlatformFixtures() {
+  const [platformArg, handleArg] = process.argv.slice(2);
+
+  // The recorder swaps the axios adapter, so switch modes before anything fetches
+  fetchRecorder.configure({ mode: PLATFORM_FETCH_CONFIG.MODES.RECORD });
+  const platformService = require('../src/services/platformService');
+
+  let adapters = platformRegistry.getAllPlatforms();
+  if (platformArg) {
+    const adapter = platformRegistry.getPlatform(platformArg);
+    if (!adapter) {
+      console.error(`❌ Unknown platform: ${platformArg}`);
+      console.error(`   Registered platforms: ${platformRegistry.getPlatformIds().join(', ')}`);
+      process.exit(1);
+    }
+    adapters = [adapter];
+  }
+
+  let failures = 0;
+
+  for (const adapter of adapters) {
+    const handle = handleArg || adapter.testHandle;
+    if (!handle) {
+      console.log(`⏭️  ${adapter.name}: no test handle, pass one to record it`);
+      continue;
+    }
+
+    try {
+      const stats = await platformService.fetchPlatformStats(adapter.id, handle);
+      console.log(`✅ ${adapter.name} (${handle}): rating ${stats.rating}, ${stats.problemsSolved} problems`);
+    } catch (error) {
+      // The failing responses are still recorded
+      failures++;
+      console.log(`⚠️  ${adapter.name} (${handle}): ${error.message}`);
+    }
+  }
+
+  console.log(`\n📁 Recordings saved under ${fetchRecorder.recordingsDir}`);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+recordPlatformFixtures();
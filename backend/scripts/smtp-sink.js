@@ -0,0 +1,60 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { SMTPServer } = require('smtp-server');
+const { EMAIL_CONFIG } = require('../src/utils/constants');
+
+/**
+ * Local SMTP sink for trying out the weekly digest
+ *
+ *   npm run smtp:sink                  listen on SMTP_PORT (1025), save to tmp/mail
+ *   npm run smtp:sink -- ./some/dir    save somewhere else
+ *
+ * Accepts every message without TLS or auth and writes it as an .eml file,
+ * which any mail client opens. Point the backend at it with SMTP_HOST=localhost.
+ */
+const outputDir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'tmp', 'mail'));
+fs.mkdirSync(outputDir, { recursive: true });
+
+// Subject header unfolded, with =?UTF-8?Q?...?= and =?UTF-8?B?...?= words decoded
+const readSubject = (message) => {
+  const headers = message.split(/\r?\n\r?\n/)[0].replace(/\r?\n[ \t]+/g, ' ');
+  const subject = (headers.match(/^Subject: (.*)$/mi) || [])[1];
+  if (!subject) return '(no subject)';
+
+  return subject
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?[^?]+\?([QB])\?([^?]*)\?=/gi, (word, encoding, text) => (encoding.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64').toString()
+      : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (hex, code) => String.fromCharCode(parseInt(code, 16))), 'latin1').toString()));
+};
+
+const server = new SMTPServer({
+  authOptional: true,
+  disabledCommands: ['STARTTLS'],
+  onData(stream, session, callback) {
+    const file = path.join(outputDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${session.id}.eml`);
+    const chunks = [];
+
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => {
+      const message = Buffer.concat(chunks);
+      fs.writeFileSync(file, message);
+
+      const subject = readSubject(message.toString());
+      const to = session.envelope.rcptTo.map(({ address }) => address).join(', ');
+      console.log(`📧 ${subject}`);
+      console.log(`   To: ${to}`);
+      console.log(`   Saved: ${file}`);
+      callback();
+    });
+  }
+});
+
+server.on('error', error => console.error('❌ SMTP sink error:', error.message));
+
+server.listen(EMAIL_CONFIG.SMTP_PORT, () => {
+  console.log(`📭 SMTP sink listening on port ${EMAIL_CONFIG.SMTP_PORT}`);
+  console.log(`   Messages are saved to ${outputDir}\n`);
+});
@@ -6,6 +6,7 @@ const compression = require('compression');
 // Import middleware
 const { globalErrorHandler, handleNotFound } = require('./middleware/errorHandler');
 const { apiLimiter, rateLimitInfo } = require('./middleware/rateLimiter');
+const { protect, restrictTo } = require('./middleware/auth');
 const logger = require('./utils/logger');
 
 // Import routes
@@ -15,7 +16,7 @@ const studentsRoutes = require('./routes/students');
 const analyticsRoutes = require('./routes/analytics');
 
 // Import utilities
-const { HTTP_STATUS } = require('./utils/constants');
+const { HTTP_STATUS, STAFF_ROLES } = require('./utils/constants');
 
 /**
  * Express Application Setup
@@ -45,7 +46,9 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  // Lets the dashboard read the file name of an export
+  exposedHeaders: ['Content-Disposition']
 };
 
 app.use(cors(corsOptions));
@@ -152,13 +155,6 @@ app.get('/api/health', async (req, res) => {
 // Apply rate limiting to all API routes
 app.use('/api', apiLimiter);
 
-// Mount routes
-app.use('/api/upload', uploadRoutes);
-app.use('/api/jobs', progressRoutes);
-app.use('/api/students', studentsRoutes);
-app.use('/api/analytics', analyticsRoutes);
-app.use('/api/scraper', require('./routes/scraper'));
-
 // API root endpoint
 app.get('/api', (req, res) => {
   res.status(HTTP_STATUS.OK).json({
@@ -167,16 +163,45 @@ app.get('/api', (req, res) => {
     version: '1.0.0',
     documentation: '/api/docs',
     endpoints: {
+      auth: '/api/auth',
+      users: '/api/users',
+      portal: '/api/portal',
+      corrections: '/api/corrections',
       upload: '/api/upload',
       jobs: '/api/jobs',
       students: '/api/students',
       analytics: '/api/analytics',
+      alerts: '/api/alerts',
+      webhooks: '/api/webhooks',
+      reports: '/api/reports',
       health: '/api/health'
     },
     timestamp: new Date().toISOString()
   });
 });
 
+// Logging in is the only other route open without a token
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api', protect);
+
+// Students only reach their own portal; everything else is for staff
+app.use('/api/portal', require('./routes/portal'));
+app.use('/api', restrictTo(...STAFF_ROLES));
+
+// Mount routes
+app.use('/api/users', require('./routes/users'));
+app.use('/api', require('./routes/export'));
+app.use('/api/upload', uploadRoutes);
+app.use('/api/jobs', progressRoutes);
+app.use('/api/students', studentsRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/scraper', require('./routes/scraper'));
+app.use('/api/settings', require('./routes/settings'));
+app.use('/api/alerts', require('./routes/alerts'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/corrections', require('./routes/corrections'));
+app.use('/api/reports', require('./routes/reports'));
+
 // ============================================
 // ERROR HANDLING
 // ============================================
@@ -1,10 +1,11 @@
 const { Queue, Worker, QueueEvents } = require('bullmq');
 const redisClient = require('./redis');
 const logger = require('../utils/logger');
+const { WEBHOOK_CONFIG } = require('../utils/constants');
 
 /**
  * Queue Configuration
- * Handles BullMQ setup for processing student data
+ * Handles BullMQ setup for processing student data and delivering webhooks
  */
 class QueueManager {
   constructor() {
@@ -32,15 +33,7 @@ class QueueManager {
         });
       }
 
-      const redisConnection = {
-        host: process.env.REDIS_HOST || 'localhost',
-        port: process.env.REDIS_PORT || 6379,
-        db: process.env.REDIS_DB || 0,
-      };
-
-      if (process.env.REDIS_PASSWORD) {
-        redisConnection.password = process.env.REDIS_PASSWORD;
-      }
+      const redisConnection = this.getRedisConnection();
 
       // Create main processing queue
       this.queues.studentProcessing = new Queue('student-processing', {
@@ -73,6 +66,23 @@ class QueueManager {
     }
   }
 
+  /**
+   * Redis connection options for BullMQ
+   */
+  getRedisConnection() {
+    const redisConnection = {
+      host: process.env.REDIS_HOST || 'localhost',
+      port: process.env.REDIS_PORT || 6379,
+      db: process.env.REDIS_DB || 0,
+    };
+
+    if (process.env.REDIS_PASSWORD) {
+      redisConnection.password = process.env.REDIS_PASSWORD;
+    }
+
+    return redisConnection;
+  }
+
   /**
    * Set up queue event listeners
    */
@@ -186,6 +196,47 @@ class QueueManager {
     }
   }
 
+  /**
+   * Webhook delivery queue, created on first use so any process connected
+   * to Redis (the API or the student worker) can queue deliveries
+   */
+  getWebhookQueue() {
+    if (!this.queues.webhookDelivery) {
+      this.queues.webhookDelivery = new Queue('webhook-delivery', {
+        connection: this.getRedisConnection(),
+        defaultJobOptions: {
+          removeOnComplete: 100,
+          removeOnFail: 100,
+          attempts: WEBHOOK_CONFIG.MAX_ATTEMPTS,
+          backoff: {
+            type: 'exponential',
+            delay: WEBHOOK_CONFIG.RETRY_DELAY,
+          },
+        },
+      });
+    }
+    return this.queues.webhookDelivery;
+  }
+
+  /**
+   * Add a webhook delivery to its queue
+   * Resolves to null without Redis, leaving the caller to deliver it directly
+   */
+  async addWebhookDelivery(deliveryId) {
+    if (!redisClient.isConnected) {
+      return null;
+    }
+
+    const job = await this.getWebhookQueue().add(
+      'deliver-webhook',
+      { deliveryId: String(deliveryId) },
+      { jobId: `delivery-${deliveryId}` }
+    );
+
+    logger.debug('📤 Webhook delivery added to queue', { jobId: job.id, deliveryId: String(deliveryId) });
+    return job;
+  }
+
   /**
    * Get queue statistics
    */
@@ -0,0 +1,61 @@
+const User = require('../models/User');
+const authService = require('../services/authService');
+const {
+  AppError,
+  catchAsync,
+  handleJWTError,
+  handleJWTExpiredError
+} = require('./errorHandler');
+const { HTTP_STATUS } = require('../utils/constants');
+
+/**
+ * Auth Middleware
+ * protect checks the bearer token and sets req.user; restrictTo limits a
+ * route to some roles and must come after protect.
+ */
+
+/**
+ * Require a valid token from an active user
+ */
+const protect = catchAsync(async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  if (!token) {
+    throw new AppError('You are not logged in. Please log in to get access.', HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  let payload;
+  try {
+    payload = authService.verifyToken(token);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') throw handleJWTExpiredError();
+    if (error.name === 'JsonWebTokenError') throw handleJWTError();
+    throw error;
+  }
+
+  const user = await User.findById(payload.sub);
+  if (!user || !user.isActive) {
+    throw new AppError('The user for this token no longer exists.', HTTP_STATUS.UNAUTHORIZED);
+  }
+  if (user.changedPasswordAfter(payload.iat)) {
+    throw new AppError('Password was changed recently. Please log in again.', HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  req.user = user;
+  next();
+});
+
+/**
+ * Allow only the given roles
+ */
+const restrictTo = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(new AppError('You do not have permission to perform this action', HTTP_STATUS.FORBIDDEN));
+  }
+  next();
+};
+
+module.exports = {
+  protect,
+  restrictTo
+};
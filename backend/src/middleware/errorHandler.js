@@ -280,6 +280,8 @@ module.exports = {
   catchAsync,
   globalErrorHandler,
   handleNotFound,
+  handleJWTError,
+  handleJWTExpiredError,
   createValidationError,
   createAPIError,
   createDatabaseError,
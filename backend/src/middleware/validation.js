@@ -1,6 +1,25 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { AppError, createValidationError } = require('./errorHandler');
-const { HTTP_STATUS, VALIDATION_RULES } = require('../utils/constants');
+const {
+  HTTP_STATUS,
+  VALIDATION_RULES,
+  SCORING_PROFILE,
+  RATING_SCALES,
+  ACTIVITY_CONFIG,
+  ALERT_STATUS,
+  ALERT_CONFIG,
+  EMAIL_CONFIG,
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUS,
+  ROLES,
+  AUTH_CONFIG,
+  PORTAL_CONFIG,
+  CORRECTION_STATUS,
+  REPORT_TYPES,
+  REPORT_CONFIG,
+  EXCEL_CONFIG
+} = require('../utils/constants');
+const platformRegistry = require('../platforms');
 
 /**
  * Validation Middleware
@@ -88,13 +107,13 @@ const validatePlatformId = (platform) => [
   body(`platformIds.${platform}`)
     .optional({ nullable: true, checkFalsy: true })
     .trim()
-    .isLength({ 
-      min: VALIDATION_RULES.PLATFORM_ID.MIN_LENGTH, 
-      max: VALIDATION_RULES.PLATFORM_ID.MAX_LENGTH 
+    .custom((value) => {
+      const validation = platformRegistry.getPlatform(platform).validateId(value);
+      if (!validation.isValid) {
+        throw new Error(validation.error);
+      }
+      return true;
     })
-    .withMessage(`${platform} ID must be between ${VALIDATION_RULES.PLATFORM_ID.MIN_LENGTH} and ${VALIDATION_RULES.PLATFORM_ID.MAX_LENGTH} characters`)
-    .matches(VALIDATION_RULES.PLATFORM_ID.PATTERN)
-    .withMessage(`${platform} ID can only contain letters, numbers, dots, hyphens, and underscores`)
 ];
 
 /**
@@ -209,8 +228,7 @@ const validatePlatformFilter = () => [
         throw new Error('Platforms must be an array');
       }
       
-      const validPlatforms = ['codeforces', 'codechef', 'leetcode', 'atcoder', 'codolio', 'github'];
-      const invalidPlatforms = value.filter(platform => !validPlatforms.includes(platform));
+      const invalidPlatforms = value.filter(platform => !platformRegistry.isSupported(platform));
       
       if (invalidPlatforms.length > 0) {
         throw new Error(`Invalid platforms: ${invalidPlatforms.join(', ')}`);
@@ -220,6 +238,51 @@ const validatePlatformFilter = () => [
     })
 ];
 
+/**
+ * Contest history query validation
+ */
+const validateContestQuery = () => [
+  query('platform')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .custom((value) => {
+      if (!platformRegistry.getContestPlatformIds().includes(value)) {
+        throw new Error(`Platform must be one of: ${platformRegistry.getContestPlatformIds().join(', ')}`);
+      }
+      return true;
+    }),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+    .toInt()
+];
+
+/**
+ * Contest standings validation
+ */
+const validateContestStandings = () => [
+  param('platform')
+    .trim()
+    .toLowerCase()
+    .custom((value) => {
+      if (!platformRegistry.getContestPlatformIds().includes(value)) {
+        throw new Error(`Platform must be one of: ${platformRegistry.getContestPlatformIds().join(', ')}`);
+      }
+      return true;
+    }),
+  param('contestId')
+    .trim()
+    .matches(/^[a-zA-Z0-9_-]{1,100}$/)
+    .withMessage('Contest ID can only contain letters, numbers, hyphens and underscores'),
+  query('refresh')
+    .optional()
+    .isBoolean()
+    .withMessage('Refresh must be true or false')
+    .toBoolean()
+];
+
 /**
  * Performance level filter validation
  */
@@ -256,12 +319,7 @@ const validateStudentCreation = () => [
     .optional()
     .isObject()
     .withMessage('Platform IDs must be an object'),
-  ...validatePlatformId('codeforces'),
-  ...validatePlatformId('codechef'),
-  ...validatePlatformId('leetcode'),
-  ...validatePlatformId('atcoder'),
-  ...validatePlatformId('codolio'),
-  ...validatePlatformId('github'),
+  ...platformRegistry.getPlatformIds().flatMap(platform => validatePlatformId(platform)),
   body('platformIds')
     .custom((platformIds) => {
       if (!platformIds || typeof platformIds !== 'object') {
@@ -281,16 +339,37 @@ const validateStudentCreation = () => [
 ];
 
 /**
- * Student update validation
+ * Student registration number in the path
  */
-const validateStudentUpdate = () => [
+const validateStudentRegNo = () => [
   param('regNo')
     .trim()
     .notEmpty()
     .withMessage('Registration number is required')
     .matches(VALIDATION_RULES.REG_NO.PATTERN)
     .withMessage('Invalid registration number format')
-    .toUpperCase(),
+    .toUpperCase()
+];
+
+/**
+ * Accepting or dismissing suggested handles; all of them without platforms
+ */
+const validateSuggestionDecision = () => [
+  ...validateStudentRegNo(),
+  body('platforms')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Platforms must be a non-empty array'),
+  body('platforms.*')
+    .custom((value) => platformRegistry.isSupported(value))
+    .withMessage('Invalid platform')
+];
+
+/**
+ * Student update validation
+ */
+const validateStudentUpdate = () => [
+  ...validateStudentRegNo(),
   body('name')
     .optional()
     .trim()
@@ -318,12 +397,25 @@ const validateStudentUpdate = () => [
     .optional()
     .isObject()
     .withMessage('Platform IDs must be an object'),
+  ...platformRegistry.getPlatformIds().flatMap(platform => validatePlatformId(platform)),
   body('isActive')
     .optional()
     .isBoolean()
     .withMessage('isActive must be a boolean')
 ];
 
+/**
+ * Student audit log query validation
+ */
+const validateAuditQuery = () => [
+  ...validateStudentRegNo(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+    .toInt()
+];
+
 /**
  * Bulk operation validation
  */
@@ -358,6 +450,595 @@ const validateAnalyticsQuery = () => [
   ...validatePerformanceLevelFilter()
 ];
 
+/**
+ * Topic mastery query validation
+ */
+const validateTopicsQuery = () => [
+  query('regNo')
+    .optional()
+    .trim()
+    .matches(VALIDATION_RULES.REG_NO.PATTERN)
+    .withMessage('Registration number can only contain letters and numbers')
+    .toUpperCase(),
+  query(['department', 'year'])
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Department and year must be at most 50 characters')
+];
+
+/**
+ * Activity calendar query validation
+ * Days are YYYY-MM-DD; a range reads at most MAX_RANGE_DAYS days
+ */
+const validateActivityQuery = () => [
+  query(['from', 'to'])
+    .optional()
+    .trim()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('From and to must be dates as YYYY-MM-DD')
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage('From and to must be valid dates'),
+  query('from')
+    .optional()
+    .custom((from, { req }) => {
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const days = Math.floor((to - new Date(from)) / (24 * 60 * 60 * 1000)) + 1;
+      if (days < 1) {
+        throw new Error('From must not be after to');
+      }
+      if (days > ACTIVITY_CONFIG.MAX_RANGE_DAYS) {
+        throw new Error(`Activity can be read for at most ${ACTIVITY_CONFIG.MAX_RANGE_DAYS} days at a time`);
+      }
+      return true;
+    }),
+  query(['department', 'year'])
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Department and year must be at most 50 characters')
+];
+
+/**
+ * Inactive students query validation
+ */
+const validateInactiveQuery = () => [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: ACTIVITY_CONFIG.HISTORY_DAYS })
+    .withMessage(`Days must be between 1 and ${ACTIVITY_CONFIG.HISTORY_DAYS}`)
+    .toInt(),
+  query(['department', 'year'])
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Department and year must be at most 50 characters')
+];
+
+/**
+ * Platform heatmap query validation
+ */
+const validateHeatmapQuery = () => [
+  query(['department', 'year'])
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Department and year must be at most 50 characters')
+];
+
+/**
+ * Scoring profile validation
+ * Every group is optional and left-out groups keep their current values;
+ * component weights and thresholds are sent whole so they stay consistent
+ */
+const validateScoringProfile = () => [
+  body('platformWeights')
+    .optional()
+    .isObject()
+    .withMessage('Platform weights must be an object')
+    .custom((weights) => {
+      Object.entries(weights).forEach(([platform, weight]) => {
+        if (!platformRegistry.isSupported(platform)) {
+          throw new Error(`Unknown weight key: ${platform}`);
+        }
+        if (typeof weight !== 'number' || weight < 0 || weight > SCORING_PROFILE.MAX_PLATFORM_WEIGHT) {
+          throw new Error(`Weight for ${platform} must be a number between 0 and ${SCORING_PROFILE.MAX_PLATFORM_WEIGHT}`);
+        }
+      });
+      return true;
+    }),
+  body(['caps.rating', 'caps.problemsSolved', 'caps.contests'])
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Caps must be at least 1')
+    .toFloat(),
+  body(['componentWeights.rating', 'componentWeights.problemsSolved', 'componentWeights.contests'])
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Component weights must be between 0 and 1')
+    .toFloat(),
+  body('componentWeights')
+    .optional()
+    .custom((weights) => {
+      const keys = ['rating', 'problemsSolved', 'contests'];
+      if (!keys.every(key => key in weights)) {
+        throw new Error('Component weights need rating, problemsSolved and contests');
+      }
+      const total = keys.reduce((sum, key) => sum + Number(weights[key]), 0);
+      if (Math.abs(total - 1) > 0.001) {
+        throw new Error('Component weights must add up to 1');
+      }
+      return true;
+    }),
+  body(['difficultyWeights.easy', 'difficultyWeights.medium', 'difficultyWeights.hard'])
+    .optional()
+    .isFloat({ min: 0, max: SCORING_PROFILE.MAX_DIFFICULTY_WEIGHT })
+    .withMessage(`Difficulty weights must be between 0 and ${SCORING_PROFILE.MAX_DIFFICULTY_WEIGHT}`)
+    .toFloat(),
+  body('ratingScale.mode')
+    .optional()
+    .isIn(Object.values(RATING_SCALES))
+    .withMessage(`Rating scale must be one of: ${Object.values(RATING_SCALES).join(', ')}`),
+  body('ratingScale.reference')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Reference percentiles must be an object')
+    .custom((reference) => {
+      Object.entries(reference).forEach(([key, points]) => {
+        if (!platformRegistry.isSupported(key)) {
+          throw new Error(`Unknown reference key: ${key}`);
+        }
+        const isValid = Array.isArray(points) && points.length >= 2 && points.every((point, i) =>
+          Array.isArray(point) && point.length === 2 &&
+          point.every(value => typeof value === 'number') &&
+          point[1] >= 0 && point[1] <= 100 &&
+          (i === 0 || (point[0] > points[i - 1][0] && point[1] >= points[i - 1][1]))
+        );
+        if (!isValid) {
+          throw new Error(`Reference for ${key} must be at least two [rating, percentile] pairs in ascending order`);
+        }
+      });
+      return true;
+    }),
+  body(['thresholds.high', 'thresholds.medium'])
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Thresholds must be between 0 and 100')
+    .toFloat(),
+  body('thresholds')
+    .optional()
+    .custom((thresholds) => {
+      if (!('high' in thresholds && 'medium' in thresholds)) {
+        throw new Error('Thresholds need both high and medium');
+      }
+      if (Number(thresholds.high) <= Number(thresholds.medium)) {
+        throw new Error('High threshold must be above the medium threshold');
+      }
+      return true;
+    }),
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note must be at most 200 characters')
+];
+
+/**
+ * Notification settings validation
+ * Every field is optional; left-out fields keep their saved values
+ */
+const validateNotificationSettings = () => [
+  body('performanceAlerts')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Performance alerts must be true or false'),
+  body('alertRules')
+    .optional()
+    .isObject()
+    .withMessage('Alert rules must be an object')
+    .bail()
+    .custom((rules) => {
+      const known = ['scoreDrop', 'ratingDrop', 'inactivity', 'fetchFailures'];
+      const unknown = Object.keys(rules).filter(rule => !known.includes(rule));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown alert rules: ${unknown.join(', ')}`);
+      }
+      Object.values(rules).forEach((options) => {
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+          throw new Error('Each alert rule must be an object');
+        }
+      });
+      return true;
+    }),
+  body('alertRules.*.enabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Alert rule switches must be true or false'),
+  body('alertRules.scoreDrop.points')
+    .optional()
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Score drop must be between 1 and 100 points'),
+  body('alertRules.ratingDrop.points')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Rating drop must be between 1 and 1000 points'),
+  body('alertRules.inactivity.days')
+    .optional()
+    .isInt({ min: 1, max: ACTIVITY_CONFIG.HISTORY_DAYS })
+    .withMessage(`Inactivity must be between 1 and ${ACTIVITY_CONFIG.HISTORY_DAYS} days`),
+  body('alertRules.fetchFailures.runs')
+    .optional()
+    .isInt({ min: 1, max: ALERT_CONFIG.HISTORY_WINDOW })
+    .withMessage(`Failed runs must be between 1 and ${ALERT_CONFIG.HISTORY_WINDOW}`),
+  body('emailDigest')
+    .optional()
+    .isObject()
+    .withMessage('Email digest must be an object'),
+  body('emailDigest.enabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Email digest must be switched true or false'),
+  body('emailDigest.recipients')
+    .optional()
+    .isArray({ max: EMAIL_CONFIG.MAX_RECIPIENTS })
+    .withMessage(`Digest recipients must be a list of at most ${EMAIL_CONFIG.MAX_RECIPIENTS} emails`),
+  body('emailDigest.recipients.*')
+    .isEmail()
+    .withMessage('Each digest recipient must be a valid email'),
+  body('emailDigest.coordinators')
+    .optional()
+    .isArray({ max: EMAIL_CONFIG.MAX_RECIPIENTS })
+    .withMessage(`Coordinators must be a list of at most ${EMAIL_CONFIG.MAX_RECIPIENTS}`),
+  body('emailDigest.coordinators.*.department')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each coordinator needs a department'),
+  body('emailDigest.coordinators.*.emails')
+    .isArray({ min: 1, max: EMAIL_CONFIG.MAX_RECIPIENTS })
+    .withMessage('Each coordinator needs at least one email'),
+  body('emailDigest.coordinators.*.emails.*')
+    .isEmail()
+    .withMessage('Each coordinator email must be a valid email')
+];
+
+/**
+ * Alert list query validation
+ * "active" lists open and acknowledged alerts
+ */
+const validateAlertQuery = () => [
+  query('status')
+    .optional()
+    .isIn([...Object.values(ALERT_STATUS), 'active', 'all'])
+    .withMessage(`Status must be one of: ${[...Object.values(ALERT_STATUS), 'active', 'all'].join(', ')}`),
+  query('regNo')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Registration number must be at most 20 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+/**
+ * Alert ID validation
+ */
+const validateAlertId = () => [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid alert ID')
+];
+
+/**
+ * Webhook validation; on updates every field is optional
+ */
+const validateWebhook = ({ partial = false } = {}) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  const events = Object.values(WEBHOOK_EVENTS);
+
+  return [
+    field('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be 1-100 characters'),
+    field('url')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('URL must be an http or https address'),
+    field('events')
+      .isArray({ min: 1 })
+      .withMessage('Pick at least one event')
+      .bail()
+      .custom((values) => {
+        const unknown = values.filter(event => !events.includes(event));
+        if (unknown.length > 0) {
+          throw new Error(`Unknown events: ${unknown.join(', ')}. Events: ${events.join(', ')}`);
+        }
+        return true;
+      }),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Description must be at most 300 characters'),
+    body('enabled')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Enabled must be true or false'),
+    body('secret')
+      .optional()
+      .isString()
+      .isLength({ min: 16, max: 200 })
+      .withMessage('Secret must be 16-200 characters')
+  ];
+};
+
+/**
+ * Webhook ID validation
+ */
+const validateWebhookId = () => [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid webhook ID')
+];
+
+/**
+ * Webhook delivery log query validation
+ */
+const validateDeliveryQuery = () => [
+  query('webhookId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid webhook ID'),
+  query('status')
+    .optional()
+    .isIn(Object.values(DELIVERY_STATUS))
+    .withMessage(`Status must be one of: ${Object.values(DELIVERY_STATUS).join(', ')}`),
+  query('event')
+    .optional()
+    .isIn(Object.values(WEBHOOK_EVENTS))
+    .withMessage(`Event must be one of: ${Object.values(WEBHOOK_EVENTS).join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+/**
+ * Webhook delivery ID validation
+ */
+const validateDeliveryId = () => [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid delivery ID')
+];
+
+/**
+ * Password as typed at login; only checked for being there
+ */
+const loginPasswordRule = () => body('password')
+  .isString()
+  .withMessage('Password is required')
+  .bail()
+  .notEmpty()
+  .withMessage('Password is required');
+
+/**
+ * Login validation
+ */
+const validateLogin = () => [
+  body('email')
+    .isEmail()
+    .withMessage('Email must be a valid address')
+    .normalizeEmail({ gmail_remove_dots: false }),
+  loginPasswordRule()
+];
+
+/**
+ * Student login validation
+ */
+const validateStudentLogin = () => [
+  ...validateRegNo(),
+  loginPasswordRule()
+];
+
+/**
+ * Password rule shared by user creation and password changes
+ */
+const passwordRule = (name) => body(name)
+  .isString()
+  .withMessage('Password is required')
+  .bail()
+  .isLength({ min: AUTH_CONFIG.MIN_PASSWORD_LENGTH, max: 128 })
+  .withMessage(`Password must be ${AUTH_CONFIG.MIN_PASSWORD_LENGTH}-128 characters`);
+
+/**
+ * Password change validation
+ */
+const validatePasswordChange = () => [
+  body('currentPassword')
+    .isString()
+    .withMessage('Current password is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Current password is required'),
+  passwordRule('newPassword')
+];
+
+/**
+ * User validation; partial allows left-out fields for updates
+ */
+const validateUser = ({ partial = false } = {}) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  // Staff log in by email, students by register number
+  const requiredFor = (isStudent) => (value, { req }) =>
+    value !== undefined || (!partial && (req.body.role === ROLES.STUDENT) === isStudent);
+
+  return [
+    body('email')
+      .if(requiredFor(false))
+      .isEmail()
+      .withMessage('Email must be a valid address')
+      .normalizeEmail({ gmail_remove_dots: false }),
+    body('regNo')
+      .if(requiredFor(true))
+      .isString()
+      .trim()
+      .matches(VALIDATION_RULES.REG_NO.PATTERN)
+      .withMessage('Student logins need a registration number of letters and numbers')
+      .toUpperCase(),
+    field('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be 1-100 characters'),
+    partial ? passwordRule('password').optional() : passwordRule('password'),
+    body('role')
+      .optional()
+      .isIn(Object.values(ROLES))
+      .withMessage(`Role must be one of: ${Object.values(ROLES).join(', ')}`),
+    body('department')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Department must be at most 50 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('isActive must be true or false')
+  ];
+};
+
+/**
+ * Optional free-text note
+ */
+const noteRule = (name) => body(name)
+  .optional({ nullable: true })
+  .isString()
+  .trim()
+  .isLength({ max: PORTAL_CONFIG.MAX_NOTE_LENGTH })
+  .withMessage(`Note must be at most ${PORTAL_CONFIG.MAX_NOTE_LENGTH} characters`);
+
+/**
+ * Handle correction request validation; the handle must pass the platform's own ID check
+ */
+const validateCorrectionRequest = () => [
+  body('platform')
+    .isIn(platformRegistry.getPlatformIds())
+    .withMessage(`Platform must be one of: ${platformRegistry.getPlatformIds().join(', ')}`),
+  body('handle')
+    .isString()
+    .withMessage('Handle is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Handle is required')
+    .bail()
+    .custom((value, { req }) => {
+      if (!platformRegistry.isSupported(req.body.platform)) return true;
+      const validation = platformRegistry.getPlatform(req.body.platform).validateId(value);
+      if (!validation.isValid) {
+        throw new Error(validation.error);
+      }
+      return true;
+    }),
+  noteRule('note')
+];
+
+/**
+ * Handle correction review validation
+ */
+const validateCorrectionReview = () => [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid correction ID'),
+  noteRule('note')
+];
+
+/**
+ * Handle correction queue query validation
+ */
+const validateCorrectionQuery = () => [
+  query('status')
+    .optional()
+    .isIn([...Object.values(CORRECTION_STATUS), 'all'])
+    .withMessage(`Status must be one of: ${[...Object.values(CORRECTION_STATUS), 'all'].join(', ')}`),
+  query('department')
+    .optional()
+    .trim(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+    .toInt()
+];
+
+/**
+ * User list query validation
+ */
+const validateUserQuery = () => [
+  query('role')
+    .optional()
+    .isIn(Object.values(ROLES))
+    .withMessage(`Role must be one of: ${Object.values(ROLES).join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+    .toInt()
+];
+
+/**
+ * User ID validation
+ */
+const validateUserId = () => [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+/**
+ * Leaderboard query validation
+ */
+const validateLeaderboardQuery = () => [
+  query('metric')
+    .optional()
+    .isIn(['score', 'percentile'])
+    .withMessage('Metric must be score or percentile'),
+  query('scale')
+    .optional()
+    .isIn([RATING_SCALES.COHORT, RATING_SCALES.REFERENCE])
+    .withMessage(`Scale must be ${RATING_SCALES.COHORT} or ${RATING_SCALES.REFERENCE}`),
+  query('platform')
+    .optional()
+    .custom((value) => platformRegistry.isSupported(value))
+    .withMessage('Invalid platform'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+/**
+ * Scoring profile version validation
+ */
+const validateScoringVersion = () => [
+  param('version')
+    .isInt({ min: 0 })
+    .withMessage('Version must be a non-negative integer')
+    .toInt()
+];
+
 /**
  * Export validation middleware
  */
@@ -379,7 +1060,8 @@ const validateExport = () => [
       
       const validFields = [
         'regNo', 'name', 'department', 'year', 'overallScore', 
-        'performanceLevel', 'trend', 'platformScores', 'createdAt', 'lastUpdated'
+        'performanceLevel', 'trend', 'platformScores', 'createdAt', 'lastUpdated',
+        'weekLabel', 'previousScore', 'change'
       ];
       
       const invalidFields = value.filter(field => !validFields.includes(field.trim()));
@@ -392,6 +1074,122 @@ const validateExport = () => [
     })
 ];
 
+/**
+ * Export filter validation, matching the dashboard and weekly comparison filters
+ */
+const validateExportFilters = () => [
+  query(['department', 'year'])
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Department and year must be at most 50 characters'),
+  query('platform')
+    .optional()
+    .custom((value) => value === 'all' || platformRegistry.isSupported(value))
+    .withMessage('Invalid platform'),
+  ...validatePerformanceLevelFilter(),
+  query('weekId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Invalid week')
+];
+
+/**
+ * Report generation validation; department and student reports need their subject
+ */
+const validateReport = () => [
+  body('type')
+    .isIn(Object.values(REPORT_TYPES))
+    .withMessage(`Type must be one of: ${Object.values(REPORT_TYPES).join(', ')}`),
+  body('department')
+    .if(body('type').equals(REPORT_TYPES.DEPARTMENT))
+    .isString()
+    .withMessage('Department is required for a department report')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Department is required for a department report'),
+  body('department')
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Department must be at most 50 characters'),
+  body('regNo')
+    .if(body('type').equals(REPORT_TYPES.STUDENT))
+    .isString()
+    .withMessage('Registration number is required for a student report')
+    .bail()
+    .trim()
+    .matches(VALIDATION_RULES.REG_NO.PATTERN)
+    .withMessage('Registration number can only contain letters and numbers')
+    .toUpperCase(),
+  body('weekId')
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Invalid week'),
+  body('weeks')
+    .optional()
+    .isInt({ min: 2, max: REPORT_CONFIG.MAX_GROWTH_WEEKS })
+    .withMessage(`Weeks must be between 2 and ${REPORT_CONFIG.MAX_GROWTH_WEEKS}`)
+    .toInt()
+];
+
+/**
+ * Report list query validation
+ */
+const validateReportQuery = () => [
+  query('type')
+    .optional()
+    .isIn([...Object.values(REPORT_TYPES), 'all'])
+    .withMessage(`Type must be one of: ${[...Object.values(REPORT_TYPES), 'all'].join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: REPORT_CONFIG.MAX_LIST })
+    .withMessage(`Limit must be between 1 and ${REPORT_CONFIG.MAX_LIST}`)
+    .toInt()
+];
+
+/**
+ * Report ID validation
+ */
+const validateReportId = () => [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid report ID')
+];
+
+/**
+ * Upload preview ID validation
+ */
+const validatePreviewId = () => [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid preview ID')
+];
+
+/**
+ * Upload preview confirmation; skip and deactivate list registration numbers
+ */
+const validatePreviewConfirm = () => [
+  ...validatePreviewId(),
+  ...['skip', 'deactivate'].flatMap(field => [
+    body(field)
+      .optional()
+      .isArray({ max: EXCEL_CONFIG.MAX_STUDENTS })
+      .withMessage(`${field} must be an array with at most ${EXCEL_CONFIG.MAX_STUDENTS} items`),
+    body(`${field}.*`)
+      .isString()
+      .trim()
+      .matches(VALIDATION_RULES.REG_NO.PATTERN)
+      .withMessage('Invalid registration number format')
+      .toUpperCase()
+  ])
+];
+
 module.exports = {
   handleValidationErrors,
   validateRegNo,
@@ -404,11 +1202,45 @@ module.exports = {
   validateSearch,
   validateDateRange,
   validatePlatformFilter,
+  validateContestQuery,
+  validateContestStandings,
   validatePerformanceLevelFilter,
   validateTrendFilter,
   validateStudentCreation,
+  validateStudentRegNo,
   validateStudentUpdate,
+  validateSuggestionDecision,
   validateBulkOperation,
+  validateAuditQuery,
   validateAnalyticsQuery,
-  validateExport
+  validateLeaderboardQuery,
+  validateTopicsQuery,
+  validateActivityQuery,
+  validateInactiveQuery,
+  validateHeatmapQuery,
+  validateNotificationSettings,
+  validateAlertQuery,
+  validateAlertId,
+  validateWebhook,
+  validateWebhookId,
+  validateDeliveryQuery,
+  validateDeliveryId,
+  validateLogin,
+  validateStudentLogin,
+  validatePasswordChange,
+  validateUser,
+  validateUserId,
+  validateUserQuery,
+  validateCorrectionRequest,
+  validateCorrectionReview,
+  validateCorrectionQuery,
+  validateScoringProfile,
+  validateScoringVersion,
+  validateExport,
+  validateExportFilters,
+  validateReport,
+  validateReportQuery,
+  validateReportId,
+  validatePreviewId,
+  validatePreviewConfirm
 };
\ No newline at end of file
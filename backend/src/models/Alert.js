@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { ALERT_RULES, ALERT_STATUS, ALERT_SEVERITY } = require('../utils/constants');
+
+/**
+ * Alert Model
+ * One triggered alert rule for a student. The key names what triggered it
+ * (e.g. the contest or the run a drop was seen in), so evaluating the rules
+ * again never raises the same alert twice.
+ */
+const alertSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  rule: {
+    type: String,
+    required: true,
+    enum: Object.values(ALERT_RULES)
+  },
+  severity: {
+    type: String,
+    enum: Object.values(ALERT_SEVERITY),
+    default: ALERT_SEVERITY.WARNING
+  },
+  status: {
+    type: String,
+    enum: Object.values(ALERT_STATUS),
+    default: ALERT_STATUS.OPEN
+  },
+  regNo: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  platform: {
+    type: String,
+    default: null
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    default: null
+  },
+  // Rule-specific values behind the alert, e.g. { previousScore, score }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // What the rules were evaluated after
+  source: {
+    type: String,
+    enum: ['scrape', 'upload'],
+    required: true
+  },
+  sourceJobId: {
+    type: String,
+    default: null
+  },
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+alertSchema.index({ status: 1, createdAt: -1 });
+alertSchema.index({ regNo: 1, createdAt: -1 });
+
+// Method to acknowledge the alert (seen, still being looked into)
+alertSchema.methods.acknowledge = function() {
+  if (this.status === ALERT_STATUS.OPEN) {
+    this.status = ALERT_STATUS.ACKNOWLEDGED;
+    this.acknowledgedAt = new Date();
+  }
+};
+
+// Method to resolve the alert
+alertSchema.methods.resolve = function() {
+  if (this.status !== ALERT_STATUS.RESOLVED) {
+    if (!this.acknowledgedAt) this.acknowledgedAt = new Date();
+    this.status = ALERT_STATUS.RESOLVED;
+    this.resolvedAt = new Date();
+  }
+};
+
+// Static method to store an alert unless one with the same key exists
+// Resolves to true when the alert is new
+alertSchema.statics.raise = async function({ key, ...alert }) {
+  const result = await this.updateOne(
+    { key },
+    { $setOnInsert: alert },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return result.upsertedCount > 0;
+};
+
+// Static method to count alerts per status
+alertSchema.statics.countByStatus = async function() {
+  const groups = await this.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const counts = Object.fromEntries(Object.values(ALERT_STATUS).map(status => [status, 0]));
+  groups.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+  return counts;
+};
+
+module.exports = mongoose.model('Alert', alertSchema);
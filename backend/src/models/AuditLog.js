@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { AUDIT_ACTIONS, AUDIT_SOURCES } = require('../utils/constants');
+
+/**
+ * AuditLog Model
+ * One change to a student made through the API: who made it, when, and
+ * each changed field's value before and after.
+ */
+const auditLogSchema = new mongoose.Schema({
+  regNo: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: Object.values(AUDIT_ACTIONS)
+  },
+  source: {
+    type: String,
+    enum: Object.values(AUDIT_SOURCES),
+    default: AUDIT_SOURCES.MANUAL
+  },
+  // Only the fields that changed; platform handles as "platformIds.<platform>"
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  }],
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept as they were at the time, so entries still read right after the user is changed or deleted
+  userName: {
+    type: String,
+    default: null
+  },
+  userRole: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ regNo: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Static method to store an entry; updates that changed nothing aren't stored
+// Resolves to the entry, or null when there was nothing to record
+auditLogSchema.statics.record = async function({ regNo, action, source, changes = [], user = null }) {
+  if (action === AUDIT_ACTIONS.UPDATE && changes.length === 0) return null;
+
+  return this.create({
+    regNo,
+    action,
+    source,
+    changes,
+    userId: user?._id || null,
+    userName: user ? user.name || user.email || user.regNo : null,
+    userRole: user?.role || null
+  });
+};
+
+// Static method to get a student's history, newest first
+auditLogSchema.statics.findByRegNo = function(regNo, limit = 50) {
+  return this.find({ regNo: regNo.toUpperCase() })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
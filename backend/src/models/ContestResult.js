@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const platformRegistry = require('../platforms');
+
+/**
+ * ContestResult Model
+ * Stores a student's result in one rated contest on one platform
+ */
+const contestResultSchema = new mongoose.Schema({
+  regNo: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  platform: {
+    type: String,
+    required: true,
+    enum: platformRegistry.getPlatformIds(),
+    lowercase: true
+  },
+  platformUserId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contestId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contestName: {
+    type: String,
+    default: null
+  },
+  contestDate: {
+    type: Date,
+    required: true
+  },
+  rank: {
+    type: Number,
+    default: null
+  },
+  // Null when the platform doesn't say what the rating was before the contest
+  oldRating: {
+    type: Number,
+    default: null
+  },
+  newRating: {
+    type: Number,
+    default: null
+  },
+  ratingChange: {
+    type: Number,
+    default: null
+  },
+  // Null when the platform doesn't report problems solved per contest
+  problemsSolved: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+contestResultSchema.index({ regNo: 1, platform: 1, contestId: 1 }, { unique: true });
+contestResultSchema.index({ regNo: 1, contestDate: -1 });
+contestResultSchema.index({ platform: 1, contestId: 1 });
+
+// Static method to get a student's contests, newest first
+contestResultSchema.statics.findByRegNo = function(regNo, { platform, limit } = {}) {
+  const query = { regNo: regNo.toUpperCase() };
+  if (platform) {
+    query.platform = platform.toLowerCase();
+  }
+
+  const cursor = this.find(query).sort({ contestDate: -1 });
+  return limit ? cursor.limit(limit) : cursor;
+};
+
+// Static method to list contests with at least one result, newest first
+contestResultSchema.statics.getRecentContests = function({ platform, limit = 20 } = {}) {
+  const match = platform ? { platform: platform.toLowerCase() } : {};
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { platform: '$platform', contestId: '$contestId' },
+        contestName: { $first: '$contestName' },
+        contestDate: { $max: '$contestDate' },
+        participants: { $sum: 1 },
+        averageRatingChange: { $avg: '$ratingChange' }
+      }
+    },
+    { $sort: { contestDate: -1 } },
+    { $limit: limit }
+  ]);
+};
+
+module.exports = mongoose.model('ContestResult', contestResultSchema);
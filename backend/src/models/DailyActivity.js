@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const platformRegistry = require('../platforms');
+
+/**
+ * DailyActivity Model
+ * Stores how many submissions (or contributions, on GitHub) a student made on
+ * one platform on one day. Days are YYYY-MM-DD strings, so ranges compare as text.
+ * accepted counts that day's accepted submissions, null where the platform
+ * doesn't say.
+ */
+const dailyActivitySchema = new mongoose.Schema({
+  regNo: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  platform: {
+    type: String,
+    required: true,
+    enum: platformRegistry.getPlatformIds(),
+    lowercase: true
+  },
+  platformUserId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  count: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  accepted: {
+    type: Number,
+    default: null,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+dailyActivitySchema.index({ regNo: 1, platform: 1, date: 1 }, { unique: true });
+dailyActivitySchema.index({ date: 1 });
+
+// Static method to get a student's activity between two days (inclusive), oldest first
+dailyActivitySchema.statics.findByRegNo = function(regNo, { from, to } = {}) {
+  const query = { regNo: regNo.toUpperCase(), count: { $gt: 0 } };
+  if (from || to) {
+    query.date = {};
+    if (from) query.date.$gte = from;
+    if (to) query.date.$lte = to;
+  }
+
+  return this.find(query).sort({ date: 1 });
+};
+
+// Static method to get the newest day stored for a student on a platform
+dailyActivitySchema.statics.getLatestDate = async function(regNo, platform) {
+  const latest = await this.findOne({ regNo: regNo.toUpperCase(), platform: platform.toLowerCase() })
+    .sort({ date: -1 })
+    .select('date')
+    .lean();
+
+  return latest ? latest.date : null;
+};
+
+// Static method to count active students and submissions per day
+dailyActivitySchema.statics.getCohortDays = function({ from, to, regNos = null }) {
+  const match = { date: { $gte: from, $lte: to }, count: { $gt: 0 } };
+  if (regNos) match.regNo = { $in: regNos };
+
+  return this.aggregate([
+    { $match: match },
+    { $group: { _id: { date: '$date', regNo: '$regNo' }, count: { $sum: '$count' } } },
+    {
+      $group: {
+        _id: '$_id.date',
+        activeStudents: { $sum: 1 },
+        submissions: { $sum: '$count' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+// Static method to get each student's solving days and last accepted day on the given platforms
+dailyActivitySchema.statics.getSolvingSummaries = function({ regNos = null, platforms }) {
+  const match = { platform: { $in: platforms }, count: { $gt: 0 } };
+  if (regNos) match.regNo = { $in: regNos };
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$regNo',
+        dates: { $addToSet: '$date' },
+        lastAcceptedDate: { $max: { $cond: [{ $gt: ['$accepted', 0] }, '$date', null] } }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('DailyActivity', dailyActivitySchema);
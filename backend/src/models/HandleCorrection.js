@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const platformRegistry = require('../platforms');
+const { CORRECTION_STATUS, PORTAL_CONFIG } = require('../utils/constants');
+
+/**
+ * HandleCorrection Model
+ * A student's request to change one of their platform handles. It waits
+ * for a coordinator or admin; only approval writes it to Student.platformIds.
+ */
+const handleCorrectionSchema = new mongoose.Schema({
+  regNo: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  department: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  platform: {
+    type: String,
+    required: true,
+    enum: platformRegistry.getPlatformIds()
+  },
+  // The handle when the request was made, so reviewers see what changes
+  currentHandle: {
+    type: String,
+    default: null
+  },
+  requestedHandle: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: PORTAL_CONFIG.MAX_NOTE_LENGTH,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: Object.values(CORRECTION_STATUS),
+    default: CORRECTION_STATUS.PENDING
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: PORTAL_CONFIG.MAX_NOTE_LENGTH,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+handleCorrectionSchema.index({ status: 1, createdAt: -1 });
+handleCorrectionSchema.index({ regNo: 1, createdAt: -1 });
+// At most one pending request per student and platform
+handleCorrectionSchema.index(
+  { regNo: 1, platform: 1 },
+  { unique: true, partialFilterExpression: { status: CORRECTION_STATUS.PENDING } }
+);
+
+// Method to record a reviewer's decision
+handleCorrectionSchema.methods.review = function({ approve, reviewer, note = null }) {
+  this.status = approve ? CORRECTION_STATUS.APPROVED : CORRECTION_STATUS.REJECTED;
+  this.reviewedBy = reviewer?._id || null;
+  this.reviewedAt = new Date();
+  this.reviewNote = note;
+  return this;
+};
+
+// Static method to find the pending request for a student's platform
+handleCorrectionSchema.statics.findPending = function(regNo, platform) {
+  return this.findOne({ regNo: regNo.toUpperCase(), platform, status: CORRECTION_STATUS.PENDING });
+};
+
+module.exports = mongoose.model('HandleCorrection', handleCorrectionSchema);
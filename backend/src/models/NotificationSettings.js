@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { ALERT_CONFIG } = require('../utils/constants');
+
+/**
+ * NotificationSettings Model
+ * The single settings document behind the Notifications section of the
+ * Settings page: whether performance alerts are raised, each alert rule's
+ * switch and threshold, and who gets the weekly email digest.
+ */
+const ruleSettings = (thresholdField, defaultValue, max) => ({
+  enabled: { type: Boolean, default: true },
+  [thresholdField]: { type: Number, default: defaultValue, min: 1, max }
+});
+
+const notificationSettingsSchema = new mongoose.Schema({
+  performanceAlerts: {
+    type: Boolean,
+    default: true
+  },
+  alertRules: {
+    scoreDrop: ruleSettings('points', ALERT_CONFIG.SCORE_DROP_POINTS, 100),
+    ratingDrop: ruleSettings('points', ALERT_CONFIG.RATING_DROP_POINTS, 1000),
+    inactivity: ruleSettings('days', ALERT_CONFIG.INACTIVE_DAYS, 365),
+    fetchFailures: ruleSettings('runs', ALERT_CONFIG.FETCH_FAILURE_RUNS, ALERT_CONFIG.HISTORY_WINDOW)
+  },
+  emailDigest: {
+    // Off until someone sets up the recipients
+    enabled: { type: Boolean, default: false },
+    // Faculty who get the digest for every department
+    recipients: [{ type: String, trim: true, lowercase: true }],
+    // Coordinators who get the digest for their own department only
+    coordinators: [{
+      _id: false,
+      department: { type: String, required: true, trim: true },
+      emails: [{ type: String, trim: true, lowercase: true }]
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+// Method to get the settings as the API returns them
+notificationSettingsSchema.methods.toSettings = function() {
+  const { performanceAlerts, alertRules, emailDigest } = this.toObject();
+  return { performanceAlerts, alertRules, emailDigest };
+};
+
+// Static method to get the saved settings, or the defaults when none are saved
+notificationSettingsSchema.statics.getCurrent = async function() {
+  const settings = await this.findOne();
+  return settings || new this();
+};
+
+// Static method to save changes to the settings; nested keys use dot paths,
+// e.g. { 'alertRules.scoreDrop.points': 15 }
+notificationSettingsSchema.statics.updateSettings = function(changes) {
+  return this.findOneAndUpdate({}, { $set: changes }, {
+    new: true,
+    upsert: true,
+    runValidators: true,
+    setDefaultsOnInsert: true
+  });
+};
+
+module.exports = mongoose.model('NotificationSettings', notificationSettingsSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const platformRegistry = require('../platforms');
+const scoringService = require('../services/scoringService');
 
 /**
  * PerformanceHistory Model
@@ -32,7 +34,7 @@ const performanceHistorySchema = new mongoose.Schema({
     platform: {
       type: String,
       required: true,
-      enum: ['codeforces', 'codechef', 'leetcode', 'atcoder', 'codolio', 'github']
+      enum: platformRegistry.getPlatformIds()
     },
     rating: {
       type: Number,
@@ -54,6 +56,15 @@ const performanceHistorySchema = new mongoose.Schema({
       type: Number,
       default: null
     },
+    // Solved problems per difficulty bucket, where the platform reports them
+    difficulty: {
+      type: {
+        easy: Number,
+        medium: Number,
+        hard: Number
+      },
+      default: null
+    },
     fetchStatus: {
       type: String,
       enum: ['success', 'failed', 'partial'],
@@ -69,6 +80,11 @@ const performanceHistorySchema = new mongoose.Schema({
     enum: ['high', 'medium', 'low'],
     default: 'low'
   },
+  // ScoringProfile version overallScore was calculated with (0 is the built-in formula)
+  scoringVersion: {
+    type: Number,
+    default: 0
+  },
   totalPlatforms: {
     type: Number,
     default: 0
@@ -110,45 +126,12 @@ performanceHistorySchema.virtual('successfulPlatforms').get(function() {
 });
 
 // Method to calculate overall score
-performanceHistorySchema.methods.calculateOverallScore = function() {
-  if (this.platformStats.length === 0) {
-    this.overallScore = 0;
-    return 0;
-  }
+performanceHistorySchema.methods.calculateOverallScore = function(profile) {
+  const { overallScore, performanceLevel, scoringVersion } = scoringService.scoreStudent(this.platformStats, profile);
 
-  let totalScore = 0;
-  let validPlatforms = 0;
-
-  this.platformStats.forEach(platform => {
-    if (platform.fetchStatus === 'success') {
-      // Weighted scoring based on platform
-      let platformScore = 0;
-      
-      // Rating component (40% weight)
-      const ratingScore = Math.min(platform.rating / 20, 40); // Max 40 points
-      
-      // Problems solved component (40% weight)
-      const problemsScore = Math.min(platform.problemsSolved / 5, 40); // Max 40 points
-      
-      // Contest participation component (20% weight)
-      const contestScore = Math.min(platform.contestsParticipated * 2, 20); // Max 20 points
-      
-      platformScore = ratingScore + problemsScore + contestScore;
-      totalScore += platformScore;
-      validPlatforms++;
-    }
-  });
-
-  this.overallScore = validPlatforms > 0 ? Math.round(totalScore / validPlatforms) : 0;
-  
-  // Determine performance level
-  if (this.overallScore >= 80) {
-    this.performanceLevel = 'high';
-  } else if (this.overallScore >= 50) {
-    this.performanceLevel = 'medium';
-  } else {
-    this.performanceLevel = 'low';
-  }
+  this.overallScore = overallScore;
+  this.performanceLevel = performanceLevel;
+  this.scoringVersion = scoringVersion;
 
   return this.overallScore;
 };
@@ -164,6 +147,7 @@ performanceHistorySchema.methods.addPlatformStats = function(platform, stats) {
     problemsSolved: stats.problemsSolved || 0,
     contestsParticipated: stats.contestsParticipated || 0,
     rank: stats.rank || null,
+    difficulty: scoringService.getDifficultyCounts(platform, stats),
     fetchStatus: stats.fetchStatus || 'success'
   };
 
@@ -212,4 +196,35 @@ performanceHistorySchema.statics.getComparisonData = function(regNo, currentJobI
   ]);
 };
 
+// Static method to get each student's newest runs (uploads and scrapes), newest first
+// Resolves to [{ _id: regNo, runs: [{ uploadJobId, weekLabel, overallScore, performanceLevel, platformStats, errors }] }]
+performanceHistorySchema.statics.getRecentRuns = function({ regNos = null, limit }) {
+  const pipeline = [
+    { $sort: { regNo: 1, uploadDate: -1 } },
+    {
+      $group: {
+        _id: '$regNo',
+        runs: {
+          $push: {
+            _id: '$_id',
+            uploadJobId: '$uploadJobId',
+            weekLabel: '$weekLabel',
+            uploadDate: '$uploadDate',
+            overallScore: '$overallScore',
+            performanceLevel: '$performanceLevel',
+            platformStats: '$platformStats',
+            errors: '$metadata.errors'
+          }
+        }
+      }
+    },
+    { $project: { runs: { $slice: ['$runs', limit] } } }
+  ];
+  if (regNos) {
+    pipeline.unshift({ $match: { regNo: { $in: regNos } } });
+  }
+
+  return this.aggregate(pipeline);
+};
+
 module.exports = mongoose.model('PerformanceHistory', performanceHistorySchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const platformRegistry = require('../platforms');
 
 /**
  * PlatformStats Model
@@ -15,7 +16,7 @@ const platformStatsSchema = new mongoose.Schema({
   platform: {
     type: String,
     required: true,
-    enum: ['codeforces', 'codechef', 'leetcode', 'atcoder', 'codolio', 'github'],
+    enum: platformRegistry.getPlatformIds(),
     lowercase: true
   },
   platformUserId: {
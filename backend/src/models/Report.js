@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { REPORT_TYPES, REPORT_TRIGGERS } = require('../utils/constants');
+
+/**
+ * Report Model
+ * A generated PDF report and what it was generated for. The PDF is kept in
+ * the document itself and left out of queries unless asked for; reports
+ * are tens of kilobytes, well under MongoDB's document limit.
+ */
+const reportSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: Object.values(REPORT_TYPES)
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // What the report was asked for; unset ones were left to their defaults
+  params: {
+    department: {
+      type: String,
+      default: null
+    },
+    regNo: {
+      type: String,
+      default: null
+    },
+    weekId: {
+      type: String,
+      default: null
+    },
+    weeks: {
+      type: Number,
+      default: null
+    }
+  },
+  // The week the report covers (the newest for growth and student reports)
+  weekLabel: {
+    type: String,
+    default: null
+  },
+  trigger: {
+    type: String,
+    enum: Object.values(REPORT_TRIGGERS),
+    default: REPORT_TRIGGERS.MANUAL
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  pages: {
+    type: Number,
+    required: true
+  },
+  file: {
+    type: Buffer,
+    required: true,
+    select: false
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept as it was at the time, like the audit log
+  generatedByName: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.file;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+reportSchema.index({ createdAt: -1 });
+reportSchema.index({ type: 1, createdAt: -1 });
+
+// Static method to count reports in total, since a date, and per type
+reportSchema.statics.getSummary = async function(since) {
+  const [total, recent, byType] = await Promise.all([
+    this.countDocuments(),
+    this.countDocuments({ createdAt: { $gte: since } }),
+    this.aggregate([{ $group: { _id: '$type', count: { $sum: 1 } } }])
+  ]);
+
+  return {
+    total,
+    since: recent,
+    byType: Object.fromEntries(Object.values(REPORT_TYPES).map(type =>
+      [type, byType.find(({ _id }) => _id === type)?.count || 0]))
+  };
+};
+
+module.exports = mongoose.model('Report', reportSchema);
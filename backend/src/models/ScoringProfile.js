@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const platformRegistry = require('../platforms');
+const { SCORING_PROFILE, DIFFICULTY_WEIGHTS, RATING_SCALES } = require('../utils/constants');
+
+/**
+ * ScoringProfile Model
+ * One saved version of the scoring formula. Saving a change adds a new
+ * version and deactivates the old one, so past scores can be reproduced.
+ */
+const scoringProfileSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  // How much each platform counts towards the overall score (0 leaves it out)
+  platformWeights: platformRegistry.buildPlatformFields(platform => ({
+    type: Number,
+    default: platformRegistry.getPlatform(platform).defaultWeight,
+    min: 0,
+    max: SCORING_PROFILE.MAX_PLATFORM_WEIGHT
+  })),
+  // Stat values that earn the full 100 on each score component
+  caps: {
+    rating: { type: Number, required: true, min: 1 },
+    problemsSolved: { type: Number, required: true, min: 1 },
+    contests: { type: Number, required: true, min: 1 }
+  },
+  componentWeights: {
+    rating: { type: Number, required: true, min: 0, max: 1 },
+    problemsSolved: { type: Number, required: true, min: 0, max: 1 },
+    contests: { type: Number, required: true, min: 0, max: 1 }
+  },
+  // Weight of an easy, medium and hard solved problem (medium-problem equivalents)
+  difficultyWeights: {
+    easy: { type: Number, default: DIFFICULTY_WEIGHTS.EASY, min: 0, max: SCORING_PROFILE.MAX_DIFFICULTY_WEIGHT },
+    medium: { type: Number, default: DIFFICULTY_WEIGHTS.MEDIUM, min: 0, max: SCORING_PROFILE.MAX_DIFFICULTY_WEIGHT },
+    hard: { type: Number, default: DIFFICULTY_WEIGHTS.HARD, min: 0, max: SCORING_PROFILE.MAX_DIFFICULTY_WEIGHT }
+  },
+  // How ratings become the rating component; reference holds [rating, percentile]
+  // breakpoints per platform (null uses RATING_REFERENCE_PERCENTILES)
+  ratingScale: {
+    mode: {
+      type: String,
+      enum: Object.values(RATING_SCALES),
+      default: RATING_SCALES.CAP
+    },
+    reference: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+  thresholds: {
+    high: { type: Number, required: true, min: 0, max: 100 },
+    medium: { type: Number, required: true, min: 0, max: 100 }
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Progress of the re-scoring job started when this version was saved
+  rescore: {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed', 'superseded'],
+      default: 'pending'
+    },
+    total: {
+      type: Number,
+      default: 0
+    },
+    processed: {
+      type: Number,
+      default: 0
+    },
+    updated: {
+      type: Number,
+      default: 0
+    },
+    startedAt: Date,
+    completedAt: Date,
+    error: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+scoringProfileSchema.index({ isActive: 1 });
+
+// Method to get the formula the scoring service works with
+scoringProfileSchema.methods.toScoringProfile = function() {
+  const {
+    version,
+    platformWeights,
+    caps,
+    componentWeights,
+    difficultyWeights,
+    ratingScale,
+    thresholds
+  } = this.toObject();
+  return { version, platformWeights, caps, componentWeights, difficultyWeights, ratingScale, thresholds };
+};
+
+// Static method to get the active profile
+scoringProfileSchema.statics.getActive = function() {
+  return this.findOne({ isActive: true }).sort({ version: -1 });
+};
+
+// Static method to find a profile version
+scoringProfileSchema.statics.findByVersion = function(version) {
+  return this.findOne({ version });
+};
+
+// Static method to get the next version number
+scoringProfileSchema.statics.getNextVersion = async function() {
+  const latest = await this.findOne().sort({ version: -1 }).select('version');
+  return latest ? latest.version + 1 : 1;
+};
+
+module.exports = mongoose.model('ScoringProfile', scoringProfileSchema);
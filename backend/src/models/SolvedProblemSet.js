@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+/**
+ * SolvedProblemSet Model
+ * Stores the problems a platform handle has solved, plus the newest
+ * submission ID already counted, so later syncs only fetch newer submissions.
+ * Submissions of every verdict are also counted per UTC day, so daily
+ * activity needs no requests of its own
+ */
+const solvedProblemSchema = new mongoose.Schema({
+  problemId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    default: null
+  },
+  rating: {
+    type: Number,
+    default: null
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  solvedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const submissionDaySchema = new mongoose.Schema({
+  count: {
+    type: Number,
+    default: 0
+  },
+  accepted: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const solvedProblemSetSchema = new mongoose.Schema({
+  platform: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Platform handles are case-insensitive, so one set covers every spelling
+  handle: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  lastSubmissionId: {
+    type: Number,
+    default: 0
+  },
+  problems: {
+    type: [solvedProblemSchema],
+    default: []
+  },
+  solvedCount: {
+    type: Number,
+    default: 0
+  },
+  // Submissions per UTC day ('YYYY-MM-DD'), complete for days from activityTrackedFrom on
+  submissionDays: {
+    type: Map,
+    of: submissionDaySchema,
+    default: {}
+  },
+  // Sets synced before days were counted start counting at their next sync
+  activityTrackedFrom: {
+    type: Date,
+    default: null
+  },
+  lastSyncedAt: {
+    type: Date,
+    default: null
+  },
+  lastFullSyncAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+solvedProblemSetSchema.index({ platform: 1, handle: 1 }, { unique: true });
+
+// Method to merge newly solved problems (keeps the first solve of each problem)
+solvedProblemSetSchema.methods.addSolvedProblems = function(problems, lastSubmissionId) {
+  const known = new Set(this.problems.map(problem => problem.problemId));
+  let added = 0;
+
+  problems.forEach(problem => {
+    if (!known.has(problem.problemId)) {
+      known.add(problem.problemId);
+      this.problems.push(problem);
+      added++;
+    }
+  });
+
+  this.solvedCount = this.problems.length;
+  this.lastSubmissionId = Math.max(this.lastSubmissionId || 0, lastSubmissionId || 0);
+  this.lastSyncedAt = new Date();
+
+  return added;
+};
+
+// Method to add submission counts per day ({ 'YYYY-MM-DD': { count, accepted } })
+solvedProblemSetSchema.methods.addSubmissionDays = function(days) {
+  Object.entries(days).forEach(([date, day]) => {
+    const known = this.submissionDays.get(date);
+    this.submissionDays.set(date, {
+      count: (known?.count || 0) + day.count,
+      accepted: (known?.accepted || 0) + day.accepted
+    });
+  });
+};
+
+// Method to list counted days from a day on ('YYYY-MM-DD', or null for all), oldest first
+solvedProblemSetSchema.methods.getSubmissionDays = function(fromDate = null) {
+  return [...this.submissionDays.entries()]
+    .filter(([date]) => !fromDate || date >= fromDate)
+    .map(([date, day]) => ({ date, count: day.count, accepted: day.accepted }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Static method to get the solved set for a handle
+solvedProblemSetSchema.statics.findByHandle = function(platform, handle) {
+  return this.findOne({
+    platform: platform.toLowerCase(),
+    handle: handle.toLowerCase().trim()
+  });
+};
+
+// Static method to check the collection is usable (fetchers also run without a database)
+solvedProblemSetSchema.statics.isAvailable = function() {
+  return mongoose.connection.readyState === 1;
+};
+
+module.exports = mongoose.model('SolvedProblemSet', solvedProblemSetSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const platformRegistry = require('../platforms');
 
 /**
  * Student Model
@@ -28,37 +29,16 @@ const studentSchema = new mongoose.Schema({
     required: false,
     trim: true
   },
-  platformIds: {
-    codeforces: {
-      type: String,
-      trim: true,
-      default: null
-    },
-    codechef: {
-      type: String,
-      trim: true,
-      default: null
-    },
-    leetcode: {
-      type: String,
-      trim: true,
-      default: null
-    },
-    atcoder: {
-      type: String,
-      trim: true,
-      default: null
-    },
-    codolio: {
-      type: String,
-      trim: true,
-      default: null
-    },
-    github: {
-      type: String,
-      trim: true,
-      default: null
-    }
+  // One ID field per registered platform
+  platformIds: platformRegistry.buildPlatformFields(() => ({
+    type: String,
+    trim: true,
+    default: null
+  })),
+  // Handles found on the student's Codolio profile that aren't in platformIds yet
+  suggestedPlatformIds: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
   },
   totalStats: {
     totalProblems: {
@@ -125,6 +105,39 @@ studentSchema.methods.getPlatformIds = function() {
   return platforms;
 };
 
+// Method to keep platform handles discovered on Codolio as suggestions for empty platformIds
+// studentService accepts or writes them back, so filling a handle is audited
+studentSchema.methods.suggestPlatformIds = function(discovered) {
+  const suggested = {};
+  const suggestions = { ...(this.suggestedPlatformIds || {}) };
+
+  Object.entries(discovered || {}).forEach(([platform, handle]) => {
+    if (!handle || this.platformIds[platform]) return;
+
+    suggestions[platform] = handle;
+    suggested[platform] = handle;
+  });
+
+  // Drop suggestions the student has since filled in themselves
+  Object.keys(suggestions).forEach(platform => {
+    if (this.platformIds[platform]) delete suggestions[platform];
+  });
+
+  this.suggestedPlatformIds = suggestions;
+  this.markModified('suggestedPlatformIds');
+
+  return suggested;
+};
+
+// Method to drop suggested handles, once accepted or dismissed
+studentSchema.methods.dropSuggestedPlatformIds = function(platforms) {
+  const suggestions = { ...(this.suggestedPlatformIds || {}) };
+  platforms.forEach(platform => { delete suggestions[platform]; });
+
+  this.suggestedPlatformIds = suggestions;
+  this.markModified('suggestedPlatformIds');
+};
+
 // Static method to find by registration number
 studentSchema.statics.findByRegNo = function(regNo) {
   return this.findOne({ regNo: regNo.toUpperCase() });
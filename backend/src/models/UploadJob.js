@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const platformRegistry = require('../platforms');
 
 /**
  * UploadJob Model
@@ -100,38 +101,11 @@ const uploadJobSchema = new mongoose.Schema({
       default: 0
     }
   },
-  platformStats: {
-    codeforces: {
-      attempted: { type: Number, default: 0 },
-      successful: { type: Number, default: 0 },
-      failed: { type: Number, default: 0 }
-    },
-    codechef: {
-      attempted: { type: Number, default: 0 },
-      successful: { type: Number, default: 0 },
-      failed: { type: Number, default: 0 }
-    },
-    leetcode: {
-      attempted: { type: Number, default: 0 },
-      successful: { type: Number, default: 0 },
-      failed: { type: Number, default: 0 }
-    },
-    atcoder: {
-      attempted: { type: Number, default: 0 },
-      successful: { type: Number, default: 0 },
-      failed: { type: Number, default: 0 }
-    },
-    codolio: {
-      attempted: { type: Number, default: 0 },
-      successful: { type: Number, default: 0 },
-      failed: { type: Number, default: 0 }
-    },
-    github: {
-      attempted: { type: Number, default: 0 },
-      successful: { type: Number, default: 0 },
-      failed: { type: Number, default: 0 }
-    }
-  },
+  platformStats: platformRegistry.buildPlatformFields(() => ({
+    attempted: { type: Number, default: 0 },
+    successful: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  })),
   errors: [{
     type: {
       type: String,
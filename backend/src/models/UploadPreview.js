@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { PREVIEW_STATUS } = require('../utils/constants');
+
+/**
+ * UploadPreview Model
+ * A dry run of an uploaded sheet: its parsed rows and what they would change
+ * against the stored students. Nothing is written to students until the
+ * uploader confirms it; unconfirmed previews expire on their own.
+ */
+const uploadPreviewSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  totalRows: {
+    type: Number,
+    required: true
+  },
+  // The valid rows as the upload would queue them
+  students: {
+    type: [mongoose.Schema.Types.Mixed],
+    select: false
+  },
+  // Rows that failed to parse, recorded on the upload job once confirmed
+  rowErrors: {
+    type: [mongoose.Schema.Types.Mixed],
+    select: false
+  },
+  // added, changed, removed, invalid and duplicates lists, and the unchanged count
+  diff: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(PREVIEW_STATUS),
+    default: PREVIEW_STATUS.PENDING
+  },
+  // The upload job started by confirming
+  jobId: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdByName: {
+    type: String,
+    default: null
+  },
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.students;
+      delete ret.rowErrors;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+uploadPreviewSchema.index({ createdAt: -1 });
+// MongoDB removes a preview once its expiry passes
+uploadPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to count each kind of change
+uploadPreviewSchema.methods.getCounts = function() {
+  return {
+    added: this.diff.added.length,
+    changed: this.diff.changed.length,
+    removed: this.diff.removed.length,
+    invalid: this.diff.invalid.length,
+    duplicates: this.diff.duplicates.length,
+    unchanged: this.diff.unchanged
+  };
+};
+
+// Static method to find a preview still waiting for a decision
+uploadPreviewSchema.statics.findPending = function(id) {
+  return this.findOne({ _id: id, status: PREVIEW_STATUS.PENDING, expiresAt: { $gt: new Date() } });
+};
+
+module.exports = mongoose.model('UploadPreview', uploadPreviewSchema);
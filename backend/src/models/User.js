@@ -0,0 +1,107 @@
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { ROLES, AUTH_CONFIG } = require('../utils/constants');
+
+/**
+ * User Model
+ * A dashboard login. The role decides what the user may change; every role
+ * can read.
+ */
+const userSchema = new mongoose.Schema({
+  // Students log in with their register number instead
+  email: {
+    type: String,
+    required: function() {
+      return this.role !== ROLES.STUDENT;
+    },
+    trim: true,
+    lowercase: true
+  },
+  // The student this login belongs to; students only
+  regNo: {
+    type: String,
+    required: function() {
+      return this.role === ROLES.STUDENT;
+    },
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: Object.values(ROLES),
+    default: ROLES.VIEWER
+  },
+  // The department a coordinator looks after
+  department: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Tokens issued before this are no longer accepted
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+userSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } });
+userSchema.index({ regNo: 1 }, { unique: true, partialFilterExpression: { regNo: { $type: 'string' } } });
+userSchema.index({ role: 1 });
+
+// Method to hash and set a new password
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, AUTH_CONFIG.BCRYPT_ROUNDS);
+  // A second back, so a token issued in the same second as the change still works
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+};
+
+// Method to check a password against the stored hash
+userSchema.methods.checkPassword = function(password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Method to check whether the password changed after a token was issued (JWT iat, in seconds)
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  return Boolean(this.passwordChangedAt) && this.passwordChangedAt.getTime() / 1000 > issuedAt;
+};
+
+// Method to get the user as the API returns it, without the password hash
+userSchema.methods.toJSON = function() {
+  const user = this.toObject();
+  delete user.passwordHash;
+  delete user.__v;
+  return user;
+};
+
+// Static method to find a user by email, with the password hash for login
+userSchema.statics.findByEmailWithPassword = function(email) {
+  return this.findOne({ email: String(email).trim().toLowerCase() }).select('+passwordHash');
+};
+
+// Static method to find a student's login by register number, with the password hash
+userSchema.statics.findByRegNoWithPassword = function(regNo) {
+  return this.findOne({ regNo: String(regNo).trim().toUpperCase(), role: ROLES.STUDENT }).select('+passwordHash');
+};
+
+module.exports = mongoose.model('User', userSchema);
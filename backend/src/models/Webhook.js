@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../utils/constants');
+
+/**
+ * Webhook Model
+ * A URL subscribed to Skorly events. Every delivery is signed with the
+ * webhook's secret, which is only returned when the webhook is created.
+ */
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  events: {
+    type: [{ type: String, enum: Object.values(WEBHOOK_EVENTS) }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'A webhook needs at least one event'
+    }
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+webhookSchema.index({ enabled: 1, events: 1 });
+
+// Method to get the webhook as the API returns it, without the secret
+webhookSchema.methods.toJSON = function() {
+  const webhook = this.toObject();
+  delete webhook.secret;
+  delete webhook.__v;
+  return webhook;
+};
+
+// Static method to find enabled webhooks subscribed to an event, with their secrets
+webhookSchema.statics.findSubscribers = function(event) {
+  return this.find({ enabled: true, events: event }).select('+secret');
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS, DELIVERY_STATUS } = require('../utils/constants');
+
+/**
+ * WebhookDelivery Model
+ * One event sent to one webhook: the exact payload, and how each attempt
+ * went. Replaying a delivery stores a new one pointing back at it.
+ */
+const attemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: Object.values(WEBHOOK_EVENTS),
+    required: true
+  },
+  // The JSON body as sent, so a replay signs and sends the same bytes
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(DELIVERY_STATUS),
+    default: DELIVERY_STATUS.PENDING
+  },
+  attempts: [attemptSchema],
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, createdAt: -1 });
+webhookDeliverySchema.index({ event: 1, createdAt: -1 });
+
+// Method to record one attempt; `final` marks a failure as the last try
+webhookDeliverySchema.methods.recordAttempt = function({ responseStatus = null, responseBody = null, durationMs, error = null, final }) {
+  this.attempts.push({ responseStatus, durationMs, error });
+  this.responseStatus = responseStatus;
+  this.responseBody = responseBody;
+  this.error = error;
+
+  if (!error) {
+    this.status = DELIVERY_STATUS.DELIVERED;
+    this.deliveredAt = new Date();
+  } else {
+    this.status = final ? DELIVERY_STATUS.FAILED : DELIVERY_STATUS.RETRYING;
+  }
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,218 @@
+const { VALIDATION_RULES, SCORE_SCALE, DIFFICULTY_WEIGHTS, SCORING_PROFILE } = require('../utils/constants');
+
+const DEFAULT_CAPS = {
+  rating: SCORE_SCALE.RATING,
+  problemsSolved: SCORE_SCALE.PROBLEMS_SOLVED,
+  contests: SCORE_SCALE.CONTESTS
+};
+
+const DEFAULT_DIFFICULTY_WEIGHTS = {
+  easy: DIFFICULTY_WEIGHTS.EASY,
+  medium: DIFFICULTY_WEIGHTS.MEDIUM,
+  hard: DIFFICULTY_WEIGHTS.HARD
+};
+
+/**
+ * Platform Adapter
+ * Base class for platform modules. Each platform extends this and declares
+ * its Excel ID column, ID validator, fetcher, rate limit and stats normaliser;
+ * the registry in ./index.js drives models, uploads and scraping from them.
+ */
+class PlatformAdapter {
+  constructor({
+    id,
+    name,
+    idColumn,
+    idDescription,
+    idRules = VALIDATION_RULES.PLATFORM_ID,
+    rateLimit,
+    timeout = 10000,
+    testHandle = null,
+    topicTags = {},
+    activityUnit = 'submissions',
+    defaultWeight = SCORING_PROFILE.DEFAULT_PLATFORM_WEIGHT
+  }) {
+    this.id = id;
+    this.name = name;
+    this.idColumn = idColumn || `${name} ID`;
+    this.idDescription = idDescription || `${name} username (optional)`;
+    this.idRules = idRules;
+    this.rateLimit = rateLimit; // { requestsPerSecond, burstLimit }
+    this.timeout = timeout;
+    this.testHandle = testHandle;
+    this.topicTags = topicTags; // { topic: [platform tag, ...] }, topics from TOPICS
+    this.activityUnit = activityUnit; // What fetchActivity counts; only submissions make solving streaks
+    this.defaultWeight = defaultWeight; // Platform weight in the default scoring profile
+  }
+
+  /**
+   * Validate a platform ID, returning { isValid, value, error }
+   * Empty IDs are valid since every platform is optional per student
+   */
+  validateId(platformId) {
+    if (platformId === null || platformId === undefined) {
+      return { isValid: true, value: null };
+    }
+
+    const trimmed = platformId.toString().trim();
+
+    if (trimmed === '') {
+      return { isValid: true, value: null };
+    }
+
+    if (trimmed.length < this.idRules.MIN_LENGTH) {
+      return { isValid: false, error: `${this.idColumn} too short` };
+    }
+
+    if (trimmed.length > this.idRules.MAX_LENGTH) {
+      return { isValid: false, error: `${this.idColumn} too long` };
+    }
+
+    if (!this.idRules.PATTERN.test(trimmed)) {
+      return { isValid: false, error: `${this.idColumn} contains invalid characters` };
+    }
+
+    return { isValid: true, value: trimmed };
+  }
+
+  /**
+   * Fetch stats for a platform ID
+   * Resolves to { rating, maxRating, problemsSolved, contestsParticipated, rank, additionalData }
+   */
+  async fetchStats() {
+    throw new Error(`${this.name} adapter does not implement fetchStats`);
+  }
+
+  /**
+   * Fetch per-contest results for a platform ID (optional)
+   * Resolves to [{ contestId, contestName, contestDate, rank, oldRating, newRating, problemsSolved }]
+   */
+  async fetchContestHistory() {
+    throw new Error(`${this.name} adapter does not implement fetchContestHistory`);
+  }
+
+  /**
+   * Whether the adapter overrides fetchContestHistory
+   */
+  get supportsContestHistory() {
+    return this.fetchContestHistory !== PlatformAdapter.prototype.fetchContestHistory;
+  }
+
+  /**
+   * Fetch one contest's standings for the given handles (optional)
+   * Resolves to { contestId, contestName, contestDate, participants: [{ handle, rank,
+   * problemsSolved, points, oldRating, newRating }] }; handles that didn't take part are left out
+   */
+  async fetchContestStandings() {
+    throw new Error(`${this.name} adapter does not implement fetchContestStandings`);
+  }
+
+  /**
+   * Whether the adapter overrides fetchContestStandings
+   */
+  get supportsContestStandings() {
+    return this.fetchContestStandings !== PlatformAdapter.prototype.fetchContestStandings;
+  }
+
+  /**
+   * Fetch daily activity for a platform ID (optional)
+   * Resolves to [{ date: 'YYYY-MM-DD', count, accepted }] for the active days
+   * from `since` (a Date, UTC days) to today; days before it may be left out.
+   * accepted is the day's accepted submissions, null when not known
+   */
+  async fetchActivity() {
+    throw new Error(`${this.name} adapter does not implement fetchActivity`);
+  }
+
+  /**
+   * Whether the adapter overrides fetchActivity
+   */
+  get supportsActivity() {
+    return this.fetchActivity !== PlatformAdapter.prototype.fetchActivity;
+  }
+
+  /**
+   * Solved problems per difficulty bucket ({ easy, medium, hard }) from the
+   * stats' additionalData, or null when the platform doesn't report them
+   */
+  getDifficultyCounts(additionalData) {
+    const difficulty = additionalData?.difficulty;
+    if (!difficulty) return null;
+
+    return {
+      easy: difficulty.easy || 0,
+      medium: difficulty.medium || 0,
+      hard: difficulty.hard || 0
+    };
+  }
+
+  /**
+   * Solved problems per topic ({ dp: 12, graphs: 4, ... }) from the stats'
+   * additionalData, or null when the platform doesn't report tags
+   * Uses additionalData.topics when the adapter counted them per problem,
+   * else adds up additionalData.tags (solved problems per platform tag)
+   */
+  getTopicCounts(additionalData) {
+    if (additionalData?.topics) return additionalData.topics;
+
+    const tags = additionalData?.tags;
+    if (!tags) return null;
+
+    const topics = {};
+    Object.entries(this.topicTags).forEach(([topic, topicTags]) => {
+      const solved = topicTags.reduce((sum, tag) => sum + (tags[tag] || 0), 0);
+      if (solved > 0) topics[topic] = solved;
+    });
+    return topics;
+  }
+
+  /**
+   * Solved problems weighted by difficulty, in medium-problem equivalents
+   * Uses stats.difficulty (as stored on performance history) or the buckets in
+   * additionalData; problems outside a bucket count as medium
+   */
+  weightProblems(stats, difficultyWeights = DEFAULT_DIFFICULTY_WEIGHTS) {
+    const solved = stats.problemsSolved || 0;
+    const difficulty = stats.difficulty || this.getDifficultyCounts(stats.additionalData);
+    if (!difficulty) return solved * difficultyWeights.medium;
+
+    const easy = difficulty.easy || 0;
+    const medium = difficulty.medium || 0;
+    const hard = difficulty.hard || 0;
+    const unbucketed = Math.max(solved - easy - medium - hard, 0);
+
+    return easy * difficultyWeights.easy +
+      (medium + unbucketed) * difficultyWeights.medium +
+      hard * difficultyWeights.hard;
+  }
+
+  /**
+   * Normalise platform stats to 0-100 score components, each full at its cap
+   * The scoring service weights these into the platform score
+   */
+  normalizeStats(stats, caps = DEFAULT_CAPS, difficultyWeights = DEFAULT_DIFFICULTY_WEIGHTS) {
+    return {
+      rating: Math.min((stats.rating || 0) / caps.rating, 1) * 100,
+      problemsSolved: Math.min(this.weightProblems(stats, difficultyWeights) / caps.problemsSolved, 1) * 100,
+      contests: Math.min((stats.contestsParticipated || 0) / caps.contests, 1) * 100
+    };
+  }
+
+  /**
+   * Public description of the adapter (no fetcher internals)
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      idColumn: this.idColumn,
+      idDescription: this.idDescription,
+      rateLimit: this.rateLimit,
+      supportsContestHistory: this.supportsContestHistory,
+      supportsContestStandings: this.supportsContestStandings,
+      supportsActivity: this.supportsActivity
+    };
+  }
+}
+
+module.exports = PlatformAdapter;
@@ -0,0 +1,157 @@
+const axios = require('axios');
+const PlatformAdapter = require('./PlatformAdapter');
+const { retryWithBackoff } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const API_CONFIG = {
+  BASE_URL: 'https://atcoder.jp',
+  USER_PROFILE: '/users',
+  USER_HISTORY: '/history',
+  // AtCoder profiles don't show an AC count, AtCoder Problems mirrors it
+  PROBLEMS_API_URL: 'https://kenkoooo.com/atcoder/atcoder-api/v3',
+  TIMEOUT: 10000, // 10 seconds
+};
+
+/**
+ * AtCoder platform adapter
+ */
+class AtCoderAdapter extends PlatformAdapter {
+  constructor() {
+    super({
+      id: 'atcoder',
+      name: 'AtCoder',
+      idColumn: 'AtCoder ID',
+      idDescription: 'AtCoder username (optional)',
+      rateLimit: { requestsPerSecond: 2, burstLimit: 4 },
+      timeout: API_CONFIG.TIMEOUT,
+      testHandle: 'chokudai'
+    });
+  }
+
+  /**
+   * Fetch AtCoder stats (Web scraping of profile and contest history pages)
+   */
+  async fetchStats(username) {
+    return retryWithBackoff(async () => {
+      try {
+        const cheerio = require('cheerio');
+        const requestOptions = {
+          timeout: API_CONFIG.TIMEOUT,
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            'Accept-Language': 'en-US,en;q=0.5'
+          }
+        };
+
+        // Fetch profile page (rating, highest rating, rated matches)
+        const profileResponse = await axios.get(
+          `${API_CONFIG.BASE_URL}${API_CONFIG.USER_PROFILE}/${username}`,
+          { ...requestOptions, params: { lang: 'en' } }
+        );
+
+        const $ = cheerio.load(profileResponse.data);
+
+        // Profile details live in "dl-table" rows of <th>label</th><td>value</td>
+        const profile = {};
+        $('table.dl-table tr').each((i, elem) => {
+          const label = $(elem).find('th').clone().children().remove().end().text().trim();
+          if (label) {
+            profile[label] = $(elem).find('td');
+          }
+        });
+
+        const readNumber = (label) => {
+          if (!profile[label]) return 0;
+          const match = profile[label].text().replace(/,/g, '').match(/(\d+)/);
+          return match ? parseInt(match[1]) || 0 : 0;
+        };
+
+        let rating = readNumber('Rating');
+        let maxRating = readNumber('Highest Rating');
+        let contestsParticipated = readNumber('Rated Matches');
+        const rank = readNumber('Rank') || null;
+
+        // Fetch contest history page to confirm rated contests and peak rating
+        let contestsEntered = 0;
+        try {
+          const historyResponse = await axios.get(
+            `${API_CONFIG.BASE_URL}${API_CONFIG.USER_PROFILE}/${username}${API_CONFIG.USER_HISTORY}`,
+            { ...requestOptions, params: { lang: 'en' } }
+          );
+
+          const $history = cheerio.load(historyResponse.data);
+          const ratedHistory = [];
+
+          $history('#history tbody tr').each((i, elem) => {
+            contestsEntered++;
+            const newRating = parseInt($history(elem).find('td').eq(4).text().trim());
+            if (!isNaN(newRating)) {
+              ratedHistory.push(newRating);
+            }
+          });
+
+          if (ratedHistory.length > 0) {
+            contestsParticipated = Math.max(contestsParticipated, ratedHistory.length);
+            maxRating = Math.max(maxRating, ...ratedHistory);
+            rating = rating || ratedHistory[ratedHistory.length - 1];
+          }
+        } catch (error) {
+          // If the history page fails, keep the profile figures
+          logger.warn(`AtCoder history fetch failed for ${username}: ${error.message}`);
+        }
+
+        // Fetch accepted-problem count
+        let problemsSolved = 0;
+        try {
+          const acResponse = await axios.get(
+            `${API_CONFIG.PROBLEMS_API_URL}/user/ac_rank`,
+            {
+              params: { user: username },
+              timeout: API_CONFIG.TIMEOUT,
+              headers: {
+                'User-Agent': 'Skorly-Platform-Tracker/1.0',
+                'Accept-Encoding': 'gzip'
+              }
+            }
+          );
+          problemsSolved = acResponse.data?.count || 0;
+        } catch (error) {
+          // If AtCoder Problems is down or hasn't crawled the user yet, use 0
+          logger.warn(`AtCoder accepted count fetch failed for ${username}: ${error.message}`);
+        }
+
+        const rankTitle = profile['Rating']
+          ? profile['Rating'].find('span.bold').first().text().trim() || null
+          : null;
+
+        return {
+          rating,
+          maxRating: maxRating || rating,
+          problemsSolved,
+          contestsParticipated,
+          rank,
+          additionalData: {
+            username,
+            rankTitle,
+            contestsEntered,
+            lastCompeted: profile['Last Competed'] ? profile['Last Competed'].text().trim() : null,
+            country: profile['Country/Region'] ? profile['Country/Region'].text().trim() : null,
+            affiliation: profile['Affiliation'] ? profile['Affiliation'].text().trim() : null
+          }
+        };
+
+      } catch (error) {
+        if (error.response?.status === 404) {
+          throw new Error(`AtCoder user not found: ${username}`);
+        }
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+          throw new Error('AtCoder request timeout - site may be slow');
+        }
+        throw new Error(`AtCoder scraping error: ${error.message}`);
+      }
+    }, 2, 3000);
+  }
+}
+
+module.exports = new AtCoderAdapter();
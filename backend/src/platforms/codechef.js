@@ -0,0 +1,200 @@
+const axios = require('axios');
+const PlatformAdapter = require('./PlatformAdapter');
+const { retryWithBackoff } = require('../utils/helpers');
+
+const API_CONFIG = {
+  BASE_URL: 'https://www.codechef.com',
+  TIMEOUT: 12000, // 12 seconds
+};
+
+/**
+ * CodeChef platform adapter
+ */
+class CodeChefAdapter extends PlatformAdapter {
+  constructor() {
+    super({
+      id: 'codechef',
+      name: 'CodeChef',
+      idColumn: 'CodeChef ID',
+      idDescription: 'CodeChef username (optional)',
+      rateLimit: { requestsPerSecond: 1, burstLimit: 3 },
+      timeout: API_CONFIG.TIMEOUT,
+      testHandle: 'admin'
+    });
+  }
+
+  /**
+   * Fetch CodeChef stats (Web scraping with controlled approach)
+   */
+  async fetchStats(username) {
+    return retryWithBackoff(async () => {
+      try {
+        const cheerio = require('cheerio');
+        
+        const response = await axios.get(
+          `https://www.codechef.com/users/${username}`,
+          {
+            timeout: API_CONFIG.TIMEOUT,
+            headers: {
+              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+              'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+              'Accept-Language': 'en-US,en;q=0.5',
+              'Accept-Encoding': 'gzip, deflate, br',
+              'Connection': 'keep-alive',
+              'Upgrade-Insecure-Requests': '1'
+            }
+          }
+        );
+
+        const $ = cheerio.load(response.data);
+        
+        // Extract rating
+        let rating = 0;
+        let maxRating = 0;
+        const ratingText = $('.rating-number').first().text().trim();
+        if (ratingText) {
+          rating = parseInt(ratingText) || 0;
+        }
+        
+        // Try to get max rating from the rating header
+        const ratingHeader = $('.rating-header').text();
+        const maxRatingMatch = ratingHeader.match(/Highest Rating (\d+)/);
+        if (maxRatingMatch) {
+          maxRating = parseInt(maxRatingMatch[1]) || rating;
+        } else {
+          maxRating = rating;
+        }
+        
+        // Extract problems solved
+        let problemsSolved = 0;
+        $('.problems-solved h3').each((i, elem) => {
+          const text = $(elem).text().trim();
+          const match = text.match(/(\d+)/);
+          if (match) {
+            problemsSolved = parseInt(match[1]) || 0;
+          }
+        });
+        
+        // If not found, try alternative selector
+        if (problemsSolved === 0) {
+          const problemsText = $('section.rating-data-section h3').first().text();
+          const problemsMatch = problemsText.match(/(\d+)/);
+          if (problemsMatch) {
+            problemsSolved = parseInt(problemsMatch[1]) || 0;
+          }
+        }
+        
+        // Extract contests participated
+        let contestsParticipated = 0;
+        $('.contest-participated-count b').each((i, elem) => {
+          const text = $(elem).text().trim();
+          const match = text.match(/(\d+)/);
+          if (match) {
+            contestsParticipated = parseInt(match[1]) || 0;
+          }
+        });
+        
+        // Extract global rank
+        let rank = null;
+        const rankText = $('.rating-ranks li').first().find('a').text().trim();
+        const rankMatch = rankText.match(/(\d+)/);
+        if (rankMatch) {
+          rank = parseInt(rankMatch[1]) || null;
+        }
+        
+        // Extract country
+        let country = null;
+        $('.user-country-name').each((i, elem) => {
+          country = $(elem).text().trim();
+        });
+        
+        // Extract institution
+        let institution = null;
+        $('.user-institution').each((i, elem) => {
+          institution = $(elem).text().trim();
+        });
+
+        return {
+          rating,
+          maxRating,
+          problemsSolved,
+          contestsParticipated,
+          rank,
+          additionalData: {
+            username,
+            country,
+            institution
+          }
+        };
+
+      } catch (error) {
+        if (error.response?.status === 404) {
+          throw new Error(`CodeChef user not found: ${username}`);
+        }
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+          throw new Error('CodeChef request timeout - site may be slow');
+        }
+        throw new Error(`CodeChef scraping error: ${error.message}`);
+      }
+    }, 2, 5000);
+  }
+
+  /**
+   * Fetch per-contest results (Web scraping)
+   * The profile page embeds the rating graph data as `var all_rating = [...]`
+   */
+  async fetchContestHistory(username) {
+    return retryWithBackoff(async () => {
+      try {
+        const response = await axios.get(
+          `${API_CONFIG.BASE_URL}/users/${username}`,
+          {
+            timeout: API_CONFIG.TIMEOUT,
+            headers: {
+              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+              'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+              'Accept-Language': 'en-US,en;q=0.5'
+            }
+          }
+        );
+
+        const match = String(response.data).match(/var\s+all_rating\s*=\s*(\[[\s\S]*?\]);/);
+        if (!match) {
+          return []; // No rated contests yet
+        }
+
+        let previousRating = null;
+
+        return JSON.parse(match[1]).map(entry => {
+          const newRating = parseInt(entry.rating) || 0;
+          const result = {
+            contestId: entry.code,
+            contestName: entry.name,
+            // CodeChef lists contest times in IST
+            contestDate: entry.end_date
+              ? new Date(`${entry.end_date.replace(' ', 'T')}+05:30`)
+              : new Date(`${entry.getyear}-${entry.getmonth}-${entry.getday}`),
+            rank: parseInt(entry.rank) || null,
+            oldRating: previousRating,
+            newRating,
+            problemsSolved: null // Not shown on the rating graph
+          };
+
+          previousRating = newRating;
+          return result;
+        });
+
+      } catch (error) {
+        if (error.response?.status === 404) {
+          throw new Error(`CodeChef user not found: ${username}`);
+        }
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+          throw new Error('CodeChef request timeout - site may be slow');
+        }
+        throw new Error(`CodeChef scraping error: ${error.message}`);
+      }
+    }, 2, 5000);
+  }
+}
+
+module.exports = new CodeChefAdapter();
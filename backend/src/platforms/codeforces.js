@@ -0,0 +1,590 @@
+const axios = require('axios');
+const PlatformAdapter = require('./PlatformAdapter');
+const SolvedProblemSet = require('../models/SolvedProblemSet');
+const { retryWithBackoff, formatDay } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const API_CONFIG = {
+  BASE_URL: 'https://codeforces.com/api',
+  USER_INFO: '/user.info',
+  USER_STATUS: '/user.status',
+  USER_RATING: '/user.rating',
+  CONTEST_STANDINGS: '/contest.standings',
+  CONTEST_RATING_CHANGES: '/contest.ratingChanges',
+  TIMEOUT: 10000, // 10 seconds
+  FULL_SYNC_COUNT: 10000, // Submissions fetched when a handle has no solved set yet
+  SYNC_PAGE_SIZE: 100, // Submissions per page when fetching only newer ones
+  ACTIVITY_PAGE_SIZE: 500, // Submissions per page when counting daily activity
+  STANDINGS_HANDLES_PER_REQUEST: 100, // Keeps the handles query string a sane length
+  REUSE_WINDOW: 10 * 60 * 1000, // How long a sync or rating fetch from fetchStats serves contests and activity
+};
+
+// Problem ratings where the medium and hard difficulty buckets start
+const DIFFICULTY_RATINGS = {
+  MEDIUM_FROM: 1300,
+  HARD_FROM: 1900,
+};
+
+// Codeforces problem tags behind each tracked topic
+const TOPIC_TAGS = {
+  dp: ['dp'],
+  graphs: ['graphs', 'dfs and similar', 'shortest paths', 'dsu', 'graph matchings', 'flows'],
+  trees: ['trees'],
+  greedy: ['greedy'],
+  math: ['math', 'probabilities', 'matrices'],
+  numberTheory: ['number theory', 'chinese remainder theorem'],
+  combinatorics: ['combinatorics'],
+  binarySearch: ['binary search', 'ternary search'],
+  strings: ['strings', 'hashing', 'string suffix structures'],
+  dataStructures: ['data structures'],
+  sorting: ['sortings'],
+  twoPointers: ['two pointers'],
+  bitManipulation: ['bitmasks'],
+  geometry: ['geometry'],
+  implementation: ['implementation', 'brute force', 'constructive algorithms'],
+};
+
+/**
+ * Codeforces platform adapter
+ */
+class CodeforcesAdapter extends PlatformAdapter {
+  constructor() {
+    super({
+      id: 'codeforces',
+      name: 'Codeforces',
+      idColumn: 'Codeforces ID',
+      idDescription: 'Codeforces handle (optional)',
+      rateLimit: { requestsPerSecond: 5, burstLimit: 10 },
+      timeout: API_CONFIG.TIMEOUT,
+      testHandle: 'tourist',
+      topicTags: TOPIC_TAGS
+    });
+
+    // Lowercased handle -> { changes, fetchedAt }, fetched by fetchStats for fetchContestHistory
+    this.recentRatingChanges = new Map();
+  }
+
+  /**
+   * Fetch Codeforces stats (Official API)
+   */
+  async fetchStats(handle) {
+    return retryWithBackoff(async () => {
+      try {
+        // Fetch user info
+        const userInfoResponse = await axios.get(
+          `${API_CONFIG.BASE_URL}${API_CONFIG.USER_INFO}`,
+          {
+            params: { handles: handle },
+            timeout: API_CONFIG.TIMEOUT,
+            headers: {
+              'User-Agent': 'Skorly-Platform-Tracker/1.0'
+            }
+          }
+        );
+
+        if (userInfoResponse.data.status !== 'OK') {
+          throw new Error(`Codeforces API error: ${userInfoResponse.data.comment}`);
+        }
+
+        const userInfo = userInfoResponse.data.result[0];
+        
+        // Fetch user rating changes to count contests; fetchContestHistory reuses them
+        let contestsParticipated = 0;
+        try {
+          const ratingChanges = await this.fetchUserRating(handle);
+          this.rememberRatingChanges(handle, ratingChanges);
+          contestsParticipated = ratingChanges.length;
+        } catch (error) {
+          // If rating API fails, use 0
+          contestsParticipated = 0;
+        }
+        
+        // Unique solved problems (only submissions newer than the last sync are fetched)
+        const solvedProblems = await this.syncSolvedProblems(handle);
+
+        return {
+          rating: userInfo.rating || 0,
+          maxRating: userInfo.maxRating || userInfo.rating || 0,
+          problemsSolved: solvedProblems.length,
+          contestsParticipated, // Now using actual contest count from rating API
+          rank: null, // Codeforces rank is a string (newbie, pupil, etc.), not a number
+          additionalData: {
+            handle: userInfo.handle,
+            rankTitle: userInfo.rank || null, // Store rank title here
+            country: userInfo.country || null,
+            city: userInfo.city || null,
+            organization: userInfo.organization || null,
+            titlePhoto: userInfo.titlePhoto || null,
+            difficulty: this.countByDifficulty(solvedProblems),
+            tags: this.countByTag(solvedProblems),
+            topics: this.countByTopic(solvedProblems)
+          }
+        };
+
+      } catch (error) {
+        if (error.response?.status === 400) {
+          throw new Error(`Invalid Codeforces handle: ${handle}`);
+        }
+        if (error.response?.status === 503) {
+          throw new Error('Codeforces API temporarily unavailable');
+        }
+        throw new Error(`Codeforces API error: ${error.message}`);
+      }
+    }, 3, 2000);
+  }
+
+  /**
+   * Fetch per-contest rating changes (Official API, user.rating)
+   * The changes fetchStats just fetched for the handle are reused rather than
+   * requested again. Problems solved per contest come from the handle's
+   * SolvedProblemSet when one exists: problems of that contest solved before
+   * ratings were updated
+   */
+  async fetchContestHistory(handle) {
+    return retryWithBackoff(async () => {
+      try {
+        const ratingChanges = this.takeRatingChanges(handle) || await this.fetchUserRating(handle);
+
+        let solvedSet = null;
+        if (SolvedProblemSet.isAvailable()) {
+          try {
+            solvedSet = await SolvedProblemSet.findByHandle(this.id, handle);
+          } catch (error) {
+            logger.warn(`Codeforces solved set lookup failed for ${handle}: ${error.message}`);
+          }
+        }
+
+        return ratingChanges.map(change => {
+          const ratedAt = new Date(change.ratingUpdateTimeSeconds * 1000);
+          const problemsSolved = solvedSet
+            ? solvedSet.problems.filter(problem =>
+              problem.problemId.startsWith(`${change.contestId}-`) &&
+              problem.solvedAt && problem.solvedAt <= ratedAt
+            ).length
+            : null;
+
+          return {
+            contestId: String(change.contestId),
+            contestName: change.contestName,
+            contestDate: ratedAt,
+            rank: change.rank || null,
+            oldRating: change.oldRating,
+            newRating: change.newRating,
+            problemsSolved
+          };
+        });
+
+      } catch (error) {
+        if (error.response?.status === 400) {
+          throw new Error(`Invalid Codeforces handle: ${handle}`);
+        }
+        throw new Error(`Codeforces API error: ${error.message}`);
+      }
+    }, 3, 2000);
+  }
+
+  /**
+   * Fetch a handle's rating changes, oldest first (Official API, user.rating)
+   */
+  async fetchUserRating(handle) {
+    const response = await axios.get(
+      `${API_CONFIG.BASE_URL}${API_CONFIG.USER_RATING}`,
+      {
+        params: { handle: handle },
+        timeout: API_CONFIG.TIMEOUT,
+        headers: {
+          'User-Agent': 'Skorly-Platform-Tracker/1.0'
+        }
+      }
+    );
+
+    if (response.data.status !== 'OK') {
+      throw new Error(response.data.comment || 'user.rating failed');
+    }
+
+    return response.data.result;
+  }
+
+  /**
+   * Keep a handle's rating changes for the fetchContestHistory call that
+   * follows fetchStats, dropping ones past the reuse window
+   */
+  rememberRatingChanges(handle, changes) {
+    const now = Date.now();
+    for (const [key, entry] of this.recentRatingChanges) {
+      if (now - entry.fetchedAt > API_CONFIG.REUSE_WINDOW) this.recentRatingChanges.delete(key);
+    }
+    this.recentRatingChanges.set(handle.toLowerCase(), { changes, fetchedAt: now });
+  }
+
+  /**
+   * Rating changes kept for a handle within the reuse window, handed out
+   * once; null when there are none
+   */
+  takeRatingChanges(handle) {
+    const key = handle.toLowerCase();
+    const entry = this.recentRatingChanges.get(key);
+    this.recentRatingChanges.delete(key);
+
+    if (!entry || Date.now() - entry.fetchedAt > API_CONFIG.REUSE_WINDOW) return null;
+    return entry.changes;
+  }
+
+  /**
+   * Fetch a contest's official standings and rating changes for the given handles
+   */
+  async fetchContestStandings(contestId, handles) {
+    return retryWithBackoff(async () => {
+      try {
+        let contest = null;
+        const rows = [];
+
+        for (let i = 0; i < handles.length; i += API_CONFIG.STANDINGS_HANDLES_PER_REQUEST) {
+          const response = await axios.get(
+            `${API_CONFIG.BASE_URL}${API_CONFIG.CONTEST_STANDINGS}`,
+            {
+              params: {
+                contestId,
+                handles: handles.slice(i, i + API_CONFIG.STANDINGS_HANDLES_PER_REQUEST).join(';'),
+                showUnofficial: false
+              },
+              timeout: API_CONFIG.TIMEOUT,
+              headers: {
+                'User-Agent': 'Skorly-Platform-Tracker/1.0'
+              }
+            }
+          );
+
+          if (response.data.status !== 'OK') {
+            throw new Error(response.data.comment || 'contest.standings failed');
+          }
+
+          contest = response.data.result.contest;
+          rows.push(...response.data.result.rows);
+        }
+
+        const ratingChanges = await this.fetchRatingChanges(contestId);
+
+        return {
+          contestId: String(contestId),
+          contestName: contest?.name || null,
+          contestDate: contest?.startTimeSeconds ? new Date(contest.startTimeSeconds * 1000) : null,
+          participants: rows.map(row => {
+            const handle = row.party.members[0]?.handle;
+            const change = ratingChanges.get(handle?.toLowerCase());
+
+            return {
+              handle,
+              rank: row.rank || null,
+              problemsSolved: row.problemResults.filter(result => result.points > 0).length,
+              points: row.points,
+              oldRating: change ? change.oldRating : null,
+              newRating: change ? change.newRating : null
+            };
+          })
+        };
+
+      } catch (error) {
+        if (error.response?.status === 400) {
+          throw new Error(`Codeforces contest not found: ${contestId}`);
+        }
+        throw new Error(`Codeforces API error: ${error.message}`);
+      }
+    }, 3, 2000);
+  }
+
+  /**
+   * Rating changes of a contest keyed by lowercased handle
+   * Empty for unrated contests and ones whose ratings aren't out yet
+   */
+  async fetchRatingChanges(contestId) {
+    try {
+      const response = await axios.get(
+        `${API_CONFIG.BASE_URL}${API_CONFIG.CONTEST_RATING_CHANGES}`,
+        {
+          params: { contestId },
+          timeout: API_CONFIG.TIMEOUT,
+          headers: {
+            'User-Agent': 'Skorly-Platform-Tracker/1.0'
+          }
+        }
+      );
+
+      return new Map((response.data.result || []).map(change => [change.handle.toLowerCase(), change]));
+    } catch (error) {
+      logger.debug(`No Codeforces rating changes for contest ${contestId}: ${error.message}`);
+      return new Map();
+    }
+  }
+
+  /**
+   * Submissions per UTC day since a day
+   * Read from the day counts on the handle's SolvedProblemSet, which is synced
+   * first unless fetchStats just did. Without a database, or for days before
+   * the set started counting, pages back through user.status instead. Every
+   * verdict counts, since a day of wrong answers is still a day of practice
+   */
+  async fetchActivity(handle, since = null) {
+    return retryWithBackoff(async () => {
+      try {
+        const sinceTime = since ? since.getTime() : 0;
+        const solvedSet = await this.getSyncedSolvedSet(handle);
+
+        if (solvedSet?.activityTrackedFrom && solvedSet.activityTrackedFrom.getTime() <= sinceTime) {
+          return solvedSet.getSubmissionDays(since ? formatDay(since) : null);
+        }
+
+        const submissions = [];
+        let from = 1;
+        let reachedSince = false;
+
+        while (!reachedSince && from <= API_CONFIG.FULL_SYNC_COUNT) {
+          const page = await this.fetchSubmissions(handle, from, API_CONFIG.ACTIVITY_PAGE_SIZE);
+
+          for (const submission of page) {
+            if (submission.creationTimeSeconds * 1000 < sinceTime) {
+              reachedSince = true;
+              break;
+            }
+            submissions.push(submission);
+          }
+
+          if (page.length < API_CONFIG.ACTIVITY_PAGE_SIZE) break;
+          from += API_CONFIG.ACTIVITY_PAGE_SIZE;
+        }
+
+        return Object.entries(this.countSubmissionDays(submissions))
+          .map(([date, day]) => ({ date, count: day.count, accepted: day.accepted }))
+          .sort((a, b) => a.date.localeCompare(b.date));
+
+      } catch (error) {
+        if (error.response?.status === 400) {
+          throw new Error(`Invalid Codeforces handle: ${handle}`);
+        }
+        throw new Error(`Codeforces API error: ${error.message}`);
+      }
+    }, 3, 2000);
+  }
+
+  /**
+   * Fetch one page of a handle's submissions, newest first; throws when user.status fails
+   */
+  async fetchSubmissions(handle, from, count) {
+    const response = await axios.get(
+      `${API_CONFIG.BASE_URL}${API_CONFIG.USER_STATUS}`,
+      {
+        params: {
+          handle: handle,
+          from,
+          count
+        },
+        timeout: API_CONFIG.TIMEOUT,
+        headers: {
+          'User-Agent': 'Skorly-Platform-Tracker/1.0'
+        }
+      }
+    );
+
+    // A failed page must not pass for an empty history, or a first sync would store nothing as solved
+    if (response.data.status !== 'OK') {
+      throw new Error(`Codeforces API error: ${response.data.comment}`);
+    }
+
+    return response.data.result;
+  }
+
+  /**
+   * Count submissions of every verdict, and the accepted ones, per UTC day
+   */
+  countSubmissionDays(submissions) {
+    const days = {};
+    submissions.forEach(submission => {
+      const date = formatDay(submission.creationTimeSeconds * 1000);
+      const day = days[date] || (days[date] = { count: 0, accepted: 0 });
+      day.count++;
+      if (submission.verdict === 'OK') day.accepted++;
+    });
+    return days;
+  }
+
+  /**
+   * Turn accepted submissions into solved problems, oldest solve first
+   */
+  toSolvedProblems(submissions) {
+    return submissions
+      .filter(submission => submission.verdict === 'OK')
+      .sort((a, b) => a.id - b.id)
+      .map(submission => ({
+        problemId: `${submission.problem.contestId}-${submission.problem.index}`,
+        name: submission.problem.name || null,
+        rating: submission.problem.rating || null,
+        tags: submission.problem.tags || [],
+        solvedAt: submission.creationTimeSeconds
+          ? new Date(submission.creationTimeSeconds * 1000)
+          : null
+      }));
+  }
+
+  /**
+   * Solved problems per difficulty bucket by problem rating
+   * Problems without a rating yet (mostly from recent rounds) are counted as unrated
+   */
+  countByDifficulty(problems) {
+    const difficulty = { easy: 0, medium: 0, hard: 0, unrated: 0 };
+
+    problems.forEach(problem => {
+      if (!problem.rating) {
+        difficulty.unrated++;
+      } else if (problem.rating >= DIFFICULTY_RATINGS.HARD_FROM) {
+        difficulty.hard++;
+      } else if (problem.rating >= DIFFICULTY_RATINGS.MEDIUM_FROM) {
+        difficulty.medium++;
+      } else {
+        difficulty.easy++;
+      }
+    });
+
+    return difficulty;
+  }
+
+  /**
+   * Solved problems per Codeforces tag
+   */
+  countByTag(problems) {
+    const tags = {};
+    problems.forEach(problem => {
+      (problem.tags || []).forEach(tag => {
+        tags[tag] = (tags[tag] || 0) + 1;
+      });
+    });
+    return tags;
+  }
+
+  /**
+   * Solved problems per topic, each problem counted once per topic however
+   * many of the topic's tags it has
+   */
+  countByTopic(problems) {
+    const topics = {};
+    problems.forEach(problem => {
+      const tags = problem.tags || [];
+      Object.entries(this.topicTags).forEach(([topic, topicTags]) => {
+        if (topicTags.some(tag => tags.includes(tag))) {
+          topics[topic] = (topics[topic] || 0) + 1;
+        }
+      });
+    });
+    return topics;
+  }
+
+  /**
+   * Sync a handle's solved problems, resolving to one entry per unique problem
+   * The first sync reads the whole submission history into a SolvedProblemSet;
+   * later syncs page through submissions newer than its lastSubmissionId. Without
+   * a database connection every call falls back to the full history.
+   */
+  async syncSolvedProblems(handle) {
+    let solvedSet = null;
+    if (SolvedProblemSet.isAvailable()) {
+      try {
+        solvedSet = await SolvedProblemSet.findByHandle(this.id, handle);
+      } catch (error) {
+        logger.warn(`Codeforces solved set lookup failed for ${handle}: ${error.message}`);
+      }
+    }
+
+    if (!solvedSet) {
+      const submissions = await this.fetchSubmissions(handle, 1, API_CONFIG.FULL_SYNC_COUNT);
+      const problems = this.toSolvedProblems(submissions);
+      const lastSubmissionId = Math.max(0, ...submissions.map(submission => submission.id));
+
+      if (SolvedProblemSet.isAvailable()) {
+        try {
+          const newSet = new SolvedProblemSet({ platform: this.id, handle, lastFullSyncAt: new Date() });
+          newSet.addSolvedProblems(problems, lastSubmissionId);
+          newSet.addSubmissionDays(this.countSubmissionDays(submissions));
+          // A history cut short at FULL_SYNC_COUNT is only complete from its oldest submission on
+          newSet.activityTrackedFrom = submissions.length < API_CONFIG.FULL_SYNC_COUNT
+            ? new Date(0)
+            : new Date(Math.min(...submissions.map(submission => submission.creationTimeSeconds)) * 1000);
+          await newSet.save();
+          return newSet.problems;
+        } catch (error) {
+          logger.warn(`Codeforces solved set save failed for ${handle}: ${error.message}`);
+        }
+      }
+
+      // Keep the first solve of each problem, as the solved set does
+      const unique = new Map();
+      problems.forEach(problem => {
+        if (!unique.has(problem.problemId)) unique.set(problem.problemId, problem);
+      });
+      return [...unique.values()];
+    }
+
+    // Page back through newer submissions until one we've already counted
+    const newSubmissions = [];
+    let from = 1;
+    let reachedSynced = false;
+
+    while (!reachedSynced && from <= API_CONFIG.FULL_SYNC_COUNT) {
+      const page = await this.fetchSubmissions(handle, from, API_CONFIG.SYNC_PAGE_SIZE);
+
+      for (const submission of page) {
+        if (submission.id <= solvedSet.lastSubmissionId) {
+          reachedSynced = true;
+          break;
+        }
+        newSubmissions.push(submission);
+      }
+
+      if (page.length < API_CONFIG.SYNC_PAGE_SIZE) break;
+      from += API_CONFIG.SYNC_PAGE_SIZE;
+    }
+
+    if (!solvedSet.activityTrackedFrom) {
+      // Submissions before the previous sync were never counted per day
+      solvedSet.activityTrackedFrom = solvedSet.lastSyncedAt || new Date();
+    }
+
+    if (newSubmissions.length > 0) {
+      solvedSet.addSubmissionDays(this.countSubmissionDays(newSubmissions));
+      const lastSubmissionId = Math.max(...newSubmissions.map(submission => submission.id));
+      const added = solvedSet.addSolvedProblems(this.toSolvedProblems(newSubmissions), lastSubmissionId);
+      logger.debug(`Codeforces sync for ${handle}: ${newSubmissions.length} new submissions, ${added} new problems`);
+    } else {
+      solvedSet.lastSyncedAt = new Date();
+    }
+
+    try {
+      await solvedSet.save();
+    } catch (error) {
+      logger.warn(`Codeforces solved set save failed for ${handle}: ${error.message}`);
+    }
+
+    return solvedSet.problems;
+  }
+
+  /**
+   * The handle's SolvedProblemSet, synced first unless that happened within
+   * the reuse window; null without a database or when the lookup fails
+   */
+  async getSyncedSolvedSet(handle) {
+    if (!SolvedProblemSet.isAvailable()) return null;
+
+    try {
+      const solvedSet = await SolvedProblemSet.findByHandle(this.id, handle);
+      if (solvedSet?.lastSyncedAt && Date.now() - solvedSet.lastSyncedAt.getTime() <= API_CONFIG.REUSE_WINDOW) {
+        return solvedSet;
+      }
+    } catch (error) {
+      logger.warn(`Codeforces solved set lookup failed for ${handle}: ${error.message}`);
+      return null;
+    }
+
+    await this.syncSolvedProblems(handle);
+    return SolvedProblemSet.findByHandle(this.id, handle);
+  }
+}
+
+module.exports = new CodeforcesAdapter();
@@ -0,0 +1,122 @@
+const axios = require('axios');
+const PlatformAdapter = require('./PlatformAdapter');
+const { retryWithBackoff } = require('../utils/helpers');
+
+const API_CONFIG = {
+  BASE_URL: 'https://codolio.com',
+  API_URL: 'https://api.codolio.com',
+  USER_PROFILE: '/profile',
+  TIMEOUT: 10000, // 10 seconds
+};
+
+/**
+ * Codolio platform adapter
+ */
+class CodolioAdapter extends PlatformAdapter {
+  constructor() {
+    super({
+      id: 'codolio',
+      name: 'Codolio',
+      idColumn: 'Codolio ID',
+      idDescription: 'Codolio username (optional)',
+      rateLimit: { requestsPerSecond: 3, burstLimit: 6 },
+      timeout: API_CONFIG.TIMEOUT,
+      testHandle: null,
+      // Codolio's totals repeat the student's other platforms and it has no rating,
+      // so it only finds their other handles and doesn't count towards the score
+      defaultWeight: 0
+    });
+  }
+
+  /**
+   * Fetch Codolio stats (Public profile API)
+   * Codolio aggregates a student's other platforms, so problems and contests
+   * are summed across every linked profile and the linked handles are kept
+   * in additionalData.linkedHandles for platform ID discovery.
+   */
+  async fetchStats(username) {
+    return retryWithBackoff(async () => {
+      try {
+        const response = await axios.get(
+          `${API_CONFIG.API_URL}${API_CONFIG.USER_PROFILE}`,
+          {
+            params: { userKey: username },
+            timeout: API_CONFIG.TIMEOUT,
+            headers: {
+              'User-Agent': 'Skorly-Platform-Tracker/1.0',
+              'Accept': 'application/json',
+              'Origin': API_CONFIG.BASE_URL
+            }
+          }
+        );
+
+        const profile = response.data?.data;
+        if (!profile || response.data?.status?.success === false) {
+          throw new Error(`Codolio user not found: ${username}`);
+        }
+
+        const platformProfiles = profile.platformProfiles?.platformProfiles || [];
+
+        let problemsSolved = 0;
+        let contestsParticipated = 0;
+        const difficulty = { easy: 0, medium: 0, hard: 0 };
+        const platforms = {};
+        const linkedHandles = {};
+
+        platformProfiles.forEach(platformProfile => {
+          const platformName = (platformProfile.platform || '').toLowerCase();
+          if (!platformName) return;
+
+          const questionStats = platformProfile.totalQuestionStats || {};
+          const contestStats = platformProfile.contestActivityStats || {};
+          const details = platformProfile.userPlatformDetails || {};
+
+          const solved = questionStats.totalQuestionCounts || 0;
+          const contests = contestStats.totalContests ||
+            (contestStats.contestActivityList || []).length;
+
+          problemsSolved += solved;
+          contestsParticipated += contests;
+          difficulty.easy += questionStats.easyQuestionCounts || 0;
+          difficulty.medium += questionStats.mediumQuestionCounts || 0;
+          difficulty.hard += questionStats.hardQuestionCounts || 0;
+
+          platforms[platformName] = {
+            handle: details.userName || null,
+            profileUrl: details.profileUrl || null,
+            problemsSolved: solved,
+            contestsParticipated: contests,
+            rating: contestStats.currentRating || 0,
+            maxRating: contestStats.maxRating || contestStats.currentRating || 0
+          };
+
+          if (details.userName) {
+            linkedHandles[platformName] = details.userName;
+          }
+        });
+
+        return {
+          rating: 0, // Codolio has no rating of its own
+          maxRating: 0,
+          problemsSolved,
+          contestsParticipated,
+          rank: null,
+          additionalData: {
+            username: profile.userKey || username,
+            difficulty,
+            platforms,
+            linkedHandles
+          }
+        };
+
+      } catch (error) {
+        if (error.response?.status === 404 || error.message.includes('not found')) {
+          throw new Error(`Codolio user not found: ${username}`);
+        }
+        throw new Error(`Codolio API error: ${error.message}`);
+      }
+    }, 2, 3000);
+  }
+}
+
+module.exports = new CodolioAdapter();
@@ -0,0 +1,125 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const PlatformAdapter = require('./PlatformAdapter');
+const { retryWithBackoff } = require('../utils/helpers');
+
+const API_CONFIG = {
+  BASE_URL: 'https://www.geeksforgeeks.org',
+  USER_PROFILE: '/user',
+  TIMEOUT: 12000, // 12 seconds
+};
+
+const DIFFICULTIES = ['School', 'Basic', 'Easy', 'Medium', 'Hard'];
+
+/**
+ * GeeksforGeeks platform adapter
+ * GfG has no contest rating, so the coding score fills the rating slot
+ * (the same way GitHub stars do)
+ */
+class GeeksforGeeksAdapter extends PlatformAdapter {
+  constructor() {
+    super({
+      id: 'geeksforgeeks',
+      name: 'GeeksforGeeks',
+      idColumn: 'GeeksforGeeks ID',
+      idDescription: 'GeeksforGeeks username (optional)',
+      rateLimit: { requestsPerSecond: 2, burstLimit: 4 },
+      timeout: API_CONFIG.TIMEOUT
+    });
+  }
+
+  /**
+   * Fetch GeeksforGeeks stats (Web scraping of the profile page data)
+   */
+  async fetchStats(username) {
+    return retryWithBackoff(async () => {
+      try {
+        const response = await axios.get(
+          `${API_CONFIG.BASE_URL}${API_CONFIG.USER_PROFILE}/${username}/`,
+          {
+            timeout: API_CONFIG.TIMEOUT,
+            headers: {
+              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+              'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+              'Accept-Language': 'en-US,en;q=0.5'
+            }
+          }
+        );
+
+        // The profile is a Next.js page, its data is embedded as JSON
+        const $ = cheerio.load(response.data);
+        const nextData = $('script#__NEXT_DATA__').html();
+        if (!nextData) {
+          throw new Error('Profile data missing from page');
+        }
+
+        const pageProps = JSON.parse(nextData).props?.pageProps || {};
+        const userInfo = pageProps.userInfo;
+        if (!userInfo || Object.keys(userInfo).length === 0) {
+          throw new Error(`GeeksforGeeks user not found: ${username}`);
+        }
+
+        // Solved problems are grouped by difficulty, keyed by problem ID
+        const submissions = pageProps.userSubmissionsInfo || {};
+        const difficulty = {};
+        DIFFICULTIES.forEach(level => {
+          difficulty[level.toLowerCase()] = Object.keys(submissions[level] || {}).length;
+        });
+
+        const contests = pageProps.contestData?.user_contest_data?.contest_data || [];
+        const codingScore = parseInt(userInfo.score) || 0;
+
+        return {
+          rating: codingScore, // Use coding score as rating
+          maxRating: codingScore,
+          problemsSolved: parseInt(userInfo.total_problems_solved) || 0,
+          contestsParticipated: contests.length,
+          rank: parseInt(userInfo.institute_rank) || null,
+          additionalData: {
+            username: userInfo.userName || username,
+            codingScore,
+            monthlyScore: parseInt(userInfo.monthly_score) || 0,
+            institute: userInfo.institute_name || null,
+            instituteRank: parseInt(userInfo.institute_rank) || null,
+            currentStreak: parseInt(userInfo.pod_solved_current_streak) || 0,
+            longestStreak: parseInt(userInfo.pod_solved_longest_streak) || 0,
+            difficulty
+          }
+        };
+
+      } catch (error) {
+        if (error.response?.status === 404 || error.message.includes('not found')) {
+          throw new Error(`GeeksforGeeks user not found: ${username}`);
+        }
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+          throw new Error('GeeksforGeeks request timeout - site may be slow');
+        }
+        throw new Error(`GeeksforGeeks scraping error: ${error.message}`);
+      }
+    }, 2, 3000);
+  }
+
+  /**
+   * School and basic problems count as easy
+   */
+  getDifficultyCounts(additionalData) {
+    const difficulty = additionalData?.difficulty;
+    if (!difficulty) return null;
+
+    return {
+      easy: (difficulty.school || 0) + (difficulty.basic || 0) + (difficulty.easy || 0),
+      medium: difficulty.medium || 0,
+      hard: difficulty.hard || 0
+    };
+  }
+
+  /**
+   * Coding scores sit well below contest ratings, so double them before the
+   * default scaling (a 400 coding score earns the full rating component)
+   */
+  normalizeStats(stats, caps, difficultyWeights) {
+    return super.normalizeStats({ ...stats, rating: (stats.rating || 0) * 2 }, caps, difficultyWeights);
+  }
+}
+
+module.exports = new GeeksforGeeksAdapter();
@@ -0,0 +1,205 @@
+const axios = require('axios');
+const PlatformAdapter = require('./PlatformAdapter');
+const cheerio = require('cheerio');
+const { retryWithBackoff, formatDay } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const API_CONFIG = {
+  BASE_URL: 'https://api.github.com',
+  TIMEOUT: 10000, // 10 seconds
+};
+
+/**
+ * GitHub platform adapter
+ */
+class GitHubAdapter extends PlatformAdapter {
+  constructor() {
+    super({
+      id: 'github',
+      name: 'GitHub',
+      idColumn: 'GitHub ID',
+      idDescription: 'GitHub username (optional)',
+      // GitHub usernames are alphanumeric with single hyphens, up to 39 characters
+      idRules: { MIN_LENGTH: 1, MAX_LENGTH: 39, PATTERN: /^[a-zA-Z0-9-]+$/ },
+      rateLimit: { requestsPerSecond: 10, burstLimit: 20 },
+      timeout: API_CONFIG.TIMEOUT,
+      testHandle: 'octocat',
+      activityUnit: 'contributions'
+    });
+  }
+
+  /**
+   * Fetch GitHub stats
+   */
+  async fetchStats(username) {
+    return retryWithBackoff(async () => {
+      try {
+        // Fetch user info using REST API
+        const userResponse = await axios.get(
+          `${API_CONFIG.BASE_URL}/users/${username}`,
+          {
+            timeout: API_CONFIG.TIMEOUT,
+            headers: {
+              'User-Agent': 'Skorly-Platform-Tracker/1.0',
+              'Accept': 'application/vnd.github.v3+json'
+            }
+          }
+        );
+
+        const user = userResponse.data;
+
+        // Fetch repositories
+        const reposResponse = await axios.get(
+          `${API_CONFIG.BASE_URL}/users/${username}/repos`,
+          {
+            params: {
+              type: 'owner',
+              sort: 'updated',
+              per_page: 100
+            },
+            timeout: API_CONFIG.TIMEOUT,
+            headers: {
+              'User-Agent': 'Skorly-Platform-Tracker/1.0',
+              'Accept': 'application/vnd.github.v3+json'
+            }
+          }
+        );
+
+        const repos = reposResponse.data;
+        const totalStars = repos.reduce((sum, repo) => sum + repo.stargazers_count, 0);
+        const totalForks = repos.reduce((sum, repo) => sum + repo.forks_count, 0);
+        
+        // Fetch total contributions from GitHub's contributions page
+        let totalContributions = 0;
+        
+        try {
+          // Parse the contributions page HTML to extract contribution count
+          const $ = await this.fetchContributionsPage(username);
+          
+          // Look for the H2 tag that contains "X contributions in the last year"
+          let found = false;
+          $('h2').each((i, elem) => {
+            const text = $(elem).text().trim();
+            // Match pattern like "33 contributions in the last year"
+            const match = text.match(/^(\d+)\s+contributions?\s+in\s+the\s+last\s+year/i);
+            if (match) {
+              totalContributions = parseInt(match[1]) || 0;
+              found = true;
+              logger.info(`GitHub contributions fetched for ${username}: ${totalContributions}`);
+              return false; // break
+            }
+          });
+          
+          if (!found) {
+            // Fallback: search entire body text
+            const bodyText = $('body').text();
+            const match = bodyText.match(/(\d+)\s+contributions?\s+in\s+the\s+last\s+year/i);
+            if (match) {
+              totalContributions = parseInt(match[1]) || 0;
+              logger.info(`GitHub contributions found in body for ${username}: ${totalContributions}`);
+            } else {
+              // Last fallback: estimate from repos
+              totalContributions = (user.public_repos * 5) + user.public_gists;
+              logger.warn(`GitHub contributions estimated from repos for ${username}: ${totalContributions}`);
+            }
+          }
+        } catch (contributionsError) {
+          logger.warn(`GitHub contributions fetch failed for ${username}: ${contributionsError.message}`);
+          // Fallback: estimate from repository count
+          totalContributions = (user.public_repos * 5) + user.public_gists;
+        }
+
+        return {
+          rating: totalStars, // Use stars as rating
+          maxRating: totalStars,
+          problemsSolved: user.public_repos, // Use public repos as problems solved
+          contestsParticipated: totalContributions, // Use actual contributions from page
+          rank: null,
+          additionalData: {
+            username: user.login,
+            name: user.name,
+            company: user.company,
+            location: user.location,
+            email: user.email,
+            bio: user.bio,
+            publicRepos: user.public_repos,
+            publicGists: user.public_gists,
+            followers: user.followers,
+            following: user.following,
+            totalStars,
+            totalForks,
+            contributionScore: totalContributions, // Store actual contributions
+            createdAt: user.created_at
+          }
+        };
+
+      } catch (error) {
+        if (error.response?.status === 404) {
+          throw new Error(`GitHub user not found: ${username}`);
+        }
+        if (error.response?.status === 403) {
+          throw new Error('GitHub API rate limit exceeded');
+        }
+        throw new Error(`GitHub API error: ${error.message}`);
+      }
+    }, 3, 2000);
+  }
+
+  /**
+   * Contributions per day since a day, from the contribution calendar on the
+   * contributions page (the past year, in the user's own time zone)
+   */
+  async fetchActivity(username, since = null) {
+    return retryWithBackoff(async () => {
+      try {
+        const $ = await this.fetchContributionsPage(username);
+        const cells = $('td.ContributionCalendar-day[data-date]');
+        if (cells.length === 0) {
+          throw new Error('contribution calendar not found');
+        }
+
+        const sinceDay = since ? formatDay(since) : null;
+        const days = [];
+        cells.each((i, elem) => {
+          const date = $(elem).attr('data-date');
+          // Counts are only in the cell's tooltip: "3 contributions on ..." or "No contributions on ..."
+          const tooltip = $(`tool-tip[for="${$(elem).attr('id')}"]`).text().trim();
+          const match = tooltip.match(/^(\d+)\s+contributions?/i);
+          const count = match ? parseInt(match[1]) : 0;
+
+          if (count > 0 && (!sinceDay || date >= sinceDay)) {
+            days.push({ date, count, accepted: null });
+          }
+        });
+
+        return days.sort((a, b) => a.date.localeCompare(b.date));
+
+      } catch (error) {
+        if (error.response?.status === 404) {
+          throw new Error(`GitHub user not found: ${username}`);
+        }
+        throw new Error(`GitHub API error: ${error.message}`);
+      }
+    }, 3, 2000);
+  }
+
+  /**
+   * Load the HTML contributions page (total and daily calendar)
+   */
+  async fetchContributionsPage(username) {
+    const response = await axios.get(
+      `https://github.com/users/${username}/contributions`,
+      {
+        timeout: API_CONFIG.TIMEOUT,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+        }
+      }
+    );
+
+    return cheerio.load(response.data);
+  }
+}
+
+module.exports = new GitHubAdapter();
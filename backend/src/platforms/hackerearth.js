@@ -0,0 +1,104 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const PlatformAdapter = require('./PlatformAdapter');
+const { retryWithBackoff } = require('../utils/helpers');
+
+const API_CONFIG = {
+  BASE_URL: 'https://www.hackerearth.com',
+  TIMEOUT: 12000, // 12 seconds
+};
+
+/**
+ * Read the number shown next to a stat label, e.g. "Problems Solved 212"
+ * Looks for the leaf element holding the label and reads its container
+ */
+const readLabelledNumber = ($, labelPattern) => {
+  let value = null;
+
+  $('body *').each((i, elem) => {
+    const $elem = $(elem);
+    if ($elem.children().length > 0 || !labelPattern.test($elem.text().trim())) {
+      return;
+    }
+
+    const match = $elem.parent().text().replace(/,/g, '').match(/(\d+)/);
+    if (match) {
+      value = parseInt(match[1]);
+      return false; // break
+    }
+  });
+
+  return value;
+};
+
+/**
+ * HackerEarth platform adapter
+ */
+class HackerEarthAdapter extends PlatformAdapter {
+  constructor() {
+    super({
+      id: 'hackerearth',
+      name: 'HackerEarth',
+      idColumn: 'HackerEarth ID',
+      idDescription: 'HackerEarth username (optional)',
+      rateLimit: { requestsPerSecond: 1, burstLimit: 3 },
+      timeout: API_CONFIG.TIMEOUT
+    });
+  }
+
+  /**
+   * Fetch HackerEarth stats (Web scraping of the public profile page)
+   */
+  async fetchStats(username) {
+    return retryWithBackoff(async () => {
+      try {
+        const response = await axios.get(
+          `${API_CONFIG.BASE_URL}/@${username}`,
+          {
+            timeout: API_CONFIG.TIMEOUT,
+            headers: {
+              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+              'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+              'Accept-Language': 'en-US,en;q=0.5'
+            }
+          }
+        );
+
+        const $ = cheerio.load(response.data);
+
+        const problemsSolved = readLabelledNumber($, /^problems?\s+solved$/i);
+        if (problemsSolved === null) {
+          throw new Error(`HackerEarth user not found: ${username}`);
+        }
+
+        const rating = readLabelledNumber($, /^rating$/i) || 0;
+        const maxRating = readLabelledNumber($, /^(highest|max(imum)?)\s+rating$/i) || rating;
+
+        return {
+          rating,
+          maxRating: Math.max(maxRating, rating),
+          problemsSolved,
+          contestsParticipated: readLabelledNumber($, /^contests?(\s+participated)?$/i) || 0,
+          rank: readLabelledNumber($, /^(global\s+)?rank$/i),
+          additionalData: {
+            username,
+            name: $('.name, .profile-name').first().text().trim() || null,
+            submissions: readLabelledNumber($, /^submissions?$/i) || 0,
+            points: readLabelledNumber($, /^points$/i) || 0
+          }
+        };
+
+      } catch (error) {
+        if (error.response?.status === 404 || error.message.includes('not found')) {
+          throw new Error(`HackerEarth user not found: ${username}`);
+        }
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+          throw new Error('HackerEarth request timeout - site may be slow');
+        }
+        throw new Error(`HackerEarth scraping error: ${error.message}`);
+      }
+    }, 2, 5000);
+  }
+}
+
+module.exports = new HackerEarthAdapter();
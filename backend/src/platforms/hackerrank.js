@@ -0,0 +1,120 @@
+const axios = require('axios');
+const PlatformAdapter = require('./PlatformAdapter');
+const { retryWithBackoff } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { SCORE_SCALE } = require('../utils/constants');
+
+const API_CONFIG = {
+  BASE_URL: 'https://www.hackerrank.com/rest',
+  USER_PROFILE: '/contests/master/hackers',
+  USER_BADGES: '/hackers',
+  TIMEOUT: 10000, // 10 seconds
+};
+
+// Stars that earn the full rating component; a badge tops out at 5
+const FULL_RATING_STARS = 20;
+
+/**
+ * HackerRank platform adapter
+ * HackerRank tracks progress through badges, so total badge stars fill the
+ * rating slot and challenges solved across badges are the problem count
+ */
+class HackerRankAdapter extends PlatformAdapter {
+  constructor() {
+    super({
+      id: 'hackerrank',
+      name: 'HackerRank',
+      idColumn: 'HackerRank ID',
+      idDescription: 'HackerRank username (optional)',
+      rateLimit: { requestsPerSecond: 2, burstLimit: 4 },
+      timeout: API_CONFIG.TIMEOUT
+    });
+  }
+
+  /**
+   * Fetch HackerRank stats (Public REST endpoints)
+   */
+  async fetchStats(username) {
+    return retryWithBackoff(async () => {
+      const requestOptions = {
+        timeout: API_CONFIG.TIMEOUT,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+          'Accept': 'application/json'
+        }
+      };
+
+      try {
+        // Fetch profile (confirms the user exists)
+        const profileResponse = await axios.get(
+          `${API_CONFIG.BASE_URL}${API_CONFIG.USER_PROFILE}/${username}/profile`,
+          requestOptions
+        );
+
+        const profile = profileResponse.data?.model;
+        if (!profile) {
+          throw new Error(`HackerRank user not found: ${username}`);
+        }
+
+        // Fetch badges
+        let badges = [];
+        try {
+          const badgesResponse = await axios.get(
+            `${API_CONFIG.BASE_URL}${API_CONFIG.USER_BADGES}/${username}/badges`,
+            requestOptions
+          );
+          badges = badgesResponse.data?.models || [];
+        } catch (error) {
+          // If badges fail, keep the profile and report no progress
+          logger.warn(`HackerRank badges fetch failed for ${username}: ${error.message}`);
+        }
+
+        const totalStars = badges.reduce((sum, badge) => sum + (badge.stars || 0), 0);
+        const problemsSolved = badges.reduce((sum, badge) => sum + (badge.solved || 0), 0);
+
+        return {
+          rating: totalStars, // Use badge stars as rating
+          maxRating: totalStars,
+          problemsSolved,
+          contestsParticipated: 0, // HackerRank doesn't expose contest history publicly
+          rank: null,
+          additionalData: {
+            username: profile.username || username,
+            name: profile.name || null,
+            country: profile.country || null,
+            school: profile.school || null,
+            level: profile.level || null,
+            totalStars,
+            badges: badges.map(badge => ({
+              name: badge.badge_name,
+              stars: badge.stars || 0,
+              solved: badge.solved || 0,
+              totalChallenges: badge.total_challenges || 0
+            }))
+          }
+        };
+
+      } catch (error) {
+        if (error.response?.status === 404 || error.message.includes('not found')) {
+          throw new Error(`HackerRank user not found: ${username}`);
+        }
+        if (error.response?.status === 429) {
+          throw new Error('HackerRank rate limit exceeded');
+        }
+        throw new Error(`HackerRank API error: ${error.message}`);
+      }
+    }, 2, 3000);
+  }
+
+  /**
+   * Scale stars onto the profile's rating cap, so FULL_RATING_STARS earn the
+   * full rating component whatever the cap is
+   */
+  normalizeStats(stats, caps, difficultyWeights) {
+    const ratingCap = caps?.rating ?? SCORE_SCALE.RATING;
+    const rating = ((stats.rating || 0) / FULL_RATING_STARS) * ratingCap;
+    return super.normalizeStats({ ...stats, rating }, caps, difficultyWeights);
+  }
+}
+
+module.exports = new HackerRankAdapter();
@@ -0,0 +1,137 @@
+const logger = require('../utils/logger');
+
+/**
+ * Platform Registry
+ * Single source of truth for supported platforms. Models, Excel parsing,
+ * validation and scraping all read the platform list from here, so adding
+ * a platform means writing one adapter module and registering it below.
+ */
+class PlatformRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Register a platform adapter
+   */
+  register(adapter) {
+    const required = ['id', 'name', 'idColumn', 'rateLimit'];
+    const missing = required.filter(key => !adapter[key]);
+
+    if (missing.length > 0) {
+      throw new Error(`Platform adapter is missing: ${missing.join(', ')}`);
+    }
+
+    if (typeof adapter.fetchStats !== 'function' || typeof adapter.validateId !== 'function' ||
+        typeof adapter.normalizeStats !== 'function') {
+      throw new Error(`Platform adapter ${adapter.id} must implement fetchStats, validateId and normalizeStats`);
+    }
+
+    if (this.adapters.has(adapter.id)) {
+      logger.warn(`Platform adapter ${adapter.id} registered twice, replacing it`);
+    }
+
+    this.adapters.set(adapter.id, adapter);
+    return this;
+  }
+
+  /**
+   * Get the adapter for a platform ID, or null if unsupported
+   */
+  getPlatform(platform) {
+    if (!platform) return null;
+    return this.adapters.get(platform.toString().toLowerCase()) || null;
+  }
+
+  /**
+   * Check if a platform is supported
+   */
+  isSupported(platform) {
+    return this.getPlatform(platform) !== null;
+  }
+
+  /**
+   * All adapters, in registration (Excel column) order
+   */
+  getAllPlatforms() {
+    return Array.from(this.adapters.values());
+  }
+
+  /**
+   * All platform IDs, e.g. ['codechef', 'leetcode', ...]
+   */
+  getPlatformIds() {
+    return Array.from(this.adapters.keys());
+  }
+
+  /**
+   * IDs of platforms that report per-contest results
+   */
+  getContestPlatformIds() {
+    return this.getAllPlatforms()
+      .filter(adapter => adapter.supportsContestHistory)
+      .map(adapter => adapter.id);
+  }
+
+  /**
+   * IDs of platforms that report daily activity
+   */
+  getActivityPlatformIds() {
+    return this.getAllPlatforms()
+      .filter(adapter => adapter.supportsActivity)
+      .map(adapter => adapter.id);
+  }
+
+  /**
+   * IDs of activity platforms whose daily counts are submissions, the ones
+   * solving streaks are built from
+   */
+  getSolvingPlatformIds() {
+    return this.getAllPlatforms()
+      .filter(adapter => adapter.supportsActivity && adapter.activityUnit === 'submissions')
+      .map(adapter => adapter.id);
+  }
+
+  /**
+   * Excel ID column names, e.g. ['CodeChef ID', 'LeetCode ID', ...]
+   */
+  getIdColumns() {
+    return this.getAllPlatforms().map(adapter => adapter.idColumn);
+  }
+
+  /**
+   * Map of Excel ID column name to platform ID
+   */
+  getColumnMapping() {
+    return this.getAllPlatforms().reduce((mapping, adapter) => {
+      mapping[adapter.idColumn] = adapter.id;
+      return mapping;
+    }, {});
+  }
+
+  /**
+   * Build an object with one key per platform, e.g. for mongoose schemas
+   */
+  buildPlatformFields(buildField) {
+    return this.getPlatformIds().reduce((fields, platform) => {
+      fields[platform] = buildField(platform);
+      return fields;
+    }, {});
+  }
+}
+
+const platformRegistry = new PlatformRegistry();
+
+// Registration order is the column order used in Excel sheets and API responses
+platformRegistry
+  .register(require('./codechef'))
+  .register(require('./leetcode'))
+  .register(require('./codeforces'))
+  .register(require('./atcoder'))
+  .register(require('./codolio'))
+  .register(require('./github'))
+  .register(require('./geeksforgeeks'))
+  .register(require('./hackerrank'))
+  .register(require('./hackerearth'));
+
+module.exports = platformRegistry;
@@ -0,0 +1,419 @@
+const axios = require('axios');
+const PlatformAdapter = require('./PlatformAdapter');
+const { retryWithBackoff, formatDay } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const API_CONFIG = {
+  BASE_URL: 'https://leetcode.com/graphql',
+  TIMEOUT: 15000, // 15 seconds
+  RECENT_ACCEPTED_LIMIT: 20, // Most accepted submissions LeetCode lists publicly
+};
+
+// LeetCode tag slugs behind each tracked topic. LeetCode only reports solved
+// counts per tag, so a problem under two of a topic's tags counts twice; the
+// lists stay narrow to keep that rare
+const TOPIC_TAGS = {
+  dp: ['dynamic-programming'],
+  graphs: ['graph'],
+  trees: ['tree'],
+  greedy: ['greedy'],
+  math: ['math'],
+  numberTheory: ['number-theory'],
+  combinatorics: ['combinatorics'],
+  binarySearch: ['binary-search'],
+  strings: ['string'],
+  dataStructures: ['stack', 'heap-priority-queue', 'segment-tree', 'binary-indexed-tree'],
+  sorting: ['sorting'],
+  twoPointers: ['two-pointers'],
+  bitManipulation: ['bit-manipulation'],
+  geometry: ['geometry'],
+  implementation: ['simulation'],
+};
+
+/**
+ * LeetCode platform adapter
+ */
+class LeetCodeAdapter extends PlatformAdapter {
+  constructor() {
+    super({
+      id: 'leetcode',
+      name: 'LeetCode',
+      idColumn: 'LeetCode ID',
+      idDescription: 'LeetCode username (optional)',
+      rateLimit: { requestsPerSecond: 2, burstLimit: 5 },
+      timeout: API_CONFIG.TIMEOUT,
+      testHandle: 'LeetCode',
+      topicTags: TOPIC_TAGS
+    });
+  }
+
+  /**
+   * Fetch LeetCode stats (GraphQL API)
+   */
+  async fetchStats(username) {
+    return retryWithBackoff(async () => {
+      try {
+        const query = `
+          query getUserProfile($username: String!) {
+            matchedUser(username: $username) {
+              username
+              profile {
+                ranking
+                userAvatar
+                realName
+                aboutMe
+                school
+                websites
+                countryName
+                company
+                jobTitle
+                skillTags
+                postViewCount
+                postViewCountDiff
+                reputation
+                reputationDiff
+              }
+              submitStatsGlobal {
+                acSubmissionNum {
+                  difficulty
+                  count
+                  submissions
+                }
+              }
+              badges {
+                id
+                displayName
+                icon
+                creationDate
+              }
+            }
+            userContestRanking(username: $username) {
+              attendedContestsCount
+              rating
+              globalRanking
+              totalParticipants
+              topPercentage
+              badge {
+                name
+              }
+            }
+          }
+        `;
+
+        const response = await axios.post(
+          API_CONFIG.BASE_URL,
+          {
+            query,
+            variables: { username }
+          },
+          {
+            timeout: API_CONFIG.TIMEOUT,
+            headers: {
+              'Content-Type': 'application/json',
+              'User-Agent': 'Skorly-Platform-Tracker/1.0',
+              'Referer': 'https://leetcode.com'
+            }
+          }
+        );
+
+        const data = response.data.data;
+        
+        if (!data.matchedUser) {
+          throw new Error(`LeetCode user not found: ${username}`);
+        }
+
+        const user = data.matchedUser;
+        const contestRanking = data.userContestRanking;
+        
+        // Solved counts per difficulty from submitStatsGlobal; the total is Easy + Medium + Hard
+        const difficulty = { easy: 0, medium: 0, hard: 0 };
+        if (user.submitStatsGlobal?.acSubmissionNum) {
+          user.submitStatsGlobal.acSubmissionNum.forEach(stat => {
+            const level = stat.difficulty.toLowerCase();
+            if (level in difficulty) {
+              difficulty[level] = stat.count;
+            }
+          });
+        }
+        const totalSolved = difficulty.easy + difficulty.medium + difficulty.hard;
+
+        // Solved problems per tag come from a separate query; without them only topics are missing
+        const tags = await this.fetchTagCounts(username);
+
+        return {
+          rating: Math.round(contestRanking?.rating || 0),
+          maxRating: Math.round(contestRanking?.rating || 0), // LeetCode doesn't provide max rating
+          problemsSolved: totalSolved,
+          contestsParticipated: contestRanking?.attendedContestsCount || 0,
+          rank: contestRanking?.globalRanking || null,
+          additionalData: {
+            username: user.username,
+            ranking: user.profile?.ranking || null,
+            reputation: user.profile?.reputation || 0,
+            badges: user.badges?.length || 0,
+            company: user.profile?.company || null,
+            school: user.profile?.school || null,
+            difficulty,
+            tags
+          }
+        };
+
+      } catch (error) {
+        if (error.response?.status === 403) {
+          throw new Error('LeetCode API access forbidden');
+        }
+        if (error.response?.status === 429) {
+          throw new Error('LeetCode API rate limit exceeded');
+        }
+        throw new Error(`LeetCode API error: ${error.message}`);
+      }
+    }, 3, 3000);
+  }
+
+  /**
+   * Solved problems per tag slug (GraphQL API, tagProblemCounts), or null
+   * when they can't be fetched
+   */
+  async fetchTagCounts(username) {
+    try {
+      const query = `
+        query skillStats($username: String!) {
+          matchedUser(username: $username) {
+            tagProblemCounts {
+              advanced { tagSlug problemsSolved }
+              intermediate { tagSlug problemsSolved }
+              fundamental { tagSlug problemsSolved }
+            }
+          }
+        }
+      `;
+
+      const response = await axios.post(
+        API_CONFIG.BASE_URL,
+        {
+          query,
+          variables: { username }
+        },
+        {
+          timeout: API_CONFIG.TIMEOUT,
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Skorly-Platform-Tracker/1.0',
+            'Referer': 'https://leetcode.com'
+          }
+        }
+      );
+
+      const counts = response.data.data?.matchedUser?.tagProblemCounts;
+      if (!counts) return null;
+
+      const tags = {};
+      ['advanced', 'intermediate', 'fundamental'].forEach(level => {
+        (counts[level] || []).forEach(({ tagSlug, problemsSolved }) => {
+          tags[tagSlug] = problemsSolved;
+        });
+      });
+      return tags;
+
+    } catch (error) {
+      logger.debug(`No LeetCode tag counts for ${username}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Submissions per UTC day since a day (GraphQL API, submissionCalendar)
+   * The calendar covers the past year, keyed by the Unix time of each day's start.
+   * Accepted counts come from the recent accepted submissions, so they are
+   * only known back to the oldest one listed
+   */
+  async fetchActivity(username, since = null) {
+    return retryWithBackoff(async () => {
+      try {
+        const query = `
+          query userCalendar($username: String!) {
+            matchedUser(username: $username) {
+              submissionCalendar
+            }
+          }
+        `;
+
+        const response = await axios.post(
+          API_CONFIG.BASE_URL,
+          {
+            query,
+            variables: { username }
+          },
+          {
+            timeout: API_CONFIG.TIMEOUT,
+            headers: {
+              'Content-Type': 'application/json',
+              'User-Agent': 'Skorly-Platform-Tracker/1.0',
+              'Referer': 'https://leetcode.com'
+            }
+          }
+        );
+
+        const user = response.data.data?.matchedUser;
+        if (!user) {
+          throw new Error(`LeetCode user not found: ${username}`);
+        }
+
+        const sinceDay = since ? formatDay(since) : null;
+        // submissionCalendar is a JSON string, e.g. '{"1704067200": 3}'
+        const calendar = JSON.parse(user.submissionCalendar || '{}');
+        const recent = await this.fetchRecentAccepted(username);
+        const acceptedOn = (date) => {
+          if (!recent || (recent.knownFrom && date < recent.knownFrom)) return null;
+          return recent.days[date] || 0;
+        };
+
+        return Object.entries(calendar)
+          .map(([timestamp, count]) => {
+            const date = formatDay(Number(timestamp) * 1000);
+            return { date, count, accepted: acceptedOn(date) };
+          })
+          .filter(day => day.count > 0 && (!sinceDay || day.date >= sinceDay))
+          .sort((a, b) => a.date.localeCompare(b.date));
+
+      } catch (error) {
+        if (error.response?.status === 403) {
+          throw new Error('LeetCode API access forbidden');
+        }
+        if (error.response?.status === 429) {
+          throw new Error('LeetCode API rate limit exceeded');
+        }
+        throw new Error(`LeetCode API error: ${error.message}`);
+      }
+    }, 3, 3000);
+  }
+
+  /**
+   * Accepted submissions per UTC day from the recent accepted list (GraphQL
+   * API, recentAcSubmissionList), or null when it can't be fetched
+   * Resolves to { days: { date: accepted }, knownFrom }; knownFrom is the oldest
+   * listed day when the list is full (earlier days unknown), else null
+   */
+  async fetchRecentAccepted(username) {
+    try {
+      const query = `
+        query recentAcSubmissions($username: String!, $limit: Int!) {
+          recentAcSubmissionList(username: $username, limit: $limit) {
+            timestamp
+          }
+        }
+      `;
+
+      const response = await axios.post(
+        API_CONFIG.BASE_URL,
+        {
+          query,
+          variables: { username, limit: API_CONFIG.RECENT_ACCEPTED_LIMIT }
+        },
+        {
+          timeout: API_CONFIG.TIMEOUT,
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Skorly-Platform-Tracker/1.0',
+            'Referer': 'https://leetcode.com'
+          }
+        }
+      );
+
+      const submissions = response.data.data?.recentAcSubmissionList;
+      if (!submissions) return null;
+
+      const days = {};
+      submissions.forEach(({ timestamp }) => {
+        const date = formatDay(Number(timestamp) * 1000);
+        days[date] = (days[date] || 0) + 1;
+      });
+
+      const full = submissions.length >= API_CONFIG.RECENT_ACCEPTED_LIMIT;
+      return { days, knownFrom: full ? Object.keys(days).sort()[0] : null };
+
+    } catch (error) {
+      logger.debug(`No LeetCode recent accepted submissions for ${username}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch per-contest results (GraphQL API, userContestRankingHistory)
+   * The history lists every contest since the user joined, attended or not
+   */
+  async fetchContestHistory(username) {
+    return retryWithBackoff(async () => {
+      try {
+        const query = `
+          query userContestRankingHistory($username: String!) {
+            userContestRankingHistory(username: $username) {
+              attended
+              problemsSolved
+              totalProblems
+              rating
+              ranking
+              contest {
+                title
+                startTime
+              }
+            }
+          }
+        `;
+
+        const response = await axios.post(
+          API_CONFIG.BASE_URL,
+          {
+            query,
+            variables: { username }
+          },
+          {
+            timeout: API_CONFIG.TIMEOUT,
+            headers: {
+              'Content-Type': 'application/json',
+              'User-Agent': 'Skorly-Platform-Tracker/1.0',
+              'Referer': 'https://leetcode.com'
+            }
+          }
+        );
+
+        const history = response.data.data?.userContestRankingHistory;
+        if (!history) {
+          throw new Error(`LeetCode user not found: ${username}`);
+        }
+
+        let previousRating = null;
+
+        return history
+          .filter(entry => entry.attended)
+          .map(entry => {
+            const newRating = Math.round(entry.rating);
+            const result = {
+              // Contest URLs use the slugged title, e.g. weekly-contest-380
+              contestId: entry.contest.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+              contestName: entry.contest.title,
+              contestDate: new Date(entry.contest.startTime * 1000),
+              rank: entry.ranking || null,
+              oldRating: previousRating,
+              newRating,
+              problemsSolved: entry.problemsSolved
+            };
+
+            previousRating = newRating;
+            return result;
+          });
+
+      } catch (error) {
+        if (error.response?.status === 403) {
+          throw new Error('LeetCode API access forbidden');
+        }
+        if (error.response?.status === 429) {
+          throw new Error('LeetCode API rate limit exceeded');
+        }
+        throw new Error(`LeetCode API error: ${error.message}`);
+      }
+    }, 3, 3000);
+  }
+}
+
+module.exports = new LeetCodeAdapter();
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+const { PLATFORM_FETCH_CONFIG } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+const { MODES } = PLATFORM_FETCH_CONFIG;
+
+/**
+ * Platform Fetch Recorder
+ * Records the HTTP traffic of one platform fetch into a fixture file, or
+ * replays a fetch from that file without touching the network. It swaps the
+ * default axios adapter, so platform adapters need no changes; each fetch is
+ * wrapped in run() so concurrent fetches record into their own files.
+ *
+ * Recordings live at <recordingsDir>/<platform>/<platformId>.json, other
+ * kinds of fetch (e.g. contest history) under <platform>/<kind>/<platformId>.json
+ */
+class PlatformFetchRecorder {
+  constructor() {
+    this.mode = MODES.LIVE;
+    this.recordingsDir = path.resolve(PLATFORM_FETCH_CONFIG.RECORDINGS_DIR);
+    this.context = new AsyncLocalStorage();
+    this.defaultAdapter = axios.defaults.adapter;
+
+    this.configure({ mode: PLATFORM_FETCH_CONFIG.MODE });
+  }
+
+  /**
+   * Switch mode (live, record or replay) and optionally the recordings directory
+   */
+  configure({ mode = this.mode, recordingsDir } = {}) {
+    if (!Object.values(MODES).includes(mode)) {
+      throw new Error(`Unknown platform fetch mode: ${mode}`);
+    }
+
+    this.mode = mode;
+    if (recordingsDir) {
+      this.recordingsDir = path.resolve(recordingsDir);
+    }
+
+    axios.defaults.adapter = mode === MODES.LIVE
+      ? this.defaultAdapter
+      : (config) => this.handleRequest(config);
+
+    return this;
+  }
+
+  /**
+   * The adapter axios would use without the recorder (http in Node)
+   */
+  liveAdapter(config) {
+    return axios.getAdapter(this.defaultAdapter)(config);
+  }
+
+  isReplaying() {
+    return this.mode === MODES.REPLAY;
+  }
+
+  /**
+   * Run a platform fetch, recording or replaying the requests it makes
+   */
+  async run(platform, platformId, fetchFn, kind = null) {
+    if (this.mode === MODES.LIVE) {
+      return fetchFn();
+    }
+
+    const file = this.getRecordingPath(platform, platformId, kind);
+    const session = {
+      platform,
+      platformId,
+      file,
+      interactions: this.mode === MODES.REPLAY ? this.loadRecording(file) : []
+    };
+
+    if (this.mode === MODES.REPLAY) {
+      return this.context.run(session, fetchFn);
+    }
+
+    try {
+      return await this.context.run(session, fetchFn);
+    } finally {
+      // Failed fetches are saved too, so "user not found" paths can be replayed;
+      // a fetch that never got a response leaves the existing recording alone
+      if (session.interactions.length > 0) {
+        this.saveRecording(session);
+      }
+    }
+  }
+
+  /**
+   * axios adapter used in record and replay modes
+   */
+  async handleRequest(config) {
+    const session = this.context.getStore();
+    const request = this.describeRequest(config);
+
+    if (!session) {
+      if (this.mode === MODES.REPLAY) {
+        throw new Error(`Replay mode: ${request.method} ${request.url} made outside a platform fetch`);
+      }
+      return this.liveAdapter(config);
+    }
+
+    if (this.mode === MODES.REPLAY) {
+      return this.replay(session, request, config);
+    }
+
+    return this.record(session, request, config);
+  }
+
+  async record(session, request, config) {
+    try {
+      const response = await this.liveAdapter(config);
+      session.interactions.push({ request, response: this.describeResponse(response) });
+      return response;
+    } catch (error) {
+      if (error.response) {
+        session.interactions.push({ request, response: this.describeResponse(error.response) });
+      }
+      throw error;
+    }
+  }
+
+  replay(session, request, config) {
+    const interaction = session.interactions.find(({ request: recorded }) =>
+      recorded.method === request.method &&
+      recorded.url === request.url &&
+      JSON.stringify(recorded.body ?? null) === JSON.stringify(request.body ?? null)
+    );
+
+    if (!interaction) {
+      throw new Error(
+        `No recorded response for ${request.method} ${request.url} in ${path.relative(process.cwd(), session.file)}`
+      );
+    }
+
+    const { status, headers, body } = interaction.response;
+    const response = {
+      data: typeof body === 'string' ? body : JSON.stringify(body),
+      status,
+      statusText: '',
+      headers: new axios.AxiosHeaders(headers),
+      config,
+      request: {}
+    };
+
+    const validateStatus = config.validateStatus || ((code) => code >= 200 && code < 300);
+    if (!validateStatus(status)) {
+      throw new axios.AxiosError(
+        `Request failed with status code ${status}`,
+        status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+        config,
+        response.request,
+        response
+      );
+    }
+
+    return response;
+  }
+
+  /**
+   * Method, full URL (with query params) and body, the key a replay matches on
+   */
+  describeRequest(config) {
+    return {
+      method: (config.method || 'get').toUpperCase(),
+      url: axios.getUri({
+        baseURL: config.baseURL,
+        url: config.url,
+        params: config.params,
+        paramsSerializer: config.paramsSerializer
+      }),
+      body: this.parseBody(config.data)
+    };
+  }
+
+  describeResponse(response) {
+    const headers = response.headers || {};
+    return {
+      status: response.status,
+      headers: { 'content-type': headers['content-type'] || null },
+      body: this.parseBody(response.data)
+    };
+  }
+
+  /**
+   * Keep JSON bodies as objects so recordings stay readable and diffable
+   */
+  parseBody(data) {
+    if (data === undefined || data === null || data === '') return null;
+    if (typeof data !== 'string') return data;
+
+    try {
+      const parsed = JSON.parse(data);
+      return typeof parsed === 'object' && parsed !== null ? parsed : data;
+    } catch (error) {
+      return data;
+    }
+  }
+
+  getRecordingPath(platform, platformId, kind = null) {
+    const safeId = String(platformId).replace(/[^a-zA-Z0-9_.-]/g, '_');
+    return path.join(this.recordingsDir, platform, kind || '', `${safeId}.json`);
+  }
+
+  loadRecording(file) {
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8')).interactions || [];
+  }
+
+  saveRecording({ platform, platformId, file, interactions }) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      platform,
+      platformId,
+      recordedAt: new Date().toISOString(),
+      interactions
+    }, null, 2) + '\n');
+
+    logger.info(`Recorded ${interactions.length} responses for ${platform}/${platformId}`, { file });
+  }
+}
+
+module.exports = new PlatformFetchRecorder();
@@ -0,0 +1,112 @@
+const express = require('express');
+
+// Import models
+const Alert = require('../models/Alert');
+
+// Import middleware
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { readLimiter } = require('../middleware/rateLimiter');
+const { restrictTo } = require('../middleware/auth');
+const {
+  validateAlertQuery,
+  validateAlertId,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+// Import utilities
+const logger = require('../utils/logger');
+const { HTTP_STATUS, ALERT_STATUS, ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/alerts
+ * @desc    List alerts newest first, with counts per status (?status=active&regNo=&limit=20)
+ * @access  Any role
+ */
+router.get(
+  '/',
+  readLimiter,
+  validateAlertQuery(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { status = 'active', regNo, limit = 20 } = req.query;
+
+    const query = {};
+    if (status === 'active') {
+      query.status = { $in: [ALERT_STATUS.OPEN, ALERT_STATUS.ACKNOWLEDGED] };
+    } else if (status !== 'all') {
+      query.status = status;
+    }
+    if (regNo) query.regNo = regNo.toUpperCase();
+
+    const [alerts, counts] = await Promise.all([
+      Alert.find(query).sort({ createdAt: -1 }).limit(limit).select('-__v').lean(),
+      Alert.countByStatus()
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        alerts,
+        counts,
+        filters: {
+          status,
+          regNo: regNo || 'all'
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * Find an alert, apply a status change and save it
+ */
+const updateAlertStatus = (change) => catchAsync(async (req, res) => {
+  const alert = await Alert.findById(req.params.id);
+  if (!alert) {
+    throw new AppError('Alert not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  alert[change]();
+  await alert.save();
+
+  res.status(HTTP_STATUS.OK).json({
+    status: 'success',
+    data: { alert },
+    timestamp: new Date().toISOString()
+  });
+
+  logger.debug(`🔔 Alert ${change}d`, { id: req.params.id, rule: alert.rule, regNo: alert.regNo });
+});
+
+/**
+ * @route   PATCH /api/alerts/:id/acknowledge
+ * @desc    Mark an open alert as seen; it stays listed until resolved
+ * @access  Admin, coordinator
+ */
+router.patch(
+  '/:id/acknowledge',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  readLimiter,
+  validateAlertId(),
+  handleValidationErrors,
+  updateAlertStatus('acknowledge')
+);
+
+/**
+ * @route   PATCH /api/alerts/:id/resolve
+ * @desc    Resolve an alert
+ * @access  Admin, coordinator
+ */
+router.patch(
+  '/:id/resolve',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  readLimiter,
+  validateAlertId(),
+  handleValidationErrors,
+  updateAlertStatus('resolve')
+);
+
+module.exports = router;
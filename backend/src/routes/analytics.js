@@ -7,6 +7,11 @@ const PlatformStats = require('../models/PlatformStats');
 
 // Import services
 const comparisonService = require('../services/comparisonService');
+const contestService = require('../services/contestService');
+const scoringService = require('../services/scoringService');
+const percentileService = require('../services/percentileService');
+const topicService = require('../services/topicService');
+const activityService = require('../services/activityService');
 
 // Import middleware
 const { catchAsync, AppError } = require('../middleware/errorHandler');
@@ -14,19 +19,27 @@ const { readLimiter } = require('../middleware/rateLimiter');
 const {
   validateAnalyticsQuery,
   validateDateRange,
+  validateContestQuery,
+  validateContestStandings,
+  validateLeaderboardQuery,
+  validateTopicsQuery,
+  validateActivityQuery,
+  validateInactiveQuery,
+  validateHeatmapQuery,
   handleValidationErrors
 } = require('../middleware/validation');
 
 // Import utilities
 const logger = require('../utils/logger');
-const { HTTP_STATUS, PLATFORMS } = require('../utils/constants');
+const platformRegistry = require('../platforms');
+const { HTTP_STATUS } = require('../utils/constants');
 
 const router = express.Router();
 
 /**
  * @route   GET /api/analytics/dashboard
  * @desc    Get dashboard analytics
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/dashboard',
@@ -88,7 +101,7 @@ router.get(
 
     // Platform-wise statistics
     const platformStats = {};
-    Object.values(PLATFORMS).forEach(platform => {
+    platformRegistry.getPlatformIds().forEach(platform => {
       const platformData = currentWeekData
         .map(h => h.platformStats.find(p => p.platform === platform))
         .filter(Boolean)
@@ -151,7 +164,7 @@ router.get(
 /**
  * @route   GET /api/analytics/trends
  * @desc    Get performance trends over time
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/trends',
@@ -235,7 +248,7 @@ router.get(
 /**
  * @route   GET /api/analytics/platforms
  * @desc    Get platform-wise analytics
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/platforms',
@@ -262,7 +275,7 @@ router.get(
     const platformAnalytics = {};
 
     // Analyze each platform
-    const platforms = platform ? [platform] : Object.values(PLATFORMS);
+    const platforms = platform ? [platform] : platformRegistry.getPlatformIds();
 
     platforms.forEach(platformName => {
       const platformData = latestHistories
@@ -322,14 +335,16 @@ router.get(
 
 /**
  * @route   GET /api/analytics/leaderboard
- * @desc    Get leaderboard
- * @access  Public
+ * @desc    Get leaderboard by overall score, or by mean rating percentile with metric=percentile
+ * @access  Any role
  */
 router.get(
   '/leaderboard',
   readLimiter,
+  validateLeaderboardQuery(),
+  handleValidationErrors,
   catchAsync(async (req, res) => {
-    const { platform, limit = 20, department, year } = req.query;
+    const { platform, limit = 20, department, year, metric = 'score', scale } = req.query;
 
     // Get latest performance histories
     let query = {};
@@ -352,6 +367,32 @@ router.get(
         : { $in: regNos };
     }
 
+    if (metric === 'percentile') {
+      const ratingScale = scoringService.getPercentileScale(scale);
+      const leaderboard = await percentileService.getLeaderboard({
+        limit: parseInt(limit),
+        ratingScale,
+        regNos: query.regNo ? query.regNo.$in : null,
+        platform: platform || null
+      });
+
+      return res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        data: {
+          leaderboard,
+          filters: {
+            metric,
+            scale: ratingScale.mode,
+            platform: platform || 'overall',
+            department: department || 'all',
+            year: year || 'all',
+            limit: parseInt(limit)
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
     const latestHistories = await PerformanceHistory.aggregate([
       { $match: query },
       {
@@ -414,6 +455,7 @@ router.get(
       data: {
         leaderboard,
         filters: {
+          metric,
           platform: platform || 'overall',
           department: department || 'all',
           year: year || 'all',
@@ -428,7 +470,7 @@ router.get(
 /**
  * @route   GET /api/analytics/available-weeks
  * @desc    Get all available weeks for comparison
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/available-weeks',
@@ -468,7 +510,7 @@ router.get(
 /**
  * @route   GET /api/analytics/weekly-comparison
  * @desc    Get weekly comparison data for all students
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/weekly-comparison',
@@ -687,7 +729,7 @@ router.get(
 /**
  * @route   GET /api/analytics/comparison/:uploadJobId
  * @desc    Get comparison analytics for a specific upload
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/comparison/:uploadJobId',
@@ -705,10 +747,213 @@ router.get(
   })
 );
 
+/**
+ * @route   GET /api/analytics/contests
+ * @desc    Get recent contests our students took part in
+ * @access  Any role
+ */
+router.get(
+  '/contests',
+  readLimiter,
+  validateContestQuery(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { platform, limit = 20 } = req.query;
+
+    const contests = await contestService.getRecentContests({ platform, limit });
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        contests,
+        filters: {
+          platform: platform || 'all',
+          limit
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   GET /api/analytics/contests/:platform/:contestId
+ * @desc    Get one contest's standings among our students
+ * @access  Any role
+ */
+router.get(
+  '/contests/:platform/:contestId',
+  readLimiter,
+  validateContestStandings(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { platform, contestId } = req.params;
+    const { refresh = false } = req.query;
+
+    let standings;
+    try {
+      standings = await contestService.getContestStandings(platform, contestId, { refresh });
+    } catch (error) {
+      logger.error(`Contest standings failed for ${platform} ${contestId}:`, error);
+      throw new AppError(error.message, HTTP_STATUS.BAD_GATEWAY);
+    }
+
+    if (!standings) {
+      throw new AppError('No results recorded for this contest', HTTP_STATUS.NOT_FOUND);
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: standings,
+      timestamp: new Date().toISOString()
+    });
+
+    logger.debug('🏁 Contest standings retrieved', {
+      platform,
+      contestId,
+      participants: standings.summary.participants
+    });
+  })
+);
+
+/**
+ * @route   GET /api/analytics/topics
+ * @desc    Solved problems per topic for a student (?regNo=) or per department (?department=&year=)
+ * @access  Any role
+ */
+router.get(
+  '/topics',
+  readLimiter,
+  validateTopicsQuery(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { regNo, department, year } = req.query;
+
+    if (regNo) {
+      const student = await Student.findByRegNo(regNo);
+      if (!student) {
+        throw new AppError('Student not found', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const topics = await topicService.getStudentTopics(student);
+      if (!topics) {
+        throw new AppError('No topic data recorded for this student yet', HTTP_STATUS.NOT_FOUND);
+      }
+
+      return res.status(HTTP_STATUS.OK).json({
+        status: 'success',
+        data: topics,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const topics = await topicService.getDepartmentTopics({ department, year });
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        ...topics,
+        filters: {
+          department: department || 'all',
+          year: year || 'all'
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   GET /api/analytics/activity
+ * @desc    Students active and submissions per day across the cohort (?from=&to=&department=&year=)
+ * @access  Any role
+ */
+router.get(
+  '/activity',
+  readLimiter,
+  validateActivityQuery(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { from, to, department, year } = req.query;
+
+    const activity = await activityService.getCohortActivity({ from, to, department, year });
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        ...activity,
+        filters: {
+          department: department || 'all',
+          year: year || 'all'
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   GET /api/analytics/inactive
+ * @desc    Students without an accepted submission in the last N days, with streaks (?days=14&department=&year=)
+ * @access  Any role
+ */
+router.get(
+  '/inactive',
+  readLimiter,
+  validateInactiveQuery(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { days, department, year } = req.query;
+
+    const inactive = await activityService.getInactiveStudents({ days, department, year });
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        ...inactive,
+        filters: {
+          department: department || 'all',
+          year: year || 'all'
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   GET /api/analytics/platform-heatmap
+ * @desc    Each active student's latest score per platform (?department=&year=)
+ * @access  Any role
+ */
+router.get(
+  '/platform-heatmap',
+  readLimiter,
+  validateHeatmapQuery(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { department, year } = req.query;
+
+    const heatmap = await comparisonService.getPlatformHeatmap({ department, year });
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        ...heatmap,
+        filters: {
+          department: department || 'all',
+          year: year || 'all'
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
 /**
  * @route   GET /api/analytics/departments
  * @desc    Get department-wise analytics
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/departments',
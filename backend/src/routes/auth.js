@@ -0,0 +1,145 @@
+const express = require('express');
+
+// Import models
+const User = require('../models/User');
+
+// Import services
+const authService = require('../services/authService');
+
+// Import middleware
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { readLimiter, strictLimiter } = require('../middleware/rateLimiter');
+const { protect } = require('../middleware/auth');
+const {
+  validateLogin,
+  validateStudentLogin,
+  validatePasswordChange,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+// Import utilities
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Log in with email and password; returns a JWT to send as "Authorization: Bearer <token>"
+ * @access  Public
+ */
+router.post(
+  '/login',
+  strictLimiter,
+  validateLogin(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const user = await authService.login(req.body.email, req.body.password);
+    if (!user) {
+      throw new AppError('Incorrect email or password', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    const { token, expiresAt } = authService.signToken(user);
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        token,
+        expiresAt,
+        user
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    logger.info(`🔐 ${user.email} logged in`, { role: user.role });
+  })
+);
+
+/**
+ * @route   POST /api/auth/student-login
+ * @desc    Log in to the student portal with register number and password
+ * @access  Public
+ */
+router.post(
+  '/student-login',
+  strictLimiter,
+  validateStudentLogin(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const user = await authService.loginStudent(req.body.regNo, req.body.password);
+    if (!user) {
+      throw new AppError('Incorrect registration number or password', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    const { token, expiresAt } = authService.signToken(user);
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        token,
+        expiresAt,
+        user
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    logger.info(`🎓 ${user.regNo} logged in to the student portal`);
+  })
+);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    The logged-in user
+ * @access  Any role
+ */
+router.get(
+  '/me',
+  readLimiter,
+  protect,
+  (req, res) => {
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: { user: req.user },
+      timestamp: new Date().toISOString()
+    });
+  }
+);
+
+/**
+ * @route   PUT /api/auth/password
+ * @desc    Change the logged-in user's password; returns a new token as older ones stop working
+ * @access  Any role
+ */
+router.put(
+  '/password',
+  strictLimiter,
+  protect,
+  validatePasswordChange(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const user = await User.findById(req.user._id).select('+passwordHash');
+    if (!(await user.checkPassword(req.body.currentPassword))) {
+      throw new AppError('Current password is incorrect', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    await user.setPassword(req.body.newPassword);
+    await user.save();
+
+    const { token, expiresAt } = authService.signToken(user);
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      message: 'Password changed',
+      data: {
+        token,
+        expiresAt,
+        user
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    logger.info(`🔐 ${user.email} changed their password`);
+  })
+);
+
+module.exports = router;
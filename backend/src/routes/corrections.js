@@ -0,0 +1,122 @@
+const express = require('express');
+
+// Import models
+const HandleCorrection = require('../models/HandleCorrection');
+
+// Import services
+const portalService = require('../services/portalService');
+
+// Import middleware
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { readLimiter } = require('../middleware/rateLimiter');
+const { restrictTo } = require('../middleware/auth');
+const {
+  validateCorrectionQuery,
+  validateCorrectionReview,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+// Import utilities
+const { HTTP_STATUS, ROLES, CORRECTION_STATUS } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/corrections
+ * @desc    Handle corrections students asked for, newest first, with counts per status (?status=pending&department=&limit=50)
+ * @access  Any role
+ */
+router.get(
+  '/',
+  readLimiter,
+  validateCorrectionQuery(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { status = CORRECTION_STATUS.PENDING, department, limit = 50 } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (department) query.department = department;
+
+    const [corrections, counts] = await Promise.all([
+      HandleCorrection.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .select('-__v')
+        .populate('reviewedBy', 'name email')
+        .lean(),
+      HandleCorrection.aggregate([
+        { $match: department ? { department } : {} },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        corrections,
+        counts: Object.fromEntries(Object.values(CORRECTION_STATUS).map(value =>
+          [value, counts.find(({ _id }) => _id === value)?.count || 0])),
+        filters: {
+          status,
+          department: department || 'all'
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * Approve or reject a pending correction
+ */
+const reviewCorrection = (approve) => catchAsync(async (req, res) => {
+  const correction = await HandleCorrection.findById(req.params.id);
+  if (!correction) {
+    throw new AppError('Correction not found', HTTP_STATUS.NOT_FOUND);
+  }
+  if (correction.status !== CORRECTION_STATUS.PENDING) {
+    throw new AppError(`Correction was already ${correction.status}`, HTTP_STATUS.CONFLICT);
+  }
+
+  await portalService.reviewCorrection(correction, { approve, reviewer: req.user, note: req.body.note });
+
+  res.status(HTTP_STATUS.OK).json({
+    status: 'success',
+    message: approve
+      ? `${correction.platform} handle for ${correction.regNo} changed to ${correction.requestedHandle}`
+      : 'Correction rejected',
+    data: { correction },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * @route   PATCH /api/corrections/:id/approve
+ * @desc    Approve a correction; the student's handle changes and the next scrape uses it
+ * @access  Admin, coordinator
+ */
+router.patch(
+  '/:id/approve',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  readLimiter,
+  validateCorrectionReview(),
+  handleValidationErrors,
+  reviewCorrection(true)
+);
+
+/**
+ * @route   PATCH /api/corrections/:id/reject
+ * @desc    Reject a correction, optionally with a note for the student
+ * @access  Admin, coordinator
+ */
+router.patch(
+  '/:id/reject',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  readLimiter,
+  validateCorrectionReview(),
+  handleValidationErrors,
+  reviewCorrection(false)
+);
+
+module.exports = router;
@@ -0,0 +1,94 @@
+const express = require('express');
+
+// Import services
+const exportService = require('../services/exportService');
+
+// Import middleware
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { readLimiter } = require('../middleware/rateLimiter');
+const {
+  validateExport,
+  validateExportFilters,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+// Import utilities
+const logger = require('../utils/logger');
+const { HTTP_STATUS, EXPORT_CONFIG } = require('../utils/constants');
+
+// Mounted at /api ahead of the students routes, as /students/export would otherwise read as a regNo
+const router = express.Router();
+
+/**
+ * The filters, fields and format from the query, with the fields' defaults
+ */
+const parseExportQuery = (query, defaultFields) => {
+  const { format = 'csv', fields, department, year, platform, performanceLevel, weekId } = query;
+  const requested = typeof fields === 'string' ? fields.split(',') : fields;
+
+  return {
+    format,
+    fields: requested ? [...new Set(requested.map(field => field.trim()))] : defaultFields,
+    filters: Object.fromEntries(Object.entries({ department, year, platform, performanceLevel })
+      .filter(([, value]) => value && value !== 'all')),
+    weekId: weekId && weekId !== 'latest' ? weekId : null
+  };
+};
+
+/**
+ * Stream an export for the request and log it
+ */
+const sendExport = async (req, res, { name, comparison }) => {
+  const { format, fields, filters, weekId } = parseExportQuery(
+    req.query,
+    comparison ? EXPORT_CONFIG.COMPARISON_FIELDS : EXPORT_CONFIG.STUDENT_FIELDS
+  );
+
+  const weeks = weekId || comparison ? await exportService.findWeeks(weekId) : null;
+  if ((weekId || comparison) && !weeks) {
+    throw new AppError(weekId ? 'Selected week not found' : 'No data available. Please upload student data first.', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const filename = [name, weeks?.current.weekLabel, new Date().toISOString().slice(0, 10)]
+    .filter(Boolean)
+    .join('-')
+    .replace(/[^\w.-]+/g, '_');
+
+  const count = await exportService.send(res, { format, fields, filters, weeks, comparison, filename });
+
+  logger.info(`📤 Exported ${count ?? 'part of'} ${name} rows as ${format}`, { filters, by: req.user.email || req.user.regNo });
+};
+
+/**
+ * @route   GET /api/students/export
+ * @desc    Download active students with their latest scores (?format=csv|json|xlsx&fields=&department=&year=&platform=&performanceLevel=&weekId=)
+ * @access  Any role
+ */
+router.get(
+  '/students/export',
+  readLimiter,
+  validateExport(),
+  validateExportFilters(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    await sendExport(req, res, { name: 'students', comparison: false });
+  })
+);
+
+/**
+ * @route   GET /api/analytics/weekly-comparison/export
+ * @desc    Download the weekly comparison: each student's score for the week against the week before (same query as /api/students/export)
+ * @access  Any role
+ */
+router.get(
+  '/analytics/weekly-comparison/export',
+  readLimiter,
+  validateExport(),
+  validateExportFilters(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    await sendExport(req, res, { name: 'weekly-comparison', comparison: true });
+  })
+);
+
+module.exports = router;
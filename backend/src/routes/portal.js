@@ -0,0 +1,77 @@
+const express = require('express');
+
+// Import models
+const Student = require('../models/Student');
+
+// Import services
+const portalService = require('../services/portalService');
+
+// Import middleware
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { readLimiter } = require('../middleware/rateLimiter');
+const { restrictTo } = require('../middleware/auth');
+const { validateCorrectionRequest, handleValidationErrors } = require('../middleware/validation');
+
+// Import utilities
+const { HTTP_STATUS, ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+// Students see their own data here and nothing else
+router.use(restrictTo(ROLES.STUDENT));
+
+/**
+ * @route   GET /api/portal/me
+ * @desc    The logged-in student's dashboard: score history, platform stats, department rank and handle requests
+ * @access  Student
+ */
+router.get(
+  '/me',
+  readLimiter,
+  catchAsync(async (req, res) => {
+    const dashboard = await portalService.getDashboard(req.user.regNo);
+    if (!dashboard) {
+      throw new AppError('Student not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: dashboard,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   POST /api/portal/corrections
+ * @desc    Ask for a platform handle to be changed; it waits for a coordinator's approval
+ * @access  Student
+ */
+router.post(
+  '/corrections',
+  readLimiter,
+  validateCorrectionRequest(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { platform, handle, note } = req.body;
+
+    const student = await Student.findOne({ regNo: req.user.regNo, isActive: true });
+    if (!student) {
+      throw new AppError('Student not found', HTTP_STATUS.NOT_FOUND);
+    }
+    if ((student.platformIds[platform] || '').toLowerCase() === handle.toLowerCase()) {
+      throw new AppError(`${handle} is already your ${platform} handle`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const correction = await portalService.requestCorrection({ student, platform, handle, note, user: req.user });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      status: 'success',
+      message: 'Request sent to your coordinator',
+      data: { correction },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+module.exports = router;
@@ -6,12 +6,13 @@ const UploadJob = require('../models/UploadJob');
 // Import middleware
 const { catchAsync, AppError } = require('../middleware/errorHandler');
 const { readLimiter } = require('../middleware/rateLimiter');
+const { restrictTo } = require('../middleware/auth');
 const { validateJobId, handleValidationErrors } = require('../middleware/validation');
 
 // Import utilities
 const logger = require('../utils/logger');
 const { formatFileSize, formatDuration } = require('../utils/helpers');
-const { HTTP_STATUS } = require('../utils/constants');
+const { HTTP_STATUS, ROLES } = require('../utils/constants');
 const queueManager = require('../config/queue');
 
 const router = express.Router();
@@ -19,7 +20,7 @@ const router = express.Router();
 /**
  * @route   GET /api/jobs/:jobId
  * @desc    Get job progress and status
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/:jobId',
@@ -94,7 +95,7 @@ router.get(
 /**
  * @route   GET /api/jobs/:jobId/detailed
  * @desc    Get detailed job information including all errors
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/:jobId/detailed',
@@ -144,7 +145,7 @@ router.get(
 /**
  * @route   GET /api/jobs/:jobId/errors
  * @desc    Get all errors for a job
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/:jobId/errors',
@@ -209,10 +210,11 @@ router.get(
 /**
  * @route   POST /api/jobs/:jobId/cancel
  * @desc    Cancel a running job
- * @access  Public
+ * @access  Admin, coordinator
  */
 router.post(
   '/:jobId/cancel',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
   validateJobId(),
   handleValidationErrors,
   catchAsync(async (req, res) => {
@@ -258,7 +260,7 @@ router.post(
 /**
  * @route   GET /api/jobs
  * @desc    Get all jobs with filtering
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/',
@@ -327,7 +329,7 @@ router.get(
 /**
  * @route   GET /api/jobs/stats
  * @desc    Get overall job statistics
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/stats/overview',
@@ -0,0 +1,164 @@
+const express = require('express');
+
+// Import models
+const Report = require('../models/Report');
+
+// Import services
+const reportService = require('../services/reportService');
+
+// Import middleware
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { readLimiter, strictLimiter } = require('../middleware/rateLimiter');
+const { restrictTo } = require('../middleware/auth');
+const {
+  validateReport,
+  validateReportQuery,
+  validateReportId,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+// Import utilities
+const logger = require('../utils/logger');
+const { HTTP_STATUS, ROLES, REPORT_TYPES } = require('../utils/constants');
+
+const router = express.Router();
+
+// Why generate() found nothing to report on
+const NOT_FOUND_MESSAGES = {
+  [REPORT_TYPES.WEEKLY]: 'No scores for that week',
+  [REPORT_TYPES.DEPARTMENT]: 'No scores for that department in that week',
+  [REPORT_TYPES.STUDENT]: 'Student not found',
+  [REPORT_TYPES.GROWTH]: 'No data available. Please upload student data first.'
+};
+
+/**
+ * @route   GET /api/reports
+ * @desc    Generated reports, newest first, with counts in total, this month and per type (?type=&limit=50)
+ * @access  Any role
+ */
+router.get(
+  '/',
+  readLimiter,
+  validateReportQuery(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { type, limit = 50 } = req.query;
+
+    const query = {};
+    if (type && type !== 'all') query.type = type;
+
+    const monthStart = new Date();
+    monthStart.setDate(1);
+    monthStart.setHours(0, 0, 0, 0);
+
+    const [reports, summary] = await Promise.all([
+      Report.find(query).sort({ createdAt: -1 }).limit(limit),
+      Report.getSummary(monthStart)
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        reports,
+        summary: {
+          total: summary.total,
+          thisMonth: summary.since,
+          byType: summary.byType
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   POST /api/reports
+ * @desc    Generate a PDF report (type: weekly, department, student or growth; department, regNo, weekId, weeks)
+ * @access  Admin, coordinator
+ */
+router.post(
+  '/',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  strictLimiter,
+  validateReport(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { type, department, regNo, weekId, weeks } = req.body;
+
+    const report = await reportService.generate(
+      {
+        type,
+        department: department || null,
+        regNo: type === REPORT_TYPES.STUDENT ? regNo : null,
+        weekId: weekId || null,
+        weeks: type === REPORT_TYPES.GROWTH ? weeks || null : null
+      },
+      { user: req.user }
+    );
+    if (!report) {
+      throw new AppError(NOT_FOUND_MESSAGES[type], HTTP_STATUS.NOT_FOUND);
+    }
+
+    res.status(HTTP_STATUS.CREATED).json({
+      status: 'success',
+      message: `${report.title} generated`,
+      data: { report },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   GET /api/reports/:id/download
+ * @desc    Download a report's PDF
+ * @access  Any role
+ */
+router.get(
+  '/:id/download',
+  readLimiter,
+  validateReportId(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const report = await Report.findById(req.params.id).select('+file');
+    if (!report) {
+      throw new AppError('Report not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${report.filename}"`,
+      'Content-Length': report.file.length
+    });
+    res.status(HTTP_STATUS.OK).send(report.file);
+  })
+);
+
+/**
+ * @route   DELETE /api/reports/:id
+ * @desc    Delete a report
+ * @access  Admin, coordinator
+ */
+router.delete(
+  '/:id',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  readLimiter,
+  validateReportId(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const report = await Report.findByIdAndDelete(req.params.id);
+    if (!report) {
+      throw new AppError('Report not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    logger.info(`🗑️ Report deleted: ${report.title}`);
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      message: 'Report deleted',
+      data: { report },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+module.exports = router;
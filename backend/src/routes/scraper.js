@@ -4,16 +4,18 @@ const router = express.Router();
 const scheduledScraper = require('../services/scheduledScraper');
 const { catchAsync } = require('../middleware/errorHandler');
 const { readLimiter } = require('../middleware/rateLimiter');
+const { restrictTo } = require('../middleware/auth');
 const logger = require('../utils/logger');
-const { HTTP_STATUS } = require('../utils/constants');
+const { HTTP_STATUS, ROLES } = require('../utils/constants');
 
 /**
  * @route   POST /api/scraper/trigger
  * @desc    Manually trigger weekly scraping
- * @access  Public (should be protected in production)
+ * @access  Admin, coordinator
  */
 router.post(
   '/trigger',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
   readLimiter,
   catchAsync(async (req, res) => {
     logger.info('Manual scrape triggered via API');
@@ -34,7 +36,7 @@ router.post(
 /**
  * @route   GET /api/scraper/status
  * @desc    Get scraper status
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/status',
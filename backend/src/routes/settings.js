@@ -0,0 +1,267 @@
+const express = require('express');
+
+// Import models
+const ScoringProfile = require('../models/ScoringProfile');
+const NotificationSettings = require('../models/NotificationSettings');
+
+// Import services
+const scoringService = require('../services/scoringService');
+const rescoreService = require('../services/rescoreService');
+const digestService = require('../services/digestService');
+
+// Import middleware
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { readLimiter, strictLimiter } = require('../middleware/rateLimiter');
+const { restrictTo } = require('../middleware/auth');
+const {
+  validateScoringProfile,
+  validateScoringVersion,
+  validateNotificationSettings,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+// Import utilities
+const logger = require('../utils/logger');
+const { HTTP_STATUS, ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/settings/scoring
+ * @desc    Get the active scoring profile, the built-in defaults and re-scoring progress
+ * @access  Any role
+ */
+router.get(
+  '/scoring',
+  readLimiter,
+  catchAsync(async (req, res) => {
+    const active = await ScoringProfile.getActive();
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        profile: active ? active.toScoringProfile() : scoringService.getDefaultProfile(),
+        note: active?.note || null,
+        updatedAt: active?.createdAt || null,
+        rescore: active?.rescore || null,
+        isRescoring: rescoreService.isRunning,
+        defaults: scoringService.getDefaultProfile()
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/settings/scoring
+ * @desc    Save a new scoring profile version and re-score stored history with it
+ * @access  Admin
+ */
+router.put(
+  '/scoring',
+  restrictTo(ROLES.ADMIN),
+  strictLimiter,
+  validateScoringProfile(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { platformWeights, caps, componentWeights, difficultyWeights, ratingScale, thresholds, note } = req.body;
+
+    const profile = await scoringService.saveProfile({
+      platformWeights,
+      caps,
+      componentWeights,
+      difficultyWeights,
+      ratingScale,
+      thresholds,
+      note
+    });
+    await rescoreService.start(profile.version);
+
+    res.status(HTTP_STATUS.ACCEPTED).json({
+      status: 'success',
+      message: `Scoring profile version ${profile.version} saved, re-scoring started`,
+      data: {
+        profile: profile.toScoringProfile(),
+        note: profile.note,
+        updatedAt: profile.createdAt,
+        rescore: profile.rescore
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    logger.debug('📐 Scoring profile updated', { version: profile.version });
+  })
+);
+
+/**
+ * @route   POST /api/settings/scoring/rescore
+ * @desc    Re-score stored history with the active profile again
+ * @access  Admin
+ */
+router.post(
+  '/scoring/rescore',
+  restrictTo(ROLES.ADMIN),
+  strictLimiter,
+  catchAsync(async (req, res) => {
+    const active = await ScoringProfile.getActive();
+    if (!active) {
+      throw new AppError('No scoring profile has been saved yet', HTTP_STATUS.NOT_FOUND);
+    }
+
+    await rescoreService.start(active.version);
+
+    res.status(HTTP_STATUS.ACCEPTED).json({
+      status: 'success',
+      message: `Re-scoring with version ${active.version} started`,
+      data: { version: active.version },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   GET /api/settings/scoring/versions
+ * @desc    List every saved scoring profile version, newest first
+ * @access  Any role
+ */
+router.get(
+  '/scoring/versions',
+  readLimiter,
+  catchAsync(async (req, res) => {
+    const versions = await ScoringProfile.find()
+      .sort({ version: -1 })
+      .select('-__v')
+      .lean();
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: { versions },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   GET /api/settings/scoring/versions/:version
+ * @desc    Get one scoring profile version, so past scores can be reproduced
+ * @access  Any role
+ */
+router.get(
+  '/scoring/versions/:version',
+  readLimiter,
+  validateScoringVersion(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { version } = req.params;
+
+    let profile;
+    if (version === 0) {
+      profile = scoringService.getDefaultProfile();
+    } else {
+      const stored = await ScoringProfile.findByVersion(version);
+      if (!stored) {
+        throw new AppError(`Scoring profile version ${version} not found`, HTTP_STATUS.NOT_FOUND);
+      }
+      profile = { ...stored.toScoringProfile(), note: stored.note, createdAt: stored.createdAt, isActive: stored.isActive };
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: { profile },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   GET /api/settings/notifications
+ * @desc    Get the notification settings: the performance alerts switch, alert rule thresholds and digest recipients
+ * @access  Any role
+ */
+router.get(
+  '/notifications',
+  readLimiter,
+  catchAsync(async (req, res) => {
+    const settings = await NotificationSettings.getCurrent();
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: { settings: settings.toSettings() },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/settings/notifications
+ * @desc    Update notification settings; left-out fields keep their saved values
+ * @access  Admin
+ */
+router.put(
+  '/notifications',
+  restrictTo(ROLES.ADMIN),
+  readLimiter,
+  validateNotificationSettings(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { performanceAlerts, alertRules = {}, emailDigest = {} } = req.body;
+
+    const changes = {};
+    if (performanceAlerts !== undefined) changes.performanceAlerts = performanceAlerts;
+    Object.entries(alertRules).forEach(([rule, options]) => {
+      Object.entries(options).forEach(([field, value]) => {
+        changes[`alertRules.${rule}.${field}`] = value;
+      });
+    });
+    ['enabled', 'recipients', 'coordinators'].forEach(field => {
+      if (emailDigest[field] !== undefined) changes[`emailDigest.${field}`] = emailDigest[field];
+    });
+
+    const settings = await NotificationSettings.updateSettings(changes);
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      message: 'Notification settings saved',
+      data: { settings: settings.toSettings() },
+      timestamp: new Date().toISOString()
+    });
+
+    logger.debug('🔔 Notification settings updated', changes);
+  })
+);
+
+/**
+ * @route   POST /api/settings/notifications/digest
+ * @desc    Send the weekly email digest now, even while it is switched off
+ * @access  Admin
+ */
+router.post(
+  '/notifications/digest',
+  restrictTo(ROLES.ADMIN),
+  strictLimiter,
+  catchAsync(async (req, res) => {
+    const result = await digestService.sendWeeklyDigest({ force: true });
+    if (result.skipped) {
+      throw new AppError(result.skipped, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    // Nothing went out: the mail server or the digest itself failed
+    if (result.sent === 0 && result.errors.length > 0) {
+      return res.status(HTTP_STATUS.BAD_GATEWAY).json({
+        status: 'error',
+        message: `Digest not sent: ${result.errors[0].error}`,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      message: `Digest sent: ${result.sent} email${result.sent === 1 ? '' : 's'}`,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+module.exports = router;
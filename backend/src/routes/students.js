@@ -4,32 +4,46 @@ const express = require('express');
 const Student = require('../models/Student');
 const PlatformStats = require('../models/PlatformStats');
 const PerformanceHistory = require('../models/PerformanceHistory');
+const AuditLog = require('../models/AuditLog');
 
 // Import services
 const comparisonService = require('../services/comparisonService');
+const contestService = require('../services/contestService');
+const activityService = require('../services/activityService');
+const studentService = require('../services/studentService');
 
 // Import middleware
 const { catchAsync, AppError } = require('../middleware/errorHandler');
-const { readLimiter } = require('../middleware/rateLimiter');
+const { readLimiter, strictLimiter } = require('../middleware/rateLimiter');
+const { restrictTo } = require('../middleware/auth');
 const {
   validatePagination,
   validateSearch,
   validatePlatformFilter,
+  validateContestQuery,
+  validateActivityQuery,
   validatePerformanceLevelFilter,
   validateTrendFilter,
+  validateStudentCreation,
+  validateStudentRegNo,
+  validateStudentUpdate,
+  validateSuggestionDecision,
+  validateBulkOperation,
+  validateAuditQuery,
   handleValidationErrors
 } = require('../middleware/validation');
 
 // Import utilities
 const logger = require('../utils/logger');
-const { HTTP_STATUS } = require('../utils/constants');
+const platformRegistry = require('../platforms');
+const { HTTP_STATUS, ROLES } = require('../utils/constants');
 
 const router = express.Router();
 
 /**
  * @route   GET /api/students
  * @desc    Get all students with filtering and pagination
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/',
@@ -142,7 +156,7 @@ router.get(
 /**
  * @route   GET /api/students/:regNo
  * @desc    Get specific student details
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/:regNo',
@@ -208,7 +222,7 @@ router.get(
 /**
  * @route   GET /api/students/:regNo/platforms/:platform
  * @desc    Get specific platform stats for a student
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/:regNo/platforms/:platform',
@@ -278,7 +292,7 @@ router.get(
 /**
  * @route   GET /api/students/:regNo/comparison
  * @desc    Get comparison data for a student
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/:regNo/comparison',
@@ -309,10 +323,116 @@ router.get(
   })
 );
 
+/**
+ * @route   GET /api/students/:regNo/score-breakdown
+ * @desc    Explain a student's latest score: each platform's contribution, caps hit, weights used and the change from the previous week
+ * @access  Any role
+ */
+router.get(
+  '/:regNo/score-breakdown',
+  readLimiter,
+  catchAsync(async (req, res) => {
+    const { regNo } = req.params;
+
+    const student = await Student.findByRegNo(regNo);
+    if (!student) {
+      throw new AppError('Student not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    const breakdown = await comparisonService.getScoreBreakdown(regNo);
+    if (!breakdown) {
+      throw new AppError('No score recorded for this student yet', HTTP_STATUS.NOT_FOUND);
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: { name: student.name, ...breakdown },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   GET /api/students/:regNo/contests
+ * @desc    Get a student's contest results and rating timeline
+ * @access  Any role
+ */
+router.get(
+  '/:regNo/contests',
+  readLimiter,
+  validateContestQuery(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { regNo } = req.params;
+    const { platform, limit } = req.query;
+
+    const student = await Student.findByRegNo(regNo);
+    if (!student) {
+      throw new AppError('Student not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    const { contests, timeline, summary } = await contestService.getStudentContests(regNo, {
+      platform,
+      limit
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        student: {
+          regNo: student.regNo,
+          name: student.name
+        },
+        contests,
+        timeline,
+        summary
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    logger.debug('🏆 Student contests retrieved', { regNo, platform, count: contests.length });
+  })
+);
+
+/**
+ * @route   GET /api/students/:regNo/activity
+ * @desc    Get a student's daily activity calendar (?from=&to=, YYYY-MM-DD, default the last year)
+ * @access  Any role
+ */
+router.get(
+  '/:regNo/activity',
+  readLimiter,
+  validateActivityQuery(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { regNo } = req.params;
+    const { from, to } = req.query;
+
+    const student = await Student.findByRegNo(regNo);
+    if (!student) {
+      throw new AppError('Student not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    const activity = await activityService.getStudentActivity(regNo, { from, to });
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        student: {
+          regNo: student.regNo,
+          name: student.name
+        },
+        ...activity
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
 /**
  * @route   GET /api/students/department/:department
  * @desc    Get students by department
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/department/:department',
@@ -374,7 +494,7 @@ router.get(
 /**
  * @route   GET /api/students/stats/summary
  * @desc    Get overall student statistics
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/stats/summary',
@@ -399,9 +519,7 @@ router.get(
 
     // Get platform distribution
     const platformStats = {};
-    const platforms = ['codeforces', 'codechef', 'leetcode', 'atcoder', 'codolio', 'github'];
-    
-    for (const platform of platforms) {
+    for (const platform of platformRegistry.getPlatformIds()) {
       const count = await Student.countDocuments({
         [`platformIds.${platform}`]: { $ne: null, $ne: '' },
         isActive: true
@@ -475,4 +593,236 @@ router.get(
   })
 );
 
+/**
+ * @route   POST /api/students
+ * @desc    Add a student without an upload; the next scrape fetches their platforms
+ * @access  Admin, coordinator
+ */
+router.post(
+  '/',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  strictLimiter,
+  validateStudentCreation(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const existing = await Student.findOne({ regNo: req.body.regNo }).select('isActive').lean();
+    if (existing) {
+      throw new AppError(
+        existing.isActive ? 'A student with this registration number already exists' : 'This student exists but is inactive; reactivate them instead',
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    const student = await studentService.createStudent(req.body, { user: req.user });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      status: 'success',
+      message: 'Student created',
+      data: { student },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   POST /api/students/bulk
+ * @desc    Activate or deactivate up to 100 students (regNos, operation: activate|deactivate|delete); delete is a deactivate, nothing is removed
+ * @access  Admin, coordinator
+ */
+router.post(
+  '/bulk',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  strictLimiter,
+  validateBulkOperation(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { regNos, operation } = req.body;
+
+    const result = await studentService.bulkSetActive(regNos, operation === 'activate', { user: req.user });
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      message: `${result.changed.length} student(s) ${operation === 'activate' ? 'activated' : 'deactivated'}`,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/students/:regNo
+ * @desc    Edit a student's name, department, year, platform handles or active state; left-out fields and handles keep their values, an empty handle clears it
+ * @access  Admin, coordinator
+ */
+router.patch(
+  '/:regNo',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  strictLimiter,
+  validateStudentUpdate(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const student = await Student.findByRegNo(req.params.regNo);
+    if (!student) {
+      throw new AppError('Student not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    const changes = await studentService.updateStudent(student, req.body, { user: req.user });
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      message: changes.length > 0 ? 'Student updated' : 'Nothing to change',
+      data: {
+        student,
+        changes
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/students/:regNo
+ * @desc    Deactivate a student; their history is kept and PATCH with isActive: true brings them back
+ * @access  Admin, coordinator
+ */
+router.delete(
+  '/:regNo',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  strictLimiter,
+  validateStudentRegNo(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const student = await Student.findByRegNo(req.params.regNo);
+    if (!student) {
+      throw new AppError('Student not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    await studentService.updateStudent(student, { isActive: false }, { user: req.user });
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      message: 'Student deactivated',
+      data: { student },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   GET /api/students/:regNo/suggestions
+ * @desc    Handles found on the student's Codolio profile for platforms they have no handle on
+ * @access  Any role
+ */
+router.get(
+  '/:regNo/suggestions',
+  readLimiter,
+  validateStudentRegNo(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const student = await Student.findByRegNo(req.params.regNo);
+    if (!student) {
+      throw new AppError('Student not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        regNo: student.regNo,
+        suggestedPlatformIds: student.suggestedPlatformIds || {}
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   POST /api/students/:regNo/suggestions/accept
+ * @desc    Fill empty handles with their Codolio suggestions, all of them or { platforms: [...] }; recorded in the audit log
+ * @access  Admin, coordinator
+ */
+router.post(
+  '/:regNo/suggestions/accept',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  strictLimiter,
+  validateSuggestionDecision(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const student = await Student.findByRegNo(req.params.regNo);
+    if (!student) {
+      throw new AppError('Student not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    const changes = await studentService.acceptSuggestedPlatformIds(student, req.body.platforms, { user: req.user });
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      message: changes.length > 0 ? 'Suggested handles accepted' : 'Nothing to change',
+      data: {
+        student,
+        changes
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   POST /api/students/:regNo/suggestions/dismiss
+ * @desc    Drop Codolio suggestions without using them, all of them or { platforms: [...] }
+ * @access  Admin, coordinator
+ */
+router.post(
+  '/:regNo/suggestions/dismiss',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  strictLimiter,
+  validateSuggestionDecision(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const student = await Student.findByRegNo(req.params.regNo);
+    if (!student) {
+      throw new AppError('Student not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    const dismissed = await studentService.dismissSuggestedPlatformIds(student, req.body.platforms, { user: req.user });
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      message: dismissed.length > 0 ? 'Suggested handles dismissed' : 'Nothing to dismiss',
+      data: {
+        regNo: student.regNo,
+        dismissed,
+        suggestedPlatformIds: student.suggestedPlatformIds
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   GET /api/students/:regNo/audit
+ * @desc    Changes made to a student through the API or approved handle corrections, newest first (?limit=50)
+ * @access  Any role
+ */
+router.get(
+  '/:regNo/audit',
+  readLimiter,
+  validateAuditQuery(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { regNo } = req.params;
+    const { limit = 50 } = req.query;
+
+    const entries = await AuditLog.findByRegNo(regNo, limit).select('-__v').lean();
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        regNo,
+        entries
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
 module.exports = router;
\ No newline at end of file
@@ -5,20 +5,28 @@ const fs = require('fs').promises;
 
 // Import services
 const excelService = require('../services/excelService');
+const uploadPreviewService = require('../services/uploadPreviewService');
 const queueManager = require('../config/queue');
 
 // Import models
 const UploadJob = require('../models/UploadJob');
+const UploadPreview = require('../models/UploadPreview');
 
 // Import middleware
 const { catchAsync, AppError } = require('../middleware/errorHandler');
-const { uploadLimiter } = require('../middleware/rateLimiter');
-const { handleValidationErrors } = require('../middleware/validation');
+const { uploadLimiter, strictLimiter, readLimiter } = require('../middleware/rateLimiter');
+const { restrictTo } = require('../middleware/auth');
+const {
+  validatePreviewId,
+  validatePreviewConfirm,
+  handleValidationErrors
+} = require('../middleware/validation');
 
 // Import utilities
 const logger = require('../utils/logger');
+const platformRegistry = require('../platforms');
 const { generateJobId, generateWeekInfo, formatFileSize } = require('../utils/helpers');
-const { HTTP_STATUS, EXCEL_CONFIG, JOB_STATUS } = require('../utils/constants');
+const { HTTP_STATUS, EXCEL_CONFIG, JOB_STATUS, ROLES } = require('../utils/constants');
 
 const router = express.Router();
 
@@ -63,156 +71,188 @@ const upload = multer({
 });
 
 /**
- * @route   POST /api/upload
- * @desc    Upload Excel file and process student data
- * @access  Public
+ * Parse an uploaded sheet into student rows
+ * Throws when the file isn't a usable sheet or holds too few or too many valid students
  */
-router.post(
-  '/',
-  uploadLimiter,
-  upload.single('file'),
-  catchAsync(async (req, res, next) => {
-    const startTime = Date.now();
-    
-    try {
-      // Validate file upload
-      if (!req.file) {
-        throw new AppError('No file uploaded', HTTP_STATUS.BAD_REQUEST);
-      }
+const parseUpload = async (file) => {
+  // Validate file upload
+  if (!file) {
+    throw new AppError('No file uploaded', HTTP_STATUS.BAD_REQUEST);
+  }
 
-      logger.info('📤 File upload received', {
-        originalName: req.file.originalname,
-        size: formatFileSize(req.file.size),
-        mimetype: req.file.mimetype
-      });
+  logger.info('📤 File upload received', {
+    originalName: file.originalname,
+    size: formatFileSize(file.size),
+    mimetype: file.mimetype
+  });
 
-      // Validate file
-      const fileValidation = excelService.validateFile(req.file);
-      if (!fileValidation.isValid) {
-        // Clean up uploaded file
-        await excelService.cleanupFile(req.file.path);
-        throw new AppError(
-          fileValidation.errors.join(', '),
-          HTTP_STATUS.BAD_REQUEST
-        );
-      }
+  // Validate file
+  const fileValidation = excelService.validateFile(file);
+  if (!fileValidation.isValid) {
+    throw new AppError(
+      fileValidation.errors.join(', '),
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
 
-      // Parse Excel file
-      const { headers, dataRows, totalRows } = await excelService.parseExcelFile(req.file.path);
+  // Parse Excel file
+  const { headers, dataRows, totalRows } = await excelService.parseExcelFile(file.path);
+
+  // Process and validate student data
+  const { students, errors, statistics } = await excelService.processStudentData(
+    headers,
+    dataRows
+  );
+
+  // Check if we have valid students
+  if (students.length === 0) {
+    throw new AppError(
+      'No valid students found in the Excel file',
+      HTTP_STATUS.UNPROCESSABLE_ENTITY
+    );
+  }
 
-      // Process and validate student data
-      const { students, errors, statistics } = await excelService.processStudentData(
-        headers,
-        dataRows
-      );
+  // Check minimum and maximum students
+  if (students.length < EXCEL_CONFIG.MIN_STUDENTS) {
+    throw new AppError(
+      `Minimum ${EXCEL_CONFIG.MIN_STUDENTS} student(s) required`,
+      HTTP_STATUS.UNPROCESSABLE_ENTITY
+    );
+  }
 
-      // Check if we have valid students
-      if (students.length === 0) {
-        await excelService.cleanupFile(req.file.path);
-        throw new AppError(
-          'No valid students found in the Excel file',
-          HTTP_STATUS.UNPROCESSABLE_ENTITY
-        );
-      }
+  if (students.length > EXCEL_CONFIG.MAX_STUDENTS) {
+    throw new AppError(
+      `Maximum ${EXCEL_CONFIG.MAX_STUDENTS} students allowed per upload`,
+      HTTP_STATUS.UNPROCESSABLE_ENTITY
+    );
+  }
 
-      // Check minimum and maximum students
-      if (students.length < EXCEL_CONFIG.MIN_STUDENTS) {
-        await excelService.cleanupFile(req.file.path);
-        throw new AppError(
-          `Minimum ${EXCEL_CONFIG.MIN_STUDENTS} student(s) required`,
-          HTTP_STATUS.UNPROCESSABLE_ENTITY
-        );
-      }
+  return { totalRows, students, errors, statistics };
+};
 
-      if (students.length > EXCEL_CONFIG.MAX_STUDENTS) {
-        await excelService.cleanupFile(req.file.path);
-        throw new AppError(
-          `Maximum ${EXCEL_CONFIG.MAX_STUDENTS} students allowed per upload`,
-          HTTP_STATUS.UNPROCESSABLE_ENTITY
-        );
-      }
+/**
+ * Create the upload job for parsed rows and queue every student
+ * file is the stored upload's filename, originalname and size
+ */
+const startUpload = async (req, file, { totalRows, students, errors }) => {
+  if (students.length === 0) {
+    throw new AppError('No students left to process', HTTP_STATUS.UNPROCESSABLE_ENTITY);
+  }
 
-      // Generate job ID and week info
-      const jobId = generateJobId();
-      const weekInfo = await generateWeekInfo();
-
-      // Create upload job record
-      const uploadJob = new UploadJob({
-        jobId,
-        fileName: req.file.filename,
-        originalName: req.file.originalname,
-        fileSize: req.file.size,
-        status: JOB_STATUS.PENDING,
-        progress: {
-          total: students.length,
-          processed: 0,
-          successful: 0,
-          failed: 0,
-          percentage: 0
-        },
-        studentsData: {
-          total: totalRows,
-          valid: students.length,
-          invalid: errors.length,
-          duplicates: statistics.duplicates || 0
-        },
-        weekInfo: {
-          weekNumber: weekInfo.weekNumber,
-          weekLabel: weekInfo.weekLabel,
-          uploadDate: weekInfo.uploadDate
-        },
-        metadata: {
-          userAgent: req.get('User-Agent'),
-          ipAddress: req.ip,
-          uploadSource: 'web'
-        }
-      });
+  // Generate job ID and week info
+  const jobId = generateJobId();
+  const weekInfo = await generateWeekInfo();
+
+  // Create upload job record
+  const uploadJob = new UploadJob({
+    jobId,
+    fileName: file.filename,
+    originalName: file.originalname,
+    fileSize: file.size,
+    status: JOB_STATUS.PENDING,
+    progress: {
+      total: students.length,
+      processed: 0,
+      successful: 0,
+      failed: 0,
+      percentage: 0
+    },
+    studentsData: {
+      total: totalRows,
+      valid: students.length,
+      invalid: errors.length,
+      duplicates: new Set(errors.filter(({ duplicateOf }) => duplicateOf).map(({ regNo }) => regNo)).size
+    },
+    weekInfo: {
+      weekNumber: weekInfo.weekNumber,
+      weekLabel: weekInfo.weekLabel,
+      uploadDate: weekInfo.uploadDate
+    },
+    metadata: {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip,
+      uploadSource: 'web'
+    }
+  });
 
-      // Add validation errors to job
-      errors.forEach(error => {
-        uploadJob.addError(
-          'validation',
-          error.message,
-          { row: error.row },
-          error.regNo
-        );
-      });
+  // Add validation errors to job
+  errors.forEach(error => {
+    uploadJob.addError(
+      'validation',
+      error.message,
+      { row: error.row },
+      error.regNo
+    );
+  });
 
-      await uploadJob.save();
+  await uploadJob.save();
 
-      logger.info('📋 Upload job created', {
-        jobId,
-        totalStudents: students.length,
-        validStudents: students.length,
-        invalidRows: errors.length
-      });
+  logger.info('📋 Upload job created', {
+    jobId,
+    totalStudents: students.length,
+    validStudents: students.length,
+    invalidRows: errors.length
+  });
 
-      // Add students to queue
-      try {
-        await queueManager.addStudentJobsBatch(students, jobId);
-        
-        uploadJob.startProcessing();
-        await uploadJob.save();
+  // Add students to queue
+  try {
+    await queueManager.addStudentJobsBatch(students, jobId);
 
-        logger.info('✅ Students added to processing queue', {
-          jobId,
-          count: students.length
-        });
+    uploadJob.startProcessing();
+    await uploadJob.save();
 
-      } catch (queueError) {
-        logger.error('❌ Failed to add students to queue', {
-          jobId,
-          error: queueError.message
-        });
-        
-        uploadJob.failProcessing('Failed to queue students for processing');
-        await uploadJob.save();
-        
-        throw new AppError(
-          'Failed to start processing. Please try again.',
-          HTTP_STATUS.INTERNAL_SERVER_ERROR
-        );
-      }
+    logger.info('✅ Students added to processing queue', {
+      jobId,
+      count: students.length
+    });
+
+  } catch (queueError) {
+    logger.error('❌ Failed to add students to queue', {
+      jobId,
+      error: queueError.message
+    });
+
+    uploadJob.failProcessing('Failed to queue students for processing');
+    await uploadJob.save();
+
+    throw new AppError(
+      'Failed to start processing. Please try again.',
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+
+  return uploadJob;
+};
+
+const formatUploadJob = (uploadJob) => ({
+  id: uploadJob._id,
+  jobId: uploadJob.jobId,
+  status: uploadJob.status,
+  fileName: uploadJob.originalName,
+  fileSize: formatFileSize(uploadJob.fileSize),
+  weekInfo: uploadJob.weekInfo,
+  progress: uploadJob.progress,
+  studentsData: uploadJob.studentsData
+});
+
+/**
+ * @route   POST /api/upload
+ * @desc    Upload Excel file and process student data right away (the dashboard previews it first)
+ * @access  Admin, coordinator
+ */
+router.post(
+  '/',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  uploadLimiter,
+  upload.single('file'),
+  catchAsync(async (req, res, next) => {
+    const startTime = Date.now();
+    
+    try {
+      const { totalRows, students, errors, statistics } = await parseUpload(req.file);
+
+      const uploadJob = await startUpload(req, req.file, { totalRows, students, errors });
+      const { jobId } = uploadJob;
 
       // Clean up uploaded file (optional - keep for debugging)
       // await excelService.cleanupFile(req.file.path);
@@ -225,16 +265,7 @@ router.post(
         message: 'File uploaded successfully. Processing started.',
         data: {
           jobId,
-          uploadJob: {
-            id: uploadJob._id,
-            jobId: uploadJob.jobId,
-            status: uploadJob.status,
-            fileName: uploadJob.originalName,
-            fileSize: formatFileSize(uploadJob.fileSize),
-            weekInfo: uploadJob.weekInfo,
-            progress: uploadJob.progress,
-            studentsData: uploadJob.studentsData
-          },
+          uploadJob: formatUploadJob(uploadJob),
           statistics: {
             totalRows: totalRows,
             validStudents: students.length,
@@ -262,10 +293,142 @@ router.post(
   })
 );
 
+/**
+ * @route   POST /api/upload/preview
+ * @desc    Dry run of an upload: new, changed and removed students, invalid rows and duplicates; nothing is written
+ * @access  Admin, coordinator
+ */
+router.post(
+  '/preview',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  uploadLimiter,
+  upload.single('file'),
+  catchAsync(async (req, res) => {
+    try {
+      const { totalRows, students, errors } = await parseUpload(req.file);
+
+      const preview = await uploadPreviewService.createPreview(
+        { file: req.file, totalRows, students, errors },
+        { user: req.user }
+      );
+
+      res.status(HTTP_STATUS.CREATED).json({
+        status: 'success',
+        message: 'Preview ready. Confirm it to start processing.',
+        data: { preview, counts: preview.getCounts() },
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      // The preview keeps the parsed rows, so the file isn't needed again
+      if (req.file) {
+        await excelService.cleanupFile(req.file.path).catch(() => {});
+      }
+    }
+  })
+);
+
+/**
+ * @route   GET /api/upload/preview/:id
+ * @desc    A preview waiting to be confirmed or cancelled
+ * @access  Admin, coordinator
+ */
+router.get(
+  '/preview/:id',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  readLimiter,
+  validatePreviewId(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const preview = await UploadPreview.findPending(req.params.id);
+    if (!preview) {
+      throw new AppError('Preview not found or expired', HTTP_STATUS.NOT_FOUND);
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: { preview, counts: preview.getCounts() },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   POST /api/upload/preview/:id/confirm
+ * @desc    Apply a preview and start processing (skip: regNos of new or changed students to leave as they are;
+ *          deactivate: regNos of removed students to deactivate)
+ * @access  Admin, coordinator
+ */
+router.post(
+  '/preview/:id/confirm',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  strictLimiter,
+  validatePreviewConfirm(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { skip = [], deactivate = [] } = req.body;
+
+    const result = await uploadPreviewService.confirm(
+      req.params.id,
+      { skip, deactivate, user: req.user },
+      (students, preview) => startUpload(
+        req,
+        { filename: preview.fileName, originalname: preview.originalName, size: preview.fileSize },
+        { totalRows: preview.totalRows, students, errors: preview.rowErrors }
+      )
+    );
+    if (!result) {
+      throw new AppError('Preview not found, expired or already confirmed', HTTP_STATUS.NOT_FOUND);
+    }
+
+    const { uploadJob, deactivated, stale } = result;
+
+    res.status(HTTP_STATUS.ACCEPTED).json({
+      status: 'success',
+      message: 'Upload confirmed. Processing started.',
+      data: {
+        jobId: uploadJob.jobId,
+        uploadJob: formatUploadJob(uploadJob),
+        deactivated,
+        stale,
+        processingInfo: {
+          estimatedTime: `${Math.ceil(uploadJob.progress.total * 2 / 60)} minutes`,
+          statusEndpoint: `/api/jobs/${uploadJob.jobId}`
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/upload/preview/:id
+ * @desc    Cancel a preview; nothing from it is applied
+ * @access  Admin, coordinator
+ */
+router.delete(
+  '/preview/:id',
+  restrictTo(ROLES.ADMIN, ROLES.COORDINATOR),
+  readLimiter,
+  validatePreviewId(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const preview = await uploadPreviewService.cancel(req.params.id, { user: req.user });
+    if (!preview) {
+      throw new AppError('Preview not found or already confirmed', HTTP_STATUS.NOT_FOUND);
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      message: 'Upload cancelled',
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
 /**
  * @route   GET /api/upload/sample
  * @desc    Download sample Excel template
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/sample',
@@ -287,14 +450,21 @@ router.get(
 /**
  * @route   GET /api/upload/format
  * @desc    Get expected Excel format information
- * @access  Public
+ * @access  Any role
  */
 router.get('/format', (req, res) => {
+  const platformDescriptions = platformRegistry.getAllPlatforms().reduce((descriptions, adapter) => {
+    descriptions[adapter.idColumn] = adapter.idDescription;
+    return descriptions;
+  }, {});
+
   res.status(HTTP_STATUS.OK).json({
     status: 'success',
     data: {
       requiredColumns: EXCEL_CONFIG.REQUIRED_COLUMNS,
-      columnMapping: EXCEL_CONFIG.COLUMN_MAPPING,
+      platformColumns: excelService.platformColumns,
+      columnMapping: excelService.columnMapping,
+      platforms: platformRegistry.getAllPlatforms().map(adapter => adapter.toJSON()),
       fileRequirements: {
         maxFileSize: formatFileSize(EXCEL_CONFIG.MAX_FILE_SIZE),
         allowedExtensions: EXCEL_CONFIG.ALLOWED_EXTENSIONS,
@@ -306,17 +476,13 @@ router.get('/format', (req, res) => {
         'Reg No': 'Unique registration number (alphanumeric)',
         'Dept': 'Department name',
         'Year': 'Academic year (e.g., 1st Year, 2nd Year)',
-        'CodeChef ID': 'CodeChef username (optional)',
-        'LeetCode ID': 'LeetCode username (optional)',
-        'Codeforces ID': 'Codeforces handle (optional)',
-        'AtCoder ID': 'AtCoder username (optional)',
-        'Codolio ID': 'Codolio username (optional)',
-        'GitHub ID': 'GitHub username (optional)'
+        ...platformDescriptions
       },
       notes: [
         'At least one platform ID is required per student',
         'Registration numbers must be unique',
         'Empty cells are allowed for optional platform IDs',
+        'Platform ID columns may be left out, but at least one must be present',
         'First row must contain column headers exactly as specified'
       ]
     },
@@ -327,7 +493,7 @@ router.get('/format', (req, res) => {
 /**
  * @route   GET /api/upload/history
  * @desc    Get upload history
- * @access  Public
+ * @access  Any role
  */
 router.get(
   '/history',
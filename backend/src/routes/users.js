@@ -0,0 +1,166 @@
+const express = require('express');
+
+// Import models
+const User = require('../models/User');
+const Student = require('../models/Student');
+
+// Import middleware
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { readLimiter } = require('../middleware/rateLimiter');
+const { restrictTo } = require('../middleware/auth');
+const {
+  validateUser,
+  validateUserId,
+  validateUserQuery,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+// Import utilities
+const logger = require('../utils/logger');
+const { HTTP_STATUS, ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+const USER_FIELDS = ['email', 'regNo', 'name', 'role', 'department', 'isActive'];
+
+// Managing logins is for admins only
+router.use(restrictTo(ROLES.ADMIN));
+
+/**
+ * @route   GET /api/users
+ * @desc    List users (?role=&limit=200)
+ * @access  Admin
+ */
+router.get(
+  '/',
+  readLimiter,
+  validateUserQuery(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { role, limit = 200 } = req.query;
+
+    const users = await User.find(role ? { role } : {}).sort({ role: 1, name: 1 }).limit(limit);
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        users,
+        roles: Object.values(ROLES)
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   POST /api/users
+ * @desc    Create a user with a starting password; student logins take a regNo instead of an email
+ * @access  Admin
+ */
+router.post(
+  '/',
+  readLimiter,
+  validateUser(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { email, regNo } = req.body;
+
+    if (req.body.role === ROLES.STUDENT) {
+      if (!(await Student.exists({ regNo }))) {
+        throw new AppError('Student not found', HTTP_STATUS.NOT_FOUND);
+      }
+      if (await User.exists({ regNo })) {
+        throw new AppError('This student already has a login', HTTP_STATUS.CONFLICT);
+      }
+    } else if (await User.exists({ email })) {
+      throw new AppError('A user with this email already exists', HTTP_STATUS.CONFLICT);
+    }
+
+    const user = new User(Object.fromEntries(USER_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]])));
+    await user.setPassword(req.body.password);
+    await user.save();
+
+    res.status(HTTP_STATUS.CREATED).json({
+      status: 'success',
+      message: 'User created',
+      data: { user },
+      timestamp: new Date().toISOString()
+    });
+
+    logger.info(`👤 User created: ${user.email || user.regNo}`, { role: user.role, by: req.user.email });
+  })
+);
+
+/**
+ * @route   PATCH /api/users/:id
+ * @desc    Update a user, or reset their password; left-out fields keep their values
+ * @access  Admin
+ */
+router.patch(
+  '/:id',
+  readLimiter,
+  validateUserId(),
+  validateUser({ partial: true }),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      throw new AppError('User not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    // An admin can't lock themselves out
+    const isSelf = String(user._id) === String(req.user._id);
+    if (isSelf && ((req.body.role && req.body.role !== ROLES.ADMIN) || req.body.isActive === false)) {
+      throw new AppError('You cannot remove your own admin access', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    USER_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => { user[field] = req.body[field]; });
+    if (req.body.password) {
+      await user.setPassword(req.body.password);
+    }
+    await user.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      message: 'User updated',
+      data: { user },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/users/:id
+ * @desc    Delete a user
+ * @access  Admin
+ */
+router.delete(
+  '/:id',
+  readLimiter,
+  validateUserId(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    if (String(req.params.id) === String(req.user._id)) {
+      throw new AppError('You cannot delete your own account', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const user = await User.findByIdAndDelete(req.params.id);
+    if (!user) {
+      throw new AppError('User not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      message: 'User deleted',
+      timestamp: new Date().toISOString()
+    });
+
+    logger.info(`👤 User deleted: ${user.email || user.regNo}`, { by: req.user.email });
+  })
+);
+
+module.exports = router;
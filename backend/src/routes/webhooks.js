@@ -0,0 +1,243 @@
+const express = require('express');
+
+// Import models
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+// Import services
+const webhookService = require('../services/webhookService');
+
+// Import middleware
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { readLimiter, strictLimiter } = require('../middleware/rateLimiter');
+const { restrictTo } = require('../middleware/auth');
+const {
+  validateWebhook,
+  validateWebhookId,
+  validateDeliveryQuery,
+  validateDeliveryId,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+// Import utilities
+const logger = require('../utils/logger');
+const { HTTP_STATUS, WEBHOOK_EVENTS, WEBHOOK_CONFIG, ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+const WEBHOOK_FIELDS = ['name', 'url', 'events', 'description', 'enabled', 'secret'];
+
+// Webhooks carry signing secrets and student data out, so they are for admins only
+router.use(restrictTo(ROLES.ADMIN));
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List webhooks (without their secrets) and the events they can subscribe to
+ * @access  Admin
+ */
+router.get(
+  '/',
+  readLimiter,
+  catchAsync(async (req, res) => {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 });
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        webhooks,
+        events: Object.values(WEBHOOK_EVENTS)
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Subscribe a URL to events; the response is the only time the secret is shown
+ * @access  Admin
+ */
+router.post(
+  '/',
+  readLimiter,
+  validateWebhook(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const count = await Webhook.countDocuments();
+    if (count >= WEBHOOK_CONFIG.MAX_WEBHOOKS) {
+      throw new AppError(`At most ${WEBHOOK_CONFIG.MAX_WEBHOOKS} webhooks can be set up`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const fields = Object.fromEntries(WEBHOOK_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+    const webhook = await Webhook.create(fields);
+
+    res.status(HTTP_STATUS.CREATED).json({
+      status: 'success',
+      message: 'Webhook created',
+      data: {
+        webhook,
+        secret: webhook.secret
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    logger.info(`🪝 Webhook created: ${webhook.name}`, { events: webhook.events });
+  })
+);
+
+/**
+ * @route   PATCH /api/webhooks/:id
+ * @desc    Update a webhook; left-out fields keep their values
+ * @access  Admin
+ */
+router.patch(
+  '/:id',
+  readLimiter,
+  validateWebhookId(),
+  validateWebhook({ partial: true }),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const changes = Object.fromEntries(WEBHOOK_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, { $set: changes }, {
+      new: true,
+      runValidators: true
+    });
+    if (!webhook) {
+      throw new AppError('Webhook not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      message: 'Webhook updated',
+      data: { webhook },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook; its delivery log is kept
+ * @access  Admin
+ */
+router.delete(
+  '/:id',
+  readLimiter,
+  validateWebhookId(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      throw new AppError('Webhook not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      message: 'Webhook deleted',
+      timestamp: new Date().toISOString()
+    });
+
+    logger.info(`🪝 Webhook deleted: ${webhook.name}`);
+  })
+);
+
+/**
+ * @route   GET /api/webhooks/deliveries
+ * @desc    Delivery log newest first (?webhookId=&status=&event=&limit=20)
+ * @access  Admin
+ */
+router.get(
+  '/deliveries',
+  readLimiter,
+  validateDeliveryQuery(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { webhookId, status, event, limit = 20 } = req.query;
+
+    const query = {};
+    if (webhookId) query.webhookId = webhookId;
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('-payload -__v')
+      .populate('webhookId', 'name url')
+      .lean();
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: {
+        deliveries,
+        filters: {
+          webhookId: webhookId || 'all',
+          status: status || 'all',
+          event: event || 'all'
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   GET /api/webhooks/deliveries/:id
+ * @desc    One delivery with the body sent and every attempt
+ * @access  Admin
+ */
+router.get(
+  '/deliveries/:id',
+  readLimiter,
+  validateDeliveryId(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const delivery = await WebhookDelivery.findById(req.params.id)
+      .select('-__v')
+      .populate('webhookId', 'name url')
+      .lean();
+    if (!delivery) {
+      throw new AppError('Delivery not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      status: 'success',
+      data: { delivery },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @route   POST /api/webhooks/deliveries/:id/replay
+ * @desc    Send a delivery's body again, to the webhook's current URL, as a new delivery
+ * @access  Admin
+ */
+router.post(
+  '/deliveries/:id/replay',
+  strictLimiter,
+  validateDeliveryId(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const delivery = await webhookService.replay(req.params.id);
+    if (!delivery) {
+      throw new AppError('Delivery not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    res.status(HTTP_STATUS.ACCEPTED).json({
+      status: 'success',
+      message: 'Delivery queued again',
+      data: { delivery },
+      timestamp: new Date().toISOString()
+    });
+
+    logger.info(`🪝 Delivery ${req.params.id} replayed as ${delivery._id}`);
+  })
+);
+
+module.exports = router;
@@ -10,6 +10,15 @@ const fs = require('fs').promises;
 // Import services
 const excelService = require('./services/excelService');
 const platformService = require('./services/platformService');
+const contestService = require('./services/contestService');
+const activityService = require('./services/activityService');
+const alertService = require('./services/alertService');
+const webhookService = require('./services/webhookService');
+const uploadPreviewService = require('./services/uploadPreviewService');
+const studentService = require('./services/studentService');
+const scoringService = require('./services/scoringService');
+const percentileService = require('./services/percentileService');
+const platformRegistry = require('./platforms');
 
 // Import models
 const database = require('./config/database');
@@ -17,11 +26,17 @@ const Student = require('./models/Student');
 const PlatformStats = require('./models/PlatformStats');
 const PerformanceHistory = require('./models/PerformanceHistory');
 const UploadJob = require('./models/UploadJob');
+const UploadPreview = require('./models/UploadPreview');
+
+// Import middleware
+const { globalErrorHandler, AppError } = require('./middleware/errorHandler');
+const { protect, restrictTo } = require('./middleware/auth');
+const { validatePreviewId, validatePreviewConfirm, handleValidationErrors } = require('./middleware/validation');
 
 // Import utilities
 const logger = require('./utils/logger');
 const { generateJobId, generateWeekInfo, formatFileSize } = require('./utils/helpers');
-const { HTTP_STATUS, EXCEL_CONFIG, JOB_STATUS, PLATFORMS } = require('./utils/constants');
+const { HTTP_STATUS, EXCEL_CONFIG, JOB_STATUS, PLATFORMS, RATING_SCALES, WEBHOOK_EVENTS, ROLES, STAFF_ROLES } = require('./utils/constants');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -42,7 +57,9 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  credentials: true
+  credentials: true,
+  // Lets the dashboard read the file name of an export
+  exposedHeaders: ['Content-Disposition']
 }));
 
 app.use(express.json());
@@ -117,11 +134,19 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Everything below the health checks and login needs a token; students only reach their portal
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api', protect);
+app.use('/api/portal', require('./routes/portal'));
+app.use('/api', restrictTo(...STAFF_ROLES));
+app.use('/api/users', require('./routes/users'));
+app.use('/api', require('./routes/export'));
+
 /**
  * Process a single student - fetch data from all platforms
  */
 async function processStudent(studentData, jobId, uploadJob) {
-  const { regNo, name, dept, year, platformIds } = studentData;
+  const { regNo, name, department, year, platformIds } = studentData;
   
   try {
     logger.info(`Processing student: ${regNo} - ${name}`);
@@ -132,6 +157,7 @@ async function processStudent(studentData, jobId, uploadJob) {
     // Fetch data from all platforms
     const platformResults = {};
     const platformStats = [];
+    const fetchErrors = [];
     
     for (const [platform, username] of Object.entries(platformIds)) {
       if (!username) continue;
@@ -191,6 +217,7 @@ async function processStudent(studentData, jobId, uploadJob) {
       } catch (error) {
         logger.error(`Failed to fetch ${platform} data for ${username}:`, error.message);
         uploadJob.addError('api', `Failed to fetch ${platform} data`, { platform, username }, regNo);
+        fetchErrors.push({ platform, error: error.message, timestamp: new Date() });
       }
     }
     
@@ -210,7 +237,7 @@ async function processStudent(studentData, jobId, uploadJob) {
       {
         regNo,
         name,
-        dept,
+        department,
         year,
         platformIds,
         totalStats,
@@ -220,6 +247,13 @@ async function processStudent(studentData, jobId, uploadJob) {
       { upsert: true, new: true }
     );
     
+    // Record handles found on the student's Codolio profile
+    const discoveredIds = platformService.discoverPlatformIds(platformIds, platformResults[PLATFORMS.CODOLIO]);
+    if (Object.keys(discoveredIds).length > 0) {
+      await studentService.saveDiscoveredPlatformIds(student, discoveredIds);
+      logger.info(`Discovered ${Object.keys(discoveredIds).join(', ')} IDs on Codolio for ${regNo}`);
+    }
+    
     // Save platform stats
     for (const stats of platformStats) {
       await PlatformStats.findOneAndUpdate(
@@ -240,6 +274,10 @@ async function processStudent(studentData, jobId, uploadJob) {
       );
     }
     
+    // Store per-contest results and daily activity (best-effort, failures are only logged)
+    await contestService.syncStudentContests(regNo, platformIds);
+    await activityService.syncStudentActivity(regNo, platformIds);
+    
     // Create performance history entry
     const performanceHistory = await PerformanceHistory.create({
       regNo,
@@ -254,6 +292,7 @@ async function processStudent(studentData, jobId, uploadJob) {
         problemsSolved: p.currentStats.problemsSolved,
         contestsParticipated: p.currentStats.contestsParticipated,
         rank: p.currentStats.rank,
+        difficulty: scoringService.getDifficultyCounts(p.platform, p.currentStats),
         fetchStatus: p.fetchStatus
       })),
       overallScore: 0, // Will be calculated by the model method
@@ -262,7 +301,7 @@ async function processStudent(studentData, jobId, uploadJob) {
       activePlatforms: platformStats.length,
       metadata: {
         processingTime: 0,
-        errors: []
+        errors: fetchErrors
       }
     });
     
@@ -281,10 +320,95 @@ async function processStudent(studentData, jobId, uploadJob) {
   }
 }
 
+/**
+ * Create the upload job for parsed rows and process its students in the background
+ */
+async function startUpload(file, { totalRows, students, errors }) {
+  const jobId = generateJobId();
+  const weekInfo = await generateWeekInfo();
+  
+  const uploadJob = new UploadJob({
+    jobId,
+    fileName: file.filename,
+    originalName: file.originalname,
+    fileSize: file.size,
+    status: JOB_STATUS.PROCESSING,
+    progress: {
+      total: students.length,
+      processed: 0,
+      successful: 0,
+      failed: 0,
+      percentage: 0
+    },
+    studentsData: {
+      total: totalRows,
+      valid: students.length,
+      invalid: errors.length,
+      duplicates: new Set(errors.filter(({ duplicateOf }) => duplicateOf).map(({ regNo }) => regNo)).size
+    },
+    weekInfo
+  });
+
+  await uploadJob.save();
+
+  // Process in background
+  (async () => {
+    // Percentiles in cohort mode compare against everyone's latest ratings
+    await scoringService.loadCohort();
+
+    for (let i = 0; i < students.length; i++) {
+      const result = await processStudent(students[i], jobId, uploadJob);
+      
+      uploadJob.progress.processed = i + 1;
+      if (result.success) {
+        uploadJob.progress.successful++;
+      } else {
+        uploadJob.progress.failed++;
+      }
+      uploadJob.progress.percentage = Math.round((i + 1) / students.length * 100);
+      
+      await uploadJob.save();
+    }
+    
+    uploadJob.completeProcessing();
+    await uploadJob.save();
+    logger.info(`✅ Job ${jobId} completed`);
+
+    await alertService.evaluate({ source: 'upload', jobId });
+    await webhookService.emitLevelChanges({ jobId, source: 'upload' });
+    await webhookService.emitUploadCompleted(uploadJob);
+  })();
+
+  return uploadJob;
+}
+
+/**
+ * Parse an uploaded sheet; error is set when it has no valid students
+ */
+async function parseUpload(file) {
+  const { headers, dataRows, totalRows } = await excelService.parseExcelFile(file.path);
+  const { students, errors } = await excelService.processStudentData(headers, dataRows);
+
+  if (students.length > 0) {
+    return { totalRows, students, errors, error: null };
+  }
+
+  // Provide detailed error message
+  let errorMsg = 'No valid students found in Excel file.';
+  if (errors.length > 0) {
+    errorMsg += ` Errors: ${errors.slice(0, 3).map(e => e.message).join('; ')}`;
+    if (errors.length > 3) {
+      errorMsg += ` (and ${errors.length - 3} more errors)`;
+    }
+  }
+
+  return { totalRows, students, errors, error: errorMsg };
+}
+
 /**
  * Upload Excel and process students
  */
-app.post('/api/upload', (req, res) => {
+app.post('/api/upload', restrictTo(ROLES.ADMIN, ROLES.COORDINATOR), (req, res) => {
   upload.single('file')(req, res, async (err) => {
     // Handle multer errors
     if (err) {
@@ -302,90 +426,135 @@ app.post('/api/upload', (req, res) => {
 
       logger.info('📤 File upload received:', req.file.originalname);
 
-    // Parse Excel file
-    const { headers, dataRows, totalRows } = await excelService.parseExcelFile(req.file.path);
-    const { students, errors, statistics } = await excelService.processStudentData(headers, dataRows);
+      const { totalRows, students, errors, error } = await parseUpload(req.file);
+      if (error) {
+        await excelService.cleanupFile(req.file.path);
+        return res.status(400).json({ status: 'error', message: error, errors: errors.slice(0, 10) });
+      }
 
-    if (students.length === 0) {
-      await excelService.cleanupFile(req.file.path);
-      
-      // Provide detailed error message
-      let errorMsg = 'No valid students found in Excel file.';
-      if (errors.length > 0) {
-        errorMsg += ` Errors: ${errors.slice(0, 3).map(e => e.message).join('; ')}`;
-        if (errors.length > 3) {
-          errorMsg += ` (and ${errors.length - 3} more errors)`;
+      const uploadJob = await startUpload(req.file, { totalRows, students, errors });
+
+      res.status(202).json({
+        status: 'success',
+        message: 'File uploaded. Processing started.',
+        data: {
+          jobId: uploadJob.jobId,
+          totalStudents: students.length,
+          statusEndpoint: `/api/jobs/${uploadJob.jobId}`
         }
+      });
+
+    } catch (error) {
+      logger.error('Upload error:', error);
+      res.status(500).json({ status: 'error', message: error.message });
+    }
+  });
+});
+
+/**
+ * Dry run of an upload; nothing is written until it's confirmed
+ */
+app.post('/api/upload/preview', restrictTo(ROLES.ADMIN, ROLES.COORDINATOR), (req, res) => {
+  upload.single('file')(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({ status: 'error', message: err.message || 'File upload failed' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ status: 'error', message: 'No file uploaded' });
+    }
+
+    try {
+      const { totalRows, students, errors, error } = await parseUpload(req.file);
+      if (error) {
+        return res.status(400).json({ status: 'error', message: error, errors: errors.slice(0, 10) });
       }
-      
-      return res.status(400).json({ status: 'error', message: errorMsg, errors: errors.slice(0, 10) });
+
+      const preview = await uploadPreviewService.createPreview(
+        { file: req.file, totalRows, students, errors },
+        { user: req.user }
+      );
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Preview ready. Confirm it to start processing.',
+        data: { preview, counts: preview.getCounts() },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Upload preview error:', error);
+      res.status(500).json({ status: 'error', message: error.message });
+    } finally {
+      // The preview keeps the parsed rows
+      await excelService.cleanupFile(req.file.path).catch(() => {});
     }
+  });
+});
 
-    // Create upload job
-    const jobId = generateJobId();
-    const weekInfo = await generateWeekInfo();
-    
-    const uploadJob = new UploadJob({
-      jobId,
-      fileName: req.file.filename,
-      originalName: req.file.originalname,
-      fileSize: req.file.size,
-      status: JOB_STATUS.PROCESSING,
-      progress: {
-        total: students.length,
-        processed: 0,
-        successful: 0,
-        failed: 0,
-        percentage: 0
-      },
-      studentsData: {
-        total: totalRows,
-        valid: students.length,
-        invalid: errors.length,
-        duplicates: statistics.duplicates || 0
-      },
-      weekInfo
-    });
+app.get('/api/upload/preview/:id', restrictTo(ROLES.ADMIN, ROLES.COORDINATOR), validatePreviewId(), handleValidationErrors, async (req, res) => {
+  try {
+    const preview = await UploadPreview.findPending(req.params.id);
+    if (!preview) {
+      return res.status(404).json({ status: 'error', message: 'Preview not found or expired' });
+    }
 
-    await uploadJob.save();
+    res.json({ status: 'success', data: { preview, counts: preview.getCounts() }, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Apply a preview: skip leaves new or changed students as they are, deactivate picks removed ones
+app.post('/api/upload/preview/:id/confirm', restrictTo(ROLES.ADMIN, ROLES.COORDINATOR), validatePreviewConfirm(), handleValidationErrors, async (req, res) => {
+  try {
+    const { skip = [], deactivate = [] } = req.body;
 
-    // Process students synchronously (in background)
+    const result = await uploadPreviewService.confirm(
+      req.params.id,
+      { skip, deactivate, user: req.user },
+      (students, preview) => {
+        if (students.length === 0) {
+          throw new AppError('No students left to process', HTTP_STATUS.UNPROCESSABLE_ENTITY);
+        }
+        return startUpload(
+          { filename: preview.fileName, originalname: preview.originalName, size: preview.fileSize },
+          { totalRows: preview.totalRows, students, errors: preview.rowErrors }
+        );
+      }
+    );
+    if (!result) {
+      return res.status(404).json({ status: 'error', message: 'Preview not found, expired or already confirmed' });
+    }
+
+    const { uploadJob, deactivated, stale } = result;
     res.status(202).json({
       status: 'success',
-      message: 'File uploaded. Processing started.',
+      message: 'Upload confirmed. Processing started.',
       data: {
-        jobId,
-        totalStudents: students.length,
-        statusEndpoint: `/api/jobs/${jobId}`
-      }
+        jobId: uploadJob.jobId,
+        totalStudents: uploadJob.progress.total,
+        deactivated,
+        stale,
+        statusEndpoint: `/api/jobs/${uploadJob.jobId}`
+      },
+      timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    logger.error('Upload confirm error:', error);
+    res.status(error.statusCode || 500).json({ status: 'error', message: error.message });
+  }
+});
 
-    // Process in background
-    (async () => {
-      for (let i = 0; i < students.length; i++) {
-        const result = await processStudent(students[i], jobId, uploadJob);
-        
-        uploadJob.progress.processed = i + 1;
-        if (result.success) {
-          uploadJob.progress.successful++;
-        } else {
-          uploadJob.progress.failed++;
-        }
-        uploadJob.progress.percentage = Math.round((i + 1) / students.length * 100);
-        
-        await uploadJob.save();
-      }
-      
-      uploadJob.completeProcessing();
-      await uploadJob.save();
-      logger.info(`✅ Job ${jobId} completed`);
-    })();
-
-    } catch (error) {
-      logger.error('Upload error:', error);
-      res.status(500).json({ status: 'error', message: error.message });
+app.delete('/api/upload/preview/:id', restrictTo(ROLES.ADMIN, ROLES.COORDINATOR), validatePreviewId(), handleValidationErrors, async (req, res) => {
+  try {
+    const preview = await uploadPreviewService.cancel(req.params.id, { user: req.user });
+    if (!preview) {
+      return res.status(404).json({ status: 'error', message: 'Preview not found or already confirmed' });
     }
-  });
+
+    res.json({ status: 'success', message: 'Upload cancelled', timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
 });
 
 // Get job status
@@ -417,7 +586,8 @@ app.get('/api/students', async (req, res) => {
       sortOptions = { [sortField]: order === 'desc' ? -1 : 1 };
     }
     
-    const students = await Student.find()
+    // Deactivated students are soft-deleted
+    const students = await Student.find({ isActive: true })
       .sort(sortOptions)
       .limit(parseInt(limit));
     
@@ -484,13 +654,56 @@ app.get('/api/students/:regNo', async (req, res) => {
 // Get leaderboard
 app.get('/api/analytics/leaderboard', async (req, res) => {
   try {
-    const { limit = 10, metric = 'totalProblems' } = req.query;
+    const { limit = 10, metric = 'totalProblems', scale, platform, department, year } = req.query;
+
+    // Ratings on different platforms only compare as percentiles
+    if (metric === 'percentile') {
+      if (scale && ![RATING_SCALES.COHORT, RATING_SCALES.REFERENCE].includes(scale)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Scale must be ${RATING_SCALES.COHORT} or ${RATING_SCALES.REFERENCE}`
+        });
+      }
+
+      if (platform && !platformRegistry.isSupported(platform)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid platform' });
+      }
+
+      // Same department and year filters as the analytics router
+      let regNos = null;
+      if (department || year) {
+        const studentQuery = {};
+        if (department) studentQuery.department = { $regex: department, $options: 'i' };
+        if (year) studentQuery.year = { $regex: year, $options: 'i' };
+        regNos = await Student.distinct('regNo', studentQuery);
+      }
+
+      const ratingScale = scoringService.getPercentileScale(scale);
+      const leaderboard = await percentileService.getLeaderboard({
+        limit: parseInt(limit),
+        ratingScale,
+        regNos,
+        platform: platform || null
+      });
+
+      return res.json({
+        status: 'success',
+        data: {
+          leaderboard,
+          metric,
+          scale: ratingScale.mode,
+          platform: platform || 'overall',
+          department: department || 'all',
+          year: year || 'all'
+        }
+      });
+    }
     
     let sortField = 'totalStats.totalProblems';
     if (metric === 'rating') sortField = 'totalStats.averageRating';
     if (metric === 'contests') sortField = 'totalStats.totalContests';
     
-    const students = await Student.find()
+    const students = await Student.find({ isActive: true })
       .sort({ [sortField]: -1 })
       .limit(parseInt(limit));
     
@@ -501,7 +714,7 @@ app.get('/api/analytics/leaderboard', async (req, res) => {
           rank: idx + 1,
           regNo: s.regNo,
           name: s.name,
-          dept: s.dept,
+          dept: s.department,
           totalProblems: s.totalStats.totalProblems,
           averageRating: Math.round(s.totalStats.averageRating),
           totalContests: s.totalStats.totalContests,
@@ -547,9 +760,11 @@ app.get('/api/analytics/weekly-comparison', async (req, res) => {
     const currentUploadJobId = recentUploads[0]._id;
     const previousUploadJobId = recentUploads.length > 1 ? recentUploads[1]._id : null;
 
-    // Get current week data
+    // Get current week data for the students still active
+    const activeRegNos = await Student.distinct('regNo', { isActive: true });
     const currentWeekData = await PerformanceHistory.find({
-      uploadJobId: currentUploadJobId
+      uploadJobId: currentUploadJobId,
+      regNo: { $in: activeRegNos }
     }).limit(parseInt(limit));
 
     // Get previous week data if available
@@ -576,7 +791,7 @@ app.get('/api/analytics/weekly-comparison', async (req, res) => {
           _id: student?._id || history.regNo,
           regNo: history.regNo,
           name: student?.name || 'Unknown',
-          department: student?.dept || 'Unknown',
+          department: student?.department || 'Unknown',
           year: student?.year || 'N/A',
           platformIds: student?.platformIds || {},
           performance: {
@@ -666,7 +881,7 @@ app.get('/api/analytics/weekly-comparison', async (req, res) => {
 });
 
 // Trigger manual scrape
-app.post('/api/scraper/trigger', async (req, res) => {
+app.post('/api/scraper/trigger', restrictTo(ROLES.ADMIN, ROLES.COORDINATOR), async (req, res) => {
   try {
     logger.info('Manual scrape triggered via API');
     const scheduledScraper = require('./services/scheduledScraper');
@@ -756,12 +971,12 @@ app.get('/api/analytics/available-weeks', async (req, res) => {
 });
 
 // Refresh data - Re-fetch platform data for all students
-app.post('/api/refresh-data', async (req, res) => {
+app.post('/api/refresh-data', restrictTo(ROLES.ADMIN, ROLES.COORDINATOR), async (req, res) => {
   try {
     logger.info('🔄 Data refresh requested');
     
-    // Get all students
-    const students = await Student.find().sort({ createdAt: 1 });
+    // Get all active students
+    const students = await Student.find({ isActive: true }).sort({ createdAt: 1 });
     
     if (students.length === 0) {
       return res.status(400).json({ 
@@ -787,13 +1002,14 @@ app.post('/api/refresh-data', async (req, res) => {
     // Process students in background
     (async () => {
       logger.info(`🔄 Refreshing data for ${students.length} students`);
+      await scoringService.loadCohort();
       
       for (const student of students) {
         try {
           const studentData = {
             regNo: student.regNo,
             name: student.name,
-            dept: student.dept,
+            department: student.department,
             year: student.year,
             platformIds: student.platformIds
           };
@@ -813,6 +1029,15 @@ app.post('/api/refresh-data', async (req, res) => {
       }
       
       logger.info(`✅ Data refresh completed for ${students.length} students`);
+
+      await alertService.evaluate({ source: 'scrape', jobId });
+      await webhookService.emitLevelChanges({ jobId, source: 'scrape' });
+      await webhookService.emit(WEBHOOK_EVENTS.SCRAPE_COMPLETED, {
+        jobId,
+        trigger: 'refresh',
+        students: students.length,
+        completedAt: new Date().toISOString()
+      });
     })();
 
   } catch (error) {
@@ -833,6 +1058,17 @@ app.get('/api/upload/sample', async (req, res) => {
   }
 });
 
+// Remaining student and analytics endpoints, settings, alerts, webhooks and corrections come from the modular routers
+// (the routes above take precedence where both define a path)
+app.use('/api/students', require('./routes/students'));
+app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/settings', require('./routes/settings'));
+app.use('/api/alerts', require('./routes/alerts'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/corrections', require('./routes/corrections'));
+app.use('/api/reports', require('./routes/reports'));
+app.use(globalErrorHandler);
+
 // Start server
 async function startServer() {
   try {
@@ -841,6 +1077,10 @@ async function startServer() {
     // Connect to MongoDB
     await database.connect();
     console.log('✅ MongoDB connected');
+
+    // Score with the saved scoring profile rather than the built-in one
+    await scoringService.loadActiveProfile();
+    await scoringService.loadCohort();
     
     // Initialize Scheduled Scraper
     console.log('🔄 Initializing Scheduled Scraper...');
@@ -862,10 +1102,15 @@ async function startServer() {
       console.log('   GET    /api/jobs/:jobId         - Get job progress');
       console.log('   GET    /api/students            - Get all students (sorted)');
       console.log('   GET    /api/students/:regNo     - Get student details');
-      console.log('   GET    /api/analytics/leaderboard - Get top performers');
+      console.log('   GET    /api/students/:regNo/contests - Get contest history');
+      console.log('   GET    /api/analytics/leaderboard - Get top performers (metric=percentile for rating percentiles)');
       console.log('   GET    /api/analytics/weekly-comparison - Get weekly comparison');
+      console.log('   GET    /api/analytics/contests  - Get recent contests');
+      console.log('   GET    /api/analytics/contests/:platform/:contestId - Get contest standings');
       console.log('   POST   /api/scraper/trigger     - Trigger manual scrape');
       console.log('   GET    /api/scraper/status      - Get scraper status');
+      console.log('   GET    /api/settings/scoring    - Get scoring profile');
+      console.log('   PUT    /api/settings/scoring    - Save scoring profile and re-score');
       console.log('');
       console.log('⚡ Processing Mode: Synchronous (no queue)');
       console.log('📈 Fetches real data from Codeforces, LeetCode, CodeChef');
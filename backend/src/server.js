@@ -27,6 +27,11 @@ async function initializeServices() {
     logger.info('🔄 Connecting to MongoDB...');
     await database.connect();
 
+    // Load the saved scoring profile
+    const scoringService = require('./services/scoringService');
+    await scoringService.loadActiveProfile();
+    await scoringService.loadCohort();
+
     // Connect to Redis
     logger.info('🔄 Connecting to Redis...');
     await redisClient.connect();
@@ -35,6 +40,10 @@ async function initializeServices() {
     logger.info('🔄 Initializing Queue System...');
     await queueManager.initialize();
 
+    // Send queued webhook deliveries
+    const webhookWorker = require('./workers/webhookWorker');
+    webhookWorker.start();
+
     // Initialize Scheduled Scraper
     logger.info('🔄 Initializing Scheduled Scraper...');
     const scheduledScraper = require('./services/scheduledScraper');
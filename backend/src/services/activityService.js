@@ -0,0 +1,255 @@
+const moment = require('moment');
+const DailyActivity = require('../models/DailyActivity');
+const Student = require('../models/Student');
+const platformService = require('./platformService');
+const platformRegistry = require('../platforms');
+const { formatDay } = require('../utils/helpers');
+const { ACTIVITY_CONFIG } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Activity Service
+ * Syncs daily submission counts from platforms that report them, builds
+ * contribution calendars for a student and the cohort, and tracks solving
+ * streaks to flag students who have gone quiet
+ */
+class ActivityService {
+  /**
+   * Fetch and store daily activity for every activity platform a student has
+   * Only days from the newest stored one onwards are fetched again, that day
+   * included since it may have grown. Best-effort: a failing platform is
+   * logged and reported, never thrown
+   */
+  async syncStudentActivity(regNo, platformIds = {}, platforms = platformRegistry.getActivityPlatformIds()) {
+    const summary = { regNo, synced: 0, platforms: [], errors: [] };
+
+    for (const platform of platforms) {
+      const platformUserId = platformIds[platform];
+      if (!platformUserId || platformUserId.trim() === '') continue;
+
+      try {
+        const latest = await DailyActivity.getLatestDate(regNo, platform);
+        const since = latest
+          ? moment.utc(latest).toDate()
+          : moment.utc().startOf('day').subtract(ACTIVITY_CONFIG.HISTORY_DAYS - 1, 'days').toDate();
+
+        const days = await platformService.fetchActivity(platform, platformUserId, since);
+        summary.synced += await this.saveActivity(regNo, platform, platformUserId, days);
+        summary.platforms.push(platform);
+      } catch (error) {
+        logger.warn(`Activity sync failed for ${regNo} on ${platform}: ${error.message}`);
+        summary.errors.push({ platform, platformUserId, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Upsert a platform's daily counts for a student
+   */
+  async saveActivity(regNo, platform, platformUserId, days) {
+    if (!days || days.length === 0) return 0;
+
+    const operations = days.map(day => ({
+      updateOne: {
+        filter: {
+          regNo: regNo.toUpperCase(),
+          platform,
+          date: day.date
+        },
+        update: {
+          $set: {
+            platformUserId,
+            count: day.count,
+            // Keep a known accepted count rather than overwrite it with "unknown"
+            ...(day.accepted !== null && day.accepted !== undefined && { accepted: day.accepted })
+          }
+        },
+        upsert: true
+      }
+    }));
+
+    await DailyActivity.bulkWrite(operations, { ordered: false });
+    return operations.length;
+  }
+
+  /**
+   * Resolve a { from, to } day range, defaulting to the last HISTORY_DAYS days
+   */
+  getRange({ from, to } = {}) {
+    const end = to ? formatDay(to) : formatDay(new Date());
+    const start = from
+      ? formatDay(from)
+      : formatDay(moment.utc(end).subtract(ACTIVITY_CONFIG.HISTORY_DAYS - 1, 'days'));
+
+    return { from: start, to: end };
+  }
+
+  /**
+   * A student's active days in a range with per-platform counts, oldest first
+   */
+  async getStudentActivity(regNo, range = {}) {
+    const { from, to } = this.getRange(range);
+    const records = await DailyActivity.findByRegNo(regNo, { from, to }).lean();
+
+    const byDate = new Map();
+    const platforms = {};
+    records.forEach(({ date, platform, count }) => {
+      if (!byDate.has(date)) byDate.set(date, { date, count: 0, platforms: {} });
+      const day = byDate.get(date);
+      day.count += count;
+      day.platforms[platform] = count;
+      platforms[platform] = (platforms[platform] || 0) + count;
+    });
+
+    const days = [...byDate.values()];
+    const busiestDay = days.reduce((busiest, day) => (!busiest || day.count > busiest.count ? day : busiest), null);
+
+    const [solving] = await DailyActivity.getSolvingSummaries({
+      regNos: [regNo.toUpperCase()],
+      platforms: platformRegistry.getSolvingPlatformIds()
+    });
+
+    return {
+      from,
+      to,
+      days,
+      summary: {
+        activeDays: days.length,
+        submissions: days.reduce((sum, day) => sum + day.count, 0),
+        platforms,
+        busiestDay: busiestDay ? { date: busiestDay.date, count: busiestDay.count } : null
+      },
+      streaks: this.getStreaks(solving ? solving.dates : [], solving ? solving.lastAcceptedDate : null)
+    };
+  }
+
+  /**
+   * Current and longest runs of consecutive solving days (days with a
+   * submission on a solving platform) and days since the last solve
+   * A current streak stays alive until a full day passes without solving
+   */
+  getStreaks(dates = [], lastAcceptedDate = null, today = formatDay(new Date())) {
+    const sorted = [...new Set(dates)].sort();
+    const daysBetween = (from, to) => moment.utc(to).diff(moment.utc(from), 'days');
+
+    let longestStreak = 0;
+    let run = 0;
+    sorted.forEach((date, i) => {
+      run = i > 0 && daysBetween(sorted[i - 1], date) === 1 ? run + 1 : 1;
+      longestStreak = Math.max(longestStreak, run);
+    });
+
+    const lastActiveDate = sorted.length > 0 ? sorted[sorted.length - 1] : null;
+    const currentStreak = lastActiveDate && daysBetween(lastActiveDate, today) <= 1 ? run : 0;
+
+    return {
+      currentStreak,
+      longestStreak,
+      lastActiveDate,
+      lastAcceptedDate,
+      daysSinceLastActive: lastActiveDate ? daysBetween(lastActiveDate, today) : null,
+      daysSinceLastAccepted: lastAcceptedDate ? daysBetween(lastAcceptedDate, today) : null
+    };
+  }
+
+  /**
+   * Students without an accepted submission in the last `days` days,
+   * optionally for one department or year. Never-accepted students come
+   * first, then the longest silent; students with no handle on a solving
+   * platform can't be judged and are only counted
+   */
+  async getInactiveStudents({ days = ACTIVITY_CONFIG.INACTIVE_DAYS, department, year } = {}) {
+    const platforms = platformRegistry.getSolvingPlatformIds();
+
+    const studentQuery = { isActive: true };
+    if (department) studentQuery.department = { $regex: department, $options: 'i' };
+    if (year) studentQuery.year = year;
+
+    const students = await Student.find(studentQuery)
+      .select('regNo name department year platformIds')
+      .lean();
+    const tracked = students.filter(({ platformIds = {} }) =>
+      platforms.some(platform => platformIds[platform] && platformIds[platform].trim() !== ''));
+
+    const summaries = await DailyActivity.getSolvingSummaries({
+      regNos: tracked.map(({ regNo }) => regNo),
+      platforms
+    });
+    const byRegNo = new Map(summaries.map(summary => [summary._id, summary]));
+
+    const inactive = tracked
+      .map(({ regNo, name, department: studentDepartment, year: studentYear }) => {
+        const summary = byRegNo.get(regNo);
+        const streaks = this.getStreaks(summary ? summary.dates : [], summary ? summary.lastAcceptedDate : null);
+        return {
+          regNo,
+          name,
+          department: studentDepartment,
+          year: studentYear,
+          lastAcceptedDate: streaks.lastAcceptedDate,
+          daysSinceLastAccepted: streaks.daysSinceLastAccepted,
+          lastActiveDate: streaks.lastActiveDate,
+          currentStreak: streaks.currentStreak,
+          longestStreak: streaks.longestStreak
+        };
+      })
+      .filter(student => student.daysSinceLastAccepted === null || student.daysSinceLastAccepted >= days)
+      .sort((a, b) => {
+        if (a.daysSinceLastAccepted === b.daysSinceLastAccepted) return a.regNo.localeCompare(b.regNo);
+        if (a.daysSinceLastAccepted === null) return -1;
+        if (b.daysSinceLastAccepted === null) return 1;
+        return b.daysSinceLastAccepted - a.daysSinceLastAccepted;
+      });
+
+    return {
+      days,
+      students: inactive,
+      summary: {
+        considered: tracked.length,
+        inactive: inactive.length,
+        untracked: students.length - tracked.length
+      }
+    };
+  }
+
+  /**
+   * How many active students were active each day in a range, optionally for
+   * one department or year, oldest first
+   */
+  async getCohortActivity({ department, year, ...range } = {}) {
+    const { from, to } = this.getRange(range);
+
+    const studentQuery = { isActive: true };
+    if (department) studentQuery.department = { $regex: department, $options: 'i' };
+    if (year) studentQuery.year = year;
+
+    const students = await Student.find(studentQuery).select('regNo').lean();
+    const regNos = students.map(({ regNo }) => regNo);
+
+    const days = (await DailyActivity.getCohortDays({ from, to, regNos }))
+      .map(({ _id, activeStudents, submissions }) => ({ date: _id, activeStudents, submissions }));
+
+    const rangeDays = moment.utc(to).diff(moment.utc(from), 'days') + 1;
+    const busiestDay = days.reduce((busiest, day) =>
+      (!busiest || day.activeStudents > busiest.activeStudents ? day : busiest), null);
+
+    return {
+      from,
+      to,
+      students: students.length,
+      days,
+      summary: {
+        activeDays: days.length,
+        submissions: days.reduce((sum, day) => sum + day.submissions, 0),
+        averageActiveStudents: rangeDays > 0
+          ? Math.round((days.reduce((sum, day) => sum + day.activeStudents, 0) / rangeDays) * 10) / 10
+          : 0,
+        busiestDay
+      }
+    };
+  }
+}
+
+module.exports = new ActivityService();
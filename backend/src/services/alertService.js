@@ -0,0 +1,229 @@
+const moment = require('moment');
+const Alert = require('../models/Alert');
+const NotificationSettings = require('../models/NotificationSettings');
+const Student = require('../models/Student');
+const PerformanceHistory = require('../models/PerformanceHistory');
+const ContestResult = require('../models/ContestResult');
+const activityService = require('./activityService');
+const webhookService = require('./webhookService');
+const platformRegistry = require('../platforms');
+const { ALERT_RULES, ALERT_SEVERITY, ALERT_CONFIG, FETCH_STATUS, WEBHOOK_EVENTS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+// Each rule's settings under NotificationSettings.alertRules, its severity and
+// the method that finds students it applies to
+const RULES = {
+  [ALERT_RULES.SCORE_DROP]: { settingsKey: 'scoreDrop', severity: ALERT_SEVERITY.WARNING, check: 'checkScoreDrops' },
+  [ALERT_RULES.RATING_DROP]: { settingsKey: 'ratingDrop', severity: ALERT_SEVERITY.INFO, check: 'checkRatingDrops' },
+  [ALERT_RULES.INACTIVITY]: { settingsKey: 'inactivity', severity: ALERT_SEVERITY.WARNING, check: 'checkInactivity' },
+  [ALERT_RULES.FETCH_FAILURES]: {
+    settingsKey: 'fetchFailures',
+    severity: ALERT_SEVERITY.CRITICAL,
+    check: 'checkFetchFailures'
+  }
+};
+
+const platformName = (platform) => platformRegistry.getPlatform(platform)?.name || platform;
+
+/**
+ * Alert Service
+ * Evaluates the alert rules after every scrape and upload and stores what
+ * they find as alerts. Each check returns candidate alerts keyed by what
+ * triggered them; a key already stored is not raised again. New alerts are
+ * sent to webhooks subscribed to alert.triggered.
+ */
+class AlertService {
+  /**
+   * Evaluate every enabled rule across active students
+   * Best-effort: a failing rule is logged and reported, never thrown
+   */
+  async evaluate({ source, jobId = null } = {}) {
+    const summary = { source, jobId, evaluated: false, triggered: 0, rules: {}, errors: [] };
+
+    try {
+      const settings = await NotificationSettings.getCurrent();
+      if (!settings.performanceAlerts) {
+        logger.info('🔕 Performance alerts are switched off, rules not evaluated');
+        return summary;
+      }
+
+      const students = await Student.find({ isActive: true })
+        .select('regNo name department year platformIds')
+        .lean();
+      if (students.length === 0) return summary;
+
+      const context = { students, byRegNo: new Map(students.map(student => [student.regNo, student])) };
+      summary.evaluated = true;
+
+      for (const [rule, { settingsKey, severity, check }] of Object.entries(RULES)) {
+        const options = settings.alertRules[settingsKey];
+        if (!options || !options.enabled) continue;
+
+        try {
+          const candidates = await this[check](context, options);
+          let raised = 0;
+          for (const candidate of candidates) {
+            const alert = { ...candidate, rule, severity, source, sourceJobId: jobId };
+            const isNew = await Alert.raise(alert);
+            if (isNew) {
+              raised++;
+              await webhookService.emit(WEBHOOK_EVENTS.ALERT_TRIGGERED, { alert });
+            }
+          }
+          summary.rules[rule] = raised;
+          summary.triggered += raised;
+        } catch (error) {
+          logger.warn(`Alert rule ${rule} failed: ${error.message}`);
+          summary.errors.push({ rule, error: error.message });
+        }
+      }
+
+      logger.info(`🔔 Alert rules evaluated after ${source}: ${summary.triggered} new alerts`, summary.rules);
+    } catch (error) {
+      logger.error(`Alert evaluation after ${source} failed: ${error.message}`);
+      summary.errors.push({ rule: null, error: error.message });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Each student's newest runs, read once per evaluation
+   */
+  async getRecentRuns(context) {
+    if (!context.recentRuns) {
+      const groups = await PerformanceHistory.getRecentRuns({
+        regNos: context.students.map(({ regNo }) => regNo),
+        limit: ALERT_CONFIG.HISTORY_WINDOW
+      });
+      context.recentRuns = new Map(groups.map(({ _id, runs }) => [_id, runs]));
+    }
+    return context.recentRuns;
+  }
+
+  /**
+   * Overall score down more than `points` since the student's previous run
+   */
+  async checkScoreDrops(context, { points }) {
+    const recentRuns = await this.getRecentRuns(context);
+    const candidates = [];
+
+    recentRuns.forEach(([latest, previous], regNo) => {
+      const student = context.byRegNo.get(regNo);
+      if (!student || !latest || !previous) return;
+
+      const drop = Math.round((previous.overallScore - latest.overallScore) * 10) / 10;
+      if (drop <= points) return;
+
+      candidates.push({
+        key: `${ALERT_RULES.SCORE_DROP}:${regNo}:${latest._id}`,
+        regNo,
+        title: `${student.name}'s score dropped ${drop} points`,
+        message: `${previous.overallScore} in ${previous.weekLabel}, ${latest.overallScore} in ${latest.weekLabel}`,
+        data: {
+          previousScore: previous.overallScore,
+          score: latest.overallScore,
+          drop,
+          previousWeek: previous.weekLabel,
+          week: latest.weekLabel
+        }
+      });
+    });
+
+    return candidates;
+  }
+
+  /**
+   * A recent contest that cost the student at least `points` rating
+   */
+  async checkRatingDrops(context, { points }) {
+    const results = await ContestResult.find({
+      regNo: { $in: context.students.map(({ regNo }) => regNo) },
+      ratingChange: { $lte: -points },
+      contestDate: { $gte: moment.utc().subtract(ALERT_CONFIG.RECENT_CONTEST_DAYS, 'days').toDate() }
+    }).lean();
+
+    return results.map(result => ({
+      key: `${ALERT_RULES.RATING_DROP}:${result.regNo}:${result.platform}:${result.contestId}`,
+      regNo: result.regNo,
+      platform: result.platform,
+      title: `${context.byRegNo.get(result.regNo)?.name || result.regNo} lost ${-result.ratingChange} rating on ${platformName(result.platform)}`,
+      message: `${result.contestName || result.contestId}: ${result.oldRating ?? '?'} → ${result.newRating ?? '?'}`,
+      data: {
+        contestId: result.contestId,
+        contestName: result.contestName,
+        contestDate: result.contestDate,
+        oldRating: result.oldRating,
+        newRating: result.newRating,
+        ratingChange: result.ratingChange
+      }
+    }));
+  }
+
+  /**
+   * No accepted submission in the last `days` days
+   * Keyed by the last accepted day, so a student is flagged again only after
+   * solving something and going quiet once more
+   */
+  async checkInactivity(context, { days }) {
+    const { students } = await activityService.getInactiveStudents({ days });
+
+    return students
+      .filter(({ regNo }) => context.byRegNo.has(regNo))
+      .map(student => ({
+        key: `${ALERT_RULES.INACTIVITY}:${student.regNo}:${student.lastAcceptedDate || 'never'}`,
+        regNo: student.regNo,
+        title: `${student.name} has gone quiet`,
+        message: student.daysSinceLastAccepted === null
+          ? 'No accepted submission on record'
+          : `No accepted submission in ${student.daysSinceLastAccepted} days`,
+        data: {
+          lastAcceptedDate: student.lastAcceptedDate,
+          daysSinceLastAccepted: student.daysSinceLastAccepted,
+          longestStreak: student.longestStreak
+        }
+      }));
+  }
+
+  /**
+   * A platform fetch that failed in each of the student's last `runs` runs
+   * Keyed by the run the failures started in
+   */
+  async checkFetchFailures(context, { runs }) {
+    const recentRuns = await this.getRecentRuns(context);
+    const candidates = [];
+
+    recentRuns.forEach((studentRuns, regNo) => {
+      const student = context.byRegNo.get(regNo);
+      if (!student) return;
+
+      Object.entries(student.platformIds || {}).forEach(([platform, handle]) => {
+        if (!handle) return;
+
+        const failedIn = (run) =>
+          (run.errors || []).some(error => error.platform === platform) ||
+          (run.platformStats || []).some(stats => stats.platform === platform && stats.fetchStatus === FETCH_STATUS.FAILED);
+
+        let failures = 0;
+        while (failures < studentRuns.length && failedIn(studentRuns[failures])) failures++;
+        if (failures < runs) return;
+
+        const firstFailed = studentRuns[failures - 1];
+        const lastError = (studentRuns[0].errors || []).find(error => error.platform === platform);
+
+        candidates.push({
+          key: `${ALERT_RULES.FETCH_FAILURES}:${regNo}:${platform}:${firstFailed.uploadJobId}`,
+          regNo,
+          platform,
+          title: `${platformName(platform)} fetch failing for ${student.name}`,
+          message: `Failed ${failures} runs in a row for ${handle}${lastError ? `: ${lastError.error}` : ''}`,
+          data: { handle, runs: failures, since: firstFailed.uploadDate }
+        });
+      });
+    });
+
+    return candidates;
+  }
+}
+
+module.exports = new AlertService();
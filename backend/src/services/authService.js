@@ -0,0 +1,90 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const { AUTH_CONFIG } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+// Outside production a missing JWT_SECRET falls back to this, with a warning
+const DEVELOPMENT_SECRET = 'skorly-development-secret';
+
+/**
+ * Auth Service
+ * Checks logins and issues and verifies the JWTs the dashboard sends as
+ * "Authorization: Bearer <token>".
+ */
+class AuthService {
+  constructor() {
+    this.warnedAboutSecret = false;
+  }
+
+  /**
+   * Secret tokens are signed with
+   */
+  getSecret() {
+    if (AUTH_CONFIG.JWT_SECRET) return AUTH_CONFIG.JWT_SECRET;
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set in production');
+    }
+    if (!this.warnedAboutSecret) {
+      logger.warn('⚠️ JWT_SECRET is not set, using the development secret');
+      this.warnedAboutSecret = true;
+    }
+    return DEVELOPMENT_SECRET;
+  }
+
+  /**
+   * Issue a token for a user
+   */
+  signToken(user) {
+    const token = jwt.sign({ sub: String(user._id), role: user.role }, this.getSecret(), {
+      expiresIn: AUTH_CONFIG.JWT_EXPIRES_IN
+    });
+    const { exp } = jwt.decode(token);
+
+    return { token, expiresAt: new Date(exp * 1000).toISOString() };
+  }
+
+  /**
+   * Verify a token; throws JsonWebTokenError or TokenExpiredError
+   */
+  verifyToken(token) {
+    return jwt.verify(token, this.getSecret());
+  }
+
+  /**
+   * Check an email and password
+   * Resolves to the user, or null when either is wrong or the user is disabled
+   */
+  async login(email, password) {
+    const user = await User.findByEmailWithPassword(email);
+    return this.checkLogin(user, password);
+  }
+
+  /**
+   * Check a student's register number and password
+   * Also null when the student is no longer active
+   */
+  async loginStudent(regNo, password) {
+    const user = await User.findByRegNoWithPassword(regNo);
+    if (user && !(await Student.exists({ regNo: user.regNo, isActive: true }))) {
+      return null;
+    }
+    return this.checkLogin(user, password);
+  }
+
+  /**
+   * Check a found user's password and record the login
+   */
+  async checkLogin(user, password) {
+    if (!user || !user.isActive || !(await user.checkPassword(password))) {
+      return null;
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+    return user;
+  }
+}
+
+module.exports = new AuthService();
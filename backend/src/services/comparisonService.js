@@ -1,7 +1,11 @@
+const Student = require('../models/Student');
 const PlatformStats = require('../models/PlatformStats');
 const PerformanceHistory = require('../models/PerformanceHistory');
-const { calculateTrend, calculatePercentageChange, calculateOverallScore } = require('../utils/helpers');
-const { TRENDS, PERFORMANCE_LEVELS } = require('../utils/constants');
+const scoringService = require('./scoringService');
+const percentileService = require('./percentileService');
+const platformRegistry = require('../platforms');
+const { calculateTrend, calculatePercentageChange } = require('../utils/helpers');
+const { TRENDS, PERFORMANCE_LEVELS, RATING_SCALES } = require('../utils/constants');
 const logger = require('../utils/logger');
 
 /**
@@ -225,18 +229,14 @@ class ComparisonService {
     overallChange.contestsParticipated = totalCurrentContests - totalPreviousContests;
 
     // Calculate overall scores
-    overallChange.score = this.calculateStudentScore({
-      platforms: currentStats.platforms
-    });
+    overallChange.score = scoringService.calculateOverallScore(currentStats.platforms);
     
-    overallChange.previousScore = this.calculateStudentScore({
-      platforms: previousStats.platforms
-    });
+    overallChange.previousScore = scoringService.calculateOverallScore(previousStats.platforms);
     
     overallChange.scoreChange = overallChange.score - overallChange.previousScore;
 
     // Determine performance level
-    overallChange.performanceLevel = this.getPerformanceLevel(overallChange.score);
+    overallChange.performanceLevel = scoringService.getPerformanceLevel(overallChange.score);
 
     // Determine overall trend
     if (overallChange.scoreChange > 5) {
@@ -279,6 +279,7 @@ class ComparisonService {
           problemsSolved: platformStat.problemsSolved,
           contestsParticipated: platformStat.contestsParticipated,
           rank: platformStat.rank,
+          difficulty: platformStat.difficulty,
           fetchStatus: platformStat.fetchStatus
         };
       });
@@ -305,46 +306,6 @@ class ComparisonService {
     }
   }
 
-  /**
-   * Calculate student score based on platform performance
-   */
-  calculateStudentScore(studentStats) {
-    if (!studentStats.platforms || Object.keys(studentStats.platforms).length === 0) {
-      return 0;
-    }
-
-    let totalScore = 0;
-    let validPlatforms = 0;
-
-    Object.values(studentStats.platforms).forEach(platform => {
-      if (platform.fetchStatus === 'success') {
-        // Weighted scoring
-        const ratingScore = Math.min((platform.rating || 0) / 20, 40); // Max 40 points
-        const problemsScore = Math.min((platform.problemsSolved || 0) / 5, 40); // Max 40 points
-        const contestScore = Math.min((platform.contestsParticipated || 0) * 2, 20); // Max 20 points
-        
-        const platformScore = ratingScore + problemsScore + contestScore;
-        totalScore += platformScore;
-        validPlatforms++;
-      }
-    });
-
-    return validPlatforms > 0 ? Math.round(totalScore / validPlatforms) : 0;
-  }
-
-  /**
-   * Get performance level based on score
-   */
-  getPerformanceLevel(score) {
-    if (score >= 80) {
-      return PERFORMANCE_LEVELS.HIGH;
-    } else if (score >= 50) {
-      return PERFORMANCE_LEVELS.MEDIUM;
-    } else {
-      return PERFORMANCE_LEVELS.LOW;
-    }
-  }
-
   /**
    * Generate comparison summary for multiple students
    */
@@ -575,6 +536,110 @@ class ComparisonService {
     }
   }
 
+  /**
+   * The cohort live scoring and re-scoring use, when the profile scores against it
+   */
+  async loadCohort(profile) {
+    return profile.ratingScale?.mode === RATING_SCALES.COHORT
+      ? percentileService.loadCohort()
+      : {};
+  }
+
+  /**
+   * Each active student's latest score per platform, optionally for one department or year
+   * Resolves to { platforms, students: [{ regNo, name, department, year, weekLabel, overallScore, platformScores }] };
+   * platformScores has a score for each platform fetched that run, and platforms lists those any student has
+   */
+  async getPlatformHeatmap({ department, year } = {}) {
+    const studentQuery = { isActive: true };
+    if (department) studentQuery.department = { $regex: department, $options: 'i' };
+    if (year) studentQuery.year = year;
+
+    const students = await Student.find(studentQuery)
+      .sort({ regNo: 1 })
+      .select('regNo name department year')
+      .lean();
+    const latest = new Map((await PerformanceHistory.getRecentRuns({ regNos: students.map(({ regNo }) => regNo), limit: 1 }))
+      .map(({ _id, runs }) => [_id, runs[0]]));
+
+    const profile = await scoringService.loadActiveProfile();
+    const cohort = await this.loadCohort(profile);
+
+    const platforms = new Set();
+    const rows = students
+      .filter(({ regNo }) => latest.has(regNo))
+      .map(({ regNo, name, department: studentDepartment, year: studentYear }) => {
+        const run = latest.get(regNo);
+        const { overallScore, platformScores } = scoringService.scoreStudent(run.platformStats, profile, cohort);
+        Object.keys(platformScores).forEach(platform => platforms.add(platform));
+
+        return {
+          regNo,
+          name,
+          department: studentDepartment,
+          year: studentYear || null,
+          weekLabel: run.weekLabel,
+          overallScore,
+          platformScores
+        };
+      });
+
+    return {
+      platforms: platformRegistry.getPlatformIds().filter(platform => platforms.has(platform)),
+      students: rows
+    };
+  }
+
+  /**
+   * Explain a student's latest score with the active profile, next to the
+   * previous week's score worked out the same way
+   * Resolves to null when the student has no history
+   */
+  async getScoreBreakdown(regNo) {
+    const [current, previous] = await PerformanceHistory.find({ regNo: regNo.toUpperCase() })
+      .sort({ uploadDate: -1 })
+      .limit(2)
+      .lean();
+
+    if (!current) {
+      return null;
+    }
+
+    const profile = await scoringService.loadActiveProfile();
+    const cohort = await this.loadCohort(profile);
+
+    const breakdown = scoringService.explainStudent(current.platformStats, profile, cohort);
+    const previousScore = previous
+      ? scoringService.scoreStudent(previous.platformStats, profile, cohort)
+      : null;
+
+    breakdown.platforms.forEach(entry => {
+      const score = previousScore?.platformScores[entry.platform];
+      entry.previousScore = score === undefined ? null : score;
+      entry.change = score === undefined ? null : Math.round((entry.score - score) * 100) / 100;
+    });
+
+    return {
+      regNo: current.regNo,
+      weekLabel: current.weekLabel,
+      uploadDate: current.uploadDate,
+      ...breakdown,
+      // Platforms that failed to fetch that week don't count towards the score
+      skippedPlatforms: current.platformStats
+        .filter(stats => stats.fetchStatus !== 'success')
+        .map(stats => stats.platform),
+      previous: previous
+        ? {
+          weekLabel: previous.weekLabel,
+          uploadDate: previous.uploadDate,
+          overallScore: previousScore.overallScore,
+          performanceLevel: previousScore.performanceLevel
+        }
+        : null,
+      change: previous ? breakdown.overallScore - previousScore.overallScore : null
+    };
+  }
+
   /**
    * Analyze trend from array of values
    */
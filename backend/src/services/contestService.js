@@ -0,0 +1,291 @@
+const ContestResult = require('../models/ContestResult');
+const Student = require('../models/Student');
+const platformService = require('./platformService');
+const platformRegistry = require('../platforms');
+const logger = require('../utils/logger');
+
+/**
+ * Contest Service
+ * Syncs per-contest results from platforms that report them, builds the
+ * contest timeline for a student and internal standings for a contest
+ */
+class ContestService {
+  /**
+   * Fetch and store contest results for every contest platform a student has
+   * Best-effort: a failing platform is logged and reported, never thrown
+   */
+  async syncStudentContests(regNo, platformIds = {}, platforms = platformRegistry.getContestPlatformIds()) {
+    const summary = { regNo, synced: 0, platforms: [], errors: [] };
+
+    for (const platform of platforms) {
+      const platformUserId = platformIds[platform];
+      if (!platformUserId || platformUserId.trim() === '') continue;
+
+      try {
+        const contests = await platformService.fetchContestHistory(platform, platformUserId);
+        summary.synced += await this.saveContestResults(regNo, platform, platformUserId, contests);
+        summary.platforms.push(platform);
+      } catch (error) {
+        logger.warn(`Contest history sync failed for ${regNo} on ${platform}: ${error.message}`);
+        summary.errors.push({ platform, platformUserId, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Upsert a platform's contest results for a student
+   */
+  async saveContestResults(regNo, platform, platformUserId, contests) {
+    if (!contests || contests.length === 0) return 0;
+
+    const operations = contests.map(contest => ({
+      updateOne: {
+        filter: {
+          regNo: regNo.toUpperCase(),
+          platform,
+          contestId: contest.contestId
+        },
+        update: {
+          $set: {
+            platformUserId,
+            contestName: contest.contestName || null,
+            contestDate: contest.contestDate,
+            rank: contest.rank ?? null,
+            oldRating: contest.oldRating ?? null,
+            newRating: contest.newRating ?? null,
+            ratingChange: this.getRatingChange(contest),
+            problemsSolved: contest.problemsSolved ?? null
+          }
+        },
+        upsert: true
+      }
+    }));
+
+    await ContestResult.bulkWrite(operations, { ordered: false });
+    return operations.length;
+  }
+
+  getRatingChange(contest) {
+    if (contest.oldRating === null || contest.oldRating === undefined ||
+        contest.newRating === null || contest.newRating === undefined) {
+      return null;
+    }
+    return contest.newRating - contest.oldRating;
+  }
+
+  /**
+   * Get a student's contests with a per-platform rating timeline
+   */
+  async getStudentContests(regNo, { platform, limit } = {}) {
+    const results = await ContestResult.findByRegNo(regNo, { platform, limit }).lean();
+
+    const contests = results.map(result => ({
+      platform: result.platform,
+      platformUserId: result.platformUserId,
+      contestId: result.contestId,
+      contestName: result.contestName,
+      contestDate: result.contestDate,
+      rank: result.rank,
+      oldRating: result.oldRating,
+      newRating: result.newRating,
+      ratingChange: result.ratingChange,
+      problemsSolved: result.problemsSolved
+    }));
+
+    return {
+      contests,
+      timeline: this.buildRatingTimeline(contests),
+      summary: this.buildPlatformSummary(contests)
+    };
+  }
+
+  /**
+   * Rating after each contest, oldest first, grouped by platform
+   */
+  buildRatingTimeline(contests) {
+    const timeline = {};
+
+    [...contests]
+      .sort((a, b) => new Date(a.contestDate) - new Date(b.contestDate))
+      .forEach(contest => {
+        if (contest.newRating === null) return;
+        if (!timeline[contest.platform]) {
+          timeline[contest.platform] = [];
+        }
+        timeline[contest.platform].push({
+          date: contest.contestDate,
+          rating: contest.newRating,
+          ratingChange: contest.ratingChange,
+          contestId: contest.contestId,
+          contestName: contest.contestName
+        });
+      });
+
+    return timeline;
+  }
+
+  buildPlatformSummary(contests) {
+    const summary = {};
+
+    contests.forEach(contest => {
+      const platformSummary = summary[contest.platform] || (summary[contest.platform] = {
+        contests: 0,
+        currentRating: null,
+        maxRating: null,
+        bestRank: null,
+        lastContestDate: null
+      });
+
+      platformSummary.contests++;
+      if (!platformSummary.lastContestDate || contest.contestDate > platformSummary.lastContestDate) {
+        platformSummary.lastContestDate = contest.contestDate;
+        platformSummary.currentRating = contest.newRating;
+      }
+      if (contest.newRating !== null) {
+        platformSummary.maxRating = Math.max(platformSummary.maxRating ?? contest.newRating, contest.newRating);
+      }
+      if (contest.rank) {
+        platformSummary.bestRank = Math.min(platformSummary.bestRank ?? contest.rank, contest.rank);
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Recent contests our students took part in, newest first
+   */
+  async getRecentContests({ platform, limit = 20 } = {}) {
+    const contests = await ContestResult.getRecentContests({ platform, limit });
+
+    return contests.map(contest => ({
+      platform: contest._id.platform,
+      contestId: contest._id.contestId,
+      contestName: contest.contestName,
+      contestDate: contest.contestDate,
+      participants: contest.participants,
+      averageRatingChange: contest.averageRatingChange === null
+        ? null
+        : Math.round(contest.averageRatingChange)
+    }));
+  }
+
+  /**
+   * Standings of one contest among our students
+   * Platforms with a standings API are queried live for all our handles at once;
+   * the rest are built from stored contest results, re-synced first when refresh is set.
+   * Resolves to null when nothing is known about the contest.
+   */
+  async getContestStandings(platform, contestId, { refresh = false } = {}) {
+    const adapter = platformRegistry.getPlatform(platform);
+    const students = (await Student.findByPlatform(platform))
+      .filter(student => student.isActive !== false && student.platformIds[platform]);
+
+    let contest;
+    let entries;
+
+    if (adapter.supportsContestStandings) {
+      const studentsByHandle = new Map(
+        students.map(student => [student.platformIds[platform].toLowerCase(), student])
+      );
+      const standings = await platformService.fetchContestStandings(
+        platform,
+        contestId,
+        students.map(student => student.platformIds[platform])
+      );
+
+      contest = {
+        contestId: standings.contestId,
+        contestName: standings.contestName,
+        contestDate: standings.contestDate
+      };
+      entries = standings.participants
+        .filter(participant => studentsByHandle.has(participant.handle?.toLowerCase()))
+        .map(participant => ({
+          ...participant,
+          student: studentsByHandle.get(participant.handle.toLowerCase())
+        }));
+    } else {
+      if (refresh) {
+        for (const student of students) {
+          await this.syncStudentContests(student.regNo, student.platformIds, [platform]);
+        }
+      }
+
+      const studentsByRegNo = new Map(students.map(student => [student.regNo, student]));
+      const results = await ContestResult.find({ platform, contestId }).lean();
+      if (results.length === 0) return null;
+
+      contest = {
+        contestId,
+        contestName: results[0].contestName,
+        contestDate: results[0].contestDate
+      };
+      entries = results
+        .filter(result => studentsByRegNo.has(result.regNo))
+        .map(result => ({
+          handle: result.platformUserId,
+          rank: result.rank,
+          problemsSolved: result.problemsSolved,
+          points: null,
+          oldRating: result.oldRating,
+          newRating: result.newRating,
+          student: studentsByRegNo.get(result.regNo)
+        }));
+    }
+
+    const standings = this.rankParticipants(entries);
+    const noSolves = standings.filter(entry => entry.problemsSolved === 0);
+    const ratingChanges = standings
+      .map(entry => entry.ratingChange)
+      .filter(change => change !== null);
+
+    return {
+      platform,
+      contest,
+      standings,
+      noSolves,
+      summary: {
+        trackedStudents: students.length,
+        participants: standings.length,
+        solvedAny: standings.filter(entry => entry.problemsSolved > 0).length,
+        noSolves: noSolves.length,
+        notParticipated: students.length - standings.length,
+        averageRatingChange: ratingChanges.length > 0
+          ? Math.round(ratingChanges.reduce((sum, change) => sum + change, 0) / ratingChanges.length)
+          : null,
+        bestRank: standings[0]?.rank ?? null
+      }
+    };
+  }
+
+  /**
+   * Order participants by platform rank (unranked last) and number them
+   */
+  rankParticipants(entries) {
+    return [...entries]
+      .sort((a, b) => {
+        if (a.rank && b.rank) return a.rank - b.rank;
+        if (a.rank || b.rank) return a.rank ? -1 : 1;
+        return (b.problemsSolved || 0) - (a.problemsSolved || 0);
+      })
+      .map((entry, index) => ({
+        position: index + 1,
+        regNo: entry.student.regNo,
+        name: entry.student.name,
+        department: entry.student.department,
+        year: entry.student.year,
+        handle: entry.handle,
+        rank: entry.rank ?? null,
+        problemsSolved: entry.problemsSolved ?? null,
+        points: entry.points ?? null,
+        oldRating: entry.oldRating ?? null,
+        newRating: entry.newRating ?? null,
+        ratingChange: this.getRatingChange(entry)
+      }));
+  }
+}
+
+module.exports = new ContestService();
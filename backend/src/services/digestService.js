@@ -0,0 +1,279 @@
+const nodemailer = require('nodemailer');
+const NotificationSettings = require('../models/NotificationSettings');
+const Student = require('../models/Student');
+const PerformanceHistory = require('../models/PerformanceHistory');
+const activityService = require('./activityService');
+const { EMAIL_CONFIG } = require('../utils/constants');
+const { escapeHtml } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const round = (value) => Math.round(value * 10) / 10;
+const average = (values) => (values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+const signed = (value) => (value === null ? '–' : `${value > 0 ? '+' : ''}${value}`);
+const sameDepartment = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+const STYLES = {
+  body: 'font-family:Arial,Helvetica,sans-serif;color:#1f2937;max-width:640px;margin:0 auto;',
+  heading: 'font-size:16px;margin:24px 0 8px;',
+  table: 'border-collapse:collapse;width:100%;font-size:13px;',
+  th: 'text-align:left;padding:6px 8px;border-bottom:2px solid #e5e7eb;color:#6b7280;',
+  td: 'padding:6px 8px;border-bottom:1px solid #f3f4f6;',
+  muted: 'color:#6b7280;font-size:13px;',
+  up: 'color:#059669;',
+  down: 'color:#dc2626;'
+};
+
+/**
+ * Digest Service
+ * Builds the weekly email digest (top improvers, decliners, inactive
+ * students and department averages) after the weekly scrape and sends it
+ * over SMTP: the whole cohort to the faculty recipients and one department
+ * to each coordinator.
+ */
+class DigestService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * SMTP transport, created on first use
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = nodemailer.createTransport({
+        host: EMAIL_CONFIG.SMTP_HOST,
+        port: EMAIL_CONFIG.SMTP_PORT,
+        secure: EMAIL_CONFIG.SMTP_SECURE,
+        auth: EMAIL_CONFIG.SMTP_USER ? { user: EMAIL_CONFIG.SMTP_USER, pass: EMAIL_CONFIG.SMTP_PASS } : undefined
+      });
+    }
+    return this.transport;
+  }
+
+  /**
+   * Read everything the digests are built from, once for all of them
+   */
+  async collect({ days }) {
+    const [students, inactive] = await Promise.all([
+      Student.find({ isActive: true }).select('regNo name department year').lean(),
+      activityService.getInactiveStudents({ days })
+    ]);
+
+    const groups = await PerformanceHistory.getRecentRuns({
+      regNos: students.map(({ regNo }) => regNo),
+      limit: 2
+    });
+
+    return {
+      students,
+      runs: new Map(groups.map(({ _id, runs }) => [_id, runs])),
+      inactive
+    };
+  }
+
+  /**
+   * Build one digest from collected data, for the whole cohort or one department
+   */
+  buildDigest({ students, runs, inactive }, { department = null } = {}) {
+    const included = department ? students.filter(student => sameDepartment(student.department, department)) : students;
+
+    let weekLabel = null;
+    let newest = null;
+    const scored = [];
+    included.forEach(student => {
+      const [latest, previous] = runs.get(student.regNo) || [];
+      if (!latest) return;
+
+      if (!newest || latest.uploadDate > newest) {
+        newest = latest.uploadDate;
+        weekLabel = latest.weekLabel;
+      }
+      scored.push({
+        regNo: student.regNo,
+        name: student.name,
+        department: student.department,
+        score: latest.overallScore,
+        previousScore: previous ? previous.overallScore : null,
+        change: previous ? round(latest.overallScore - previous.overallScore) : null
+      });
+    });
+
+    const changed = scored.filter(({ change }) => change !== null && change !== 0);
+    const improvers = changed
+      .filter(({ change }) => change > 0)
+      .sort((a, b) => b.change - a.change)
+      .slice(0, EMAIL_CONFIG.TOP_N);
+    const decliners = changed
+      .filter(({ change }) => change < 0)
+      .sort((a, b) => a.change - b.change)
+      .slice(0, EMAIL_CONFIG.TOP_N);
+
+    const inactiveStudents = inactive.students
+      .filter(student => !department || sameDepartment(student.department, department))
+      .map(({ regNo, name, department: studentDepartment, lastAcceptedDate, daysSinceLastAccepted }) =>
+        ({ regNo, name, department: studentDepartment, lastAcceptedDate, daysSinceLastAccepted }));
+
+    const byDepartment = new Map();
+    scored.forEach(student => {
+      const key = student.department || 'Unassigned';
+      if (!byDepartment.has(key)) byDepartment.set(key, []);
+      byDepartment.get(key).push(student);
+    });
+    const departments = [...byDepartment.entries()]
+      .map(([name, members]) => ({
+        department: name,
+        students: members.length,
+        averageScore: average(members.map(({ score }) => score)),
+        averageChange: average(members.filter(({ change }) => change !== null).map(({ change }) => change))
+      }))
+      .sort((a, b) => b.averageScore - a.averageScore);
+
+    return {
+      department,
+      weekLabel,
+      generatedAt: new Date(),
+      summary: {
+        students: included.length,
+        scored: scored.length,
+        averageScore: average(scored.map(({ score }) => score)),
+        averageChange: average(scored.filter(({ change }) => change !== null).map(({ change }) => change)),
+        inactive: inactiveStudents.length
+      },
+      improvers,
+      decliners,
+      inactive: { days: inactive.days, students: inactiveStudents },
+      departments
+    };
+  }
+
+  /**
+   * Render a digest as an email: subject, HTML with inline styles, and plain text
+   */
+  renderDigest(digest) {
+    const scope = digest.department || 'All departments';
+    const subject = `Skorly weekly digest – ${digest.weekLabel || 'no runs yet'} (${scope})`;
+    const { summary } = digest;
+
+    const table = (headers, rows) => {
+      const head = headers.map(header => `<th style="${STYLES.th}">${escapeHtml(header)}</th>`).join('');
+      const body = rows.map(cells => `<tr>${cells.map(cell => `<td style="${STYLES.td}">${cell}</td>`).join('')}</tr>`).join('');
+      return `<table style="${STYLES.table}"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+    };
+    const change = (value) => {
+      const style = value > 0 ? STYLES.up : value < 0 ? STYLES.down : '';
+      return `<span style="${style}">${signed(value)}</span>`;
+    };
+    const section = (title, rows, render, empty) =>
+      `<h2 style="${STYLES.heading}">${escapeHtml(title)}</h2>` +
+      (rows.length > 0 ? render(rows) : `<p style="${STYLES.muted}">${escapeHtml(empty)}</p>`);
+    const movers = (rows) => table(
+      ['Student', 'Department', 'Previous', 'Score', 'Change'],
+      rows.map(student => [
+        `${escapeHtml(student.name)} <span style="${STYLES.muted}">${escapeHtml(student.regNo)}</span>`,
+        escapeHtml(student.department),
+        student.previousScore,
+        student.score,
+        change(student.change)
+      ])
+    );
+
+    const shownInactive = digest.inactive.students.slice(0, EMAIL_CONFIG.MAX_INACTIVE_ROWS);
+    const hiddenInactive = digest.inactive.students.length - shownInactive.length;
+
+    const html = `<div style="${STYLES.body}">` +
+      `<h1 style="font-size:20px;margin:0 0 4px;">Skorly weekly digest</h1>` +
+      `<p style="${STYLES.muted}">${escapeHtml(scope)} · ${escapeHtml(digest.weekLabel || 'no runs yet')}</p>` +
+      `<p>${summary.scored} of ${summary.students} students scored this week, averaging ` +
+      `<strong>${summary.averageScore ?? '–'}</strong> (${change(summary.averageChange)} on average since last run). ` +
+      `${summary.inactive} without an accepted submission in ${digest.inactive.days} days.</p>` +
+      section('Top improvers', digest.improvers, movers, 'Nobody improved since the last run.') +
+      section('Top decliners', digest.decliners, movers, 'Nobody dropped since the last run.') +
+      section(`Inactive for ${digest.inactive.days}+ days`, shownInactive, rows => table(
+        ['Student', 'Department', 'Last accepted'],
+        rows.map(student => [
+          `${escapeHtml(student.name)} <span style="${STYLES.muted}">${escapeHtml(student.regNo)}</span>`,
+          escapeHtml(student.department),
+          student.lastAcceptedDate
+            ? `${escapeHtml(student.lastAcceptedDate)} (${student.daysSinceLastAccepted} days ago)`
+            : 'Never'
+        ])
+      ) + (hiddenInactive > 0 ? `<p style="${STYLES.muted}">and ${hiddenInactive} more</p>` : ''), 'Everyone solved something recently.') +
+      section('Department averages', digest.departments, rows => table(
+        ['Department', 'Students', 'Average score', 'Change'],
+        rows.map(row => [escapeHtml(row.department), row.students, row.averageScore, change(row.averageChange)])
+      ), 'No scores yet.') +
+      '</div>';
+
+    const lines = (title, rows, format) => [
+      '',
+      title,
+      ...(rows.length > 0 ? rows.map(row => `  ${format(row)}`) : ['  None'])
+    ];
+    const moverLine = (student) =>
+      `${student.name} (${student.regNo}, ${student.department}): ${student.previousScore} → ${student.score} (${signed(student.change)})`;
+    const text = [
+      `Skorly weekly digest – ${scope}, ${digest.weekLabel || 'no runs yet'}`,
+      `${summary.scored} of ${summary.students} students scored, average ${summary.averageScore ?? '–'} (${signed(summary.averageChange)})`,
+      ...lines('Top improvers', digest.improvers, moverLine),
+      ...lines('Top decliners', digest.decliners, moverLine),
+      ...lines(`Inactive for ${digest.inactive.days}+ days`, digest.inactive.students, student =>
+        `${student.name} (${student.regNo}, ${student.department}): last accepted ${student.lastAcceptedDate || 'never'}`),
+      ...lines('Department averages', digest.departments, row =>
+        `${row.department}: ${row.averageScore} across ${row.students} students (${signed(row.averageChange)})`)
+    ].join('\n');
+
+    return { subject, html, text };
+  }
+
+  /**
+   * Email the weekly digest to the faculty recipients, and each coordinator
+   * their department's
+   * Best-effort: a failed send is logged and reported, never thrown. Skipped
+   * while the digest is switched off unless `force` is set
+   */
+  async sendWeeklyDigest({ jobId = null, force = false } = {}) {
+    const summary = { jobId, sent: 0, skipped: null, emails: [], errors: [] };
+
+    try {
+      const settings = await NotificationSettings.getCurrent();
+      const { enabled, recipients = [], coordinators = [] } = settings.emailDigest || {};
+      if (!enabled && !force) {
+        summary.skipped = 'Email digest is switched off';
+        return summary;
+      }
+
+      const sends = [];
+      if (recipients.length > 0) sends.push({ department: null, to: recipients });
+      coordinators
+        .filter(({ emails }) => emails && emails.length > 0)
+        .forEach(({ department, emails }) => sends.push({ department, to: emails }));
+      if (sends.length === 0) {
+        summary.skipped = 'No digest recipients set';
+        return summary;
+      }
+
+      const data = await this.collect({ days: settings.alertRules.inactivity.days });
+
+      for (const { department, to } of sends) {
+        try {
+          const { subject, html, text } = this.renderDigest(this.buildDigest(data, { department }));
+          const info = await this.getTransport().sendMail({ from: EMAIL_CONFIG.FROM, to, subject, html, text });
+          summary.sent++;
+          summary.emails.push({ department, to, messageId: info.messageId });
+        } catch (error) {
+          logger.warn(`Digest for ${department || 'all departments'} not sent: ${error.message}`);
+          summary.errors.push({ department, to, error: error.message });
+        }
+      }
+
+      logger.info(`📧 Weekly digest sent: ${summary.sent}/${sends.length} emails`);
+    } catch (error) {
+      logger.error(`Weekly digest failed: ${error.message}`);
+      summary.errors.push({ department: null, to: [], error: error.message });
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new DigestService();
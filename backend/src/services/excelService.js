@@ -2,8 +2,9 @@ const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs').promises;
 const { EXCEL_CONFIG, ERROR_TYPES } = require('../utils/constants');
-const { validateRegNo, validateName, validatePlatformId, sanitizeString } = require('../utils/helpers');
+const { validateRegNo, validateName, sanitizeString } = require('../utils/helpers');
 const logger = require('../utils/logger');
+const platformRegistry = require('../platforms');
 
 /**
  * Excel Service
@@ -14,7 +15,18 @@ class ExcelService {
     this.supportedFormats = EXCEL_CONFIG.ALLOWED_EXTENSIONS;
     this.maxFileSize = EXCEL_CONFIG.MAX_FILE_SIZE;
     this.requiredColumns = EXCEL_CONFIG.REQUIRED_COLUMNS;
-    this.columnMapping = EXCEL_CONFIG.COLUMN_MAPPING;
+    this.platformColumns = platformRegistry.getIdColumns();
+    this.columnMapping = {
+      ...EXCEL_CONFIG.COLUMN_MAPPING,
+      ...platformRegistry.getColumnMapping()
+    };
+  }
+
+  /**
+   * All template columns: student details followed by one ID column per platform
+   */
+  getTemplateColumns() {
+    return [...this.requiredColumns, ...this.platformColumns];
   }
 
   /**
@@ -131,6 +143,11 @@ class ExcelService {
       }
     }
 
+    // Platform ID columns are optional individually, but a sheet needs at least one
+    if (!this.platformColumns.some(column => normalizedHeaders.includes(column))) {
+      errors.push(`Missing platform ID columns, expected at least one of: ${this.platformColumns.join(', ')}`);
+    }
+
     // Check for duplicate headers
     const duplicates = normalizedHeaders.filter((header, index) => 
       normalizedHeaders.indexOf(header) !== index
@@ -162,7 +179,7 @@ class ExcelService {
       const students = [];
       const errors = [];
       const duplicateRegNos = new Set();
-      const seenRegNos = new Set();
+      const seenRegNos = new Map(); // regNo -> the row it first appeared on
 
       // Create header index mapping
       const headerIndexMap = {};
@@ -191,12 +208,13 @@ class ExcelService {
               row: rowNumber,
               type: ERROR_TYPES.VALIDATION,
               message: `Duplicate registration number: ${studentData.regNo}`,
-              regNo: studentData.regNo
+              regNo: studentData.regNo,
+              duplicateOf: seenRegNos.get(studentData.regNo)
             });
             continue;
           }
 
-          seenRegNos.add(studentData.regNo);
+          seenRegNos.set(studentData.regNo, rowNumber);
           students.push(studentData);
 
         } catch (error) {
@@ -254,24 +272,15 @@ class ExcelService {
 
     // Extract platform IDs
     const platformIds = {};
-    const platformColumns = {
-      'CodeChef ID': 'codechef',
-      'LeetCode ID': 'leetcode',
-      'Codeforces ID': 'codeforces',
-      'AtCoder ID': 'atcoder',
-      'Codolio ID': 'codolio',
-      'GitHub ID': 'github'
-    };
-
-    for (const [columnName, platformKey] of Object.entries(platformColumns)) {
-      const platformId = this.getCellValue(row, headerIndexMap[columnName]);
-      const validation = validatePlatformId(platformId, columnName);
+    for (const adapter of platformRegistry.getAllPlatforms()) {
+      const platformId = this.getCellValue(row, headerIndexMap[adapter.idColumn]);
+      const validation = adapter.validateId(platformId);
       
       if (!validation.isValid) {
         throw new Error(`Row ${rowNumber}: ${validation.error}`);
       }
       
-      platformIds[platformKey] = validation.value;
+      platformIds[adapter.id] = validation.value;
     }
 
     // Check if student has at least one platform ID
@@ -307,46 +316,48 @@ class ExcelService {
    */
   async generateSampleExcel() {
     try {
+      const sampleStudents = [
+        {
+          details: ['John Doe', '21CS001', 'Computer Science', '3rd Year'],
+          platformIds: {
+            codechef: 'john_codechef',
+            leetcode: 'john_leetcode',
+            codeforces: 'john_cf',
+            atcoder: 'john_atcoder',
+            codolio: 'john_codolio',
+            github: 'john-github'
+          }
+        },
+        {
+          details: ['Jane Smith', '21IT002', 'Information Technology', '2nd Year'],
+          platformIds: {
+            codechef: 'jane_codechef',
+            leetcode: 'jane_leetcode',
+            codeforces: 'jane_cf',
+            codolio: 'jane_codolio',
+            github: 'jane-github'
+          }
+        },
+        {
+          details: ['Bob Johnson', '21ECE003', 'Electronics', '4th Year'],
+          platformIds: {
+            leetcode: 'bob_leetcode',
+            codeforces: 'bob_cf',
+            atcoder: 'bob_atcoder',
+            github: 'bob-github'
+          }
+        }
+      ];
+
+      const platformIds = platformRegistry.getPlatformIds();
       const sampleData = [
         // Headers
-        this.requiredColumns,
+        this.getTemplateColumns(),
         // Sample data
-        [
-          'John Doe',
-          '21CS001',
-          'Computer Science',
-          '3rd Year',
-          'john_codechef',
-          'john_leetcode',
-          'john_cf',
-          'john_atcoder',
-          'john_codolio',
-          'john-github'
-        ],
-        [
-          'Jane Smith',
-          '21IT002',
-          'Information Technology',
-          '2nd Year',
-          'jane_codechef',
-          'jane_leetcode',
-          'jane_cf',
-          '',
-          'jane_codolio',
-          'jane-github'
-        ],
-        [
-          'Bob Johnson',
-          '21ECE003',
-          'Electronics',
-          '4th Year',
-          '',
-          'bob_leetcode',
-          'bob_cf',
-          'bob_atcoder',
-          '',
-          'bob-github'
-        ]
+        ...sampleStudents.map(student => [
+          ...student.details,
+          ...platformIds.map(platform => student.platformIds[platform] || '')
+        ])
       ];
 
       // Create workbook and worksheet
@@ -359,12 +370,7 @@ class ExcelService {
         { wch: 12 }, // Reg No
         { wch: 20 }, // Dept
         { wch: 10 }, // Year
-        { wch: 15 }, // CodeChef ID
-        { wch: 15 }, // LeetCode ID
-        { wch: 15 }, // Codeforces ID
-        { wch: 15 }, // AtCoder ID
-        { wch: 15 }, // Codolio ID
-        { wch: 15 }, // GitHub ID
+        ...platformIds.map(() => ({ wch: 15 })) // Platform ID columns
       ];
       
       worksheet['!cols'] = columnWidths;
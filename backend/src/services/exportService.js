@@ -0,0 +1,358 @@
+const XLSX = require('xlsx');
+const Student = require('../models/Student');
+const PerformanceHistory = require('../models/PerformanceHistory');
+const platformRegistry = require('../platforms');
+const { EXPORT_CONFIG, EXCEL_CONFIG } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+// Column headings; student details use the upload template's, so an export reads like the sheet it came from
+const FIELD_LABELS = {
+  ...Object.fromEntries(Object.entries(EXCEL_CONFIG.COLUMN_MAPPING).map(([label, field]) => [field, label])),
+  weekLabel: 'Week',
+  overallScore: 'Score',
+  previousScore: 'Previous Score',
+  change: 'Change',
+  performanceLevel: 'Level',
+  trend: 'Trend',
+  createdAt: 'Created',
+  lastUpdated: 'Last Updated'
+};
+
+// Per-platform values and their heading after the platform name; the comparison adds last week's
+const PLATFORM_COLUMNS = [
+  ['rating', 'Rating'],
+  ['problemsSolved', 'Solved'],
+  ['contestsParticipated', 'Contests'],
+  ['rank', 'Rank']
+];
+const PREVIOUS_PLATFORM_COLUMNS = [
+  ['previousRating', 'Previous Rating'],
+  ['previousProblemsSolved', 'Previous Solved']
+];
+
+/**
+ * Export Service
+ * Writes the student list and the weekly comparison as CSV, JSON or XLSX.
+ * Students are read from a cursor in batches, so CSV and JSON go out as
+ * they are read and a large cohort never sits in memory. XLSX can't be
+ * written in pieces and is built whole, with one sheet per platform.
+ */
+class ExportService {
+  /**
+   * The upload or scrape run to export and the one before it
+   * Resolves to { current, previous }, the latest run without weekId, or null for an unknown week
+   */
+  async findWeeks(weekId = null) {
+    const weeks = await PerformanceHistory.aggregate([
+      {
+        $group: {
+          _id: '$uploadJobId',
+          uploadDate: { $first: '$uploadDate' },
+          weekLabel: { $first: '$weekLabel' }
+        }
+      },
+      { $sort: { uploadDate: -1 } }
+    ]);
+
+    const index = weekId ? weeks.findIndex(({ _id }) => String(_id) === weekId) : 0;
+    if (index === -1 || !weeks[index]) return null;
+
+    return { current: weeks[index], previous: weeks[index + 1] || null };
+  }
+
+  /**
+   * Active students matching the dashboard filters
+   */
+  buildStudentQuery({ department, year, platform }) {
+    const query = { isActive: true };
+    if (department) query.department = department;
+    if (year) query.year = year;
+    if (platform) query[`platformIds.${platform}`] = { $nin: [null, ''] };
+    return query;
+  }
+
+  /**
+   * Export rows, read in batches
+   * With weeks, each row is the student's run from weeks.current compared to weeks.previous and
+   * students without a run that week are left out; without, it's their latest run against the one before.
+   */
+  async *rows({ weeks = null, department, year, platform, performanceLevel, batchSize = EXPORT_CONFIG.BATCH_SIZE }) {
+    const cursor = Student.find(this.buildStudentQuery({ department, year, platform }))
+      .sort({ regNo: 1 })
+      .select('regNo name department year platformIds createdAt lastUpdated')
+      .lean()
+      .cursor({ batchSize });
+    const platforms = platform ? [platform] : platformRegistry.getPlatformIds();
+
+    let batch = [];
+    for await (const student of cursor) {
+      batch.push(student);
+      if (batch.length < batchSize) continue;
+
+      yield* await this.buildRows(batch, { weeks, platforms, performanceLevel });
+      batch = [];
+    }
+    if (batch.length > 0) {
+      yield* await this.buildRows(batch, { weeks, platforms, performanceLevel });
+    }
+  }
+
+  /**
+   * Rows for one batch of students
+   */
+  async buildRows(students, { weeks, platforms, performanceLevel }) {
+    const regNos = students.map(({ regNo }) => regNo);
+    const runs = new Map();
+
+    if (weeks) {
+      const histories = await PerformanceHistory.find({
+        regNo: { $in: regNos },
+        uploadJobId: { $in: [weeks.current._id, weeks.previous?._id].filter(Boolean) }
+      })
+        .select('regNo uploadJobId weekLabel overallScore performanceLevel platformStats')
+        .lean();
+
+      histories.forEach(history => {
+        if (!runs.has(history.regNo)) runs.set(history.regNo, []);
+        runs.get(history.regNo)[history.uploadJobId === weeks.current._id ? 0 : 1] = history;
+      });
+    } else {
+      const groups = await PerformanceHistory.getRecentRuns({ regNos, limit: 2 });
+      groups.forEach(({ _id, runs: recent }) => runs.set(_id, recent));
+    }
+
+    return students
+      .map(student => {
+        const [current = null, previous = null] = runs.get(student.regNo) || [];
+        if (weeks && !current) return null;
+        if (performanceLevel && current?.performanceLevel !== performanceLevel) return null;
+        return this.toRow(student, current, previous, platforms);
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * One student's export row with every field; the writers pick the requested ones
+   */
+  toRow(student, current, previous, platforms) {
+    const currentStats = new Map((current?.platformStats || []).map(stat => [stat.platform, stat]));
+    const previousStats = new Map((previous?.platformStats || []).map(stat => [stat.platform, stat]));
+
+    return {
+      regNo: student.regNo,
+      name: student.name,
+      department: student.department,
+      year: student.year ?? null,
+      weekLabel: current?.weekLabel ?? null,
+      overallScore: current?.overallScore ?? null,
+      previousScore: previous?.overallScore ?? null,
+      change: current && previous
+        ? Math.round((current.overallScore - previous.overallScore) * 100) / 100
+        : null,
+      performanceLevel: current?.performanceLevel ?? null,
+      trend: this.getTrend(current, previous),
+      platformScores: platforms
+        .filter(platform => student.platformIds?.[platform] || currentStats.has(platform))
+        .map(platform => {
+          const stat = currentStats.get(platform);
+          const previousStat = previousStats.get(platform);
+          return {
+            platform,
+            handle: student.platformIds?.[platform] || null,
+            rating: stat?.rating ?? null,
+            maxRating: stat?.maxRating ?? null,
+            problemsSolved: stat?.problemsSolved ?? null,
+            contestsParticipated: stat?.contestsParticipated ?? null,
+            rank: stat?.rank ?? null,
+            fetchStatus: stat?.fetchStatus ?? null,
+            previousRating: previousStat?.rating ?? null,
+            previousProblemsSolved: previousStat?.problemsSolved ?? null
+          };
+        }),
+      createdAt: student.createdAt ?? null,
+      lastUpdated: student.lastUpdated ?? null
+    };
+  }
+
+  /**
+   * Direction of the score since the run before; null without one
+   */
+  getTrend(current, previous) {
+    if (!current || !previous) return null;
+    if (current.overallScore > previous.overallScore) return 'up';
+    if (current.overallScore < previous.overallScore) return 'down';
+    return 'stable';
+  }
+
+  /**
+   * Flat columns for CSV: the chosen fields in order, with platformScores expanded per platform
+   */
+  getColumns(fields, platforms, { comparison = false } = {}) {
+    const platformColumns = comparison ? [...PLATFORM_COLUMNS, ...PREVIOUS_PLATFORM_COLUMNS] : PLATFORM_COLUMNS;
+
+    return fields.flatMap(field => {
+      if (field !== 'platformScores') {
+        return [{ heading: FIELD_LABELS[field] || field, value: row => row[field] }];
+      }
+
+      return platforms.flatMap(platform => {
+        const name = platformRegistry.getPlatform(platform).name;
+        const score = row => row.platformScores.find(entry => entry.platform === platform);
+        return [
+          { heading: `${name} ID`, value: row => score(row)?.handle },
+          ...platformColumns.map(([key, label]) => ({ heading: `${name} ${label}`, value: row => score(row)?.[key] }))
+        ];
+      });
+    });
+  }
+
+  /**
+   * A CSV cell; text that a spreadsheet would run as a formula is prefixed with a quote
+   */
+  toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value !== 'string') return String(value);
+
+    const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Write the export to the response; resolves to the number of rows written
+   * Options: { format, fields, filters, weeks, comparison, filename }
+   */
+  async send(res, { format, fields, filters = {}, weeks = null, comparison = false, filename }) {
+    const platform = filters.platform && filters.platform !== 'all' ? filters.platform : null;
+    const platforms = platform ? [platform] : platformRegistry.getPlatformIds();
+    const rows = this.rows({ ...filters, platform, weeks });
+    const setHeaders = () => res.status(200).set({
+      'Content-Type': EXPORT_CONFIG.CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${filename}.${format}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    if (format === 'xlsx') {
+      const { buffer, count } = await this.buildWorkbook(rows, { fields, platforms, comparison });
+      setHeaders().send(buffer);
+      return count;
+    }
+
+    setHeaders();
+
+    try {
+      return format === 'csv'
+        ? await this.writeCsv(res, rows, this.getColumns(fields, platforms, { comparison }))
+        : await this.writeJson(res, rows, { fields, filters, weeks });
+    } catch (error) {
+      // Headers and some rows are out; all that's left is to cut the download short
+      logger.error('❌ Export failed part way', { error: error.message, format });
+      res.destroy(error);
+      return null;
+    }
+  }
+
+  async writeCsv(res, rows, columns) {
+    // The byte order mark lets Excel read names outside ASCII correctly
+    await this.write(res, `\ufeff${columns.map(({ heading }) => this.toCsvCell(heading)).join(',')}\r\n`);
+
+    let count = 0;
+    let chunk = '';
+    for await (const row of rows) {
+      chunk += `${columns.map(({ value }) => this.toCsvCell(value(row))).join(',')}\r\n`;
+      count++;
+      if (count % EXPORT_CONFIG.BATCH_SIZE === 0) {
+        await this.write(res, chunk);
+        chunk = '';
+      }
+    }
+    res.end(chunk);
+    return count;
+  }
+
+  async writeJson(res, rows, { fields, filters, weeks }) {
+    const header = {
+      exportedAt: new Date().toISOString(),
+      filters,
+      week: weeks ? {
+        current: weeks.current.weekLabel,
+        previous: weeks.previous?.weekLabel ?? null
+      } : null
+    };
+    await this.write(res, `${JSON.stringify(header).slice(0, -1)},"students":[`);
+
+    let count = 0;
+    for await (const row of rows) {
+      const picked = Object.fromEntries(fields.map(field => [field, row[field]]));
+      await this.write(res, `${count > 0 ? ',' : ''}\n${JSON.stringify(picked)}`);
+      count++;
+    }
+    res.end(`\n],"total":${count}}`);
+    return count;
+  }
+
+  /**
+   * A workbook with the chosen fields on the first sheet and, when platformScores is chosen,
+   * one sheet per platform that any exported student has
+   */
+  async buildWorkbook(rows, { fields, platforms, comparison }) {
+    const summaryColumns = this.getColumns(fields.filter(field => field !== 'platformScores'), platforms);
+    const platformColumns = comparison ? [...PLATFORM_COLUMNS, ...PREVIOUS_PLATFORM_COLUMNS] : PLATFORM_COLUMNS;
+    const summary = [summaryColumns.map(({ heading }) => heading)];
+    const sheets = new Map(platforms.map(platform => [platform, []]));
+
+    let count = 0;
+    for await (const row of rows) {
+      summary.push(summaryColumns.map(({ value }) => value(row) ?? null));
+      row.platformScores.forEach(score => {
+        sheets.get(score.platform).push([
+          row.regNo,
+          row.name,
+          row.department,
+          score.handle,
+          ...platformColumns.map(([key]) => score[key])
+        ]);
+      });
+      count++;
+    }
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summary), comparison ? 'Comparison' : 'Students');
+    if (fields.includes('platformScores')) {
+      sheets.forEach((sheetRows, platform) => {
+        if (sheetRows.length === 0) return;
+        const heading = [FIELD_LABELS.regNo, FIELD_LABELS.name, FIELD_LABELS.department, 'ID', ...platformColumns.map(([, label]) => label)];
+        // Sheet names are limited to 31 characters
+        const name = platformRegistry.getPlatform(platform).name.slice(0, 31);
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([heading, ...sheetRows]), name);
+      });
+    }
+
+    return {
+      buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx', compression: true }),
+      count
+    };
+  }
+
+  /**
+   * Write a chunk, waiting for the client to catch up when the socket buffer is full
+   */
+  async write(res, chunk) {
+    if (res.write(chunk)) return;
+
+    await new Promise((resolve, reject) => {
+      const onDrain = () => {
+        res.off('close', onClose);
+        resolve();
+      };
+      const onClose = () => {
+        res.off('drain', onDrain);
+        reject(new Error('Client closed the connection'));
+      };
+      res.once('drain', onDrain);
+      res.once('close', onClose);
+    });
+  }
+}
+
+module.exports = new ExportService();
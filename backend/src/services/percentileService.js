@@ -0,0 +1,168 @@
+const PlatformStats = require('../models/PlatformStats');
+const Student = require('../models/Student');
+const { RATING_SCALES, RATING_REFERENCE_PERCENTILES, FETCH_STATUS } = require('../utils/constants');
+
+/**
+ * Percentile Service
+ * Maps platform ratings to 0-100 percentiles so ratings from different
+ * platforms can be compared: either within our cohort (every active
+ * student's current rating on that platform) or against a reference distribution of
+ * [rating, percentile] breakpoints.
+ */
+class PercentileService {
+  /**
+   * Sort each platform's ratings, dropping unrated (0) entries
+   * Takes { platform: [rating, ...] }
+   */
+  toCohort(ratingsByPlatform) {
+    const cohort = {};
+    Object.entries(ratingsByPlatform).forEach(([platform, ratings]) => {
+      const rated = ratings.filter(rating => rating > 0).sort((a, b) => a - b);
+      if (rated.length > 0) {
+        cohort[platform] = rated;
+      }
+    });
+    return cohort;
+  }
+
+  /**
+   * Current ratings of every active student, per platform
+   * The one cohort definition: uploads, the worker, the weekly scrape,
+   * re-scoring and score breakdowns all compare against it
+   */
+  async loadCohort() {
+    const activeRegNos = await Student.distinct('regNo', { isActive: true });
+    const groups = await PlatformStats.aggregate([
+      {
+        $match: {
+          regNo: { $in: activeRegNos },
+          fetchStatus: FETCH_STATUS.SUCCESS,
+          'currentStats.rating': { $gt: 0 }
+        }
+      },
+      { $group: { _id: '$platform', ratings: { $push: '$currentStats.rating' } } }
+    ]);
+
+    return this.toCohort(Object.fromEntries(groups.map(group => [group._id, group.ratings])));
+  }
+
+  /**
+   * Mid-rank percentile of a rating within sorted cohort ratings: the share
+   * rated below it plus half of those tied with it
+   */
+  fromCohort(rating, sortedRatings) {
+    let below = 0;
+    let tied = 0;
+    sortedRatings.forEach(other => {
+      if (other < rating) below++;
+      else if (other === rating) tied++;
+    });
+
+    return ((below + tied / 2) / sortedRatings.length) * 100;
+  }
+
+  /**
+   * Percentile of a rating interpolated between [rating, percentile] breakpoints
+   */
+  fromReference(rating, points) {
+    if (rating <= points[0][0]) return points[0][1];
+
+    for (let i = 1; i < points.length; i++) {
+      const [upperRating, upperPercentile] = points[i];
+      if (rating <= upperRating) {
+        const [lowerRating, lowerPercentile] = points[i - 1];
+        return lowerPercentile +
+          ((rating - lowerRating) / (upperRating - lowerRating)) * (upperPercentile - lowerPercentile);
+      }
+    }
+
+    return points[points.length - 1][1];
+  }
+
+  /**
+   * Percentile of a platform rating on a scale, or null when the scale has
+   * nothing to compare it with (unrated, no cohort or no reference)
+   */
+  getPercentile(platform, rating, ratingScale, cohort = {}) {
+    if (!rating || rating <= 0 || !ratingScale) return null;
+
+    if (ratingScale.mode === RATING_SCALES.COHORT) {
+      const ratings = cohort[platform];
+      return ratings ? this.round(this.fromCohort(rating, ratings)) : null;
+    }
+
+    if (ratingScale.mode === RATING_SCALES.REFERENCE) {
+      const points = ratingScale.reference?.[platform] || RATING_REFERENCE_PERCENTILES[platform];
+      return points ? this.round(this.fromReference(rating, points)) : null;
+    }
+
+    return null;
+  }
+
+  round(percentile) {
+    return Math.round(percentile * 10) / 10;
+  }
+
+  /**
+   * Active students ranked by their mean rating percentile across rated platforms,
+   * or by their percentile on one platform when platform is given
+   * Resolves to [{ rank, regNo, name, department, year, averagePercentile, platformPercentiles }]
+   */
+  async getLeaderboard({ limit = 10, ratingScale, regNos = null, platform = null }) {
+    const cohort = ratingScale.mode === RATING_SCALES.COHORT ? await this.loadCohort() : {};
+
+    const studentQuery = { isActive: true };
+    if (regNos) studentQuery.regNo = { $in: regNos };
+    const students = await Student.find(studentQuery)
+      .select('regNo name department year')
+      .lean();
+    const studentsByRegNo = new Map(students.map(student => [student.regNo, student]));
+
+    const statsQuery = {
+      regNo: { $in: [...studentsByRegNo.keys()] },
+      fetchStatus: FETCH_STATUS.SUCCESS,
+      'currentStats.rating': { $gt: 0 }
+    };
+    if (platform) statsQuery.platform = platform;
+
+    const platformStats = await PlatformStats.find(statsQuery)
+      .select('regNo platform currentStats.rating')
+      .lean();
+
+    const byStudent = new Map();
+    platformStats.forEach(stat => {
+      const percentile = this.getPercentile(stat.platform, stat.currentStats.rating, ratingScale, cohort);
+      if (percentile === null) return;
+
+      if (!byStudent.has(stat.regNo)) byStudent.set(stat.regNo, {});
+      byStudent.get(stat.regNo)[stat.platform] = percentile;
+    });
+
+    const ranked = [...byStudent.entries()]
+      .map(([regNo, platformPercentiles]) => {
+        const values = Object.values(platformPercentiles);
+        return {
+          regNo,
+          averagePercentile: this.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+          platformPercentiles
+        };
+      })
+      .sort((a, b) => b.averagePercentile - a.averagePercentile)
+      .slice(0, limit);
+
+    return ranked.map((entry, index) => {
+      const student = studentsByRegNo.get(entry.regNo);
+      return {
+        rank: index + 1,
+        regNo: entry.regNo,
+        name: student?.name || 'Unknown',
+        department: student?.department || 'Unknown',
+        year: student?.year || 'Unknown',
+        averagePercentile: entry.averagePercentile,
+        platformPercentiles: entry.platformPercentiles
+      };
+    });
+  }
+}
+
+module.exports = new PercentileService();
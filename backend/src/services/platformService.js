@@ -1,11 +1,12 @@
-const axios = require('axios');
-const { PLATFORMS, PLATFORM_APIS, ERROR_TYPES } = require('../utils/constants');
-const { retryWithBackoff, sleep } = require('../utils/helpers');
+const { PLATFORMS, CODOLIO_CONFIG } = require('../utils/constants');
+const { sleep } = require('../utils/helpers');
 const logger = require('../utils/logger');
+const platformRegistry = require('../platforms');
+const fetchRecorder = require('../platforms/recorder');
 
 /**
  * Platform Service
- * Handles API calls to different coding platforms
+ * Handles API calls to different coding platforms through the platform registry
  */
 class PlatformService {
   constructor() {
@@ -17,10 +18,10 @@ class PlatformService {
    * Initialize rate limiters for each platform
    */
   initializeRateLimiters() {
-    Object.entries(PLATFORM_APIS).forEach(([platform, config]) => {
-      this.rateLimiters.set(platform, {
+    platformRegistry.getAllPlatforms().forEach(adapter => {
+      this.rateLimiters.set(adapter.id, {
         requests: [],
-        limit: config.RATE_LIMIT,
+        limit: adapter.rateLimit.requestsPerSecond,
         window: 1000 // 1 second window
       });
     });
@@ -69,7 +70,8 @@ class PlatformService {
       errors: [],
       totalPlatforms: 0,
       successfulPlatforms: 0,
-      failedPlatforms: 0
+      failedPlatforms: 0,
+      discoveredPlatformIds: {}
     };
 
     const platformPromises = [];
@@ -112,6 +114,14 @@ class PlatformService {
     // Wait for all platform requests to complete
     await Promise.allSettled(platformPromises);
 
+    // Pick up handles the student linked on Codolio but left out of the sheet
+    if (results.platforms[PLATFORMS.CODOLIO]?.fetchStatus === 'success') {
+      results.discoveredPlatformIds = this.discoverPlatformIds(
+        student.platformIds,
+        results.platforms[PLATFORMS.CODOLIO]
+      );
+    }
+
     logger.studentProcessing(
       student.regNo,
       'all',
@@ -128,37 +138,29 @@ class PlatformService {
 
   /**
    * Fetch stats from a specific platform
+   * In record/replay mode (PLATFORM_FETCH_MODE) the fetch's HTTP traffic is
+   * saved to, or served from, the platform's recording fixture
    */
   async fetchPlatformStats(platform, platformId) {
     const startTime = Date.now();
     
     try {
-      await this.enforceRateLimit(platform);
-
-      let stats;
-      switch (platform) {
-        case PLATFORMS.CODEFORCES:
-          stats = await this.fetchCodeforcesStats(platformId);
-          break;
-        case PLATFORMS.LEETCODE:
-          stats = await this.fetchLeetCodeStats(platformId);
-          break;
-        case PLATFORMS.CODECHEF:
-          stats = await this.fetchCodeChefStats(platformId);
-          break;
-        case PLATFORMS.ATCODER:
-          stats = await this.fetchAtCoderStats(platformId);
-          break;
-        case PLATFORMS.CODOLIO:
-          stats = await this.fetchCodolioStats(platformId);
-          break;
-        case PLATFORMS.GITHUB:
-          stats = await this.fetchGitHubStats(platformId);
-          break;
-        default:
-          throw new Error(`Unsupported platform: ${platform}`);
+      const adapter = platformRegistry.getPlatform(platform);
+      if (!adapter) {
+        throw new Error(`Unsupported platform: ${platform}`);
+      }
+
+      // Replays never reach the platform, so they skip its rate limit
+      if (!fetchRecorder.isReplaying()) {
+        await this.enforceRateLimit(adapter.id);
       }
 
+      const stats = await fetchRecorder.run(
+        adapter.id,
+        platformId,
+        () => adapter.fetchStats(platformId)
+      );
+
       const duration = Date.now() - startTime;
       logger.apiCall(platform, platformId, 'success', duration);
 
@@ -172,530 +174,131 @@ class PlatformService {
   }
 
   /**
-   * Fetch Codeforces stats (Official API)
+   * Fetch per-contest results from a platform that reports them
    */
-  async fetchCodeforcesStats(handle) {
-    return retryWithBackoff(async () => {
-      const config = PLATFORM_APIS[PLATFORMS.CODEFORCES];
-      
-      try {
-        // Fetch user info
-        const userInfoResponse = await axios.get(
-          `${config.BASE_URL}${config.USER_INFO}`,
-          {
-            params: { handles: handle },
-            timeout: config.TIMEOUT,
-            headers: {
-              'User-Agent': 'Skorly-Platform-Tracker/1.0'
-            }
-          }
-        );
-
-        if (userInfoResponse.data.status !== 'OK') {
-          throw new Error(`Codeforces API error: ${userInfoResponse.data.comment}`);
-        }
-
-        const userInfo = userInfoResponse.data.result[0];
-        
-        // Fetch user rating changes to count contests
-        let contestsParticipated = 0;
-        try {
-          const ratingResponse = await axios.get(
-            `${config.BASE_URL}/user.rating`,
-            {
-              params: { handle: handle },
-              timeout: config.TIMEOUT,
-              headers: {
-                'User-Agent': 'Skorly-Platform-Tracker/1.0'
-              }
-            }
-          );
-          
-          if (ratingResponse.data.status === 'OK') {
-            contestsParticipated = ratingResponse.data.result.length;
-          }
-        } catch (error) {
-          // If rating API fails, use 0
-          contestsParticipated = 0;
-        }
-        
-        // Fetch user submissions to count solved problems
-        const userStatusResponse = await axios.get(
-          `${config.BASE_URL}${config.USER_STATUS}`,
-          {
-            params: { 
-              handle: handle,
-              from: 1,
-              count: 10000 // Get all submissions
-            },
-            timeout: config.TIMEOUT,
-            headers: {
-              'User-Agent': 'Skorly-Platform-Tracker/1.0'
-            }
-          }
-        );
-
-        let problemsSolved = 0;
-        if (userStatusResponse.data.status === 'OK') {
-          const acceptedSubmissions = userStatusResponse.data.result.filter(
-            submission => submission.verdict === 'OK'
-          );
-          
-          // Count unique problems solved
-          const uniqueProblems = new Set();
-          acceptedSubmissions.forEach(submission => {
-            const problemKey = `${submission.problem.contestId}-${submission.problem.index}`;
-            uniqueProblems.add(problemKey);
-          });
-          
-          problemsSolved = uniqueProblems.size;
-        }
+  async fetchContestHistory(platform, platformId) {
+    const startTime = Date.now();
 
-        return {
-          rating: userInfo.rating || 0,
-          maxRating: userInfo.maxRating || userInfo.rating || 0,
-          problemsSolved,
-          contestsParticipated, // Now using actual contest count from rating API
-          rank: null, // Codeforces rank is a string (newbie, pupil, etc.), not a number
-          additionalData: {
-            handle: userInfo.handle,
-            rankTitle: userInfo.rank || null, // Store rank title here
-            country: userInfo.country || null,
-            city: userInfo.city || null,
-            organization: userInfo.organization || null,
-            titlePhoto: userInfo.titlePhoto || null
-          }
-        };
+    try {
+      const adapter = platformRegistry.getPlatform(platform);
+      if (!adapter) {
+        throw new Error(`Unsupported platform: ${platform}`);
+      }
+      if (!adapter.supportsContestHistory) {
+        throw new Error(`${adapter.name} does not report contest history`);
+      }
 
-      } catch (error) {
-        if (error.response?.status === 400) {
-          throw new Error(`Invalid Codeforces handle: ${handle}`);
-        }
-        if (error.response?.status === 503) {
-          throw new Error('Codeforces API temporarily unavailable');
-        }
-        throw new Error(`Codeforces API error: ${error.message}`);
+      if (!fetchRecorder.isReplaying()) {
+        await this.enforceRateLimit(adapter.id);
       }
-    }, 3, 2000);
-  }
 
-  /**
-   * Fetch LeetCode stats (GraphQL API)
-   */
-  async fetchLeetCodeStats(username) {
-    return retryWithBackoff(async () => {
-      const config = PLATFORM_APIS[PLATFORMS.LEETCODE];
-      
-      try {
-        const query = `
-          query getUserProfile($username: String!) {
-            matchedUser(username: $username) {
-              username
-              profile {
-                ranking
-                userAvatar
-                realName
-                aboutMe
-                school
-                websites
-                countryName
-                company
-                jobTitle
-                skillTags
-                postViewCount
-                postViewCountDiff
-                reputation
-                reputationDiff
-              }
-              submitStatsGlobal {
-                acSubmissionNum {
-                  difficulty
-                  count
-                  submissions
-                }
-              }
-              badges {
-                id
-                displayName
-                icon
-                creationDate
-              }
-            }
-            userContestRanking(username: $username) {
-              attendedContestsCount
-              rating
-              globalRanking
-              totalParticipants
-              topPercentage
-              badge {
-                name
-              }
-            }
-          }
-        `;
-
-        const response = await axios.post(
-          config.BASE_URL,
-          {
-            query,
-            variables: { username }
-          },
-          {
-            timeout: config.TIMEOUT,
-            headers: {
-              'Content-Type': 'application/json',
-              'User-Agent': 'Skorly-Platform-Tracker/1.0',
-              'Referer': 'https://leetcode.com'
-            }
-          }
-        );
-
-        const data = response.data.data;
-        
-        if (!data.matchedUser) {
-          throw new Error(`LeetCode user not found: ${username}`);
-        }
+      const contests = await fetchRecorder.run(
+        adapter.id,
+        platformId,
+        () => adapter.fetchContestHistory(platformId),
+        'contests'
+      );
 
-        const user = data.matchedUser;
-        const contestRanking = data.userContestRanking;
-        
-        // Calculate total problems solved from submitStatsGlobal: Easy + Medium + Hard
-        let totalSolved = 0;
-        if (user.submitStatsGlobal?.acSubmissionNum) {
-          user.submitStatsGlobal.acSubmissionNum.forEach(stat => {
-            if (stat.difficulty === 'Easy' || stat.difficulty === 'Medium' || stat.difficulty === 'Hard') {
-              totalSolved += stat.count;
-            }
-          });
-        }
+      logger.apiCall(platform, `${platformId}/contests`, 'success', Date.now() - startTime);
 
-        return {
-          rating: Math.round(contestRanking?.rating || 0),
-          maxRating: Math.round(contestRanking?.rating || 0), // LeetCode doesn't provide max rating
-          problemsSolved: totalSolved,
-          contestsParticipated: contestRanking?.attendedContestsCount || 0,
-          rank: contestRanking?.globalRanking || null,
-          additionalData: {
-            username: user.username,
-            ranking: user.profile?.ranking || null,
-            reputation: user.profile?.reputation || 0,
-            badges: user.badges?.length || 0,
-            company: user.profile?.company || null,
-            school: user.profile?.school || null
-          }
-        };
+      return contests;
 
-      } catch (error) {
-        if (error.response?.status === 403) {
-          throw new Error('LeetCode API access forbidden');
-        }
-        if (error.response?.status === 429) {
-          throw new Error('LeetCode API rate limit exceeded');
-        }
-        throw new Error(`LeetCode API error: ${error.message}`);
-      }
-    }, 3, 3000);
+    } catch (error) {
+      logger.apiCall(platform, `${platformId}/contests`, 'failed', Date.now() - startTime, error.message);
+      throw error;
+    }
   }
 
   /**
-   * Fetch CodeChef stats (Web scraping with controlled approach)
+   * Fetch daily activity since a day from a platform that reports it
    */
-  async fetchCodeChefStats(username) {
-    return retryWithBackoff(async () => {
-      try {
-        const cheerio = require('cheerio');
-        
-        const response = await axios.get(
-          `https://www.codechef.com/users/${username}`,
-          {
-            timeout: PLATFORM_APIS[PLATFORMS.CODECHEF].TIMEOUT,
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-              'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-              'Accept-Language': 'en-US,en;q=0.5',
-              'Accept-Encoding': 'gzip, deflate, br',
-              'Connection': 'keep-alive',
-              'Upgrade-Insecure-Requests': '1'
-            }
-          }
-        );
-
-        const $ = cheerio.load(response.data);
-        
-        // Extract rating
-        let rating = 0;
-        let maxRating = 0;
-        const ratingText = $('.rating-number').first().text().trim();
-        if (ratingText) {
-          rating = parseInt(ratingText) || 0;
-        }
-        
-        // Try to get max rating from the rating header
-        const ratingHeader = $('.rating-header').text();
-        const maxRatingMatch = ratingHeader.match(/Highest Rating (\d+)/);
-        if (maxRatingMatch) {
-          maxRating = parseInt(maxRatingMatch[1]) || rating;
-        } else {
-          maxRating = rating;
-        }
-        
-        // Extract problems solved
-        let problemsSolved = 0;
-        $('.problems-solved h3').each((i, elem) => {
-          const text = $(elem).text().trim();
-          const match = text.match(/(\d+)/);
-          if (match) {
-            problemsSolved = parseInt(match[1]) || 0;
-          }
-        });
-        
-        // If not found, try alternative selector
-        if (problemsSolved === 0) {
-          const problemsText = $('section.rating-data-section h3').first().text();
-          const problemsMatch = problemsText.match(/(\d+)/);
-          if (problemsMatch) {
-            problemsSolved = parseInt(problemsMatch[1]) || 0;
-          }
-        }
-        
-        // Extract contests participated
-        let contestsParticipated = 0;
-        $('.contest-participated-count b').each((i, elem) => {
-          const text = $(elem).text().trim();
-          const match = text.match(/(\d+)/);
-          if (match) {
-            contestsParticipated = parseInt(match[1]) || 0;
-          }
-        });
-        
-        // Extract global rank
-        let rank = null;
-        const rankText = $('.rating-ranks li').first().find('a').text().trim();
-        const rankMatch = rankText.match(/(\d+)/);
-        if (rankMatch) {
-          rank = parseInt(rankMatch[1]) || null;
-        }
-        
-        // Extract country
-        let country = null;
-        $('.user-country-name').each((i, elem) => {
-          country = $(elem).text().trim();
-        });
-        
-        // Extract institution
-        let institution = null;
-        $('.user-institution').each((i, elem) => {
-          institution = $(elem).text().trim();
-        });
+  async fetchActivity(platform, platformId, since) {
+    const startTime = Date.now();
 
-        return {
-          rating,
-          maxRating,
-          problemsSolved,
-          contestsParticipated,
-          rank,
-          additionalData: {
-            username,
-            country,
-            institution
-          }
-        };
+    try {
+      const adapter = platformRegistry.getPlatform(platform);
+      if (!adapter) {
+        throw new Error(`Unsupported platform: ${platform}`);
+      }
+      if (!adapter.supportsActivity) {
+        throw new Error(`${adapter.name} does not report daily activity`);
+      }
 
-      } catch (error) {
-        if (error.response?.status === 404) {
-          throw new Error(`CodeChef user not found: ${username}`);
-        }
-        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
-          throw new Error('CodeChef request timeout - site may be slow');
-        }
-        throw new Error(`CodeChef scraping error: ${error.message}`);
+      if (!fetchRecorder.isReplaying()) {
+        await this.enforceRateLimit(adapter.id);
       }
-    }, 2, 5000);
-  }
 
-  /**
-   * Fetch AtCoder stats
-   */
-  async fetchAtCoderStats(username) {
-    return retryWithBackoff(async () => {
-      try {
-        // AtCoder doesn't have an official API
-        // This would require web scraping or using unofficial APIs
-        // Placeholder implementation
-        
-        return {
-          rating: 0,
-          maxRating: 0,
-          problemsSolved: 0,
-          contestsParticipated: 0,
-          rank: null,
-          additionalData: {
-            username
-          }
-        };
+      const days = await fetchRecorder.run(
+        adapter.id,
+        platformId,
+        () => adapter.fetchActivity(platformId, since),
+        'activity'
+      );
 
-      } catch (error) {
-        throw new Error(`AtCoder API error: ${error.message}`);
-      }
-    }, 2, 3000);
+      logger.apiCall(platform, `${platformId}/activity`, 'success', Date.now() - startTime);
+
+      return days;
+
+    } catch (error) {
+      logger.apiCall(platform, `${platformId}/activity`, 'failed', Date.now() - startTime, error.message);
+      throw error;
+    }
   }
 
   /**
-   * Fetch Codolio stats
+   * Fetch a contest's standings for a set of handles from a platform that reports them
    */
-  async fetchCodolioStats(username) {
-    return retryWithBackoff(async () => {
-      try {
-        // Codolio API implementation would go here
-        // Placeholder implementation
-        
-        return {
-          rating: 0,
-          maxRating: 0,
-          problemsSolved: 0,
-          contestsParticipated: 0,
-          rank: null,
-          additionalData: {
-            username
-          }
-        };
+  async fetchContestStandings(platform, contestId, handles) {
+    const startTime = Date.now();
 
-      } catch (error) {
-        throw new Error(`Codolio API error: ${error.message}`);
+    try {
+      const adapter = platformRegistry.getPlatform(platform);
+      if (!adapter) {
+        throw new Error(`Unsupported platform: ${platform}`);
+      }
+      if (!adapter.supportsContestStandings) {
+        throw new Error(`${adapter.name} does not report contest standings`);
+      }
+
+      if (!fetchRecorder.isReplaying()) {
+        await this.enforceRateLimit(adapter.id);
       }
-    }, 2, 3000);
+
+      const standings = await fetchRecorder.run(
+        adapter.id,
+        contestId,
+        () => adapter.fetchContestStandings(contestId, handles),
+        'standings'
+      );
+
+      logger.apiCall(platform, `contests/${contestId}/standings`, 'success', Date.now() - startTime);
+
+      return standings;
+
+    } catch (error) {
+      logger.apiCall(platform, `contests/${contestId}/standings`, 'failed', Date.now() - startTime, error.message);
+      throw error;
+    }
   }
 
   /**
-   * Fetch GitHub stats
+   * Find platform handles on a Codolio profile that the student is missing
    */
-  async fetchGitHubStats(username) {
-    return retryWithBackoff(async () => {
-      const config = PLATFORM_APIS[PLATFORMS.GITHUB];
-      
-      try {
-        // Fetch user info using REST API
-        const userResponse = await axios.get(
-          `${config.BASE_URL}/users/${username}`,
-          {
-            timeout: config.TIMEOUT,
-            headers: {
-              'User-Agent': 'Skorly-Platform-Tracker/1.0',
-              'Accept': 'application/vnd.github.v3+json'
-            }
-          }
-        );
-
-        const user = userResponse.data;
-
-        // Fetch repositories
-        const reposResponse = await axios.get(
-          `${config.BASE_URL}/users/${username}/repos`,
-          {
-            params: {
-              type: 'owner',
-              sort: 'updated',
-              per_page: 100
-            },
-            timeout: config.TIMEOUT,
-            headers: {
-              'User-Agent': 'Skorly-Platform-Tracker/1.0',
-              'Accept': 'application/vnd.github.v3+json'
-            }
-          }
-        );
-
-        const repos = reposResponse.data;
-        const totalStars = repos.reduce((sum, repo) => sum + repo.stargazers_count, 0);
-        const totalForks = repos.reduce((sum, repo) => sum + repo.forks_count, 0);
-        
-        // Fetch total contributions from GitHub's contributions page
-        let totalContributions = 0;
-        
-        try {
-          // Fetch the contributions page
-          const contributionsResponse = await axios.get(
-            `https://github.com/users/${username}/contributions`,
-            {
-              timeout: config.TIMEOUT,
-              headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-              }
-            }
-          );
-
-          // Parse the HTML to extract contribution count
-          const cheerio = require('cheerio');
-          const $ = cheerio.load(contributionsResponse.data);
-          
-          // Look for the H2 tag that contains "X contributions in the last year"
-          let found = false;
-          $('h2').each((i, elem) => {
-            const text = $(elem).text().trim();
-            // Match pattern like "33 contributions in the last year"
-            const match = text.match(/^(\d+)\s+contributions?\s+in\s+the\s+last\s+year/i);
-            if (match) {
-              totalContributions = parseInt(match[1]) || 0;
-              found = true;
-              logger.info(`GitHub contributions fetched for ${username}: ${totalContributions}`);
-              return false; // break
-            }
-          });
-          
-          if (!found) {
-            // Fallback: search entire body text
-            const bodyText = $('body').text();
-            const match = bodyText.match(/(\d+)\s+contributions?\s+in\s+the\s+last\s+year/i);
-            if (match) {
-              totalContributions = parseInt(match[1]) || 0;
-              logger.info(`GitHub contributions found in body for ${username}: ${totalContributions}`);
-            } else {
-              // Last fallback: estimate from repos
-              totalContributions = (user.public_repos * 5) + user.public_gists;
-              logger.warn(`GitHub contributions estimated from repos for ${username}: ${totalContributions}`);
-            }
-          }
-        } catch (contributionsError) {
-          logger.warn(`GitHub contributions fetch failed for ${username}: ${contributionsError.message}`);
-          // Fallback: estimate from repository count
-          totalContributions = (user.public_repos * 5) + user.public_gists;
-        }
+  discoverPlatformIds(platformIds, codolioStats) {
+    const discovered = {};
+    const linkedHandles = codolioStats?.additionalData?.linkedHandles || {};
 
-        return {
-          rating: totalStars, // Use stars as rating
-          maxRating: totalStars,
-          problemsSolved: user.public_repos, // Use public repos as problems solved
-          contestsParticipated: totalContributions, // Use actual contributions from page
-          rank: null,
-          additionalData: {
-            username: user.login,
-            name: user.name,
-            company: user.company,
-            location: user.location,
-            email: user.email,
-            bio: user.bio,
-            publicRepos: user.public_repos,
-            publicGists: user.public_gists,
-            followers: user.followers,
-            following: user.following,
-            totalStars,
-            totalForks,
-            contributionScore: totalContributions, // Store actual contributions
-            createdAt: user.created_at
-          }
-        };
+    Object.entries(linkedHandles).forEach(([codolioPlatform, handle]) => {
+      const adapter = platformRegistry.getPlatform(CODOLIO_CONFIG.PLATFORM_MAP[codolioPlatform]);
+      if (!adapter || (platformIds && platformIds[adapter.id])) return;
 
-      } catch (error) {
-        if (error.response?.status === 404) {
-          throw new Error(`GitHub user not found: ${username}`);
-        }
-        if (error.response?.status === 403) {
-          throw new Error('GitHub API rate limit exceeded');
-        }
-        throw new Error(`GitHub API error: ${error.message}`);
+      const validation = adapter.validateId(handle);
+      if (validation.isValid && validation.value) {
+        discovered[adapter.id] = validation.value;
       }
-    }, 3, 2000);
+    });
+
+    return discovered;
   }
 
   /**
@@ -704,19 +307,14 @@ class PlatformService {
   async testPlatformConnectivity() {
     const results = {};
 
-    for (const platform of Object.values(PLATFORMS)) {
+    for (const adapter of platformRegistry.getAllPlatforms()) {
+      const platform = adapter.id;
+
       try {
         const startTime = Date.now();
-        
-        // Test with a known user for each platform
-        const testUsers = {
-          [PLATFORMS.CODEFORCES]: 'tourist',
-          [PLATFORMS.LEETCODE]: 'LeetCode',
-          [PLATFORMS.CODECHEF]: 'admin',
-          [PLATFORMS.GITHUB]: 'octocat'
-        };
 
-        const testUser = testUsers[platform];
+        // Test with a known user for each platform
+        const testUser = adapter.testHandle;
         if (testUser) {
           await this.fetchPlatformStats(platform, testUser);
           results[platform] = {
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const Student = require('../models/Student');
+const PlatformStats = require('../models/PlatformStats');
+const PerformanceHistory = require('../models/PerformanceHistory');
+const HandleCorrection = require('../models/HandleCorrection');
+const User = require('../models/User');
+const studentService = require('./studentService');
+const { ROLES, PORTAL_CONFIG, AUDIT_SOURCES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Portal Service
+ * The student's own dashboard (score history, platform stats and rank in
+ * their department) and the queue of platform handle corrections students
+ * request and coordinators approve or reject.
+ */
+class PortalService {
+  /**
+   * Everything the portal shows one student
+   * Resolves to null when the student doesn't exist or is no longer active
+   */
+  async getDashboard(regNo) {
+    const student = await Student.findOne({ regNo: regNo.toUpperCase(), isActive: true })
+      .select('regNo name department year platformIds totalStats lastUpdated')
+      .lean();
+    if (!student) return null;
+
+    const [platformStats, history, departmentRank, corrections] = await Promise.all([
+      PlatformStats.findByRegNo(student.regNo).lean(),
+      PerformanceHistory.findByRegNo(student.regNo, PORTAL_CONFIG.HISTORY_RUNS).lean(),
+      this.getDepartmentRank(student),
+      HandleCorrection.find({ regNo: student.regNo }).sort({ createdAt: -1 }).limit(20).select('-__v').lean()
+    ]);
+
+    return {
+      student,
+      departmentRank,
+      platformStats: platformStats.map(stat => ({
+        platform: stat.platform,
+        platformUserId: stat.platformUserId,
+        currentStats: stat.currentStats,
+        changes: stat.changes,
+        trend: stat.trend,
+        performanceLevel: stat.performanceLevel,
+        lastFetched: stat.lastFetched,
+        fetchStatus: stat.fetchStatus
+      })),
+      // Oldest first, for charting
+      history: history.reverse().map(run => ({
+        weekLabel: run.weekLabel,
+        uploadDate: run.uploadDate,
+        overallScore: run.overallScore,
+        performanceLevel: run.performanceLevel
+      })),
+      corrections
+    };
+  }
+
+  /**
+   * Rank by latest overall score among the active students of the same department
+   * Students with equal scores share a rank. Null before the student's first run.
+   */
+  async getDepartmentRank(student) {
+    const classmates = await Student.find({ department: student.department, isActive: true }).select('regNo').lean();
+    const groups = await PerformanceHistory.getRecentRuns({
+      regNos: classmates.map(({ regNo }) => regNo),
+      limit: 1
+    });
+
+    const scores = new Map(groups
+      .filter(({ runs }) => runs.length > 0)
+      .map(({ _id, runs }) => [_id, runs[0].overallScore || 0]));
+    if (!scores.has(student.regNo)) return null;
+
+    const score = scores.get(student.regNo);
+    return {
+      department: student.department,
+      rank: 1 + [...scores.values()].filter(other => other > score).length,
+      of: scores.size,
+      overallScore: score
+    };
+  }
+
+  /**
+   * Ask for a platform handle to be changed
+   * A pending request for the same platform is updated instead of duplicated.
+   */
+  async requestCorrection({ student, platform, handle, note = null, user = null }) {
+    const fields = {
+      department: student.department,
+      currentHandle: student.platformIds?.[platform] || null,
+      requestedHandle: handle,
+      note,
+      requestedBy: user?._id || null
+    };
+
+    const pending = await HandleCorrection.findPending(student.regNo, platform);
+    if (pending) {
+      pending.set(fields);
+      return pending.save();
+    }
+
+    const correction = await HandleCorrection.create({ regNo: student.regNo, platform, ...fields });
+    logger.info(`✏️ Handle correction requested: ${student.regNo} ${platform} → ${handle}`);
+    return correction;
+  }
+
+  /**
+   * Approve or reject a pending request; approval writes the handle onto the student
+   * and into the audit log. The next scrape or refresh fetches the platform with the new handle.
+   */
+  async reviewCorrection(correction, { approve, reviewer, note = null }) {
+    const student = approve ? await Student.findOne({ regNo: correction.regNo }) : null;
+    if (student) {
+      await studentService.updateStudent(
+        student,
+        { platformIds: { [correction.platform]: correction.requestedHandle } },
+        { user: reviewer, source: AUDIT_SOURCES.CORRECTION }
+      );
+    }
+
+    correction.review({ approve, reviewer, note });
+    await correction.save();
+
+    logger.info(`✏️ Handle correction ${correction.status}: ${correction.regNo} ${correction.platform}`, {
+      handle: correction.requestedHandle,
+      by: reviewer?.email
+    });
+    return correction;
+  }
+
+  /**
+   * Create logins for active students that don't have one yet, each with a random starting password
+   * Resolves to { created: [{ regNo, name, password }], existing } so the passwords can be handed out
+   */
+  async createStudentLogins({ regNos = null, department = null } = {}) {
+    const query = { isActive: true };
+    if (regNos) query.regNo = { $in: regNos.map(regNo => regNo.toUpperCase()) };
+    if (department) query.department = department;
+
+    const students = await Student.find(query).select('regNo name department').lean();
+    const existing = new Set(await User.distinct('regNo', { regNo: { $in: students.map(({ regNo }) => regNo) } }));
+
+    const created = [];
+    for (const student of students.filter(({ regNo }) => !existing.has(regNo))) {
+      const password = crypto.randomBytes(PORTAL_CONFIG.GENERATED_PASSWORD_BYTES).toString('base64url');
+      const user = new User({
+        role: ROLES.STUDENT,
+        regNo: student.regNo,
+        name: student.name,
+        department: student.department
+      });
+      await user.setPassword(password);
+      await user.save();
+      created.push({ regNo: student.regNo, name: student.name, password });
+    }
+
+    return { created, existing: existing.size };
+  }
+}
+
+module.exports = new PortalService();
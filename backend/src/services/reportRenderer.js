@@ -0,0 +1,330 @@
+const PDFDocument = require('pdfkit');
+
+const COLORS = {
+  text: '#1f2937',
+  muted: '#6b7280',
+  rule: '#e5e7eb',
+  stripe: '#f9fafb',
+  primary: '#4f46e5',
+  up: '#059669',
+  down: '#dc2626',
+  high: '#059669',
+  medium: '#d97706',
+  low: '#dc2626'
+};
+
+const FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold'
+};
+
+const ROW_HEIGHT = 18;
+
+/**
+ * The smallest of 1, 2, 2.5 or 5 times a power of ten that is at least `value`, for chart axes
+ */
+const niceMax = (value) => {
+  if (!(value > 0)) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 2.5, 5, 10].find(candidate => candidate * magnitude >= value);
+  return step * magnitude;
+};
+
+const formatNumber = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(1));
+
+/**
+ * Report Renderer
+ * Draws report PDFs with pdfkit: a title block, headings, stat boxes,
+ * tables that carry on across pages, and bar and line charts drawn as
+ * vectors, so no browser or canvas is needed on the server.
+ */
+class ReportRenderer {
+  constructor() {
+    this.colors = COLORS;
+  }
+
+  /**
+   * Draw a report and resolve to { buffer, pages }
+   * `draw` gets the document after the title block; the footer is added to every page last
+   */
+  render({ title, subtitle }, draw) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        bufferPages: true,
+        info: { Title: title, Author: 'Skorly' }
+      });
+      const chunks = [];
+      let pages = 0;
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve({ buffer: Buffer.concat(chunks), pages }));
+      doc.on('error', reject);
+
+      try {
+        this.title(doc, { title, subtitle });
+        draw(doc);
+        pages = this.footer(doc, title);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  contentWidth(doc) {
+    return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  }
+
+  bottom(doc) {
+    return doc.page.height - doc.page.margins.bottom;
+  }
+
+  /**
+   * Start a new page unless `height` more points fit on this one
+   */
+  ensureSpace(doc, height) {
+    if (doc.y + height > this.bottom(doc)) {
+      doc.addPage();
+    }
+  }
+
+  title(doc, { title, subtitle }) {
+    const left = doc.page.margins.left;
+    doc.font(FONTS.bold).fontSize(20).fillColor(COLORS.text).text(title, left, doc.y);
+    if (subtitle) {
+      doc.moveDown(0.2).font(FONTS.regular).fontSize(10).fillColor(COLORS.muted).text(subtitle);
+    }
+    doc.moveDown(0.6);
+    doc.moveTo(left, doc.y).lineTo(left + this.contentWidth(doc), doc.y).lineWidth(1).strokeColor(COLORS.rule).stroke();
+    doc.moveDown(0.8);
+  }
+
+  heading(doc, text) {
+    this.ensureSpace(doc, 80);
+    doc.moveDown(0.6)
+      .font(FONTS.bold)
+      .fontSize(13)
+      .fillColor(COLORS.text)
+      .text(text, doc.page.margins.left, doc.y)
+      .moveDown(0.4);
+  }
+
+  paragraph(doc, text, { muted = false } = {}) {
+    doc.font(FONTS.regular)
+      .fontSize(10)
+      .fillColor(muted ? COLORS.muted : COLORS.text)
+      .text(text, doc.page.margins.left, doc.y, { width: this.contentWidth(doc) })
+      .moveDown(0.5);
+  }
+
+  /**
+   * A row of boxes, each a big value over a small label
+   */
+  stats(doc, items) {
+    const gap = 10;
+    const height = 52;
+    const left = doc.page.margins.left;
+    const width = (this.contentWidth(doc) - gap * (items.length - 1)) / items.length;
+    this.ensureSpace(doc, height + 10);
+    const top = doc.y;
+
+    items.forEach(({ label, value, color = COLORS.text }, index) => {
+      const x = left + index * (width + gap);
+      doc.roundedRect(x, top, width, height, 6).lineWidth(1).strokeColor(COLORS.rule).stroke();
+      doc.font(FONTS.bold).fontSize(16).fillColor(color)
+        .text(String(value ?? '–'), x + 10, top + 10, { width: width - 20, lineBreak: false, ellipsis: true });
+      doc.font(FONTS.regular).fontSize(8).fillColor(COLORS.muted)
+        .text(label, x + 10, top + 33, { width: width - 20, lineBreak: false, ellipsis: true });
+    });
+
+    doc.x = left;
+    doc.y = top + height + 12;
+  }
+
+  /**
+   * A table that repeats its header on each new page
+   * Columns are { header, width (share of the page), align }; a cell is a value or { text, color }
+   */
+  table(doc, { columns, rows, empty = 'Nothing to show.' }) {
+    if (rows.length === 0) {
+      this.paragraph(doc, empty, { muted: true });
+      return;
+    }
+
+    const left = doc.page.margins.left;
+    const totalWidth = this.contentWidth(doc);
+    const shares = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+    const widths = columns.map(column => ((column.width || 1) / shares) * totalWidth);
+
+    const drawRow = (cells, y, { header = false, stripe = false } = {}) => {
+      if (stripe) {
+        doc.rect(left, y, totalWidth, ROW_HEIGHT).fillColor(COLORS.stripe).fill();
+      }
+      let x = left;
+      cells.forEach((cell, index) => {
+        const { text, color } = cell !== null && typeof cell === 'object' ? cell : { text: cell };
+        doc.font(header ? FONTS.bold : FONTS.regular)
+          .fontSize(header ? 8 : 9)
+          .fillColor(header ? COLORS.muted : color || COLORS.text)
+          .text(text === null || text === undefined ? '–' : String(text), x + 4, y + 5, {
+            width: widths[index] - 8,
+            align: columns[index].align || 'left',
+            lineBreak: false,
+            ellipsis: true
+          });
+        x += widths[index];
+      });
+      if (header) {
+        doc.moveTo(left, y + ROW_HEIGHT).lineTo(left + totalWidth, y + ROW_HEIGHT).lineWidth(1).strokeColor(COLORS.rule).stroke();
+      }
+    };
+
+    this.ensureSpace(doc, ROW_HEIGHT * 3);
+    let y = doc.y;
+    drawRow(columns.map(({ header }) => header), y, { header: true });
+    y += ROW_HEIGHT;
+
+    rows.forEach((row, index) => {
+      if (y + ROW_HEIGHT > this.bottom(doc)) {
+        doc.addPage();
+        y = doc.page.margins.top;
+        drawRow(columns.map(({ header }) => header), y, { header: true });
+        y += ROW_HEIGHT;
+      }
+      drawRow(row, y, { stripe: index % 2 === 1 });
+      y += ROW_HEIGHT;
+    });
+
+    doc.x = left;
+    doc.y = y + 10;
+  }
+
+  /**
+   * Vertical bars, each stacked from { value, color } segments, with the total above the bar
+   */
+  barChart(doc, { bars, height = 150, legend = [] }) {
+    const left = doc.page.margins.left;
+    const gutter = 30;
+    const labelHeight = 22;
+    const width = this.contentWidth(doc) - gutter;
+    this.ensureSpace(doc, height + labelHeight + (legend.length > 0 ? 20 : 0) + 10);
+
+    const top = doc.y + 10;
+    const totals = bars.map(({ segments }) => segments.reduce((sum, { value }) => sum + (value || 0), 0));
+    const max = niceMax(Math.max(0, ...totals));
+    this.axis(doc, { left, top, width: width + gutter, height, gutter, max });
+
+    const slot = width / Math.max(bars.length, 1);
+    const barWidth = Math.min(48, slot * 0.6);
+    bars.forEach(({ label, segments }, index) => {
+      const x = left + gutter + index * slot + (slot - barWidth) / 2;
+      let y = top + height;
+      segments.forEach(({ value, color }) => {
+        const barHeight = ((value || 0) / max) * height;
+        if (barHeight <= 0) return;
+        y -= barHeight;
+        doc.rect(x, y, barWidth, barHeight).fillColor(color || COLORS.primary).fill();
+      });
+      doc.font(FONTS.bold).fontSize(8).fillColor(COLORS.text)
+        .text(formatNumber(totals[index]), x - 10, y - 11, { width: barWidth + 20, align: 'center', lineBreak: false });
+      doc.font(FONTS.regular).fontSize(7).fillColor(COLORS.muted)
+        .text(label, left + gutter + index * slot, top + height + 5, { width: slot, align: 'center', lineBreak: false, ellipsis: true });
+    });
+
+    doc.y = top + height + labelHeight;
+    this.legend(doc, legend);
+    doc.x = left;
+    doc.y += 10;
+  }
+
+  /**
+   * One line through { label, value } points, oldest first, on a 0 to `max` axis
+   */
+  lineChart(doc, { points, height = 160, max = null, color = COLORS.primary }) {
+    const left = doc.page.margins.left;
+    const gutter = 30;
+    const labelHeight = 22;
+    const width = this.contentWidth(doc) - gutter;
+    this.ensureSpace(doc, height + labelHeight + 20);
+
+    const top = doc.y + 10;
+    const axisMax = max || niceMax(Math.max(0, ...points.map(({ value }) => value || 0)));
+    this.axis(doc, { left, top, width: width + gutter, height, gutter, max: axisMax });
+
+    const step = points.length > 1 ? width / (points.length - 1) : 0;
+    const at = (index, value) => ({
+      x: left + gutter + (points.length > 1 ? index * step : width / 2),
+      y: top + height - (Math.min(value || 0, axisMax) / axisMax) * height
+    });
+
+    points.forEach(({ value }, index) => {
+      const { x, y } = at(index, value);
+      if (index === 0) doc.moveTo(x, y);
+      else doc.lineTo(x, y);
+    });
+    if (points.length > 1) doc.lineWidth(2).strokeColor(color).stroke();
+
+    // Label every point while they fit, otherwise every few
+    const every = Math.ceil(points.length / 12);
+    points.forEach(({ label, value }, index) => {
+      const { x, y } = at(index, value);
+      doc.circle(x, y, 2.5).fillColor(color).fill();
+      if (index % every !== 0 && index !== points.length - 1) return;
+      doc.font(FONTS.bold).fontSize(7).fillColor(COLORS.text)
+        .text(formatNumber(value || 0), x - 20, y - 12, { width: 40, align: 'center', lineBreak: false });
+      doc.font(FONTS.regular).fontSize(7).fillColor(COLORS.muted)
+        .text(label, x - 30, top + height + 5, { width: 60, align: 'center', lineBreak: false, ellipsis: true });
+    });
+
+    doc.x = left;
+    doc.y = top + height + labelHeight + 10;
+  }
+
+  /**
+   * Gridlines at quarters of `max`, labelled in the gutter
+   */
+  axis(doc, { left, top, width, height, gutter, max }) {
+    [0, 0.25, 0.5, 0.75, 1].forEach(fraction => {
+      const y = top + height - fraction * height;
+      doc.moveTo(left + gutter, y).lineTo(left + width, y).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+      doc.font(FONTS.regular).fontSize(7).fillColor(COLORS.muted)
+        .text(formatNumber(max * fraction), left, y - 3, { width: gutter - 6, align: 'right', lineBreak: false });
+    });
+  }
+
+  legend(doc, items) {
+    if (items.length === 0) return;
+    let x = doc.page.margins.left + 30;
+    const y = doc.y;
+    items.forEach(({ label, color }) => {
+      doc.rect(x, y + 1, 8, 8).fillColor(color).fill();
+      doc.font(FONTS.regular).fontSize(8).fillColor(COLORS.muted).text(label, x + 12, y, { lineBreak: false });
+      x += 12 + doc.widthOfString(label) + 16;
+    });
+    doc.y = y + 14;
+  }
+
+  /**
+   * The title and page numbers at the foot of every page; resolves to the page count
+   */
+  footer(doc, title) {
+    const { start, count } = doc.bufferedPageRange();
+    for (let index = start; index < start + count; index++) {
+      doc.switchToPage(index);
+      // Writing inside the bottom margin would otherwise start a new page
+      const { bottom } = doc.page.margins;
+      doc.page.margins.bottom = 0;
+      const y = doc.page.height - 35;
+      const left = doc.page.margins.left;
+      const width = this.contentWidth(doc);
+      doc.font(FONTS.regular).fontSize(8).fillColor(COLORS.muted);
+      doc.text(`Skorly · ${title}`, left, y, { width: width - 80, lineBreak: false, ellipsis: true });
+      doc.text(`Page ${index - start + 1} of ${count}`, left + width - 80, y, { width: 80, align: 'right', lineBreak: false });
+      doc.page.margins.bottom = bottom;
+    }
+    return count;
+  }
+}
+
+module.exports = new ReportRenderer();
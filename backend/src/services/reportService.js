@@ -0,0 +1,542 @@
+const Report = require('../models/Report');
+const Student = require('../models/Student');
+const PerformanceHistory = require('../models/PerformanceHistory');
+const exportService = require('./exportService');
+const portalService = require('./portalService');
+const reportRenderer = require('./reportRenderer');
+const platformRegistry = require('../platforms');
+const { REPORT_TYPES, REPORT_TRIGGERS, REPORT_CONFIG, PERFORMANCE_LEVELS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+const round = (value) => Math.round(value * 10) / 10;
+const average = (values) => (values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+const signed = (value) => (value === null || value === undefined ? '–' : `${value > 0 ? '+' : ''}${value}`);
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+const platformName = (platform) => platformRegistry.getPlatform(platform)?.name || platform;
+
+const { colors } = reportRenderer;
+const LEVELS = [PERFORMANCE_LEVELS.HIGH, PERFORMANCE_LEVELS.MEDIUM, PERFORMANCE_LEVELS.LOW];
+const LEVEL_LABELS = { high: 'High', medium: 'Medium', low: 'Low' };
+const SCORE_BANDS = [0, 20, 40, 60, 80];
+
+const changeCell = (value) => ({ text: signed(value), color: value > 0 ? colors.up : value < 0 ? colors.down : null });
+const levelCell = (level) => ({ text: LEVEL_LABELS[level] || level, color: colors[level] });
+
+/**
+ * Report Service
+ * Generates the PDF reports on the Reports page (a week across the cohort,
+ * one department, one student, and growth over several weeks), stores
+ * them in `reports`, and writes the weekly report after each scheduled
+ * scrape. Week rows come from the export service, so a report and an
+ * export of the same week agree.
+ */
+class ReportService {
+  /**
+   * Generate a report, store it and resolve to it
+   * Resolves to null when there's nothing to report on: an unknown week or student, or no scores yet
+   */
+  async generate({ type, department = null, regNo = null, weekId = null, weeks = null }, { user = null, trigger = REPORT_TRIGGERS.MANUAL } = {}) {
+    const content = await this.build(type, { department, regNo, weekId, weeks });
+    if (!content) return null;
+
+    const { buffer, pages } = await reportRenderer.render(content, content.draw);
+
+    const report = await Report.create({
+      type,
+      title: content.title,
+      params: { department, regNo, weekId, weeks },
+      weekLabel: content.weekLabel,
+      trigger,
+      filename: this.getFilename(content.title),
+      size: buffer.length,
+      pages,
+      file: buffer,
+      generatedBy: user?._id || null,
+      generatedByName: user ? user.name || user.email : null
+    });
+
+    logger.info(`📄 Report generated: ${content.title} (${pages} pages, ${trigger})`);
+    return report;
+  }
+
+  /**
+   * The weekly report for a scrape that just finished
+   * Best-effort, like the digest: a failure is logged, never thrown
+   */
+  async generateScheduledReport({ jobId }) {
+    try {
+      const report = await this.generate(
+        { type: REPORT_TYPES.WEEKLY, weekId: jobId },
+        { trigger: REPORT_TRIGGERS.SCHEDULED }
+      );
+      if (!report) {
+        logger.warn(`No weekly report for ${jobId}: nobody was scored`);
+      }
+      return report;
+    } catch (error) {
+      logger.error(`Weekly report failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Title, subtitle, covered week and drawing for a report type; null when there's nothing to report on
+   */
+  build(type, params) {
+    switch (type) {
+      case REPORT_TYPES.WEEKLY:
+        return this.buildWeekly(params);
+      case REPORT_TYPES.DEPARTMENT:
+        return this.buildDepartment(params);
+      case REPORT_TYPES.STUDENT:
+        return this.buildStudent(params);
+      case REPORT_TYPES.GROWTH:
+        return this.buildGrowth(params);
+      default:
+        return null;
+    }
+  }
+
+  getFilename(title) {
+    const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `${slug}-${formatDate(new Date())}.pdf`;
+  }
+
+  /**
+   * Every scored student of a week (the latest without weekId) compared with the week before
+   */
+  async collectWeek({ weekId = null, department = null }) {
+    const weeks = await exportService.findWeeks(weekId);
+    if (!weeks) return null;
+
+    const rows = [];
+    for await (const row of exportService.rows({ weeks, department })) {
+      rows.push(row);
+    }
+
+    return { weeks, rows, summary: this.summarize(rows) };
+  }
+
+  /**
+   * Averages, level counts, rankings, movers, departments and platforms of a week's rows
+   */
+  summarize(rows) {
+    const changed = rows.filter(({ change }) => change !== null);
+
+    const ranked = [...rows].sort((a, b) => b.overallScore - a.overallScore);
+    ranked.forEach((row, index) => {
+      // Equal scores share a rank
+      row.rank = index > 0 && ranked[index - 1].overallScore === row.overallScore ? ranked[index - 1].rank : index + 1;
+    });
+
+    const byDepartment = new Map();
+    rows.forEach(row => {
+      const key = row.department || 'Unassigned';
+      if (!byDepartment.has(key)) byDepartment.set(key, []);
+      byDepartment.get(key).push(row);
+    });
+
+    return {
+      students: rows.length,
+      averageScore: average(rows.map(({ overallScore }) => overallScore)),
+      averageChange: average(changed.map(({ change }) => change)),
+      levels: Object.fromEntries(LEVELS.map(level =>
+        [level, rows.filter(({ performanceLevel }) => performanceLevel === level).length])),
+      ranked,
+      improvers: changed
+        .filter(({ change }) => change > 0)
+        .sort((a, b) => b.change - a.change)
+        .slice(0, REPORT_CONFIG.TOP_N),
+      decliners: changed
+        .filter(({ change }) => change < 0)
+        .sort((a, b) => a.change - b.change)
+        .slice(0, REPORT_CONFIG.TOP_N),
+      departments: [...byDepartment.entries()]
+        .map(([department, members]) => ({
+          department,
+          students: members.length,
+          averageScore: average(members.map(({ overallScore }) => overallScore)),
+          averageChange: average(members.filter(({ change }) => change !== null).map(({ change }) => change)),
+          high: members.filter(({ performanceLevel }) => performanceLevel === PERFORMANCE_LEVELS.HIGH).length
+        }))
+        .sort((a, b) => b.averageScore - a.averageScore),
+      platforms: platformRegistry.getPlatformIds()
+        .map(platform => {
+          // A platform counts for the students it was fetched for that week
+          const stats = rows
+            .map(({ platformScores }) => platformScores.find(score => score.platform === platform))
+            .filter(score => score && score.problemsSolved !== null);
+          return {
+            platform,
+            students: stats.length,
+            averageRating: average(stats.map(({ rating }) => rating).filter(rating => rating > 0)),
+            averageSolved: average(stats.map(({ problemsSolved }) => problemsSolved))
+          };
+        })
+        .filter(({ students }) => students > 0),
+      distribution: SCORE_BANDS.map((from, index) => ({
+        label: `${from}–${SCORE_BANDS[index + 1] ?? 100}`,
+        count: rows.filter(({ overallScore }) =>
+          overallScore >= from && (index === SCORE_BANDS.length - 1 || overallScore < SCORE_BANDS[index + 1])).length
+      }))
+    };
+  }
+
+  /**
+   * Average score and level counts for each of the last runs, oldest first
+   */
+  async collectGrowth({ department = null, weeks = REPORT_CONFIG.GROWTH_WEEKS }) {
+    const pipeline = [];
+    if (department) {
+      const regNos = await Student.find({ department, isActive: true }).distinct('regNo');
+      pipeline.push({ $match: { regNo: { $in: regNos } } });
+    }
+    const countLevel = level => ({ $sum: { $cond: [{ $eq: ['$performanceLevel', level] }, 1, 0] } });
+    pipeline.push(
+      {
+        $group: {
+          _id: '$uploadJobId',
+          weekLabel: { $first: '$weekLabel' },
+          uploadDate: { $first: '$uploadDate' },
+          averageScore: { $avg: '$overallScore' },
+          students: { $sum: 1 },
+          high: countLevel(PERFORMANCE_LEVELS.HIGH),
+          medium: countLevel(PERFORMANCE_LEVELS.MEDIUM),
+          low: countLevel(PERFORMANCE_LEVELS.LOW)
+        }
+      },
+      { $sort: { uploadDate: -1 } },
+      { $limit: weeks }
+    );
+
+    const runs = (await PerformanceHistory.aggregate(pipeline)).reverse();
+    return runs.map((run, index) => ({
+      ...run,
+      averageScore: round(run.averageScore),
+      change: index > 0 ? round(run.averageScore - runs[index - 1].averageScore) : null
+    }));
+  }
+
+  async buildWeekly({ weekId, department }) {
+    const week = await this.collectWeek({ weekId, department });
+    if (!week || week.rows.length === 0) return null;
+
+    const { weeks, summary } = week;
+    const { weekLabel } = weeks.current;
+
+    return {
+      title: `Weekly Performance Report – ${weekLabel}${department ? ` – ${department}` : ''}`,
+      subtitle: [
+        department ? `${department} department` : 'All departments',
+        weeks.previous ? `${weekLabel} compared with ${weeks.previous.weekLabel}` : weekLabel,
+        `generated ${formatDate(new Date())}`
+      ].join(' · '),
+      weekLabel,
+      draw: (doc) => {
+        this.drawWeekSummary(doc, summary, weeks);
+
+        reportRenderer.heading(doc, 'Performance levels');
+        this.drawLevels(doc, summary.levels);
+
+        if (summary.departments.length > 1) {
+          reportRenderer.heading(doc, 'Average score by department');
+          reportRenderer.barChart(doc, {
+            bars: summary.departments.map(({ department: name, averageScore }) =>
+              ({ label: name, segments: [{ value: averageScore, color: colors.primary }] }))
+          });
+        }
+
+        reportRenderer.heading(doc, `Top ${REPORT_CONFIG.TOP_N} students`);
+        this.drawStudents(doc, summary.ranked.slice(0, REPORT_CONFIG.TOP_N), { department: true });
+
+        reportRenderer.heading(doc, 'Top improvers');
+        this.drawMovers(doc, summary.improvers, 'Nobody improved since the week before.');
+        reportRenderer.heading(doc, 'Top decliners');
+        this.drawMovers(doc, summary.decliners, 'Nobody dropped since the week before.');
+
+        reportRenderer.heading(doc, 'Platforms');
+        this.drawPlatforms(doc, summary.platforms);
+
+        if (summary.departments.length > 1) {
+          reportRenderer.heading(doc, 'Departments');
+          reportRenderer.table(doc, {
+            columns: [
+              { header: 'Department', width: 3 },
+              { header: 'Students', align: 'right' },
+              { header: 'Average', align: 'right' },
+              { header: 'Change', align: 'right' },
+              { header: 'High', align: 'right' }
+            ],
+            rows: summary.departments.map(row =>
+              [row.department, row.students, row.averageScore, changeCell(row.averageChange), row.high])
+          });
+        }
+      }
+    };
+  }
+
+  async buildDepartment({ department, weekId }) {
+    const week = await this.collectWeek({ weekId, department });
+    if (!week || week.rows.length === 0) return null;
+
+    const { weeks, summary } = week;
+    const { weekLabel } = weeks.current;
+
+    return {
+      title: `Department Summary – ${department} – ${weekLabel}`,
+      subtitle: [
+        `${summary.students} students`,
+        weeks.previous ? `${weekLabel} compared with ${weeks.previous.weekLabel}` : weekLabel,
+        `generated ${formatDate(new Date())}`
+      ].join(' · '),
+      weekLabel,
+      draw: (doc) => {
+        this.drawWeekSummary(doc, summary, weeks);
+
+        reportRenderer.heading(doc, 'Performance levels');
+        this.drawLevels(doc, summary.levels);
+
+        reportRenderer.heading(doc, 'Score distribution');
+        reportRenderer.barChart(doc, {
+          bars: summary.distribution.map(({ label, count }) =>
+            ({ label, segments: [{ value: count, color: colors.primary }] }))
+        });
+
+        reportRenderer.heading(doc, 'Platforms');
+        this.drawPlatforms(doc, summary.platforms);
+
+        reportRenderer.heading(doc, 'All students');
+        this.drawStudents(doc, summary.ranked, { year: true });
+      }
+    };
+  }
+
+  async buildStudent({ regNo }) {
+    const dashboard = await portalService.getDashboard(regNo);
+    if (!dashboard) return null;
+
+    const { student, departmentRank, platformStats, history } = dashboard;
+    const latest = history[history.length - 1] || null;
+    const previous = history[history.length - 2] || null;
+    const weekly = history.map((run, index) => ({
+      ...run,
+      change: index > 0 ? round(run.overallScore - history[index - 1].overallScore) : null
+    }));
+
+    return {
+      title: `Student Report – ${student.name} (${student.regNo})`,
+      subtitle: [
+        student.department,
+        student.year ? `Year ${student.year}` : null,
+        latest ? `latest ${latest.weekLabel}` : 'no runs yet',
+        `generated ${formatDate(new Date())}`
+      ].filter(Boolean).join(' · '),
+      weekLabel: latest?.weekLabel || null,
+      draw: (doc) => {
+        const change = latest && previous ? round(latest.overallScore - previous.overallScore) : null;
+        reportRenderer.stats(doc, [
+          { label: 'Score', value: latest ? round(latest.overallScore) : null },
+          { label: 'Level', value: latest ? LEVEL_LABELS[latest.performanceLevel] : null, color: latest ? colors[latest.performanceLevel] : undefined },
+          { label: `Rank in ${student.department}`, value: departmentRank ? `${departmentRank.rank} of ${departmentRank.of}` : null },
+          { label: 'Change since last run', value: signed(change), color: changeCell(change).color || undefined }
+        ]);
+
+        reportRenderer.heading(doc, 'Score history');
+        if (history.length > 0) {
+          reportRenderer.lineChart(doc, {
+            points: history.map(run => ({ label: run.weekLabel, value: round(run.overallScore) }))
+          });
+        } else {
+          reportRenderer.paragraph(doc, 'No runs yet.', { muted: true });
+        }
+
+        reportRenderer.heading(doc, 'Platforms');
+        reportRenderer.table(doc, {
+          columns: [
+            { header: 'Platform', width: 1.5 },
+            { header: 'Handle', width: 2 },
+            { header: 'Rating', align: 'right' },
+            { header: 'Max rating', align: 'right' },
+            { header: 'Solved', align: 'right' },
+            { header: 'Contests', align: 'right' },
+            { header: 'Rank', align: 'right' },
+            { header: 'Fetched', width: 1.3, align: 'right' }
+          ],
+          rows: platformStats.map(({ platform, platformUserId, currentStats = {}, lastFetched }) => [
+            platformName(platform),
+            platformUserId,
+            currentStats.rating || null,
+            currentStats.maxRating || null,
+            currentStats.problemsSolved ?? null,
+            currentStats.contestsParticipated ?? null,
+            currentStats.rank ? `#${currentStats.rank}` : null,
+            lastFetched ? formatDate(lastFetched) : null
+          ]),
+          empty: 'No platform stats fetched yet.'
+        });
+
+        reportRenderer.heading(doc, 'Week by week');
+        reportRenderer.table(doc, {
+          columns: [
+            { header: 'Week', width: 2 },
+            { header: 'Date', width: 1.5 },
+            { header: 'Score', align: 'right' },
+            { header: 'Change', align: 'right' },
+            { header: 'Level', align: 'right' }
+          ],
+          rows: [...weekly].reverse().map(run => [
+            run.weekLabel,
+            formatDate(run.uploadDate),
+            round(run.overallScore),
+            changeCell(run.change),
+            levelCell(run.performanceLevel)
+          ]),
+          empty: 'No runs yet.'
+        });
+      }
+    };
+  }
+
+  async buildGrowth({ department, weeks }) {
+    const runs = await this.collectGrowth({ department, weeks: weeks || REPORT_CONFIG.GROWTH_WEEKS });
+    if (runs.length === 0) return null;
+
+    const first = runs[0];
+    const last = runs[runs.length - 1];
+    const change = round(last.averageScore - first.averageScore);
+
+    return {
+      title: `Growth Trend Report – ${runs.length} weeks${department ? ` – ${department}` : ''}`,
+      subtitle: [
+        department ? `${department} department` : 'All departments',
+        `${first.weekLabel} to ${last.weekLabel}`,
+        `generated ${formatDate(new Date())}`
+      ].join(' · '),
+      weekLabel: last.weekLabel,
+      draw: (doc) => {
+        reportRenderer.stats(doc, [
+          { label: `Average in ${first.weekLabel}`, value: first.averageScore },
+          { label: `Average in ${last.weekLabel}`, value: last.averageScore },
+          { label: 'Change over the period', value: signed(change), color: changeCell(change).color || undefined },
+          { label: `High performers in ${last.weekLabel}`, value: last.high }
+        ]);
+        if (runs.length > 1) {
+          const direction = change > 0 ? 'improved' : change < 0 ? 'declined' : 'held steady';
+          reportRenderer.paragraph(doc, `The average score ${direction} over ${runs.length} weeks, from ${first.averageScore} to ${last.averageScore}.`);
+        }
+
+        reportRenderer.heading(doc, 'Average score');
+        reportRenderer.lineChart(doc, {
+          points: runs.map(run => ({ label: run.weekLabel, value: run.averageScore }))
+        });
+
+        reportRenderer.heading(doc, 'Performance levels');
+        reportRenderer.barChart(doc, {
+          bars: runs.map(run => ({
+            label: run.weekLabel,
+            segments: LEVELS.map(level => ({ value: run[level], color: colors[level] }))
+          })),
+          legend: LEVELS.map(level => ({ label: LEVEL_LABELS[level], color: colors[level] }))
+        });
+
+        reportRenderer.heading(doc, 'Week by week');
+        reportRenderer.table(doc, {
+          columns: [
+            { header: 'Week', width: 2 },
+            { header: 'Date', width: 1.5 },
+            { header: 'Students', align: 'right' },
+            { header: 'Average', align: 'right' },
+            { header: 'Change', align: 'right' },
+            { header: 'High', align: 'right' },
+            { header: 'Medium', align: 'right' },
+            { header: 'Low', align: 'right' }
+          ],
+          rows: [...runs].reverse().map(run => [
+            run.weekLabel,
+            formatDate(run.uploadDate),
+            run.students,
+            run.averageScore,
+            changeCell(run.change),
+            run.high,
+            run.medium,
+            run.low
+          ])
+        });
+      }
+    };
+  }
+
+  drawWeekSummary(doc, summary, weeks) {
+    reportRenderer.stats(doc, [
+      { label: 'Students scored', value: summary.students },
+      { label: 'Average score', value: summary.averageScore },
+      { label: 'Average change', value: signed(summary.averageChange), color: changeCell(summary.averageChange).color || undefined },
+      { label: 'High performers', value: summary.levels.high, color: colors.high }
+    ]);
+    if (!weeks.previous) {
+      reportRenderer.paragraph(doc, 'This is the first week on record, so there are no changes to show.', { muted: true });
+    }
+  }
+
+  drawLevels(doc, levels) {
+    reportRenderer.barChart(doc, {
+      bars: LEVELS.map(level => ({ label: LEVEL_LABELS[level], segments: [{ value: levels[level], color: colors[level] }] })),
+      height: 120
+    });
+  }
+
+  drawStudents(doc, rows, { department = false, year = false } = {}) {
+    reportRenderer.table(doc, {
+      columns: [
+        { header: '#', width: 0.5, align: 'right' },
+        { header: 'Student', width: 3 },
+        { header: 'Reg No', width: 1.6 },
+        ...(department ? [{ header: 'Department', width: 1.4 }] : []),
+        ...(year ? [{ header: 'Year', width: 0.7 }] : []),
+        { header: 'Score', align: 'right' },
+        { header: 'Change', align: 'right' },
+        { header: 'Level', align: 'right' }
+      ],
+      rows: rows.map(row => [
+        row.rank,
+        row.name,
+        row.regNo,
+        ...(department ? [row.department] : []),
+        ...(year ? [row.year] : []),
+        row.overallScore,
+        changeCell(row.change),
+        levelCell(row.performanceLevel)
+      ])
+    });
+  }
+
+  drawMovers(doc, rows, empty) {
+    reportRenderer.table(doc, {
+      columns: [
+        { header: 'Student', width: 3 },
+        { header: 'Reg No', width: 1.6 },
+        { header: 'Department', width: 1.4 },
+        { header: 'Previous', align: 'right' },
+        { header: 'Score', align: 'right' },
+        { header: 'Change', align: 'right' }
+      ],
+      rows: rows.map(row => [row.name, row.regNo, row.department, row.previousScore, row.overallScore, changeCell(row.change)]),
+      empty
+    });
+  }
+
+  drawPlatforms(doc, platforms) {
+    reportRenderer.table(doc, {
+      columns: [
+        { header: 'Platform', width: 2 },
+        { header: 'Students', align: 'right' },
+        { header: 'Average rating', width: 1.4, align: 'right' },
+        { header: 'Average solved', width: 1.4, align: 'right' }
+      ],
+      rows: platforms.map(row => [platformName(row.platform), row.students, row.averageRating, row.averageSolved]),
+      empty: 'No platform stats that week.'
+    });
+  }
+}
+
+module.exports = new ReportService();
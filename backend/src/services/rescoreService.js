@@ -0,0 +1,142 @@
+const PerformanceHistory = require('../models/PerformanceHistory');
+const ScoringProfile = require('../models/ScoringProfile');
+const scoringService = require('./scoringService');
+const percentileService = require('./percentileService');
+const logger = require('../utils/logger');
+const { SCORING_PROFILE, RATING_SCALES } = require('../utils/constants');
+
+/**
+ * Rescore Service
+ * Recomputes overallScore and performanceLevel of every stored
+ * PerformanceHistory with a scoring profile version, in the background.
+ * A version saved while a run is in progress waits for it; if several are
+ * saved meanwhile only the newest runs and the others are marked superseded.
+ * In cohort mode every history is compared with the cohort live scoring
+ * uses, the current ratings of active students.
+ */
+class RescoreService {
+  constructor() {
+    this.isRunning = false;
+    this.queuedVersion = null;
+  }
+
+  /**
+   * Start re-scoring with a profile version without waiting for it
+   */
+  async start(version) {
+    if (this.isRunning) {
+      if (this.queuedVersion !== null) {
+        await this.updateStatus(this.queuedVersion, { status: 'superseded', completedAt: new Date() });
+      }
+      this.queuedVersion = version;
+      logger.info(`Re-scoring in progress, version ${version} queued`);
+      return;
+    }
+
+    this.isRunning = true;
+    this.runQueue(version).catch(error => {
+      logger.error('Re-scoring failed:', error);
+    });
+  }
+
+  async runQueue(version) {
+    try {
+      let next = version;
+      while (next !== null) {
+        this.queuedVersion = null;
+        await this.rescoreAll(next);
+        next = this.queuedVersion;
+      }
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Recompute every stored PerformanceHistory with a profile version
+   * Resolves to { total, processed, updated }
+   */
+  async rescoreAll(version) {
+    const stored = await ScoringProfile.findByVersion(version);
+    if (!stored) {
+      throw new Error(`Scoring profile version ${version} not found`);
+    }
+
+    const profile = stored.toScoringProfile();
+    const cohort = profile.ratingScale?.mode === RATING_SCALES.COHORT
+      ? await percentileService.loadCohort()
+      : {};
+    const progress = {
+      total: await PerformanceHistory.countDocuments(),
+      processed: 0,
+      updated: 0
+    };
+
+    logger.info(`🔄 Re-scoring ${progress.total} performance histories with scoring version ${version}`);
+    await this.updateStatus(version, { status: 'processing', ...progress, startedAt: new Date() });
+
+    try {
+      const cursor = PerformanceHistory.find({})
+        .select('uploadJobId platformStats overallScore performanceLevel scoringVersion')
+        .lean()
+        .cursor();
+
+      let operations = [];
+      const flush = async () => {
+        if (operations.length > 0) {
+          await PerformanceHistory.bulkWrite(operations, { ordered: false });
+          progress.updated += operations.length;
+          operations = [];
+        }
+        await this.updateStatus(version, progress);
+      };
+
+      for await (const history of cursor) {
+        const { overallScore, performanceLevel, scoringVersion } =
+          scoringService.scoreStudent(history.platformStats, profile, cohort);
+        progress.processed++;
+
+        if (overallScore !== history.overallScore ||
+            performanceLevel !== history.performanceLevel ||
+            scoringVersion !== history.scoringVersion) {
+          operations.push({
+            updateOne: {
+              filter: { _id: history._id },
+              update: { $set: { overallScore, performanceLevel, scoringVersion } }
+            }
+          });
+        }
+
+        if (progress.processed % SCORING_PROFILE.RESCORE_BATCH_SIZE === 0) {
+          await flush();
+        }
+      }
+      await flush();
+
+      await this.updateStatus(version, { status: 'completed', completedAt: new Date() });
+      logger.info(`✅ Re-scoring with version ${version} completed`, progress);
+
+      return progress;
+
+    } catch (error) {
+      await this.updateStatus(version, {
+        ...progress,
+        status: 'failed',
+        completedAt: new Date(),
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async updateStatus(version, rescore) {
+    const update = {};
+    Object.entries(rescore).forEach(([key, value]) => {
+      update[`rescore.${key}`] = value;
+    });
+
+    await ScoringProfile.updateOne({ version }, { $set: update });
+  }
+}
+
+module.exports = new RescoreService();
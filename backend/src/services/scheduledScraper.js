@@ -10,7 +10,16 @@ const logger = require('../utils/logger');
 const { generateJobId } = require('../utils/helpers');
 const { generateWeekInfo } = require('../utils/helpers');
 const platformService = require('./platformService');
-const { PLATFORMS } = require('../utils/constants');
+const contestService = require('./contestService');
+const activityService = require('./activityService');
+const alertService = require('./alertService');
+const digestService = require('./digestService');
+const reportService = require('./reportService');
+const webhookService = require('./webhookService');
+const scoringService = require('./scoringService');
+const studentService = require('./studentService');
+const platformRegistry = require('../platforms');
+const { PLATFORMS, WEBHOOK_EVENTS } = require('../utils/constants');
 
 class ScheduledScraperService {
   constructor() {
@@ -20,27 +29,22 @@ class ScheduledScraperService {
 
   /**
    * Scrape data for a single student
+   * Failed platforms resolve to null and their errors are added to `errors`
    */
-  async scrapeStudentData(student) {
+  async scrapeStudentData(student, errors = []) {
     const platformResults = {};
 
-    // Scrape each platform if student has an ID
-    const platforms = [
-      { key: 'codechef', id: student.platformIds.codechef, platform: PLATFORMS.CODECHEF },
-      { key: 'leetcode', id: student.platformIds.leetcode, platform: PLATFORMS.LEETCODE },
-      { key: 'codeforces', id: student.platformIds.codeforces, platform: PLATFORMS.CODEFORCES },
-      { key: 'atcoder', id: student.platformIds.atcoder, platform: PLATFORMS.ATCODER },
-      { key: 'github', id: student.platformIds.github, platform: PLATFORMS.GITHUB }
-    ];
-
-    for (const { key, id, platform } of platforms) {
+    // Scrape each registered platform the student has an ID for
+    for (const platform of platformRegistry.getPlatformIds()) {
+      const id = student.platformIds[platform];
       if (id) {
         try {
           const stats = await platformService.fetchPlatformStats(platform, id);
-          platformResults[key] = stats;
+          platformResults[platform] = stats;
         } catch (error) {
           logger.error(`Failed to scrape ${platform} for ${student.regNo}:`, error.message);
-          platformResults[key] = null;
+          platformResults[platform] = null;
+          errors.push({ platform, error: error.message, timestamp: new Date() });
         }
       }
     }
@@ -48,36 +52,11 @@ class ScheduledScraperService {
     return platformResults;
   }
 
-  /**
-   * Calculate overall score from platform results
-   */
-  calculateOverallScore(platformResults) {
-    let totalScore = 0;
-    let platformCount = 0;
-
-    Object.entries(platformResults).forEach(([platform, data]) => {
-      if (data && data.rating) {
-        totalScore += data.rating;
-        platformCount++;
-      }
-    });
-
-    return platformCount > 0 ? Math.round(totalScore / platformCount) : 0;
-  }
-
-  /**
-   * Determine performance level
-   */
-  getPerformanceLevel(overallScore) {
-    if (overallScore >= 1500) return 'high';
-    if (overallScore >= 1000) return 'medium';
-    return 'low';
-  }
-
   /**
    * Save scraped data to performance history
+   * Fetch errors are kept with the run, which is how repeated failures are spotted
    */
-  async savePerformanceHistory(student, platformResults, uploadJobId, weekInfo) {
+  async savePerformanceHistory(student, platformResults, uploadJobId, weekInfo, errors = []) {
     const platformStats = [];
 
     Object.entries(platformResults).forEach(([platform, data]) => {
@@ -89,13 +68,13 @@ class ScheduledScraperService {
           problemsSolved: data.problemsSolved || 0,
           contestsParticipated: data.contestsParticipated || 0,
           rank: data.rank || null,
+          difficulty: scoringService.getDifficultyCounts(platform, data),
           fetchStatus: 'success'
         });
       }
     });
 
-    const overallScore = this.calculateOverallScore(platformResults);
-    const performanceLevel = this.getPerformanceLevel(overallScore);
+    const { overallScore, performanceLevel, scoringVersion } = scoringService.scoreStudent(platformStats);
 
     const performanceHistory = new PerformanceHistory({
       regNo: student.regNo,
@@ -106,14 +85,31 @@ class ScheduledScraperService {
       platformStats,
       overallScore,
       performanceLevel,
+      scoringVersion,
       totalPlatforms: Object.keys(student.platformIds).length,
-      activePlatforms: platformStats.length
+      activePlatforms: platformStats.length,
+      metadata: { errors }
     });
 
     await performanceHistory.save();
     logger.info(`Saved performance history for ${student.regNo} - Week ${weekInfo.weekNumber}`);
   }
 
+  /**
+   * Record handles found on the student's Codolio profile
+   */
+  async saveDiscoveredPlatformIds(student, platformResults) {
+    const discovered = platformService.discoverPlatformIds(
+      student.platformIds,
+      platformResults[PLATFORMS.CODOLIO]
+    );
+
+    if (Object.keys(discovered).length === 0) return;
+
+    await studentService.saveDiscoveredPlatformIds(student, discovered);
+    logger.info(`Discovered ${Object.keys(discovered).join(', ')} IDs on Codolio for ${student.regNo}`);
+  }
+
   /**
    * Run weekly scraping for all students
    */
@@ -129,8 +125,8 @@ class ScheduledScraperService {
     try {
       logger.info('🚀 Starting weekly automatic scrape...');
 
-      // Get all students from database
-      const students = await Student.find({});
+      // Get all active students; deactivated ones keep their history but aren't fetched
+      const students = await Student.find({ isActive: true });
       
       if (students.length === 0) {
         logger.warn('No students found in database. Please upload student data first.');
@@ -140,6 +136,10 @@ class ScheduledScraperService {
 
       logger.info(`Found ${students.length} students to scrape`);
 
+      // Another process may have saved a new scoring profile
+      await scoringService.loadActiveProfile();
+      await scoringService.loadCohort();
+
       // Generate job ID and week info
       const jobId = generateJobId();
       const weekInfo = await generateWeekInfo();
@@ -154,8 +154,12 @@ class ScheduledScraperService {
         try {
           logger.info(`Scraping data for ${student.name} (${student.regNo})...`);
           
-          const platformResults = await this.scrapeStudentData(student);
-          await this.savePerformanceHistory(student, platformResults, jobId, weekInfo);
+          const errors = [];
+          const platformResults = await this.scrapeStudentData(student, errors);
+          await this.savePerformanceHistory(student, platformResults, jobId, weekInfo, errors);
+          await this.saveDiscoveredPlatformIds(student, platformResults);
+          await contestService.syncStudentContests(student.regNo, student.platformIds);
+          await activityService.syncStudentActivity(student.regNo, student.platformIds);
           
           successCount++;
           
@@ -168,7 +172,23 @@ class ScheduledScraperService {
         }
       }
 
+      await alertService.evaluate({ source: 'scrape', jobId });
+      await digestService.sendWeeklyDigest({ jobId });
+      await reportService.generateScheduledReport({ jobId });
+
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+      await webhookService.emitLevelChanges({ jobId, source: 'scrape' });
+      await webhookService.emit(WEBHOOK_EVENTS.SCRAPE_COMPLETED, {
+        jobId,
+        trigger: 'weekly',
+        weekLabel: weekInfo.weekLabel,
+        students: students.length,
+        successful: successCount,
+        failed: failCount,
+        durationSeconds: Number(duration),
+        completedAt: new Date().toISOString()
+      });
       
       logger.info(`✅ Weekly scrape completed!`);
       logger.info(`   Week: ${weekInfo.weekLabel}`);
@@ -0,0 +1,348 @@
+const ScoringProfile = require('../models/ScoringProfile');
+const percentileService = require('./percentileService');
+const platformRegistry = require('../platforms');
+const logger = require('../utils/logger');
+const {
+  SCORING_WEIGHTS,
+  SCORE_SCALE,
+  DIFFICULTY_WEIGHTS,
+  RATING_SCALES,
+  SCORING_PROFILE,
+  PERFORMANCE_THRESHOLDS,
+  PERFORMANCE_LEVELS,
+  FETCH_STATUS
+} = require('../utils/constants');
+
+/**
+ * Scoring Service
+ * The one place overall scores and performance levels are worked out.
+ * Each platform adapter normalises its stats to 0-100 components against the
+ * profile's caps, counting solved problems by difficulty; with a percentile
+ * rating scale the rating component is the rating's percentile instead. The
+ * components are weighted into a platform score, the overall score is the
+ * platform-weighted mean and the profile's thresholds turn it into a level.
+ * The profile is the stored active ScoringProfile, or version 0 built from
+ * the constants when none has been saved.
+ */
+class ScoringService {
+  constructor() {
+    this.profile = this.getDefaultProfile();
+    // Current ratings per platform, for the cohort rating scale
+    this.cohort = {};
+  }
+
+  /**
+   * Version 0: the formula from SCORING_WEIGHTS, SCORE_SCALE, DIFFICULTY_WEIGHTS
+   * and PERFORMANCE_THRESHOLDS
+   */
+  getDefaultProfile() {
+    return {
+      version: 0,
+      platformWeights: platformRegistry.buildPlatformFields(platform => platformRegistry.getPlatform(platform).defaultWeight),
+      caps: {
+        rating: SCORE_SCALE.RATING,
+        problemsSolved: SCORE_SCALE.PROBLEMS_SOLVED,
+        contests: SCORE_SCALE.CONTESTS
+      },
+      componentWeights: {
+        rating: SCORING_WEIGHTS.RATING,
+        problemsSolved: SCORING_WEIGHTS.PROBLEMS_SOLVED,
+        contests: SCORING_WEIGHTS.CONTESTS
+      },
+      difficultyWeights: {
+        easy: DIFFICULTY_WEIGHTS.EASY,
+        medium: DIFFICULTY_WEIGHTS.MEDIUM,
+        hard: DIFFICULTY_WEIGHTS.HARD
+      },
+      // A null reference uses RATING_REFERENCE_PERCENTILES
+      ratingScale: {
+        mode: RATING_SCALES.CAP,
+        reference: null
+      },
+      thresholds: {
+        high: PERFORMANCE_THRESHOLDS.HIGH,
+        medium: PERFORMANCE_THRESHOLDS.MEDIUM
+      }
+    };
+  }
+
+  setProfile(profile) {
+    this.profile = profile;
+  }
+
+  /**
+   * Use the stored active profile, keeping the current one if none is stored
+   * or the database can't be read
+   */
+  async loadActiveProfile() {
+    try {
+      const active = await ScoringProfile.getActive();
+      if (active) {
+        this.profile = active.toScoringProfile();
+      }
+    } catch (error) {
+      logger.warn(`Could not load the scoring profile, keeping version ${this.profile.version}: ${error.message}`);
+    }
+
+    return this.profile;
+  }
+
+  setCohort(cohort) {
+    this.cohort = cohort;
+  }
+
+  /**
+   * Load every student's current ratings when the active profile scores
+   * against the cohort, keeping the current cohort if the database can't be read
+   */
+  async loadCohort() {
+    if (this.profile.ratingScale?.mode !== RATING_SCALES.COHORT) {
+      return this.cohort;
+    }
+
+    try {
+      this.cohort = await percentileService.loadCohort();
+    } catch (error) {
+      logger.warn(`Could not load the rating cohort: ${error.message}`);
+    }
+
+    return this.cohort;
+  }
+
+  /**
+   * Percentile scale for ranking by rating: the requested mode, else the
+   * profile's own when it is a percentile mode, else the cohort
+   */
+  getPercentileScale(mode) {
+    const { ratingScale = {} } = this.profile;
+    const profileMode = ratingScale.mode === RATING_SCALES.CAP ? null : ratingScale.mode;
+
+    return {
+      mode: mode || profileMode || RATING_SCALES.COHORT,
+      reference: ratingScale.reference || null
+    };
+  }
+
+  /**
+   * Save changes to the active profile as a new version and make it active
+   * Fields left out keep their current values
+   */
+  async saveProfile({
+    platformWeights = {},
+    caps = {},
+    componentWeights = {},
+    difficultyWeights = {},
+    ratingScale = {},
+    thresholds = {},
+    note = null
+  }) {
+    const current = await this.loadActiveProfile();
+
+    const profile = await ScoringProfile.create({
+      version: await ScoringProfile.getNextVersion(),
+      platformWeights: { ...current.platformWeights, ...platformWeights },
+      caps: { ...current.caps, ...caps },
+      componentWeights: { ...current.componentWeights, ...componentWeights },
+      difficultyWeights: { ...current.difficultyWeights, ...difficultyWeights },
+      ratingScale: { ...current.ratingScale, ...ratingScale },
+      thresholds: { ...current.thresholds, ...thresholds },
+      note
+    });
+    await ScoringProfile.updateMany(
+      { _id: { $ne: profile._id }, isActive: true },
+      { $set: { isActive: false } }
+    );
+
+    this.profile = profile.toScoringProfile();
+    logger.info(`📐 Scoring profile version ${profile.version} saved`);
+
+    return profile;
+  }
+
+  /**
+   * A platform's 0-100 score components and its rating percentile (null when
+   * the rating is scored against the cap), or null for an unknown platform
+   */
+  normalizePlatform(platform, stats, profile = this.profile, cohort = this.cohort) {
+    const adapter = platformRegistry.getPlatform(platform);
+    if (!adapter) return null;
+
+    // Normalisers may spread stats, which drops a mongoose subdocument's fields
+    const plainStats = typeof stats.toObject === 'function' ? stats.toObject() : stats;
+    const components = adapter.normalizeStats(plainStats, profile.caps, profile.difficultyWeights);
+
+    // Without anything to compare the rating with, the capped rating stands
+    const ratingPercentile = percentileService.getPercentile(platform, plainStats.rating, profile.ratingScale, cohort);
+    if (ratingPercentile !== null) {
+      components.rating = ratingPercentile;
+    }
+
+    return {
+      components,
+      ratingPercentile,
+      weightedProblems: adapter.weightProblems(plainStats, profile.difficultyWeights)
+    };
+  }
+
+  weightComponents(components, profile = this.profile) {
+    const score = components.rating * profile.componentWeights.rating +
+      components.problemsSolved * profile.componentWeights.problemsSolved +
+      components.contests * profile.componentWeights.contests;
+
+    // Two decimals keeps float noise (0.4 * 100) out of the result
+    return Math.round(score * 100) / 100;
+  }
+
+  /**
+   * Score one platform's stats from 0 to 100, or null for an unknown platform
+   */
+  scorePlatform(platform, stats, profile = this.profile, cohort = this.cohort) {
+    const normalized = this.normalizePlatform(platform, stats, profile, cohort);
+    return normalized ? this.weightComponents(normalized.components, profile) : null;
+  }
+
+  /**
+   * Successfully fetched stats as [platform, stats] pairs
+   * Takes either an array of { platform, fetchStatus, ...stats } or a
+   * { platform: stats } map where failed platforms are null
+   */
+  getScorablePlatforms(platformStats) {
+    const entries = Array.isArray(platformStats)
+      ? platformStats.map(stats => [stats.platform, stats])
+      : Object.entries(platformStats || {});
+
+    return entries.filter(([, stats]) =>
+      stats && (stats.fetchStatus === undefined || stats.fetchStatus === FETCH_STATUS.SUCCESS)
+    );
+  }
+
+  /**
+   * Solved counts per difficulty bucket for a platform's fetched stats, or null
+   * Kept on performance history so re-scoring can weight problems too
+   */
+  getDifficultyCounts(platform, stats) {
+    const adapter = platformRegistry.getPlatform(platform);
+    return adapter ? adapter.getDifficultyCounts(stats?.additionalData) : null;
+  }
+
+  getPlatformWeight(platform, profile = this.profile) {
+    return profile.platformWeights?.[platform] ??
+      platformRegistry.getPlatform(platform)?.defaultWeight ?? SCORING_PROFILE.DEFAULT_PLATFORM_WEIGHT;
+  }
+
+  /**
+   * Score a student's platform stats
+   * Resolves to { overallScore, performanceLevel, platformScores, scoringVersion }
+   */
+  scoreStudent(platformStats, profile = this.profile, cohort = this.cohort) {
+    const platformScores = {};
+    let weightedTotal = 0;
+    let totalWeight = 0;
+
+    this.getScorablePlatforms(platformStats).forEach(([platform, stats]) => {
+      const score = this.scorePlatform(platform, stats, profile, cohort);
+      if (score === null) return;
+
+      platformScores[platform] = score;
+
+      const weight = this.getPlatformWeight(platform, profile);
+      weightedTotal += score * weight;
+      totalWeight += weight;
+    });
+
+    const overallScore = totalWeight > 0 ? Math.round(weightedTotal / totalWeight) : 0;
+
+    return {
+      overallScore,
+      performanceLevel: this.getPerformanceLevel(overallScore, profile),
+      platformScores,
+      scoringVersion: profile.version
+    };
+  }
+
+  /**
+   * How a student's score is made up: each platform's components, the caps
+   * it reached and its share of the overall score, with the weights used
+   * Resolves to { overallScore, performanceLevel, scoringVersion, platforms, weights }
+   */
+  explainStudent(platformStats, profile = this.profile, cohort = this.cohort) {
+    const platforms = [];
+
+    this.getScorablePlatforms(platformStats).forEach(([platform, stats]) => {
+      const normalized = this.normalizePlatform(platform, stats, profile, cohort);
+      if (!normalized) return;
+
+      const { components, ratingPercentile, weightedProblems } = normalized;
+      // A percentile rating isn't capped, so it can't hit the cap
+      const capsHit = Object.keys(components)
+        .filter(key => components[key] >= 100 && !(key === 'rating' && ratingPercentile !== null));
+
+      platforms.push({
+        platform,
+        stats: {
+          rating: stats.rating || 0,
+          problemsSolved: stats.problemsSolved || 0,
+          weightedProblems: Math.round(weightedProblems * 100) / 100,
+          contestsParticipated: stats.contestsParticipated || 0
+        },
+        components: {
+          rating: Math.round(components.rating * 100) / 100,
+          problemsSolved: Math.round(components.problemsSolved * 100) / 100,
+          contests: Math.round(components.contests * 100) / 100
+        },
+        ratingPercentile,
+        capsHit,
+        score: this.weightComponents(components, profile),
+        weight: this.getPlatformWeight(platform, profile)
+      });
+    });
+
+    const totalWeight = platforms.reduce((sum, entry) => sum + entry.weight, 0);
+    platforms.forEach(entry => {
+      // Points the platform adds to the overall score; they add up to it before rounding
+      entry.contribution = totalWeight > 0
+        ? Math.round((entry.score * entry.weight / totalWeight) * 100) / 100
+        : 0;
+    });
+
+    const overallScore = totalWeight > 0
+      ? Math.round(platforms.reduce((sum, entry) => sum + entry.score * entry.weight, 0) / totalWeight)
+      : 0;
+
+    return {
+      overallScore,
+      performanceLevel: this.getPerformanceLevel(overallScore, profile),
+      scoringVersion: profile.version,
+      platforms: platforms.sort((a, b) => b.contribution - a.contribution),
+      weights: {
+        caps: profile.caps,
+        componentWeights: profile.componentWeights,
+        difficultyWeights: profile.difficultyWeights,
+        ratingScale: profile.ratingScale?.mode || RATING_SCALES.CAP,
+        thresholds: profile.thresholds
+      }
+    };
+  }
+
+  /**
+   * Overall 0-100 score for a student's platform stats
+   */
+  calculateOverallScore(platformStats, profile = this.profile) {
+    return this.scoreStudent(platformStats, profile).overallScore;
+  }
+
+  /**
+   * Performance level for an overall score
+   */
+  getPerformanceLevel(score, profile = this.profile) {
+    if (score >= profile.thresholds.high) {
+      return PERFORMANCE_LEVELS.HIGH;
+    }
+    if (score >= profile.thresholds.medium) {
+      return PERFORMANCE_LEVELS.MEDIUM;
+    }
+    return PERFORMANCE_LEVELS.LOW;
+  }
+}
+
+module.exports = new ScoringService();
@@ -0,0 +1,170 @@
+const Student = require('../models/Student');
+const AuditLog = require('../models/AuditLog');
+const platformRegistry = require('../platforms');
+const { AUDIT_ACTIONS, AUDIT_SOURCES, CODOLIO_CONFIG } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+// Fields that can be changed through the API and are recorded in the audit log
+const EDITABLE_FIELDS = ['name', 'department', 'year', 'isActive'];
+
+/**
+ * Student Service
+ * Creates and edits students outside an upload, and records each change
+ * with who made it and the values before and after.
+ */
+class StudentService {
+  /**
+   * The audited values of a student, with platform handles flattened to "platformIds.<platform>"
+   */
+  snapshot(student) {
+    const values = Object.fromEntries(EDITABLE_FIELDS.map(field => [field, student[field] ?? null]));
+    platformRegistry.getPlatformIds().forEach(platform => {
+      values[`platformIds.${platform}`] = student.platformIds?.[platform] || null;
+    });
+    return values;
+  }
+
+  /**
+   * The fields whose value differs between two snapshots
+   */
+  diff(before, after) {
+    return Object.keys(after)
+      .filter(field => (before[field] ?? null) !== after[field])
+      .map(field => ({ field, before: before[field] ?? null, after: after[field] }));
+  }
+
+  /**
+   * Create a student; resolves to the saved student
+   */
+  async createStudent({ regNo, name, department, year = null, platformIds = {} }, { user = null } = {}) {
+    const student = new Student({ regNo, name, department, year });
+    this.setPlatformIds(student, platformIds);
+    await student.save();
+
+    await AuditLog.record({
+      regNo: student.regNo,
+      action: AUDIT_ACTIONS.CREATE,
+      source: AUDIT_SOURCES.MANUAL,
+      changes: this.diff({}, this.snapshot(student)).filter(({ after }) => after !== null),
+      user
+    });
+
+    logger.info(`👤 Student created: ${student.regNo}`, { by: user?.email });
+    return student;
+  }
+
+  /**
+   * Change a student's details; handles in platformIds are merged, and an empty one clears the platform
+   * Resolves to the changes made, empty when the values were already set
+   */
+  async updateStudent(student, fields, { user = null, source = AUDIT_SOURCES.MANUAL } = {}) {
+    const before = this.snapshot(student);
+
+    EDITABLE_FIELDS
+      .filter(field => fields[field] !== undefined)
+      .forEach(field => { student[field] = fields[field]; });
+    if (fields.platformIds) {
+      this.setPlatformIds(student, fields.platformIds);
+    }
+
+    const changes = this.diff(before, this.snapshot(student));
+    if (changes.length === 0) return changes;
+
+    student.lastUpdated = new Date();
+    await student.save();
+
+    // Switching a student on or off alone reads better in the log as its own action
+    const action = changes.length === 1 && changes[0].field === 'isActive'
+      ? (student.isActive ? AUDIT_ACTIONS.ACTIVATE : AUDIT_ACTIONS.DEACTIVATE)
+      : AUDIT_ACTIONS.UPDATE;
+    await AuditLog.record({ regNo: student.regNo, action, source, changes, user });
+
+    logger.info(`👤 Student ${action}d: ${student.regNo}`, {
+      fields: changes.map(({ field }) => field),
+      source,
+      by: user?.email
+    });
+    return changes;
+  }
+
+  /**
+   * Activate or deactivate many students at once
+   * Resolves to the regNos that changed, that already had that state, and that don't exist
+   */
+  async bulkSetActive(regNos, isActive, { user = null } = {}) {
+    const students = await Student.find({ regNo: { $in: regNos } });
+    const found = new Set(students.map(({ regNo }) => regNo));
+
+    const changed = [];
+    const unchanged = [];
+    for (const student of students) {
+      const changes = await this.updateStudent(student, { isActive }, { user, source: AUDIT_SOURCES.BULK });
+      (changes.length > 0 ? changed : unchanged).push(student.regNo);
+    }
+
+    return {
+      changed,
+      unchanged,
+      notFound: [...new Set(regNos)].filter(regNo => !found.has(regNo))
+    };
+  }
+
+  /**
+   * Keep handles discovered on the student's Codolio profile as suggestions, or fill
+   * the empty platforms with them right away when write-back is on
+   * Resolves to the handles suggested or written back
+   */
+  async saveDiscoveredPlatformIds(student, discovered, { writeBack = CODOLIO_CONFIG.WRITE_BACK_DISCOVERED_IDS } = {}) {
+    const suggested = student.suggestPlatformIds(discovered);
+    if (writeBack && Object.keys(suggested).length > 0) {
+      await this.acceptSuggestedPlatformIds(student, Object.keys(suggested));
+    } else {
+      await student.save();
+    }
+    return suggested;
+  }
+
+  /**
+   * Fill empty platforms with their suggested handles, all of them unless platforms is given
+   * Resolves to the changes made; a suggestion for a platform filled in since is dropped
+   */
+  async acceptSuggestedPlatformIds(student, platforms = null, { user = null } = {}) {
+    const suggestions = student.suggestedPlatformIds || {};
+    const accepted = (platforms || Object.keys(suggestions)).filter(platform => suggestions[platform]);
+    const platformIds = Object.fromEntries(accepted
+      .filter(platform => !student.platformIds[platform])
+      .map(platform => [platform, suggestions[platform]]));
+
+    student.dropSuggestedPlatformIds(accepted);
+    const changes = await this.updateStudent(student, { platformIds }, { user, source: AUDIT_SOURCES.SUGGESTION });
+    if (changes.length === 0) await student.save();
+
+    return changes;
+  }
+
+  /**
+   * Drop suggested handles without using them, all of them unless platforms is given
+   */
+  async dismissSuggestedPlatformIds(student, platforms = null, { user = null } = {}) {
+    const dismissed = (platforms || Object.keys(student.suggestedPlatformIds || {}))
+      .filter(platform => student.suggestedPlatformIds?.[platform]);
+    student.dropSuggestedPlatformIds(dismissed);
+    await student.save();
+
+    logger.info(`👤 Suggested handles dismissed for ${student.regNo}`, { platforms: dismissed, by: user?.email });
+    return dismissed;
+  }
+
+  /**
+   * Set the given platform handles; null or an empty string clears one
+   */
+  setPlatformIds(student, platformIds) {
+    platformRegistry.getPlatformIds()
+      .filter(platform => platformIds[platform] !== undefined)
+      .forEach(platform => {
+        student.platformIds[platform] = (platformIds[platform] || '').trim() || null;
+      });
+  }
+}
+
+module.exports = new StudentService();
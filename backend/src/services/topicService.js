@@ -0,0 +1,130 @@
+const PlatformStats = require('../models/PlatformStats');
+const Student = require('../models/Student');
+const platformRegistry = require('../platforms');
+const { TOPICS, FETCH_STATUS } = require('../utils/constants');
+
+/**
+ * Topic Service
+ * Solved problems per topic (dp, graphs, greedy, ...) from the tag counts
+ * adapters store in additionalData, added up across a student's platforms,
+ * for student radar charts and department heatmaps
+ */
+class TopicService {
+  /**
+   * Topics as [{ topic, name }], in TOPICS order
+   */
+  getTopics() {
+    return Object.entries(TOPICS).map(([topic, name]) => ({ topic, name }));
+  }
+
+  /**
+   * Solved problems per topic for every student with tag data
+   * Resolves to a Map of regNo => { topic: solved }
+   */
+  async loadStudentTopics(regNos = null) {
+    const query = { fetchStatus: FETCH_STATUS.SUCCESS };
+    if (regNos) query.regNo = { $in: regNos };
+
+    const platformStats = await PlatformStats.find(query)
+      .select('regNo platform currentStats.additionalData.tags currentStats.additionalData.topics')
+      .lean();
+
+    const byStudent = new Map();
+    platformStats.forEach(stats => {
+      const adapter = platformRegistry.getPlatform(stats.platform);
+      const topics = adapter?.getTopicCounts(stats.currentStats?.additionalData);
+      if (!topics) return;
+
+      if (!byStudent.has(stats.regNo)) byStudent.set(stats.regNo, {});
+      const totals = byStudent.get(stats.regNo);
+      Object.entries(topics).forEach(([topic, solved]) => {
+        totals[topic] = (totals[topic] || 0) + solved;
+      });
+    });
+
+    return byStudent;
+  }
+
+  /**
+   * Mean solved problems per topic over a group of students' topic counts
+   */
+  averageTopics(topicCounts) {
+    const averages = {};
+    Object.keys(TOPICS).forEach(topic => {
+      const total = topicCounts.reduce((sum, counts) => sum + (counts[topic] || 0), 0);
+      averages[topic] = topicCounts.length > 0 ? Math.round((total / topicCounts.length) * 10) / 10 : 0;
+    });
+    return averages;
+  }
+
+  /**
+   * A student's solved problems per topic next to the cohort's and their
+   * department's averages, for a radar chart
+   * Resolves to null when no platform of the student has tag data
+   */
+  async getStudentTopics(student) {
+    const byStudent = await this.loadStudentTopics();
+    const own = byStudent.get(student.regNo);
+    if (!own) return null;
+
+    const departmentRegNos = new Set(
+      (await Student.find({ department: student.department }).select('regNo').lean())
+        .map(({ regNo }) => regNo)
+    );
+    const cohortAverages = this.averageTopics([...byStudent.values()]);
+    const departmentAverages = this.averageTopics(
+      [...byStudent.entries()]
+        .filter(([regNo]) => departmentRegNos.has(regNo))
+        .map(([, counts]) => counts)
+    );
+
+    return {
+      regNo: student.regNo,
+      name: student.name,
+      department: student.department,
+      topics: this.getTopics().map(({ topic, name }) => ({
+        topic,
+        name,
+        solved: own[topic] || 0,
+        cohortAverage: cohortAverages[topic],
+        departmentAverage: departmentAverages[topic]
+      }))
+    };
+  }
+
+  /**
+   * Mean solved problems per topic for each department, for a heatmap
+   * Students without tag data on any platform are left out of the means
+   */
+  async getDepartmentTopics({ department, year } = {}) {
+    const studentQuery = {};
+    if (department) studentQuery.department = { $regex: department, $options: 'i' };
+    if (year) studentQuery.year = year;
+
+    const students = await Student.find(studentQuery).select('regNo department').lean();
+    const byStudent = await this.loadStudentTopics(students.map(({ regNo }) => regNo));
+
+    const byDepartment = new Map();
+    students.forEach(({ regNo, department: studentDepartment }) => {
+      const counts = byStudent.get(regNo);
+      if (!counts) return;
+
+      const key = studentDepartment || 'Unknown';
+      if (!byDepartment.has(key)) byDepartment.set(key, []);
+      byDepartment.get(key).push(counts);
+    });
+
+    return {
+      topics: this.getTopics(),
+      departments: [...byDepartment.entries()]
+        .map(([name, topicCounts]) => ({
+          department: name,
+          students: topicCounts.length,
+          averages: this.averageTopics(topicCounts)
+        }))
+        .sort((a, b) => a.department.localeCompare(b.department))
+    };
+  }
+}
+
+module.exports = new TopicService();
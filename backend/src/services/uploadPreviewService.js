@@ -0,0 +1,262 @@
+const Student = require('../models/Student');
+const UploadPreview = require('../models/UploadPreview');
+const studentService = require('./studentService');
+const platformRegistry = require('../platforms');
+const { PREVIEW_STATUS, PREVIEW_CONFIG, AUDIT_SOURCES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+// What an upload writes over a stored student; an upload never changes isActive
+const UPLOADED_FIELDS = ['name', 'department', 'year'];
+
+// Handles differing only in case are the same account
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+/**
+ * Upload Preview Service
+ * The dry run before an upload: compares a parsed sheet with the stored
+ * students, keeps the result until the uploader decides, and on confirm
+ * hands the rows they kept to whatever starts the upload.
+ */
+class UploadPreviewService {
+  /**
+   * Compare parsed rows with the stored students and store the preview
+   */
+  async createPreview({ file, totalRows, students, errors }, { user = null } = {}) {
+    const diff = await this.compare(students, errors);
+
+    const preview = await UploadPreview.create({
+      fileName: file.filename,
+      originalName: file.originalname,
+      fileSize: file.size,
+      totalRows,
+      students,
+      rowErrors: errors,
+      diff,
+      createdBy: user?._id || null,
+      createdByName: user?.name || null,
+      expiresAt: new Date(Date.now() + PREVIEW_CONFIG.TTL_HOURS * 60 * 60 * 1000)
+    });
+
+    logger.info(`🔍 Upload preview created for ${file.originalname}`, { previewId: preview._id, by: user?.email, ...preview.getCounts() });
+    return preview;
+  }
+
+  /**
+   * What the rows would do: new students, changed details, active students of the
+   * sheet's departments it leaves out, rows that failed to parse, and duplicates
+   */
+  async compare(students, errors) {
+    const regNos = students.map(({ regNo }) => regNo);
+    const stored = new Map((await Student.find({ regNo: { $in: regNos } }).lean()).map(student => [student.regNo, student]));
+
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+    for (const student of students) {
+      const existing = stored.get(student.regNo);
+      if (!existing) {
+        added.push({
+          regNo: student.regNo,
+          name: student.name,
+          department: student.department || null,
+          year: student.year || null,
+          row: student.rowNumber,
+          platformIds: Object.fromEntries(Object.entries(student.platformIds).filter(([, handle]) => handle))
+        });
+        continue;
+      }
+
+      const changes = studentService.diff(this.values(existing), this.values(student));
+      if (changes.length === 0) {
+        unchanged++;
+        continue;
+      }
+      changed.push({ regNo: student.regNo, name: existing.name, row: student.rowNumber, isActive: existing.isActive, changes });
+    }
+
+    // A row that failed to parse doesn't make its student removed
+    const listed = [...new Set([...regNos, ...errors.map(({ regNo }) => regNo)])];
+    const departments = [...new Set(students.map(({ department }) => department).filter(Boolean))];
+    const removed = departments.length === 0 ? [] : await Student.find({
+      isActive: true,
+      department: { $in: departments },
+      regNo: { $nin: listed }
+    })
+      .select('regNo name department year')
+      .sort({ department: 1, regNo: 1 })
+      .lean();
+
+    return {
+      added,
+      changed,
+      removed: removed.map(({ regNo, name, department, year }) => ({ regNo, name, department, year: year || null })),
+      invalid: errors
+        .filter(({ duplicateOf }) => !duplicateOf)
+        .map(({ row, regNo, message }) => ({ row, regNo, message })),
+      duplicates: [
+        ...errors
+          .filter(({ duplicateOf }) => duplicateOf)
+          .map(({ row, regNo, duplicateOf }) => ({ type: 'regNo', regNo, row, duplicateOf })),
+        ...await this.findSharedHandles(students)
+      ],
+      unchanged
+    };
+  }
+
+  /**
+   * The values an upload writes, with handles flattened to "platformIds.<platform>" and blanks as null
+   */
+  values(student) {
+    return Object.fromEntries(Object.entries(studentService.snapshot(student))
+      .filter(([field]) => UPLOADED_FIELDS.includes(field) || field.startsWith('platformIds.'))
+      .map(([field, value]) => [field, value || null]));
+  }
+
+  /**
+   * Handles given to more than one student, in the sheet or already stored for a student it doesn't list
+   */
+  async findSharedHandles(students) {
+    const regNos = students.map(({ regNo }) => regNo);
+    const shared = [];
+
+    for (const platform of platformRegistry.getPlatformIds()) {
+      const owners = new Map(); // lowercased handle -> { handle, regNos, stored }
+      students
+        .filter(({ platformIds }) => platformIds?.[platform])
+        .forEach(({ regNo, platformIds }) => {
+          const key = platformIds[platform].toLowerCase();
+          if (!owners.has(key)) owners.set(key, { handle: platformIds[platform], regNos: [], stored: [] });
+          owners.get(key).regNos.push(regNo);
+        });
+      if (owners.size === 0) continue;
+
+      const holders = await Student.find({
+        regNo: { $nin: regNos },
+        [`platformIds.${platform}`]: { $in: [...owners.values()].map(({ handle }) => handle) }
+      })
+        .collation(CASE_INSENSITIVE)
+        .select(`regNo platformIds.${platform}`)
+        .lean();
+      holders.forEach(({ regNo, platformIds }) => owners.get(platformIds[platform].toLowerCase())?.stored.push(regNo));
+
+      owners.forEach(({ handle, regNos: sheetRegNos, stored }) => {
+        if (sheetRegNos.length + stored.length > 1) {
+          shared.push({ type: 'handle', platform, handle, regNos: sheetRegNos, stored });
+        }
+      });
+    }
+
+    return shared;
+  }
+
+  /**
+   * Confirm a pending preview, apply its changes and start the upload with start(students, preview)
+   * skip leaves out new students and keeps the stored details of changed ones (they're still
+   * processed); deactivate picks from the removed students. When start throws, the preview
+   * stays pending so it can be confirmed again; changes already applied aren't applied twice.
+   * Resolves to null when the preview is gone, expired or already confirmed
+   */
+  async confirm(id, { skip = [], deactivate = [], user = null } = {}, start) {
+    const preview = await UploadPreview.findOneAndUpdate(
+      { _id: id, status: PREVIEW_STATUS.PENDING, expiresAt: { $gt: new Date() } },
+      { status: PREVIEW_STATUS.CONFIRMED, confirmedAt: new Date() },
+      { new: true }
+    ).select('+students +rowErrors');
+    if (!preview) return null;
+
+    let uploadJob;
+    let stale;
+    try {
+      const applied = await this.applyChanges(preview, skip, { user });
+      stale = applied.stale;
+      uploadJob = await start(applied.students, preview);
+    } catch (error) {
+      await UploadPreview.updateOne({ _id: preview._id }, { status: PREVIEW_STATUS.PENDING, confirmedAt: null });
+      throw error;
+    }
+
+    const removed = new Set(preview.diff.removed.map(({ regNo }) => regNo));
+    const toDeactivate = [...new Set(deactivate)].filter(regNo => removed.has(regNo));
+    const deactivated = toDeactivate.length > 0
+      ? (await studentService.bulkSetActive(toDeactivate, false, { user })).changed
+      : [];
+
+    preview.jobId = uploadJob.jobId;
+    await preview.save();
+
+    logger.info(`✅ Upload preview confirmed: ${preview.originalName}`, {
+      previewId: preview._id,
+      jobId: uploadJob.jobId,
+      skipped: skip.length,
+      stale: stale.length,
+      deactivated: deactivated.length,
+      by: user?.email
+    });
+
+    return { preview, uploadJob, deactivated, stale };
+  }
+
+  /**
+   * Write the previewed changes the uploader kept through studentService, so they're
+   * audited like any other edit, and resolve to { students, stale }: the rows to process,
+   * carrying each stored student's details, and the fields left alone because they were
+   * edited after the preview. New students are left to the upload job.
+   */
+  async applyChanges(preview, skip, { user = null } = {}) {
+    const skipped = new Set(skip);
+    const changed = new Map(preview.diff.changed.map(entry => [entry.regNo, entry]));
+    const stored = new Map((await Student.find({ regNo: { $in: preview.students.map(({ regNo }) => regNo) } }))
+      .map(student => [student.regNo, student]));
+
+    const students = [];
+    const stale = [];
+    for (const row of preview.students) {
+      const student = stored.get(row.regNo);
+      if (!student) {
+        if (!skipped.has(row.regNo)) students.push(row);
+        continue;
+      }
+
+      if (changed.has(row.regNo) && !skipped.has(row.regNo)) {
+        const current = this.values(student);
+        const fields = { platformIds: {} };
+        changed.get(row.regNo).changes
+          .filter(({ field, after }) => current[field] !== after)
+          .forEach(({ field, before, after }) => {
+            if (current[field] !== before) {
+              stale.push({ regNo: row.regNo, field, previewed: before, current: current[field] });
+            } else if (field.startsWith('platformIds.')) {
+              fields.platformIds[field.slice('platformIds.'.length)] = after;
+            } else {
+              fields[field] = after;
+            }
+          });
+        await studentService.updateStudent(student, fields, { user, source: AUDIT_SOURCES.UPLOAD });
+      }
+
+      // Unchanged, skipped and stale values are processed as they're stored
+      students.push({
+        ...row,
+        name: student.name,
+        department: student.department,
+        year: student.year,
+        platformIds: platformRegistry.buildPlatformFields(platform => student.platformIds?.[platform] || null)
+      });
+    }
+
+    return { students, stale };
+  }
+
+  /**
+   * Drop a pending preview; resolves to it, or null when there was none
+   */
+  async cancel(id, { user = null } = {}) {
+    const preview = await UploadPreview.findOneAndDelete({ _id: id, status: PREVIEW_STATUS.PENDING });
+    if (preview) {
+      logger.info(`🚫 Upload preview cancelled: ${preview.originalName}`, { previewId: preview._id, by: user?.email });
+    }
+    return preview;
+  }
+}
+
+module.exports = new UploadPreviewService();
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Student = require('../models/Student');
+const PerformanceHistory = require('../models/PerformanceHistory');
+const queueManager = require('../config/queue');
+const { WEBHOOK_EVENTS, DELIVERY_STATUS, WEBHOOK_CONFIG } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Webhook Service
+ * Sends Skorly events to subscribed webhooks. Each event is stored as one
+ * delivery per webhook and queued on 'webhook-delivery', which retries failed
+ * attempts with backoff. Bodies are signed with HMAC-SHA256 over
+ * "<timestamp>.<body>" using the webhook's secret.
+ */
+class WebhookService {
+  /**
+   * Signature header value for a body sent at `timestamp` (Unix seconds)
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Store and queue a delivery of `event` to every webhook subscribed to it
+   * Best-effort: failures are logged, never thrown
+   */
+  async emit(event, data) {
+    const summary = { event, deliveries: 0 };
+
+    try {
+      const webhooks = await Webhook.findSubscribers(event);
+
+      for (const webhook of webhooks) {
+        const delivery = new WebhookDelivery({ webhookId: webhook._id, event });
+        delivery.payload = JSON.stringify({
+          id: String(delivery._id),
+          event,
+          createdAt: new Date().toISOString(),
+          data
+        });
+        await delivery.save();
+        await this.enqueue(delivery);
+        summary.deliveries++;
+      }
+
+      if (summary.deliveries > 0) {
+        logger.debug(`🪝 ${event} queued for ${summary.deliveries} webhooks`);
+      }
+    } catch (error) {
+      logger.error(`Webhook event ${event} failed: ${error.message}`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Queue a stored delivery; without Redis it gets one direct attempt instead
+   */
+  async enqueue(delivery) {
+    try {
+      const job = await queueManager.addWebhookDelivery(delivery._id);
+      if (job) return;
+    } catch (error) {
+      logger.warn(`Webhook delivery ${delivery._id} not queued: ${error.message}`);
+    }
+
+    await this.deliver(delivery._id).catch(() => {});
+  }
+
+  /**
+   * Send a delivery once and record the attempt
+   * Throws when the attempt failed and isn't the last, so the queue retries it
+   */
+  async deliver(deliveryId, { final = true } = {}) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery || delivery.status === DELIVERY_STATUS.DELIVERED) return delivery;
+
+    const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+    if (!webhook) {
+      delivery.recordAttempt({ durationMs: 0, error: 'Webhook was deleted', final: true });
+      await delivery.save();
+      return delivery;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+    const attempt = { final };
+
+    try {
+      const response = await axios.post(webhook.url, delivery.payload, {
+        // Straight to the network, even while platform fetches are recorded or replayed
+        adapter: 'http',
+        timeout: WEBHOOK_CONFIG.TIMEOUT,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        transformResponse: [body => body],
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Skorly-Webhooks/1.0',
+          'X-Skorly-Event': delivery.event,
+          'X-Skorly-Delivery': String(delivery._id),
+          'X-Skorly-Timestamp': String(timestamp),
+          [WEBHOOK_CONFIG.SIGNATURE_HEADER]: this.sign(webhook.secret, timestamp, delivery.payload)
+        }
+      });
+
+      attempt.responseStatus = response.status;
+      attempt.responseBody = typeof response.data === 'string'
+        ? response.data.slice(0, WEBHOOK_CONFIG.RESPONSE_BODY_LIMIT)
+        : null;
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `Responded with ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+
+    attempt.durationMs = Date.now() - startTime;
+    delivery.recordAttempt(attempt);
+    await delivery.save();
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { lastDeliveryAt: new Date(), lastDeliveryStatus: delivery.status }
+    );
+
+    if (attempt.error) {
+      logger.warn(`Webhook delivery ${delivery._id} to ${webhook.name} failed: ${attempt.error}`);
+      if (!final) throw new Error(attempt.error);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Send a stored delivery again as a new delivery with the same body
+   */
+  async replay(deliveryId) {
+    const original = await WebhookDelivery.findById(deliveryId);
+    if (!original) return null;
+
+    const delivery = await WebhookDelivery.create({
+      webhookId: original.webhookId,
+      event: original.event,
+      payload: original.payload,
+      replayOf: original._id
+    });
+    await this.enqueue(delivery);
+
+    return WebhookDelivery.findById(delivery._id);
+  }
+
+  /**
+   * Emit student.level_changed for each student whose performance level in
+   * the run `jobId` differs from their previous run
+   */
+  async emitLevelChanges({ jobId, source }) {
+    try {
+      const regNos = await PerformanceHistory.distinct('regNo', { uploadJobId: jobId });
+      if (regNos.length === 0) return 0;
+
+      const [groups, students] = await Promise.all([
+        PerformanceHistory.getRecentRuns({ regNos, limit: 2 }),
+        Student.find({ regNo: { $in: regNos } }).select('regNo name department year').lean()
+      ]);
+      const byRegNo = new Map(students.map(student => [student.regNo, student]));
+
+      let changes = 0;
+      for (const { _id: regNo, runs: [latest, previous] } of groups) {
+        if (!latest || !previous || latest.uploadJobId !== jobId) continue;
+        if (latest.performanceLevel === previous.performanceLevel) continue;
+
+        const student = byRegNo.get(regNo) || {};
+        await this.emit(WEBHOOK_EVENTS.STUDENT_LEVEL_CHANGED, {
+          regNo,
+          name: student.name || null,
+          department: student.department || null,
+          year: student.year || null,
+          previousLevel: previous.performanceLevel,
+          level: latest.performanceLevel,
+          previousScore: previous.overallScore,
+          score: latest.overallScore,
+          weekLabel: latest.weekLabel,
+          jobId,
+          source
+        });
+        changes++;
+      }
+
+      return changes;
+    } catch (error) {
+      logger.error(`Level change webhooks for ${jobId} failed: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Emit upload.completed for a finished upload job
+   */
+  emitUploadCompleted(uploadJob) {
+    return this.emit(WEBHOOK_EVENTS.UPLOAD_COMPLETED, {
+      jobId: uploadJob.jobId,
+      fileName: uploadJob.originalName,
+      weekLabel: uploadJob.weekInfo ? uploadJob.weekInfo.weekLabel : null,
+      students: {
+        total: uploadJob.progress.total,
+        successful: uploadJob.progress.successful,
+        failed: uploadJob.progress.failed
+      },
+      durationMs: uploadJob.processingStats ? uploadJob.processingStats.duration : null,
+      completedAt: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new WebhookService();
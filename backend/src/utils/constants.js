@@ -3,7 +3,9 @@
  * Centralized constants for the application
  */
 
-// Supported platforms
+// Platform IDs referenced by name in code
+// The full list of supported platforms, with their API config, lives in the
+// platform registry (src/platforms)
 const PLATFORMS = {
   CODEFORCES: 'codeforces',
   CODECHEF: 'codechef',
@@ -11,87 +13,70 @@ const PLATFORMS = {
   ATCODER: 'atcoder',
   CODOLIO: 'codolio',
   GITHUB: 'github',
+  GEEKSFORGEEKS: 'geeksforgeeks',
+  HACKERRANK: 'hackerrank',
+  HACKEREARTH: 'hackerearth',
 };
 
-// Platform display names
-const PLATFORM_NAMES = {
-  [PLATFORMS.CODEFORCES]: 'Codeforces',
-  [PLATFORMS.CODECHEF]: 'CodeChef',
-  [PLATFORMS.LEETCODE]: 'LeetCode',
-  [PLATFORMS.ATCODER]: 'AtCoder',
-  [PLATFORMS.CODOLIO]: 'Codolio',
-  [PLATFORMS.GITHUB]: 'GitHub',
-};
-
-// Platform API endpoints
-const PLATFORM_APIS = {
-  [PLATFORMS.CODEFORCES]: {
-    BASE_URL: 'https://codeforces.com/api',
-    USER_INFO: '/user.info',
-    USER_STATUS: '/user.status',
-    USER_RATING: '/user.rating',
-    RATE_LIMIT: 5, // requests per second
-    TIMEOUT: 10000, // 10 seconds
+// Codolio aggregates other platforms; map its platform names to ours
+const CODOLIO_CONFIG = {
+  PLATFORM_MAP: {
+    codeforces: PLATFORMS.CODEFORCES,
+    codechef: PLATFORMS.CODECHEF,
+    leetcode: PLATFORMS.LEETCODE,
+    atcoder: PLATFORMS.ATCODER,
+    github: PLATFORMS.GITHUB,
+    geeksforgeeks: PLATFORMS.GEEKSFORGEEKS,
+    hackerrank: PLATFORMS.HACKERRANK,
+    hackerearth: PLATFORMS.HACKEREARTH,
   },
-  [PLATFORMS.LEETCODE]: {
-    BASE_URL: 'https://leetcode.com/graphql',
-    TIMEOUT: 15000, // 15 seconds
-    RATE_LIMIT: 2, // requests per second
-  },
-  [PLATFORMS.CODECHEF]: {
-    BASE_URL: 'https://www.codechef.com',
-    TIMEOUT: 12000, // 12 seconds
-    RATE_LIMIT: 1, // requests per second
-  },
-  [PLATFORMS.ATCODER]: {
-    BASE_URL: 'https://atcoder.jp',
-    TIMEOUT: 10000, // 10 seconds
-    RATE_LIMIT: 2, // requests per second
-  },
-  [PLATFORMS.CODOLIO]: {
-    BASE_URL: 'https://codolio.com',
-    TIMEOUT: 10000, // 10 seconds
-    RATE_LIMIT: 3, // requests per second
-  },
-  [PLATFORMS.GITHUB]: {
-    BASE_URL: 'https://api.github.com',
-    TIMEOUT: 10000, // 10 seconds
-    RATE_LIMIT: 10, // requests per second (with auth)
+  // When false, handles found on Codolio are only stored as suggestions
+  WRITE_BACK_DISCOVERED_IDS: process.env.CODOLIO_WRITE_BACK_IDS === 'true',
+};
+
+// Platform fetch recording (live hits the sites, record saves their
+// responses as fixtures, replay serves fetches from those fixtures only)
+const PLATFORM_FETCH_CONFIG = {
+  MODES: {
+    LIVE: 'live',
+    RECORD: 'record',
+    REPLAY: 'replay',
   },
+  MODE: process.env.PLATFORM_FETCH_MODE || 'live',
+  RECORDINGS_DIR: process.env.PLATFORM_RECORDINGS_DIR || './tests/fixtures/recordings',
 };
 
 // Excel file configuration
 const EXCEL_CONFIG = {
   MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
   ALLOWED_EXTENSIONS: ['.xlsx', '.xls'],
+  // Student detail columns; platform ID columns come from the platform registry
   REQUIRED_COLUMNS: [
     'Name',
     'Reg No',
     'Dept',
     'Year',
-    'CodeChef ID',
-    'LeetCode ID',
-    'Codeforces ID',
-    'AtCoder ID',
-    'Codolio ID',
-    'GitHub ID',
   ],
   COLUMN_MAPPING: {
     'Name': 'name',
     'Reg No': 'regNo',
     'Dept': 'department',
     'Year': 'year',
-    'CodeChef ID': 'codechef',
-    'LeetCode ID': 'leetcode',
-    'Codeforces ID': 'codeforces',
-    'AtCoder ID': 'atcoder',
-    'Codolio ID': 'codolio',
-    'GitHub ID': 'github',
   },
   MAX_STUDENTS: 1000, // Maximum students per upload
   MIN_STUDENTS: 1, // Minimum students per upload
 };
 
+// Upload dry runs, waiting for the uploader to confirm or cancel
+const PREVIEW_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+};
+
+const PREVIEW_CONFIG = {
+  TTL_HOURS: 24, // Unconfirmed previews are dropped after this
+};
+
 // Job statuses
 const JOB_STATUS = {
   PENDING: 'pending',
@@ -193,20 +178,6 @@ const RATE_LIMITS = {
     WINDOW_MS: 15 * 60 * 1000, // 15 minutes
     MAX_REQUESTS: 100, // 100 requests per 15 minutes
   },
-  PLATFORM_API: {
-    [PLATFORMS.CODEFORCES]: {
-      REQUESTS_PER_SECOND: 5,
-      BURST_LIMIT: 10,
-    },
-    [PLATFORMS.LEETCODE]: {
-      REQUESTS_PER_SECOND: 2,
-      BURST_LIMIT: 5,
-    },
-    [PLATFORMS.CODECHEF]: {
-      REQUESTS_PER_SECOND: 1,
-      BURST_LIMIT: 3,
-    },
-  },
 };
 
 // Validation rules
@@ -264,6 +235,224 @@ const SCORING_WEIGHTS = {
   CONTESTS: 0.2, // 20% weight
 };
 
+// Stat values that earn the full 100 on each score component
+const SCORE_SCALE = {
+  RATING: 800,
+  PROBLEMS_SOLVED: 200,
+  CONTESTS: 10,
+};
+
+// Solved problems count in medium-problem equivalents, so the problems cap
+// keeps its meaning; problems without a difficulty count as medium
+const DIFFICULTY_WEIGHTS = {
+  EASY: 0.5,
+  MEDIUM: 1,
+  HARD: 2,
+};
+
+// How a platform rating becomes the rating score component: against the cap,
+// as a percentile within our cohort, or against a reference distribution
+const RATING_SCALES = {
+  CAP: 'cap',
+  COHORT: 'cohort',
+  REFERENCE: 'reference',
+};
+
+// Default reference distributions as [rating, percentile] breakpoints, a rough
+// picture of each platform's rated users; ratings in between are interpolated
+const RATING_REFERENCE_PERCENTILES = {
+  codeforces: [[0, 0], [1000, 25], [1200, 45], [1400, 65], [1600, 80], [1900, 92], [2100, 96], [2400, 99], [3000, 100]],
+  codechef: [[0, 0], [1400, 30], [1600, 55], [1800, 75], [2000, 88], [2200, 95], [2500, 99], [3000, 100]],
+  leetcode: [[0, 0], [1400, 20], [1500, 40], [1600, 60], [1800, 82], [2000, 93], [2200, 97.5], [2500, 99.5], [3000, 100]],
+  atcoder: [[0, 0], [400, 35], [800, 60], [1200, 78], [1600, 90], [2000, 96], [2400, 99], [2800, 100]],
+};
+
+// Topics tracked for mastery analysis; each adapter maps its own tags onto them
+const TOPICS = {
+  dp: 'Dynamic Programming',
+  graphs: 'Graphs',
+  trees: 'Trees',
+  greedy: 'Greedy',
+  math: 'Math',
+  numberTheory: 'Number Theory',
+  combinatorics: 'Combinatorics',
+  binarySearch: 'Binary Search',
+  strings: 'Strings',
+  dataStructures: 'Data Structures',
+  sorting: 'Sorting',
+  twoPointers: 'Two Pointers',
+  bitManipulation: 'Bit Manipulation',
+  geometry: 'Geometry',
+  implementation: 'Implementation',
+};
+
+// Daily activity calendar: days fetched when a handle has no stored activity
+// yet, and the longest range one request may read
+const ACTIVITY_CONFIG = {
+  HISTORY_DAYS: 365,
+  MAX_RANGE_DAYS: 366,
+  INACTIVE_DAYS: 14, // Days without an accepted submission before a student is flagged
+};
+
+// Alert rules evaluated after every scrape and upload
+const ALERT_RULES = {
+  SCORE_DROP: 'score_drop',
+  RATING_DROP: 'rating_drop',
+  INACTIVITY: 'inactivity',
+  FETCH_FAILURES: 'fetch_failures',
+};
+
+const ALERT_STATUS = {
+  OPEN: 'open',
+  ACKNOWLEDGED: 'acknowledged',
+  RESOLVED: 'resolved',
+};
+
+const ALERT_SEVERITY = {
+  INFO: 'info',
+  WARNING: 'warning',
+  CRITICAL: 'critical',
+};
+
+// Default rule thresholds, used until notification settings are saved
+const ALERT_CONFIG = {
+  SCORE_DROP_POINTS: 10, // Overall score lost since the previous run
+  RATING_DROP_POINTS: 50, // Rating lost in one contest
+  INACTIVE_DAYS: ACTIVITY_CONFIG.INACTIVE_DAYS,
+  FETCH_FAILURE_RUNS: 3, // Failed fetches in a row on one platform
+  RECENT_CONTEST_DAYS: 14, // Older rating drops are history, not news
+  HISTORY_WINDOW: 10, // Runs read back per student, so at most this many failures in a row are seen
+};
+
+// Weekly email digest, sent over plain SMTP after the weekly scrape
+const EMAIL_CONFIG = {
+  SMTP_HOST: process.env.SMTP_HOST || 'localhost',
+  SMTP_PORT: parseInt(process.env.SMTP_PORT, 10) || 1025,
+  SMTP_SECURE: process.env.SMTP_SECURE === 'true',
+  SMTP_USER: process.env.SMTP_USER || null,
+  SMTP_PASS: process.env.SMTP_PASS || null,
+  FROM: process.env.DIGEST_FROM || 'Skorly <skorly@localhost>',
+  TOP_N: 5, // Improvers and decliners listed per digest
+  MAX_INACTIVE_ROWS: 20,
+  MAX_RECIPIENTS: 50,
+};
+
+// Events webhooks can subscribe to
+const WEBHOOK_EVENTS = {
+  UPLOAD_COMPLETED: 'upload.completed',
+  SCRAPE_COMPLETED: 'scrape.completed',
+  STUDENT_LEVEL_CHANGED: 'student.level_changed',
+  ALERT_TRIGGERED: 'alert.triggered',
+};
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  RETRYING: 'retrying',
+  DELIVERED: 'delivered',
+  FAILED: 'failed',
+};
+
+// Webhook deliveries go through the 'webhook-delivery' queue
+const WEBHOOK_CONFIG = {
+  MAX_ATTEMPTS: 5,
+  RETRY_DELAY: 10000, // Doubles after each failed attempt
+  TIMEOUT: 10000,
+  RESPONSE_BODY_LIMIT: 1000, // Characters of the response kept in the delivery log
+  SIGNATURE_HEADER: 'X-Skorly-Signature',
+  MAX_WEBHOOKS: 20,
+};
+
+// Dashboard user roles
+const ROLES = {
+  ADMIN: 'admin', // Everything, including settings, webhooks and users
+  COORDINATOR: 'coordinator', // Faculty coordinators: uploads, scrapes and alerts
+  VIEWER: 'viewer', // Read-only
+  STUDENT: 'student', // Their own dashboard through the student portal
+};
+
+// Roles that can use the faculty dashboard, as opposed to the student portal
+const STAFF_ROLES = [ROLES.ADMIN, ROLES.COORDINATOR, ROLES.VIEWER];
+
+// Login tokens and password hashing
+const AUTH_CONFIG = {
+  JWT_SECRET: process.env.JWT_SECRET || null,
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '12h',
+  BCRYPT_ROUNDS: parseInt(process.env.BCRYPT_ROUNDS, 10) || 12,
+  MIN_PASSWORD_LENGTH: 8,
+};
+
+// Student portal
+const PORTAL_CONFIG = {
+  HISTORY_RUNS: 12, // Score history points shown to the student
+  GENERATED_PASSWORD_BYTES: 9, // Starting passwords for generated student logins (12 base64url characters)
+  MAX_NOTE_LENGTH: 300,
+};
+
+// Platform handle correction requests
+const CORRECTION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+// Audit trail of changes made to students through the API and confirmed upload previews
+const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  ACTIVATE: 'activate',
+  DEACTIVATE: 'deactivate',
+};
+
+const AUDIT_SOURCES = {
+  MANUAL: 'manual', // Created or edited one at a time
+  BULK: 'bulk', // A bulk activate or deactivate
+  CORRECTION: 'correction', // An approved handle correction
+  UPLOAD: 'upload', // A confirmed upload preview
+  SUGGESTION: 'suggestion', // A handle found on Codolio, accepted or written back
+};
+
+// Student and weekly comparison exports
+const EXPORT_CONFIG = {
+  FORMATS: ['json', 'csv', 'xlsx'],
+  BATCH_SIZE: 200, // Students read and written per round trip while streaming
+  // Columns when the request doesn't pick any; platformScores expands to columns (CSV) or sheets (XLSX) per platform
+  STUDENT_FIELDS: ['regNo', 'name', 'department', 'year', 'overallScore', 'performanceLevel', 'trend', 'platformScores', 'lastUpdated'],
+  COMPARISON_FIELDS: ['regNo', 'name', 'department', 'year', 'weekLabel', 'previousScore', 'overallScore', 'change', 'performanceLevel', 'platformScores'],
+  CONTENT_TYPES: {
+    json: 'application/json; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  },
+};
+
+// Generated PDF reports
+const REPORT_TYPES = {
+  WEEKLY: 'weekly', // A week across the cohort against the week before
+  DEPARTMENT: 'department', // Every student of one department for a week
+  STUDENT: 'student', // One student's score history and platforms
+  GROWTH: 'growth', // Average score and levels over the last weeks
+};
+
+const REPORT_TRIGGERS = {
+  MANUAL: 'manual', // Generated from the Reports page
+  SCHEDULED: 'scheduled', // After the weekly scrape
+};
+
+const REPORT_CONFIG = {
+  TOP_N: 10, // Students in each top, improvers and decliners table
+  GROWTH_WEEKS: 8, // Weeks a growth report covers unless asked for more
+  MAX_GROWTH_WEEKS: 52,
+  MAX_LIST: 100, // Reports per page of the list
+};
+
+// Stored scoring profile limits and re-scoring batch size
+const SCORING_PROFILE = {
+  DEFAULT_PLATFORM_WEIGHT: 1,
+  MAX_PLATFORM_WEIGHT: 10,
+  MAX_DIFFICULTY_WEIGHT: 10,
+  RESCORE_BATCH_SIZE: 500,
+};
+
 // Performance thresholds
 const PERFORMANCE_THRESHOLDS = {
   HIGH: 80,
@@ -274,9 +463,11 @@ const PERFORMANCE_THRESHOLDS = {
 // Export all constants
 module.exports = {
   PLATFORMS,
-  PLATFORM_NAMES,
-  PLATFORM_APIS,
+  CODOLIO_CONFIG,
+  PLATFORM_FETCH_CONFIG,
   EXCEL_CONFIG,
+  PREVIEW_STATUS,
+  PREVIEW_CONFIG,
   JOB_STATUS,
   FETCH_STATUS,
   PERFORMANCE_LEVELS,
@@ -292,5 +483,31 @@ module.exports = {
   PATHS,
   DATE_FORMATS,
   SCORING_WEIGHTS,
+  SCORE_SCALE,
+  DIFFICULTY_WEIGHTS,
+  RATING_SCALES,
+  RATING_REFERENCE_PERCENTILES,
+  TOPICS,
+  ACTIVITY_CONFIG,
+  ALERT_RULES,
+  ALERT_STATUS,
+  ALERT_SEVERITY,
+  ALERT_CONFIG,
+  EMAIL_CONFIG,
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUS,
+  WEBHOOK_CONFIG,
+  ROLES,
+  STAFF_ROLES,
+  AUTH_CONFIG,
+  PORTAL_CONFIG,
+  CORRECTION_STATUS,
+  AUDIT_ACTIONS,
+  AUDIT_SOURCES,
+  EXPORT_CONFIG,
+  REPORT_TYPES,
+  REPORT_TRIGGERS,
+  REPORT_CONFIG,
+  SCORING_PROFILE,
   PERFORMANCE_THRESHOLDS,
 };
\ No newline at end of file
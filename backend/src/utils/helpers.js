@@ -1,5 +1,5 @@
 const moment = require('moment');
-const { VALIDATION_RULES, PERFORMANCE_THRESHOLDS, TRENDS } = require('./constants');
+const { VALIDATION_RULES, TRENDS, DATE_FORMATS } = require('./constants');
 
 /**
  * Helper Functions
@@ -97,17 +97,14 @@ const sanitizeString = (str) => {
 };
 
 /**
- * Calculate performance level based on score
+ * Escape text for use inside HTML
  */
-const calculatePerformanceLevel = (score) => {
-  if (score >= PERFORMANCE_THRESHOLDS.HIGH) {
-    return 'high';
-  } else if (score >= PERFORMANCE_THRESHOLDS.MEDIUM) {
-    return 'medium';
-  } else {
-    return 'low';
-  }
-};
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
 
 /**
  * Calculate trend based on current and previous values
@@ -295,6 +292,13 @@ const retryWithBackoff = async (fn, maxRetries = 3, baseDelay = 1000) => {
   throw lastError;
 };
 
+/**
+ * UTC day of a date or timestamp as YYYY-MM-DD
+ */
+const formatDay = (date) => {
+  return moment.utc(date).format(DATE_FORMATS.DATE_ONLY);
+};
+
 /**
  * Chunk array into smaller arrays
  */
@@ -374,39 +378,12 @@ const validateEmail = (email) => {
   return emailRegex.test(email);
 };
 
-/**
- * Calculate overall score from platform scores
- */
-const calculateOverallScore = (platformScores) => {
-  if (!platformScores || platformScores.length === 0) {
-    return 0;
-  }
-  
-  let totalScore = 0;
-  let validPlatforms = 0;
-  
-  platformScores.forEach(platform => {
-    if (platform.fetchStatus === 'success') {
-      // Weighted scoring
-      const ratingScore = Math.min(platform.rating / 20, 40); // Max 40 points
-      const problemsScore = Math.min(platform.problemsSolved / 5, 40); // Max 40 points
-      const contestScore = Math.min(platform.contestsParticipated * 2, 20); // Max 20 points
-      
-      const platformScore = ratingScore + problemsScore + contestScore;
-      totalScore += platformScore;
-      validPlatforms++;
-    }
-  });
-  
-  return validPlatforms > 0 ? Math.round(totalScore / validPlatforms) : 0;
-};
-
 module.exports = {
   validateRegNo,
   validateName,
   validatePlatformId,
   sanitizeString,
-  calculatePerformanceLevel,
+  escapeHtml,
   calculateTrend,
   calculatePercentageChange,
   generateJobId,
@@ -416,11 +393,11 @@ module.exports = {
   deepClone,
   isEmpty,
   retryWithBackoff,
+  formatDay,
   chunkArray,
   sleep,
   safeGet,
   cleanObject,
   generateRandomString,
   validateEmail,
-  calculateOverallScore,
 };
\ No newline at end of file
@@ -4,6 +4,12 @@ const mongoose = require('mongoose');
 // Import services and models
 const platformService = require('../services/platformService');
 const comparisonService = require('../services/comparisonService');
+const contestService = require('../services/contestService');
+const activityService = require('../services/activityService');
+const alertService = require('../services/alertService');
+const webhookService = require('../services/webhookService');
+const scoringService = require('../services/scoringService');
+const studentService = require('../services/studentService');
 const Student = require('../models/Student');
 const PlatformStats = require('../models/PlatformStats');
 const PerformanceHistory = require('../models/PerformanceHistory');
@@ -11,7 +17,7 @@ const UploadJob = require('../models/UploadJob');
 
 // Import utilities
 const logger = require('../utils/logger');
-const { QUEUE_CONFIG, JOB_STATUS, FETCH_STATUS } = require('../utils/constants');
+const { QUEUE_CONFIG, JOB_STATUS, FETCH_STATUS, CODOLIO_CONFIG } = require('../utils/constants');
 const { generateWeekInfo } = require('../utils/helpers');
 
 // Import configurations
@@ -29,6 +35,8 @@ class StudentWorker {
     this.processedJobs = 0;
     this.failedJobs = 0;
     this.startTime = null;
+    this.scoringUploadJobId = null; // Upload the scoring profile and cohort were loaded for
+    this.scoringLoaded = null;
   }
 
   /**
@@ -172,9 +180,11 @@ class StudentWorker {
 
       // Step 2: Fetch platform stats
       const platformResults = await platformService.fetchStudentStats(student, uploadJobId);
+      await this.saveDiscoveredPlatformIds(student.regNo, platformResults.discoveredPlatformIds);
       await job.updateProgress(60);
 
-      // Step 3: Compare with previous data
+      // Step 3: Compare with previous data, scored with the profile the upload started with
+      await this.loadScoring(uploadJobId);
       const comparison = await comparisonService.compareStudentStats(
         student.regNo,
         platformResults,
@@ -185,6 +195,8 @@ class StudentWorker {
       // Step 4: Save platform stats and performance history
       await this.savePlatformStats(student.regNo, platformResults, uploadJobId);
       await this.savePerformanceHistory(student, platformResults, comparison, uploadJobId);
+      await contestService.syncStudentContests(student.regNo, student.platformIds);
+      await activityService.syncStudentActivity(student.regNo, student.platformIds);
       await job.updateProgress(95);
 
       // Step 5: Update upload job progress
@@ -230,6 +242,22 @@ class StudentWorker {
     }
   }
 
+  /**
+   * Load the active scoring profile and cohort once per upload job
+   * Every student of an upload is scored alike, and concurrent jobs of the
+   * same upload wait on the one load; a profile activated meanwhile applies
+   * from the next upload
+   */
+  async loadScoring(uploadJobId) {
+    if (this.scoringUploadJobId !== uploadJobId) {
+      this.scoringUploadJobId = uploadJobId;
+      this.scoringLoaded = scoringService.loadActiveProfile()
+        .then(() => scoringService.loadCohort());
+    }
+
+    return this.scoringLoaded;
+  }
+
   /**
    * Save or update student in database
    */
@@ -271,6 +299,35 @@ class StudentWorker {
     }
   }
 
+  /**
+   * Save platform IDs discovered on the student's Codolio profile
+   */
+  async saveDiscoveredPlatformIds(regNo, discoveredPlatformIds) {
+    if (!discoveredPlatformIds || Object.keys(discoveredPlatformIds).length === 0) {
+      return;
+    }
+
+    try {
+      const student = await Student.findByRegNo(regNo);
+      if (!student) return;
+
+      const suggested = await studentService.saveDiscoveredPlatformIds(student, discoveredPlatformIds);
+
+      logger.info('🔗 Platform IDs discovered on Codolio', {
+        regNo,
+        platforms: Object.keys(suggested),
+        writeBack: CODOLIO_CONFIG.WRITE_BACK_DISCOVERED_IDS
+      });
+
+    } catch (error) {
+      // Discovery is best-effort, don't fail the job over it
+      logger.warn('⚠️ Failed to save discovered platform IDs', {
+        regNo,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Save platform statistics
    */
@@ -346,6 +403,7 @@ class StudentWorker {
         platformStats: [],
         overallScore: comparison.overallChange.score,
         performanceLevel: comparison.overallChange.performanceLevel,
+        scoringVersion: scoringService.profile.version,
         totalPlatforms: platformResults.totalPlatforms,
         activePlatforms: platformResults.successfulPlatforms
       });
@@ -409,6 +467,13 @@ class StudentWorker {
 
       await uploadJob.save();
 
+      // The last student of the upload evaluates the alert rules and notifies webhooks
+      if (uploadJob.status === JOB_STATUS.COMPLETED) {
+        await alertService.evaluate({ source: 'upload', jobId: uploadJobId });
+        await webhookService.emitLevelChanges({ jobId: uploadJobId, source: 'upload' });
+        await webhookService.emitUploadCompleted(uploadJob);
+      }
+
     } catch (error) {
       logger.error('❌ Failed to update upload job progress', {
         uploadJobId,
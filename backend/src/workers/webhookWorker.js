@@ -0,0 +1,56 @@
+const { Worker } = require('bullmq');
+
+const webhookService = require('../services/webhookService');
+const queueManager = require('../config/queue');
+const logger = require('../utils/logger');
+const { WEBHOOK_CONFIG } = require('../utils/constants');
+
+/**
+ * Webhook Worker
+ * Sends queued webhook deliveries. A failed attempt throws, so BullMQ retries
+ * it with backoff until the last attempt, which marks the delivery failed.
+ * Runs inside the API server; deliveries are small HTTP requests.
+ */
+class WebhookWorker {
+  constructor() {
+    this.worker = null;
+  }
+
+  /**
+   * Start processing the webhook delivery queue
+   */
+  start() {
+    if (this.worker) return this.worker;
+
+    this.worker = new Worker(
+      'webhook-delivery',
+      (job) => webhookService.deliver(job.data.deliveryId, {
+        final: job.attemptsMade + 1 >= (job.opts.attempts || WEBHOOK_CONFIG.MAX_ATTEMPTS)
+      }),
+      {
+        connection: queueManager.getRedisConnection(),
+        concurrency: 2
+      }
+    );
+
+    this.worker.on('failed', (job, err) => {
+      logger.debug('🪝 Webhook attempt failed', {
+        deliveryId: job.data.deliveryId,
+        attempts: job.attemptsMade,
+        error: err.message
+      });
+    });
+
+    this.worker.on('error', (err) => {
+      logger.error('❌ Webhook worker error', { error: err.message });
+    });
+
+    // Closed with the queues on shutdown
+    queueManager.workers.webhookDelivery = this.worker;
+
+    logger.info('✅ Webhook worker started');
+    return this.worker;
+  }
+}
+
+module.exports = new WebhookWorker();
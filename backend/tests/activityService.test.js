@@ -0,0 +1,207 @@
+const activityService = require('../src/services/activityService');
+const platformService = require('../src/services/platformService');
+const DailyActivity = require('../src/models/DailyActivity');
+const Student = require('../src/models/Student');
+
+describe('activityService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('fetches from the newest stored day, or a year back for a new handle', async () => {
+    jest.spyOn(DailyActivity, 'getLatestDate').mockImplementation(async (regNo, platform) =>
+      (platform === 'codeforces' ? '2026-10-10' : null));
+    const fetchActivity = jest.spyOn(platformService, 'fetchActivity').mockImplementation(async (platform) => {
+      if (platform === 'github') throw new Error('contribution calendar not found');
+      return [{ date: '2026-10-18', count: 2 }];
+    });
+    const bulkWrite = jest.spyOn(DailyActivity, 'bulkWrite').mockResolvedValue({});
+
+    const summary = await activityService.syncStudentActivity('cse1', {
+      codeforces: 'cf_user',
+      leetcode: 'lc_user',
+      github: 'gh_user',
+      codechef: 'cc_user'
+    });
+
+    expect(fetchActivity.mock.calls.map(([platform, , since]) => [platform, since.toISOString().slice(0, 10)]))
+      .toEqual([
+        ['leetcode', expect.any(String)],
+        ['codeforces', '2026-10-10'],
+        ['github', expect.any(String)]
+      ]);
+    const leetcodeSince = fetchActivity.mock.calls[0][2];
+    expect(Date.now() - leetcodeSince.getTime()).toBeGreaterThan(364 * 24 * 60 * 60 * 1000);
+
+    expect(summary).toEqual({
+      regNo: 'cse1',
+      synced: 2,
+      platforms: ['leetcode', 'codeforces'],
+      errors: [{ platform: 'github', platformUserId: 'gh_user', error: 'contribution calendar not found' }]
+    });
+    expect(bulkWrite.mock.calls[0][0]).toEqual([{
+      updateOne: {
+        filter: { regNo: 'CSE1', platform: 'leetcode', date: '2026-10-18' },
+        update: { $set: { platformUserId: 'lc_user', count: 2 } },
+        upsert: true
+      }
+    }]);
+  });
+
+  it('adds up a student\'s platforms per day', async () => {
+    const findByRegNo = jest.spyOn(DailyActivity, 'findByRegNo').mockReturnValue({
+      lean: async () => [
+        { date: '2026-10-01', platform: 'codeforces', count: 3 },
+        { date: '2026-10-01', platform: 'github', count: 5 },
+        { date: '2026-10-04', platform: 'leetcode', count: 2 }
+      ]
+    });
+    const getSolvingSummaries = jest.spyOn(DailyActivity, 'getSolvingSummaries').mockResolvedValue([]);
+
+    const activity = await activityService.getStudentActivity('CSE1', { from: '2026-09-01', to: '2026-10-19' });
+
+    expect(findByRegNo).toHaveBeenCalledWith('CSE1', { from: '2026-09-01', to: '2026-10-19' });
+    expect(activity).toEqual({
+      from: '2026-09-01',
+      to: '2026-10-19',
+      days: [
+        { date: '2026-10-01', count: 8, platforms: { codeforces: 3, github: 5 } },
+        { date: '2026-10-04', count: 2, platforms: { leetcode: 2 } }
+      ],
+      summary: {
+        activeDays: 2,
+        submissions: 10,
+        platforms: { codeforces: 3, github: 5, leetcode: 2 },
+        busiestDay: { date: '2026-10-01', count: 8 }
+      },
+      streaks: expect.objectContaining({ currentStreak: 0, longestStreak: 0, lastAcceptedDate: null })
+    });
+    expect(getSolvingSummaries).toHaveBeenCalledWith({ regNos: ['CSE1'], platforms: ['leetcode', 'codeforces'] });
+  });
+
+  it('keeps a known accepted count when a day is fetched again without one', async () => {
+    const bulkWrite = jest.spyOn(DailyActivity, 'bulkWrite').mockResolvedValue({});
+
+    await activityService.saveActivity('cse1', 'leetcode', 'lc_user', [
+      { date: '2026-10-17', count: 3, accepted: 1 },
+      { date: '2026-10-18', count: 2, accepted: null }
+    ]);
+
+    expect(bulkWrite.mock.calls[0][0].map(({ updateOne }) => updateOne.update.$set)).toEqual([
+      { platformUserId: 'lc_user', count: 3, accepted: 1 },
+      { platformUserId: 'lc_user', count: 2 }
+    ]);
+  });
+
+  it('counts streaks of consecutive solving days', () => {
+    const dates = ['2026-10-01', '2026-10-02', '2026-10-03', '2026-10-10', '2026-10-17', '2026-10-18'];
+
+    expect(activityService.getStreaks(dates, '2026-10-17', '2026-10-19')).toEqual({
+      currentStreak: 2,
+      longestStreak: 3,
+      lastActiveDate: '2026-10-18',
+      lastAcceptedDate: '2026-10-17',
+      daysSinceLastActive: 1,
+      daysSinceLastAccepted: 2
+    });
+    // Two days without solving end the current streak
+    expect(activityService.getStreaks(dates, '2026-10-17', '2026-10-20').currentStreak).toBe(0);
+    expect(activityService.getStreaks([], null, '2026-10-19')).toEqual({
+      currentStreak: 0,
+      longestStreak: 0,
+      lastActiveDate: null,
+      lastAcceptedDate: null,
+      daysSinceLastActive: null,
+      daysSinceLastAccepted: null
+    });
+  });
+
+  it('flags students without a recent accepted submission, never-accepted first', async () => {
+    const today = new Date('2026-10-19T12:00:00Z');
+    jest.useFakeTimers({ now: today, doNotFake: ['nextTick', 'setImmediate'] });
+    const find = jest.spyOn(Student, 'find').mockReturnValue({
+      select: () => ({
+        lean: async () => [
+          { regNo: 'CSE1', name: 'Active', department: 'CSE', year: '3rd Year', platformIds: { leetcode: 'a' } },
+          { regNo: 'CSE2', name: 'Quiet', department: 'CSE', year: '3rd Year', platformIds: { codeforces: 'b' } },
+          { regNo: 'CSE3', name: 'Never', department: 'CSE', year: '3rd Year', platformIds: { leetcode: 'c' } },
+          { regNo: 'CSE4', name: 'Silent', department: 'CSE', year: '3rd Year', platformIds: { codeforces: 'd' } },
+          { regNo: 'CSE5', name: 'GitHub only', department: 'CSE', year: '3rd Year', platformIds: { github: 'e' } }
+        ]
+      })
+    });
+    const getSolvingSummaries = jest.spyOn(DailyActivity, 'getSolvingSummaries').mockResolvedValue([
+      { _id: 'CSE1', dates: ['2026-10-18', '2026-10-19'], lastAcceptedDate: '2026-10-19' },
+      { _id: 'CSE2', dates: ['2026-09-30', '2026-10-01', '2026-10-10'], lastAcceptedDate: '2026-10-01' },
+      // Submitted, never accepted
+      { _id: 'CSE3', dates: ['2026-10-15'], lastAcceptedDate: null },
+      { _id: 'CSE4', dates: ['2026-08-01'], lastAcceptedDate: '2026-08-01' }
+    ]);
+
+    try {
+      const inactive = await activityService.getInactiveStudents({ days: 14, department: 'cse' });
+
+      expect(find).toHaveBeenCalledWith({ isActive: true, department: { $regex: 'cse', $options: 'i' } });
+      expect(getSolvingSummaries).toHaveBeenCalledWith({
+        regNos: ['CSE1', 'CSE2', 'CSE3', 'CSE4'],
+        platforms: ['leetcode', 'codeforces']
+      });
+      expect(inactive.students.map(({ regNo, daysSinceLastAccepted }) => [regNo, daysSinceLastAccepted]))
+        .toEqual([['CSE3', null], ['CSE4', 79], ['CSE2', 18]]);
+      expect(inactive.students[2]).toEqual({
+        regNo: 'CSE2',
+        name: 'Quiet',
+        department: 'CSE',
+        year: '3rd Year',
+        lastAcceptedDate: '2026-10-01',
+        daysSinceLastAccepted: 18,
+        lastActiveDate: '2026-10-10',
+        currentStreak: 0,
+        longestStreak: 2
+      });
+      expect(inactive.summary).toEqual({ considered: 4, inactive: 3, untracked: 1 });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('defaults to the last year, today included', () => {
+    expect(activityService.getRange({ to: '2026-10-19' })).toEqual({ from: '2025-10-20', to: '2026-10-19' });
+  });
+
+  it('counts active students per day, for a department when asked', async () => {
+    const find = jest.spyOn(Student, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [{ regNo: 'CSE1' }, { regNo: 'CSE2' }] })
+    });
+    const getCohortDays = jest.spyOn(DailyActivity, 'getCohortDays').mockResolvedValue([
+      { _id: '2026-10-01', activeStudents: 2, submissions: 9 },
+      { _id: '2026-10-02', activeStudents: 1, submissions: 1 }
+    ]);
+
+    const activity = await activityService.getCohortActivity({ from: '2026-10-01', to: '2026-10-10', department: 'cse' });
+
+    expect(find).toHaveBeenCalledWith({ isActive: true, department: { $regex: 'cse', $options: 'i' } });
+    expect(getCohortDays).toHaveBeenCalledWith({ from: '2026-10-01', to: '2026-10-10', regNos: ['CSE1', 'CSE2'] });
+    expect(activity).toEqual({
+      from: '2026-10-01',
+      to: '2026-10-10',
+      students: 2,
+      days: [
+        { date: '2026-10-01', activeStudents: 2, submissions: 9 },
+        { date: '2026-10-02', activeStudents: 1, submissions: 1 }
+      ],
+      summary: {
+        activeDays: 2,
+        submissions: 10,
+        // 3 student-days over a 10-day range
+        averageActiveStudents: 0.3,
+        busiestDay: { date: '2026-10-01', activeStudents: 2, submissions: 9 }
+      }
+    });
+
+    await activityService.getCohortActivity({ from: '2026-10-01', to: '2026-10-10' });
+    // Deactivated students' submissions aren't counted
+    expect(find).toHaveBeenLastCalledWith({ isActive: true });
+    expect(getCohortDays).toHaveBeenLastCalledWith({ from: '2026-10-01', to: '2026-10-10', regNos: ['CSE1', 'CSE2'] });
+  });
+});
@@ -0,0 +1,137 @@
+const alertService = require('../src/services/alertService');
+const activityService = require('../src/services/activityService');
+const webhookService = require('../src/services/webhookService');
+const Alert = require('../src/models/Alert');
+const NotificationSettings = require('../src/models/NotificationSettings');
+const Student = require('../src/models/Student');
+const PerformanceHistory = require('../src/models/PerformanceHistory');
+const ContestResult = require('../src/models/ContestResult');
+
+const STUDENTS = [
+  { regNo: 'CSE1', name: 'Asha', platformIds: { leetcode: 'asha_lc', codeforces: 'asha_cf' } },
+  { regNo: 'CSE2', name: 'Ravi', platformIds: { codeforces: 'ravi_cf' } }
+];
+
+const run = (id, overallScore, errors = []) => ({
+  _id: `history_${id}`,
+  uploadJobId: `job_${id}`,
+  weekLabel: `Week ${id}`,
+  uploadDate: new Date(`2026-10-${String(id).padStart(2, '0')}T00:00:00Z`),
+  overallScore,
+  platformStats: [],
+  errors
+});
+
+const mockSettings = (overrides = {}) => {
+  const settings = new NotificationSettings(overrides);
+  jest.spyOn(NotificationSettings, 'getCurrent').mockResolvedValue(settings);
+};
+
+describe('alertService', () => {
+  beforeEach(() => {
+    jest.spyOn(webhookService, 'emit').mockResolvedValue({ deliveries: 0 });
+    jest.spyOn(Student, 'find').mockReturnValue({ select: () => ({ lean: async () => STUDENTS }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('evaluates nothing while performance alerts are switched off', async () => {
+    mockSettings({ performanceAlerts: false });
+    const raise = jest.spyOn(Alert, 'raise');
+
+    const summary = await alertService.evaluate({ source: 'scrape', jobId: 'job_1' });
+
+    expect(summary).toMatchObject({ evaluated: false, triggered: 0 });
+    expect(Student.find).not.toHaveBeenCalled();
+    expect(raise).not.toHaveBeenCalled();
+  });
+
+  it('flags score drops and platforms failing several runs in a row', async () => {
+    mockSettings({ alertRules: { ratingDrop: { enabled: false }, inactivity: { enabled: false } } });
+    const cfError = { platform: 'codeforces', error: 'Codeforces user not found' };
+    jest.spyOn(PerformanceHistory, 'getRecentRuns').mockResolvedValue([
+      // 72 -> 60 is a 12 point drop, over the default 10
+      { _id: 'CSE1', runs: [run(3, 60), run(2, 72), run(1, 70)] },
+      { _id: 'CSE2', runs: [run(4, 50, [cfError]), run(3, 51, [cfError]), run(2, 52, [cfError]), run(1, 52)] }
+    ]);
+    const raise = jest.spyOn(Alert, 'raise').mockResolvedValue(true);
+
+    const summary = await alertService.evaluate({ source: 'upload', jobId: 'job_4' });
+
+    expect(summary).toMatchObject({
+      evaluated: true,
+      triggered: 2,
+      rules: { score_drop: 1, fetch_failures: 1 },
+      errors: []
+    });
+    expect(raise.mock.calls.map(([alert]) => alert)).toEqual([
+      expect.objectContaining({
+        key: 'score_drop:CSE1:history_3',
+        rule: 'score_drop',
+        severity: 'warning',
+        regNo: 'CSE1',
+        title: 'Asha\'s score dropped 12 points',
+        source: 'upload',
+        sourceJobId: 'job_4'
+      }),
+      expect.objectContaining({
+        // Keyed by the first failed run, so later runs don't raise it again
+        key: 'fetch_failures:CSE2:codeforces:job_2',
+        rule: 'fetch_failures',
+        severity: 'critical',
+        platform: 'codeforces',
+        message: 'Failed 3 runs in a row for ravi_cf: Codeforces user not found'
+      })
+    ]);
+  });
+
+  it('flags recent rating drops and quiet students, counting only new alerts', async () => {
+    mockSettings({ alertRules: { scoreDrop: { enabled: false }, fetchFailures: { enabled: false } } });
+    const findContests = jest.spyOn(ContestResult, 'find').mockReturnValue({
+      lean: async () => [{
+        regNo: 'CSE1',
+        platform: 'codeforces',
+        contestId: '2050',
+        contestName: 'Codeforces Round 990',
+        oldRating: 1500,
+        newRating: 1420,
+        ratingChange: -80
+      }]
+    });
+    const getInactiveStudents = jest.spyOn(activityService, 'getInactiveStudents').mockResolvedValue({
+      students: [{ regNo: 'CSE2', name: 'Ravi', lastAcceptedDate: '2026-09-20', daysSinceLastAccepted: 29 }]
+    });
+    // The rating drop was raised by an earlier evaluation
+    const raise = jest.spyOn(Alert, 'raise').mockImplementation(async (alert) => alert.rule !== 'rating_drop');
+
+    const summary = await alertService.evaluate({ source: 'scrape' });
+
+    expect(findContests.mock.calls[0][0]).toMatchObject({
+      regNo: { $in: ['CSE1', 'CSE2'] },
+      ratingChange: { $lte: -50 }
+    });
+    expect(getInactiveStudents).toHaveBeenCalledWith({ days: 14 });
+    expect(raise.mock.calls.map(([alert]) => [alert.key, alert.title])).toEqual([
+      ['rating_drop:CSE1:codeforces:2050', 'Asha lost 80 rating on Codeforces'],
+      ['inactivity:CSE2:2026-09-20', 'Ravi has gone quiet']
+    ]);
+    expect(summary).toMatchObject({ triggered: 1, rules: { rating_drop: 0, inactivity: 1 } });
+    // Only the new alert reaches webhooks
+    expect(webhookService.emit.mock.calls).toEqual([
+      ['alert.triggered', { alert: expect.objectContaining({ key: 'inactivity:CSE2:2026-09-20', source: 'scrape' }) }]
+    ]);
+  });
+
+  it('reports a failing rule and carries on with the rest', async () => {
+    mockSettings({ alertRules: { ratingDrop: { enabled: false }, fetchFailures: { enabled: false } } });
+    jest.spyOn(PerformanceHistory, 'getRecentRuns').mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(activityService, 'getInactiveStudents').mockResolvedValue({ students: [] });
+
+    const summary = await alertService.evaluate({ source: 'scrape' });
+
+    expect(summary.errors).toEqual([{ rule: 'score_drop', error: 'connection lost' }]);
+    expect(summary.rules).toEqual({ inactivity: 0 });
+  });
+});
@@ -0,0 +1,128 @@
+// Fast hashes and a fixed secret, read when constants are first loaded
+process.env.BCRYPT_ROUNDS = '4';
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const jwt = require('jsonwebtoken');
+const authService = require('../src/services/authService');
+const { protect, restrictTo } = require('../src/middleware/auth');
+const User = require('../src/models/User');
+const Student = require('../src/models/Student');
+
+const makeUser = async (overrides = {}) => {
+  const user = new User({ email: 'Asha@College.edu', name: 'Asha', role: 'coordinator', ...overrides });
+  await user.setPassword('correct horse');
+  return user;
+};
+
+// Runs a middleware and resolves to whatever it passed to next
+const run = (middleware, req) => new Promise((resolve) => {
+  middleware(req, {}, resolve);
+});
+
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+describe('authService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('logs in with the right password and records the login', async () => {
+    const user = await makeUser();
+    jest.spyOn(User, 'findByEmailWithPassword').mockResolvedValue(user);
+    const save = jest.spyOn(user, 'save').mockResolvedValue(user);
+
+    expect(await authService.login('asha@college.edu', 'correct horse')).toBe(user);
+    expect(save).toHaveBeenCalled();
+    expect(user.lastLoginAt).toBeInstanceOf(Date);
+    expect(user.toJSON()).not.toHaveProperty('passwordHash');
+  });
+
+  it('refuses a wrong password, an unknown email and a disabled user', async () => {
+    jest.spyOn(User, 'findByEmailWithPassword').mockResolvedValueOnce(await makeUser());
+    expect(await authService.login('asha@college.edu', 'wrong horse')).toBeNull();
+
+    jest.spyOn(User, 'findByEmailWithPassword').mockResolvedValueOnce(null);
+    expect(await authService.login('nobody@college.edu', 'correct horse')).toBeNull();
+
+    jest.spyOn(User, 'findByEmailWithPassword').mockResolvedValueOnce(await makeUser({ isActive: false }));
+    expect(await authService.login('asha@college.edu', 'correct horse')).toBeNull();
+  });
+
+  it('logs students in by register number while their student record is active', async () => {
+    const user = await makeUser({ email: undefined, role: 'student', regNo: 'CSE1' });
+    jest.spyOn(User, 'findByRegNoWithPassword').mockResolvedValue(user);
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    const exists = jest.spyOn(Student, 'exists').mockResolvedValueOnce({ _id: 'student' });
+
+    expect(await authService.loginStudent('cse1', 'correct horse')).toBe(user);
+    expect(exists).toHaveBeenCalledWith({ regNo: 'CSE1', isActive: true });
+
+    exists.mockResolvedValueOnce(null);
+    expect(await authService.loginStudent('cse1', 'correct horse')).toBeNull();
+  });
+
+  it('signs tokens carrying the user id and role', async () => {
+    const user = await makeUser();
+    const { token, expiresAt } = authService.signToken(user);
+    const payload = authService.verifyToken(token);
+
+    expect(payload).toMatchObject({ sub: String(user._id), role: 'coordinator' });
+    expect(new Date(expiresAt).getTime()).toBe(payload.exp * 1000);
+  });
+});
+
+describe('protect', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sets req.user for a valid token', async () => {
+    const user = await makeUser();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const req = bearer(authService.signToken(user).token);
+
+    expect(await run(protect, req)).toBeUndefined();
+    expect(req.user).toBe(user);
+  });
+
+  it('answers 401 without a token, or with a bad or expired one', async () => {
+    const user = await makeUser();
+    const expired = jwt.sign({ sub: String(user._id), role: user.role }, 'test-jwt-secret', { expiresIn: -10 });
+    const forged = jwt.sign({ sub: String(user._id), role: 'admin' }, 'another-secret');
+
+    const errors = await Promise.all([
+      run(protect, { headers: {} }),
+      run(protect, bearer(expired)),
+      run(protect, bearer(forged))
+    ]);
+
+    expect(errors.map(({ statusCode }) => statusCode)).toEqual([401, 401, 401]);
+    expect(errors.map(({ message }) => message)).toEqual([
+      'You are not logged in. Please log in to get access.',
+      'Your token has expired! Please log in again.',
+      'Invalid token. Please log in again!'
+    ]);
+  });
+
+  it('answers 401 once the user is disabled or their password changed', async () => {
+    const user = await makeUser();
+    const { token } = authService.signToken(user);
+
+    jest.spyOn(User, 'findById').mockResolvedValueOnce(await makeUser({ _id: user._id, isActive: false }));
+    expect((await run(protect, bearer(token))).statusCode).toBe(401);
+
+    user.passwordChangedAt = new Date(Date.now() + 60000);
+    jest.spyOn(User, 'findById').mockResolvedValueOnce(user);
+    expect((await run(protect, bearer(token))).message).toBe('Password was changed recently. Please log in again.');
+  });
+});
+
+describe('restrictTo', () => {
+  it('lets listed roles through and answers 403 to the rest', async () => {
+    const guard = restrictTo('admin', 'coordinator');
+
+    expect(await run(guard, { user: { role: 'coordinator' } })).toBeUndefined();
+    expect((await run(guard, { user: { role: 'viewer' } })).statusCode).toBe(403);
+    expect((await run(guard, {})).statusCode).toBe(403);
+  });
+});
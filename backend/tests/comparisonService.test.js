@@ -0,0 +1,100 @@
+const comparisonService = require('../src/services/comparisonService');
+const scoringService = require('../src/services/scoringService');
+const PerformanceHistory = require('../src/models/PerformanceHistory');
+const Student = require('../src/models/Student');
+
+const history = (uploadJobId, weekLabel, codeforces) => ({
+  regNo: '21CS001',
+  uploadJobId,
+  weekLabel,
+  uploadDate: new Date(),
+  platformStats: [
+    { platform: 'leetcode', rating: 1687, problemsSolved: 236, contestsParticipated: 12, fetchStatus: 'success' },
+    { platform: 'codeforces', fetchStatus: 'success', ...codeforces },
+    { platform: 'codechef', rating: 0, problemsSolved: 0, contestsParticipated: 0, fetchStatus: 'failed' }
+  ]
+});
+
+const mockHistories = (histories) => {
+  jest.spyOn(PerformanceHistory, 'find').mockReturnValue({
+    sort: () => ({ limit: () => ({ lean: async () => histories }) })
+  });
+};
+
+describe('comparisonService.getScoreBreakdown', () => {
+  beforeEach(() => {
+    jest.spyOn(scoringService, 'loadActiveProfile').mockResolvedValue(scoringService.getDefaultProfile());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('explains the latest score and the change from the previous week', async () => {
+    mockHistories([
+      history('week-2', 'Week 2', { rating: 1432, problemsSolved: 20, contestsParticipated: 6 }),
+      history('week-1', 'Week 1', { rating: 1432, problemsSolved: 4, contestsParticipated: 4 })
+    ]);
+
+    const breakdown = await comparisonService.getScoreBreakdown('21cs001');
+    const codeforces = breakdown.platforms.find(entry => entry.platform === 'codeforces');
+
+    // Codeforces: 40 + 4 + 12 = 56 against 40 + 0.8 + 8 = 48.8 the week before
+    expect(codeforces).toEqual(expect.objectContaining({ score: 56, previousScore: 48.8, change: 7.2 }));
+    expect(breakdown.overallScore).toBe(78);
+    expect(breakdown.previous).toEqual(expect.objectContaining({ weekLabel: 'Week 1', overallScore: 74 }));
+    expect(breakdown.change).toBe(4);
+    expect(breakdown.skippedPlatforms).toEqual(['codechef']);
+  });
+
+  it('has no previous week for a first upload and nothing without history', async () => {
+    mockHistories([history('week-1', 'Week 1', { rating: 1432, problemsSolved: 4, contestsParticipated: 4 })]);
+    const breakdown = await comparisonService.getScoreBreakdown('21CS001');
+
+    expect([breakdown.previous, breakdown.change]).toEqual([null, null]);
+    expect(breakdown.platforms.every(entry => entry.previousScore === null)).toBe(true);
+
+    mockHistories([]);
+    await expect(comparisonService.getScoreBreakdown('21CS001')).resolves.toBeNull();
+  });
+});
+
+describe('comparisonService.getPlatformHeatmap', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('scores each active student\'s latest run per platform', async () => {
+    jest.spyOn(scoringService, 'loadActiveProfile').mockResolvedValue(scoringService.getDefaultProfile());
+    const find = jest.spyOn(Student, 'find').mockReturnValue({
+      sort: () => ({
+        select: () => ({
+          lean: async () => [
+            { regNo: '21CS001', name: 'Asha', department: 'CSE', year: '3' },
+            { regNo: '21CS002', name: 'Ravi', department: 'CSE', year: '3' }
+          ]
+        })
+      })
+    });
+    jest.spyOn(PerformanceHistory, 'getRecentRuns').mockResolvedValue([
+      { _id: '21CS001', runs: [history('week-2', 'Week 2', { rating: 1432, problemsSolved: 4, contestsParticipated: 4 })] }
+    ]);
+
+    const heatmap = await comparisonService.getPlatformHeatmap({ department: 'cse' });
+
+    expect(find).toHaveBeenCalledWith({ isActive: true, department: { $regex: 'cse', $options: 'i' } });
+    // CodeChef failed to fetch, so it has no score; Ravi has no run yet
+    expect(heatmap).toEqual({
+      platforms: ['leetcode', 'codeforces'],
+      students: [{
+        regNo: '21CS001',
+        name: 'Asha',
+        department: 'CSE',
+        year: '3',
+        weekLabel: 'Week 2',
+        overallScore: 74,
+        platformScores: { leetcode: 100, codeforces: 48.8 }
+      }]
+    });
+  });
+});
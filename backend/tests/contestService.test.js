@@ -0,0 +1,189 @@
+jest.mock('../src/services/platformService', () => ({
+  fetchContestHistory: jest.fn(),
+  fetchContestStandings: jest.fn()
+}));
+
+const platformService = require('../src/services/platformService');
+const contestService = require('../src/services/contestService');
+const ContestResult = require('../src/models/ContestResult');
+const Student = require('../src/models/Student');
+
+const student = (regNo, platform, handle) => new Student({
+  regNo,
+  name: `Student ${regNo}`,
+  department: 'CSE',
+  year: '3',
+  platformIds: { [platform]: handle }
+});
+
+const CONTESTS = [
+  {
+    contestId: '1873',
+    contestName: 'Codeforces Round 898 (Div. 4)',
+    contestDate: new Date('2023-09-21T16:00:00Z'),
+    rank: 1290,
+    oldRating: 1337,
+    newRating: 1518,
+    problemsSolved: 5
+  },
+  {
+    contestId: '1921',
+    contestName: 'Codeforces Round 920 (Div. 3)',
+    contestDate: new Date('2024-01-17T00:00:00Z'),
+    rank: 5230,
+    oldRating: 1518,
+    newRating: 1432,
+    problemsSolved: null
+  }
+];
+
+describe('contestService', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  it('upserts one contest result per contest with its rating change', async () => {
+    const bulkWrite = jest.spyOn(ContestResult, 'bulkWrite').mockResolvedValue({});
+
+    const saved = await contestService.saveContestResults('21cs001', 'codeforces', 'sample_user', CONTESTS);
+
+    expect(saved).toBe(2);
+    const [operations] = bulkWrite.mock.calls[0];
+    expect(operations[1].updateOne.filter).toEqual({ regNo: '21CS001', platform: 'codeforces', contestId: '1921' });
+    expect(operations[1].updateOne.update.$set).toMatchObject({
+      platformUserId: 'sample_user',
+      ratingChange: -86,
+      problemsSolved: null
+    });
+    expect(operations[1].updateOne.upsert).toBe(true);
+  });
+
+  it('leaves the rating change empty when the old rating is unknown', () => {
+    expect(contestService.getRatingChange({ oldRating: null, newRating: 1512 })).toBeNull();
+    expect(contestService.getRatingChange({ oldRating: 0, newRating: 1204 })).toBe(1204);
+  });
+
+  it('syncs contest platforms only and reports failures without throwing', async () => {
+    jest.spyOn(ContestResult, 'bulkWrite').mockResolvedValue({});
+    platformService.fetchContestHistory.mockImplementation(async (platform) => {
+      if (platform === 'leetcode') throw new Error('LeetCode API rate limit exceeded');
+      return CONTESTS;
+    });
+
+    const summary = await contestService.syncStudentContests('21CS001', {
+      codeforces: 'sample_user',
+      leetcode: 'sample_user',
+      github: 'sample_user',
+      codechef: ''
+    });
+
+    expect(platformService.fetchContestHistory.mock.calls.map(([platform]) => platform))
+      .toEqual(['leetcode', 'codeforces']);
+    expect(summary).toEqual({
+      regNo: '21CS001',
+      synced: 2,
+      platforms: ['codeforces'],
+      errors: [{ platform: 'leetcode', platformUserId: 'sample_user', error: 'LeetCode API rate limit exceeded' }]
+    });
+  });
+
+  it('builds an oldest-first rating timeline and per-platform summary', () => {
+    const contests = [...CONTESTS].reverse().map(contest => ({ ...contest, platform: 'codeforces' }));
+
+    expect(contestService.buildRatingTimeline(contests).codeforces.map(point => point.rating))
+      .toEqual([1518, 1432]);
+    expect(contestService.buildPlatformSummary(contests)).toEqual({
+      codeforces: {
+        contests: 2,
+        currentRating: 1432,
+        maxRating: 1518,
+        bestRank: 1290,
+        lastContestDate: new Date('2024-01-17T00:00:00Z')
+      }
+    });
+  });
+
+  it('builds internal standings from live platform standings for our handles only', async () => {
+    jest.spyOn(Student, 'findByPlatform').mockResolvedValue([
+      student('21CS001', 'codeforces', 'sample_user'),
+      student('21CS002', 'codeforces', 'second_user'),
+      student('21CS003', 'codeforces', 'idle_user'),
+      student('21CS004', 'codeforces', 'absent_user')
+    ]);
+    platformService.fetchContestStandings.mockResolvedValue({
+      contestId: '1921',
+      contestName: 'Codeforces Round 920 (Div. 3)',
+      contestDate: new Date('2024-01-15T14:35:00Z'),
+      participants: [
+        { handle: 'idle_user', rank: 21877, problemsSolved: 0, points: 0, oldRating: 1105, newRating: 1012 },
+        { handle: 'Sample_User', rank: 6210, problemsSolved: 2, points: 2, oldRating: 1518, newRating: 1432 },
+        { handle: 'second_user', rank: 1840, problemsSolved: 4, points: 4, oldRating: 1380, newRating: 1455 },
+        { handle: 'someone_else', rank: 12, problemsSolved: 4, points: 4, oldRating: null, newRating: null }
+      ]
+    });
+
+    const result = await contestService.getContestStandings('codeforces', '1921');
+
+    expect(platformService.fetchContestStandings).toHaveBeenCalledWith(
+      'codeforces', '1921', ['sample_user', 'second_user', 'idle_user', 'absent_user']
+    );
+    expect(result.standings.map(({ position, regNo, ratingChange }) => [position, regNo, ratingChange]))
+      .toEqual([[1, '21CS002', 75], [2, '21CS001', -86], [3, '21CS003', -93]]);
+    expect(result.noSolves.map(entry => entry.regNo)).toEqual(['21CS003']);
+    expect(result.summary).toEqual({
+      trackedStudents: 4,
+      participants: 3,
+      solvedAny: 2,
+      noSolves: 1,
+      notParticipated: 1,
+      averageRatingChange: -35,
+      bestRank: 1840
+    });
+  });
+
+  it('builds standings from stored results, re-syncing first when asked', async () => {
+    const students = [
+      student('21CS001', 'leetcode', 'sample_user'),
+      student('21CS002', 'leetcode', 'second_user')
+    ];
+    jest.spyOn(Student, 'findByPlatform').mockResolvedValue(students);
+    jest.spyOn(ContestResult, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(ContestResult, 'find').mockReturnValue({
+      lean: async () => [{
+        regNo: '21CS001',
+        platformUserId: 'sample_user',
+        contestName: 'Weekly Contest 380',
+        contestDate: new Date('2024-01-14T02:30:00Z'),
+        rank: 9120,
+        problemsSolved: 3,
+        oldRating: 1643,
+        newRating: 1687
+      }]
+    });
+    platformService.fetchContestHistory.mockResolvedValue([]);
+
+    const result = await contestService.getContestStandings('leetcode', 'weekly-contest-380', { refresh: true });
+
+    expect(platformService.fetchContestStandings).not.toHaveBeenCalled();
+    expect(platformService.fetchContestHistory.mock.calls).toEqual([
+      ['leetcode', 'sample_user'],
+      ['leetcode', 'second_user']
+    ]);
+    expect(result.contest.contestName).toBe('Weekly Contest 380');
+    expect(result.standings).toEqual([expect.objectContaining({
+      position: 1,
+      regNo: '21CS001',
+      points: null,
+      ratingChange: 44
+    })]);
+    expect(result.summary.notParticipated).toBe(1);
+  });
+
+  it('returns null for a contest with no stored results', async () => {
+    jest.spyOn(Student, 'findByPlatform').mockResolvedValue([]);
+    jest.spyOn(ContestResult, 'find').mockReturnValue({ lean: async () => [] });
+
+    await expect(contestService.getContestStandings('codechef', 'START999')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,151 @@
+// The transport reads the port when constants load, so pick one before requiring
+process.env.SMTP_PORT = String(20000 + (process.pid % 10000));
+
+const { SMTPServer } = require('smtp-server');
+const digestService = require('../src/services/digestService');
+const activityService = require('../src/services/activityService');
+const NotificationSettings = require('../src/models/NotificationSettings');
+const Student = require('../src/models/Student');
+const PerformanceHistory = require('../src/models/PerformanceHistory');
+
+const STUDENTS = [
+  { regNo: 'CSE1', name: 'Asha', department: 'CSE' },
+  { regNo: 'CSE2', name: 'Ravi <R>', department: 'CSE' },
+  { regNo: 'ECE1', name: 'Meena', department: 'ECE' },
+  { regNo: 'ECE2', name: 'Kiran', department: 'ECE' }
+];
+
+const run = (week, overallScore) => ({
+  weekLabel: `Week ${week}`,
+  uploadDate: new Date(`2026-10-${String(week * 7).padStart(2, '0')}T00:00:00Z`),
+  overallScore
+});
+
+const RUNS = [
+  { _id: 'CSE1', runs: [run(2, 72), run(1, 60)] },
+  { _id: 'CSE2', runs: [run(2, 40), run(1, 55)] },
+  { _id: 'ECE1', runs: [run(2, 81), run(1, 80)] },
+  // Only one run, so it has a score but no change
+  { _id: 'ECE2', runs: [run(2, 50)] }
+];
+
+const INACTIVE = {
+  days: 14,
+  students: [
+    { regNo: 'ECE2', name: 'Kiran', department: 'ECE', lastAcceptedDate: null, daysSinceLastAccepted: null },
+    { regNo: 'CSE2', name: 'Ravi <R>', department: 'CSE', lastAcceptedDate: '2026-09-20', daysSinceLastAccepted: 29 }
+  ]
+};
+
+const mockSettings = (emailDigest) => {
+  jest.spyOn(NotificationSettings, 'getCurrent').mockResolvedValue(new NotificationSettings({ emailDigest }));
+};
+
+describe('digestService', () => {
+  let server;
+  let received;
+
+  beforeAll((done) => {
+    server = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['STARTTLS'],
+      logger: false,
+      onData(stream, session, callback) {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          received.push({
+            to: session.envelope.rcptTo.map(({ address }) => address),
+            message: Buffer.concat(chunks).toString()
+          });
+          callback();
+        });
+      }
+    });
+    server.listen(Number(process.env.SMTP_PORT), '127.0.0.1', done);
+  });
+
+  afterAll((done) => {
+    digestService.getTransport().close();
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    received = [];
+    jest.spyOn(Student, 'find').mockReturnValue({ select: () => ({ lean: async () => STUDENTS }) });
+    jest.spyOn(PerformanceHistory, 'getRecentRuns').mockResolvedValue(RUNS);
+    jest.spyOn(activityService, 'getInactiveStudents').mockResolvedValue(INACTIVE);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('builds movers, inactive students and department averages', async () => {
+    const data = await digestService.collect({ days: 14 });
+
+    const digest = digestService.buildDigest(data);
+    expect(digest.weekLabel).toBe('Week 2');
+    expect(digest.improvers.map(({ regNo, change }) => [regNo, change])).toEqual([['CSE1', 12], ['ECE1', 1]]);
+    expect(digest.decliners.map(({ regNo, change }) => [regNo, change])).toEqual([['CSE2', -15]]);
+    expect(digest.summary).toEqual({ students: 4, scored: 4, averageScore: 60.8, averageChange: -0.7, inactive: 2 });
+    expect(digest.departments).toEqual([
+      { department: 'ECE', students: 2, averageScore: 65.5, averageChange: 1 },
+      { department: 'CSE', students: 2, averageScore: 56, averageChange: -1.5 }
+    ]);
+
+    const cse = digestService.buildDigest(data, { department: 'cse' });
+    expect(cse.improvers.map(({ regNo }) => regNo)).toEqual(['CSE1']);
+    expect(cse.inactive.students.map(({ regNo }) => regNo)).toEqual(['CSE2']);
+    expect(cse.departments.map(({ department }) => department)).toEqual(['CSE']);
+  });
+
+  it('emails the cohort digest to faculty and each coordinator their department', async () => {
+    mockSettings({
+      enabled: true,
+      recipients: ['hod@college.edu', 'dean@college.edu'],
+      coordinators: [{ department: 'ECE', emails: ['ece.coord@college.edu'] }]
+    });
+
+    // Passes through to the sink; read back here since the sink sees MIME-encoded bodies
+    const sendMail = jest.spyOn(digestService.getTransport(), 'sendMail');
+
+    const summary = await digestService.sendWeeklyDigest({ jobId: 'job_2' });
+
+    expect(summary).toMatchObject({ jobId: 'job_2', sent: 2, skipped: null, errors: [] });
+    expect(received.map(({ to }) => to)).toEqual([
+      ['hod@college.edu', 'dean@college.edu'],
+      ['ece.coord@college.edu']
+    ]);
+    expect(received[0].message).toMatch(/^Content-Type: text\/html/m);
+
+    const [cohort, ece] = sendMail.mock.calls.map(([mail]) => mail);
+    expect(cohort.subject).toBe('Skorly weekly digest – Week 2 (All departments)');
+    expect(cohort.html).toContain('Ravi &lt;R&gt;');
+    expect(cohort.html).not.toContain('Ravi <R>');
+    expect(cohort.text).toContain('Ravi <R> (CSE2, CSE): 55 → 40 (-15)');
+    expect(ece.subject).toBe('Skorly weekly digest – Week 2 (ECE)');
+    expect(ece.html).toContain('Meena');
+    expect(ece.html).not.toContain('Asha');
+  });
+
+  it('sends nothing while the digest is switched off', async () => {
+    mockSettings({ enabled: false, recipients: ['hod@college.edu'] });
+
+    const summary = await digestService.sendWeeklyDigest({ jobId: 'job_2' });
+
+    expect(summary).toMatchObject({ sent: 0, skipped: 'Email digest is switched off' });
+    expect(Student.find).not.toHaveBeenCalled();
+    expect(received).toEqual([]);
+  });
+
+  it('reports a failed send instead of throwing', async () => {
+    mockSettings({ enabled: true, recipients: ['hod@college.edu'] });
+    jest.spyOn(digestService.getTransport(), 'sendMail').mockRejectedValue(new Error('Connection refused'));
+
+    const summary = await digestService.sendWeeklyDigest();
+
+    expect(summary.sent).toBe(0);
+    expect(summary.errors).toEqual([{ department: null, to: ['hod@college.edu'], error: 'Connection refused' }]);
+  });
+});
@@ -0,0 +1,121 @@
+const XLSX = require('xlsx');
+const exportService = require('../src/services/exportService');
+const Student = require('../src/models/Student');
+const PerformanceHistory = require('../src/models/PerformanceHistory');
+
+const students = [
+  { regNo: 'CSE1', name: 'Asha, "A"', department: 'CSE', year: '3', platformIds: { leetcode: 'asha_lc', codeforces: 'asha_cf' } },
+  { regNo: 'CSE2', name: '=Ravi', department: 'CSE', year: '3', platformIds: { leetcode: 'ravi_lc' } },
+  { regNo: 'CSE3', name: 'Meena', department: 'CSE', year: '3', platformIds: { leetcode: 'meena_lc' } }
+];
+
+const weeks = {
+  current: { _id: 'job2', weekLabel: 'Week 2' },
+  previous: { _id: 'job1', weekLabel: 'Week 1' }
+};
+
+const histories = [
+  { regNo: 'CSE1', uploadJobId: 'job2', weekLabel: 'Week 2', overallScore: 70, performanceLevel: 'medium', platformStats: [{ platform: 'leetcode', rating: 1500, problemsSolved: 120, contestsParticipated: 3 }] },
+  { regNo: 'CSE1', uploadJobId: 'job1', weekLabel: 'Week 1', overallScore: 60.5, performanceLevel: 'medium', platformStats: [{ platform: 'leetcode', rating: 1450, problemsSolved: 100 }] },
+  { regNo: 'CSE2', uploadJobId: 'job2', weekLabel: 'Week 2', overallScore: 90, performanceLevel: 'high', platformStats: [] }
+  // CSE3 has no run in week 2
+];
+
+// A response that keeps what's written to it
+const fakeResponse = () => {
+  const res = {
+    chunks: [],
+    headers: {},
+    status: jest.fn(() => res),
+    set: jest.fn((headers) => {
+      Object.assign(res.headers, headers);
+      return res;
+    }),
+    write: jest.fn((chunk) => {
+      res.chunks.push(chunk);
+      return true;
+    }),
+    end: jest.fn((chunk = '') => {
+      res.chunks.push(chunk);
+    }),
+    send: jest.fn((body) => {
+      res.body = body;
+    }),
+    destroy: jest.fn()
+  };
+  return res;
+};
+
+describe('exportService', () => {
+  let find;
+
+  beforeEach(() => {
+    find = jest.spyOn(Student, 'find').mockReturnValue({
+      sort: () => ({ select: () => ({ lean: () => ({ cursor: async function* () { yield* students; } }) }) })
+    });
+    jest.spyOn(PerformanceHistory, 'find').mockReturnValue({ select: () => ({ lean: async () => histories }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('compares each student with the week before, leaving out students without a run that week', async () => {
+    const rows = [];
+    for await (const row of exportService.rows({ weeks, platform: 'leetcode', batchSize: 2 })) {
+      rows.push(row);
+    }
+
+    expect(find).toHaveBeenCalledWith({ isActive: true, 'platformIds.leetcode': { $nin: [null, ''] } });
+    expect(rows.map(({ regNo }) => regNo)).toEqual(['CSE1', 'CSE2']);
+    expect(rows[0]).toMatchObject({ overallScore: 70, previousScore: 60.5, change: 9.5, trend: 'up' });
+    expect(rows[0].platformScores).toEqual([expect.objectContaining({
+      platform: 'leetcode',
+      handle: 'asha_lc',
+      rating: 1500,
+      previousRating: 1450,
+      previousProblemsSolved: 100
+    })]);
+    expect(rows[1]).toMatchObject({ previousScore: null, change: null, trend: null });
+  });
+
+  it('writes CSV with escaped cells, guarded formulas and one set of columns per platform', async () => {
+    const res = fakeResponse();
+
+    const count = await exportService.send(res, {
+      format: 'csv',
+      fields: ['regNo', 'name', 'change', 'platformScores'],
+      filters: { platform: 'leetcode', performanceLevel: 'medium' },
+      weeks,
+      comparison: true,
+      filename: 'weekly-comparison'
+    });
+
+    expect(count).toBe(1);
+    expect(res.headers['Content-Disposition']).toBe('attachment; filename="weekly-comparison.csv"');
+    const [header, ...lines] = res.chunks.join('').replace(/^\ufeff/, '').trim().split('\r\n');
+    expect(header).toBe('Reg No,Name,Change,LeetCode ID,LeetCode Rating,LeetCode Solved,LeetCode Contests,LeetCode Rank,LeetCode Previous Rating,LeetCode Previous Solved');
+    expect(lines).toEqual(['CSE1,"Asha, ""A""",9.5,asha_lc,1500,120,3,,1450,100']);
+    expect(exportService.toCsvCell('=Ravi')).toBe("'=Ravi");
+  });
+
+  it('builds a workbook with a sheet for each platform the exported students have', async () => {
+    const res = fakeResponse();
+
+    await exportService.send(res, {
+      format: 'xlsx',
+      fields: ['regNo', 'name', 'overallScore', 'platformScores'],
+      weeks,
+      comparison: true,
+      filename: 'weekly-comparison'
+    });
+
+    const workbook = XLSX.read(res.body);
+    expect(workbook.SheetNames).toEqual(['Comparison', 'LeetCode', 'Codeforces']);
+    const leetcode = XLSX.utils.sheet_to_json(workbook.Sheets.LeetCode);
+    expect(leetcode).toEqual([
+      expect.objectContaining({ 'Reg No': 'CSE1', ID: 'asha_lc', Rating: 1500, 'Previous Rating': 1450 }),
+      expect.objectContaining({ 'Reg No': 'CSE2', ID: 'ravi_lc' })
+    ]);
+  });
+});
@@ -0,0 +1,139 @@
+const percentileService = require('../src/services/percentileService');
+const PlatformStats = require('../src/models/PlatformStats');
+const Student = require('../src/models/Student');
+
+const COHORT = { mode: 'cohort', reference: null };
+const REFERENCE = { mode: 'reference', reference: null };
+
+describe('percentileService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sorts cohort ratings and drops unrated students and empty platforms', () => {
+    expect(percentileService.toCohort({
+      codeforces: [1600, 0, 1200, 1432],
+      codechef: [0]
+    })).toEqual({ codeforces: [1200, 1432, 1600] });
+  });
+
+  it('ranks a rating within the cohort, counting ties as half', () => {
+    const ratings = [1200, 1432, 1432, 1800];
+
+    expect(percentileService.fromCohort(1100, ratings)).toBe(0);
+    expect(percentileService.fromCohort(1432, ratings)).toBe(50);
+    expect(percentileService.fromCohort(1800, ratings)).toBe(87.5);
+    expect(percentileService.fromCohort(1900, ratings)).toBe(100);
+  });
+
+  it('interpolates between reference breakpoints and clamps outside them', () => {
+    const points = [[1000, 20], [1400, 60], [2000, 90]];
+
+    expect(percentileService.fromReference(800, points)).toBe(20);
+    expect(percentileService.fromReference(1200, points)).toBe(40);
+    expect(percentileService.fromReference(1700, points)).toBe(75);
+    expect(percentileService.fromReference(2500, points)).toBe(90);
+  });
+
+  it('puts a CodeChef 1800 and a Codeforces 1400 on one scale', () => {
+    expect(percentileService.getPercentile('codechef', 1800, REFERENCE)).toBe(75);
+    expect(percentileService.getPercentile('codeforces', 1400, REFERENCE)).toBe(65);
+    expect(percentileService.getPercentile('codeforces', 1432, REFERENCE)).toBe(67.4);
+  });
+
+  it('prefers a configured reference over the built-in one', () => {
+    const scale = { mode: 'reference', reference: { codeforces: [[1000, 0], [2000, 100]] } };
+
+    expect(percentileService.getPercentile('codeforces', 1400, scale)).toBe(40);
+    expect(percentileService.getPercentile('codechef', 1800, scale)).toBe(75);
+  });
+
+  it('has no percentile without a rating, a cohort or a reference', () => {
+    expect(percentileService.getPercentile('codeforces', 0, REFERENCE)).toBeNull();
+    expect(percentileService.getPercentile('codeforces', 1400, { mode: 'cap' })).toBeNull();
+    expect(percentileService.getPercentile('codeforces', 1400, COHORT, {})).toBeNull();
+    expect(percentileService.getPercentile('hackerrank', 9, REFERENCE)).toBeNull();
+    expect(percentileService.getPercentile('codeforces', 1400, COHORT, { codeforces: [1200, 1600] })).toBe(50);
+  });
+
+  it('builds the cohort from the current ratings of active students only', async () => {
+    const distinct = jest.spyOn(Student, 'distinct').mockResolvedValue(['A1', 'B2']);
+    const aggregate = jest.spyOn(PlatformStats, 'aggregate').mockResolvedValue([
+      { _id: 'codeforces', ratings: [1600, 1200] }
+    ]);
+
+    expect(await percentileService.loadCohort()).toEqual({ codeforces: [1200, 1600] });
+    expect(distinct).toHaveBeenCalledWith('regNo', { isActive: true });
+    expect(aggregate.mock.calls[0][0][0].$match.regNo).toEqual({ $in: ['A1', 'B2'] });
+  });
+
+  describe('getLeaderboard', () => {
+    const STATS = [
+      { regNo: 'A1', platform: 'codechef', currentStats: { rating: 1800 } },
+      { regNo: 'A1', platform: 'codeforces', currentStats: { rating: 1000 } },
+      { regNo: 'B2', platform: 'codeforces', currentStats: { rating: 1400 } },
+      { regNo: 'C3', platform: 'hackerrank', currentStats: { rating: 9 } },
+      { regNo: 'D4', platform: 'codeforces', currentStats: { rating: 2400 } }
+    ];
+    // D4 is inactive
+    const ACTIVE = [
+      { regNo: 'A1', name: 'Asha', department: 'CSE', year: '3' },
+      { regNo: 'B2', name: 'Bala', department: 'CSE', year: '3' },
+      { regNo: 'C3', name: 'Chitra', department: 'ECE' }
+    ];
+
+    let studentQuery;
+
+    beforeEach(() => {
+      jest.spyOn(Student, 'find').mockImplementation((filter) => {
+        studentQuery = filter;
+        return { select: () => ({ lean: async () => ACTIVE }) };
+      });
+      jest.spyOn(PlatformStats, 'find').mockImplementation((filter) => ({
+        select: () => ({
+          lean: async () => STATS.filter(stat => filter.regNo.$in.includes(stat.regNo) &&
+            (!filter.platform || stat.platform === filter.platform))
+        })
+      }));
+    });
+
+    it('ranks active students by their mean percentile across rated platforms', async () => {
+      const leaderboard = await percentileService.getLeaderboard({ limit: 10, ratingScale: REFERENCE });
+
+      expect(studentQuery).toEqual({ isActive: true });
+      // A1: (75 + 25) / 2 = 50; C3 has no reference for HackerRank
+      expect(leaderboard).toEqual([
+        {
+          rank: 1,
+          regNo: 'B2',
+          name: 'Bala',
+          department: 'CSE',
+          year: '3',
+          averagePercentile: 65,
+          platformPercentiles: { codeforces: 65 }
+        },
+        {
+          rank: 2,
+          regNo: 'A1',
+          name: 'Asha',
+          department: 'CSE',
+          year: '3',
+          averagePercentile: 50,
+          platformPercentiles: { codechef: 75, codeforces: 25 }
+        }
+      ]);
+    });
+
+    it('ranks by one platform percentile within the given students', async () => {
+      const leaderboard = await percentileService.getLeaderboard({
+        limit: 10,
+        ratingScale: REFERENCE,
+        regNos: ['A1', 'B2'],
+        platform: 'codechef'
+      });
+
+      expect(studentQuery).toEqual({ isActive: true, regNo: { $in: ['A1', 'B2'] } });
+      expect(leaderboard.map(({ regNo, averagePercentile }) => [regNo, averagePercentile])).toEqual([['A1', 75]]);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const platformRegistry = require('../src/platforms');
+const PlatformAdapter = require('../src/platforms/PlatformAdapter');
+const excelService = require('../src/services/excelService');
+const Student = require('../src/models/Student');
+const PlatformStats = require('../src/models/PlatformStats');
+
+describe('platformRegistry', () => {
+  it('lists platforms in Excel column order', () => {
+    expect(platformRegistry.getPlatformIds()).toEqual([
+      'codechef', 'leetcode', 'codeforces', 'atcoder', 'codolio', 'github',
+      'geeksforgeeks', 'hackerrank', 'hackerearth'
+    ]);
+    expect(platformRegistry.getColumnMapping()['Codeforces ID']).toBe('codeforces');
+  });
+
+  it('rejects adapters without a fetcher', () => {
+    const incomplete = new PlatformAdapter({
+      id: 'incomplete',
+      name: 'Incomplete',
+      rateLimit: { requestsPerSecond: 1, burstLimit: 1 }
+    });
+    incomplete.fetchStats = undefined;
+
+    expect(() => platformRegistry.register(incomplete)).toThrow('must implement fetchStats');
+    expect(platformRegistry.isSupported('incomplete')).toBe(false);
+  });
+
+  it('drives model platform fields from the registry', () => {
+    const platformIds = platformRegistry.getPlatformIds();
+
+    expect(Object.keys(Student.schema.tree.platformIds)).toEqual(platformIds);
+    expect(PlatformStats.schema.path('platform').enumValues).toEqual(platformIds);
+  });
+
+  it('builds solving streaks from submission counts only', () => {
+    expect(platformRegistry.getActivityPlatformIds()).toEqual(['leetcode', 'codeforces', 'github']);
+    expect(platformRegistry.getSolvingPlatformIds()).toEqual(['leetcode', 'codeforces']);
+  });
+
+  it('validates IDs with each platform\'s own rules', () => {
+    const github = platformRegistry.getPlatform('github');
+    const codeforces = platformRegistry.getPlatform('codeforces');
+
+    expect(github.validateId('octo_cat')).toEqual({
+      isValid: false,
+      error: 'GitHub ID contains invalid characters'
+    });
+    expect(codeforces.validateId(' tourist ')).toEqual({ isValid: true, value: 'tourist' });
+    expect(codeforces.validateId('')).toEqual({ isValid: true, value: null });
+  });
+});
+
+describe('excelService with registered platforms', () => {
+  const headers = ['Name', 'Reg No', 'Dept', 'Year', 'LeetCode ID', 'GitHub ID'];
+
+  it('accepts sheets that only carry some platform columns', async () => {
+    const { students, errors } = await excelService.processStudentData(headers, [
+      ['Jane Smith', '21IT002', 'IT', '2nd Year', 'jane_leetcode', 'jane-github']
+    ]);
+
+    expect(errors).toEqual([]);
+    expect(students[0].platformIds).toEqual({
+      codechef: null,
+      leetcode: 'jane_leetcode',
+      codeforces: null,
+      atcoder: null,
+      codolio: null,
+      github: 'jane-github',
+      geeksforgeeks: null,
+      hackerrank: null,
+      hackerearth: null
+    });
+  });
+
+  it('requires at least one platform column', () => {
+    const validation = excelService.validateHeaders(['Name', 'Reg No', 'Dept', 'Year']);
+
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors[0]).toMatch(/Missing platform ID columns/);
+  });
+});
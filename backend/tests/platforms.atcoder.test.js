@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+jest.mock('axios');
+jest.mock('../src/utils/helpers', () => ({
+  ...jest.requireActual('../src/utils/helpers'),
+  retryWithBackoff: (fn) => fn()
+}));
+
+const atcoder = require('../src/platforms/atcoder');
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, 'fixtures/atcoder', name), 'utf8');
+
+const mockAtCoderResponses = () => {
+  axios.get.mockImplementation(async (url) => {
+    if (url === 'https://atcoder.jp/users/sample_user') {
+      return { data: fixture('profile.html') };
+    }
+    if (url === 'https://atcoder.jp/users/sample_user/history') {
+      return { data: fixture('history.html') };
+    }
+    if (url.endsWith('/user/ac_rank')) {
+      return { data: JSON.parse(fixture('ac_rank.json')) };
+    }
+    throw new Error(`Unexpected request: ${url}`);
+  });
+};
+
+describe('atcoder adapter fetchStats', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('parses rating, highest rating, rated contests and AC count', async () => {
+    mockAtCoderResponses();
+
+    const stats = await atcoder.fetchStats('sample_user');
+
+    expect(stats).toEqual({
+      rating: 1021,
+      maxRating: 1102,
+      problemsSolved: 187,
+      contestsParticipated: 5,
+      rank: 23456,
+      additionalData: {
+        username: 'sample_user',
+        rankTitle: '3 Kyu',
+        contestsEntered: 6,
+        lastCompeted: '2024/02/10',
+        country: 'India',
+        affiliation: 'Sample Institute of Technology'
+      }
+    });
+  });
+
+  it('keeps profile figures when the AC count lookup fails', async () => {
+    mockAtCoderResponses();
+    const defaultImplementation = axios.get.getMockImplementation();
+    axios.get.mockImplementation(async (url, options) => {
+      if (url.endsWith('/user/ac_rank')) {
+        throw new Error('socket hang up');
+      }
+      return defaultImplementation(url, options);
+    });
+
+    const stats = await atcoder.fetchStats('sample_user');
+
+    expect(stats.rating).toBe(1021);
+    expect(stats.problemsSolved).toBe(0);
+  });
+
+  it('reports unknown users', async () => {
+    axios.get.mockRejectedValue(Object.assign(new Error('Request failed'), {
+      response: { status: 404 }
+    }));
+
+    await expect(atcoder.fetchStats('missing_user')).rejects.toThrow('AtCoder user not found: missing_user');
+  });
+});
@@ -0,0 +1,254 @@
+const axios = require('axios');
+
+jest.mock('axios');
+jest.mock('../src/utils/helpers', () => ({
+  ...jest.requireActual('../src/utils/helpers'),
+  retryWithBackoff: (fn) => fn()
+}));
+
+const codeforces = require('../src/platforms/codeforces');
+const SolvedProblemSet = require('../src/models/SolvedProblemSet');
+
+const submission = (id, contestId, index, verdict = 'OK') => ({
+  id,
+  contestId,
+  creationTimeSeconds: 1700000000 + id,
+  problem: { contestId, index, name: `Problem ${contestId}${index}`, rating: 800, tags: ['greedy'] },
+  verdict
+});
+
+// Newest first, as user.status returns them
+const HISTORY = [
+  submission(105, 1921, 'C', 'WRONG_ANSWER'),
+  submission(104, 1921, 'B'),
+  submission(103, 1921, 'A'),
+  submission(102, 1873, 'D'),
+  submission(101, 1873, 'D')
+];
+
+const mockCodeforcesResponses = (submissions) => {
+  axios.get.mockImplementation(async (url, { params }) => {
+    if (url.endsWith('/user.info')) {
+      return { data: { status: 'OK', result: [{ handle: 'sample_user', rating: 1432, maxRating: 1518 }] } };
+    }
+    if (url.endsWith('/user.rating')) {
+      return { data: { status: 'OK', result: [{}, {}] } };
+    }
+    if (url.endsWith('/user.status')) {
+      const page = submissions.slice(params.from - 1, params.from - 1 + params.count);
+      return { data: { status: 'OK', result: page } };
+    }
+    throw new Error(`Unexpected request: ${url}`);
+  });
+};
+
+const statusRequests = () => axios.get.mock.calls
+  .filter(([url]) => url.endsWith('/user.status'))
+  .map(([, { params }]) => ({ from: params.from, count: params.count }));
+
+describe('codeforces adapter solved problem sync', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  it('counts unique accepted problems from the full history without a database', async () => {
+    jest.spyOn(SolvedProblemSet, 'isAvailable').mockReturnValue(false);
+    mockCodeforcesResponses(HISTORY);
+
+    const stats = await codeforces.fetchStats('sample_user');
+
+    expect(stats.problemsSolved).toBe(3);
+    expect(stats.contestsParticipated).toBe(2);
+    expect(statusRequests()).toEqual([{ from: 1, count: 10000 }]);
+  });
+
+  it('buckets solved problems by problem rating', async () => {
+    jest.spyOn(SolvedProblemSet, 'isAvailable').mockReturnValue(false);
+    const rated = (id, index, rating) => {
+      const base = submission(id, 1950, index);
+      return { ...base, problem: { ...base.problem, rating } };
+    };
+    mockCodeforcesResponses([
+      rated(204, 'E', undefined),
+      rated(203, 'D', 2400),
+      rated(202, 'C', 1900),
+      rated(201, 'B', 1300),
+      ...HISTORY
+    ]);
+
+    const stats = await codeforces.fetchStats('sample_user');
+
+    expect(stats.problemsSolved).toBe(7);
+    expect(stats.additionalData.difficulty).toEqual({ easy: 3, medium: 1, hard: 2, unrated: 1 });
+  });
+
+  it('counts solved problems per tag and once per topic', async () => {
+    jest.spyOn(SolvedProblemSet, 'isAvailable').mockReturnValue(false);
+    const tagged = (id, index, tags) => {
+      const base = submission(id, 1950, index);
+      return { ...base, problem: { ...base.problem, tags } };
+    };
+    mockCodeforcesResponses([
+      tagged(203, 'C', ['graphs', 'dfs and similar', 'dp']),
+      tagged(202, 'B', ['dfs and similar', 'trees']),
+      tagged(201, 'A', [])
+    ]);
+
+    const stats = await codeforces.fetchStats('sample_user');
+
+    expect(stats.additionalData.tags).toEqual({ graphs: 1, 'dfs and similar': 2, dp: 1, trees: 1 });
+    // C has two graph tags but is one graph problem
+    expect(stats.additionalData.topics).toEqual({ graphs: 2, dp: 1, trees: 1 });
+    expect(codeforces.getTopicCounts(stats.additionalData)).toBe(stats.additionalData.topics);
+  });
+
+  it('stores the solved set and newest submission ID on the first sync', async () => {
+    jest.spyOn(SolvedProblemSet, 'isAvailable').mockReturnValue(true);
+    jest.spyOn(SolvedProblemSet, 'findByHandle').mockResolvedValue(null);
+    const save = jest.spyOn(SolvedProblemSet.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    mockCodeforcesResponses(HISTORY);
+
+    const stats = await codeforces.fetchStats('sample_user');
+
+    expect(stats.problemsSolved).toBe(3);
+    expect(save).toHaveBeenCalledTimes(1);
+
+    const solvedSet = save.mock.contexts[0];
+    expect(solvedSet.handle).toBe('sample_user');
+    expect(solvedSet.lastSubmissionId).toBe(105);
+    expect(solvedSet.problems.map(problem => problem.problemId)).toEqual(['1873-D', '1921-A', '1921-B']);
+    // The first accepted submission of 1873-D is kept
+    expect(solvedSet.problems[0].solvedAt).toEqual(new Date((1700000000 + 101) * 1000));
+  });
+
+  it('saves nothing when user.status fails on the first sync', async () => {
+    jest.spyOn(SolvedProblemSet, 'isAvailable').mockReturnValue(true);
+    jest.spyOn(SolvedProblemSet, 'findByHandle').mockResolvedValue(null);
+    const save = jest.spyOn(SolvedProblemSet.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    mockCodeforcesResponses(HISTORY);
+    const respond = axios.get.getMockImplementation();
+    axios.get.mockImplementation(async (url, options) => (url.endsWith('/user.status')
+      ? { data: { status: 'FAILED', comment: 'Call limit exceeded' } }
+      : respond(url, options)));
+
+    await expect(codeforces.fetchStats('sample_user')).rejects.toThrow('Call limit exceeded');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('fetches only submissions newer than the last synced one', async () => {
+    const solvedSet = new SolvedProblemSet({ platform: 'codeforces', handle: 'sample_user' });
+    solvedSet.addSolvedProblems(codeforces.toSolvedProblems(HISTORY), 105);
+
+    jest.spyOn(SolvedProblemSet, 'isAvailable').mockReturnValue(true);
+    jest.spyOn(SolvedProblemSet, 'findByHandle').mockResolvedValue(solvedSet);
+    const save = jest.spyOn(SolvedProblemSet.prototype, 'save').mockResolvedValue(solvedSet);
+
+    mockCodeforcesResponses([
+      submission(108, 1950, 'A'),
+      submission(107, 1921, 'B'), // Solved again
+      submission(106, 1921, 'C'),
+      ...HISTORY
+    ]);
+
+    const stats = await codeforces.fetchStats('sample_user');
+
+    expect(stats.problemsSolved).toBe(5);
+    expect(statusRequests()).toEqual([{ from: 1, count: 100 }]);
+    expect(solvedSet.lastSubmissionId).toBe(108);
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+
+  it('pages back until it reaches the last synced submission', async () => {
+    const newer = Array.from({ length: 150 }, (_, i) => submission(1000 - i, 2000 + i, 'A'));
+    const solvedSet = new SolvedProblemSet({ platform: 'codeforces', handle: 'sample_user' });
+    solvedSet.addSolvedProblems(codeforces.toSolvedProblems(HISTORY), 105);
+
+    jest.spyOn(SolvedProblemSet, 'isAvailable').mockReturnValue(true);
+    jest.spyOn(SolvedProblemSet, 'findByHandle').mockResolvedValue(solvedSet);
+    jest.spyOn(SolvedProblemSet.prototype, 'save').mockResolvedValue(solvedSet);
+    mockCodeforcesResponses([...newer, ...HISTORY]);
+
+    const stats = await codeforces.fetchStats('sample_user');
+
+    expect(stats.problemsSolved).toBe(153);
+    expect(statusRequests()).toEqual([{ from: 1, count: 100 }, { from: 101, count: 100 }]);
+    expect(solvedSet.lastSubmissionId).toBe(1000);
+  });
+});
+
+describe('codeforces adapter contests and activity', () => {
+  const ratingRequests = () => axios.get.mock.calls.filter(([url]) => url.endsWith('/user.rating')).length;
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  it('reuses the rating changes fetchStats fetched for the contest history', async () => {
+    jest.spyOn(SolvedProblemSet, 'isAvailable').mockReturnValue(false);
+    mockCodeforcesResponses(HISTORY);
+
+    await codeforces.fetchStats('Sample_User');
+    const contests = await codeforces.fetchContestHistory('sample_user');
+
+    expect(contests).toHaveLength(2);
+    expect(ratingRequests()).toBe(1);
+
+    // Handed out once, so a later history is fetched fresh
+    await codeforces.fetchContestHistory('sample_user');
+    expect(ratingRequests()).toBe(2);
+  });
+
+  it('counts submissions per day into the solved set on the first sync', async () => {
+    jest.spyOn(SolvedProblemSet, 'isAvailable').mockReturnValue(true);
+    jest.spyOn(SolvedProblemSet, 'findByHandle').mockResolvedValue(null);
+    const save = jest.spyOn(SolvedProblemSet.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    mockCodeforcesResponses(HISTORY);
+
+    await codeforces.fetchStats('sample_user');
+
+    const solvedSet = save.mock.contexts[0];
+    expect(solvedSet.activityTrackedFrom).toEqual(new Date(0));
+    expect(solvedSet.getSubmissionDays()).toEqual([{ date: '2023-11-14', count: 5, accepted: 4 }]);
+  });
+
+  it('reads activity from a freshly synced solved set without requests', async () => {
+    const solvedSet = new SolvedProblemSet({ platform: 'codeforces', handle: 'sample_user', activityTrackedFrom: new Date(0) });
+    solvedSet.addSolvedProblems(codeforces.toSolvedProblems(HISTORY), 105);
+    solvedSet.addSubmissionDays({ '2026-10-01': { count: 4, accepted: 1 }, '2026-10-03': { count: 2, accepted: 2 } });
+
+    jest.spyOn(SolvedProblemSet, 'isAvailable').mockReturnValue(true);
+    jest.spyOn(SolvedProblemSet, 'findByHandle').mockResolvedValue(solvedSet);
+    mockCodeforcesResponses(HISTORY);
+
+    const days = await codeforces.fetchActivity('sample_user', new Date('2026-10-02T00:00:00Z'));
+
+    expect(days).toEqual([{ date: '2026-10-03', count: 2, accepted: 2 }]);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  it('pages through submissions for days before the solved set started counting', async () => {
+    const solvedSet = new SolvedProblemSet({
+      platform: 'codeforces',
+      handle: 'sample_user',
+      activityTrackedFrom: new Date('2026-10-01T00:00:00Z')
+    });
+    solvedSet.addSolvedProblems(codeforces.toSolvedProblems(HISTORY), 105);
+
+    jest.spyOn(SolvedProblemSet, 'isAvailable').mockReturnValue(true);
+    jest.spyOn(SolvedProblemSet, 'findByHandle').mockResolvedValue(solvedSet);
+    mockCodeforcesResponses(HISTORY);
+
+    const days = await codeforces.fetchActivity('sample_user', new Date('2023-11-01T00:00:00Z'));
+
+    expect(days).toEqual([{ date: '2023-11-14', count: 5, accepted: 4 }]);
+    expect(statusRequests()).toEqual([{ from: 1, count: 500 }]);
+  });
+});
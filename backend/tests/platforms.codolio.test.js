@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+jest.mock('axios');
+jest.mock('../src/utils/helpers', () => ({
+  ...jest.requireActual('../src/utils/helpers'),
+  retryWithBackoff: (fn) => fn()
+}));
+
+const platformService = require('../src/services/platformService');
+const codolio = require('../src/platforms/codolio');
+const Student = require('../src/models/Student');
+
+const profileFixture = () =>
+  JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/codolio/profile.json'), 'utf8'));
+
+describe('codolio adapter fetchStats', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('sums problems and contests across linked platforms', async () => {
+    axios.get.mockResolvedValue({ data: profileFixture() });
+
+    const stats = await codolio.fetchStats('sample_user');
+
+    expect(axios.get).toHaveBeenCalledWith(
+      'https://api.codolio.com/profile',
+      expect.objectContaining({ params: { userKey: 'sample_user' } })
+    );
+    expect(stats.problemsSolved).toBe(450);
+    expect(stats.contestsParticipated).toBe(15);
+    expect(stats.additionalData.difficulty).toEqual({ easy: 150, medium: 125, hard: 25 });
+    expect(stats.additionalData.platforms.codeforces).toEqual({
+      handle: 'sample_cf',
+      profileUrl: 'https://codeforces.com/profile/sample_cf',
+      problemsSolved: 150,
+      contestsParticipated: 3,
+      rating: 1320,
+      maxRating: 1320
+    });
+    expect(stats.additionalData.linkedHandles).toEqual({
+      leetcode: 'sample_lc',
+      codeforces: 'sample_cf',
+      geeksforgeeks: 'sample_gfg'
+    });
+  });
+
+  it('reports unknown users', async () => {
+    axios.get.mockResolvedValue({ data: { status: { success: false }, data: null } });
+
+    await expect(codolio.fetchStats('missing_user')).rejects.toThrow('Codolio user not found: missing_user');
+  });
+});
+
+describe('platformService.discoverPlatformIds', () => {
+  const codolioStats = {
+    additionalData: {
+      linkedHandles: {
+        leetcode: 'sample_lc',
+        codeforces: 'sample_cf',
+        geeksforgeeks: 'sample_gfg',
+        interviewbit: 'sample_ib',
+        codechef: 'bad handle!'
+      }
+    }
+  };
+
+  it('only returns supported platforms the student is missing', () => {
+    const discovered = platformService.discoverPlatformIds(
+      { leetcode: 'own_lc', codeforces: '' },
+      codolioStats
+    );
+
+    expect(discovered).toEqual({ codeforces: 'sample_cf', geeksforgeeks: 'sample_gfg' });
+  });
+
+  it('returns nothing without Codolio stats', () => {
+    expect(platformService.discoverPlatformIds({}, undefined)).toEqual({});
+  });
+});
+
+describe('Student.suggestPlatformIds', () => {
+  const buildStudent = () => new Student({
+    name: 'Sample Student',
+    regNo: 'REG001',
+    department: 'CSE',
+    year: 3,
+    platformIds: { leetcode: 'own_lc', codolio: 'sample_user' }
+  });
+
+  it('stores discovered handles for empty platforms as suggestions', () => {
+    const student = buildStudent();
+
+    const suggested = student.suggestPlatformIds({ codeforces: 'sample_cf', leetcode: 'sample_lc' });
+
+    expect(suggested).toEqual({ codeforces: 'sample_cf' });
+    expect(student.platformIds.codeforces).toBeFalsy();
+    expect(student.suggestedPlatformIds).toEqual({ codeforces: 'sample_cf' });
+  });
+
+  it('drops suggestions for platforms filled in since', () => {
+    const student = buildStudent();
+    student.suggestedPlatformIds = { leetcode: 'sample_lc', codeforces: 'sample_cf' };
+
+    student.suggestPlatformIds({});
+
+    expect(student.suggestedPlatformIds).toEqual({ codeforces: 'sample_cf' });
+  });
+});
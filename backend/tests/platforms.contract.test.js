@@ -0,0 +1,420 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../src/utils/helpers', () => ({
+  ...jest.requireActual('../src/utils/helpers'),
+  retryWithBackoff: (fn) => fn()
+}));
+
+const platformRegistry = require('../src/platforms');
+const fetchRecorder = require('../src/platforms/recorder');
+const platformService = require('../src/services/platformService');
+
+const RECORDINGS_DIR = path.join(__dirname, 'fixtures/recordings');
+
+/**
+ * Stats contracts
+ * The shape every adapter's parsed stats must keep. Types are typeof names
+ * ('null' and 'array' included) joined with |; objects nest and a one-item
+ * array describes every element. A parser change that adds, drops or retypes
+ * a field fails here until the contract is updated on purpose.
+ */
+const CORE_CONTRACT = {
+  rating: 'number',
+  maxRating: 'number',
+  problemsSolved: 'number',
+  contestsParticipated: 'number',
+  rank: 'number|null'
+};
+
+const ADDITIONAL_DATA_CONTRACTS = {
+  codechef: {
+    username: 'string',
+    country: 'string|null',
+    institution: 'string|null'
+  },
+  leetcode: {
+    username: 'string',
+    ranking: 'number|null',
+    reputation: 'number',
+    badges: 'number',
+    company: 'string|null',
+    school: 'string|null',
+    difficulty: { easy: 'number', medium: 'number', hard: 'number' },
+    tags: 'object'
+  },
+  codeforces: {
+    handle: 'string',
+    rankTitle: 'string|null',
+    country: 'string|null',
+    city: 'string|null',
+    organization: 'string|null',
+    titlePhoto: 'string|null',
+    difficulty: { easy: 'number', medium: 'number', hard: 'number', unrated: 'number' },
+    tags: 'object',
+    topics: 'object'
+  },
+  atcoder: {
+    username: 'string',
+    rankTitle: 'string|null',
+    contestsEntered: 'number',
+    lastCompeted: 'string|null',
+    country: 'string|null',
+    affiliation: 'string|null'
+  },
+  codolio: {
+    username: 'string',
+    difficulty: { easy: 'number', medium: 'number', hard: 'number' },
+    platforms: 'object',
+    linkedHandles: 'object'
+  },
+  github: {
+    username: 'string',
+    name: 'string|null',
+    company: 'string|null',
+    location: 'string|null',
+    email: 'string|null',
+    bio: 'string|null',
+    publicRepos: 'number',
+    publicGists: 'number',
+    followers: 'number',
+    following: 'number',
+    totalStars: 'number',
+    totalForks: 'number',
+    contributionScore: 'number',
+    createdAt: 'string'
+  },
+  geeksforgeeks: {
+    username: 'string',
+    codingScore: 'number',
+    monthlyScore: 'number',
+    institute: 'string|null',
+    instituteRank: 'number|null',
+    currentStreak: 'number',
+    longestStreak: 'number',
+    difficulty: { school: 'number', basic: 'number', easy: 'number', medium: 'number', hard: 'number' }
+  },
+  hackerrank: {
+    username: 'string',
+    name: 'string|null',
+    country: 'string|null',
+    school: 'string|null',
+    level: 'number|null',
+    totalStars: 'number',
+    badges: [{ name: 'string', stars: 'number', solved: 'number', totalChallenges: 'number' }]
+  },
+  hackerearth: {
+    username: 'string',
+    name: 'string|null',
+    submissions: 'number',
+    points: 'number'
+  }
+};
+
+// Every entry of fetchContestHistory, for platforms that report contests
+const CONTEST_CONTRACT = {
+  contestId: 'string',
+  contestName: 'string|null',
+  contestDate: 'object',
+  rank: 'number|null',
+  oldRating: 'number|null',
+  newRating: 'number|null',
+  problemsSolved: 'number|null'
+};
+
+// fetchContestStandings, for platforms with a standings API
+const STANDINGS_CONTRACT = {
+  contestId: 'string',
+  contestName: 'string|null',
+  contestDate: 'object|null',
+  participants: [{
+    handle: 'string',
+    rank: 'number|null',
+    problemsSolved: 'number',
+    points: 'number|null',
+    oldRating: 'number|null',
+    newRating: 'number|null'
+  }]
+};
+
+// Every day of fetchActivity, for platforms that report daily activity
+const ACTIVITY_CONTRACT = {
+  date: 'string',
+  count: 'number',
+  accepted: 'number|null'
+};
+
+// Handles the standings recordings were made for
+const STANDINGS_HANDLES = ['sample_user', 'second_user', 'idle_user', 'absent_user'];
+
+// Recordings of failed fetches, replayed by the error-path tests below
+const ERROR_RECORDINGS = {
+  github: ['missing_user']
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * List every place where value differs from the contract
+ */
+const contractViolations = (value, contract, at = 'stats') => {
+  if (typeof contract === 'string') {
+    return contract.split('|').includes(typeOf(value))
+      ? []
+      : [`${at}: expected ${contract}, got ${typeOf(value)}`];
+  }
+
+  if (Array.isArray(contract)) {
+    if (!Array.isArray(value)) return [`${at}: expected array, got ${typeOf(value)}`];
+    return value.flatMap((item, i) => contractViolations(item, contract[0], `${at}[${i}]`));
+  }
+
+  if (typeOf(value) !== 'object') return [`${at}: expected object, got ${typeOf(value)}`];
+
+  const missing = Object.keys(contract)
+    .filter(key => !(key in value))
+    .map(key => `${at}.${key}: missing`);
+  const unexpected = Object.keys(value)
+    .filter(key => !(key in contract))
+    .map(key => `${at}.${key}: not in contract`);
+  const mismatched = Object.keys(contract)
+    .filter(key => key in value)
+    .flatMap(key => contractViolations(value[key], contract[key], `${at}.${key}`));
+
+  return [...missing, ...unexpected, ...mismatched];
+};
+
+const listRecordings = (platform, kind = '') => {
+  const dir = path.join(RECORDINGS_DIR, platform, kind);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')).platformId)
+    .filter(platformId => !(ERROR_RECORDINGS[platform] || []).includes(platformId));
+};
+
+describe('platform stats contracts (replayed recordings)', () => {
+  beforeAll(() => {
+    fetchRecorder.configure({ mode: 'replay', recordingsDir: RECORDINGS_DIR });
+  });
+
+  afterAll(() => {
+    fetchRecorder.configure({ mode: 'live' });
+  });
+
+  it('has a contract and at least one recording for every registered platform', () => {
+    platformRegistry.getPlatformIds().forEach(platform => {
+      expect({ platform, hasContract: platform in ADDITIONAL_DATA_CONTRACTS }).toEqual({ platform, hasContract: true });
+      expect({ platform, recordings: listRecordings(platform).length > 0 }).toEqual({ platform, recordings: true });
+    });
+  });
+
+  describe.each(platformRegistry.getPlatformIds())('%s', (platform) => {
+    const recordings = listRecordings(platform);
+
+    // Keeps describe.each valid for a platform with no recordings yet (the test above fails instead)
+    const cases = recordings.length > 0 ? recordings : [null];
+
+    it.each(cases)('parses the %s recording into the stats contract', async (platformId) => {
+      if (!platformId) return;
+
+      const stats = await platformService.fetchPlatformStats(platform, platformId);
+
+      expect(contractViolations(stats, {
+        ...CORE_CONTRACT,
+        additionalData: ADDITIONAL_DATA_CONTRACTS[platform]
+      })).toEqual([]);
+
+      ['rating', 'maxRating', 'problemsSolved', 'contestsParticipated'].forEach(field => {
+        expect(Number.isInteger(stats[field]) && stats[field] >= 0).toBe(true);
+      });
+      expect(stats.maxRating).toBeGreaterThanOrEqual(stats.rating);
+      if (stats.rank !== null) {
+        expect(stats.rank).toBeGreaterThan(0);
+      }
+    });
+  });
+
+  it('keeps the parsed sample_user figures stable', async () => {
+    const figures = {};
+    for (const platform of platformRegistry.getPlatformIds()) {
+      const { rating, maxRating, problemsSolved, contestsParticipated, rank } =
+        await platformService.fetchPlatformStats(platform, 'sample_user');
+      figures[platform] = [rating, maxRating, problemsSolved, contestsParticipated, rank];
+    }
+
+    expect(figures).toEqual({
+      codechef: [1645, 1702, 128, 14, 4521],
+      leetcode: [1687, 1687, 236, 12, 98231],
+      codeforces: [1432, 1518, 4, 4, null],
+      atcoder: [1021, 1102, 187, 5, 23456],
+      codolio: [0, 0, 450, 15, null],
+      github: [15, 15, 14, 412, null],
+      geeksforgeeks: [615, 615, 213, 3, 142],
+      hackerrank: [9, 9, 125, 0, null],
+      hackerearth: [1432, 1518, 112, 14, null]
+    });
+  });
+
+  it('maps the recorded tag counts onto topics', async () => {
+    const topics = {};
+    for (const platform of ['leetcode', 'codeforces']) {
+      const { additionalData } = await platformService.fetchPlatformStats(platform, 'sample_user');
+      topics[platform] = platformRegistry.getPlatform(platform).getTopicCounts(additionalData);
+    }
+
+    expect(topics).toEqual({
+      leetcode: {
+        dp: 41,
+        graphs: 9,
+        trees: 29,
+        greedy: 33,
+        math: 38,
+        numberTheory: 4,
+        combinatorics: 2,
+        binarySearch: 24,
+        strings: 64,
+        // stack 17, heap 10, segment tree 1
+        dataStructures: 28,
+        sorting: 35,
+        twoPointers: 28,
+        bitManipulation: 11,
+        implementation: 14
+      },
+      codeforces: { greedy: 3, math: 1, sorting: 1, implementation: 2 }
+    });
+  });
+
+  describe.each(platformRegistry.getContestPlatformIds())('%s contest history', (platform) => {
+    it('has a contest history recording', () => {
+      expect(listRecordings(platform, 'contests').length).toBeGreaterThan(0);
+    });
+
+    it.each(listRecordings(platform, 'contests'))('parses the %s recording into the contest contract', async (platformId) => {
+      const contests = await platformService.fetchContestHistory(platform, platformId);
+
+      expect(contests.length).toBeGreaterThan(0);
+      expect(contractViolations(contests, [CONTEST_CONTRACT], 'contests')).toEqual([]);
+      contests.forEach(contest => {
+        expect(contest.contestDate).toBeInstanceOf(Date);
+        expect(isNaN(contest.contestDate.getTime())).toBe(false);
+      });
+    });
+  });
+
+  it('keeps the parsed sample_user contest histories stable', async () => {
+    const histories = {};
+    for (const platform of platformRegistry.getContestPlatformIds()) {
+      const contests = await platformService.fetchContestHistory(platform, 'sample_user');
+      histories[platform] = contests.map(({ contestId, oldRating, newRating }) => [contestId, oldRating, newRating]);
+    }
+
+    expect(histories).toEqual({
+      codechef: [
+        ['START110D', null, 1512],
+        ['START114C', 1512, 1589],
+        ['START117C', 1589, 1702],
+        ['START120C', 1702, 1645]
+      ],
+      leetcode: [
+        ['weekly-contest-365', null, 1524],
+        ['biweekly-contest-115', 1524, 1588],
+        ['weekly-contest-370', 1588, 1561],
+        ['weekly-contest-378', 1561, 1643],
+        ['weekly-contest-380', 1643, 1687]
+      ],
+      codeforces: [
+        ['1850', 0, 1204],
+        ['1857', 1204, 1337],
+        ['1873', 1337, 1518],
+        ['1921', 1518, 1432]
+      ]
+    });
+  });
+
+  describe.each(platformRegistry.getAllPlatforms()
+    .filter(adapter => adapter.supportsContestStandings)
+    .map(adapter => adapter.id))('%s contest standings', (platform) => {
+    it('has a contest standings recording', () => {
+      expect(listRecordings(platform, 'standings').length).toBeGreaterThan(0);
+    });
+
+    it.each(listRecordings(platform, 'standings'))('parses the %s recording into the standings contract', async (contestId) => {
+      const standings = await platformService.fetchContestStandings(platform, contestId, STANDINGS_HANDLES);
+
+      expect(contractViolations(standings, STANDINGS_CONTRACT, 'standings')).toEqual([]);
+      expect(standings.participants.length).toBeGreaterThan(0);
+    });
+  });
+
+  it('keeps the parsed codeforces 1921 standings stable', async () => {
+    const standings = await platformService.fetchContestStandings('codeforces', '1921', STANDINGS_HANDLES);
+
+    expect(standings.participants.map(({ handle, rank, problemsSolved, oldRating, newRating }) =>
+      [handle, rank, problemsSolved, oldRating, newRating]
+    )).toEqual([
+      ['second_user', 1840, 4, 1380, 1455],
+      ['Sample_User', 6210, 2, 1518, 1432],
+      ['idle_user', 21877, 0, 1105, 1012]
+    ]);
+  });
+
+  describe.each(platformRegistry.getActivityPlatformIds())('%s activity', (platform) => {
+    it('has an activity recording', () => {
+      expect(listRecordings(platform, 'activity').length).toBeGreaterThan(0);
+    });
+
+    it.each(listRecordings(platform, 'activity'))('parses the %s recording into the activity contract', async (platformId) => {
+      const days = await platformService.fetchActivity(platform, platformId, null);
+
+      expect(days.length).toBeGreaterThan(0);
+      expect(contractViolations(days, [ACTIVITY_CONTRACT], 'activity')).toEqual([]);
+      days.forEach(day => {
+        expect(day.date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+        expect(Number.isInteger(day.count) && day.count > 0).toBe(true);
+        if (day.accepted !== null) expect(day.accepted).toBeLessThanOrEqual(day.count);
+      });
+      expect(days.map(day => day.date)).toEqual([...days.map(day => day.date)].sort());
+    });
+  });
+
+  it('keeps the parsed sample_user activity stable from a given day', async () => {
+    const activity = {};
+    for (const platform of platformRegistry.getActivityPlatformIds()) {
+      const days = await platformService.fetchActivity(platform, 'sample_user', new Date('2024-01-16T00:00:00Z'));
+      activity[platform] = days.map(({ date, count, accepted }) => [date, count, accepted]);
+    }
+
+    expect(activity).toEqual({
+      // Two accepted submissions and a wrong answer that day, older ones left out
+      codeforces: [['2024-01-16', 3, 2]],
+      // Accepted counts come from the recent accepted list, short enough here to cover every day
+      leetcode: [
+        ['2025-09-01', 4, 0],
+        ['2025-09-02', 2, 2],
+        ['2025-09-05', 7, 6],
+        ['2025-10-10', 1, 1],
+        ['2026-01-15', 3, 3],
+        ['2026-01-16', 5, 3],
+        ['2026-10-18', 2, 1]
+      ],
+      // Days without contributions are left out; contributions carry no verdict
+      github: [['2026-10-13', 3, null], ['2026-10-14', 1, null], ['2026-10-16', 12, null], ['2026-10-18', 2, null]]
+    });
+  });
+
+  it('replays recorded error responses', async () => {
+    await expect(platformService.fetchPlatformStats('github', 'missing_user'))
+      .rejects.toThrow('GitHub user not found: missing_user');
+  });
+
+  it('never falls through to the network for an unrecorded fetch', async () => {
+    await expect(platformService.fetchPlatformStats('codolio', 'unrecorded_user'))
+      .rejects.toThrow('No recorded response for GET https://api.codolio.com');
+  });
+});
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+jest.mock('axios');
+jest.mock('../src/utils/helpers', () => ({
+  ...jest.requireActual('../src/utils/helpers'),
+  retryWithBackoff: (fn) => fn()
+}));
+
+const geeksforgeeks = require('../src/platforms/geeksforgeeks');
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, 'fixtures/geeksforgeeks', name), 'utf8');
+
+describe('geeksforgeeks adapter fetchStats', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('maps coding score, problems and contests from the profile data', async () => {
+    axios.get.mockResolvedValue({ data: fixture('profile.html') });
+
+    const stats = await geeksforgeeks.fetchStats('sample_user');
+
+    expect(axios.get).toHaveBeenCalledWith('https://www.geeksforgeeks.org/user/sample_user/', expect.any(Object));
+    expect(stats).toEqual({
+      rating: 615,
+      maxRating: 615,
+      problemsSolved: 213,
+      contestsParticipated: 3,
+      rank: 142,
+      additionalData: {
+        username: 'sample_user',
+        codingScore: 615,
+        monthlyScore: 48,
+        institute: 'Sample Institute of Technology',
+        instituteRank: 142,
+        currentStreak: 4,
+        longestStreak: 37,
+        difficulty: { school: 2, basic: 3, easy: 2, medium: 1, hard: 0 }
+      }
+    });
+  });
+
+  it('reports profiles without user data as unknown users', async () => {
+    axios.get.mockResolvedValue({
+      data: '<script id="__NEXT_DATA__" type="application/json">{"props":{"pageProps":{"userInfo":{}}}}</script>'
+    });
+
+    await expect(geeksforgeeks.fetchStats('missing_user')).rejects.toThrow('GeeksforGeeks user not found: missing_user');
+  });
+
+  it('gives a 400 coding score the full rating component', () => {
+    expect(geeksforgeeks.normalizeStats({ rating: 400, problemsSolved: 0, contestsParticipated: 0 }).rating).toBe(100);
+  });
+});
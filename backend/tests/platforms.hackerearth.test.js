@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+jest.mock('axios');
+jest.mock('../src/utils/helpers', () => ({
+  ...jest.requireActual('../src/utils/helpers'),
+  retryWithBackoff: (fn) => fn()
+}));
+
+const hackerearth = require('../src/platforms/hackerearth');
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, 'fixtures/hackerearth', name), 'utf8');
+
+describe('hackerearth adapter fetchStats', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('reads labelled profile stats', async () => {
+    axios.get.mockResolvedValue({ data: fixture('profile.html') });
+
+    const stats = await hackerearth.fetchStats('sample_user');
+
+    expect(axios.get).toHaveBeenCalledWith('https://www.hackerearth.com/@sample_user', expect.any(Object));
+    expect(stats).toEqual({
+      rating: 1432,
+      maxRating: 1518,
+      problemsSolved: 112,
+      contestsParticipated: 14,
+      rank: null,
+      additionalData: {
+        username: 'sample_user',
+        name: 'Sample User',
+        submissions: 340,
+        points: 2205
+      }
+    });
+  });
+
+  it('reports pages without profile stats as unknown users', async () => {
+    axios.get.mockResolvedValue({ data: '<html><body><h1>Page not available</h1></body></html>' });
+
+    await expect(hackerearth.fetchStats('missing_user')).rejects.toThrow('HackerEarth user not found: missing_user');
+  });
+});
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+jest.mock('axios');
+jest.mock('../src/utils/helpers', () => ({
+  ...jest.requireActual('../src/utils/helpers'),
+  retryWithBackoff: (fn) => fn()
+}));
+
+const hackerrank = require('../src/platforms/hackerrank');
+
+const fixture = (name) =>
+  JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/hackerrank', name), 'utf8'));
+
+const mockHackerRankResponses = () => {
+  axios.get.mockImplementation(async (url) => {
+    if (url === 'https://www.hackerrank.com/rest/contests/master/hackers/sample_user/profile') {
+      return { data: fixture('profile.json') };
+    }
+    if (url === 'https://www.hackerrank.com/rest/hackers/sample_user/badges') {
+      return { data: fixture('badges.json') };
+    }
+    throw new Error(`Unexpected request: ${url}`);
+  });
+};
+
+describe('hackerrank adapter fetchStats', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('sums badge stars and solved challenges', async () => {
+    mockHackerRankResponses();
+
+    const stats = await hackerrank.fetchStats('sample_user');
+
+    expect(stats.rating).toBe(9);
+    expect(stats.problemsSolved).toBe(125);
+    expect(stats.contestsParticipated).toBe(0);
+    expect(stats.additionalData).toEqual({
+      username: 'sample_user',
+      name: 'Sample User',
+      country: 'India',
+      school: 'Sample Institute of Technology',
+      level: 4,
+      totalStars: 9,
+      badges: [
+        { name: 'Problem Solving', stars: 4, solved: 86, totalChallenges: 563 },
+        { name: 'C++', stars: 3, solved: 22, totalChallenges: 44 },
+        { name: 'SQL', stars: 2, solved: 17, totalChallenges: 58 }
+      ]
+    });
+  });
+
+  it('keeps the profile when badges fail to load', async () => {
+    mockHackerRankResponses();
+    const defaultImplementation = axios.get.getMockImplementation();
+    axios.get.mockImplementation(async (url, options) => {
+      if (url.endsWith('/badges')) {
+        throw new Error('socket hang up');
+      }
+      return defaultImplementation(url, options);
+    });
+
+    const stats = await hackerrank.fetchStats('sample_user');
+
+    expect(stats.rating).toBe(0);
+    expect(stats.additionalData.badges).toEqual([]);
+  });
+
+  it('reports unknown users', async () => {
+    axios.get.mockRejectedValue(Object.assign(new Error('Request failed'), {
+      response: { status: 404 }
+    }));
+
+    await expect(hackerrank.fetchStats('missing_user')).rejects.toThrow('HackerRank user not found: missing_user');
+  });
+});
@@ -0,0 +1,99 @@
+// Fast hashes for the generated logins, read when constants are first loaded
+process.env.BCRYPT_ROUNDS = '4';
+
+const portalService = require('../src/services/portalService');
+const Student = require('../src/models/Student');
+const PerformanceHistory = require('../src/models/PerformanceHistory');
+const HandleCorrection = require('../src/models/HandleCorrection');
+const User = require('../src/models/User');
+const AuditLog = require('../src/models/AuditLog');
+
+const lean = (value) => ({ select: () => ({ lean: async () => value }) });
+
+describe('portalService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ranks a student by latest score within their department, sharing ties', async () => {
+    jest.spyOn(Student, 'find').mockReturnValue(lean([{ regNo: 'CSE1' }, { regNo: 'CSE2' }, { regNo: 'CSE3' }, { regNo: 'CSE4' }]));
+    jest.spyOn(PerformanceHistory, 'getRecentRuns').mockResolvedValue([
+      { _id: 'CSE1', runs: [{ overallScore: 90 }] },
+      { _id: 'CSE2', runs: [{ overallScore: 70 }] },
+      { _id: 'CSE3', runs: [{ overallScore: 70 }] }
+      // CSE4 has no runs yet and isn't ranked
+    ]);
+
+    const rank = await portalService.getDepartmentRank({ regNo: 'CSE3', department: 'CSE' });
+
+    expect(Student.find).toHaveBeenCalledWith({ department: 'CSE', isActive: true });
+    expect(rank).toEqual({ department: 'CSE', rank: 2, of: 3, overallScore: 70 });
+    expect(await portalService.getDepartmentRank({ regNo: 'CSE4', department: 'CSE' })).toBeNull();
+  });
+
+  it('updates a pending request for the same platform instead of adding another', async () => {
+    const student = new Student({ regNo: 'CSE1', name: 'Asha', department: 'CSE', platformIds: { leetcode: 'asha_lc' } });
+    const pending = new HandleCorrection({ regNo: 'CSE1', platform: 'leetcode', currentHandle: 'asha_lc', requestedHandle: 'asha_old' });
+    jest.spyOn(HandleCorrection, 'findPending').mockResolvedValue(pending);
+    jest.spyOn(pending, 'save').mockImplementation(async function() { return this; });
+    const create = jest.spyOn(HandleCorrection, 'create');
+
+    const correction = await portalService.requestCorrection({ student, platform: 'leetcode', handle: 'asha_new', note: 'Renamed' });
+
+    expect(create).not.toHaveBeenCalled();
+    expect(correction).toBe(pending);
+    expect(correction).toMatchObject({ requestedHandle: 'asha_new', currentHandle: 'asha_lc', note: 'Renamed', status: 'pending' });
+  });
+
+  it('writes an approved handle onto the student and the audit log, and leaves it alone on rejection', async () => {
+    const reviewer = { _id: '64b7f0c2a1b2c3d4e5f60718', name: 'Dr. Rao', email: 'coord@college.edu', role: 'coordinator' };
+    const student = new Student({ regNo: 'CSE1', name: 'Asha', department: 'CSE', platformIds: { codeforces: 'asha_old' } });
+    const findOne = jest.spyOn(Student, 'findOne').mockResolvedValue(student);
+    const save = jest.spyOn(student, 'save').mockImplementation(async function() { return this; });
+    const create = jest.spyOn(AuditLog, 'create').mockImplementation(async (entry) => entry);
+    jest.spyOn(HandleCorrection.prototype, 'save').mockImplementation(async function() { return this; });
+    const correction = () => new HandleCorrection({ regNo: 'CSE1', platform: 'codeforces', requestedHandle: 'asha_cf' });
+
+    const approved = await portalService.reviewCorrection(correction(), { approve: true, reviewer });
+    expect(student.platformIds.codeforces).toBe('asha_cf');
+    expect(save).toHaveBeenCalled();
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      regNo: 'CSE1',
+      action: 'update',
+      source: 'correction',
+      changes: [{ field: 'platformIds.codeforces', before: 'asha_old', after: 'asha_cf' }],
+      userName: 'Dr. Rao'
+    }));
+    expect(approved).toMatchObject({ status: 'approved', reviewedAt: expect.any(Date) });
+    expect(String(approved.reviewedBy)).toBe(reviewer._id);
+
+    findOne.mockClear();
+    const rejected = await portalService.reviewCorrection(correction(), { approve: false, reviewer, note: 'Not your profile' });
+    expect(findOne).not.toHaveBeenCalled();
+    expect(rejected).toMatchObject({ status: 'rejected', reviewNote: 'Not your profile' });
+  });
+
+  it('creates logins only for students without one, each with its own password', async () => {
+    jest.spyOn(Student, 'find').mockReturnValue(lean([
+      { regNo: 'CSE1', name: 'Asha', department: 'CSE' },
+      { regNo: 'CSE2', name: 'Ravi', department: 'CSE' },
+      { regNo: 'CSE3', name: 'Meena', department: 'CSE' }
+    ]));
+    jest.spyOn(User, 'distinct').mockResolvedValue(['CSE2']);
+    const saved = [];
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+      saved.push(this);
+      return this;
+    });
+
+    const { created, existing } = await portalService.createStudentLogins({ department: 'CSE' });
+
+    expect(Student.find).toHaveBeenCalledWith({ isActive: true, department: 'CSE' });
+    expect(existing).toBe(1);
+    expect(created.map(({ regNo }) => regNo)).toEqual(['CSE1', 'CSE3']);
+    expect(created[0].password).toHaveLength(12);
+    expect(created[0].password).not.toBe(created[1].password);
+    expect(saved.map(({ role, regNo }) => [role, regNo])).toEqual([['student', 'CSE1'], ['student', 'CSE3']]);
+    expect(await saved[0].checkPassword(created[0].password)).toBe(true);
+  });
+});
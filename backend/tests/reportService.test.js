@@ -0,0 +1,90 @@
+const reportService = require('../src/services/reportService');
+const exportService = require('../src/services/exportService');
+const Report = require('../src/models/Report');
+
+const coordinator = { _id: '64b7f0c2a1b2c3d4e5f60718', name: 'Dr. Rao', email: 'rao@college.edu', role: 'coordinator' };
+
+const weeks = {
+  current: { _id: 'job2', weekLabel: 'Week 2' },
+  previous: { _id: 'job1', weekLabel: 'Week 1' }
+};
+
+const row = (regNo, overallScore, change, performanceLevel, department = 'CSE') => ({
+  regNo,
+  name: `Student ${regNo}`,
+  department,
+  year: '3',
+  overallScore,
+  previousScore: change === null ? null : overallScore - change,
+  change,
+  performanceLevel,
+  platformScores: [{ platform: 'leetcode', rating: 1500, problemsSolved: 100 }]
+});
+
+const rows = [
+  row('CSE1', 85, 5, 'high'),
+  row('CSE2', 60, -10, 'medium'),
+  row('CSE3', 60, null, 'medium'),
+  row('ECE1', 30, 2, 'low', 'ECE')
+];
+
+describe('reportService', () => {
+  let create;
+
+  beforeEach(() => {
+    jest.spyOn(exportService, 'findWeeks').mockResolvedValue(weeks);
+    jest.spyOn(exportService, 'rows').mockImplementation(async function* () { yield* rows; });
+    create = jest.spyOn(Report, 'create').mockImplementation(async (report) => report);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ranks students with equal scores together and counts levels, movers and score bands', () => {
+    const summary = reportService.summarize(rows.map(entry => ({ ...entry })));
+
+    expect(summary.ranked.map(({ regNo, rank }) => [regNo, rank])).toEqual([['CSE1', 1], ['CSE2', 2], ['CSE3', 2], ['ECE1', 4]]);
+    expect(summary.levels).toEqual({ high: 1, medium: 2, low: 1 });
+    expect(summary.averageScore).toBe(58.8);
+    expect(summary.averageChange).toBe(-1);
+    expect(summary.improvers.map(({ regNo }) => regNo)).toEqual(['CSE1', 'ECE1']);
+    expect(summary.decliners.map(({ regNo }) => regNo)).toEqual(['CSE2']);
+    expect(summary.departments.map(({ department, students }) => [department, students])).toEqual([['CSE', 3], ['ECE', 1]]);
+    expect(summary.distribution.map(({ count }) => count)).toEqual([0, 1, 0, 2, 1]);
+  });
+
+  it('renders the weekly report as a PDF and stores it with what it was generated for', async () => {
+    const report = await reportService.generate({ type: 'weekly' }, { user: coordinator });
+
+    expect(exportService.rows).toHaveBeenCalledWith({ weeks, department: null });
+    expect(report).toMatchObject({
+      type: 'weekly',
+      title: 'Weekly Performance Report – Week 2',
+      weekLabel: 'Week 2',
+      trigger: 'manual',
+      generatedByName: 'Dr. Rao',
+      params: { department: null, regNo: null, weekId: null, weeks: null }
+    });
+    expect(report.file.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(report.size).toBe(report.file.length);
+    expect(report.pages).toBeGreaterThanOrEqual(1);
+    expect(report.filename).toMatch(/^weekly-performance-report-week-2-\d{4}-\d{2}-\d{2}\.pdf$/);
+  });
+
+  it('generates nothing for an unknown week', async () => {
+    exportService.findWeeks.mockResolvedValue(null);
+
+    await expect(reportService.generate({ type: 'department', department: 'CSE', weekId: 'missing' })).resolves.toBeNull();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('stores the weekly report after a scrape and never throws when it fails', async () => {
+    const report = await reportService.generateScheduledReport({ jobId: 'job2' });
+    expect(exportService.findWeeks).toHaveBeenCalledWith('job2');
+    expect(report).toMatchObject({ trigger: 'scheduled', generatedBy: null });
+
+    create.mockRejectedValue(new Error('disk full'));
+    await expect(reportService.generateScheduledReport({ jobId: 'job2' })).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,114 @@
+const rescoreService = require('../src/services/rescoreService');
+const scoringService = require('../src/services/scoringService');
+const percentileService = require('../src/services/percentileService');
+const PerformanceHistory = require('../src/models/PerformanceHistory');
+const ScoringProfile = require('../src/models/ScoringProfile');
+
+const STATS = [
+  { platform: 'leetcode', rating: 1687, problemsSolved: 236, contestsParticipated: 12, fetchStatus: 'success' },
+  { platform: 'codeforces', rating: 1432, problemsSolved: 4, contestsParticipated: 4, fetchStatus: 'success' }
+];
+
+const storedProfile = (version, overrides = {}) => new ScoringProfile({
+  ...scoringService.getDefaultProfile(),
+  version,
+  ...overrides
+});
+
+const mockHistories = (histories) => {
+  jest.spyOn(PerformanceHistory, 'countDocuments').mockResolvedValue(histories.length);
+  jest.spyOn(PerformanceHistory, 'find').mockReturnValue({
+    select: () => ({ lean: () => ({ cursor: () => histories }) })
+  });
+  return jest.spyOn(PerformanceHistory, 'bulkWrite').mockResolvedValue({});
+};
+
+describe('rescoreService', () => {
+  let statusUpdates;
+
+  beforeEach(() => {
+    statusUpdates = [];
+    jest.spyOn(ScoringProfile, 'updateOne').mockImplementation(async (filter, update) => {
+      statusUpdates.push([filter.version, update.$set]);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rewrites only the histories whose score, level or version changed', async () => {
+    jest.spyOn(ScoringProfile, 'findByVersion').mockResolvedValue(
+      storedProfile(2, { platformWeights: { leetcode: 3 } })
+    );
+    const bulkWrite = mockHistories([
+      // (100 * 3 + 48.8) / 4 = 87
+      { _id: 'unchanged', platformStats: STATS, overallScore: 87, performanceLevel: 'high', scoringVersion: 2 },
+      { _id: 'stale', platformStats: STATS, overallScore: 74, performanceLevel: 'medium', scoringVersion: 0 }
+    ]);
+
+    const result = await rescoreService.rescoreAll(2);
+
+    expect(result).toEqual({ total: 2, processed: 2, updated: 1 });
+    expect(bulkWrite).toHaveBeenCalledWith([{
+      updateOne: {
+        filter: { _id: 'stale' },
+        update: { $set: { overallScore: 87, performanceLevel: 'high', scoringVersion: 2 } }
+      }
+    }], { ordered: false });
+    expect(statusUpdates[0]).toEqual([2, expect.objectContaining({ 'rescore.status': 'processing', 'rescore.total': 2 })]);
+    expect(statusUpdates[statusUpdates.length - 1]).toEqual([2, expect.objectContaining({ 'rescore.status': 'completed' })]);
+  });
+
+  it('compares every history with the current cohort of active students', async () => {
+    jest.spyOn(ScoringProfile, 'findByVersion').mockResolvedValue(
+      storedProfile(5, { ratingScale: { mode: 'cohort', reference: null } })
+    );
+    const loadCohort = jest.spyOn(percentileService, 'loadCohort').mockResolvedValue({ codeforces: [1200, 1432, 1600, 1800] });
+    const codeforces = [STATS[1]];
+    const bulkWrite = mockHistories([
+      { _id: 'first', uploadJobId: 'week-1', platformStats: codeforces, overallScore: 0, scoringVersion: 0 },
+      { _id: 'second', uploadJobId: 'week-2', platformStats: codeforces, overallScore: 0, scoringVersion: 0 }
+    ]);
+
+    await rescoreService.rescoreAll(5);
+
+    // 1432 is the 37.5th percentile in both weeks (23.8), as live scoring would have it
+    expect(loadCohort).toHaveBeenCalledTimes(1);
+    expect(bulkWrite.mock.calls[0][0].map(({ updateOne }) => updateOne.update.$set.overallScore))
+      .toEqual([24, 24]);
+  });
+
+  it('records a failed run on the profile', async () => {
+    jest.spyOn(ScoringProfile, 'findByVersion').mockResolvedValue(storedProfile(4));
+    const bulkWrite = mockHistories([
+      { _id: 'stale', platformStats: STATS, overallScore: 0, performanceLevel: 'low', scoringVersion: 0 }
+    ]);
+    bulkWrite.mockRejectedValue(new Error('write conflict'));
+
+    await expect(rescoreService.rescoreAll(4)).rejects.toThrow('write conflict');
+    expect(statusUpdates[statusUpdates.length - 1]).toEqual([4, expect.objectContaining({
+      'rescore.status': 'failed',
+      'rescore.error': 'write conflict'
+    })]);
+  });
+
+  it('runs the newest version saved during a run and supersedes the rest', async () => {
+    const rescoreAll = jest.spyOn(rescoreService, 'rescoreAll');
+    let finishFirst;
+    rescoreAll.mockImplementationOnce(() => new Promise(resolve => { finishFirst = resolve; }));
+    rescoreAll.mockResolvedValue({});
+
+    await rescoreService.start(1);
+    await rescoreService.start(2);
+    await rescoreService.start(3);
+    expect(rescoreService.isRunning).toBe(true);
+
+    finishFirst({});
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(rescoreAll.mock.calls).toEqual([[1], [3]]);
+    expect(statusUpdates).toEqual([[2, expect.objectContaining({ 'rescore.status': 'superseded' })]]);
+    expect(rescoreService.isRunning).toBe(false);
+  });
+});
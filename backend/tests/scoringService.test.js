@@ -0,0 +1,275 @@
+const scoringService = require('../src/services/scoringService');
+const scheduledScraper = require('../src/services/scheduledScraper');
+const PerformanceHistory = require('../src/models/PerformanceHistory');
+
+// Parsed sample_user figures from the recorded fixtures
+const SAMPLE_STATS = {
+  codechef: { rating: 1645, maxRating: 1702, problemsSolved: 128, contestsParticipated: 14, rank: 4521 },
+  leetcode: { rating: 1687, maxRating: 1687, problemsSolved: 236, contestsParticipated: 12, rank: 98231 },
+  codeforces: { rating: 1432, maxRating: 1518, problemsSolved: 4, contestsParticipated: 4, rank: null },
+  geeksforgeeks: { rating: 615, maxRating: 615, problemsSolved: 213, contestsParticipated: 3, rank: 142 },
+  hackerrank: { rating: 9, maxRating: 9, problemsSolved: 125, contestsParticipated: 0, rank: null }
+};
+
+const asHistoryStats = (stats) => Object.entries(stats)
+  .map(([platform, platformStats]) => ({ platform, ...platformStats, fetchStatus: 'success' }));
+
+describe('scoringService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('weights normalised rating, problems and contests into a platform score', () => {
+    expect(Object.fromEntries(Object.entries(SAMPLE_STATS)
+      .map(([platform, stats]) => [platform, scoringService.scorePlatform(platform, stats)])
+    )).toEqual({
+      codechef: 85.6,
+      leetcode: 100,
+      codeforces: 48.8,
+      geeksforgeeks: 86,
+      hackerrank: 43
+    });
+  });
+
+  it('caps every component at its full weight', () => {
+    expect(scoringService.scorePlatform('atcoder', {
+      rating: 3500,
+      problemsSolved: 2000,
+      contestsParticipated: 80
+    })).toBe(100);
+    expect(scoringService.scorePlatform('atcoder', {})).toBe(0);
+  });
+
+  it('uses per-platform normalisers', () => {
+    // 400 is the full rating component for a GeeksforGeeks coding score, 20 for HackerRank stars
+    expect(scoringService.scorePlatform('geeksforgeeks', { rating: 400 })).toBe(40);
+    expect(scoringService.scorePlatform('hackerrank', { rating: 20 })).toBe(40);
+    expect(scoringService.scorePlatform('codeforces', { rating: 400 })).toBe(20);
+  });
+
+  it('weights solved problems by difficulty in medium-problem equivalents', () => {
+    const leetcode = {
+      ...SAMPLE_STATS.leetcode,
+      additionalData: { difficulty: { easy: 118, medium: 97, hard: 21 } }
+    };
+    // 118 * 0.5 + 97 + 21 * 2 = 198 of the 200 cap
+    expect(scoringService.scorePlatform('leetcode', leetcode)).toBe(99.6);
+
+    // Stored history keeps the buckets as difficulty; the 20 unrated problems count as medium
+    // (40 * 0.5 + 20 + 40 * 2 = 120 of 200)
+    expect(scoringService.scorePlatform('codeforces', {
+      rating: 0,
+      problemsSolved: 100,
+      difficulty: { easy: 40, medium: 0, hard: 40 }
+    })).toBe(24);
+
+    // School and basic GeeksforGeeks problems count as easy
+    expect(scoringService.scorePlatform('geeksforgeeks', {
+      problemsSolved: 200,
+      additionalData: { difficulty: { school: 50, basic: 50, easy: 100, medium: 0, hard: 0 } }
+    })).toBe(20);
+  });
+
+  it('averages successful platforms only and maps the score to a level', () => {
+    const result = scoringService.scoreStudent([
+      ...asHistoryStats(SAMPLE_STATS),
+      { platform: 'atcoder', rating: 2000, problemsSolved: 500, contestsParticipated: 20, fetchStatus: 'failed' },
+      { platform: 'unknown', rating: 2000, fetchStatus: 'success' }
+    ]);
+
+    expect(result).toEqual({
+      overallScore: 73,
+      performanceLevel: 'medium',
+      platformScores: {
+        codechef: 85.6,
+        leetcode: 100,
+        codeforces: 48.8,
+        geeksforgeeks: 86,
+        hackerrank: 43
+      },
+      scoringVersion: 0
+    });
+  });
+
+  it('scores a { platform: stats } map the same way, skipping failed (null) platforms', () => {
+    expect(scoringService.scoreStudent({ ...SAMPLE_STATS, atcoder: null }).overallScore).toBe(73);
+    expect(scoringService.scoreStudent({})).toEqual({
+      overallScore: 0,
+      performanceLevel: 'low',
+      platformScores: {},
+      scoringVersion: 0
+    });
+  });
+
+  it('applies the performance thresholds', () => {
+    expect([80, 79, 50, 49, 0].map(score => scoringService.getPerformanceLevel(score)))
+      .toEqual(['high', 'medium', 'medium', 'low', 'low']);
+  });
+
+  it('explains the score with each platform contribution and the caps it hit', () => {
+    const breakdown = scoringService.explainStudent(SAMPLE_STATS);
+    const byPlatform = Object.fromEntries(breakdown.platforms.map(entry => [entry.platform, entry]));
+
+    expect(breakdown.overallScore).toBe(scoringService.scoreStudent(SAMPLE_STATS).overallScore);
+    expect(breakdown.platforms.map(entry => entry.platform))
+      .toEqual(['leetcode', 'geeksforgeeks', 'codechef', 'codeforces', 'hackerrank']);
+    expect(byPlatform.codechef).toEqual(expect.objectContaining({
+      components: { rating: 100, problemsSolved: 64, contests: 100 },
+      capsHit: ['rating', 'contests'],
+      score: 85.6,
+      weight: 1,
+      // 85.6 / 5 equally weighted platforms
+      contribution: 17.12
+    }));
+    expect(breakdown.weights).toEqual(expect.objectContaining({
+      componentWeights: { rating: 0.4, problemsSolved: 0.4, contests: 0.2 },
+      ratingScale: 'cap'
+    }));
+  });
+
+  it('leaves Codolio, which sums the other platforms, out of the overall score by default', () => {
+    const codolio = { rating: 0, problemsSolved: 706, contestsParticipated: 33, rank: null };
+
+    expect(scoringService.getDefaultProfile().platformWeights.codolio).toBe(0);
+    expect(scoringService.scoreStudent({ ...SAMPLE_STATS, codolio }).overallScore)
+      .toBe(scoringService.scoreStudent(SAMPLE_STATS).overallScore);
+  });
+
+  describe('with a saved profile', () => {
+    const profile = (overrides) => {
+      const defaults = scoringService.getDefaultProfile();
+      return {
+        ...defaults,
+        version: 3,
+        ...overrides,
+        platformWeights: { ...defaults.platformWeights, ...overrides.platformWeights }
+      };
+    };
+
+    it('weights platforms by the profile', () => {
+      const result = scoringService.scoreStudent(SAMPLE_STATS, profile({ platformWeights: { leetcode: 3 } }));
+
+      // (85.6 + 3 * 100 + 48.8 + 86 + 43) / 7
+      expect([result.overallScore, result.performanceLevel, result.scoringVersion]).toEqual([80, 'high', 3]);
+      expect(scoringService.scoreStudent(SAMPLE_STATS, profile({ platformWeights: { leetcode: 0 } })).overallScore)
+        .toBe(66);
+    });
+
+    it('normalises against the profile caps and component weights', () => {
+      const custom = profile({
+        caps: { rating: 2000, problemsSolved: 200, contests: 4 },
+        componentWeights: { rating: 0.5, problemsSolved: 0.25, contests: 0.25 }
+      });
+
+      // rating 1432 / 2000, contests 4 / 4
+      expect(scoringService.scorePlatform('codeforces', SAMPLE_STATS.codeforces, custom)).toBe(61.3);
+      // GeeksforGeeks doubles its coding score before the cap
+      expect(scoringService.scorePlatform('geeksforgeeks', { rating: 500 }, custom)).toBe(25);
+      // HackerRank stars scale with the cap, so 20 still earn the full rating component
+      expect(scoringService.scorePlatform('hackerrank', { rating: 20 }, custom)).toBe(50);
+    });
+
+    it('applies the profile difficulty weights', () => {
+      const custom = profile({ difficultyWeights: { easy: 1, medium: 1, hard: 4 } });
+      const leetcode = {
+        ...SAMPLE_STATS.leetcode,
+        problemsSolved: 100,
+        additionalData: { difficulty: { easy: 50, medium: 25, hard: 25 } }
+      };
+
+      // 50 + 25 + 25 * 4 = 175 problems against 50 * 0.5 + 25 + 25 * 2 = 100 by default
+      expect(scoringService.scorePlatform('leetcode', leetcode, custom)).toBe(95);
+      expect(scoringService.scorePlatform('leetcode', leetcode)).toBe(80);
+    });
+
+    it('scores the rating as a reference percentile instead of against the cap', () => {
+      const custom = profile({ ratingScale: { mode: 'reference', reference: null } });
+
+      // Codeforces 1432 is the 67.4th percentile: 67.4 * 0.4 + 0.8 + 8
+      expect(scoringService.scorePlatform('codeforces', SAMPLE_STATS.codeforces, custom)).toBe(35.76);
+      // No HackerRank reference, so its capped rating stands
+      expect(scoringService.scorePlatform('hackerrank', SAMPLE_STATS.hackerrank, custom)).toBe(43);
+    });
+
+    it('scores the rating as a cohort percentile', () => {
+      const custom = profile({ ratingScale: { mode: 'cohort', reference: null } });
+      const cohort = { codeforces: [1200, 1432, 1600, 1800] };
+
+      // 1.5 of 4 students at or below 1432 is the 37.5th percentile
+      expect(scoringService.scorePlatform('codeforces', SAMPLE_STATS.codeforces, custom, cohort)).toBe(23.8);
+      expect(scoringService.scorePlatform('codeforces', SAMPLE_STATS.codeforces, custom, {})).toBe(48.8);
+    });
+
+    it('does not count a percentile rating as a cap hit', () => {
+      const custom = profile({ ratingScale: { mode: 'reference', reference: null } });
+      const [codechef] = scoringService.explainStudent({ codechef: SAMPLE_STATS.codechef }, custom).platforms;
+
+      // CodeChef 1645 is the 59.5th percentile
+      expect(codechef.ratingPercentile).toBe(59.5);
+      expect(codechef.capsHit).toEqual(['contests']);
+    });
+
+    it('ranks by the profile percentile mode or the cohort', () => {
+      const original = scoringService.profile;
+
+      try {
+        expect(scoringService.getPercentileScale()).toEqual({ mode: 'cohort', reference: null });
+        expect(scoringService.getPercentileScale('reference').mode).toBe('reference');
+
+        scoringService.setProfile(profile({ ratingScale: { mode: 'reference', reference: null } }));
+        expect(scoringService.getPercentileScale().mode).toBe('reference');
+      } finally {
+        scoringService.setProfile(original);
+      }
+    });
+
+    it('applies the profile thresholds', () => {
+      const custom = profile({ thresholds: { high: 70, medium: 40 } });
+
+      expect([70, 69, 40, 39].map(score => scoringService.getPerformanceLevel(score, custom)))
+        .toEqual(['high', 'medium', 'medium', 'low']);
+      expect(scoringService.scoreStudent(SAMPLE_STATS, custom).performanceLevel).toBe('high');
+    });
+
+    it('scores with the active profile once it is set', () => {
+      const original = scoringService.profile;
+      scoringService.setProfile(profile({ platformWeights: { leetcode: 3 } }));
+
+      try {
+        expect(scoringService.calculateOverallScore(SAMPLE_STATS)).toBe(80);
+      } finally {
+        scoringService.setProfile(original);
+      }
+    });
+  });
+
+  it('gives uploads and the weekly scrape the same score and level', async () => {
+    const history = new PerformanceHistory({
+      regNo: '21CS001',
+      uploadJobId: 'job',
+      weekNumber: 1,
+      weekLabel: 'Week 1',
+      uploadDate: new Date(),
+      platformStats: asHistoryStats(SAMPLE_STATS),
+      overallScore: 0,
+      performanceLevel: 'low',
+      totalPlatforms: 5,
+      activePlatforms: 5
+    });
+    history.calculateOverallScore();
+
+    const save = jest.spyOn(PerformanceHistory.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    await scheduledScraper.savePerformanceHistory(
+      { regNo: '21CS001', platformIds: { codechef: 'a', leetcode: 'b', codeforces: 'c', geeksforgeeks: 'd', hackerrank: 'e' } },
+      SAMPLE_STATS,
+      'scheduled-job',
+      { weekNumber: 1, weekLabel: 'Week 1', uploadDate: new Date() }
+    );
+    const scraped = save.mock.contexts[0];
+
+    expect([history.overallScore, history.performanceLevel, history.scoringVersion]).toEqual([73, 'medium', 0]);
+    expect([scraped.overallScore, scraped.performanceLevel, scraped.scoringVersion]).toEqual([73, 'medium', 0]);
+  });
+});
@@ -0,0 +1,161 @@
+const studentService = require('../src/services/studentService');
+const Student = require('../src/models/Student');
+const AuditLog = require('../src/models/AuditLog');
+
+const admin = { _id: '64b7f0c2a1b2c3d4e5f60718', name: 'Dr. Admin', email: 'admin@college.edu', role: 'admin' };
+
+const makeStudent = (fields = {}) => {
+  const student = new Student({
+    regNo: 'CSE1',
+    name: 'Asha',
+    department: 'CSE',
+    year: '3',
+    platformIds: { leetcode: 'asha_lc', codeforces: 'asha_cf' },
+    ...fields
+  });
+  jest.spyOn(student, 'save').mockImplementation(async function() { return this; });
+  return student;
+};
+
+describe('studentService', () => {
+  let create;
+
+  beforeEach(() => {
+    create = jest.spyOn(AuditLog, 'create').mockImplementation(async (entry) => entry);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records every set field of a new student', async () => {
+    jest.spyOn(Student.prototype, 'save').mockImplementation(async function() { return this; });
+
+    const student = await studentService.createStudent(
+      { regNo: 'CSE9', name: 'Ravi', department: 'CSE', platformIds: { leetcode: ' ravi_lc ', codechef: '' } },
+      { user: admin }
+    );
+
+    expect(student.platformIds.leetcode).toBe('ravi_lc');
+    expect(student.platformIds.codechef).toBeNull();
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      regNo: 'CSE9',
+      action: 'create',
+      source: 'manual',
+      changes: [
+        { field: 'name', before: null, after: 'Ravi' },
+        { field: 'department', before: null, after: 'CSE' },
+        { field: 'isActive', before: null, after: true },
+        { field: 'platformIds.leetcode', before: null, after: 'ravi_lc' }
+      ],
+      userId: admin._id,
+      userName: 'Dr. Admin',
+      userRole: 'admin'
+    }));
+  });
+
+  it('merges handles, clears empty ones and records only what changed', async () => {
+    const student = makeStudent();
+
+    const changes = await studentService.updateStudent(
+      student,
+      { name: 'Asha', year: '4', platformIds: { leetcode: 'asha_leet', codeforces: '' } },
+      { user: admin }
+    );
+
+    expect(changes).toEqual([
+      { field: 'year', before: '3', after: '4' },
+      { field: 'platformIds.leetcode', before: 'asha_lc', after: 'asha_leet' },
+      { field: 'platformIds.codeforces', before: 'asha_cf', after: null }
+    ]);
+    expect(student.save).toHaveBeenCalled();
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ action: 'update', changes }));
+  });
+
+  it('saves and records nothing when the values are already set', async () => {
+    const student = makeStudent();
+
+    const changes = await studentService.updateStudent(student, { name: 'Asha', platformIds: { leetcode: 'asha_lc' } });
+
+    expect(changes).toEqual([]);
+    expect(student.save).not.toHaveBeenCalled();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('sorts bulk changes into changed, unchanged and not found', async () => {
+    const active = makeStudent({ regNo: 'CSE1' });
+    const inactive = makeStudent({ regNo: 'CSE2', isActive: false });
+    jest.spyOn(Student, 'find').mockResolvedValue([active, inactive]);
+
+    const result = await studentService.bulkSetActive(['CSE1', 'CSE2', 'CSE3'], false, { user: admin });
+
+    expect(result).toEqual({ changed: ['CSE1'], unchanged: ['CSE2'], notFound: ['CSE3'] });
+    expect(active.isActive).toBe(false);
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      regNo: 'CSE1',
+      action: 'deactivate',
+      source: 'bulk',
+      changes: [{ field: 'isActive', before: true, after: false }]
+    }));
+  });
+
+  describe('Codolio suggestions', () => {
+    it('keeps discovered handles as suggestions without touching the handles', async () => {
+      const student = makeStudent();
+
+      const suggested = await studentService.saveDiscoveredPlatformIds(
+        student,
+        { codechef: 'asha_cc', leetcode: 'other_lc' },
+        { writeBack: false }
+      );
+
+      expect(suggested).toEqual({ codechef: 'asha_cc' });
+      expect(student.platformIds.codechef).toBeFalsy();
+      expect(student.suggestedPlatformIds).toEqual({ codechef: 'asha_cc' });
+      expect(student.save).toHaveBeenCalled();
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('records handles written back from Codolio in the audit log', async () => {
+      const student = makeStudent();
+
+      await studentService.saveDiscoveredPlatformIds(student, { codechef: 'asha_cc' }, { writeBack: true });
+
+      expect(student.platformIds.codechef).toBe('asha_cc');
+      expect(student.suggestedPlatformIds).toEqual({});
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        regNo: 'CSE1',
+        action: 'update',
+        source: 'suggestion',
+        changes: [{ field: 'platformIds.codechef', before: null, after: 'asha_cc' }],
+        userId: null
+      }));
+    });
+
+    it('accepts chosen suggestions as an audited edit and dismisses the rest', async () => {
+      const student = makeStudent({ suggestedPlatformIds: { codechef: 'asha_cc', github: 'asha-gh', atcoder: 'asha_ac' } });
+
+      const changes = await studentService.acceptSuggestedPlatformIds(student, ['codechef'], { user: admin });
+
+      expect(changes).toEqual([{ field: 'platformIds.codechef', before: null, after: 'asha_cc' }]);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ source: 'suggestion', userName: 'Dr. Admin' }));
+      expect(student.suggestedPlatformIds).toEqual({ github: 'asha-gh', atcoder: 'asha_ac' });
+
+      await expect(studentService.dismissSuggestedPlatformIds(student, null, { user: admin }))
+        .resolves.toEqual(['github', 'atcoder']);
+      expect(student.suggestedPlatformIds).toEqual({});
+      expect(student.platformIds.github).toBeFalsy();
+      expect(create).toHaveBeenCalledTimes(1);
+    });
+
+    it('drops a suggestion for a handle filled in since without overwriting it', async () => {
+      const student = makeStudent({ suggestedPlatformIds: { leetcode: 'other_lc' } });
+
+      await expect(studentService.acceptSuggestedPlatformIds(student)).resolves.toEqual([]);
+      expect(student.platformIds.leetcode).toBe('asha_lc');
+      expect(student.suggestedPlatformIds).toEqual({});
+      expect(student.save).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const topicService = require('../src/services/topicService');
+const PlatformStats = require('../src/models/PlatformStats');
+const Student = require('../src/models/Student');
+
+const PLATFORM_STATS = [
+  { regNo: 'CSE1', platform: 'codeforces', currentStats: { additionalData: { topics: { dp: 4, graphs: 2 } } } },
+  { regNo: 'CSE1', platform: 'leetcode', currentStats: { additionalData: { tags: { 'dynamic-programming': 6, array: 30 } } } },
+  { regNo: 'CSE2', platform: 'leetcode', currentStats: { additionalData: { tags: { graph: 4, greedy: 3 } } } },
+  { regNo: 'ECE1', platform: 'codeforces', currentStats: { additionalData: { topics: { greedy: 5 } } } },
+  // No tags on CodeChef, so no topics
+  { regNo: 'ECE2', platform: 'codechef', currentStats: { additionalData: { username: 'ece2' } } }
+];
+
+const STUDENTS = [
+  { regNo: 'CSE1', name: 'Asha', department: 'CSE' },
+  { regNo: 'CSE2', name: 'Bala', department: 'CSE' },
+  { regNo: 'ECE1', name: 'Chitra', department: 'ECE' },
+  { regNo: 'ECE2', name: 'Dev', department: 'ECE' }
+];
+
+const mockFind = (model, documents, filter) => jest.spyOn(model, 'find').mockImplementation((query) => ({
+  select: () => ({ lean: async () => documents.filter(document => filter(document, query)) })
+}));
+
+describe('topicService', () => {
+  beforeEach(() => {
+    mockFind(PlatformStats, PLATFORM_STATS, (stats, query) => !query.regNo || query.regNo.$in.includes(stats.regNo));
+    mockFind(Student, STUDENTS, (student, query) => !query.department ||
+      (typeof query.department === 'string'
+        ? student.department === query.department
+        : new RegExp(query.department.$regex, 'i').test(student.department)));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds up topics across a student\'s platforms', async () => {
+    const byStudent = await topicService.loadStudentTopics();
+
+    expect(Object.fromEntries(byStudent)).toEqual({
+      CSE1: { dp: 10, graphs: 2 },
+      CSE2: { graphs: 4, greedy: 3 },
+      ECE1: { greedy: 5 }
+    });
+  });
+
+  it('compares a student with the cohort and department averages', async () => {
+    const result = await topicService.getStudentTopics(STUDENTS[0]);
+    const byTopic = Object.fromEntries(result.topics.map(entry => [entry.topic, entry]));
+
+    expect(result.topics).toHaveLength(15);
+    expect(byTopic.dp).toEqual({ topic: 'dp', name: 'Dynamic Programming', solved: 10, cohortAverage: 3.3, departmentAverage: 5 });
+    expect(byTopic.greedy).toEqual(expect.objectContaining({ solved: 0, cohortAverage: 2.7, departmentAverage: 1.5 }));
+    await expect(topicService.getStudentTopics(STUDENTS[3])).resolves.toBeNull();
+  });
+
+  it('averages each department over its students with topic data', async () => {
+    const { topics, departments } = await topicService.getDepartmentTopics();
+
+    expect(topics[0]).toEqual({ topic: 'dp', name: 'Dynamic Programming' });
+    expect(departments.map(({ department, students }) => [department, students])).toEqual([['CSE', 2], ['ECE', 1]]);
+    expect(departments[0].averages).toEqual(expect.objectContaining({ dp: 5, graphs: 3, greedy: 1.5, trees: 0 }));
+
+    const filtered = await topicService.getDepartmentTopics({ department: 'ece' });
+    expect(filtered.departments.map(({ department }) => department)).toEqual(['ECE']);
+  });
+});
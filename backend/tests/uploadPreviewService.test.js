@@ -0,0 +1,183 @@
+const uploadPreviewService = require('../src/services/uploadPreviewService');
+const studentService = require('../src/services/studentService');
+const Student = require('../src/models/Student');
+const UploadPreview = require('../src/models/UploadPreview');
+
+const coordinator = { _id: '64b7f0c2a1b2c3d4e5f60718', name: 'Dr. Rao', email: 'rao@college.edu', role: 'coordinator' };
+
+// A chainable stand-in for a Mongoose query
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    collation: () => chain,
+    lean: async () => result
+  };
+  return chain;
+};
+
+const row = (regNo, platformIds, fields = {}) => ({
+  regNo,
+  name: `Student ${regNo}`,
+  department: 'CSE',
+  year: '3',
+  platformIds: { leetcode: null, codeforces: null, ...platformIds },
+  ...fields
+});
+
+const stored = [
+  { ...row('CSE1', { leetcode: 'asha_lc' }), isActive: true },
+  { ...row('CSE2', { leetcode: 'ravi_lc', codeforces: 'ravi_cf' }), isActive: true }
+];
+
+const sheet = [
+  { ...row('CSE1', { leetcode: 'asha_lc' }), rowNumber: 2 },
+  { ...row('CSE2', { leetcode: 'ravi_new' }), rowNumber: 3 },
+  { ...row('CSE3', { leetcode: 'Meena_LC' }), rowNumber: 4 }
+];
+
+const errors = [
+  { row: 5, regNo: 'CSE9', message: 'Row 5: Student must have at least one platform ID' },
+  { row: 6, regNo: 'CSE1', message: 'Duplicate registration number: CSE1', duplicateOf: 2 }
+];
+
+describe('uploadPreviewService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sorts the sheet into new, changed, removed, invalid and duplicate rows', async () => {
+    jest.spyOn(Student, 'find').mockImplementation((filter) => {
+      if (filter.isActive) {
+        expect(filter.department.$in).toEqual(['CSE']);
+        expect(filter.regNo.$nin).toEqual(['CSE1', 'CSE2', 'CSE3', 'CSE9']);
+        return query([{ regNo: 'CSE4', name: 'Student CSE4', department: 'CSE', year: '2' }]);
+      }
+      if (filter['platformIds.leetcode']) {
+        return query([{ regNo: 'CSE7', platformIds: { leetcode: 'meena_lc' } }]);
+      }
+      if (filter.regNo.$in) return query(stored);
+      return query([]);
+    });
+
+    const diff = await uploadPreviewService.compare(sheet, errors);
+
+    expect(diff.unchanged).toBe(1);
+    expect(diff.added).toEqual([
+      { regNo: 'CSE3', name: 'Student CSE3', department: 'CSE', year: '3', row: 4, platformIds: { leetcode: 'Meena_LC' } }
+    ]);
+    expect(diff.changed).toEqual([{
+      regNo: 'CSE2',
+      name: 'Student CSE2',
+      row: 3,
+      isActive: true,
+      changes: [
+        { field: 'platformIds.leetcode', before: 'ravi_lc', after: 'ravi_new' },
+        { field: 'platformIds.codeforces', before: 'ravi_cf', after: null }
+      ]
+    }]);
+    expect(diff.removed).toEqual([{ regNo: 'CSE4', name: 'Student CSE4', department: 'CSE', year: '2' }]);
+    expect(diff.invalid).toEqual([{ row: 5, regNo: 'CSE9', message: 'Row 5: Student must have at least one platform ID' }]);
+    expect(diff.duplicates).toEqual([
+      { type: 'regNo', regNo: 'CSE1', row: 6, duplicateOf: 2 },
+      { type: 'handle', platform: 'leetcode', handle: 'Meena_LC', regNos: ['CSE3'], stored: ['CSE7'] }
+    ]);
+  });
+
+  describe('confirm', () => {
+    let preview;
+    let start;
+    let storedStudents;
+
+    const ravisChanges = [
+      { field: 'platformIds.leetcode', before: 'ravi_lc', after: 'ravi_new' },
+      { field: 'platformIds.codeforces', before: 'ravi_cf', after: null }
+    ];
+
+    beforeEach(() => {
+      preview = {
+        _id: '64b7f0c2a1b2c3d4e5f60719',
+        originalName: 'week-3.xlsx',
+        students: sheet,
+        diff: {
+          added: [{ regNo: 'CSE3' }],
+          changed: [{ regNo: 'CSE2', changes: ravisChanges }],
+          removed: [{ regNo: 'CSE4' }, { regNo: 'CSE5' }]
+        },
+        save: jest.fn(async () => preview)
+      };
+      storedStudents = stored.map(student => ({ ...student, platformIds: { ...student.platformIds } }));
+      jest.spyOn(UploadPreview, 'findOneAndUpdate').mockReturnValue({ select: async () => preview });
+      jest.spyOn(UploadPreview, 'updateOne').mockResolvedValue({});
+      jest.spyOn(Student, 'find').mockImplementation(async () => storedStudents);
+      jest.spyOn(studentService, 'updateStudent').mockImplementation(async (student, fields) => {
+        Object.assign(student.platformIds, fields.platformIds);
+        return [];
+      });
+      jest.spyOn(studentService, 'bulkSetActive').mockImplementation(async (regNos) => ({ changed: regNos, unchanged: [], notFound: [] }));
+      start = jest.fn(async () => ({ jobId: 'job_1' }));
+    });
+
+    it('writes the previewed changes as audited upload edits and deactivates only removed students', async () => {
+      const result = await uploadPreviewService.confirm(
+        preview._id,
+        { skip: ['CSE3'], deactivate: ['CSE4', 'CSE1'], user: coordinator },
+        start
+      );
+
+      expect(studentService.updateStudent).toHaveBeenCalledTimes(1);
+      expect(studentService.updateStudent).toHaveBeenCalledWith(
+        storedStudents[1],
+        { platformIds: { leetcode: 'ravi_new', codeforces: null } },
+        { user: coordinator, source: 'upload' }
+      );
+      const [students] = start.mock.calls[0];
+      expect(students.map(({ regNo }) => regNo)).toEqual(['CSE1', 'CSE2']);
+      expect(students[1].platformIds).toMatchObject({ leetcode: 'ravi_new', codeforces: null });
+      expect(studentService.bulkSetActive).toHaveBeenCalledWith(['CSE4'], false, { user: coordinator });
+      expect(result.deactivated).toEqual(['CSE4']);
+      expect(result.stale).toEqual([]);
+      expect(preview.jobId).toBe('job_1');
+    });
+
+    it('keeps the stored details of skipped changes', async () => {
+      await uploadPreviewService.confirm(preview._id, { skip: ['CSE2'] }, start);
+
+      expect(studentService.updateStudent).not.toHaveBeenCalled();
+      const [students] = start.mock.calls[0];
+      expect(students.map(({ regNo }) => regNo)).toEqual(['CSE1', 'CSE2', 'CSE3']);
+      expect(students[1].platformIds).toMatchObject({ leetcode: 'ravi_lc', codeforces: 'ravi_cf' });
+    });
+
+    it('leaves fields edited after the preview as they are', async () => {
+      storedStudents[1].platformIds.leetcode = 'ravi_fixed';
+
+      const result = await uploadPreviewService.confirm(preview._id, {}, start);
+
+      expect(studentService.updateStudent).toHaveBeenCalledWith(
+        storedStudents[1],
+        { platformIds: { codeforces: null } },
+        expect.anything()
+      );
+      expect(result.stale).toEqual([
+        { regNo: 'CSE2', field: 'platformIds.leetcode', previewed: 'ravi_lc', current: 'ravi_fixed' }
+      ]);
+      expect(start.mock.calls[0][0][1].platformIds.leetcode).toBe('ravi_fixed');
+    });
+
+    it('resolves to null for a preview that is gone or already confirmed', async () => {
+      preview = null;
+
+      await expect(uploadPreviewService.confirm('64b7f0c2a1b2c3d4e5f60719', {}, start)).resolves.toBeNull();
+      expect(start).not.toHaveBeenCalled();
+    });
+
+    it('leaves the preview pending and deactivates no one when the upload fails to start', async () => {
+      start.mockRejectedValue(new Error('queue down'));
+
+      await expect(uploadPreviewService.confirm(preview._id, { deactivate: ['CSE4'] }, start)).rejects.toThrow('queue down');
+      expect(UploadPreview.updateOne).toHaveBeenCalledWith({ _id: preview._id }, { status: 'pending', confirmedAt: null });
+      expect(studentService.bulkSetActive).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const http = require('http');
+const webhookService = require('../src/services/webhookService');
+const queueManager = require('../src/config/queue');
+const Webhook = require('../src/models/Webhook');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const Student = require('../src/models/Student');
+const PerformanceHistory = require('../src/models/PerformanceHistory');
+
+const SECRET = 'test-secret-0123456789';
+
+describe('webhookService', () => {
+  let server;
+  let baseUrl;
+  let received;
+  let respondWith;
+  let deliveries;
+
+  const webhook = (overrides = {}) => new Webhook({
+    name: 'Department bot',
+    url: `${baseUrl}/hooks/skorly`,
+    events: ['scrape.completed'],
+    secret: SECRET,
+    ...overrides
+  });
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(respondWith);
+        res.end(respondWith < 300 ? 'ok' : 'down for maintenance');
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    received = [];
+    respondWith = 200;
+    deliveries = new Map();
+
+    // Deliveries live in memory instead of MongoDB
+    jest.spyOn(WebhookDelivery.prototype, 'save').mockImplementation(async function() {
+      deliveries.set(String(this._id), this);
+      return this;
+    });
+    jest.spyOn(WebhookDelivery, 'findById').mockImplementation(async (id) => deliveries.get(String(id)) || null);
+    jest.spyOn(WebhookDelivery, 'create').mockImplementation(async (fields) => new WebhookDelivery(fields).save());
+    jest.spyOn(Webhook, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores and queues one delivery per subscribed webhook', async () => {
+    const hooks = [webhook(), webhook({ name: 'LMS' })];
+    jest.spyOn(Webhook, 'findSubscribers').mockResolvedValue(hooks);
+    const addWebhookDelivery = jest.spyOn(queueManager, 'addWebhookDelivery').mockResolvedValue({ id: 'job' });
+
+    const summary = await webhookService.emit('scrape.completed', { jobId: 'job_1', students: 40 });
+
+    expect(summary).toEqual({ event: 'scrape.completed', deliveries: 2 });
+    expect(addWebhookDelivery).toHaveBeenCalledTimes(2);
+    expect(received).toEqual([]);
+
+    const [first] = [...deliveries.values()];
+    expect(String(first.webhookId)).toBe(String(hooks[0]._id));
+    expect(first.status).toBe('pending');
+    expect(JSON.parse(first.payload)).toEqual({
+      id: String(first._id),
+      event: 'scrape.completed',
+      createdAt: expect.any(String),
+      data: { jobId: 'job_1', students: 40 }
+    });
+  });
+
+  it('delivers directly without a queue, signing the body with the webhook secret', async () => {
+    const hook = webhook();
+    jest.spyOn(Webhook, 'findSubscribers').mockResolvedValue([hook]);
+    jest.spyOn(Webhook, 'findById').mockReturnValue({ select: async () => hook });
+    jest.spyOn(queueManager, 'addWebhookDelivery').mockResolvedValue(null);
+
+    await webhookService.emit('scrape.completed', { jobId: 'job_1' });
+
+    expect(received).toHaveLength(1);
+    const [{ headers, body }] = received;
+    const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-skorly-timestamp']}.${body}`).digest('hex');
+    expect(headers['x-skorly-signature']).toBe(`sha256=${expected}`);
+    expect(headers['x-skorly-event']).toBe('scrape.completed');
+    expect(headers['content-type']).toBe('application/json');
+
+    const [delivery] = [...deliveries.values()];
+    expect(headers['x-skorly-delivery']).toBe(String(delivery._id));
+    expect(body).toBe(delivery.payload);
+    expect(delivery).toMatchObject({ status: 'delivered', responseStatus: 200, responseBody: 'ok', error: null });
+    expect(delivery.attempts).toHaveLength(1);
+    expect(Webhook.updateOne).toHaveBeenCalledWith({ _id: hook._id }, expect.objectContaining({ lastDeliveryStatus: 'delivered' }));
+  });
+
+  it('throws on a failed attempt so the queue retries, and marks the last one failed', async () => {
+    const hook = webhook();
+    jest.spyOn(Webhook, 'findById').mockReturnValue({ select: async () => hook });
+    respondWith = 503;
+    const delivery = await new WebhookDelivery({ webhookId: hook._id, event: 'scrape.completed', payload: '{}' }).save();
+
+    await expect(webhookService.deliver(delivery._id, { final: false })).rejects.toThrow('Responded with 503');
+    expect(delivery).toMatchObject({ status: 'retrying', responseBody: 'down for maintenance' });
+
+    await webhookService.deliver(delivery._id, { final: true });
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attempts.map(({ responseStatus }) => responseStatus)).toEqual([503, 503]);
+  });
+
+  it('replays a delivery as a new one with the same body', async () => {
+    const hook = webhook();
+    jest.spyOn(Webhook, 'findById').mockReturnValue({ select: async () => hook });
+    jest.spyOn(queueManager, 'addWebhookDelivery').mockResolvedValue(null);
+    const original = await new WebhookDelivery({
+      webhookId: hook._id,
+      event: 'scrape.completed',
+      payload: '{"event":"scrape.completed"}',
+      status: 'failed'
+    }).save();
+
+    const replay = await webhookService.replay(original._id);
+
+    expect(String(replay._id)).not.toBe(String(original._id));
+    expect(String(replay.replayOf)).toBe(String(original._id));
+    expect(replay.status).toBe('delivered');
+    expect(received.map(({ body }) => body)).toEqual(['{"event":"scrape.completed"}']);
+    expect(original.status).toBe('failed');
+  });
+
+  it('emits level changes only for students whose level moved in this run', async () => {
+    jest.spyOn(PerformanceHistory, 'distinct').mockResolvedValue(['CSE1', 'CSE2', 'CSE3']);
+    const run = (uploadJobId, performanceLevel, overallScore) =>
+      ({ uploadJobId, performanceLevel, overallScore, weekLabel: `Week of ${uploadJobId}` });
+    jest.spyOn(PerformanceHistory, 'getRecentRuns').mockResolvedValue([
+      { _id: 'CSE1', runs: [run('job_2', 'High', 82), run('job_1', 'Medium', 70)] },
+      { _id: 'CSE2', runs: [run('job_2', 'Medium', 60), run('job_1', 'Medium', 58)] },
+      // First run, nothing to compare with
+      { _id: 'CSE3', runs: [run('job_2', 'Low', 20)] }
+    ]);
+    jest.spyOn(Student, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [{ regNo: 'CSE1', name: 'Asha', department: 'CSE', year: '3' }] })
+    });
+    const emit = jest.spyOn(webhookService, 'emit').mockResolvedValue({ deliveries: 1 });
+
+    const changes = await webhookService.emitLevelChanges({ jobId: 'job_2', source: 'upload' });
+
+    expect(changes).toBe(1);
+    expect(emit).toHaveBeenCalledWith('student.level_changed', {
+      regNo: 'CSE1',
+      name: 'Asha',
+      department: 'CSE',
+      year: '3',
+      previousLevel: 'Medium',
+      level: 'High',
+      previousScore: 70,
+      score: 82,
+      weekLabel: 'Week of job_2',
+      jobId: 'job_2',
+      source: 'upload'
+    });
+  });
+});
@@ -11,7 +11,14 @@ import ReportsPage from "./pages/ReportsPage";
 import HeatmapsPage from "./pages/HeatmapsPage";
 import SettingsPage from "./pages/SettingsPage";
 import ScraperPage from "./pages/ScraperPage";
+import ContestsPage from "./pages/ContestsPage";
+import LoginPage from "./pages/LoginPage";
+import PortalPage from "./pages/PortalPage";
+import CorrectionsPage from "./pages/CorrectionsPage";
 import NotFound from "./pages/NotFound";
+import AuthProvider from "./components/auth/AuthProvider";
+import RequireAuth from "./components/auth/RequireAuth";
+import { STAFF_ROLES } from "./types/auth";
 
 const queryClient = new QueryClient();
 
@@ -21,17 +28,23 @@ const App = () => (
       <Toaster />
       <Sonner />
       <BrowserRouter>
-        <Routes>
-          <Route path="/" element={<Index />} />
-          <Route path="/upload" element={<UploadPage />} />
-          <Route path="/comparison" element={<ComparisonPage />} />
-          <Route path="/analytics" element={<AnalyticsPage />} />
-          <Route path="/reports" element={<ReportsPage />} />
-          <Route path="/heatmaps" element={<HeatmapsPage />} />
-          <Route path="/scraper" element={<ScraperPage />} />
-          <Route path="/settings" element={<SettingsPage />} />
-          <Route path="*" element={<NotFound />} />
-        </Routes>
+        <AuthProvider>
+          <Routes>
+            <Route path="/login" element={<LoginPage />} />
+            <Route path="/" element={<RequireAuth roles={STAFF_ROLES}><Index /></RequireAuth>} />
+            <Route path="/upload" element={<RequireAuth roles={["admin", "coordinator"]}><UploadPage /></RequireAuth>} />
+            <Route path="/comparison" element={<RequireAuth roles={STAFF_ROLES}><ComparisonPage /></RequireAuth>} />
+            <Route path="/analytics" element={<RequireAuth roles={STAFF_ROLES}><AnalyticsPage /></RequireAuth>} />
+            <Route path="/reports" element={<RequireAuth roles={STAFF_ROLES}><ReportsPage /></RequireAuth>} />
+            <Route path="/heatmaps" element={<RequireAuth roles={STAFF_ROLES}><HeatmapsPage /></RequireAuth>} />
+            <Route path="/contests" element={<RequireAuth roles={STAFF_ROLES}><ContestsPage /></RequireAuth>} />
+            <Route path="/scraper" element={<RequireAuth roles={["admin", "coordinator"]}><ScraperPage /></RequireAuth>} />
+            <Route path="/corrections" element={<RequireAuth roles={STAFF_ROLES}><CorrectionsPage /></RequireAuth>} />
+            <Route path="/portal" element={<RequireAuth roles={["student"]}><PortalPage /></RequireAuth>} />
+            <Route path="/settings" element={<RequireAuth roles={["admin"]}><SettingsPage /></RequireAuth>} />
+            <Route path="*" element={<NotFound />} />
+          </Routes>
+        </AuthProvider>
       </BrowserRouter>
     </TooltipProvider>
   </QueryClientProvider>
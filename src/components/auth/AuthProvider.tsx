@@ -0,0 +1,63 @@
+import { ReactNode, useCallback, useEffect, useMemo, useState } from "react";
+import { AuthContext } from "@/hooks/use-auth";
+import { apiFetch, clearSession, getSession, saveSession } from "@/lib/api";
+import { AuthUser, LoginCredentials, Role } from "@/types/auth";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+interface AuthProviderProps {
+  children: ReactNode;
+}
+
+/**
+ * Keeps the logged-in user, restored from the stored session and refreshed
+ * from /api/auth/me so role changes show up on the next load
+ */
+const AuthProvider = ({ children }: AuthProviderProps) => {
+  const [user, setUser] = useState<AuthUser | null>(() => getSession()?.user ?? null);
+
+  useEffect(() => {
+    const session = getSession();
+    if (!session) return;
+
+    apiFetch(`${API_URL}/api/auth/me`)
+      .then((response) => response.json())
+      .then((result) => {
+        if (result.status === 'success') {
+          saveSession({ ...session, user: result.data.user });
+          setUser(result.data.user);
+        }
+      })
+      .catch((error) => console.error('Failed to refresh the logged-in user:', error));
+  }, []);
+
+  // Students log in with their register number at their own endpoint
+  const login = useCallback(async (credentials: LoginCredentials) => {
+    const path = 'regNo' in credentials ? 'student-login' : 'login';
+    const response = await fetch(`${API_URL}/api/auth/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(credentials),
+    });
+    const result = await response.json();
+    if (result.status !== 'success') {
+      throw new Error(result.message || 'Login failed');
+    }
+
+    saveSession(result.data);
+    setUser(result.data.user);
+  }, []);
+
+  const logout = useCallback(() => {
+    clearSession();
+    setUser(null);
+  }, []);
+
+  const hasRole = useCallback((...roles: Role[]) => Boolean(user && roles.includes(user.role)), [user]);
+
+  const value = useMemo(() => ({ user, login, logout, hasRole }), [user, login, logout, hasRole]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
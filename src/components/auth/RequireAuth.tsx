@@ -0,0 +1,52 @@
+import { ReactNode } from "react";
+import { Link, Navigate, useLocation } from "react-router-dom";
+import { ShieldAlert } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { useAuth } from "@/hooks/use-auth";
+import { Role } from "@/types/auth";
+
+interface RequireAuthProps {
+  children: ReactNode;
+  // Leave out to allow every logged-in user
+  roles?: Role[];
+}
+
+/**
+ * Route guard: sends logged-out users to the login page, students to their
+ * portal and staff away from it, and tells users without one of the roles
+ * that the page isn't for them
+ */
+const RequireAuth = ({ children, roles }: RequireAuthProps) => {
+  const { user, hasRole } = useAuth();
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to={`/login?next=${encodeURIComponent(location.pathname)}`} replace />;
+  }
+
+  // Each side of the app has its own home page
+  if (roles && !hasRole(...roles) && (user.role === "student" || roles.includes("student"))) {
+    return <Navigate to={user.role === "student" ? "/portal" : "/"} replace />;
+  }
+
+  if (roles && !hasRole(...roles)) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-muted">
+        <div className="text-center space-y-4">
+          <ShieldAlert className="mx-auto h-10 w-10 text-warning" />
+          <h1 className="text-2xl font-display font-bold">Not available for your role</h1>
+          <p className="text-muted-foreground">
+            This page needs one of: {roles.join(", ")}. You are signed in as {user.role}.
+          </p>
+          <Button asChild variant="outline">
+            <Link to="/">Back to the dashboard</Link>
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return <>{children}</>;
+};
+
+export default RequireAuth;
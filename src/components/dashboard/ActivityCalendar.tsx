@@ -0,0 +1,147 @@
+import { useMemo } from "react";
+import { Tooltip, TooltipContent, TooltipTrigger } from "@/components/ui/tooltip";
+import { cn } from "@/lib/utils";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LEVEL_OPACITY = [0, 0.3, 0.55, 0.8, 1];
+const WEEKDAY_LABELS = ["", "Mon", "", "Wed", "", "Fri", ""];
+
+// Days are YYYY-MM-DD in UTC, as the API stores them
+const parseDay = (day: string) => {
+  const [year, month, date] = day.split("-").map(Number);
+  return Date.UTC(year, month - 1, date);
+};
+const formatDay = (time: number) => new Date(time).toISOString().slice(0, 10);
+
+const formatLabel = (day: string) =>
+  new Date(parseDay(day)).toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+
+interface CalendarCell {
+  date: string;
+  value: number;
+  inRange: boolean;
+}
+
+interface ActivityCalendarProps {
+  from: string;
+  to: string;
+  /** Value per YYYY-MM-DD day; missing days count as 0 */
+  values: Record<string, number>;
+  /** Tooltip text for a day's value, e.g. "3 submissions" */
+  describe: (value: number, date: string) => string;
+}
+
+/**
+ * GitHub-style calendar: one column per week, darker cells for busier days
+ * (relative to the busiest day shown)
+ */
+const ActivityCalendar = ({ from, to, values, describe }: ActivityCalendarProps) => {
+  const { weeks, months, max } = useMemo(() => {
+    const start = parseDay(from);
+    const end = parseDay(to);
+    // Columns start on Sunday
+    const firstSunday = start - new Date(start).getUTCDay() * DAY_MS;
+
+    const weeks: CalendarCell[][] = [];
+    const months: { index: number; label: string }[] = [];
+    let max = 0;
+
+    for (let weekStart = firstSunday; weekStart <= end; weekStart += 7 * DAY_MS) {
+      const week: CalendarCell[] = [];
+      for (let offset = 0; offset < 7; offset++) {
+        const time = weekStart + offset * DAY_MS;
+        const date = formatDay(time);
+        const inRange = time >= start && time <= end;
+        const value = inRange ? values[date] ?? 0 : 0;
+        max = Math.max(max, value);
+        week.push({ date, value, inRange });
+      }
+
+      const firstOfMonth = week.find((cell) => cell.inRange && cell.date.endsWith("-01"));
+      if (weeks.length === 0 || firstOfMonth) {
+        const labelDay = firstOfMonth?.date ?? from;
+        months.push({
+          index: weeks.length,
+          label: new Date(parseDay(labelDay)).toLocaleDateString(undefined, { month: "short", timeZone: "UTC" }),
+        });
+      }
+      weeks.push(week);
+    }
+
+    return { weeks, months, max };
+  }, [from, to, values]);
+
+  const getLevel = (value: number) => (value === 0 || max === 0 ? 0 : Math.min(4, Math.ceil((value / max) * 4)));
+
+  return (
+    <div className="space-y-3">
+      <div className="overflow-x-auto custom-scrollbar pb-2">
+        <div className="inline-flex flex-col gap-1 min-w-max">
+          <div className="relative h-4 ml-8">
+            {months.map((month) => (
+              <span
+                key={`${month.index}-${month.label}`}
+                className="absolute text-xs text-muted-foreground"
+                style={{ left: month.index * 15 }}
+              >
+                {month.label}
+              </span>
+            ))}
+          </div>
+
+          <div className="flex gap-[3px]">
+            <div className="flex flex-col gap-[3px] w-7 mr-1">
+              {WEEKDAY_LABELS.map((label, index) => (
+                <span key={index} className="h-3 text-[10px] leading-3 text-muted-foreground">{label}</span>
+              ))}
+            </div>
+
+            {weeks.map((week) => (
+              <div key={week[0].date} className="flex flex-col gap-[3px]">
+                {week.map((cell) => {
+                  if (!cell.inRange) return <div key={cell.date} className="h-3 w-3" />;
+
+                  const level = getLevel(cell.value);
+                  return (
+                    <Tooltip key={cell.date} delayDuration={0}>
+                      <TooltipTrigger asChild>
+                        <div
+                          className={cn("h-3 w-3 rounded-sm", level === 0 ? "bg-muted" : "bg-primary")}
+                          style={level > 0 ? { opacity: LEVEL_OPACITY[level] } : undefined}
+                        />
+                      </TooltipTrigger>
+                      <TooltipContent>
+                        <p className="font-medium">{describe(cell.value, cell.date)}</p>
+                        <p className="text-xs text-muted-foreground">{formatLabel(cell.date)}</p>
+                      </TooltipContent>
+                    </Tooltip>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-end gap-2">
+        <span className="text-xs text-muted-foreground">Less</span>
+        {LEVEL_OPACITY.map((opacity, level) => (
+          <div
+            key={level}
+            className={cn("h-3 w-3 rounded-sm", level === 0 ? "bg-muted" : "bg-primary")}
+            style={level > 0 ? { opacity } : undefined}
+          />
+        ))}
+        <span className="text-xs text-muted-foreground">More</span>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityCalendar;
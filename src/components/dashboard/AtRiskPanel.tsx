@@ -0,0 +1,164 @@
+import { useEffect, useState } from "react";
+import { AlertTriangle, Flame } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { InactiveStudent, InactiveStudents } from "@/types/activity";
+import { apiFetch } from "@/lib/api";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const ALL = "all";
+const INACTIVE_DAYS = 14;
+
+interface AtRiskPanelProps {
+  departments: string[];
+  years: string[];
+  onSelectStudent: (student: InactiveStudent) => void;
+}
+
+const formatDate = (day: string) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+
+/**
+ * Students without an accepted Codeforces or LeetCode submission in the last
+ * two weeks, longest silent first
+ */
+const AtRiskPanel = ({ departments, years, onSelectStudent }: AtRiskPanelProps) => {
+  const [department, setDepartment] = useState<string>(ALL);
+  const [year, setYear] = useState<string>(ALL);
+  const [inactive, setInactive] = useState<InactiveStudents | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchInactive = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const params = new URLSearchParams({ days: String(INACTIVE_DAYS) });
+        if (department !== ALL) params.set("department", department);
+        if (year !== ALL) params.set("year", year);
+
+        const response = await apiFetch(`${API_URL}/api/analytics/inactive?${params}`);
+        const result = await response.json();
+
+        if (result.status === 'success') {
+          setInactive(result.data);
+        } else {
+          setError(result.message || 'Failed to load inactive students');
+        }
+      } catch (err) {
+        console.error('Error fetching inactive students:', err);
+        setError('Failed to load inactive students');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInactive();
+  }, [department, year]);
+
+  return (
+    <div className="bg-card/80 backdrop-blur-sm border border-border/50 rounded-lg p-6">
+      <div className="flex flex-col gap-4 mb-4 md:flex-row md:items-start md:justify-between">
+        <div>
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <AlertTriangle className="h-5 w-5 text-warning" />
+            At Risk
+          </h3>
+          <p className="text-sm text-muted-foreground">
+            No accepted submission in the last {INACTIVE_DAYS} days
+            {inactive && ` • ${inactive.summary.inactive} of ${inactive.summary.considered} students`}
+          </p>
+        </div>
+        <div className="flex gap-3">
+          <Select value={department} onValueChange={setDepartment}>
+            <SelectTrigger className="w-40">
+              <SelectValue placeholder="Department" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>All departments</SelectItem>
+              {departments.map((option) => (
+                <SelectItem key={option} value={option}>
+                  {option}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={year} onValueChange={setYear}>
+            <SelectTrigger className="w-32">
+              <SelectValue placeholder="Year" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>All years</SelectItem>
+              {years.map((option) => (
+                <SelectItem key={option} value={option}>
+                  {option}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-8 text-sm text-muted-foreground">Loading inactive students...</div>
+      ) : error ? (
+        <div className="text-center py-8 text-sm text-destructive">{error}</div>
+      ) : !inactive || inactive.students.length === 0 ? (
+        <div className="text-center py-8 text-sm text-muted-foreground">
+          Everyone has solved something in the last {INACTIVE_DAYS} days.
+        </div>
+      ) : (
+        <div className="space-y-2 max-h-96 overflow-y-auto custom-scrollbar">
+          {inactive.students.map((student) => (
+            <div
+              key={student.regNo}
+              onClick={() => onSelectStudent(student)}
+              className="flex items-center justify-between p-3 rounded-xl bg-muted/30 hover:bg-muted/50 transition-colors cursor-pointer"
+            >
+              <div>
+                <h4 className="font-medium text-foreground">{student.name}</h4>
+                <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                  <span>{student.regNo}</span>
+                  {student.department && <span>{student.department}</span>}
+                  {student.year && <span>Year {student.year}</span>}
+                </div>
+              </div>
+              <div className="flex items-center gap-4 text-right text-sm">
+                <div className="hidden sm:block text-muted-foreground">
+                  <p className="flex items-center gap-1 justify-end">
+                    <Flame className="h-3.5 w-3.5" />
+                    Best streak: {student.longestStreak} {student.longestStreak === 1 ? "day" : "days"}
+                  </p>
+                  {student.lastAcceptedDate && <p>Last accepted {formatDate(student.lastAcceptedDate)}</p>}
+                </div>
+                {student.daysSinceLastAccepted === null ? (
+                  <Badge className="bg-destructive text-destructive-foreground">Never accepted</Badge>
+                ) : (
+                  <Badge className="bg-warning text-warning-foreground">
+                    {student.daysSinceLastAccepted} days quiet
+                  </Badge>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {inactive && inactive.summary.untracked > 0 && (
+        <p className="mt-4 text-xs text-muted-foreground">
+          {inactive.summary.untracked} {inactive.summary.untracked === 1 ? "student has" : "students have"} no
+          Codeforces or LeetCode handle and can't be checked.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AtRiskPanel;
@@ -0,0 +1,72 @@
+import { useState } from "react";
+import { Download } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { toast } from "sonner";
+import { apiDownload } from "@/lib/api";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const FORMATS = [
+  { format: "csv", label: "CSV" },
+  { format: "xlsx", label: "Excel (sheet per platform)" },
+  { format: "json", label: "JSON" },
+] as const;
+
+interface ExportMenuProps {
+  // An export endpoint, e.g. /api/students/export
+  path: string;
+  // The view's current filters; "all" and empty values are left out
+  filters?: Record<string, string | null | undefined>;
+}
+
+const ExportMenu = ({ path, filters = {} }: ExportMenuProps) => {
+  const [downloading, setDownloading] = useState(false);
+
+  const download = async (format: string) => {
+    setDownloading(true);
+    try {
+      const params = new URLSearchParams({ format });
+      Object.entries(filters)
+        .filter(([, value]) => value && value !== "all" && value !== "latest")
+        .forEach(([key, value]) => params.set(key, value as string));
+
+      await apiDownload(`${API_URL}${path}?${params}`, `export.${format}`);
+    } catch (error) {
+      toast.error('Export failed', {
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+      });
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" size="sm" className="flex items-center gap-2" disabled={downloading}>
+          <Download className="h-4 w-4" />
+          {downloading ? 'Exporting...' : 'Export'}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuLabel>Download with the current filters</DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {FORMATS.map(({ format, label }) => (
+          <DropdownMenuItem key={format} onSelect={() => download(format)}>
+            {label}
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+export default ExportMenu;
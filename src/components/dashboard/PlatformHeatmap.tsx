@@ -0,0 +1,165 @@
+import { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { Grid3X3 } from "lucide-react";
+import { Tooltip, TooltipContent, TooltipTrigger } from "@/components/ui/tooltip";
+import { cn } from "@/lib/utils";
+import { getPlatformName } from "@/types/platforms";
+import { PlatformHeatmap as PlatformHeatmapData } from "@/types/scoring";
+import { apiFetch } from "@/lib/api";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const ALL = "all";
+
+interface PlatformHeatmapProps {
+  department: string;
+}
+
+const getHeatColor = (value: number) => {
+  if (value >= 80) return "bg-success";
+  if (value >= 50) return "bg-warning";
+  return "bg-destructive";
+};
+
+const getHeatOpacity = (value: number) => Math.max(0.4, Math.min(1, value / 100));
+
+/**
+ * Each student's latest score on every platform, one column per platform
+ */
+const PlatformHeatmap = ({ department }: PlatformHeatmapProps) => {
+  const [heatmap, setHeatmap] = useState<PlatformHeatmapData | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchHeatmap = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const params = new URLSearchParams();
+        if (department !== ALL) params.set("department", department);
+
+        const response = await apiFetch(`${API_URL}/api/analytics/platform-heatmap?${params}`);
+        const result = await response.json();
+
+        if (result.status === 'success') {
+          setHeatmap(result.data);
+        } else {
+          setError(result.message || 'Failed to load platform scores');
+        }
+      } catch (err) {
+        console.error('Error fetching platform heatmap:', err);
+        setError('Failed to load platform scores');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHeatmap();
+  }, [department]);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="rounded-2xl bg-card/80 backdrop-blur-sm border border-border/50 p-6"
+    >
+      <div className="flex flex-col gap-4 mb-6 md:flex-row md:items-start md:justify-between">
+        <div>
+          <h3 className="text-lg font-display font-semibold text-foreground flex items-center gap-2">
+            <Grid3X3 className="h-5 w-5 text-primary" />
+            Platform Scores
+          </h3>
+          <p className="text-sm text-muted-foreground">
+            {department === ALL ? "All departments" : department} • latest run of each student, scored 0-100 per platform
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <div className="flex items-center gap-1">
+            <div className="w-4 h-4 rounded bg-destructive" />
+            <span className="text-xs text-muted-foreground">Low (&lt;50)</span>
+          </div>
+          <div className="flex items-center gap-1">
+            <div className="w-4 h-4 rounded bg-warning" />
+            <span className="text-xs text-muted-foreground">Medium (50-79)</span>
+          </div>
+          <div className="flex items-center gap-1">
+            <div className="w-4 h-4 rounded bg-success" />
+            <span className="text-xs text-muted-foreground">High (≥80)</span>
+          </div>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-8 text-sm text-muted-foreground">Loading platform scores...</div>
+      ) : error ? (
+        <div className="text-center py-8 text-sm text-destructive">{error}</div>
+      ) : !heatmap || heatmap.students.length === 0 ? (
+        <div className="text-center py-8 text-sm text-muted-foreground">
+          No scores yet. They are recorded with each upload and weekly scrape.
+        </div>
+      ) : (
+        <div className="overflow-auto custom-scrollbar max-h-[600px] border border-border/30 rounded-lg">
+          <table className="w-full min-w-[700px]">
+            <thead className="sticky top-0 bg-card/95 backdrop-blur-sm border-b border-border/50 z-20">
+              <tr>
+                <th className="p-3 text-left text-sm font-medium text-muted-foreground sticky left-0 bg-card/95 backdrop-blur-sm border-r border-border/30 min-w-[160px] z-30">
+                  Student
+                </th>
+                {heatmap.platforms.map((platform) => (
+                  <th key={platform} className="p-3 text-center text-sm font-medium text-muted-foreground min-w-[80px]">
+                    {getPlatformName(platform)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {heatmap.students.map((student) => (
+                <tr key={student.regNo} className="border-b border-border/20 hover:bg-muted/20">
+                  <td className="p-3 text-sm font-medium text-foreground sticky left-0 bg-card/95 backdrop-blur-sm border-r border-border/20 z-10">
+                    <p className="truncate">{student.name}</p>
+                    <p className="text-xs text-muted-foreground">{student.regNo}</p>
+                  </td>
+                  {heatmap.platforms.map((platform) => {
+                    const value = student.platformScores[platform];
+                    return (
+                      <td key={platform} className="p-2">
+                        {value === undefined ? (
+                          <div className="h-10 w-16 mx-auto rounded-md bg-muted/30" />
+                        ) : (
+                          <Tooltip delayDuration={0}>
+                            <TooltipTrigger asChild>
+                              <div
+                                className={cn(
+                                  "heatmap-cell h-10 w-16 flex items-center justify-center text-xs font-semibold text-white cursor-pointer rounded-md mx-auto",
+                                  getHeatColor(value)
+                                )}
+                                style={{ opacity: getHeatOpacity(value) }}
+                              >
+                                {Math.round(value)}
+                              </div>
+                            </TooltipTrigger>
+                            <TooltipContent>
+                              <p className="font-medium">{student.name}</p>
+                              <p className="text-sm">{getPlatformName(platform)}: {value}</p>
+                              <p className="text-xs text-muted-foreground">
+                                {student.weekLabel} • overall {student.overallScore}
+                              </p>
+                            </TooltipContent>
+                          </Tooltip>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default PlatformHeatmap;
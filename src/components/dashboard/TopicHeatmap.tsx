@@ -0,0 +1,128 @@
+import { useEffect, useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { Tooltip, TooltipContent, TooltipTrigger } from "@/components/ui/tooltip";
+import { DepartmentTopics } from "@/types/topics";
+import { apiFetch } from "@/lib/api";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const TopicHeatmap = () => {
+  const [data, setData] = useState<DepartmentTopics | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchTopics = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await apiFetch(`${API_URL}/api/analytics/topics`);
+        const result = await response.json();
+
+        if (result.status === 'success') {
+          setData(result.data);
+        } else {
+          setError(result.message || 'Failed to load topic stats');
+        }
+      } catch (err) {
+        console.error('Error fetching topic stats:', err);
+        setError('Failed to load topic stats');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTopics();
+  }, []);
+
+  // Each topic is shaded against its best department, so weak spots show up even in rarely tagged topics
+  const topicMax = useMemo(() => {
+    const max: Record<string, number> = {};
+    data?.topics.forEach(({ topic }) => {
+      max[topic] = Math.max(0, ...data.departments.map((row) => row.averages[topic] ?? 0));
+    });
+    return max;
+  }, [data]);
+
+  const getHeatOpacity = (value: number, topic: string) => {
+    if (!topicMax[topic]) return 0.08;
+    return Math.max(0.08, value / topicMax[topic]);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="rounded-2xl bg-card/80 backdrop-blur-sm border border-border/50 p-6"
+    >
+      <div className="mb-6">
+        <h3 className="text-lg font-display font-semibold text-foreground">Topic Heatmap</h3>
+        <p className="text-sm text-muted-foreground">
+          Average solved problems per topic in each department; paler cells trail the strongest department
+        </p>
+      </div>
+
+      {loading && <div className="text-center py-8 text-sm text-muted-foreground">Loading topic stats...</div>}
+      {error && <div className="text-center py-8 text-sm text-destructive">{error}</div>}
+      {data && data.departments.length === 0 && (
+        <div className="text-center py-8 text-sm text-muted-foreground">
+          No per-topic counts recorded yet. Topics come from Codeforces and LeetCode tags.
+        </div>
+      )}
+
+      {data && data.departments.length > 0 && (
+        <div className="overflow-x-auto custom-scrollbar">
+          <table className="w-full min-w-[900px]">
+            <thead>
+              <tr>
+                <th className="p-2 text-left text-sm font-medium text-muted-foreground">Department</th>
+                {data.topics.map(({ topic, name }) => (
+                  <th key={topic} className="p-2 text-center text-xs font-medium text-muted-foreground">
+                    {name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {data.departments.map((row) => (
+                <tr key={row.department}>
+                  <td className="p-2 text-sm font-medium text-foreground whitespace-nowrap">
+                    {row.department}
+                    <span className="block text-xs font-normal text-muted-foreground">{row.students} students</span>
+                  </td>
+                  {data.topics.map(({ topic, name }) => {
+                    const value = row.averages[topic] ?? 0;
+                    return (
+                      <td key={topic} className="p-1">
+                        <Tooltip delayDuration={0}>
+                          <TooltipTrigger asChild>
+                            <div className="relative h-10 rounded-md overflow-hidden cursor-default">
+                              <div
+                                className="absolute inset-0 bg-primary"
+                                style={{ opacity: getHeatOpacity(value, topic) }}
+                              />
+                              <span className="relative flex h-full items-center justify-center text-xs font-semibold text-foreground">
+                                {value}
+                              </span>
+                            </div>
+                          </TooltipTrigger>
+                          <TooltipContent>
+                            <p className="font-medium">{row.department}</p>
+                            <p className="text-sm">{name}: {value} solved on average</p>
+                          </TooltipContent>
+                        </Tooltip>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default TopicHeatmap;
@@ -6,6 +6,10 @@ import { Button } from "@/components/ui/button";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { useEffect, useState } from "react";
 import { Student } from "@/types/student";
+import { getPlatformName } from "@/types/platforms";
+import ScoreBreakdownPopover from "@/components/students/ScoreBreakdownPopover";
+import { apiFetch } from "@/lib/api";
+import ExportMenu from "@/components/dashboard/ExportMenu";
 
 interface WeeklyComparisonData {
   currentWeek: {
@@ -44,7 +48,7 @@ const WeeklyComparison = () => {
 
   const fetchAvailableWeeks = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/analytics/available-weeks`);
+      const response = await apiFetch(`${API_BASE_URL}/api/analytics/available-weeks`);
       
       if (!response.ok) {
         throw new Error('Failed to fetch available weeks');
@@ -68,7 +72,7 @@ const WeeklyComparison = () => {
         : `${API_BASE_URL}/api/analytics/weekly-comparison?limit=100`;
 
       // Fetch weekly comparison data from dedicated endpoint
-      const response = await fetch(url);
+      const response = await apiFetch(url);
       
       if (!response.ok) {
         throw new Error('Failed to fetch weekly comparison data');
@@ -113,7 +117,7 @@ const WeeklyComparison = () => {
           previousScore: performance.previousScore,
           platformScores: performance.platformStats.map((ps: any) => ({
             platform: ps.platform,
-            platformName: ps.platform.charAt(0).toUpperCase() + ps.platform.slice(1),
+            platformName: getPlatformName(ps.platform),
             score: ps.rating || 0,
             problemsSolved: ps.problemsSolved || 0,
             contests: ps.contestsParticipated || 0,
@@ -353,9 +357,15 @@ const WeeklyComparison = () => {
             <h3 className="text-lg font-display font-semibold text-foreground">Weekly Comparison</h3>
             <p className="text-sm text-muted-foreground">Compare performance between selected week and its previous week</p>
           </div>
-          <Button onClick={() => fetchWeeklyComparison(selectedWeek === "latest" ? undefined : selectedWeek)} variant="ghost" size="sm">
-            <RefreshCw className="h-4 w-4" />
-          </Button>
+          <div className="flex items-center gap-2">
+            <ExportMenu
+              path="/api/analytics/weekly-comparison/export"
+              filters={{ weekId: selectedWeek, platform: selectedPlatform }}
+            />
+            <Button onClick={() => fetchWeeklyComparison(selectedWeek === "latest" ? undefined : selectedWeek)} variant="ghost" size="sm">
+              <RefreshCw className="h-4 w-4" />
+            </Button>
+          </div>
         </div>
         
         <div className="flex flex-wrap items-center gap-3">
@@ -388,7 +398,7 @@ const WeeklyComparison = () => {
                   <SelectItem value="all">All Platforms</SelectItem>
                   {availablePlatforms.map(platform => (
                     <SelectItem key={platform} value={platform}>
-                      {platform.charAt(0).toUpperCase() + platform.slice(1)}
+                      {getPlatformName(platform)}
                     </SelectItem>
                   ))}
                 </SelectContent>
@@ -501,8 +511,11 @@ const WeeklyComparison = () => {
                         {student.previousScore !== undefined ? `${student.previousScore.toFixed(1)}%` : '-'}
                       </span>
                     </td>
-                    <td className="p-3 text-center">
-                      <span className="font-semibold text-foreground">{student.overallScore.toFixed(1)}%</span>
+                    <td className="p-3">
+                      <div className="flex items-center justify-center gap-2">
+                        <span className="font-semibold text-foreground">{student.overallScore.toFixed(1)}%</span>
+                        <ScoreBreakdownPopover regNo={student.regNo} />
+                      </div>
                     </td>
                     <td className="p-3">
                       <div className="flex justify-center">
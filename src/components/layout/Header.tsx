@@ -1,5 +1,8 @@
+import { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
 import { motion } from "framer-motion";
-import { Bell, Search, User, GraduationCap } from "lucide-react";
+import { formatDistanceToNow } from "date-fns";
+import { Bell, Search, GraduationCap, Check, CheckCheck, LogOut, Settings } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import {
@@ -10,10 +13,76 @@ import {
   DropdownMenuSeparator,
   DropdownMenuTrigger,
 } from "@/components/ui/dropdown-menu";
-import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Avatar, AvatarFallback } from "@/components/ui/avatar";
 import { Badge } from "@/components/ui/badge";
+import { cn } from "@/lib/utils";
+import { Alert, AlertCounts, AlertSeverity } from "@/types/alerts";
+import { Role } from "@/types/auth";
+import { useAuth } from "@/hooks/use-auth";
+import { apiFetch } from "@/lib/api";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// New alerts are picked up after the next scrape or upload; a minute is often enough
+const ALERTS_REFRESH_MS = 60 * 1000;
+
+const severityDot: Record<AlertSeverity, string> = {
+  info: "bg-primary",
+  warning: "bg-warning",
+  critical: "bg-destructive",
+};
+
+const roleLabels: Record<Role, string> = {
+  admin: "Administrator",
+  coordinator: "Faculty Coordinator",
+  viewer: "Viewer",
+  student: "Student",
+};
+
+const initials = (name: string) =>
+  name.split(/\s+/).filter(Boolean).slice(0, 2).map((part) => part[0].toUpperCase()).join("");
 
 const Header = () => {
+  const { user, logout, hasRole } = useAuth();
+  const navigate = useNavigate();
+  const canUpdateAlerts = hasRole("admin", "coordinator");
+  const [alerts, setAlerts] = useState<Alert[]>([]);
+  const [counts, setCounts] = useState<AlertCounts | null>(null);
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      const response = await apiFetch(`${API_URL}/api/alerts?status=active&limit=10`);
+      const result = await response.json();
+      if (result.status === 'success') {
+        setAlerts(result.data.alerts);
+        setCounts(result.data.counts);
+      }
+    } catch (error) {
+      console.error('Error fetching alerts:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAlerts();
+    const timer = setInterval(fetchAlerts, ALERTS_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [fetchAlerts]);
+
+  const updateAlert = async (id: string, action: "acknowledge" | "resolve") => {
+    try {
+      const response = await apiFetch(`${API_URL}/api/alerts/${id}/${action}`, { method: 'PATCH' });
+      const result = await response.json();
+      if (result.status === 'success') {
+        fetchAlerts();
+      }
+    } catch (error) {
+      console.error(`Error updating alert (${action}):`, error);
+    }
+  };
+
+  const openCount = counts?.open ?? 0;
+  const activeCount = openCount + (counts?.acknowledged ?? 0);
+
   return (
     <motion.header
       initial={{ opacity: 0, y: -20 }}
@@ -51,59 +120,119 @@ const Header = () => {
       {/* Right Section */}
       <div className="flex items-center gap-4">
         {/* Notifications */}
-        <DropdownMenu>
+        <DropdownMenu onOpenChange={(open) => open && fetchAlerts()}>
           <DropdownMenuTrigger asChild>
             <Button variant="ghost" size="icon" className="relative">
               <Bell className="h-5 w-5 text-muted-foreground" />
-              <Badge className="absolute -top-1 -right-1 h-5 w-5 p-0 flex items-center justify-center bg-destructive text-destructive-foreground text-xs">
-                3
-              </Badge>
+              {openCount > 0 && (
+                <Badge className="absolute -top-1 -right-1 h-5 min-w-[1.25rem] px-1 flex items-center justify-center bg-destructive text-destructive-foreground text-xs">
+                  {openCount > 99 ? "99+" : openCount}
+                </Badge>
+              )}
             </Button>
           </DropdownMenuTrigger>
-          <DropdownMenuContent align="end" className="w-80">
-            <DropdownMenuLabel>Notifications</DropdownMenuLabel>
+          <DropdownMenuContent align="end" className="w-96">
+            <DropdownMenuLabel className="flex items-center justify-between">
+              Notifications
+              {activeCount > 0 && (
+                <span className="text-xs font-normal text-muted-foreground">
+                  {openCount} new • {activeCount} unresolved
+                </span>
+              )}
+            </DropdownMenuLabel>
             <DropdownMenuSeparator />
-            <DropdownMenuItem className="flex flex-col items-start gap-1 py-3">
-              <span className="font-medium">New Excel Uploaded</span>
-              <span className="text-xs text-muted-foreground">Week 12 data has been processed</span>
-            </DropdownMenuItem>
-            <DropdownMenuItem className="flex flex-col items-start gap-1 py-3">
-              <span className="font-medium">Performance Alert</span>
-              <span className="text-xs text-muted-foreground">3 students showed significant decline</span>
-            </DropdownMenuItem>
-            <DropdownMenuItem className="flex flex-col items-start gap-1 py-3">
-              <span className="font-medium">Weekly Report Ready</span>
-              <span className="text-xs text-muted-foreground">Download the comparison report</span>
-            </DropdownMenuItem>
+            {alerts.length === 0 ? (
+              <div className="px-2 py-6 text-center text-sm text-muted-foreground">
+                No performance alerts
+              </div>
+            ) : (
+              <div className="max-h-96 overflow-y-auto custom-scrollbar">
+                {alerts.map((alert) => (
+                  <div key={alert._id} className="flex items-start gap-3 px-2 py-3 rounded-sm hover:bg-muted/50">
+                    <span className={cn("mt-1.5 h-2 w-2 shrink-0 rounded-full", severityDot[alert.severity])} />
+                    <div className="flex-1 min-w-0">
+                      <p className={cn("text-sm", alert.status === "open" ? "font-medium" : "text-muted-foreground")}>
+                        {alert.title}
+                      </p>
+                      {alert.message && <p className="text-xs text-muted-foreground">{alert.message}</p>}
+                      <p className="text-xs text-muted-foreground mt-1">
+                        {alert.regNo} • {formatDistanceToNow(new Date(alert.createdAt), { addSuffix: true })}
+                        {alert.status === "acknowledged" && " • acknowledged"}
+                      </p>
+                    </div>
+                    {canUpdateAlerts && (
+                      <div className="flex shrink-0 gap-1">
+                        {alert.status === "open" && (
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            className="h-7 w-7"
+                            title="Acknowledge"
+                            onClick={() => updateAlert(alert._id, "acknowledge")}
+                          >
+                            <Check className="h-4 w-4" />
+                          </Button>
+                        )}
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-7 w-7"
+                          title="Resolve"
+                          onClick={() => updateAlert(alert._id, "resolve")}
+                        >
+                          <CheckCheck className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
           </DropdownMenuContent>
         </DropdownMenu>
 
         {/* User Profile */}
-        <DropdownMenu>
-          <DropdownMenuTrigger asChild>
-            <Button variant="ghost" className="flex items-center gap-2 px-2">
-              <Avatar className="h-8 w-8">
-                <AvatarImage src="https://api.dicebear.com/7.x/avataaars/svg?seed=admin" />
-                <AvatarFallback>AD</AvatarFallback>
-              </Avatar>
-              <div className="hidden md:block text-left">
-                <p className="text-sm font-medium">Dr. Admin</p>
-                <p className="text-xs text-muted-foreground">Administrator</p>
-              </div>
-            </Button>
-          </DropdownMenuTrigger>
-          <DropdownMenuContent align="end" className="w-56">
-            <DropdownMenuLabel>My Account</DropdownMenuLabel>
-            <DropdownMenuSeparator />
-            <DropdownMenuItem>
-              <User className="mr-2 h-4 w-4" />
-              Profile
-            </DropdownMenuItem>
-            <DropdownMenuItem>Settings</DropdownMenuItem>
-            <DropdownMenuSeparator />
-            <DropdownMenuItem className="text-destructive">Log out</DropdownMenuItem>
-          </DropdownMenuContent>
-        </DropdownMenu>
+        {user && (
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="ghost" className="flex items-center gap-2 px-2">
+                <Avatar className="h-8 w-8">
+                  <AvatarFallback>{initials(user.name)}</AvatarFallback>
+                </Avatar>
+                <div className="hidden md:block text-left">
+                  <p className="text-sm font-medium">{user.name}</p>
+                  <p className="text-xs text-muted-foreground">
+                    {roleLabels[user.role]}
+                    {user.department && ` • ${user.department}`}
+                  </p>
+                </div>
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end" className="w-56">
+              <DropdownMenuLabel className="font-normal">
+                <p className="text-sm font-medium">My Account</p>
+                <p className="text-xs text-muted-foreground truncate">{user.email}</p>
+              </DropdownMenuLabel>
+              <DropdownMenuSeparator />
+              {user.role === "admin" && (
+                <DropdownMenuItem onClick={() => navigate("/settings")}>
+                  <Settings className="mr-2 h-4 w-4" />
+                  Settings
+                </DropdownMenuItem>
+              )}
+              <DropdownMenuItem
+                className="text-destructive"
+                onClick={() => {
+                  logout();
+                  navigate("/login");
+                }}
+              >
+                <LogOut className="mr-2 h-4 w-4" />
+                Log out
+              </DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+        )}
       </div>
     </motion.header>
   );
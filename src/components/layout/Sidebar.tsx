@@ -12,23 +12,31 @@ import {
   ChevronRight,
   GraduationCap,
   RefreshCw,
+  Trophy,
+  UserCheck,
 } from "lucide-react";
 import { cn } from "@/lib/utils";
 import { Button } from "@/components/ui/button";
 import { Tooltip, TooltipContent, TooltipTrigger } from "@/components/ui/tooltip";
+import { useAuth } from "@/hooks/use-auth";
+import { Role } from "@/types/auth";
 
-const navItems = [
+// Items with roles are only shown to those roles, matching the route guards in App
+const navItems: { icon: typeof LayoutDashboard; label: string; path: string; roles?: Role[] }[] = [
   { icon: LayoutDashboard, label: "Dashboard", path: "/" },
   { icon: GitCompare, label: "Weekly Comparison", path: "/comparison" },
-  { icon: RefreshCw, label: "Auto Scraper", path: "/scraper" },
+  { icon: Trophy, label: "Contests", path: "/contests" },
+  { icon: RefreshCw, label: "Auto Scraper", path: "/scraper", roles: ["admin", "coordinator"] },
   { icon: Grid3X3, label: "Heatmaps", path: "/heatmaps" },
   { icon: FileText, label: "Reports", path: "/reports" },
-  { icon: Settings, label: "Settings", path: "/settings" },
+  { icon: UserCheck, label: "Handle Requests", path: "/corrections" },
+  { icon: Settings, label: "Settings", path: "/settings", roles: ["admin"] },
 ];
 
 const Sidebar = () => {
   const [collapsed, setCollapsed] = useState(false);
   const location = useLocation();
+  const { hasRole } = useAuth();
 
   return (
     <motion.aside
@@ -64,7 +72,7 @@ const Sidebar = () => {
 
       {/* Navigation */}
       <nav className="flex-1 py-4 px-3 space-y-1 overflow-y-auto custom-scrollbar">
-        {navItems.map((item, index) => {
+        {navItems.filter((item) => !item.roles || hasRole(...item.roles)).map((item, index) => {
           const isActive = location.pathname === item.path;
           const Icon = item.icon;
 
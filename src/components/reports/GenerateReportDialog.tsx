@@ -0,0 +1,184 @@
+import { FormEvent, useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { toast } from "sonner";
+import { apiFetch } from "@/lib/api";
+import { REPORT_TYPES, ReportType } from "@/types/reports";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+interface AvailableWeek {
+  uploadJobId: string;
+  weekLabel: string;
+}
+
+interface GenerateReportDialogProps {
+  open: boolean;
+  onClose: () => void;
+  onGenerated: () => void;
+}
+
+/**
+ * Pick a report type and what it covers; the server renders and stores the PDF.
+ */
+const GenerateReportDialog = ({ open, onClose, onGenerated }: GenerateReportDialogProps) => {
+  const [type, setType] = useState<ReportType>("weekly");
+  const [weekId, setWeekId] = useState("latest");
+  const [department, setDepartment] = useState("");
+  const [regNo, setRegNo] = useState("");
+  const [weeks, setWeeks] = useState("8");
+  const [availableWeeks, setAvailableWeeks] = useState<AvailableWeek[]>([]);
+  const [generating, setGenerating] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const fetchWeeks = async () => {
+      try {
+        const response = await apiFetch(`${API_URL}/api/analytics/available-weeks`);
+        const result = await response.json();
+        if (result.status === 'success') setAvailableWeeks(result.data.weeks);
+      } catch (error) {
+        console.error('Error fetching available weeks:', error);
+      }
+    };
+
+    fetchWeeks();
+  }, [open]);
+
+  const handleSubmit = async (event: FormEvent) => {
+    event.preventDefault();
+
+    const body: Record<string, string | number> = { type };
+    if ((type === 'weekly' || type === 'department') && weekId !== 'latest') body.weekId = weekId;
+    if (type !== 'student' && department.trim()) body.department = department.trim();
+    if (type === 'student') body.regNo = regNo.trim().toUpperCase();
+    if (type === 'growth') body.weeks = Number(weeks);
+
+    setGenerating(true);
+    try {
+      const response = await apiFetch(`${API_URL}/api/reports`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const result = await response.json();
+      if (result.status !== 'success') {
+        toast.error('Report not generated', { description: result.message });
+        return;
+      }
+
+      toast.success(result.message);
+      onGenerated();
+      onClose();
+    } catch (error) {
+      toast.error('Report not generated', {
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+      });
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(value) => !value && onClose()}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Generate Report</DialogTitle>
+          <DialogDescription>
+            The PDF is stored and listed on this page for everyone to download.
+          </DialogDescription>
+        </DialogHeader>
+
+        <form id="generate-report-form" onSubmit={handleSubmit} className="space-y-4">
+          <div className="space-y-2">
+            <Label>Report</Label>
+            <Select value={type} onValueChange={(value) => setType(value as ReportType)}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {REPORT_TYPES.map(({ id, name }) => (
+                  <SelectItem key={id} value={id}>{name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <p className="text-xs text-muted-foreground">
+              {REPORT_TYPES.find(({ id }) => id === type)?.description}
+            </p>
+          </div>
+
+          {(type === 'weekly' || type === 'department') && (
+            <div className="space-y-2">
+              <Label>Week</Label>
+              <Select value={weekId} onValueChange={setWeekId}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="latest">Latest</SelectItem>
+                  {availableWeeks.map(week => (
+                    <SelectItem key={week.uploadJobId} value={week.uploadJobId}>{week.weekLabel}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {type !== 'student' && (
+            <div className="space-y-2">
+              <Label htmlFor="report-department">
+                Department{type === 'department' ? '' : ' (optional)'}
+              </Label>
+              <Input
+                id="report-department"
+                value={department}
+                required={type === 'department'}
+                placeholder={type === 'department' ? 'e.g. CSE' : 'All departments'}
+                onChange={(e) => setDepartment(e.target.value)}
+              />
+            </div>
+          )}
+
+          {type === 'student' && (
+            <div className="space-y-2">
+              <Label htmlFor="report-regno">Registration number</Label>
+              <Input
+                id="report-regno"
+                value={regNo}
+                required
+                onChange={(e) => setRegNo(e.target.value)}
+              />
+            </div>
+          )}
+
+          {type === 'growth' && (
+            <div className="space-y-2">
+              <Label htmlFor="report-weeks">Weeks</Label>
+              <Input
+                id="report-weeks"
+                type="number"
+                min={2}
+                max={52}
+                value={weeks}
+                onChange={(e) => setWeeks(e.target.value)}
+              />
+            </div>
+          )}
+        </form>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>Cancel</Button>
+          <Button type="submit" form="generate-report-form" disabled={generating}>
+            {generating ? 'Generating...' : 'Generate'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default GenerateReportDialog;
@@ -0,0 +1,234 @@
+import { useCallback, useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { formatDistanceToNow } from "date-fns";
+import { Plus, RotateCw, Trash2, Webhook as WebhookIcon } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { toast } from "sonner";
+import { DeliveryStatus, Webhook, WebhookDelivery, WebhookEvent } from "@/types/webhooks";
+import { apiFetch } from "@/lib/api";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const EVENT_LABELS: Record<WebhookEvent, string> = {
+  "upload.completed": "Upload completed",
+  "scrape.completed": "Scrape completed",
+  "student.level_changed": "Performance level changed",
+  "alert.triggered": "Alert triggered",
+};
+
+const STATUS_VARIANTS: Record<DeliveryStatus, "default" | "secondary" | "destructive" | "outline"> = {
+  delivered: "default",
+  pending: "outline",
+  retrying: "secondary",
+  failed: "destructive",
+};
+
+/**
+ * Webhook subscriptions for the department chat bot, LMS and the like,
+ * with the most recent deliveries and a way to send one again
+ */
+const WebhooksPanel = () => {
+  const [webhooks, setWebhooks] = useState<Webhook[]>([]);
+  const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+  const [name, setName] = useState("");
+  const [url, setUrl] = useState("");
+  const [events, setEvents] = useState<WebhookEvent[]>([]);
+  const [secret, setSecret] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchWebhooks = useCallback(async () => {
+    try {
+      const [webhooksResponse, deliveriesResponse] = await Promise.all([
+        apiFetch(`${API_URL}/api/webhooks`),
+        apiFetch(`${API_URL}/api/webhooks/deliveries?limit=10`),
+      ]);
+      const [webhooksResult, deliveriesResult] = await Promise.all([webhooksResponse.json(), deliveriesResponse.json()]);
+
+      if (webhooksResult.status === 'success') setWebhooks(webhooksResult.data.webhooks);
+      if (deliveriesResult.status === 'success') setDeliveries(deliveriesResult.data.deliveries);
+    } catch (error) {
+      console.error('Failed to fetch webhooks:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, [fetchWebhooks]);
+
+  const request = async (path: string, method: string, body?: unknown) => {
+    try {
+      const response = await apiFetch(`${API_URL}/api/webhooks${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const result = await response.json();
+      if (result.status !== 'success') {
+        toast.error('Webhook request failed', { description: result.message });
+        return null;
+      }
+      return result;
+    } catch (error) {
+      toast.error('Webhook request failed', {
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+      });
+      return null;
+    }
+  };
+
+  const createWebhook = async () => {
+    setSaving(true);
+    const result = await request('', 'POST', { name, url, events });
+    setSaving(false);
+    if (!result) return;
+
+    setSecret(result.data.secret);
+    setName("");
+    setUrl("");
+    setEvents([]);
+    fetchWebhooks();
+  };
+
+  const toggleEvent = (event: WebhookEvent, checked: boolean) =>
+    setEvents((current) => (checked ? [...current, event] : current.filter((e) => e !== event)));
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.15 }}
+      className="rounded-2xl bg-card/80 backdrop-blur-sm border border-border/50 p-6"
+    >
+      <div className="flex items-center gap-3 mb-6">
+        <div className="flex h-10 w-10 items-center justify-center rounded-xl bg-primary/10">
+          <WebhookIcon className="h-5 w-5 text-primary" />
+        </div>
+        <div>
+          <h3 className="font-display font-semibold text-foreground">Webhooks</h3>
+          <p className="text-sm text-muted-foreground">
+            POST signed events to a chat bot, LMS or any other URL
+          </p>
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        {webhooks.length === 0 && (
+          <p className="text-sm text-muted-foreground">No webhooks yet.</p>
+        )}
+        {webhooks.map((webhook) => (
+          <div key={webhook._id} className="flex items-start justify-between gap-4 rounded-xl border border-border/50 p-3">
+            <div className="min-w-0">
+              <p className="font-medium text-foreground">{webhook.name}</p>
+              <p className="text-xs text-muted-foreground truncate">{webhook.url}</p>
+              <div className="flex flex-wrap gap-1 mt-2">
+                {webhook.events.map((event) => (
+                  <Badge key={event} variant="outline" className="text-xs">{event}</Badge>
+                ))}
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <Switch
+                checked={webhook.enabled}
+                onCheckedChange={async (enabled) => {
+                  if (await request(`/${webhook._id}`, 'PATCH', { enabled })) fetchWebhooks();
+                }}
+              />
+              <Button
+                variant="ghost"
+                size="icon"
+                aria-label={`Delete ${webhook.name}`}
+                onClick={async () => {
+                  if (await request(`/${webhook._id}`, 'DELETE')) fetchWebhooks();
+                }}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {secret && (
+        <div className="mt-4 rounded-xl border border-warning/50 bg-warning/10 p-3 text-sm">
+          <p className="font-medium text-foreground">Signing secret — copy it now, it won't be shown again</p>
+          <code className="break-all text-xs">{secret}</code>
+          <p className="text-xs text-muted-foreground mt-1">
+            Each request carries X-Skorly-Signature: sha256=HMAC(secret, "&lt;X-Skorly-Timestamp&gt;.&lt;body&gt;")
+          </p>
+        </div>
+      )}
+
+      <div className="mt-6 space-y-3 border-t border-border/50 pt-4">
+        <div className="grid gap-3 sm:grid-cols-2">
+          <div className="space-y-2">
+            <Label htmlFor="webhook-name">Name</Label>
+            <Input id="webhook-name" placeholder="Department bot" value={name} onChange={(e) => setName(e.target.value)} />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="webhook-url">URL</Label>
+            <Input id="webhook-url" placeholder="https://bot.college.edu/skorly" value={url} onChange={(e) => setUrl(e.target.value)} />
+          </div>
+        </div>
+        <div className="grid gap-2 sm:grid-cols-2">
+          {(Object.keys(EVENT_LABELS) as WebhookEvent[]).map((event) => (
+            <label key={event} className="flex items-center gap-2 text-sm">
+              <Checkbox checked={events.includes(event)} onCheckedChange={(checked) => toggleEvent(event, checked === true)} />
+              {EVENT_LABELS[event]}
+            </label>
+          ))}
+        </div>
+        <div className="flex justify-end">
+          <Button size="sm" onClick={createWebhook} disabled={saving || !name || !url || events.length === 0}>
+            <Plus className="mr-2 h-4 w-4" />
+            Add webhook
+          </Button>
+        </div>
+      </div>
+
+      {deliveries.length > 0 && (
+        <div className="mt-6 border-t border-border/50 pt-4">
+          <p className="font-medium text-foreground mb-3">Recent deliveries</p>
+          <div className="space-y-2">
+            {deliveries.map((delivery) => (
+              <div key={delivery._id} className="flex items-center justify-between gap-3 text-sm">
+                <div className="min-w-0">
+                  <span className="font-medium">{delivery.event}</span>
+                  <span className="text-muted-foreground"> → {delivery.webhookId?.name ?? 'deleted webhook'}</span>
+                  <p className="text-xs text-muted-foreground truncate">
+                    {formatDistanceToNow(new Date(delivery.createdAt), { addSuffix: true })}
+                    {` • ${delivery.attempts.length} attempt${delivery.attempts.length === 1 ? '' : 's'}`}
+                    {delivery.error && ` • ${delivery.error}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Badge variant={STATUS_VARIANTS[delivery.status]}>{delivery.status}</Badge>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    aria-label="Send again"
+                    disabled={!delivery.webhookId}
+                    onClick={async () => {
+                      if (await request(`/deliveries/${delivery._id}/replay`, 'POST')) {
+                        toast.success('Delivery queued again');
+                        fetchWebhooks();
+                      }
+                    }}
+                  >
+                    <RotateCw className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default WebhooksPanel;
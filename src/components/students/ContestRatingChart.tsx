@@ -0,0 +1,193 @@
+import { useEffect, useMemo, useState } from "react";
+import { format } from "date-fns";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Legend,
+} from "recharts";
+import { getPlatformName, PlatformId } from "@/types/platforms";
+import { StudentContests } from "@/types/contest";
+import { apiFetch } from "@/lib/api";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const platformColors: Partial<Record<PlatformId, string>> = {
+  codeforces: "hsl(195, 80%, 35%)",
+  leetcode: "hsl(35, 90%, 50%)",
+  codechef: "hsl(25, 45%, 40%)",
+};
+
+interface ContestRatingChartProps {
+  regNo: string;
+}
+
+const ContestRatingChart = ({ regNo }: ContestRatingChartProps) => {
+  const [data, setData] = useState<StudentContests | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchContests = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await apiFetch(`${API_URL}/api/students/${encodeURIComponent(regNo)}/contests`);
+        const result = await response.json();
+
+        if (result.status === 'success') {
+          setData(result.data);
+        } else {
+          setError(result.message || 'Failed to load contests');
+        }
+      } catch (err) {
+        console.error('Error fetching contests:', err);
+        setError('Failed to load contests');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchContests();
+  }, [regNo]);
+
+  const platforms = useMemo(
+    () => Object.keys(data?.timeline ?? {}) as PlatformId[],
+    [data]
+  );
+
+  // One row per contest date, with a rating column per platform
+  const chartData = useMemo(() => {
+    if (!data) return [];
+
+    const rows = platforms.flatMap((platform) =>
+      (data.timeline[platform] ?? []).map((point) => ({
+        time: new Date(point.date).getTime(),
+        [platform]: point.rating,
+        [`${platform}Contest`]: point.contestName ?? point.contestId,
+      }))
+    );
+
+    return rows.sort((a, b) => a.time - b.time);
+  }, [data, platforms]);
+
+  if (loading) {
+    return <div className="text-center py-8 text-sm text-muted-foreground">Loading contests...</div>;
+  }
+
+  if (error) {
+    return <div className="text-center py-8 text-sm text-destructive">{error}</div>;
+  }
+
+  if (!data || data.contests.length === 0) {
+    return (
+      <div className="text-center py-8 text-sm text-muted-foreground">
+        No rated contests recorded yet.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        {platforms.map((platform) => {
+          const summary = data.summary[platform];
+          return (
+            <div key={platform} className="rounded-xl bg-muted/30 p-3">
+              <p className="text-xs text-muted-foreground">{getPlatformName(platform)}</p>
+              <p className="text-lg font-semibold text-foreground">{summary?.currentRating ?? '-'}</p>
+              <p className="text-xs text-muted-foreground">
+                Max {summary?.maxRating ?? '-'} • {summary?.contests ?? 0} contests
+              </p>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="hsl(var(--border))" />
+            <XAxis
+              dataKey="time"
+              type="number"
+              scale="time"
+              domain={["dataMin", "dataMax"]}
+              tickFormatter={(time) => format(new Date(time), "MMM yy")}
+              stroke="hsl(var(--muted-foreground))"
+              fontSize={12}
+              tickLine={false}
+            />
+            <YAxis
+              stroke="hsl(var(--muted-foreground))"
+              fontSize={12}
+              tickLine={false}
+              domain={["auto", "auto"]}
+            />
+            <Tooltip
+              contentStyle={{
+                backgroundColor: "hsl(var(--card))",
+                border: "1px solid hsl(var(--border))",
+                borderRadius: "12px",
+                boxShadow: "var(--shadow-lg)",
+              }}
+              labelStyle={{ color: "hsl(var(--foreground))", fontWeight: 600 }}
+              labelFormatter={(time) => format(new Date(time), "d MMM yyyy")}
+              formatter={(value, name, item) => [
+                `${value} (${item.payload[`${item.dataKey}Contest`]})`,
+                name,
+              ]}
+            />
+            <Legend />
+            {platforms.map((platform) => (
+              <Line
+                key={platform}
+                type="monotone"
+                dataKey={platform}
+                name={getPlatformName(platform)}
+                stroke={platformColors[platform] ?? "hsl(155, 60%, 42%)"}
+                strokeWidth={2}
+                dot={{ r: 3 }}
+                activeDot={{ r: 5 }}
+                connectNulls
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="space-y-2">
+        <h4 className="text-sm font-semibold text-foreground">Recent contests</h4>
+        {data.contests.slice(0, 8).map((contest) => (
+          <div
+            key={`${contest.platform}-${contest.contestId}`}
+            className="flex items-center justify-between rounded-lg bg-muted/30 px-3 py-2 text-sm"
+          >
+            <div>
+              <p className="font-medium text-foreground">{contest.contestName ?? contest.contestId}</p>
+              <p className="text-xs text-muted-foreground">
+                {getPlatformName(contest.platform)} • {format(new Date(contest.contestDate), "d MMM yyyy")}
+                {contest.rank && ` • Rank #${contest.rank}`}
+                {contest.problemsSolved !== null && ` • ${contest.problemsSolved} solved`}
+              </p>
+            </div>
+            <div className="text-right">
+              <p className="font-semibold text-foreground">{contest.newRating ?? '-'}</p>
+              {contest.ratingChange !== null && (
+                <p className={`text-xs ${contest.ratingChange >= 0 ? 'text-secondary' : 'text-destructive'}`}>
+                  {contest.ratingChange > 0 ? '+' : ''}{contest.ratingChange}
+                </p>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ContestRatingChart;
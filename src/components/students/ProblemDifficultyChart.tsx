@@ -0,0 +1,149 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Legend,
+} from "recharts";
+import { getPlatformName } from "@/types/platforms";
+import { DifficultyBreakdown, StoredPlatformStats } from "@/types/student";
+import { apiFetch } from "@/lib/api";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const BUCKETS = [
+  { key: "easy", name: "Easy", color: "hsl(155, 60%, 42%)" },
+  { key: "medium", name: "Medium", color: "hsl(35, 90%, 50%)" },
+  { key: "hard", name: "Hard", color: "hsl(0, 70%, 55%)" },
+  { key: "unrated", name: "Unrated", color: "hsl(var(--muted-foreground))" },
+] as const;
+
+// GeeksforGeeks school and basic problems count as easy, as in scoring
+const toBuckets = (difficulty: DifficultyBreakdown) => ({
+  easy: (difficulty.school ?? 0) + (difficulty.basic ?? 0) + (difficulty.easy ?? 0),
+  medium: difficulty.medium ?? 0,
+  hard: difficulty.hard ?? 0,
+  unrated: difficulty.unrated ?? 0,
+});
+
+interface ProblemDifficultyChartProps {
+  regNo: string;
+}
+
+const ProblemDifficultyChart = ({ regNo }: ProblemDifficultyChartProps) => {
+  const [platformStats, setPlatformStats] = useState<StoredPlatformStats[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchStats = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await apiFetch(`${API_URL}/api/students/${encodeURIComponent(regNo)}`);
+        const result = await response.json();
+
+        if (result.status === 'success') {
+          setPlatformStats(result.data.platformStats ?? []);
+        } else {
+          setError(result.message || 'Failed to load problem stats');
+        }
+      } catch (err) {
+        console.error('Error fetching problem stats:', err);
+        setError('Failed to load problem stats');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchStats();
+  }, [regNo]);
+
+  const chartData = useMemo(
+    () => platformStats
+      .filter((stats) => stats.currentStats?.additionalData?.difficulty)
+      .map((stats) => ({
+        platform: getPlatformName(stats.platform),
+        total: stats.currentStats.problemsSolved,
+        ...toBuckets(stats.currentStats.additionalData!.difficulty!),
+      })),
+    [platformStats]
+  );
+
+  if (loading) {
+    return <div className="text-center py-8 text-sm text-muted-foreground">Loading problem stats...</div>;
+  }
+
+  if (error) {
+    return <div className="text-center py-8 text-sm text-destructive">{error}</div>;
+  }
+
+  if (chartData.length === 0) {
+    return (
+      <div className="text-center py-8 text-sm text-muted-foreground">
+        No per-difficulty counts recorded yet.
+      </div>
+    );
+  }
+
+  const showUnrated = chartData.some((row) => row.unrated > 0);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        {chartData.map((row) => (
+          <div key={row.platform} className="rounded-xl bg-muted/30 p-3">
+            <p className="text-xs text-muted-foreground">{row.platform}</p>
+            <p className="text-lg font-semibold text-foreground">{row.total}</p>
+            <p className="text-xs text-muted-foreground">
+              {row.easy} easy • {row.medium} medium • {row.hard} hard
+              {row.unrated > 0 && ` • ${row.unrated} unrated`}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ height: Math.max(chartData.length * 48 + 60, 140) }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={chartData} layout="vertical">
+            <CartesianGrid strokeDasharray="3 3" stroke="hsl(var(--border))" horizontal={false} />
+            <XAxis type="number" stroke="hsl(var(--muted-foreground))" fontSize={12} tickLine={false} />
+            <YAxis
+              type="category"
+              dataKey="platform"
+              stroke="hsl(var(--muted-foreground))"
+              fontSize={12}
+              tickLine={false}
+              width={100}
+            />
+            <Tooltip
+              contentStyle={{
+                backgroundColor: "hsl(var(--card))",
+                border: "1px solid hsl(var(--border))",
+                borderRadius: "12px",
+                boxShadow: "var(--shadow-lg)",
+              }}
+              labelStyle={{ color: "hsl(var(--foreground))", fontWeight: 600 }}
+            />
+            <Legend />
+            {BUCKETS
+              .filter((bucket) => bucket.key !== "unrated" || showUnrated)
+              .map((bucket) => (
+                <Bar key={bucket.key} dataKey={bucket.key} name={bucket.name} stackId="difficulty" fill={bucket.color} />
+              ))}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <p className="text-xs text-muted-foreground">
+        Harder problems count for more in the problems part of the score; the weights are set on the Settings page.
+      </p>
+    </div>
+  );
+};
+
+export default ProblemDifficultyChart;
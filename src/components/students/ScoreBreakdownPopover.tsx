@@ -0,0 +1,135 @@
+import { useState } from "react";
+import { HelpCircle } from "lucide-react";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { getPlatformName } from "@/types/platforms";
+import { ScoreBreakdown, ScoreComponents } from "@/types/scoring";
+import { cn } from "@/lib/utils";
+import { apiFetch } from "@/lib/api";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const COMPONENT_LABELS: Record<keyof ScoreComponents, string> = {
+  rating: "rating",
+  problemsSolved: "problems",
+  contests: "contests",
+};
+
+const formatChange = (change: number) => `${change > 0 ? "+" : ""}${change}`;
+
+interface ScoreBreakdownPopoverProps {
+  regNo: string;
+}
+
+const ScoreBreakdownPopover = ({ regNo }: ScoreBreakdownPopoverProps) => {
+  const [breakdown, setBreakdown] = useState<ScoreBreakdown | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Fetched on first open rather than for every row
+  const fetchBreakdown = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiFetch(`${API_URL}/api/students/${encodeURIComponent(regNo)}/score-breakdown`);
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        setBreakdown(result.data);
+      } else {
+        setError(result.message || 'Failed to load the score breakdown');
+      }
+    } catch (err) {
+      console.error('Error fetching score breakdown:', err);
+      setError('Failed to load the score breakdown');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenChange = (open: boolean) => {
+    if (open && !breakdown && !loading) fetchBreakdown();
+  };
+
+  const { componentWeights } = breakdown?.weights ?? {};
+
+  return (
+    // Student rows open the detail panel on click; clicks in the popover (portalled or not) stay here
+    <span onClick={(event) => event.stopPropagation()}>
+      <Popover onOpenChange={handleOpenChange}>
+        <PopoverTrigger asChild>
+          <button
+            type="button"
+            className="text-muted-foreground hover:text-foreground transition-colors"
+            aria-label="Why this score?"
+            title="Why this score?"
+          >
+            <HelpCircle className="h-4 w-4" />
+          </button>
+        </PopoverTrigger>
+        <PopoverContent className="w-96" align="end">
+          {loading && <p className="text-sm text-muted-foreground">Loading breakdown...</p>}
+          {error && <p className="text-sm text-destructive">{error}</p>}
+  
+          {breakdown && componentWeights && (
+            <div className="space-y-3">
+              <div>
+                <p className="font-semibold text-foreground">Why {breakdown.overallScore}%?</p>
+                <p className="text-xs text-muted-foreground">
+                  {breakdown.weekLabel} • scoring version {breakdown.scoringVersion}
+                  {breakdown.previous && breakdown.change !== null && (
+                    <> • {formatChange(breakdown.change)} from {breakdown.previous.overallScore}% in {breakdown.previous.weekLabel}</>
+                  )}
+                </p>
+              </div>
+  
+              <div className="space-y-2">
+                {breakdown.platforms.map((entry) => (
+                  <div key={entry.platform} className="rounded-lg bg-muted/30 p-2">
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="font-medium text-foreground">{getPlatformName(entry.platform)}</span>
+                      <span className="tabular-nums text-foreground">
+                        +{entry.contribution}
+                        {entry.change !== null && entry.change !== 0 && (
+                          <span className={cn("ml-2 text-xs", entry.change > 0 ? "text-success" : "text-destructive")}>
+                            {formatChange(entry.change)}
+                          </span>
+                        )}
+                      </span>
+                    </div>
+                    <p className="text-xs text-muted-foreground">
+                      Scores {entry.score} (weight {entry.weight}):{" "}
+                      {(Object.keys(COMPONENT_LABELS) as (keyof ScoreComponents)[])
+                        .map((key) => `${COMPONENT_LABELS[key]} ${entry.components[key]} × ${componentWeights[key]}`)
+                        .join(", ")}
+                    </p>
+                    {entry.ratingPercentile !== null && (
+                      <p className="text-xs text-muted-foreground">
+                        Rating {entry.stats.rating} is the {entry.ratingPercentile}th percentile
+                      </p>
+                    )}
+                    {entry.capsHit.length > 0 && (
+                      <p className="text-xs text-warning-foreground">
+                        Maxed out: {entry.capsHit.map((key) => COMPONENT_LABELS[key]).join(", ")}
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+  
+              {breakdown.skippedPlatforms.length > 0 && (
+                <p className="text-xs text-muted-foreground">
+                  Not counted, fetch failed: {breakdown.skippedPlatforms.map(getPlatformName).join(", ")}
+                </p>
+              )}
+              <p className="text-xs text-muted-foreground">
+                The score is the weighted mean of the platform scores; each line shows the points it adds.
+              </p>
+            </div>
+          )}
+        </PopoverContent>
+      </Popover>
+    </span>
+  );
+};
+
+export default ScoreBreakdownPopover;
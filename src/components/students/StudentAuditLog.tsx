@@ -0,0 +1,98 @@
+import { useEffect, useState } from "react";
+import { formatDistanceToNow } from "date-fns";
+import { Badge } from "@/components/ui/badge";
+import { apiFetch } from "@/lib/api";
+import { getPlatformName } from "@/types/platforms";
+import { StudentAuditEntry } from "@/types/student";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const SOURCE_LABELS: Record<StudentAuditEntry['source'], string> = {
+  manual: "Edited",
+  bulk: "Bulk change",
+  correction: "Handle request approved",
+  upload: "Upload",
+  suggestion: "Codolio suggestion",
+};
+
+const fieldLabel = (field: string) => {
+  if (field.startsWith('platformIds.')) return getPlatformName(field.slice('platformIds.'.length));
+  if (field === 'isActive') return 'Active';
+  return field.charAt(0).toUpperCase() + field.slice(1);
+};
+
+const formatValue = (value: string | boolean | null) => {
+  if (value === null || value === '') return 'none';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return value;
+};
+
+interface StudentAuditLogProps {
+  regNo: string;
+  // Bumped by the parent after an edit so the list reloads
+  version?: number;
+}
+
+const StudentAuditLog = ({ regNo, version = 0 }: StudentAuditLogProps) => {
+  const [entries, setEntries] = useState<StudentAuditEntry[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      setLoading(true);
+      try {
+        const response = await apiFetch(`${API_URL}/api/students/${encodeURIComponent(regNo)}/audit?limit=20`);
+        const result = await response.json();
+        if (result.status === 'success') setEntries(result.data.entries);
+      } catch (error) {
+        console.error('Error fetching change history:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEntries();
+  }, [regNo, version]);
+
+  if (loading && entries.length === 0) {
+    return <div className="text-sm text-muted-foreground">Loading change history...</div>;
+  }
+  if (entries.length === 0) {
+    return <div className="text-sm text-muted-foreground">No changes since the student was uploaded</div>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {entries.map((entry) => (
+        <div key={entry._id} className="rounded-lg border border-border/50 p-3 text-sm">
+          <div className="flex items-center justify-between gap-2">
+            <div className="flex items-center gap-2">
+              <Badge variant="outline">{entry.action}</Badge>
+              <span className="text-muted-foreground">
+                {SOURCE_LABELS[entry.source]}{entry.userName && ` by ${entry.userName}`}
+              </span>
+            </div>
+            <span className="text-xs text-muted-foreground">
+              {formatDistanceToNow(new Date(entry.createdAt), { addSuffix: true })}
+            </span>
+          </div>
+          <ul className="mt-2 space-y-0.5">
+            {entry.changes.map((change) => (
+              <li key={change.field}>
+                <span className="font-medium">{fieldLabel(change.field)}</span>
+                {': '}
+                {entry.action !== 'create' && (
+                  <span className="text-muted-foreground line-through">{formatValue(change.before)}</span>
+                )}
+                {entry.action !== 'create' && ' → '}
+                {formatValue(change.after)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default StudentAuditLog;
@@ -0,0 +1,113 @@
+import { useCallback, useState } from "react";
+import { Pencil } from "lucide-react";
+import { Sheet, SheetContent, SheetDescription, SheetHeader, SheetTitle } from "@/components/ui/sheet";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { useAuth } from "@/hooks/use-auth";
+import { getPlatformName, PlatformIds } from "@/types/platforms";
+import ContestRatingChart from "./ContestRatingChart";
+import ProblemDifficultyChart from "./ProblemDifficultyChart";
+import TopicRadarChart from "./TopicRadarChart";
+import StudentAuditLog from "./StudentAuditLog";
+import StudentEditDialog from "./StudentEditDialog";
+import SuggestedHandles from "./SuggestedHandles";
+
+export interface StudentSummary {
+  regNo: string;
+  name: string;
+  dept?: string;
+  year?: string | number;
+  platformIds?: PlatformIds;
+}
+
+interface StudentDetailPanelProps {
+  student: StudentSummary | null;
+  onClose: () => void;
+  // Called after the student was edited, to reload lists showing them
+  onUpdated?: () => void;
+}
+
+const StudentDetailPanel = ({ student, onClose, onUpdated }: StudentDetailPanelProps) => {
+  const { hasRole } = useAuth();
+  const canEdit = hasRole("admin", "coordinator");
+  const [editing, setEditing] = useState(false);
+  const [auditVersion, setAuditVersion] = useState(0);
+
+  const closeEditor = useCallback(() => setEditing(false), []);
+  const handleSaved = useCallback(() => {
+    setAuditVersion((version) => version + 1);
+    onUpdated?.();
+  }, [onUpdated]);
+
+  const handles = Object.entries(student?.platformIds ?? {})
+    .filter(([, handle]) => handle && handle.trim() !== '');
+
+  return (
+    <Sheet open={student !== null} onOpenChange={(open) => !open && onClose()}>
+      <SheetContent side="right" className="w-full sm:max-w-2xl overflow-y-auto">
+        {student && (
+          <>
+            <SheetHeader>
+              <div className="flex items-center justify-between gap-2 pr-6">
+                <SheetTitle>{student.name}</SheetTitle>
+                {canEdit && (
+                  <Button variant="outline" size="sm" onClick={() => setEditing(true)}>
+                    <Pencil className="mr-2 h-4 w-4" />
+                    Edit
+                  </Button>
+                )}
+              </div>
+              <SheetDescription>
+                {student.regNo}
+                {student.dept && ` • ${student.dept}`}
+                {student.year && ` • Year ${student.year}`}
+              </SheetDescription>
+            </SheetHeader>
+
+            <div className="mt-6 space-y-6">
+              {handles.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {handles.map(([platform, handle]) => (
+                    <Badge key={platform} variant="outline">
+                      {getPlatformName(platform)}: {handle}
+                    </Badge>
+                  ))}
+                </div>
+              )}
+
+              <SuggestedHandles regNo={student.regNo} canEdit={canEdit} onAccepted={handleSaved} />
+
+              <div>
+                <h3 className="text-base font-semibold text-foreground mb-1">Contest Rating</h3>
+                <p className="text-sm text-muted-foreground mb-4">Rating after each rated contest</p>
+                <ContestRatingChart regNo={student.regNo} />
+              </div>
+
+              <div>
+                <h3 className="text-base font-semibold text-foreground mb-1">Problems by Difficulty</h3>
+                <p className="text-sm text-muted-foreground mb-4">Solved problems per difficulty on each platform</p>
+                <ProblemDifficultyChart regNo={student.regNo} />
+              </div>
+
+              <div>
+                <h3 className="text-base font-semibold text-foreground mb-1">Topic Mastery</h3>
+                <p className="text-sm text-muted-foreground mb-4">Solved problems per topic against the department and cohort</p>
+                <TopicRadarChart regNo={student.regNo} />
+              </div>
+
+              <div>
+                <h3 className="text-base font-semibold text-foreground mb-1">Change History</h3>
+                <p className="text-sm text-muted-foreground mb-4">Edits made outside uploads, with the values before and after</p>
+                <StudentAuditLog regNo={student.regNo} version={auditVersion} />
+              </div>
+            </div>
+          </>
+        )}
+      </SheetContent>
+
+      <StudentEditDialog regNo={editing && student ? student.regNo : null} onClose={closeEditor} onSaved={handleSaved} />
+    </Sheet>
+  );
+};
+
+export default StudentDetailPanel;
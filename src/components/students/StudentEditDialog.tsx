@@ -0,0 +1,201 @@
+import { FormEvent, useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { toast } from "sonner";
+import { apiFetch } from "@/lib/api";
+import { PLATFORMS, PlatformIds } from "@/types/platforms";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+interface StudentForm {
+  name: string;
+  department: string;
+  year: string;
+  isActive: boolean;
+  platformIds: PlatformIds;
+}
+
+interface StudentEditDialogProps {
+  regNo: string | null;
+  onClose: () => void;
+  onSaved: () => void;
+}
+
+/**
+ * Edit a student's details and handles in place, without a re-upload.
+ * Only changed fields are sent, so the audit log records just those.
+ */
+const StudentEditDialog = ({ regNo, onClose, onSaved }: StudentEditDialogProps) => {
+  const [original, setOriginal] = useState<StudentForm | null>(null);
+  const [form, setForm] = useState<StudentForm | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!regNo) return;
+
+    const fetchStudent = async () => {
+      setOriginal(null);
+      setForm(null);
+      try {
+        const response = await apiFetch(`${API_URL}/api/students/${encodeURIComponent(regNo)}`);
+        const result = await response.json();
+        if (result.status !== 'success') {
+          toast.error('Could not load student', { description: result.message });
+          onClose();
+          return;
+        }
+
+        const { student } = result.data;
+        const values: StudentForm = {
+          name: student.name,
+          department: student.department,
+          year: student.year ?? '',
+          isActive: student.isActive,
+          platformIds: Object.fromEntries(PLATFORMS.map(({ id }) => [id, student.platformIds?.[id] ?? ''])),
+        };
+        setOriginal(values);
+        setForm(values);
+      } catch (error) {
+        console.error('Error fetching student:', error);
+        onClose();
+      }
+    };
+
+    fetchStudent();
+  }, [regNo, onClose]);
+
+  const changedFields = () => {
+    if (!form || !original) return {};
+
+    const changes: Partial<StudentForm> = {};
+    (['name', 'department', 'year', 'isActive'] as const).forEach((field) => {
+      if (form[field] !== original[field]) Object.assign(changes, { [field]: form[field] });
+    });
+    const platformIds = Object.fromEntries(PLATFORMS
+      .filter(({ id }) => (form.platformIds[id] ?? '').trim() !== (original.platformIds[id] ?? ''))
+      .map(({ id }) => [id, (form.platformIds[id] ?? '').trim()]));
+    if (Object.keys(platformIds).length > 0) changes.platformIds = platformIds;
+    return changes;
+  };
+
+  const handleSubmit = async (event: FormEvent) => {
+    event.preventDefault();
+    const changes = changedFields();
+    if (!regNo || Object.keys(changes).length === 0) {
+      onClose();
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await apiFetch(`${API_URL}/api/students/${encodeURIComponent(regNo)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      const result = await response.json();
+      if (result.status !== 'success') {
+        toast.error('Student not updated', { description: result.message });
+        return;
+      }
+
+      toast.success(result.message, {
+        description: changes.platformIds ? 'Changed handles are fetched on the next scrape or refresh' : undefined,
+      });
+      onSaved();
+      onClose();
+    } catch (error) {
+      toast.error('Student not updated', {
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={regNo !== null} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-lg max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Edit {regNo}</DialogTitle>
+          <DialogDescription>
+            Every change is recorded in the student's change history.
+          </DialogDescription>
+        </DialogHeader>
+
+        {!form ? (
+          <div className="text-center py-8 text-muted-foreground">Loading student...</div>
+        ) : (
+          <form id="student-edit-form" onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid gap-3 sm:grid-cols-2">
+              <div className="space-y-2 sm:col-span-2">
+                <Label htmlFor="student-name">Name</Label>
+                <Input
+                  id="student-name"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="student-department">Department</Label>
+                <Input
+                  id="student-department"
+                  value={form.department}
+                  onChange={(e) => setForm({ ...form, department: e.target.value })}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="student-year">Year</Label>
+                <Input
+                  id="student-year"
+                  value={form.year}
+                  onChange={(e) => setForm({ ...form, year: e.target.value })}
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <p className="text-sm font-medium text-foreground">Platform handles</p>
+              <div className="grid gap-3 sm:grid-cols-2">
+                {PLATFORMS.map(({ id, name }) => (
+                  <div key={id} className="space-y-1">
+                    <Label htmlFor={`student-${id}`} className="text-xs text-muted-foreground">{name}</Label>
+                    <Input
+                      id={`student-${id}`}
+                      value={form.platformIds[id] ?? ''}
+                      onChange={(e) => setForm({ ...form, platformIds: { ...form.platformIds, [id]: e.target.value } })}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between rounded-lg border border-border/50 p-3">
+              <div>
+                <Label htmlFor="student-active">Active</Label>
+                <p className="text-xs text-muted-foreground">Inactive students keep their history but are skipped by the weekly scrape</p>
+              </div>
+              <Switch
+                id="student-active"
+                checked={form.isActive}
+                onCheckedChange={(isActive) => setForm({ ...form, isActive })}
+              />
+            </div>
+          </form>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>Cancel</Button>
+          <Button type="submit" form="student-edit-form" disabled={!form || saving}>
+            {saving ? 'Saving...' : 'Save changes'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default StudentEditDialog;
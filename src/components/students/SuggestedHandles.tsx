@@ -0,0 +1,118 @@
+import { useEffect, useState } from "react";
+import { Check, Sparkles, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { toast } from "sonner";
+import { apiFetch } from "@/lib/api";
+import { getPlatformName, PlatformIds } from "@/types/platforms";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+interface SuggestedHandlesProps {
+  regNo: string;
+  canEdit: boolean;
+  // Called after a suggestion was accepted, to reload the change history and lists
+  onAccepted: () => void;
+}
+
+/**
+ * Handles found on the student's Codolio profile for platforms they have no
+ * handle on; accepting one fills it in and records it in the change history
+ */
+const SuggestedHandles = ({ regNo, canEdit, onAccepted }: SuggestedHandlesProps) => {
+  const [suggestions, setSuggestions] = useState<PlatformIds>({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchSuggestions = async () => {
+      setSuggestions({});
+      try {
+        const response = await apiFetch(`${API_URL}/api/students/${encodeURIComponent(regNo)}/suggestions`);
+        const result = await response.json();
+        if (result.status === 'success') setSuggestions(result.data.suggestedPlatformIds);
+      } catch (error) {
+        console.error('Error fetching suggested handles:', error);
+      }
+    };
+
+    fetchSuggestions();
+  }, [regNo]);
+
+  const decide = async (decision: 'accept' | 'dismiss', platforms?: string[]) => {
+    setSaving(true);
+    try {
+      const response = await apiFetch(`${API_URL}/api/students/${encodeURIComponent(regNo)}/suggestions/${decision}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(platforms ? { platforms } : {}),
+      });
+      const result = await response.json();
+      if (result.status !== 'success') {
+        toast.error(`Suggestion not ${decision === 'accept' ? 'accepted' : 'dismissed'}`, { description: result.message });
+        return;
+      }
+
+      setSuggestions((current) => Object.fromEntries(Object.entries(current)
+        .filter(([platform]) => platforms && !platforms.includes(platform))));
+      toast.success(result.message, {
+        description: decision === 'accept' ? 'Accepted handles are fetched on the next scrape or refresh' : undefined,
+      });
+      if (decision === 'accept') onAccepted();
+    } catch (error) {
+      toast.error(`Suggestion not ${decision === 'accept' ? 'accepted' : 'dismissed'}`, {
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const entries = Object.entries(suggestions).filter(([, handle]) => handle);
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="rounded-lg border border-border/50 p-3 space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-sm font-medium text-foreground flex items-center gap-2">
+          <Sparkles className="h-4 w-4 text-primary" />
+          Suggested from Codolio
+        </p>
+        {canEdit && entries.length > 1 && (
+          <Button variant="outline" size="sm" disabled={saving} onClick={() => decide('accept')}>
+            Accept all
+          </Button>
+        )}
+      </div>
+      {entries.map(([platform, handle]) => (
+        <div key={platform} className="flex items-center justify-between gap-2 text-sm">
+          <span>
+            <span className="text-muted-foreground">{getPlatformName(platform)}:</span> {handle}
+          </span>
+          {canEdit && (
+            <div className="flex gap-1">
+              <Button
+                variant="ghost"
+                size="sm"
+                aria-label={`Accept ${getPlatformName(platform)} handle`}
+                disabled={saving}
+                onClick={() => decide('accept', [platform])}
+              >
+                <Check className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                aria-label={`Dismiss ${getPlatformName(platform)} handle`}
+                disabled={saving}
+                onClick={() => decide('dismiss', [platform])}
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SuggestedHandles;
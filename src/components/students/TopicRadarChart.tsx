@@ -0,0 +1,143 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  RadarChart,
+  Radar,
+  PolarGrid,
+  PolarAngleAxis,
+  PolarRadiusAxis,
+  Tooltip,
+  ResponsiveContainer,
+  Legend,
+} from "recharts";
+import { StudentTopics } from "@/types/topics";
+import { apiFetch } from "@/lib/api";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+interface TopicRadarChartProps {
+  regNo: string;
+}
+
+const TopicRadarChart = ({ regNo }: TopicRadarChartProps) => {
+  const [studentTopics, setStudentTopics] = useState<StudentTopics | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchTopics = async () => {
+      setLoading(true);
+      setError(null);
+      setStudentTopics(null);
+      try {
+        const response = await apiFetch(`${API_URL}/api/analytics/topics?regNo=${encodeURIComponent(regNo)}`);
+        const result = await response.json();
+
+        if (result.status === 'success') {
+          setStudentTopics(result.data);
+        } else if (response.status !== 404) {
+          // A 404 means no tag data yet, shown as the empty state below
+          setError(result.message || 'Failed to load topic stats');
+        }
+      } catch (err) {
+        console.error('Error fetching topic stats:', err);
+        setError('Failed to load topic stats');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTopics();
+  }, [regNo]);
+
+  const chartData = useMemo(
+    () => (studentTopics?.topics ?? []).map((entry) => ({
+      topic: entry.name,
+      solved: entry.solved,
+      department: entry.departmentAverage,
+      cohort: entry.cohortAverage,
+    })),
+    [studentTopics]
+  );
+
+  // Topics furthest below the department average first
+  const weakest = useMemo(
+    () => (studentTopics?.topics ?? [])
+      .filter((entry) => entry.solved < entry.departmentAverage)
+      .sort((a, b) => (a.solved - a.departmentAverage) - (b.solved - b.departmentAverage))
+      .slice(0, 3),
+    [studentTopics]
+  );
+
+  if (loading) {
+    return <div className="text-center py-8 text-sm text-muted-foreground">Loading topic stats...</div>;
+  }
+
+  if (error) {
+    return <div className="text-center py-8 text-sm text-destructive">{error}</div>;
+  }
+
+  if (!studentTopics) {
+    return (
+      <div className="text-center py-8 text-sm text-muted-foreground">
+        No per-topic counts recorded yet. Topics come from Codeforces and LeetCode tags.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="h-80">
+        <ResponsiveContainer width="100%" height="100%">
+          <RadarChart data={chartData} outerRadius="70%">
+            <PolarGrid stroke="hsl(var(--border))" />
+            <PolarAngleAxis dataKey="topic" stroke="hsl(var(--muted-foreground))" fontSize={11} />
+            <PolarRadiusAxis stroke="hsl(var(--muted-foreground))" fontSize={10} angle={90} />
+            <Tooltip
+              contentStyle={{
+                backgroundColor: "hsl(var(--card))",
+                border: "1px solid hsl(var(--border))",
+                borderRadius: "12px",
+                boxShadow: "var(--shadow-lg)",
+              }}
+              labelStyle={{ color: "hsl(var(--foreground))", fontWeight: 600 }}
+            />
+            <Legend />
+            <Radar
+              dataKey="cohort"
+              name="Cohort average"
+              stroke="hsl(var(--muted-foreground))"
+              fill="hsl(var(--muted-foreground))"
+              fillOpacity={0.1}
+            />
+            <Radar
+              dataKey="department"
+              name={`${studentTopics.department || 'Department'} average`}
+              stroke="hsl(35, 90%, 50%)"
+              fill="hsl(35, 90%, 50%)"
+              fillOpacity={0.15}
+            />
+            <Radar
+              dataKey="solved"
+              name="Solved"
+              stroke="hsl(var(--primary))"
+              fill="hsl(var(--primary))"
+              fillOpacity={0.35}
+            />
+          </RadarChart>
+        </ResponsiveContainer>
+      </div>
+
+      {weakest.length > 0 && (
+        <p className="text-sm text-muted-foreground">
+          Below the department average in{" "}
+          <span className="font-medium text-foreground">{weakest.map((entry) => entry.name).join(", ")}</span>.
+        </p>
+      )}
+      <p className="text-xs text-muted-foreground">
+        A problem counts once for each topic it is tagged with, so topic totals can exceed problems solved.
+      </p>
+    </div>
+  );
+};
+
+export default TopicRadarChart;
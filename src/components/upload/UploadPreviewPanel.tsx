@@ -0,0 +1,189 @@
+import { useState } from "react";
+import { ArrowRight } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { getPlatformName } from "@/types/platforms";
+import { PreviewChange, PreviewDecision, UploadPreview } from "@/types/upload";
+
+interface UploadPreviewPanelProps {
+  preview: UploadPreview;
+  confirming: boolean;
+  onConfirm: (decision: PreviewDecision) => void;
+  onCancel: () => void;
+}
+
+const FIELD_LABELS: Record<string, string> = { name: "Name", department: "Dept", year: "Year" };
+
+const fieldLabel = (field: string) =>
+  field.startsWith("platformIds.") ? getPlatformName(field.slice("platformIds.".length)) : FIELD_LABELS[field] ?? field;
+
+const toggle = (set: Set<string>, regNo: string) => {
+  const next = new Set(set);
+  if (next.has(regNo)) next.delete(regNo);
+  else next.add(regNo);
+  return next;
+};
+
+const Empty = ({ children }: { children: string }) => (
+  <p className="text-center py-6 text-sm text-muted-foreground">{children}</p>
+);
+
+const ChangeLine = ({ field, before, after }: PreviewChange) => (
+  <p className="text-xs text-muted-foreground flex items-center gap-1 flex-wrap">
+    <span className="font-medium text-foreground">{fieldLabel(field)}:</span>
+    <span className="line-through">{before ?? "none"}</span>
+    <ArrowRight className="h-3 w-3" />
+    <span className="text-foreground">{after ?? "none"}</span>
+  </p>
+);
+
+/**
+ * What an uploaded sheet would change; unticked new or changed students are left as they are,
+ * and removed students are only deactivated when ticked.
+ */
+const UploadPreviewPanel = ({ preview, confirming, onConfirm, onCancel }: UploadPreviewPanelProps) => {
+  const { added, changed, removed, invalid, duplicates, unchanged } = preview.diff;
+  const [skip, setSkip] = useState<Set<string>>(new Set());
+  const [deactivate, setDeactivate] = useState<Set<string>>(new Set());
+
+  const tabs = [
+    { id: "added", label: "New", count: added.length },
+    { id: "changed", label: "Changed", count: changed.length },
+    { id: "removed", label: "Removed", count: removed.length },
+    { id: "invalid", label: "Invalid", count: invalid.length },
+    { id: "duplicates", label: "Duplicates", count: duplicates.length },
+  ];
+  const toProcess = added.length + changed.length + unchanged - added.filter(({ regNo }) => skip.has(regNo)).length;
+
+  return (
+    <div className="border border-border rounded-xl p-6 space-y-4">
+      <div>
+        <p className="font-medium text-foreground">{preview.originalName}</p>
+        <p className="text-sm text-muted-foreground">
+          {preview.totalRows} rows • {added.length} new • {changed.length} changed • {unchanged} unchanged • {removed.length} missing from the sheet
+        </p>
+      </div>
+
+      <Tabs defaultValue={tabs.find(({ count }) => count > 0)?.id ?? "added"}>
+        <TabsList className="flex-wrap h-auto">
+          {tabs.map(({ id, label, count }) => (
+            <TabsTrigger key={id} value={id} className="gap-2">
+              {label}
+              <Badge variant={count > 0 && (id === "invalid" || id === "duplicates") ? "destructive" : "secondary"}>{count}</Badge>
+            </TabsTrigger>
+          ))}
+        </TabsList>
+
+        <div className="mt-3 max-h-80 overflow-y-auto space-y-2">
+          <TabsContent value="added" className="mt-0 space-y-2">
+            {added.length === 0 ? <Empty>No new students</Empty> : added.map((student) => (
+              <label key={student.regNo} className="flex items-start gap-3 p-3 rounded-lg bg-muted/30 cursor-pointer">
+                <Checkbox
+                  className="mt-0.5"
+                  checked={!skip.has(student.regNo)}
+                  onCheckedChange={() => setSkip((prev) => toggle(prev, student.regNo))}
+                />
+                <div className="text-sm">
+                  <p className="font-medium text-foreground">{student.regNo} • {student.name}</p>
+                  <p className="text-xs text-muted-foreground">
+                    Row {student.row}{student.department && ` • ${student.department}`}{student.year && ` • ${student.year}`}
+                    {' • '}{Object.entries(student.platformIds).map(([platform, handle]) => `${getPlatformName(platform)}: ${handle}`).join(', ')}
+                  </p>
+                </div>
+              </label>
+            ))}
+          </TabsContent>
+
+          <TabsContent value="changed" className="mt-0 space-y-2">
+            {changed.length === 0 ? <Empty>No changed students</Empty> : changed.map((student) => (
+              <label key={student.regNo} className="flex items-start gap-3 p-3 rounded-lg bg-muted/30 cursor-pointer">
+                <Checkbox
+                  className="mt-0.5"
+                  checked={!skip.has(student.regNo)}
+                  onCheckedChange={() => setSkip((prev) => toggle(prev, student.regNo))}
+                />
+                <div className="text-sm space-y-0.5">
+                  <p className="font-medium text-foreground">
+                    {student.regNo} • {student.name}
+                    {!student.isActive && <Badge variant="outline" className="ml-2">Inactive</Badge>}
+                  </p>
+                  {student.changes.map((change) => <ChangeLine key={change.field} {...change} />)}
+                </div>
+              </label>
+            ))}
+          </TabsContent>
+
+          <TabsContent value="removed" className="mt-0 space-y-2">
+            {removed.length === 0 ? <Empty>Every active student of these departments is in the sheet</Empty> : (
+              <>
+                <p className="text-xs text-muted-foreground">
+                  Active students of the sheet's departments that it leaves out. Tick the ones to deactivate.
+                </p>
+                {removed.map((student) => (
+                  <label key={student.regNo} className="flex items-start gap-3 p-3 rounded-lg bg-muted/30 cursor-pointer">
+                    <Checkbox
+                      className="mt-0.5"
+                      checked={deactivate.has(student.regNo)}
+                      onCheckedChange={() => setDeactivate((prev) => toggle(prev, student.regNo))}
+                    />
+                    <div className="text-sm">
+                      <p className="font-medium text-foreground">{student.regNo} • {student.name}</p>
+                      <p className="text-xs text-muted-foreground">{student.department}{student.year && ` • ${student.year}`}</p>
+                    </div>
+                  </label>
+                ))}
+              </>
+            )}
+          </TabsContent>
+
+          <TabsContent value="invalid" className="mt-0 space-y-2">
+            {invalid.length === 0 ? <Empty>Every row is valid</Empty> : invalid.map((error) => (
+              <div key={error.row} className="p-3 rounded-lg bg-destructive/10 text-sm">
+                <p className="font-medium text-foreground">Row {error.row} • {error.regNo}</p>
+                <p className="text-xs text-muted-foreground">{error.message}</p>
+              </div>
+            ))}
+          </TabsContent>
+
+          <TabsContent value="duplicates" className="mt-0 space-y-2">
+            {duplicates.length === 0 ? <Empty>No duplicates</Empty> : duplicates.map((duplicate) => (
+              duplicate.type === "regNo" ? (
+                <div key={`row-${duplicate.row}`} className="p-3 rounded-lg bg-destructive/10 text-sm">
+                  <p className="font-medium text-foreground">{duplicate.regNo} appears twice</p>
+                  <p className="text-xs text-muted-foreground">Row {duplicate.row} repeats row {duplicate.duplicateOf} and is left out</p>
+                </div>
+              ) : (
+                <div key={`${duplicate.platform}-${duplicate.handle}`} className="p-3 rounded-lg bg-destructive/10 text-sm">
+                  <p className="font-medium text-foreground">{getPlatformName(duplicate.platform)} handle {duplicate.handle} is shared</p>
+                  <p className="text-xs text-muted-foreground">
+                    {duplicate.regNos.join(', ')} in the sheet{duplicate.stored.length > 0 && `; already used by ${duplicate.stored.join(', ')}`}
+                  </p>
+                </div>
+              )
+            ))}
+          </TabsContent>
+        </div>
+      </Tabs>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 pt-2 border-t border-border">
+        <p className="text-xs text-muted-foreground">
+          Nothing is saved until you confirm. Unticked changes keep the stored details.
+        </p>
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={onCancel} disabled={confirming}>Cancel</Button>
+          <Button
+            className="bg-gradient-primary text-primary-foreground"
+            disabled={confirming || toProcess === 0}
+            onClick={() => onConfirm({ skip: [...skip], deactivate: [...deactivate] })}
+          >
+            {confirming ? 'Starting...' : `Confirm & process ${toProcess} ${toProcess === 1 ? 'student' : 'students'}`}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UploadPreviewPanel;
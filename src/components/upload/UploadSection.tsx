@@ -3,8 +3,13 @@ import { useDropzone } from "react-dropzone";
 import { Upload, FileSpreadsheet, CheckCircle, XCircle, Loader2, AlertCircle } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Progress } from "@/components/ui/progress";
+import UploadPreviewPanel from "@/components/upload/UploadPreviewPanel";
+import { toast } from "sonner";
 import { UploadStatus } from "@/types/student";
+import { PLATFORMS } from "@/types/platforms";
+import { PreviewDecision, UploadPreview } from "@/types/upload";
 import { cn } from "@/lib/utils";
+import { apiFetch } from "@/lib/api";
 
 interface UploadSectionProps {
   onUploadComplete?: (data: any) => void;
@@ -12,59 +17,45 @@ interface UploadSectionProps {
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
+const excelColumns = ["Name", "Reg No", "Dept", "Year", ...PLATFORMS.map((platform) => platform.idColumn)];
+
 const UploadSection = ({ onUploadComplete }: UploadSectionProps) => {
   const [uploadStatus, setUploadStatus] = useState<UploadStatus>({
     status: 'idle',
     progress: 0,
   });
   const [jobId, setJobId] = useState<string | null>(null);
+  const [preview, setPreview] = useState<UploadPreview | null>(null);
+  const [confirming, setConfirming] = useState(false);
 
   const uploadToBackend = useCallback(async (file: File) => {
     setUploadStatus({
       status: 'uploading',
       progress: 0,
       fileName: file.name,
-      message: 'Uploading file to server...',
+      message: 'Checking the file against the stored students...',
     });
 
     try {
-      console.log('Uploading to:', `${API_URL}/api/upload`);
-      
       // Create form data
       const formData = new FormData();
       formData.append('file', file);
 
-      // Upload to backend
-      const response = await fetch(`${API_URL}/api/upload`, {
+      // Dry run first; nothing is saved until the preview is confirmed
+      const response = await apiFetch(`${API_URL}/api/upload/preview`, {
         method: 'POST',
         body: formData,
       });
 
-      console.log('Response status:', response.status);
-      console.log('Response ok:', response.ok);
-
       const result = await response.json();
-      console.log('Response data:', result);
-      
+
       if (response.ok && result.status === 'success') {
-        const uploadJobId = result.data.jobId;
-        setJobId(uploadJobId);
-        
-        // Handle different response structures
-        const totalStudents = result.data.totalStudents || 
-                             result.data.statistics?.validStudents || 
-                             result.data.studentsData?.valid || 
-                             0;
-        
+        setPreview(result.data.preview);
         setUploadStatus({
-          status: 'processing',
-          progress: 50,
+          status: 'previewing',
+          progress: 0,
           fileName: file.name,
-          message: `Processing ${totalStudents} students...`,
         });
-
-        // Poll for job progress
-        pollJobProgress(uploadJobId);
       } else {
         // Handle error response
         const errorMessage = result.message || 'Upload failed';
@@ -80,12 +71,72 @@ const UploadSection = ({ onUploadComplete }: UploadSectionProps) => {
         message: error.message || 'Failed to upload file. Please check your Excel format and try again.',
       });
     }
-  }, [onUploadComplete]);
+  }, []);
+
+  const confirmPreview = async (decision: PreviewDecision) => {
+    if (!preview) return;
+
+    setConfirming(true);
+    try {
+      const response = await apiFetch(`${API_URL}/api/upload/preview/${preview._id}/confirm`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(decision),
+      });
+      const result = await response.json();
+      if (!response.ok || result.status !== 'success') {
+        toast.error('Upload not started', { description: result.message });
+        return;
+      }
+
+      const uploadJobId = result.data.jobId;
+      setJobId(uploadJobId);
+      setPreview(null);
+      if (result.data.stale.length > 0) {
+        toast.warning(`${result.data.stale.length} ${result.data.stale.length === 1 ? 'change was' : 'changes were'} not applied`, {
+          description: 'Edited after the preview, so the current values were kept',
+        });
+      }
+      if (result.data.deactivated.length > 0) {
+        toast.success(`${result.data.deactivated.length} missing ${result.data.deactivated.length === 1 ? 'student' : 'students'} deactivated`);
+      }
+
+      setUploadStatus(prev => ({
+        ...prev,
+        status: 'processing',
+        progress: 0,
+        message: `Processing ${result.data.uploadJob.progress.total} students...`,
+      }));
+
+      // Poll for job progress
+      pollJobProgress(uploadJobId);
+    } catch (error) {
+      toast.error('Upload not started', {
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+      });
+    } finally {
+      setConfirming(false);
+    }
+  };
+
+  const cancelPreview = async () => {
+    if (preview) {
+      try {
+        await apiFetch(`${API_URL}/api/upload/preview/${preview._id}`, { method: 'DELETE' });
+      } catch (error) {
+        // An abandoned preview expires on its own
+        console.error('Error cancelling preview:', error);
+      }
+    }
+
+    setPreview(null);
+    resetUpload();
+  };
 
   const pollJobProgress = useCallback(async (jobId: string) => {
     const pollInterval = setInterval(async () => {
       try {
-        const response = await fetch(`${API_URL}/api/jobs/${jobId}`);
+        const response = await apiFetch(`${API_URL}/api/jobs/${jobId}`);
         const result = await response.json();
 
         if (result.status === 'success') {
@@ -134,7 +185,7 @@ const UploadSection = ({ onUploadComplete }: UploadSectionProps) => {
 
   const fetchStudents = async () => {
     try {
-      const response = await fetch(`${API_URL}/api/students?sort=performance&order=desc`);
+      const response = await apiFetch(`${API_URL}/api/students?sort=performance&order=desc`);
       const result = await response.json();
       
       if (result.status === 'success') {
@@ -207,46 +258,16 @@ const UploadSection = ({ onUploadComplete }: UploadSectionProps) => {
                 </tr>
               </thead>
               <tbody style={{backgroundColor: '#080808'}}>
-                <tr className="border-b" style={{borderColor: '#333'}}>
-                  <td className="px-3 py-2 font-mono border-r" style={{color: '#fff', borderColor: '#333'}}>A</td>
-                  <td className="px-3 py-2" style={{color: '#fff'}}>Name</td>
-                </tr>
-                <tr className="border-b" style={{borderColor: '#333'}}>
-                  <td className="px-3 py-2 font-mono border-r" style={{color: '#fff', borderColor: '#333'}}>B</td>
-                  <td className="px-3 py-2" style={{color: '#fff'}}>Reg No</td>
-                </tr>
-                <tr className="border-b" style={{borderColor: '#333'}}>
-                  <td className="px-3 py-2 font-mono border-r" style={{color: '#fff', borderColor: '#333'}}>C</td>
-                  <td className="px-3 py-2" style={{color: '#fff'}}>Dept</td>
-                </tr>
-                <tr className="border-b" style={{borderColor: '#333'}}>
-                  <td className="px-3 py-2 font-mono border-r" style={{color: '#fff', borderColor: '#333'}}>D</td>
-                  <td className="px-3 py-2" style={{color: '#fff'}}>Year</td>
-                </tr>
-                <tr className="border-b" style={{borderColor: '#333'}}>
-                  <td className="px-3 py-2 font-mono border-r" style={{color: '#fff', borderColor: '#333'}}>E</td>
-                  <td className="px-3 py-2" style={{color: '#fff'}}>CodeChef ID</td>
-                </tr>
-                <tr className="border-b" style={{borderColor: '#333'}}>
-                  <td className="px-3 py-2 font-mono border-r" style={{color: '#fff', borderColor: '#333'}}>F</td>
-                  <td className="px-3 py-2" style={{color: '#fff'}}>LeetCode ID</td>
-                </tr>
-                <tr className="border-b" style={{borderColor: '#333'}}>
-                  <td className="px-3 py-2 font-mono border-r" style={{color: '#fff', borderColor: '#333'}}>G</td>
-                  <td className="px-3 py-2" style={{color: '#fff'}}>Codeforces ID</td>
-                </tr>
-                <tr className="border-b" style={{borderColor: '#333'}}>
-                  <td className="px-3 py-2 font-mono border-r" style={{color: '#fff', borderColor: '#333'}}>H</td>
-                  <td className="px-3 py-2" style={{color: '#fff'}}>AtCoder ID</td>
-                </tr>
-                <tr className="border-b" style={{borderColor: '#333'}}>
-                  <td className="px-3 py-2 font-mono border-r" style={{color: '#fff', borderColor: '#333'}}>I</td>
-                  <td className="px-3 py-2" style={{color: '#fff'}}>Codolio ID</td>
-                </tr>
-                <tr>
-                  <td className="px-3 py-2 font-mono border-r" style={{color: '#fff', borderColor: '#333'}}>J</td>
-                  <td className="px-3 py-2" style={{color: '#fff'}}>GitHub ID</td>
-                </tr>
+                {excelColumns.map((column, index) => (
+                  <tr
+                    key={column}
+                    className={index < excelColumns.length - 1 ? "border-b" : undefined}
+                    style={{borderColor: '#333'}}
+                  >
+                    <td className="px-3 py-2 font-mono border-r" style={{color: '#fff', borderColor: '#333'}}>{String.fromCharCode(65 + index)}</td>
+                    <td className="px-3 py-2" style={{color: '#fff'}}>{column}</td>
+                  </tr>
+                ))}
               </tbody>
             </table>
           </div>
@@ -292,6 +313,13 @@ const UploadSection = ({ onUploadComplete }: UploadSectionProps) => {
             <div className="absolute bottom-4 right-4 w-8 h-8 border-b-2 border-r-2 border-primary/30 rounded-br-lg" />
           </div>
         </div>
+      ) : uploadStatus.status === 'previewing' && preview ? (
+        <UploadPreviewPanel
+          preview={preview}
+          confirming={confirming}
+          onConfirm={confirmPreview}
+          onCancel={cancelPreview}
+        />
       ) : (
         <div className="border border-border rounded-xl p-8 text-center">
           <div className="flex justify-center mb-4">
@@ -334,7 +362,7 @@ const UploadSection = ({ onUploadComplete }: UploadSectionProps) => {
         <div className="text-sm">
           <p className="font-medium" style={{color: '#fff'}}>How it works</p>
           <p style={{color: '#fff'}}>
-            Upload your weekly Excel data. The system will automatically fetch real data from Codeforces, LeetCode, CodeChef, and other platforms, 
+            Upload your weekly Excel data and review what it changes before anything is saved. Once confirmed, the system will automatically fetch real data from Codeforces, LeetCode, CodeChef, and other platforms, 
             compare it with the previous week, and generate performance insights, rankings, and trend analysis.
           </p>
         </div>
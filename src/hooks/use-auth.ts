@@ -0,0 +1,19 @@
+import { createContext, useContext } from "react";
+import { AuthUser, LoginCredentials, Role } from "@/types/auth";
+
+export interface AuthContextValue {
+  user: AuthUser | null;
+  login: (credentials: LoginCredentials) => Promise<void>;
+  logout: () => void;
+  hasRole: (...roles: Role[]) => boolean;
+}
+
+export const AuthContext = createContext<AuthContextValue | null>(null);
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used inside an AuthProvider");
+  }
+  return context;
+}
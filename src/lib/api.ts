@@ -0,0 +1,65 @@
+import { AuthSession } from "@/types/auth";
+
+const SESSION_KEY = "skorly.session";
+
+export const getSession = (): AuthSession | null => {
+  try {
+    const session: AuthSession | null = JSON.parse(localStorage.getItem(SESSION_KEY) ?? "null");
+    if (!session || new Date(session.expiresAt).getTime() <= Date.now()) return null;
+    return session;
+  } catch {
+    return null;
+  }
+};
+
+export const saveSession = (session: AuthSession) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
+
+/**
+ * fetch with the logged-in user's token. A 401 means the token is no longer
+ * accepted, so the session is dropped and the user is sent to the login page.
+ */
+export const apiFetch = async (input: string, init: RequestInit = {}) => {
+  const session = getSession();
+  const headers = new Headers(init.headers);
+  if (session) headers.set("Authorization", `Bearer ${session.token}`);
+
+  const response = await fetch(input, { ...init, headers });
+
+  if (response.status === 401 && session) {
+    clearSession();
+    if (window.location.pathname !== "/login") {
+      window.location.assign(`/login?next=${encodeURIComponent(window.location.pathname)}`);
+    }
+  }
+
+  return response;
+};
+
+/**
+ * Download a file from the API with the user's token, saved under the
+ * name the server gives it
+ */
+export const apiDownload = async (input: string, fallbackName: string) => {
+  const response = await apiFetch(input);
+  if (!response.ok) {
+    const result = await response.json().catch(() => null);
+    throw new Error(result?.message || `Download failed (${response.status})`);
+  }
+
+  const disposition = response.headers.get("Content-Disposition") ?? "";
+  const filename = /filename="([^"]+)"/.exec(disposition)?.[1] ?? fallbackName;
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
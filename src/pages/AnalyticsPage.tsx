@@ -2,6 +2,7 @@ import { motion } from "framer-motion";
 import DashboardLayout from "@/components/layout/DashboardLayout";
 import GraphSection from "@/components/dashboard/GraphSection";
 import PlatformAnalytics from "@/components/dashboard/PlatformAnalytics";
+import TopicHeatmap from "@/components/dashboard/TopicHeatmap";
 
 const AnalyticsPage = () => {
   return (
@@ -22,6 +23,8 @@ const AnalyticsPage = () => {
 
         <GraphSection />
 
+        <TopicHeatmap />
+
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           <PlatformAnalytics />
           <motion.div
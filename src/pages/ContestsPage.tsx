@@ -0,0 +1,301 @@
+import { useCallback, useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { format } from "date-fns";
+import { Trophy, RefreshCw, Search, UserX } from "lucide-react";
+import DashboardLayout from "@/components/layout/DashboardLayout";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { toast } from "sonner";
+import { getPlatformName, PlatformId } from "@/types/platforms";
+import { ContestStandings, RecentContest } from "@/types/contest";
+import { apiFetch } from "@/lib/api";
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const CONTEST_PLATFORMS: PlatformId[] = ["codeforces", "leetcode", "codechef"];
+
+const formatChange = (change: number | null) => {
+  if (change === null) return <span className="text-muted-foreground">-</span>;
+  return (
+    <span className={change >= 0 ? "text-secondary" : "text-destructive"}>
+      {change > 0 ? '+' : ''}{change}
+    </span>
+  );
+};
+
+const ContestsPage = () => {
+  const [platformFilter, setPlatformFilter] = useState<string>("all");
+  const [contests, setContests] = useState<RecentContest[]>([]);
+  const [loadingContests, setLoadingContests] = useState(false);
+  const [selected, setSelected] = useState<{ platform: PlatformId; contestId: string } | null>(null);
+  const [standings, setStandings] = useState<ContestStandings | null>(null);
+  const [loadingStandings, setLoadingStandings] = useState(false);
+  const [lookupPlatform, setLookupPlatform] = useState<PlatformId>("codeforces");
+  const [lookupId, setLookupId] = useState("");
+
+  useEffect(() => {
+    const fetchContests = async () => {
+      try {
+        setLoadingContests(true);
+        const params = new URLSearchParams({ limit: '30' });
+        if (platformFilter !== "all") params.set('platform', platformFilter);
+
+        const response = await apiFetch(`${API_BASE_URL}/api/analytics/contests?${params}`);
+        const result = await response.json();
+        if (result.status === 'success') {
+          setContests(result.data.contests);
+        }
+      } catch (error) {
+        console.error('Failed to fetch contests:', error);
+      } finally {
+        setLoadingContests(false);
+      }
+    };
+
+    fetchContests();
+  }, [platformFilter]);
+
+  const fetchStandings = useCallback(async (platform: PlatformId, contestId: string, refresh = false) => {
+    try {
+      setLoadingStandings(true);
+      setSelected({ platform, contestId });
+      const url = `${API_BASE_URL}/api/analytics/contests/${platform}/${encodeURIComponent(contestId)}${refresh ? '?refresh=true' : ''}`;
+      const response = await apiFetch(url);
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        setStandings(result.data);
+      } else {
+        setStandings(null);
+        toast.error('Could not load standings', { description: result.message });
+      }
+    } catch (error) {
+      setStandings(null);
+      toast.error('Could not load standings', {
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+      });
+    } finally {
+      setLoadingStandings(false);
+    }
+  }, []);
+
+  const handleLookup = (event: React.FormEvent) => {
+    event.preventDefault();
+    if (lookupId.trim()) {
+      fetchStandings(lookupPlatform, lookupId.trim());
+    }
+  };
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          <h1 className="text-3xl font-display font-bold text-foreground">
+            Contests
+          </h1>
+          <p className="text-muted-foreground mt-1">
+            How our students did in each contest, ranked among themselves
+          </p>
+        </motion.div>
+
+        <div className="grid gap-6 lg:grid-cols-3">
+          {/* Recent contests */}
+          <Card className="lg:col-span-1">
+            <CardHeader>
+              <CardTitle>Recent Contests</CardTitle>
+              <CardDescription>Contests at least one student took part in</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <Select value={platformFilter} onValueChange={setPlatformFilter}>
+                <SelectTrigger>
+                  <SelectValue placeholder="All platforms" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All platforms</SelectItem>
+                  {CONTEST_PLATFORMS.map((platform) => (
+                    <SelectItem key={platform} value={platform}>
+                      {getPlatformName(platform)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+
+              <form onSubmit={handleLookup} className="flex gap-2">
+                <Select value={lookupPlatform} onValueChange={(value) => setLookupPlatform(value as PlatformId)}>
+                  <SelectTrigger className="w-36">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {CONTEST_PLATFORMS.map((platform) => (
+                      <SelectItem key={platform} value={platform}>
+                        {getPlatformName(platform)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Input
+                  value={lookupId}
+                  onChange={(event) => setLookupId(event.target.value)}
+                  placeholder="Contest ID"
+                />
+                <Button type="submit" size="icon" variant="outline">
+                  <Search className="h-4 w-4" />
+                </Button>
+              </form>
+
+              <div className="space-y-2">
+                {loadingContests ? (
+                  <div className="text-center py-8 text-sm text-muted-foreground">Loading contests...</div>
+                ) : contests.length === 0 ? (
+                  <div className="text-center py-8 text-sm text-muted-foreground">
+                    No contests recorded yet. Results appear after the next scrape.
+                  </div>
+                ) : (
+                  contests.map((contest) => {
+                    const isSelected = selected?.platform === contest.platform && selected.contestId === contest.contestId;
+                    return (
+                      <button
+                        key={`${contest.platform}-${contest.contestId}`}
+                        onClick={() => fetchStandings(contest.platform, contest.contestId)}
+                        className={`w-full text-left rounded-lg px-3 py-2 transition-colors ${
+                          isSelected ? 'bg-primary/10' : 'bg-muted/30 hover:bg-muted/50'
+                        }`}
+                      >
+                        <p className="text-sm font-medium text-foreground">{contest.contestName ?? contest.contestId}</p>
+                        <p className="text-xs text-muted-foreground">
+                          {getPlatformName(contest.platform)} • {format(new Date(contest.contestDate), "d MMM yyyy")} • {contest.participants} students
+                        </p>
+                      </button>
+                    );
+                  })
+                )}
+              </div>
+            </CardContent>
+          </Card>
+
+          {/* Standings */}
+          <Card className="lg:col-span-2">
+            <CardHeader className="flex flex-row items-start justify-between gap-4">
+              <div>
+                <CardTitle className="flex items-center gap-2">
+                  <Trophy className="h-5 w-5 text-primary" />
+                  {standings?.contest.contestName ?? selected?.contestId ?? 'Standings'}
+                </CardTitle>
+                <CardDescription>
+                  {standings
+                    ? `${getPlatformName(standings.platform)}${standings.contest.contestDate ? ` • ${format(new Date(standings.contest.contestDate), "d MMM yyyy")}` : ''}`
+                    : 'Pick a contest to see our internal standings'}
+                </CardDescription>
+              </div>
+              {selected && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={loadingStandings}
+                  onClick={() => fetchStandings(selected.platform, selected.contestId, true)}
+                >
+                  <RefreshCw className={`mr-2 h-4 w-4 ${loadingStandings ? 'animate-spin' : ''}`} />
+                  Refresh
+                </Button>
+              )}
+            </CardHeader>
+            <CardContent className="space-y-6">
+              {loadingStandings ? (
+                <div className="text-center py-8 text-sm text-muted-foreground">Loading standings...</div>
+              ) : !standings ? (
+                <div className="text-center py-8 text-sm text-muted-foreground">No contest selected.</div>
+              ) : (
+                <>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    <div className="rounded-xl bg-muted/30 p-3">
+                      <p className="text-xs text-muted-foreground">Participated</p>
+                      <p className="text-lg font-semibold text-foreground">
+                        {standings.summary.participants} / {standings.summary.trackedStudents}
+                      </p>
+                    </div>
+                    <div className="rounded-xl bg-muted/30 p-3">
+                      <p className="text-xs text-muted-foreground">Solved at least one</p>
+                      <p className="text-lg font-semibold text-foreground">{standings.summary.solvedAny}</p>
+                    </div>
+                    <div className="rounded-xl bg-muted/30 p-3">
+                      <p className="text-xs text-muted-foreground">Avg rating change</p>
+                      <p className="text-lg font-semibold">{formatChange(standings.summary.averageRatingChange)}</p>
+                    </div>
+                    <div className="rounded-xl bg-muted/30 p-3">
+                      <p className="text-xs text-muted-foreground">Best rank</p>
+                      <p className="text-lg font-semibold text-foreground">
+                        {standings.summary.bestRank ? `#${standings.summary.bestRank}` : '-'}
+                      </p>
+                    </div>
+                  </div>
+
+                  {standings.standings.length === 0 ? (
+                    <div className="text-center py-8 text-sm text-muted-foreground">
+                      None of our students took part in this contest.
+                    </div>
+                  ) : (
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>#</TableHead>
+                          <TableHead>Student</TableHead>
+                          <TableHead>Handle</TableHead>
+                          <TableHead className="text-right">Rank</TableHead>
+                          <TableHead className="text-right">Solved</TableHead>
+                          <TableHead className="text-right">Rating</TableHead>
+                          <TableHead className="text-right">Change</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {standings.standings.map((entry) => (
+                          <TableRow key={entry.regNo}>
+                            <TableCell className="font-semibold">{entry.position}</TableCell>
+                            <TableCell>
+                              <p className="font-medium text-foreground">{entry.name}</p>
+                              <p className="text-xs text-muted-foreground">{entry.regNo} • {entry.department}</p>
+                            </TableCell>
+                            <TableCell className="text-muted-foreground">{entry.handle}</TableCell>
+                            <TableCell className="text-right">{entry.rank ? `#${entry.rank}` : '-'}</TableCell>
+                            <TableCell className="text-right">{entry.problemsSolved ?? '-'}</TableCell>
+                            <TableCell className="text-right">{entry.newRating ?? '-'}</TableCell>
+                            <TableCell className="text-right">{formatChange(entry.ratingChange)}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  )}
+
+                  {standings.noSolves.length > 0 && (
+                    <div className="space-y-2">
+                      <h4 className="text-sm font-semibold text-foreground flex items-center gap-2">
+                        <UserX className="h-4 w-4 text-destructive" />
+                        Took part but solved nothing
+                      </h4>
+                      <div className="flex flex-wrap gap-2">
+                        {standings.noSolves.map((entry) => (
+                          <Badge key={entry.regNo} variant="outline">
+                            {entry.name} ({entry.regNo})
+                          </Badge>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    </DashboardLayout>
+  );
+};
+
+export default ContestsPage;
@@ -0,0 +1,197 @@
+import { useCallback, useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { formatDistanceToNow } from "date-fns";
+import { Check, X } from "lucide-react";
+import DashboardLayout from "@/components/layout/DashboardLayout";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { toast } from "sonner";
+import { useAuth } from "@/hooks/use-auth";
+import { apiFetch } from "@/lib/api";
+import { getPlatformName } from "@/types/platforms";
+import { CorrectionCounts, CorrectionStatus, HandleCorrection } from "@/types/portal";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const STATUS_VARIANTS: Record<CorrectionStatus, "default" | "secondary" | "destructive" | "outline"> = {
+  pending: "outline",
+  approved: "default",
+  rejected: "destructive",
+};
+
+const CorrectionsPage = () => {
+  const { hasRole } = useAuth();
+  const canReview = hasRole("admin", "coordinator");
+  const [status, setStatus] = useState<CorrectionStatus | "all">("pending");
+  const [corrections, setCorrections] = useState<HandleCorrection[]>([]);
+  const [counts, setCounts] = useState<CorrectionCounts | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [notes, setNotes] = useState<Record<string, string>>({});
+  const [reviewing, setReviewing] = useState<string | null>(null);
+
+  const fetchCorrections = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiFetch(`${API_URL}/api/corrections?status=${status}`);
+      const result = await response.json();
+      if (result.status === 'success') {
+        setCorrections(result.data.corrections);
+        setCounts(result.data.counts);
+      }
+    } catch (error) {
+      console.error('Failed to fetch handle corrections:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchCorrections();
+  }, [fetchCorrections]);
+
+  const review = async (correction: HandleCorrection, approve: boolean) => {
+    setReviewing(correction._id);
+    try {
+      const response = await apiFetch(`${API_URL}/api/corrections/${correction._id}/${approve ? 'approve' : 'reject'}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ note: notes[correction._id] || null }),
+      });
+      const result = await response.json();
+      if (result.status !== 'success') {
+        toast.error('Review failed', { description: result.message });
+        return;
+      }
+
+      toast.success(result.message);
+      fetchCorrections();
+    } catch (error) {
+      toast.error('Review failed', {
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+      });
+    } finally {
+      setReviewing(null);
+    }
+  };
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          <h1 className="text-3xl font-display font-bold text-foreground">
+            Handle Requests
+          </h1>
+          <p className="text-muted-foreground mt-1">
+            Platform handle changes students asked for from the portal; approved handles are used from the next scrape
+          </p>
+        </motion.div>
+
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0">
+            <div>
+              <CardTitle>Requests</CardTitle>
+              <CardDescription>
+                {counts ? `${counts.pending} waiting for review` : 'Loading...'}
+              </CardDescription>
+            </div>
+            <Tabs value={status} onValueChange={(value) => setStatus(value as CorrectionStatus | "all")}>
+              <TabsList>
+                <TabsTrigger value="pending">Pending{counts ? ` (${counts.pending})` : ''}</TabsTrigger>
+                <TabsTrigger value="approved">Approved{counts ? ` (${counts.approved})` : ''}</TabsTrigger>
+                <TabsTrigger value="rejected">Rejected{counts ? ` (${counts.rejected})` : ''}</TabsTrigger>
+                <TabsTrigger value="all">All</TabsTrigger>
+              </TabsList>
+            </Tabs>
+          </CardHeader>
+          <CardContent>
+            {loading ? (
+              <div className="text-center py-8 text-muted-foreground">Loading requests...</div>
+            ) : corrections.length === 0 ? (
+              <div className="text-center py-8 text-muted-foreground">No requests here</div>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Student</TableHead>
+                    <TableHead>Platform</TableHead>
+                    <TableHead>Change</TableHead>
+                    <TableHead>Note</TableHead>
+                    <TableHead>Requested</TableHead>
+                    <TableHead className="text-right">Status</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {corrections.map((correction) => (
+                    <TableRow key={correction._id}>
+                      <TableCell>
+                        <p className="font-medium">{correction.regNo}</p>
+                        <p className="text-xs text-muted-foreground">{correction.department}</p>
+                      </TableCell>
+                      <TableCell>{getPlatformName(correction.platform)}</TableCell>
+                      <TableCell>
+                        <span className="text-muted-foreground">{correction.currentHandle ?? 'none'}</span>
+                        {' → '}
+                        <span className="font-medium">{correction.requestedHandle}</span>
+                      </TableCell>
+                      <TableCell className="max-w-xs text-sm text-muted-foreground">{correction.note ?? '-'}</TableCell>
+                      <TableCell className="text-sm text-muted-foreground">
+                        {formatDistanceToNow(new Date(correction.createdAt), { addSuffix: true })}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {correction.status === 'pending' && canReview ? (
+                          <div className="flex items-center justify-end gap-2">
+                            <Input
+                              className="h-8 w-40"
+                              placeholder="Note (optional)"
+                              value={notes[correction._id] ?? ''}
+                              onChange={(e) => setNotes((prev) => ({ ...prev, [correction._id]: e.target.value }))}
+                            />
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              disabled={reviewing === correction._id}
+                              onClick={() => review(correction, true)}
+                            >
+                              <Check className="mr-1 h-4 w-4" />
+                              Approve
+                            </Button>
+                            <Button
+                              size="sm"
+                              variant="ghost"
+                              disabled={reviewing === correction._id}
+                              onClick={() => review(correction, false)}
+                            >
+                              <X className="mr-1 h-4 w-4" />
+                              Reject
+                            </Button>
+                          </div>
+                        ) : (
+                          <div>
+                            <Badge variant={STATUS_VARIANTS[correction.status]}>{correction.status}</Badge>
+                            {correction.reviewNote && (
+                              <p className="mt-1 text-xs text-muted-foreground">{correction.reviewNote}</p>
+                            )}
+                          </div>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </DashboardLayout>
+  );
+};
+
+export default CorrectionsPage;
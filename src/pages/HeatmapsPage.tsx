@@ -1,128 +1,159 @@
-import { useState } from "react";
+import { useEffect, useMemo, useState } from "react";
 import { motion } from "framer-motion";
 import DashboardLayout from "@/components/layout/DashboardLayout";
-import { mockStudents, heatmapData } from "@/data/mockData";
+import ActivityCalendar from "@/components/dashboard/ActivityCalendar";
+import PlatformHeatmap from "@/components/dashboard/PlatformHeatmap";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
-import { Tooltip, TooltipContent, TooltipTrigger } from "@/components/ui/tooltip";
-import { Calendar, Users, Grid3X3, Trophy, Target } from "lucide-react";
-import { cn } from "@/lib/utils";
+import { Calendar, Users, Building2, Grid3X3 } from "lucide-react";
+import { getPlatformName } from "@/types/platforms";
+import { CohortActivity, StudentActivity } from "@/types/activity";
+import { apiFetch } from "@/lib/api";
 
-const platforms = ["CodeChef", "LeetCode", "Codeforces", "AtCoder", "Codolio", "GitHub"];
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
-// Mock date options for contests (week-wise)
-const contestDateOptions = [
-  { value: "week1", label: "Week 1 (Jan 1-7)" },
-  { value: "week2", label: "Week 2 (Jan 8-14)" },
-  { value: "week3", label: "Week 3 (Jan 15-21)" },
-  { value: "week4", label: "Week 4 (Jan 22-28)" },
-  { value: "week5", label: "Week 5 (Jan 29-Feb 4)" },
-  { value: "week6", label: "Week 6 (Feb 5-11)" },
-  { value: "week7", label: "Week 7 (Feb 12-18)" },
-  { value: "week8", label: "Week 8 (Feb 19-25)" },
-];
+const COHORT = "cohort";
+const ALL_DEPARTMENTS = "all";
 
-// Mock date options for daily questions (day-wise)
-const dailyDateOptions = [
-  { value: "day1", label: "Monday, Jan 22" },
-  { value: "day2", label: "Tuesday, Jan 23" },
-  { value: "day3", label: "Wednesday, Jan 24" },
-  { value: "day4", label: "Thursday, Jan 25" },
-  { value: "day5", label: "Friday, Jan 26" },
-  { value: "day6", label: "Saturday, Jan 27" },
-  { value: "day7", label: "Sunday, Jan 28" },
-  { value: "day8", label: "Monday, Jan 29" },
-  { value: "day9", label: "Tuesday, Jan 30" },
-  { value: "day10", label: "Wednesday, Jan 31" },
-  { value: "day11", label: "Thursday, Feb 1" },
-  { value: "day12", label: "Friday, Feb 2" },
-  { value: "day13", label: "Saturday, Feb 3" },
-  { value: "day14", label: "Sunday, Feb 4" },
+const rangeOptions = [
+  { value: "3", label: "Last 3 months" },
+  { value: "6", label: "Last 6 months" },
+  { value: "12", label: "Last 12 months" },
 ];
 
+interface StudentOption {
+  regNo: string;
+  name: string;
+  department?: string;
+}
+
+const toDay = (date: Date) => date.toISOString().slice(0, 10);
+
+// From the day after the same date N months ago up to today, so 12 months stays within a year
+const getRange = (months: number) => {
+  const to = new Date();
+  const from = new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth() - months, to.getUTCDate() + 1));
+  return { from: toDay(from), to: toDay(to) };
+};
+
+const plural = (count: number, word: string) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+const formatDate = (day: string) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, { month: "short", day: "numeric", timeZone: "UTC" });
+
 const HeatmapsPage = () => {
-  const [selectedStudents, setSelectedStudents] = useState<string>("all");
-  const [selectedMode, setSelectedMode] = useState<string>("contests"); // New mode selector
-  const [selectedDateRange, setSelectedDateRange] = useState<string>("week4");
+  const [students, setStudents] = useState<StudentOption[]>([]);
+  const [selectedStudent, setSelectedStudent] = useState<string>(COHORT);
+  const [selectedDepartment, setSelectedDepartment] = useState<string>(ALL_DEPARTMENTS);
+  const [selectedRange, setSelectedRange] = useState<string>("12");
+  const [studentActivity, setStudentActivity] = useState<StudentActivity | null>(null);
+  const [cohortActivity, setCohortActivity] = useState<CohortActivity | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
 
-  // Get current date options based on mode
-  const getCurrentDateOptions = () => {
-    return selectedMode === "contests" ? contestDateOptions : dailyDateOptions;
-  };
+  useEffect(() => {
+    const fetchStudents = async () => {
+      try {
+        const response = await apiFetch(`${API_URL}/api/students?limit=500`);
+        const result = await response.json();
+        if (result.status === 'success') {
+          setStudents(result.data.students);
+        }
+      } catch (err) {
+        console.error('Error fetching students:', err);
+      }
+    };
 
-  // Reset date when mode changes
-  const handleModeChange = (newMode: string) => {
-    setSelectedMode(newMode);
-    if (newMode === "contests") {
-      setSelectedDateRange("week4");
-    } else {
-      setSelectedDateRange("day7");
-    }
-  };
+    fetchStudents();
+  }, []);
 
-  const getHeatColor = (value: number) => {
-    if (value >= 80) return "bg-success"; // High performance - Green #a5d024
-    if (value >= 60) return "bg-warning"; // Medium performance - Pink #f51c77
-    return "bg-destructive"; // Low performance - Red #d62437
-  };
+  const departments = useMemo(
+    () => [...new Set(students.map((student) => student.department).filter(Boolean) as string[])].sort(),
+    [students]
+  );
 
-  const getHeatOpacity = (value: number) => {
-    const normalized = (value - 30) / 70; // Normalize between 30-100
-    return Math.max(0.4, Math.min(1, normalized));
-  };
+  const range = useMemo(() => getRange(Number(selectedRange)), [selectedRange]);
+  const isCohort = selectedStudent === COHORT;
 
-  const getFilteredStudents = () => {
-    if (selectedStudents === "all") {
-      return mockStudents; // Return ALL students, no limit
-    }
-    if (selectedStudents === "high") {
-      return mockStudents.filter(s => s.performanceLevel === 'high');
+  useEffect(() => {
+    const fetchActivity = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const params = new URLSearchParams(range);
+        if (isCohort && selectedDepartment !== ALL_DEPARTMENTS) {
+          params.set("department", selectedDepartment);
+        }
+        const url = isCohort
+          ? `${API_URL}/api/analytics/activity?${params}`
+          : `${API_URL}/api/students/${encodeURIComponent(selectedStudent)}/activity?${params}`;
+
+        const response = await apiFetch(url);
+        const result = await response.json();
+
+        if (result.status === 'success') {
+          if (isCohort) {
+            setCohortActivity(result.data);
+          } else {
+            setStudentActivity(result.data);
+          }
+        } else {
+          setError(result.message || 'Failed to load activity');
+        }
+      } catch (err) {
+        console.error('Error fetching activity:', err);
+        setError('Failed to load activity');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchActivity();
+  }, [isCohort, selectedStudent, selectedDepartment, range]);
+
+  const activity = isCohort ? cohortActivity : studentActivity;
+
+  const values = useMemo(() => {
+    if (isCohort) {
+      return Object.fromEntries((cohortActivity?.days ?? []).map((day) => [day.date, day.activeStudents]));
     }
-    if (selectedStudents === "medium") {
-      return mockStudents.filter(s => s.performanceLevel === 'medium');
+    return Object.fromEntries((studentActivity?.days ?? []).map((day) => [day.date, day.count]));
+  }, [isCohort, cohortActivity, studentActivity]);
+
+  const summaryStats = useMemo(() => {
+    if (isCohort && cohortActivity) {
+      const { summary } = cohortActivity;
+      return [
+        { label: "Students", value: cohortActivity.students },
+        { label: "Active Students / Day", value: summary.averageActiveStudents },
+        { label: "Submissions", value: summary.submissions },
+        {
+          label: "Busiest Day",
+          value: summary.busiestDay
+            ? `${formatDate(summary.busiestDay.date)} (${summary.busiestDay.activeStudents})`
+            : "—",
+        },
+      ];
     }
-    if (selectedStudents === "low") {
-      return mockStudents.filter(s => s.performanceLevel === 'low');
+    if (!isCohort && studentActivity) {
+      const { summary } = studentActivity;
+      return [
+        { label: "Active Days", value: summary.activeDays },
+        { label: "Submissions", value: summary.submissions },
+        {
+          label: "Busiest Day",
+          value: summary.busiestDay ? `${formatDate(summary.busiestDay.date)} (${summary.busiestDay.count})` : "—",
+        },
+        { label: "Platforms", value: Object.keys(summary.platforms).length },
+      ];
     }
-    return mockStudents;
-  };
+    return [];
+  }, [isCohort, cohortActivity, studentActivity]);
 
-  const generateHeatmapData = () => {
-    const filteredStudents = getFilteredStudents();
-    // Remove the slice limit - show ALL students
-    return filteredStudents.map(student => {
-      const data: any = { student: student.name.split(' ')[0] };
-      platforms.forEach(platform => {
-        // Generate different scores based on date range and mode
-        const baseScore = student.platformScores.find(p => p.platformName === platform)?.score || 
-                         Math.floor(Math.random() * 50) + 40;
-        
-        // Simulate date-based variation based on mode
-        let dateMultiplier = 1;
-        
-        if (selectedMode === "contests") {
-          // Week-wise variation for contests
-          if (selectedDateRange.includes('week1')) dateMultiplier = 0.75;
-          if (selectedDateRange.includes('week2')) dateMultiplier = 0.85;
-          if (selectedDateRange.includes('week3')) dateMultiplier = 0.90;
-          if (selectedDateRange.includes('week4')) dateMultiplier = 0.95;
-          if (selectedDateRange.includes('week5')) dateMultiplier = 1.0;
-          if (selectedDateRange.includes('week6')) dateMultiplier = 1.05;
-          if (selectedDateRange.includes('week7')) dateMultiplier = 1.10;
-          if (selectedDateRange.includes('week8')) dateMultiplier = 1.15;
-        } else {
-          // Day-wise variation for daily questions
-          const dayNumber = parseInt(selectedDateRange.replace('day', ''));
-          dateMultiplier = 0.8 + (dayNumber * 0.02); // Gradual improvement over days
-        }
-        
-        data[platform] = Math.min(100, Math.floor(baseScore * dateMultiplier));
-      });
-      return data;
-    });
-  };
+  const describeDay = (value: number) =>
+    isCohort ? `${plural(value, "student")} active` : plural(value, "submission");
 
-  const heatmapDisplayData = generateHeatmapData();
+  const selectedName = students.find((student) => student.regNo === selectedStudent)?.name;
 
   return (
     <DashboardLayout>
@@ -133,10 +164,10 @@ const HeatmapsPage = () => {
           transition={{ duration: 0.5 }}
         >
           <h1 className="text-3xl font-display font-bold text-foreground">
-            Performance Heatmaps
+            Heatmaps
           </h1>
           <p className="text-muted-foreground mt-1">
-            Visualize student performance across platforms and time periods
+            Daily submissions on Codeforces and LeetCode, contributions on GitHub and each student's score per platform
           </p>
         </motion.div>
 
@@ -147,40 +178,46 @@ const HeatmapsPage = () => {
             <CardHeader className="pb-3">
               <CardTitle className="flex items-center gap-2 text-base">
                 <Users className="h-4 w-4 text-primary" />
-                Student Filter
+                Student
               </CardTitle>
             </CardHeader>
             <CardContent>
-              <Select value={selectedStudents} onValueChange={setSelectedStudents}>
+              <Select value={selectedStudent} onValueChange={setSelectedStudent}>
                 <SelectTrigger className="w-full">
-                  <SelectValue placeholder="Select students to display" />
+                  <SelectValue placeholder="Select a student" />
                 </SelectTrigger>
                 <SelectContent>
-                  <SelectItem value="all">All Students</SelectItem>
-                  <SelectItem value="high">High Performers</SelectItem>
-                  <SelectItem value="medium">Medium Performers</SelectItem>
-                  <SelectItem value="low">Low Performers</SelectItem>
+                  <SelectItem value={COHORT}>Whole cohort</SelectItem>
+                  {students.map((student) => (
+                    <SelectItem key={student.regNo} value={student.regNo}>
+                      {student.name} ({student.regNo})
+                    </SelectItem>
+                  ))}
                 </SelectContent>
               </Select>
             </CardContent>
           </Card>
 
-          {/* Mode Filter */}
+          {/* Department Filter (cohort calendar and platform scores) */}
           <Card className="bg-card/80 backdrop-blur-sm border-border/50">
             <CardHeader className="pb-3">
               <CardTitle className="flex items-center gap-2 text-base">
-                <Grid3X3 className="h-4 w-4 text-primary" />
-                Performance Type
+                <Building2 className="h-4 w-4 text-primary" />
+                Department
               </CardTitle>
             </CardHeader>
             <CardContent>
-              <Select value={selectedMode} onValueChange={handleModeChange}>
+              <Select value={selectedDepartment} onValueChange={setSelectedDepartment}>
                 <SelectTrigger className="w-full">
-                  <SelectValue placeholder="Select performance type" />
+                  <SelectValue placeholder="Select a department" />
                 </SelectTrigger>
                 <SelectContent>
-                  <SelectItem value="contests">Contests (Week-wise)</SelectItem>
-                  <SelectItem value="daily">Daily Questions (Day-wise)</SelectItem>
+                  <SelectItem value={ALL_DEPARTMENTS}>All departments</SelectItem>
+                  {departments.map((department) => (
+                    <SelectItem key={department} value={department}>
+                      {department}
+                    </SelectItem>
+                  ))}
                 </SelectContent>
               </Select>
             </CardContent>
@@ -191,16 +228,16 @@ const HeatmapsPage = () => {
             <CardHeader className="pb-3">
               <CardTitle className="flex items-center gap-2 text-base">
                 <Calendar className="h-4 w-4 text-primary" />
-                {selectedMode === "contests" ? "Week Range" : "Day Range"}
+                Date Range
               </CardTitle>
             </CardHeader>
             <CardContent>
-              <Select value={selectedDateRange} onValueChange={setSelectedDateRange}>
+              <Select value={selectedRange} onValueChange={setSelectedRange}>
                 <SelectTrigger className="w-full">
-                  <SelectValue placeholder={`Select ${selectedMode === "contests" ? "week" : "day"}`} />
+                  <SelectValue placeholder="Select a range" />
                 </SelectTrigger>
                 <SelectContent>
-                  {getCurrentDateOptions().map((option) => (
+                  {rangeOptions.map((option) => (
                     <SelectItem key={option.value} value={option.value}>
                       {option.label}
                     </SelectItem>
@@ -211,47 +248,40 @@ const HeatmapsPage = () => {
           </Card>
         </div>
 
-        {/* Overall Summary Stats */}
+        {/* Summary Stats */}
         <Card className="bg-card/80 backdrop-blur-sm border-border/50">
           <CardHeader>
-            <CardTitle>Overall Performance Summary</CardTitle>
+            <CardTitle>{isCohort ? "Cohort Activity Summary" : `${selectedName ?? selectedStudent} Activity Summary`}</CardTitle>
           </CardHeader>
           <CardContent>
             <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-              <div className="text-center">
-                <p className="text-2xl font-bold text-foreground">{getFilteredStudents().length}</p>
-                <p className="text-sm text-muted-foreground">Total Students</p>
-              </div>
-              <div className="text-center">
-                <p className="text-2xl font-bold text-secondary">
-                  {Math.round(heatmapDisplayData.reduce((sum, student) => {
-                    const avgScore = platforms.reduce((pSum, platform) => pSum + (student[platform] as number), 0) / platforms.length;
-                    return sum + avgScore;
-                  }, 0) / heatmapDisplayData.length)}%
-                </p>
-                <p className="text-sm text-muted-foreground">Average Score</p>
-              </div>
-              <div className="text-center">
-                <p className="text-2xl font-bold text-secondary">
-                  {Math.max(...heatmapDisplayData.map(student => 
-                    Math.round(platforms.reduce((sum, platform) => sum + (student[platform] as number), 0) / platforms.length)
-                  ))}%
-                </p>
-                <p className="text-sm text-muted-foreground">Top Score</p>
-              </div>
-              <div className="text-center">
-                <p className="text-2xl font-bold text-destructive">
-                  {Math.min(...heatmapDisplayData.map(student => 
-                    Math.round(platforms.reduce((sum, platform) => sum + (student[platform] as number), 0) / platforms.length)
-                  ))}%
-                </p>
-                <p className="text-sm text-muted-foreground">Lowest Score</p>
-              </div>
+              {summaryStats.map((stat) => (
+                <div key={stat.label} className="text-center">
+                  <p className="text-2xl font-bold text-foreground">{stat.value}</p>
+                  <p className="text-sm text-muted-foreground">{stat.label}</p>
+                </div>
+              ))}
             </div>
+            {!isCohort && studentActivity && Object.keys(studentActivity.summary.platforms).length > 0 && (
+              <p className="mt-4 text-center text-sm text-muted-foreground">
+                {Object.entries(studentActivity.summary.platforms)
+                  .map(([platform, count]) => `${getPlatformName(platform)}: ${count}`)
+                  .join(" • ")}
+              </p>
+            )}
+            {!isCohort && studentActivity && (
+              <p className="mt-2 text-center text-sm text-muted-foreground">
+                Solving streak: {plural(studentActivity.streaks.currentStreak, "day")} (longest{" "}
+                {plural(studentActivity.streaks.longestStreak, "day")}) • Last accepted:{" "}
+                {studentActivity.streaks.lastAcceptedDate
+                  ? `${formatDate(studentActivity.streaks.lastAcceptedDate)} (${plural(studentActivity.streaks.daysSinceLastAccepted ?? 0, "day")} ago)`
+                  : "none on record"}
+              </p>
+            )}
           </CardContent>
         </Card>
 
-        {/* Heatmap */}
+        {/* Calendar */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
@@ -261,119 +291,31 @@ const HeatmapsPage = () => {
           <div className="mb-6">
             <h3 className="text-lg font-display font-semibold text-foreground flex items-center gap-2">
               <Grid3X3 className="h-5 w-5 text-primary" />
-              Performance Heatmap
+              {isCohort ? "Students Active per Day" : "Submissions per Day"}
             </h3>
             <p className="text-sm text-muted-foreground">
-              {selectedStudents === "all" ? "All students" : `${selectedStudents} performers`} • 
-              {selectedMode === "contests" ? " Contest Performance • " : " Daily Questions • "}
-              {getCurrentDateOptions().find(d => d.value === selectedDateRange)?.label}
+              {isCohort
+                ? `${selectedDepartment === ALL_DEPARTMENTS ? "All departments" : selectedDepartment} • `
+                : ""}
+              {rangeOptions.find((option) => option.value === selectedRange)?.label} • days in UTC
             </p>
           </div>
 
-          {/* Legend */}
-          <div className="flex items-center justify-between mb-6">
-            <div className="text-sm text-muted-foreground">
-              Showing {heatmapDisplayData.length} students across {platforms.length} platforms
-            </div>
-            <div className="flex items-center gap-4">
-              <div className="flex items-center gap-2">
-                <span className="text-xs text-muted-foreground">Performance:</span>
-                <div className="flex items-center gap-3">
-                  <div className="flex items-center gap-1">
-                    <div className="w-4 h-4 rounded bg-destructive" />
-                    <span className="text-xs text-muted-foreground">Low (&lt;60%)</span>
-                  </div>
-                  <div className="flex items-center gap-1">
-                    <div className="w-4 h-4 rounded bg-warning" />
-                    <span className="text-xs text-muted-foreground">Medium (60-79%)</span>
-                  </div>
-                  <div className="flex items-center gap-1">
-                    <div className="w-4 h-4 rounded bg-success" />
-                    <span className="text-xs text-muted-foreground">High (≥80%)</span>
-                  </div>
-                </div>
-              </div>
-            </div>
-          </div>
-
-          {/* Heatmap Grid */}
-          <div className="overflow-auto custom-scrollbar max-h-[600px] border border-border/30 rounded-lg">
-            <table className="w-full min-w-[700px]">
-              <thead className="sticky top-0 bg-card/95 backdrop-blur-sm border-b border-border/50 z-20">
-                <tr>
-                  <th className="p-3 text-left text-sm font-medium text-muted-foreground sticky left-0 bg-card/95 backdrop-blur-sm border-r border-border/30 min-w-[120px] z-30">
-                    Student
-                  </th>
-                  {platforms.map((platform) => (
-                    <th key={platform} className="p-3 text-center text-sm font-medium text-muted-foreground min-w-[80px]">
-                      {platform}
-                    </th>
-                  ))}
-                </tr>
-              </thead>
-              <tbody>
-                {heatmapDisplayData.map((row, rowIndex) => (
-                  <motion.tr
-                    key={`${row.student}-${selectedStudents}-${selectedDateRange}`}
-                    initial={{ opacity: 0, x: -20 }}
-                    animate={{ opacity: 1, x: 0 }}
-                    transition={{ duration: 0.3, delay: Math.min(rowIndex * 0.01, 1) }} // Limit delay for large lists
-                    className="border-b border-border/20 hover:bg-muted/20"
-                  >
-                    <td className="p-3 text-sm font-medium text-foreground sticky left-0 bg-card/95 backdrop-blur-sm border-r border-border/20 z-10">
-                      <div className="flex items-center gap-2">
-                        <span className="text-xs text-muted-foreground w-8">#{rowIndex + 1}</span>
-                        <span className="truncate">{row.student}</span>
-                      </div>
-                    </td>
-                    {platforms.map((platform, colIndex) => {
-                      const value = row[platform] as number;
-                      return (
-                        <td key={platform} className="p-2">
-                          <Tooltip delayDuration={0}>
-                            <TooltipTrigger asChild>
-                              <motion.div
-                                initial={{ scale: 0 }}
-                                animate={{ scale: 1 }}
-                                transition={{ duration: 0.2, delay: Math.min(rowIndex * 0.01 + colIndex * 0.005, 1) }}
-                                whileHover={{ scale: 1.1 }}
-                                className={cn(
-                                  "heatmap-cell h-10 w-16 flex items-center justify-center text-xs font-semibold text-white cursor-pointer rounded-md mx-auto",
-                                  getHeatColor(value)
-                                )}
-                                style={{ opacity: getHeatOpacity(value) }}
-                              >
-                                {value}%
-                              </motion.div>
-                            </TooltipTrigger>
-                            <TooltipContent>
-                              <p className="font-medium">{row.student}</p>
-                              <p className="text-sm">{platform}: {value}%</p>
-                              <p className="text-xs text-muted-foreground">
-                                Rank: #{rowIndex + 1}
-                              </p>
-                              <p className="text-xs text-muted-foreground">
-                                {selectedMode === "contests" ? "Contest: " : "Daily: "}
-                                {getCurrentDateOptions().find(d => d.value === selectedDateRange)?.label}
-                              </p>
-                            </TooltipContent>
-                          </Tooltip>
-                        </td>
-                      );
-                    })}
-                  </motion.tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-
-          {/* Scroll Indicator */}
-          {heatmapDisplayData.length > 10 && (
-            <div className="mt-2 text-center text-xs text-muted-foreground">
-              Scroll to view all {heatmapDisplayData.length} students
-            </div>
+          {loading && <div className="text-center py-8 text-sm text-muted-foreground">Loading activity...</div>}
+          {error && <div className="text-center py-8 text-sm text-destructive">{error}</div>}
+          {!loading && !error && activity && (
+            <>
+              <ActivityCalendar from={activity.from} to={activity.to} values={values} describe={describeDay} />
+              {activity.days.length === 0 && (
+                <p className="mt-4 text-center text-sm text-muted-foreground">
+                  No activity recorded in this range yet. It is synced with each upload and weekly scrape.
+                </p>
+              )}
+            </>
           )}
         </motion.div>
+
+        <PlatformHeatmap department={selectedDepartment} />
       </div>
     </DashboardLayout>
   );
@@ -1,30 +1,61 @@
 import { useState, useMemo, useEffect } from "react";
 import DashboardLayout from "@/components/layout/DashboardLayout";
 import UploadSection from "@/components/upload/UploadSection";
+import StudentDetailPanel, { StudentSummary } from "@/components/students/StudentDetailPanel";
+import ScoreBreakdownPopover from "@/components/students/ScoreBreakdownPopover";
+import AtRiskPanel from "@/components/dashboard/AtRiskPanel";
+import ExportMenu from "@/components/dashboard/ExportMenu";
 import { Student } from "@/types/student";
+import { PLATFORMS, PlatformId } from "@/types/platforms";
 import { Badge } from "@/components/ui/badge";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Button } from "@/components/ui/button";
-import { TrendingUp, TrendingDown, Minus, Trophy, Target, GitBranch, Code, Award, Github, RefreshCw } from "lucide-react";
+import { TrendingUp, TrendingDown, Minus, Trophy, Target, GitBranch, Code, Award, Github, RefreshCw, BookOpen, Star, Zap } from "lucide-react";
+import { apiFetch } from "@/lib/api";
+import { useAuth } from "@/hooks/use-auth";
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
+const platformIcons: Partial<Record<PlatformId, typeof Code>> = {
+  leetcode: Target,
+  codeforces: Award,
+  codolio: GitBranch,
+  github: Github,
+  geeksforgeeks: BookOpen,
+  hackerrank: Star,
+  hackerearth: Zap,
+};
+
+// Platforms without a contest rating store another metric in the rating field
+const ratingLabels: Partial<Record<PlatformId, string>> = {
+  geeksforgeeks: "Coding score",
+  hackerrank: "Badge stars",
+};
+
+const rankLabels: Partial<Record<PlatformId, string>> = {
+  geeksforgeeks: "Institute rank",
+};
+
 const platforms = [
   { key: "all", name: "Overall Performance", icon: Trophy },
-  { key: "codechef", name: "CodeChef", icon: Code },
-  { key: "leetcode", name: "LeetCode", icon: Target },
-  { key: "codeforces", name: "Codeforces", icon: Award },
-  { key: "atcoder", name: "AtCoder", icon: Code },
-  { key: "github", name: "GitHub", icon: Github },
+  ...PLATFORMS.map((platform) => ({
+    key: platform.id,
+    name: platform.name,
+    icon: platformIcons[platform.id] ?? Code,
+  })),
 ];
 
 const Index = () => {
+  const { hasRole } = useAuth();
+  // Viewers can read everything but not upload or re-scrape
+  const canUpdateData = hasRole("admin", "coordinator");
   const [students, setStudents] = useState<any[]>([]);
   const [isDataUploaded, setIsDataUploaded] = useState(false);
   const [selectedPlatform, setSelectedPlatform] = useState<string>("all");
   const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
   const [lastRefreshTime, setLastRefreshTime] = useState<Date | null>(null);
+  const [selectedStudent, setSelectedStudent] = useState<StudentSummary | null>(null);
 
   // Fetch students from backend
   const fetchStudents = async (platform: string = 'all') => {
@@ -35,7 +66,7 @@ const Index = () => {
         ? `${API_URL}/api/students?limit=500`
         : `${API_URL}/api/students?limit=500&platform=${platform}`;
       
-      const response = await fetch(url);
+      const response = await apiFetch(url);
       const result = await response.json();
       
       if (result.status === 'success' && result.data.students.length > 0) {
@@ -69,7 +100,7 @@ const Index = () => {
     setRefreshing(true);
     try {
       // Call backend API to refresh all student data
-      const response = await fetch(`${API_URL}/api/refresh-data`, {
+      const response = await apiFetch(`${API_URL}/api/refresh-data`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -153,6 +184,16 @@ const Index = () => {
 
   const sortedStudents = useMemo(() => getSortedStudents(), [students, selectedPlatform]);
 
+  // Filter options for the At Risk panel, from the students on record
+  const departments = useMemo(
+    () => [...new Set(students.map((student) => student.dept ?? student.department).filter(Boolean))].sort() as string[],
+    [students]
+  );
+  const years = useMemo(
+    () => [...new Set(students.map((student) => student.year).filter(Boolean).map(String))].sort(),
+    [students]
+  );
+
   return (
     <DashboardLayout>
       <div className="space-y-6">
@@ -164,7 +205,7 @@ const Index = () => {
         </div>
 
         {/* Upload Section */}
-        <UploadSection onUploadComplete={handleUploadComplete} />
+        {canUpdateData && <UploadSection onUploadComplete={handleUploadComplete} />}
 
         {/* Platform Selection and Student Data */}
         {isDataUploaded && students.length > 0 && (
@@ -182,16 +223,19 @@ const Index = () => {
                       Last updated: {lastRefreshTime.toLocaleTimeString()}
                     </span>
                   )}
-                  <Button
-                    onClick={handleRefreshData}
-                    disabled={refreshing}
-                    variant="outline"
-                    size="sm"
-                    className="flex items-center gap-2"
-                  >
-                    <RefreshCw className={`h-4 w-4 ${refreshing ? 'animate-spin' : ''}`} />
-                    {refreshing ? 'Refreshing...' : 'Refresh Data'}
-                  </Button>
+                  {canUpdateData && (
+                    <Button
+                      onClick={handleRefreshData}
+                      disabled={refreshing}
+                      variant="outline"
+                      size="sm"
+                      className="flex items-center gap-2"
+                    >
+                      <RefreshCw className={`h-4 w-4 ${refreshing ? 'animate-spin' : ''}`} />
+                      {refreshing ? 'Refreshing...' : 'Refresh Data'}
+                    </Button>
+                  )}
+                  <ExportMenu path="/api/students/export" filters={{ platform: selectedPlatform }} />
                 </div>
               </div>
               <Select value={selectedPlatform} onValueChange={setSelectedPlatform}>
@@ -247,7 +291,8 @@ const Index = () => {
                     return (
                       <div
                         key={student.regNo}
-                        className="flex items-center justify-between p-4 rounded-xl bg-muted/30 hover:bg-muted/50 transition-colors"
+                        onClick={() => setSelectedStudent(student)}
+                        className="flex items-center justify-between p-4 rounded-xl bg-muted/30 hover:bg-muted/50 transition-colors cursor-pointer"
                       >
                         <div className="flex items-center gap-4">
                           {/* Rank */}
@@ -277,6 +322,7 @@ const Index = () => {
                         <div className="flex items-center gap-4">
                           {/* Performance Level */}
                           {selectedPlatform === "all" && getPerformanceBadge(score)}
+                          {selectedPlatform === "all" && <ScoreBreakdownPopover regNo={student.regNo} />}
                           
                           {/* Stats */}
                           {!hasData ? (
@@ -308,7 +354,7 @@ const Index = () => {
                                   </p>
                                   {rating > 0 && (
                                     <p className="text-muted-foreground flex items-center gap-1 justify-end">
-                                      Rating: {rating}
+                                      {ratingLabels[selectedPlatform as PlatformId] ?? "Rating"}: {rating}
                                       {changes?.rating !== undefined && changes.rating !== 0 && (
                                         <span className={changes.rating > 0 ? "text-secondary" : "text-destructive"}>
                                           ({changes.rating > 0 ? '+' : ''}{changes.rating})
@@ -323,7 +369,7 @@ const Index = () => {
                                   )}
                                   {rank && (
                                     <p className="text-muted-foreground">
-                                      Rank: #{rank}
+                                      {rankLabels[selectedPlatform as PlatformId] ?? "Rank"}: #{rank}
                                     </p>
                                   )}
                                 </>
@@ -362,9 +408,24 @@ const Index = () => {
                 )}
               </div>
             </div>
+
+            {/* Students gone quiet */}
+            <AtRiskPanel
+              departments={departments}
+              years={years}
+              onSelectStudent={(student) =>
+                setSelectedStudent({ regNo: student.regNo, name: student.name, dept: student.department, year: student.year })
+              }
+            />
           </div>
         )}
       </div>
+
+      <StudentDetailPanel
+        student={selectedStudent}
+        onClose={() => setSelectedStudent(null)}
+        onUpdated={() => fetchStudents(selectedPlatform)}
+      />
     </DashboardLayout>
   );
 };
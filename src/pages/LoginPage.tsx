@@ -0,0 +1,120 @@
+import { FormEvent, useState } from "react";
+import { Navigate, useNavigate, useSearchParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import { GraduationCap, LogIn } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { toast } from "sonner";
+import { useAuth } from "@/hooks/use-auth";
+
+const LoginPage = () => {
+  const { user, login } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [mode, setMode] = useState<"staff" | "student">("staff");
+  const [email, setEmail] = useState("");
+  const [regNo, setRegNo] = useState("");
+  const [password, setPassword] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  // Only same-site paths, so the link can't send anyone elsewhere
+  const next = searchParams.get("next");
+  const redirectTo = next && next.startsWith("/") && !next.startsWith("//") ? next : "/";
+
+  if (user) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleSubmit = async (event: FormEvent) => {
+    event.preventDefault();
+    setLoading(true);
+    try {
+      await login(mode === "student" ? { regNo, password } : { email, password });
+      navigate(redirectTo, { replace: true });
+    } catch (error) {
+      toast.error('Login failed', {
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-muted/30 p-6">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-sm"
+      >
+        <Card>
+          <CardHeader className="items-center text-center">
+            <div className="flex h-12 w-12 items-center justify-center rounded-xl bg-gradient-primary shadow-glow-primary mb-2">
+              <GraduationCap className="h-6 w-6 text-primary-foreground" />
+            </div>
+            <CardTitle className="font-display">Sign in to Skorly</CardTitle>
+            <CardDescription>
+              {mode === "student"
+                ? "Use your register number and the password your coordinator gave you"
+                : "Use the account your department admin set up for you"}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <Tabs value={mode} onValueChange={(value) => setMode(value as "staff" | "student")} className="mb-4">
+              <TabsList className="grid w-full grid-cols-2">
+                <TabsTrigger value="staff">Faculty</TabsTrigger>
+                <TabsTrigger value="student">Student</TabsTrigger>
+              </TabsList>
+            </Tabs>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {mode === "student" ? (
+                <div className="space-y-2">
+                  <Label htmlFor="login-regno">Register number</Label>
+                  <Input
+                    id="login-regno"
+                    autoComplete="username"
+                    value={regNo}
+                    onChange={(e) => setRegNo(e.target.value.toUpperCase())}
+                    required
+                  />
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  <Label htmlFor="login-email">Email</Label>
+                  <Input
+                    id="login-email"
+                    type="email"
+                    autoComplete="username"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    required
+                  />
+                </div>
+              )}
+              <div className="space-y-2">
+                <Label htmlFor="login-password">Password</Label>
+                <Input
+                  id="login-password"
+                  type="password"
+                  autoComplete="current-password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                />
+              </div>
+              <Button type="submit" className="w-full" disabled={loading || !(mode === "student" ? regNo : email) || !password}>
+                <LogIn className="mr-2 h-4 w-4" />
+                {loading ? "Signing in..." : "Sign in"}
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+      </motion.div>
+    </div>
+  );
+};
+
+export default LoginPage;
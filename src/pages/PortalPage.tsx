@@ -0,0 +1,316 @@
+import { FormEvent, useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { motion } from "framer-motion";
+import { format, formatDistanceToNow } from "date-fns";
+import { GraduationCap, LogOut, Medal, Send, Target, TrendingUp } from "lucide-react";
+import { CartesianGrid, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Textarea } from "@/components/ui/textarea";
+import { toast } from "sonner";
+import { useAuth } from "@/hooks/use-auth";
+import { apiFetch } from "@/lib/api";
+import { getPlatformName, PLATFORMS, PlatformId } from "@/types/platforms";
+import { CorrectionStatus, PortalDashboard } from "@/types/portal";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const STATUS_VARIANTS: Record<CorrectionStatus, "default" | "secondary" | "destructive" | "outline"> = {
+  pending: "outline",
+  approved: "default",
+  rejected: "destructive",
+};
+
+/**
+ * The student portal: a student's own scores, platform stats and rank in
+ * their department, and a way to ask for a platform handle to be corrected
+ */
+const PortalPage = () => {
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+  const [dashboard, setDashboard] = useState<PortalDashboard | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [platform, setPlatform] = useState<PlatformId | "">("");
+  const [handle, setHandle] = useState("");
+  const [note, setNote] = useState("");
+  const [sending, setSending] = useState(false);
+
+  const fetchDashboard = useCallback(async () => {
+    try {
+      const response = await apiFetch(`${API_URL}/api/portal/me`);
+      const result = await response.json();
+      if (result.status === 'success') setDashboard(result.data);
+    } catch (error) {
+      console.error('Failed to fetch the portal dashboard:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDashboard();
+  }, [fetchDashboard]);
+
+  const requestCorrection = async (event: FormEvent) => {
+    event.preventDefault();
+    setSending(true);
+    try {
+      const response = await apiFetch(`${API_URL}/api/portal/corrections`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ platform, handle, note: note || null }),
+      });
+      const result = await response.json();
+      if (result.status !== 'success') {
+        toast.error('Request not sent', { description: result.message });
+        return;
+      }
+
+      toast.success(result.message);
+      setPlatform("");
+      setHandle("");
+      setNote("");
+      fetchDashboard();
+    } catch (error) {
+      toast.error('Request not sent', {
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+      });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const latest = dashboard?.history[dashboard.history.length - 1];
+
+  return (
+    <div className="min-h-screen bg-muted/30">
+      <header className="sticky top-0 z-50 flex h-16 items-center justify-between border-b border-border/50 bg-background/80 backdrop-blur-xl px-6">
+        <div className="flex items-center gap-3">
+          <div className="flex h-10 w-10 items-center justify-center rounded-xl bg-gradient-primary shadow-glow-primary">
+            <GraduationCap className="h-5 w-5 text-primary-foreground" />
+          </div>
+          <div>
+            <h1 className="text-lg font-display font-bold text-foreground">My Progress</h1>
+            <p className="text-xs text-muted-foreground">{user?.name} • {user?.regNo}</p>
+          </div>
+        </div>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => {
+            logout();
+            navigate("/login");
+          }}
+        >
+          <LogOut className="mr-2 h-4 w-4" />
+          Log out
+        </Button>
+      </header>
+
+      <main className="mx-auto max-w-5xl space-y-6 p-6">
+        {loading ? (
+          <div className="text-center py-12 text-muted-foreground">Loading your dashboard...</div>
+        ) : !dashboard ? (
+          <div className="text-center py-12 text-muted-foreground">Your student record could not be found. Please contact your coordinator.</div>
+        ) : (
+          <>
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="grid gap-4 sm:grid-cols-3"
+            >
+              <Card>
+                <CardContent className="flex items-center gap-4 p-6">
+                  <Target className="h-8 w-8 text-primary" />
+                  <div>
+                    <p className="text-sm text-muted-foreground">Overall score</p>
+                    <p className="text-2xl font-bold">{latest ? latest.overallScore.toFixed(1) : '-'}</p>
+                  </div>
+                </CardContent>
+              </Card>
+              <Card>
+                <CardContent className="flex items-center gap-4 p-6">
+                  <Medal className="h-8 w-8 text-warning" />
+                  <div>
+                    <p className="text-sm text-muted-foreground">Rank in {dashboard.student.department}</p>
+                    <p className="text-2xl font-bold">
+                      {dashboard.departmentRank ? `#${dashboard.departmentRank.rank}` : '-'}
+                      {dashboard.departmentRank && (
+                        <span className="text-sm font-normal text-muted-foreground"> of {dashboard.departmentRank.of}</span>
+                      )}
+                    </p>
+                  </div>
+                </CardContent>
+              </Card>
+              <Card>
+                <CardContent className="flex items-center gap-4 p-6">
+                  <TrendingUp className="h-8 w-8 text-success" />
+                  <div>
+                    <p className="text-sm text-muted-foreground">Performance level</p>
+                    <p className="text-2xl font-bold">{latest?.performanceLevel ?? '-'}</p>
+                  </div>
+                </CardContent>
+              </Card>
+            </motion.div>
+
+            <Card>
+              <CardHeader>
+                <CardTitle className="font-display">Score history</CardTitle>
+                <CardDescription>Your overall score after each upload and weekly scrape</CardDescription>
+              </CardHeader>
+              <CardContent>
+                {dashboard.history.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">No scores recorded yet.</p>
+                ) : (
+                  <div className="h-64">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={dashboard.history.map((run) => ({ ...run, time: new Date(run.uploadDate).getTime() }))}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="hsl(var(--border))" />
+                        <XAxis
+                          dataKey="time"
+                          type="number"
+                          scale="time"
+                          domain={["dataMin", "dataMax"]}
+                          tickFormatter={(time) => format(new Date(time), "d MMM")}
+                          stroke="hsl(var(--muted-foreground))"
+                          fontSize={12}
+                          tickLine={false}
+                        />
+                        <YAxis stroke="hsl(var(--muted-foreground))" fontSize={12} tickLine={false} domain={[0, 100]} />
+                        <Tooltip
+                          contentStyle={{
+                            backgroundColor: "hsl(var(--card))",
+                            border: "1px solid hsl(var(--border))",
+                            borderRadius: "12px",
+                          }}
+                          labelFormatter={(time) => format(new Date(time), "d MMM yyyy")}
+                          formatter={(value: number) => [value.toFixed(1), "Score"]}
+                        />
+                        <Line type="monotone" dataKey="overallScore" stroke="hsl(var(--primary))" strokeWidth={2} dot />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle className="font-display">Platforms</CardTitle>
+                <CardDescription>The handles on record for you and what was last fetched from each</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Platform</TableHead>
+                      <TableHead>Handle</TableHead>
+                      <TableHead className="text-right">Solved</TableHead>
+                      <TableHead className="text-right">Rating</TableHead>
+                      <TableHead className="text-right">Contests</TableHead>
+                      <TableHead>Last fetched</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {PLATFORMS.filter(({ id }) => dashboard.student.platformIds[id]).map(({ id }) => {
+                      const stat = dashboard.platformStats.find((s) => s.platform === id);
+                      return (
+                        <TableRow key={id}>
+                          <TableCell className="font-medium">{getPlatformName(id)}</TableCell>
+                          <TableCell>{dashboard.student.platformIds[id]}</TableCell>
+                          <TableCell className="text-right">{stat?.currentStats.problemsSolved ?? '-'}</TableCell>
+                          <TableCell className="text-right">{stat?.currentStats.rating || '-'}</TableCell>
+                          <TableCell className="text-right">{stat?.currentStats.contestsParticipated ?? '-'}</TableCell>
+                          <TableCell className="text-muted-foreground">
+                            {stat?.fetchStatus === 'failed'
+                              ? 'Fetch failed – check the handle'
+                              : stat?.lastFetched
+                                ? formatDistanceToNow(new Date(stat.lastFetched), { addSuffix: true })
+                                : 'Not yet'}
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle className="font-display">Correct a handle</CardTitle>
+                <CardDescription>
+                  Wrong or missing handle? Ask for a change here. Your coordinator approves it, and the next weekly scrape uses it.
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-6">
+                <form onSubmit={requestCorrection} className="grid gap-3 sm:grid-cols-2">
+                  <div className="space-y-2">
+                    <Label htmlFor="correction-platform">Platform</Label>
+                    <Select value={platform} onValueChange={(value) => setPlatform(value as PlatformId)}>
+                      <SelectTrigger id="correction-platform">
+                        <SelectValue placeholder="Choose a platform" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {PLATFORMS.map(({ id, name }) => (
+                          <SelectItem key={id} value={id}>{name}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="correction-handle">Correct handle</Label>
+                    <Input
+                      id="correction-handle"
+                      placeholder={platform ? dashboard.student.platformIds[platform] ?? '' : ''}
+                      value={handle}
+                      onChange={(e) => setHandle(e.target.value)}
+                    />
+                  </div>
+                  <div className="space-y-2 sm:col-span-2">
+                    <Label htmlFor="correction-note">Note for your coordinator (optional)</Label>
+                    <Textarea id="correction-note" rows={2} value={note} onChange={(e) => setNote(e.target.value)} />
+                  </div>
+                  <div className="flex justify-end sm:col-span-2">
+                    <Button type="submit" size="sm" disabled={sending || !platform || !handle.trim()}>
+                      <Send className="mr-2 h-4 w-4" />
+                      Send request
+                    </Button>
+                  </div>
+                </form>
+
+                {dashboard.corrections.length > 0 && (
+                  <div className="space-y-2 border-t border-border/50 pt-4">
+                    <p className="font-medium text-foreground">Your requests</p>
+                    {dashboard.corrections.map((correction) => (
+                      <div key={correction._id} className="flex items-start justify-between gap-3 text-sm">
+                        <div className="min-w-0">
+                          <p>
+                            <span className="font-medium">{getPlatformName(correction.platform)}</span>
+                            {`: ${correction.currentHandle ?? 'none'} → ${correction.requestedHandle}`}
+                          </p>
+                          <p className="text-xs text-muted-foreground">
+                            {formatDistanceToNow(new Date(correction.createdAt), { addSuffix: true })}
+                            {correction.reviewNote && ` • ${correction.reviewNote}`}
+                          </p>
+                        </div>
+                        <Badge variant={STATUS_VARIANTS[correction.status]}>{correction.status}</Badge>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default PortalPage;
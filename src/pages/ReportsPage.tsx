@@ -1,16 +1,80 @@
+import { useCallback, useEffect, useState } from "react";
 import { motion } from "framer-motion";
+import { format } from "date-fns";
 import DashboardLayout from "@/components/layout/DashboardLayout";
-import { FileText, Download, Calendar, TrendingUp } from "lucide-react";
+import GenerateReportDialog from "@/components/reports/GenerateReportDialog";
+import { FileText, Download, Calendar, TrendingUp, Trash2 } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { toast } from "sonner";
+import { useAuth } from "@/hooks/use-auth";
+import { apiDownload, apiFetch } from "@/lib/api";
+import { REPORT_TYPES, Report, ReportSummary, ReportType } from "@/types/reports";
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const formatSize = (bytes: number) =>
+  bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 
 const ReportsPage = () => {
-  const reports = [
-    { id: 1, name: "Weekly Performance Report", date: "Jan 22, 2024", type: "PDF", size: "2.4 MB" },
-    { id: 2, name: "Student Comparison Analysis", date: "Jan 22, 2024", type: "PDF", size: "1.8 MB" },
-    { id: 3, name: "Platform Analytics Summary", date: "Jan 22, 2024", type: "Excel", size: "3.2 MB" },
-    { id: 4, name: "Growth Trend Report", date: "Jan 15, 2024", type: "PDF", size: "2.1 MB" },
-    { id: 5, name: "Low Performers Action Plan", date: "Jan 15, 2024", type: "PDF", size: "1.5 MB" },
-  ];
+  const { hasRole } = useAuth();
+  const canGenerate = hasRole("admin", "coordinator");
+  const [type, setType] = useState<ReportType | "all">("all");
+  const [reports, setReports] = useState<Report[]>([]);
+  const [summary, setSummary] = useState<ReportSummary | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [generateOpen, setGenerateOpen] = useState(false);
+
+  const fetchReports = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiFetch(`${API_URL}/api/reports?type=${type}`);
+      const result = await response.json();
+      if (result.status === 'success') {
+        setReports(result.data.reports);
+        setSummary(result.data.summary);
+      }
+    } catch (error) {
+      console.error('Failed to fetch reports:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [type]);
+
+  useEffect(() => {
+    fetchReports();
+  }, [fetchReports]);
+
+  const download = async (report: Report) => {
+    try {
+      await apiDownload(`${API_URL}/api/reports/${report._id}/download`, report.filename);
+    } catch (error) {
+      toast.error('Download failed', {
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+      });
+    }
+  };
+
+  const remove = async (report: Report) => {
+    if (!window.confirm(`Delete "${report.title}"?`)) return;
+
+    try {
+      const response = await apiFetch(`${API_URL}/api/reports/${report._id}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (result.status !== 'success') {
+        toast.error('Report not deleted', { description: result.message });
+        return;
+      }
+
+      toast.success(result.message);
+      fetchReports();
+    } catch (error) {
+      toast.error('Report not deleted', {
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+      });
+    }
+  };
 
   return (
     <DashboardLayout>
@@ -26,21 +90,23 @@ const ReportsPage = () => {
               Reports
             </h1>
             <p className="text-muted-foreground mt-1">
-              Download and manage performance reports
+              Download and manage performance reports; a weekly report is generated after every scheduled scrape
             </p>
           </div>
-          <Button className="bg-gradient-primary text-primary-foreground">
-            <FileText className="mr-2 h-4 w-4" />
-            Generate Report
-          </Button>
+          {canGenerate && (
+            <Button className="bg-gradient-primary text-primary-foreground" onClick={() => setGenerateOpen(true)}>
+              <FileText className="mr-2 h-4 w-4" />
+              Generate Report
+            </Button>
+          )}
         </motion.div>
 
         {/* Quick Stats */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           {[
-            { label: "Total Reports", value: "24", icon: FileText, color: "bg-primary" },
-            { label: "This Month", value: "8", icon: Calendar, color: "bg-secondary" },
-            { label: "Trending Up", value: "67%", icon: TrendingUp, color: "bg-success" },
+            { label: "Total Reports", value: summary?.total ?? '–', icon: FileText, color: "bg-primary" },
+            { label: "This Month", value: summary?.thisMonth ?? '–', icon: Calendar, color: "bg-secondary" },
+            { label: "Weekly Reports", value: summary?.byType.weekly ?? '–', icon: TrendingUp, color: "bg-success" },
           ].map((stat, index) => (
             <motion.div
               key={stat.label}
@@ -67,41 +133,81 @@ const ReportsPage = () => {
           transition={{ delay: 0.2 }}
           className="rounded-2xl bg-card/80 backdrop-blur-sm border border-border/50 p-6"
         >
-          <h2 className="text-lg font-display font-semibold text-foreground mb-4">
-            Available Reports
-          </h2>
-          <div className="space-y-3">
-            {reports.map((report, index) => (
-              <motion.div
-                key={report.id}
-                initial={{ opacity: 0, x: -20 }}
-                animate={{ opacity: 1, x: 0 }}
-                transition={{ delay: index * 0.05 }}
-                className="flex items-center justify-between p-4 rounded-xl bg-muted/30 hover:bg-muted/50 transition-colors group"
-              >
-                <div className="flex items-center gap-4">
-                  <div className="flex h-10 w-10 items-center justify-center rounded-lg bg-primary/10">
-                    <FileText className="h-5 w-5 text-primary" />
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h2 className="text-lg font-display font-semibold text-foreground">
+              Available Reports
+            </h2>
+            <Tabs value={type} onValueChange={(value) => setType(value as ReportType | "all")}>
+              <TabsList>
+                <TabsTrigger value="all">All</TabsTrigger>
+                {REPORT_TYPES.map(({ id, name }) => (
+                  <TabsTrigger key={id} value={id}>{name}</TabsTrigger>
+                ))}
+              </TabsList>
+            </Tabs>
+          </div>
+          {loading ? (
+            <div className="text-center py-8 text-muted-foreground">Loading reports...</div>
+          ) : reports.length === 0 ? (
+            <div className="text-center py-8 text-muted-foreground">
+              No reports yet{canGenerate ? ' — generate one, or wait for the next scheduled scrape' : ''}
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {reports.map((report, index) => (
+                <motion.div
+                  key={report._id}
+                  initial={{ opacity: 0, x: -20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  transition={{ delay: index * 0.05 }}
+                  className="flex items-center justify-between p-4 rounded-xl bg-muted/30 hover:bg-muted/50 transition-colors group"
+                >
+                  <div className="flex items-center gap-4">
+                    <div className="flex h-10 w-10 items-center justify-center rounded-lg bg-primary/10">
+                      <FileText className="h-5 w-5 text-primary" />
+                    </div>
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <p className="font-medium text-foreground">{report.title}</p>
+                        {report.trigger === 'scheduled' && <Badge variant="outline">Scheduled</Badge>}
+                      </div>
+                      <p className="text-sm text-muted-foreground">
+                        {format(new Date(report.createdAt), 'MMM d, yyyy')} • PDF • {report.pages} {report.pages === 1 ? 'page' : 'pages'} • {formatSize(report.size)}
+                        {report.generatedByName && ` • by ${report.generatedByName}`}
+                      </p>
+                    </div>
                   </div>
-                  <div>
-                    <p className="font-medium text-foreground">{report.name}</p>
-                    <p className="text-sm text-muted-foreground">
-                      {report.date} • {report.type} • {report.size}
-                    </p>
+                  <div className="flex items-center gap-1">
+                    {canGenerate && (
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="opacity-0 group-hover:opacity-100 transition-opacity"
+                        onClick={() => remove(report)}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    )}
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => download(report)}
+                    >
+                      <Download className="h-4 w-4" />
+                    </Button>
                   </div>
-                </div>
-                <Button 
-                  variant="ghost" 
-                  size="icon"
-                  className="opacity-0 group-hover:opacity-100 transition-opacity"
-                >
-                  <Download className="h-4 w-4" />
-                </Button>
-              </motion.div>
-            ))}
-          </div>
+                </motion.div>
+              ))}
+            </div>
+          )}
         </motion.div>
       </div>
+
+      <GenerateReportDialog
+        open={generateOpen}
+        onClose={() => setGenerateOpen(false)}
+        onGenerated={fetchReports}
+      />
     </DashboardLayout>
   );
 };
@@ -5,6 +5,7 @@ import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { useState, useEffect } from "react";
 import { toast } from "sonner";
+import { apiFetch } from "@/lib/api";
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
@@ -14,7 +15,7 @@ const ScraperPage = () => {
 
   const checkScraperStatus = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/scraper/status`);
+      const response = await apiFetch(`${API_BASE_URL}/api/scraper/status`);
       const result = await response.json();
       setIsScrapingRunning(result.data.isRunning);
     } catch (error) {
@@ -32,7 +33,7 @@ const ScraperPage = () => {
   const handleTriggerScrape = async () => {
     try {
       setLoading(true);
-      const response = await fetch(`${API_BASE_URL}/api/scraper/trigger`, {
+      const response = await apiFetch(`${API_BASE_URL}/api/scraper/trigger`, {
         method: 'POST',
       });
 
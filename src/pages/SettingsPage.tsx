@@ -1,12 +1,230 @@
+import { useCallback, useEffect, useState } from "react";
 import { motion } from "framer-motion";
+import { format } from "date-fns";
 import DashboardLayout from "@/components/layout/DashboardLayout";
-import { Bell, Moon, Globe, Shield, Save } from "lucide-react";
+import WebhooksPanel from "@/components/settings/WebhooksPanel";
+import { Bell, Moon, Calculator, Save, RotateCcw, Send } from "lucide-react";
 import { Switch } from "@/components/ui/switch";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Progress } from "@/components/ui/progress";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { toast } from "sonner";
+import { PLATFORMS } from "@/types/platforms";
+import { DifficultyCounts, RatingScaleMode, ScoreComponents, ScoringProfile, ScoringSettings } from "@/types/scoring";
+import { DigestCoordinator, NotificationSettings } from "@/types/alerts";
+import { apiFetch } from "@/lib/api";
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const COMPONENTS: { key: keyof ScoreComponents; label: string; capHint: string }[] = [
+  { key: "rating", label: "Rating", capHint: "Rating for full marks" },
+  { key: "problemsSolved", label: "Problems solved", capHint: "Problems for full marks" },
+  { key: "contests", label: "Contests", capHint: "Contests for full marks" },
+];
+
+const DIFFICULTIES: { key: keyof DifficultyCounts; label: string }[] = [
+  { key: "easy", label: "Easy" },
+  { key: "medium", label: "Medium" },
+  { key: "hard", label: "Hard" },
+];
+
+const RATING_SCALES: { mode: RatingScaleMode; label: string; hint: string }[] = [
+  { mode: "cap", label: "Against the cap", hint: "The rating scores out of 100 against the rating cap above" },
+  { mode: "cohort", label: "Cohort percentile", hint: "Share of our students with a lower rating on the same platform" },
+  { mode: "reference", label: "Reference percentile", hint: "Percentile on each platform's overall rating distribution" },
+];
+
+const splitEmails = (value: string) =>
+  value.split(/[\s,;]+/).map((email) => email.trim()).filter(Boolean);
+
+// One "Department: email, email" line per coordinator
+const formatCoordinators = (coordinators: DigestCoordinator[]) =>
+  coordinators.map(({ department, emails }) => `${department}: ${emails.join(', ')}`).join('\n');
+
+const parseCoordinators = (value: string): DigestCoordinator[] =>
+  value
+    .split('\n')
+    .map((line) => line.split(':'))
+    .filter(([department, emails]) => department.trim() && emails !== undefined)
+    .map(([department, ...emails]) => ({ department: department.trim(), emails: splitEmails(emails.join(':')) }));
+
+const isRescoreActive = (settings: ScoringSettings | null) =>
+  !!settings && (settings.isRescoring || settings.rescore?.status === 'processing' || settings.rescore?.status === 'pending');
 
 const SettingsPage = () => {
+  const [scoring, setScoring] = useState<ScoringSettings | null>(null);
+  const [draft, setDraft] = useState<ScoringProfile | null>(null);
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [notifications, setNotifications] = useState<NotificationSettings | null>(null);
+  const [digestRecipients, setDigestRecipients] = useState("");
+  const [digestCoordinators, setDigestCoordinators] = useState("");
+  const [sendingDigest, setSendingDigest] = useState(false);
+
+  const fetchScoring = useCallback(async (resetDraft = false) => {
+    try {
+      const response = await apiFetch(`${API_BASE_URL}/api/settings/scoring`);
+      const result = await response.json();
+      if (result.status === 'success') {
+        setScoring(result.data);
+        if (resetDraft) setDraft(result.data.profile);
+      }
+    } catch (error) {
+      console.error('Failed to fetch scoring profile:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchScoring(true);
+  }, [fetchScoring]);
+
+  useEffect(() => {
+    const fetchNotifications = async () => {
+      try {
+        const response = await apiFetch(`${API_BASE_URL}/api/settings/notifications`);
+        const result = await response.json();
+        if (result.status === 'success') {
+          setNotifications(result.data.settings);
+          setDigestRecipients(result.data.settings.emailDigest.recipients.join(', '));
+          setDigestCoordinators(formatCoordinators(result.data.settings.emailDigest.coordinators));
+        }
+      } catch (error) {
+        console.error('Failed to fetch notification settings:', error);
+      }
+    };
+
+    fetchNotifications();
+  }, []);
+
+  // Notification switches save straight away
+  const updateNotifications = async (changes: Partial<NotificationSettings>): Promise<boolean> => {
+    const previous = notifications;
+    setNotifications((current) => (current ? { ...current, ...changes } : current));
+
+    try {
+      const response = await apiFetch(`${API_BASE_URL}/api/settings/notifications`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        setNotifications(result.data.settings);
+        return true;
+      }
+      setNotifications(previous);
+      toast.error('Could not save notification settings', { description: result.message });
+    } catch (error) {
+      setNotifications(previous);
+      toast.error('Could not save notification settings', {
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+      });
+    }
+    return false;
+  };
+
+  const saveDigestRecipients = async () => {
+    if (!notifications) return;
+    const saved = await updateNotifications({
+      emailDigest: {
+        ...notifications.emailDigest,
+        recipients: splitEmails(digestRecipients),
+        coordinators: parseCoordinators(digestCoordinators),
+      },
+    });
+    if (saved) toast.success('Digest recipients saved');
+  };
+
+  const sendDigestNow = async () => {
+    setSendingDigest(true);
+    try {
+      const response = await apiFetch(`${API_BASE_URL}/api/settings/notifications/digest`, { method: 'POST' });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        if (result.data.errors.length > 0) {
+          toast.warning(result.message, { description: result.data.errors[0].error });
+        } else {
+          toast.success(result.message);
+        }
+      } else {
+        toast.error('Could not send the digest', { description: result.data?.errors?.[0]?.error ?? result.message });
+      }
+    } catch (error) {
+      toast.error('Could not send the digest', {
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+      });
+    } finally {
+      setSendingDigest(false);
+    }
+  };
+
+  // Follow the re-scoring job while it runs
+  useEffect(() => {
+    if (!isRescoreActive(scoring)) return;
+    const timer = setTimeout(() => fetchScoring(), 2000);
+    return () => clearTimeout(timer);
+  }, [scoring, fetchScoring]);
+
+  const componentTotal = draft
+    ? COMPONENTS.reduce((sum, { key }) => sum + draft.componentWeights[key], 0)
+    : 1;
+  const draftError = !draft
+    ? null
+    : Math.abs(componentTotal - 1) > 0.001
+      ? `Component weights add up to ${componentTotal.toFixed(2)}, not 1`
+      : draft.thresholds.high <= draft.thresholds.medium
+        ? 'The high threshold must be above the medium threshold'
+        : null;
+
+  const updateDraft = (update: (profile: ScoringProfile) => ScoringProfile) => {
+    setDraft((current) => (current ? update(current) : current));
+  };
+
+  const handleSave = async () => {
+    if (!draft || draftError) return;
+
+    try {
+      setSaving(true);
+      const response = await apiFetch(`${API_BASE_URL}/api/settings/scoring`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          platformWeights: draft.platformWeights,
+          caps: draft.caps,
+          componentWeights: draft.componentWeights,
+          difficultyWeights: draft.difficultyWeights,
+          ratingScale: draft.ratingScale,
+          thresholds: draft.thresholds,
+          note: note.trim() || null,
+        }),
+      });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        toast.success(`Scoring profile version ${result.data.profile.version} saved`, {
+          description: 'Stored scores are being recalculated in the background',
+        });
+        setNote("");
+        fetchScoring(true);
+      } else {
+        toast.error('Could not save the scoring profile', { description: result.message });
+      }
+    } catch (error) {
+      toast.error('Could not save the scoring profile', {
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const rescore = scoring?.rescore;
+
   return (
     <DashboardLayout>
       <div className="space-y-6 max-w-3xl">
@@ -41,8 +259,19 @@ const SettingsPage = () => {
           </div>
           <div className="space-y-4">
             {[
-              { label: "Email notifications", description: "Receive weekly summary emails" },
-              { label: "Performance alerts", description: "Get notified when students decline" },
+              {
+                label: "Email notifications",
+                description: "Email a weekly summary to faculty, and each coordinator their department, after the weekly scrape",
+                checked: notifications?.emailDigest.enabled,
+                onCheckedChange: (checked: boolean) =>
+                  notifications && updateNotifications({ emailDigest: { ...notifications.emailDigest, enabled: checked } }),
+              },
+              {
+                label: "Performance alerts",
+                description: "Flag score and rating drops, quiet students and failing fetches after each scrape and upload",
+                checked: notifications?.performanceAlerts,
+                onCheckedChange: (checked: boolean) => updateNotifications({ performanceAlerts: checked }),
+              },
               { label: "Upload confirmations", description: "Confirmation when data is processed" },
             ].map((item, index) => (
               <div key={index} className="flex items-center justify-between py-2">
@@ -50,12 +279,60 @@ const SettingsPage = () => {
                   <p className="font-medium text-foreground">{item.label}</p>
                   <p className="text-sm text-muted-foreground">{item.description}</p>
                 </div>
-                <Switch />
+                {item.onCheckedChange ? (
+                  <Switch
+                    checked={item.checked ?? false}
+                    disabled={!notifications}
+                    onCheckedChange={item.onCheckedChange}
+                  />
+                ) : (
+                  <Switch />
+                )}
               </div>
             ))}
           </div>
+
+          {notifications?.emailDigest.enabled && (
+            <div className="mt-4 space-y-4 border-t border-border/50 pt-4">
+              <div className="space-y-2">
+                <Label htmlFor="digest-recipients">Digest recipients</Label>
+                <Input
+                  id="digest-recipients"
+                  placeholder="hod@college.edu, dean@college.edu"
+                  value={digestRecipients}
+                  onChange={(e) => setDigestRecipients(e.target.value)}
+                />
+                <p className="text-xs text-muted-foreground">Get the digest for every department</p>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="digest-coordinators">Department coordinators</Label>
+                <Textarea
+                  id="digest-coordinators"
+                  placeholder={"CSE: cse.coordinator@college.edu\nECE: ece.coordinator@college.edu"}
+                  rows={3}
+                  value={digestCoordinators}
+                  onChange={(e) => setDigestCoordinators(e.target.value)}
+                />
+                <p className="text-xs text-muted-foreground">
+                  One department per line; each coordinator gets their department's digest
+                </p>
+              </div>
+              <div className="flex justify-end gap-2">
+                <Button variant="outline" size="sm" onClick={sendDigestNow} disabled={sendingDigest}>
+                  <Send className="mr-2 h-4 w-4" />
+                  {sendingDigest ? 'Sending...' : 'Send now'}
+                </Button>
+                <Button size="sm" onClick={saveDigestRecipients}>
+                  <Save className="mr-2 h-4 w-4" />
+                  Save recipients
+                </Button>
+              </div>
+            </div>
+          )}
         </motion.div>
 
+        <WebhooksPanel />
+
         {/* Appearance */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -81,32 +358,228 @@ const SettingsPage = () => {
           </div>
         </motion.div>
 
-        {/* Data Settings */}
+        {/* Scoring Formula */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
           transition={{ delay: 0.3 }}
           className="rounded-2xl bg-card/80 backdrop-blur-sm border border-border/50 p-6"
         >
-          <div className="flex items-center gap-3 mb-6">
-            <div className="flex h-10 w-10 items-center justify-center rounded-xl bg-accent/10">
-              <Globe className="h-5 w-5 text-accent" />
-            </div>
-            <div>
-              <h3 className="font-display font-semibold text-foreground">Data Preferences</h3>
-              <p className="text-sm text-muted-foreground">Configure data handling</p>
+          <div className="flex items-start justify-between gap-4 mb-6">
+            <div className="flex items-center gap-3">
+              <div className="flex h-10 w-10 items-center justify-center rounded-xl bg-accent/10">
+                <Calculator className="h-5 w-5 text-accent" />
+              </div>
+              <div>
+                <h3 className="font-display font-semibold text-foreground">Scoring Formula</h3>
+                <p className="text-sm text-muted-foreground">
+                  {scoring
+                    ? scoring.profile.version === 0
+                      ? 'Built-in formula (version 0)'
+                      : `Version ${scoring.profile.version}${scoring.updatedAt ? ` • saved ${format(new Date(scoring.updatedAt), "d MMM yyyy")}` : ''}${scoring.note ? ` • ${scoring.note}` : ''}`
+                    : 'Loading...'}
+                </p>
+              </div>
             </div>
+            {scoring && (
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setDraft({ ...scoring.defaults, version: scoring.profile.version })}
+              >
+                <RotateCcw className="mr-2 h-4 w-4" />
+                Defaults
+              </Button>
+            )}
           </div>
-          <div className="space-y-4">
-            <div className="grid gap-2">
-              <Label htmlFor="threshold-high">High performer threshold (%)</Label>
-              <Input id="threshold-high" type="number" defaultValue="80" className="max-w-[200px]" />
-            </div>
-            <div className="grid gap-2">
-              <Label htmlFor="threshold-low">Low performer threshold (%)</Label>
-              <Input id="threshold-low" type="number" defaultValue="60" className="max-w-[200px]" />
+
+          {!draft ? (
+            <div className="text-center py-8 text-sm text-muted-foreground">Loading scoring profile...</div>
+          ) : (
+            <div className="space-y-6">
+              <div>
+                <p className="font-medium text-foreground">Platform weights</p>
+                <p className="text-sm text-muted-foreground mb-3">
+                  How much each platform counts towards the overall score (0 leaves it out)
+                </p>
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                  {PLATFORMS.map((platform) => (
+                    <div key={platform.id} className="grid gap-1">
+                      <Label htmlFor={`weight-${platform.id}`}>{platform.name}</Label>
+                      <Input
+                        id={`weight-${platform.id}`}
+                        type="number"
+                        min={0}
+                        max={10}
+                        step={0.5}
+                        value={draft.platformWeights[platform.id] ?? 1}
+                        onChange={(event) => updateDraft((profile) => ({
+                          ...profile,
+                          platformWeights: { ...profile.platformWeights, [platform.id]: Number(event.target.value) },
+                        }))}
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <p className="font-medium text-foreground">Score components</p>
+                <p className="text-sm text-muted-foreground mb-3">
+                  Each platform scores rating, problems and contests out of 100 against its cap; the weights must add up to 1
+                </p>
+                <div className="grid gap-3">
+                  {COMPONENTS.map(({ key, label, capHint }) => (
+                    <div key={key} className="grid grid-cols-[1fr_auto_auto] items-end gap-3">
+                      <p className="text-sm text-foreground pb-2">{label}</p>
+                      <div className="grid gap-1">
+                        <Label htmlFor={`cap-${key}`} className="text-xs text-muted-foreground">{capHint}</Label>
+                        <Input
+                          id={`cap-${key}`}
+                          type="number"
+                          min={1}
+                          value={draft.caps[key]}
+                          className="w-36"
+                          onChange={(event) => updateDraft((profile) => ({
+                            ...profile,
+                            caps: { ...profile.caps, [key]: Number(event.target.value) },
+                          }))}
+                        />
+                      </div>
+                      <div className="grid gap-1">
+                        <Label htmlFor={`component-${key}`} className="text-xs text-muted-foreground">Weight</Label>
+                        <Input
+                          id={`component-${key}`}
+                          type="number"
+                          min={0}
+                          max={1}
+                          step={0.05}
+                          value={draft.componentWeights[key]}
+                          className="w-24"
+                          onChange={(event) => updateDraft((profile) => ({
+                            ...profile,
+                            componentWeights: { ...profile.componentWeights, [key]: Number(event.target.value) },
+                          }))}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <p className="font-medium text-foreground">Problem difficulty</p>
+                <p className="text-sm text-muted-foreground mb-3">
+                  What a solved problem is worth, in medium problems; problems without a difficulty count as medium
+                </p>
+                <div className="grid grid-cols-3 gap-3">
+                  {DIFFICULTIES.map(({ key, label }) => (
+                    <div key={key} className="grid gap-1">
+                      <Label htmlFor={`difficulty-${key}`}>{label}</Label>
+                      <Input
+                        id={`difficulty-${key}`}
+                        type="number"
+                        min={0}
+                        max={10}
+                        step={0.25}
+                        value={draft.difficultyWeights[key]}
+                        onChange={(event) => updateDraft((profile) => ({
+                          ...profile,
+                          difficultyWeights: { ...profile.difficultyWeights, [key]: Number(event.target.value) },
+                        }))}
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <p className="font-medium text-foreground">Rating scale</p>
+                <p className="text-sm text-muted-foreground mb-3">
+                  Percentiles make a CodeChef and a Codeforces rating comparable; platforms without ratings to compare keep the cap
+                </p>
+                <Select
+                  value={draft.ratingScale.mode}
+                  onValueChange={(mode) => updateDraft((profile) => ({
+                    ...profile,
+                    ratingScale: { ...profile.ratingScale, mode: mode as RatingScaleMode },
+                  }))}
+                >
+                  <SelectTrigger id="rating-scale" className="max-w-[260px]">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {RATING_SCALES.map(({ mode, label }) => (
+                      <SelectItem key={mode} value={mode}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <p className="text-xs text-muted-foreground mt-2">
+                  {RATING_SCALES.find(({ mode }) => mode === draft.ratingScale.mode)?.hint}
+                </p>
+              </div>
+
+              <div className="grid sm:grid-cols-2 gap-4">
+                <div className="grid gap-2">
+                  <Label htmlFor="threshold-high">High performer threshold (%)</Label>
+                  <Input
+                    id="threshold-high"
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={draft.thresholds.high}
+                    className="max-w-[200px]"
+                    onChange={(event) => updateDraft((profile) => ({
+                      ...profile,
+                      thresholds: { ...profile.thresholds, high: Number(event.target.value) },
+                    }))}
+                  />
+                </div>
+                <div className="grid gap-2">
+                  <Label htmlFor="threshold-medium">Medium performer threshold (%)</Label>
+                  <Input
+                    id="threshold-medium"
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={draft.thresholds.medium}
+                    className="max-w-[200px]"
+                    onChange={(event) => updateDraft((profile) => ({
+                      ...profile,
+                      thresholds: { ...profile.thresholds, medium: Number(event.target.value) },
+                    }))}
+                  />
+                </div>
+              </div>
+
+              <div className="grid gap-2">
+                <Label htmlFor="scoring-note">Change note</Label>
+                <Input
+                  id="scoring-note"
+                  value={note}
+                  maxLength={200}
+                  placeholder="e.g. Odd semester 2026: LeetCode counts double"
+                  onChange={(event) => setNote(event.target.value)}
+                />
+              </div>
+
+              {draftError && <p className="text-sm text-destructive">{draftError}</p>}
+
+              {rescore && (
+                <div className="rounded-xl bg-muted/30 p-3 space-y-2">
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-foreground">Re-scoring stored history</span>
+                    <span className="text-muted-foreground capitalize">{rescore.status}</span>
+                  </div>
+                  <Progress value={rescore.total > 0 ? (rescore.processed / rescore.total) * 100 : 0} />
+                  <p className="text-xs text-muted-foreground">
+                    {rescore.processed} of {rescore.total} records checked • {rescore.updated} updated
+                    {rescore.error && ` • ${rescore.error}`}
+                  </p>
+                </div>
+              )}
             </div>
-          </div>
+          )}
         </motion.div>
 
         <motion.div
@@ -115,9 +588,13 @@ const SettingsPage = () => {
           transition={{ delay: 0.4 }}
           className="flex justify-end"
         >
-          <Button className="bg-gradient-primary text-primary-foreground">
+          <Button
+            className="bg-gradient-primary text-primary-foreground"
+            disabled={!draft || !!draftError || saving}
+            onClick={handleSave}
+          >
             <Save className="mr-2 h-4 w-4" />
-            Save Settings
+            {saving ? 'Saving...' : 'Save Settings'}
           </Button>
         </motion.div>
       </div>
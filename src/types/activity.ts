@@ -0,0 +1,88 @@
+import { PlatformId } from "./platforms";
+
+export interface ActivityDay {
+  /** YYYY-MM-DD */
+  date: string;
+  count: number;
+  platforms: Partial<Record<PlatformId, number>>;
+}
+
+export interface StudentStreaks {
+  /** Consecutive days with a Codeforces or LeetCode submission, up to today or yesterday */
+  currentStreak: number;
+  longestStreak: number;
+  lastActiveDate: string | null;
+  lastAcceptedDate: string | null;
+  daysSinceLastActive: number | null;
+  daysSinceLastAccepted: number | null;
+}
+
+export interface StudentActivity {
+  student: {
+    regNo: string;
+    name: string;
+  };
+  from: string;
+  to: string;
+  /** Active days only, oldest first */
+  days: ActivityDay[];
+  summary: {
+    activeDays: number;
+    submissions: number;
+    platforms: Partial<Record<PlatformId, number>>;
+    busiestDay: { date: string; count: number } | null;
+  };
+  streaks: StudentStreaks;
+}
+
+export interface CohortActivityDay {
+  date: string;
+  activeStudents: number;
+  submissions: number;
+}
+
+export interface CohortActivity {
+  from: string;
+  to: string;
+  students: number;
+  days: CohortActivityDay[];
+  summary: {
+    activeDays: number;
+    submissions: number;
+    averageActiveStudents: number;
+    busiestDay: CohortActivityDay | null;
+  };
+  filters: {
+    department: string;
+    year: string;
+  };
+}
+
+export interface InactiveStudent {
+  regNo: string;
+  name: string;
+  department: string;
+  year: string;
+  lastAcceptedDate: string | null;
+  /** null when no accepted submission is on record */
+  daysSinceLastAccepted: number | null;
+  lastActiveDate: string | null;
+  currentStreak: number;
+  longestStreak: number;
+}
+
+export interface InactiveStudents {
+  days: number;
+  /** Never accepted first, then the longest silent */
+  students: InactiveStudent[];
+  summary: {
+    considered: number;
+    inactive: number;
+    /** Students without a Codeforces or LeetCode handle */
+    untracked: number;
+  };
+  filters: {
+    department: string;
+    year: string;
+  };
+}
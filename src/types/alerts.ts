@@ -0,0 +1,55 @@
+export type AlertRule = 'score_drop' | 'rating_drop' | 'inactivity' | 'fetch_failures';
+export type AlertStatus = 'open' | 'acknowledged' | 'resolved';
+export type AlertSeverity = 'info' | 'warning' | 'critical';
+
+export interface Alert {
+  _id: string;
+  key: string;
+  rule: AlertRule;
+  severity: AlertSeverity;
+  status: AlertStatus;
+  regNo: string;
+  platform: string | null;
+  title: string;
+  message: string | null;
+  data: Record<string, unknown>;
+  source: 'scrape' | 'upload';
+  sourceJobId: string | null;
+  acknowledgedAt: string | null;
+  resolvedAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type AlertCounts = Record<AlertStatus, number>;
+
+export interface AlertList {
+  alerts: Alert[];
+  counts: AlertCounts;
+}
+
+interface AlertRuleSettings {
+  enabled: boolean;
+}
+
+export interface DigestCoordinator {
+  department: string;
+  emails: string[];
+}
+
+export interface EmailDigestSettings {
+  enabled: boolean;
+  recipients: string[];
+  coordinators: DigestCoordinator[];
+}
+
+export interface NotificationSettings {
+  performanceAlerts: boolean;
+  alertRules: {
+    scoreDrop: AlertRuleSettings & { points: number };
+    ratingDrop: AlertRuleSettings & { points: number };
+    inactivity: AlertRuleSettings & { days: number };
+    fetchFailures: AlertRuleSettings & { runs: number };
+  };
+  emailDigest: EmailDigestSettings;
+}
@@ -0,0 +1,26 @@
+export type Role = 'admin' | 'coordinator' | 'viewer' | 'student';
+
+// Roles that use the faculty dashboard; students only see the portal
+export const STAFF_ROLES: Role[] = ['admin', 'coordinator', 'viewer'];
+
+export interface AuthUser {
+  _id: string;
+  // Staff log in by email, students by register number
+  email: string | null;
+  regNo: string | null;
+  name: string;
+  role: Role;
+  department: string | null;
+  isActive: boolean;
+  lastLoginAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface AuthSession {
+  token: string;
+  expiresAt: string;
+  user: AuthUser;
+}
+
+export type LoginCredentials = { email: string; password: string } | { regNo: string; password: string };
@@ -0,0 +1,81 @@
+import { PlatformId } from './platforms';
+
+export interface ContestResult {
+  platform: PlatformId;
+  platformUserId: string;
+  contestId: string;
+  contestName: string | null;
+  contestDate: string;
+  rank: number | null;
+  oldRating: number | null;
+  newRating: number | null;
+  ratingChange: number | null;
+  problemsSolved: number | null;
+}
+
+export interface RatingPoint {
+  date: string;
+  rating: number;
+  ratingChange: number | null;
+  contestId: string;
+  contestName: string | null;
+}
+
+export interface ContestPlatformSummary {
+  contests: number;
+  currentRating: number | null;
+  maxRating: number | null;
+  bestRank: number | null;
+  lastContestDate: string | null;
+}
+
+export interface StudentContests {
+  student: { regNo: string; name: string };
+  contests: ContestResult[];
+  timeline: Partial<Record<PlatformId, RatingPoint[]>>;
+  summary: Partial<Record<PlatformId, ContestPlatformSummary>>;
+}
+
+export interface RecentContest {
+  platform: PlatformId;
+  contestId: string;
+  contestName: string | null;
+  contestDate: string;
+  participants: number;
+  averageRatingChange: number | null;
+}
+
+export interface ContestStandingsEntry {
+  position: number;
+  regNo: string;
+  name: string;
+  department: string;
+  year: string;
+  handle: string;
+  rank: number | null;
+  problemsSolved: number | null;
+  points: number | null;
+  oldRating: number | null;
+  newRating: number | null;
+  ratingChange: number | null;
+}
+
+export interface ContestStandings {
+  platform: PlatformId;
+  contest: {
+    contestId: string;
+    contestName: string | null;
+    contestDate: string | null;
+  };
+  standings: ContestStandingsEntry[];
+  noSolves: ContestStandingsEntry[];
+  summary: {
+    trackedStudents: number;
+    participants: number;
+    solvedAny: number;
+    noSolves: number;
+    notParticipated: number;
+    averageRatingChange: number | null;
+    bestRank: number | null;
+  };
+}
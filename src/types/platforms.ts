@@ -0,0 +1,21 @@
+// Generated by backend/scripts/generate-platform-types.js from the platform registry.
+// Do not edit by hand, run `npm run platforms:types` in backend/ instead.
+
+export const PLATFORMS = [
+  { id: 'codechef', name: 'CodeChef', idColumn: 'CodeChef ID' },
+  { id: 'leetcode', name: 'LeetCode', idColumn: 'LeetCode ID' },
+  { id: 'codeforces', name: 'Codeforces', idColumn: 'Codeforces ID' },
+  { id: 'atcoder', name: 'AtCoder', idColumn: 'AtCoder ID' },
+  { id: 'codolio', name: 'Codolio', idColumn: 'Codolio ID' },
+  { id: 'github', name: 'GitHub', idColumn: 'GitHub ID' },
+  { id: 'geeksforgeeks', name: 'GeeksforGeeks', idColumn: 'GeeksforGeeks ID' },
+  { id: 'hackerrank', name: 'HackerRank', idColumn: 'HackerRank ID' },
+  { id: 'hackerearth', name: 'HackerEarth', idColumn: 'HackerEarth ID' },
+] as const;
+
+export type PlatformId = (typeof PLATFORMS)[number]['id'];
+
+export type PlatformIds = Partial<Record<PlatformId, string>>;
+
+export const getPlatformName = (platform: string): string =>
+  PLATFORMS.find((p) => p.id === platform)?.name ?? platform;
@@ -0,0 +1,57 @@
+import { PlatformId, PlatformIds } from "./platforms";
+import { StoredPlatformStats } from "./student";
+
+export type CorrectionStatus = 'pending' | 'approved' | 'rejected';
+
+export interface HandleCorrection {
+  _id: string;
+  regNo: string;
+  department: string | null;
+  platform: PlatformId;
+  currentHandle: string | null;
+  requestedHandle: string;
+  note: string | null;
+  status: CorrectionStatus;
+  reviewedBy: { _id: string; name: string; email: string | null } | string | null;
+  reviewedAt: string | null;
+  reviewNote: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface DepartmentRank {
+  department: string;
+  rank: number;
+  of: number;
+  overallScore: number;
+}
+
+export interface PortalDashboard {
+  student: {
+    regNo: string;
+    name: string;
+    department: string;
+    year: string | null;
+    platformIds: PlatformIds;
+    lastUpdated: string;
+  };
+  departmentRank: DepartmentRank | null;
+  platformStats: (StoredPlatformStats & {
+    trend: 'up' | 'down' | 'stable' | null;
+    performanceLevel: string | null;
+    lastFetched: string | null;
+  })[];
+  history: {
+    weekLabel: string;
+    uploadDate: string;
+    overallScore: number;
+    performanceLevel: string;
+  }[];
+  corrections: HandleCorrection[];
+}
+
+export interface CorrectionCounts {
+  pending: number;
+  approved: number;
+  rejected: number;
+}
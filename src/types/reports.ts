@@ -0,0 +1,35 @@
+export type ReportType = 'weekly' | 'department' | 'student' | 'growth';
+export type ReportTrigger = 'manual' | 'scheduled';
+
+export interface Report {
+  _id: string;
+  type: ReportType;
+  title: string;
+  params: {
+    department: string | null;
+    regNo: string | null;
+    weekId: string | null;
+    weeks: number | null;
+  };
+  weekLabel: string | null;
+  trigger: ReportTrigger;
+  filename: string;
+  size: number;
+  pages: number;
+  generatedBy: string | null;
+  generatedByName: string | null;
+  createdAt: string;
+}
+
+export interface ReportSummary {
+  total: number;
+  thisMonth: number;
+  byType: Record<ReportType, number>;
+}
+
+export const REPORT_TYPES: { id: ReportType; name: string; description: string }[] = [
+  { id: 'weekly', name: 'Weekly Performance', description: 'A week across the cohort against the week before' },
+  { id: 'department', name: 'Department Summary', description: 'Every student of one department for a week' },
+  { id: 'student', name: 'Individual Student', description: "One student's score history and platforms" },
+  { id: 'growth', name: 'Growth Trend', description: 'Average score and levels over the last weeks' },
+];
@@ -0,0 +1,118 @@
+import { PlatformId } from "./platforms";
+
+export interface ScoreComponents {
+  rating: number;
+  problemsSolved: number;
+  contests: number;
+}
+
+export interface DifficultyCounts {
+  easy: number;
+  medium: number;
+  hard: number;
+}
+
+export type RatingScaleMode = 'cap' | 'cohort' | 'reference';
+
+/** [rating, percentile] breakpoints in ascending order */
+export type ReferencePoints = [number, number][];
+
+export interface RatingScale {
+  mode: RatingScaleMode;
+  reference: Partial<Record<PlatformId, ReferencePoints>> | null;
+}
+
+export interface ScoringProfile {
+  version: number;
+  platformWeights: Partial<Record<PlatformId, number>>;
+  caps: ScoreComponents;
+  componentWeights: ScoreComponents;
+  difficultyWeights: DifficultyCounts;
+  ratingScale: RatingScale;
+  thresholds: {
+    high: number;
+    medium: number;
+  };
+}
+
+export type RescoreStatus = 'pending' | 'processing' | 'completed' | 'failed' | 'superseded';
+
+export interface RescoreProgress {
+  status: RescoreStatus;
+  total: number;
+  processed: number;
+  updated: number;
+  startedAt?: string;
+  completedAt?: string;
+  error?: string;
+}
+
+export interface ScoringSettings {
+  profile: ScoringProfile;
+  note: string | null;
+  updatedAt: string | null;
+  rescore: RescoreProgress | null;
+  isRescoring: boolean;
+  defaults: ScoringProfile;
+}
+
+export interface PlatformScoreBreakdown {
+  platform: PlatformId;
+  stats: {
+    rating: number;
+    problemsSolved: number;
+    weightedProblems: number;
+    contestsParticipated: number;
+  };
+  components: ScoreComponents;
+  ratingPercentile: number | null;
+  capsHit: (keyof ScoreComponents)[];
+  score: number;
+  weight: number;
+  contribution: number;
+  previousScore: number | null;
+  change: number | null;
+}
+
+export interface ScoreBreakdown {
+  regNo: string;
+  name: string;
+  weekLabel: string;
+  uploadDate: string;
+  overallScore: number;
+  performanceLevel: 'high' | 'medium' | 'low';
+  scoringVersion: number;
+  platforms: PlatformScoreBreakdown[];
+  skippedPlatforms: PlatformId[];
+  weights: {
+    caps: ScoreComponents;
+    componentWeights: ScoreComponents;
+    difficultyWeights: DifficultyCounts;
+    ratingScale: RatingScaleMode;
+    thresholds: ScoringProfile['thresholds'];
+  };
+  previous: {
+    weekLabel: string;
+    uploadDate: string;
+    overallScore: number;
+    performanceLevel: 'high' | 'medium' | 'low';
+  } | null;
+  change: number | null;
+}
+
+export interface PlatformHeatmapRow {
+  regNo: string;
+  name: string;
+  department: string;
+  year: string | null;
+  weekLabel: string;
+  overallScore: number;
+  /** Platforms fetched in the student's latest run */
+  platformScores: Partial<Record<PlatformId, number>>;
+}
+
+export interface PlatformHeatmap {
+  /** Platforms any student has a score on, in registry order */
+  platforms: PlatformId[];
+  students: PlatformHeatmapRow[];
+}
@@ -1,17 +1,12 @@
+import { PlatformId, PlatformIds } from './platforms';
+
 export interface Student {
   id: string;
   name: string;
   regNo: string;
   dept: string;
   year: string;
-  platformIds: {
-    codechef?: string;
-    leetcode?: string;
-    codeforces?: string;
-    atcoder?: string;
-    codolio?: string;
-    github?: string;
-  };
+  platformIds: PlatformIds;
   overallScore: number;
   previousScore?: number;
   platformScores: PlatformScore[];
@@ -21,7 +16,7 @@ export interface Student {
 }
 
 export interface PlatformScore {
-  platform: 'codechef' | 'leetcode' | 'codeforces' | 'atcoder' | 'codolio' | 'github';
+  platform: PlatformId;
   platformName: string;
   score: number;
   previousScore?: number;
@@ -65,8 +60,51 @@ export interface DashboardStats {
 }
 
 export interface UploadStatus {
-  status: 'idle' | 'uploading' | 'processing' | 'completed' | 'error';
+  status: 'idle' | 'uploading' | 'previewing' | 'processing' | 'completed' | 'error';
   progress: number;
   fileName?: string;
   message?: string;
 }
+
+// Solved problems per difficulty as each platform reports them
+export interface DifficultyBreakdown {
+  easy?: number;
+  medium?: number;
+  hard?: number;
+  unrated?: number;
+  school?: number;
+  basic?: number;
+}
+
+export interface StoredPlatformStats {
+  platform: PlatformId;
+  platformUserId: string;
+  currentStats: {
+    rating: number;
+    maxRating: number;
+    problemsSolved: number;
+    contestsParticipated: number;
+    rank: number | null;
+    additionalData?: {
+      difficulty?: DifficultyBreakdown;
+      [key: string]: unknown;
+    };
+  };
+  fetchStatus: string;
+}
+
+// One change made to a student outside an upload, from GET /api/students/:regNo/audit
+export interface StudentAuditEntry {
+  _id: string;
+  regNo: string;
+  action: 'create' | 'update' | 'activate' | 'deactivate';
+  source: 'manual' | 'bulk' | 'correction' | 'upload' | 'suggestion';
+  changes: {
+    field: string;
+    before: string | boolean | null;
+    after: string | boolean | null;
+  }[];
+  userName: string | null;
+  userRole: string | null;
+  createdAt: string;
+}
@@ -0,0 +1,33 @@
+export interface Topic {
+  topic: string;
+  name: string;
+}
+
+export interface StudentTopic extends Topic {
+  solved: number;
+  cohortAverage: number;
+  departmentAverage: number;
+}
+
+export interface StudentTopics {
+  regNo: string;
+  name: string;
+  department: string;
+  topics: StudentTopic[];
+}
+
+export interface DepartmentTopicAverages {
+  department: string;
+  /** Students with tag data on at least one platform */
+  students: number;
+  averages: Record<string, number>;
+}
+
+export interface DepartmentTopics {
+  topics: Topic[];
+  departments: DepartmentTopicAverages[];
+  filters: {
+    department: string;
+    year: string;
+  };
+}
@@ -0,0 +1,72 @@
+import { PlatformIds } from "./platforms";
+
+export interface PreviewChange {
+  field: string; // name, department, year or platformIds.<platform>
+  before: string | null;
+  after: string | null;
+}
+
+export interface PreviewAdded {
+  regNo: string;
+  name: string;
+  department: string | null;
+  year: string | null;
+  row: number;
+  platformIds: PlatformIds;
+}
+
+export interface PreviewChanged {
+  regNo: string;
+  name: string;
+  row: number;
+  isActive: boolean;
+  changes: PreviewChange[];
+}
+
+export interface PreviewRemoved {
+  regNo: string;
+  name: string;
+  department: string;
+  year: string | null;
+}
+
+export interface PreviewInvalid {
+  row: number;
+  regNo: string;
+  message: string;
+}
+
+export type PreviewDuplicate =
+  | { type: 'regNo'; regNo: string; row: number; duplicateOf: number }
+  | { type: 'handle'; platform: string; handle: string; regNos: string[]; stored: string[] };
+
+export interface UploadPreview {
+  _id: string;
+  originalName: string;
+  totalRows: number;
+  diff: {
+    added: PreviewAdded[];
+    changed: PreviewChanged[];
+    removed: PreviewRemoved[];
+    invalid: PreviewInvalid[];
+    duplicates: PreviewDuplicate[];
+    unchanged: number;
+  };
+  expiresAt: string;
+  createdAt: string;
+}
+
+export interface UploadPreviewCounts {
+  added: number;
+  changed: number;
+  removed: number;
+  invalid: number;
+  duplicates: number;
+  unchanged: number;
+}
+
+// What the uploader decided on the preview screen
+export interface PreviewDecision {
+  skip: string[];
+  deactivate: string[];
+}
@@ -0,0 +1,36 @@
+export type WebhookEvent = 'upload.completed' | 'scrape.completed' | 'student.level_changed' | 'alert.triggered';
+export type DeliveryStatus = 'pending' | 'retrying' | 'delivered' | 'failed';
+
+export interface Webhook {
+  _id: string;
+  name: string;
+  url: string;
+  events: WebhookEvent[];
+  description: string | null;
+  enabled: boolean;
+  lastDeliveryAt: string | null;
+  lastDeliveryStatus: DeliveryStatus | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface WebhookDeliveryAttempt {
+  attemptedAt: string;
+  responseStatus: number | null;
+  durationMs: number | null;
+  error: string | null;
+}
+
+export interface WebhookDelivery {
+  _id: string;
+  webhookId: Pick<Webhook, '_id' | 'name' | 'url'> | null;
+  event: WebhookEvent;
+  status: DeliveryStatus;
+  attempts: WebhookDeliveryAttempt[];
+  responseStatus: number | null;
+  responseBody: string | null;
+  error: string | null;
+  deliveredAt: string | null;
+  replayOf: string | null;
+  createdAt: string;
+}